@@ -25,6 +25,12 @@ const recruitingRoutes = require('./routes/recruitingRoutes');
 const discoveryRoutes = require('./routes/discoveryRoutes');
 const eligibilityRoutes = require('./routes/eligibilityRoutes');
 const rankingRoutes = require('./routes/rankingRoutes');
+const identityRoutes = require('./routes/identityRoutes');
+const athleteDataRoutes = require('./routes/athleteDataRoutes');
+const watchRoutes = require('./routes/watchRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const importRoutes = require('./routes/importRoutes');
+const nilRoutes = require('./routes/nilRoutes');
 const oauthRoutes = require('./routes/oauthRoutes');
 
 // New AI/ML routes
@@ -32,6 +38,7 @@ const injuryRiskRoutes = require('./routes/injuryRiskRoutes');
 const performancePredictionRoutes = require('./routes/performancePredictionRoutes');
 const enhancedCoachRoutes = require('./routes/enhancedCoachRoutes');
 const recoveryRoutes = require('./routes/recoveryRoutes');
+const injuryCaseRoutes = require('./routes/injuryCaseRoutes');
 const computerVisionRoutes = require('./routes/computerVisionRoutes');
 
 // Phase 2 routes
@@ -55,7 +62,11 @@ const jobProcessor = require('./services/backgroundJobProcessor');
 const achievementSystem = require('./services/achievementSystem');
 const DataStorageService = require('./services/dataStorageService');
 const ScheduledDataRefreshService = require('./services/scheduledDataRefreshService');
+const jobScheduler = require('./services/jobSchedulerService');
+const InjuryRiskModel = require('./services/injuryRiskModel');
+const adminService = require('./services/adminService');
 const DataQualityMonitoringService = require('./services/dataQualityMonitoringService');
+const alertRoutingService = require('./services/alertRoutingService');
 
 // Import Phase 2 services
 const RealTimeAnalyticsService = require('./services/realTimeAnalyticsService');
@@ -167,7 +178,7 @@ app.get('/health', async (req, res) => {
     
     // Check advanced services health
     const shardingHealth = await dbShardingService.healthCheck().catch(() => ({ overall: 'error' }));
-    const queueHealth = messageQueueService.getQueueStats();
+    const queueHealth = await messageQueueService.getQueueStats().catch(() => ({ error: 'unavailable' }));
     const dataStorageHealth = await dataStorageService.healthCheck ? await dataStorageService.healthCheck().catch(() => ({ healthy: false })) : { healthy: true };
     const refreshHealth = await scheduledDataRefreshService.healthCheck ? await scheduledDataRefreshService.healthCheck().catch(() => ({ healthy: false })) : { healthy: true };
     const qualityHealth = await dataQualityMonitoringService.healthCheck ? await dataQualityMonitoringService.healthCheck().catch(() => ({ healthy: false })) : { healthy: true };
@@ -191,6 +202,14 @@ app.get('/health', async (req, res) => {
     });
 });
 
+// Admin-only endpoints below use this after authenticateToken
+const requireAdmin = (req, res, next) => {
+    if (!adminService.verifyAdminAccess(req.user?.id)) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+};
+
 // Advanced services API endpoints
 app.get('/api/v1/sharding/stats', async (req, res) => {
     try {
@@ -201,9 +220,9 @@ app.get('/api/v1/sharding/stats', async (req, res) => {
     }
 });
 
-app.get('/api/v1/queue/stats', (req, res) => {
+app.get('/api/v1/queue/stats', async (req, res) => {
     try {
-        const stats = messageQueueService.getQueueStats();
+        const stats = await messageQueueService.getQueueStats();
         res.json(stats);
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -216,7 +235,27 @@ app.post('/api/v1/queue/job', async (req, res) => {
         const jobId = await messageQueueService.addJob(queueName, jobData);
         res.json({ jobId, status: 'queued' });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Dead-letter queues: jobs that failed every attempt
+app.get('/api/v1/queue/:queueName/dead', authMiddleware.authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const jobs = await messageQueueService.getDeadLetters(req.params.queueName, Math.min(parseInt(req.query.limit) || 100, 500));
+        res.json({ queue: req.params.queueName, jobs });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/v1/queue/:queueName/dead/retry', authMiddleware.authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const ids = Array.isArray(req.body.jobIds) ? req.body.jobIds : null;
+        const result = await messageQueueService.retryDeadLetters(req.params.queueName, ids);
+        res.json(result);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -249,20 +288,108 @@ app.post('/api/v1/data/refresh/manual', async (req, res) => {
     }
 });
 
+// Refresh schedule administration
+app.get('/api/v1/data/refresh/schedules', authMiddleware.authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const schedules = await jobScheduler.listSchedules();
+        res.json({ schedules });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/v1/data/refresh/runs', authMiddleware.authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const runs = await jobScheduler.getRuns({
+            jobName: req.query.schedule,
+            status: req.query.status,
+            limit: parseInt(req.query.limit) || 50
+        });
+        res.json({ runs });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/v1/data/refresh/schedules/:name', authMiddleware.authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { cron, timeoutMinutes } = req.body;
+        const schedules = await scheduledDataRefreshService.updateRefreshConfig({ [req.params.name]: { cron, timeoutMinutes } });
+        res.json({ schedule: schedules.find(schedule => schedule.name === req.params.name) });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/v1/data/refresh/schedules/:name/:action', authMiddleware.authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const { name, action } = req.params;
+        let result;
+
+        if (action === 'pause') {
+            result = { schedule: await jobScheduler.pause(name, { actor: req.user.id, reason: req.body.reason }) };
+        } else if (action === 'resume') {
+            result = { schedule: await jobScheduler.resume(name) };
+        } else if (action === 'trigger') {
+            result = { run: await jobScheduler.trigger(name, req.user.id) };
+        } else {
+            return res.status(400).json({ error: 'Action must be pause, resume or trigger' });
+        }
+
+        res.json(result);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Alert filters from the query string: ?severity=high,critical&type=stale_data&source=maxpreps&status=open
+const parseAlertFilter = (query) => ['status', 'type', 'severity', 'source'].reduce((filter, key) => {
+    if (query[key]) filter[key] = String(query[key]).split(',');
+    return filter;
+}, {});
+
 app.get('/api/v1/data/quality/alerts', async (req, res) => {
     try {
-        const alerts = dataQualityMonitoringService.getCurrentAlerts();
+        const alerts = await dataQualityMonitoringService.getCurrentAlerts(parseAlertFilter(req.query));
         res.json({ alerts, count: alerts.length });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Acknowledge, snooze ({ minutes }) or resolve an alert
+app.post('/api/v1/data/quality/alerts/:alertId/:action', authMiddleware.authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const options = { actor: req.user.id, note: req.body.note, minutes: req.body.minutes };
+        const actions = {
+            acknowledge: () => dataQualityMonitoringService.acknowledgeAlert(req.params.alertId, options),
+            snooze: () => dataQualityMonitoringService.snoozeAlert(req.params.alertId, options),
+            resolve: () => dataQualityMonitoringService.resolveAlert(req.params.alertId, options)
+        };
+
+        if (!actions[req.params.action]) {
+            return res.status(400).json({ error: 'Action must be acknowledge, snooze or resolve' });
+        }
+
+        res.json({ alert: await actions[req.params.action]() });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/v1/data/quality/routing', authMiddleware.authenticateToken, requireAdmin, (req, res) => {
+    try {
+        res.json({ rules: alertRoutingService.getRules() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.get('/api/v1/data/quality/metrics', async (req, res) => {
     try {
         const hours = parseInt(req.query.hours) || 24;
-        const metrics = await dataQualityMonitoringService.getQualityMetricsHistory(hours);
-        res.json(metrics);
+        const history = await dataQualityMonitoringService.getQualityMetricsHistory(hours, parseAlertFilter(req.query));
+        res.json(history);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -300,13 +427,20 @@ app.use('/api/v1/starpath', cacheMiddleware(900), starpathRoutes); // Cache for
 app.use('/api/v1/recruiting', cacheMiddleware(1800), recruitingRoutes); // Cache for 30 minutes
 app.use('/api/v1/discovery', discoveryRoutes); // Athlete discovery and scraping
 app.use('/api/v1/eligibility', eligibilityRoutes); // NCAA eligibility and AI coach
+app.use('/api/v1/nil', nilRoutes); // NIL deal tracking and rule packs
 app.use('/api/v1/rankings', cacheMiddleware(900), rankingRoutes); // Cache for 15 minutes
+app.use('/api/v1/identity', identityRoutes); // Athlete identity resolution review and unmerge
+app.use('/api/v1/athlete-data', athleteDataRoutes); // Field provenance, manual values and change feed
+app.use('/api/v1/watch', watchRoutes); // Athlete watchlists, saved searches and their alerts
+app.use('/api/v1/search', searchRoutes); // Faceted, typo-tolerant athlete search
+app.use('/api/v1/imports', importRoutes); // CSV/XLSX athlete imports with dry run and rollback
 
 // New AI/ML routes
 app.use('/api/v1/injury-risk', injuryRiskRoutes); // Injury risk assessment
 app.use('/api/v1/performance-prediction', performancePredictionRoutes); // Performance prediction
 app.use('/api/v1/enhanced-coach', enhancedCoachRoutes); // Enhanced NLP coach
 app.use('/api/v1/recovery', recoveryRoutes); // Recovery optimization
+app.use('/api/v1/injury-cases', injuryCaseRoutes); // Injury case management and return to play
 app.use('/api/v1/computer-vision', computerVisionRoutes); // Computer vision analysis
 
 // Phase 2 routes
@@ -329,13 +463,20 @@ app.use('/api/starpath', (req, res) => res.redirect(301, `/api/v1${req.path}`));
 app.use('/api/recruiting', (req, res) => res.redirect(301, `/api/v1${req.path}`));
 app.use('/api/discovery', (req, res) => res.redirect(301, `/api/v1${req.path}`));
 app.use('/api/eligibility', (req, res) => res.redirect(301, `/api/v1${req.path}`));
+app.use('/api/nil', (req, res) => res.redirect(301, `/api/v1${req.path}`));
 app.use('/api/rankings', (req, res) => res.redirect(301, `/api/v1${req.path}`));
+app.use('/api/identity', (req, res) => res.redirect(301, `/api/v1${req.path}`));
+app.use('/api/athlete-data', (req, res) => res.redirect(301, `/api/v1${req.path}`));
+app.use('/api/watch', (req, res) => res.redirect(301, `/api/v1${req.path}`));
+app.use('/api/search', (req, res) => res.redirect(301, `/api/v1${req.path}`));
+app.use('/api/imports', (req, res) => res.redirect(301, `/api/v1${req.path}`));
 
 // Legacy redirects for new AI/ML routes
 app.use('/api/injury-risk', (req, res) => res.redirect(301, `/api/v1${req.path}`));
 app.use('/api/performance-prediction', (req, res) => res.redirect(301, `/api/v1${req.path}`));
 app.use('/api/enhanced-coach', (req, res) => res.redirect(301, `/api/v1${req.path}`));
 app.use('/api/recovery', (req, res) => res.redirect(301, `/api/v1${req.path}`));
+app.use('/api/injury-cases', (req, res) => res.redirect(301, `/api/v1${req.path}`));
 app.use('/api/computer-vision', (req, res) => res.redirect(301, `/api/v1${req.path}`));
 
 // Legacy redirects for Phase 2 routes
@@ -399,9 +540,12 @@ app.use(sentryErrorHandler); // Sentry error tracking
 app.use(backendMonitor.errorLogger.bind(backendMonitor)); // Existing error logger
 
 // Start server only when this file is run directly (not when imported for testing)
+let server = null;
+let realTimeService = null;
+let injuryRiskTrainer = null;
 if (require.main === module) {
     console.log('Starting server...');
-    const server = app.listen(PORT, () => {
+    server = app.listen(PORT, () => {
         console.log('✅ Server started successfully!');
         logger.info('Server started successfully', {
             port: PORT,
@@ -414,10 +558,15 @@ if (require.main === module) {
     });
 
     // Initialize real-time service
-    const realTimeService = new RealTimeService(server);
+    realTimeService = new RealTimeService(server);
     global.realTimeService = realTimeService;
 
     logger.info('Real-time service initialized and attached to server');
+
+    // Injury risk model training queued through /api/v1/injury-risk/models/train, including
+    // runs queued before a restart
+    injuryRiskTrainer = new InjuryRiskModel();
+    injuryRiskTrainer.startTrainingWorker();
 }
 
 // 404 handler - MUST be last
@@ -447,6 +596,7 @@ const gracefulShutdown = async (signal) => {
                 dbShardingService.shutdown(),
                 messageQueueService.shutdown(),
                 realTimeService ? realTimeService.shutdown() : Promise.resolve(),
+                injuryRiskTrainer ? injuryRiskTrainer.stopTrainingWorker() : Promise.resolve(),
                 scheduledDataRefreshService ? scheduledDataRefreshService.stop() : Promise.resolve(),
                 dataQualityMonitoringService ? dataQualityMonitoringService.stop() : Promise.resolve()
             ]);
@@ -82,10 +82,32 @@ const validateNCAACalculation = [
         .isFloat({ min: 0, max: 4.0 })
         .withMessage('GPA must be between 0 and 4.0'),
 
+    body('testType')
+        .optional()
+        .isIn(['sat', 'act', 'none'])
+        .withMessage('Test type must be sat, act or none'),
+
     body('testScore')
         .optional()
-        .isInt({ min: 400, max: 1600 })
-        .withMessage('SAT score must be between 400 and 1600'),
+        .custom((value, { req }) => {
+            const score = Number(value);
+            if (req.body.testType === 'act') {
+                // ACT accepts a composite (1-36) or a sum of the four sub-scores (4-144)
+                return Number.isInteger(score) && score >= 1 && score <= 144;
+            }
+            return Number.isInteger(score) && score >= 400 && score <= 1600;
+        })
+        .withMessage('Test score must be an SAT total (400-1600) or ACT composite/sum score (1-144)'),
+
+    body('courses')
+        .optional()
+        .isArray()
+        .withMessage('Courses must be an array of course records'),
+
+    body('athleteId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid athlete ID'),
 
     body('gradeLevel')
         .optional()
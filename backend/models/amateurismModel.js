@@ -67,6 +67,10 @@ const amateurismSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  assignedTo: {
+    type: String,
+    trim: true
+  },
   // Supporting documentation
   documentation: [{
     type: {
@@ -75,11 +79,32 @@ const amateurismSchema = new mongoose.Schema({
     },
     filename: String,
     url: String,
+    mediaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media'
+    },
+    uploadedBy: String,
     uploadedAt: {
       type: Date,
       default: Date.now
     }
   }],
+  // Review audit trail
+  reviewHistory: [{
+    action: {
+      type: String,
+      enum: ['submitted', 'assigned', 'evidence_added', 'status_changed', 'note_added'],
+      required: true
+    },
+    fromStatus: String,
+    toStatus: String,
+    actor: String,
+    notes: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // NCAA impact assessment
   ncaaImpact: {
     affectsAmateurism: {
@@ -109,7 +134,7 @@ const amateurismSchema = new mongoose.Schema({
 
 // Indexes for performance
 amateurismSchema.index({ athleteId: 1, dateReceived: -1 });
-amateurismSchema.index({ complianceStatus: 1 });
+amateurismSchema.index({ complianceStatus: 1, reportedDate: 1 });
 amateurismSchema.index({ earningsType: 1 });
 
 // Pre-save middleware
@@ -134,6 +159,20 @@ amateurismSchema.methods.affectsAmateurStatus = function() {
   return affectingTypes.includes(this.earningsType) && this.amount > 0;
 };
 
+// Review status transitions allowed for compliance officers
+amateurismSchema.statics.REVIEW_TRANSITIONS = {
+  pending: ['under_review', 'approved', 'denied'],
+  under_review: ['pending', 'approved', 'denied'],
+  approved: ['under_review'],
+  denied: ['under_review']
+};
+
+// Method to check if a review status change is allowed
+amateurismSchema.methods.canTransitionTo = function(status) {
+  const allowed = this.constructor.REVIEW_TRANSITIONS[this.complianceStatus] || [];
+  return allowed.includes(status);
+};
+
 // Method to get compliance summary
 amateurismSchema.methods.getComplianceSummary = function() {
   return {
@@ -141,7 +180,8 @@ amateurismSchema.methods.getComplianceSummary = function() {
     amount: this.amount,
     affectsAmateurism: this.affectsAmateurStatus(),
     status: this.complianceStatus,
-    reviewed: !!this.reviewDate
+    reviewed: !!this.reviewDate,
+    documents: this.documentation.length
   };
 };
 
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const CHANGE_OPERATIONS = ['created', 'merged', 'manual', 'rebuilt'];
+const CHANGE_KINDS = ['added', 'changed', 'removed'];
+const CHANGE_CATEGORIES = ['profile', 'stats', 'highlights', 'offers', 'recruiting', 'rankings', 'other'];
+
+// Athlete Change Model
+// One document per athlete-record write, listing every field it changed
+const athleteChangeSchema = new mongoose.Schema({
+  // Scraped athlete _id or mock database id
+  athleteId: {
+    type: String,
+    required: true
+  },
+  athleteName: String,
+  sport: String,
+  operation: {
+    type: String,
+    enum: CHANGE_OPERATIONS,
+    required: true
+  },
+  // Source of the write (scraper name, 'manual' or 'identity')
+  source: String,
+  actor: String,
+  // Record version after the write
+  version: Number,
+  categories: [{
+    type: String,
+    enum: CHANGE_CATEGORIES
+  }],
+  changes: [{
+    // Dotted path, e.g. stats.passingYards; list items use the list's path
+    field: String,
+    category: {
+      type: String,
+      enum: CHANGE_CATEGORIES
+    },
+    kind: {
+      type: String,
+      enum: CHANGE_KINDS
+    },
+    old: mongoose.Schema.Types.Mixed,
+    new: mongoose.Schema.Types.Mixed,
+    // Source that supplied the new value, from provenance when the field has it
+    source: String
+  }],
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+athleteChangeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+athleteChangeSchema.index({ athleteId: 1, recordedAt: -1 });
+athleteChangeSchema.index({ recordedAt: -1 });
+athleteChangeSchema.index({ categories: 1, recordedAt: -1 });
+
+athleteChangeSchema.statics.CHANGE_OPERATIONS = CHANGE_OPERATIONS;
+athleteChangeSchema.statics.CHANGE_CATEGORIES = CHANGE_CATEGORIES;
+
+module.exports = mongoose.model('AthleteChange', athleteChangeSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'snoozed', 'resolved'];
+const ALERT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const DELIVERY_KINDS = ['initial', 'repeat', 'escalation'];
+const DELIVERY_STATUSES = ['sent', 'failed', 'skipped'];
+const HISTORY_RETENTION_DAYS = 90;
+
+// Data Quality Alert Model
+// One data-quality issue from first detection until it is resolved, with every notification sent for it
+const dataQualityAlertSchema = new mongoose.Schema({
+  // alert_<time>_<suffix>, shared with the in-memory fallback
+  _id: String,
+  // type|athleteId|source - repeated detections of the same issue update one alert
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ALERT_SEVERITIES,
+    required: true
+  },
+  message: String,
+  source: String,
+  athleteId: String,
+  athleteName: String,
+  metric: String,
+  value: mongoose.Schema.Types.Mixed,
+  threshold: mongoose.Schema.Types.Mixed,
+  route: String,
+  status: {
+    type: String,
+    enum: ALERT_STATUSES,
+    default: 'open'
+  },
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  firstDetected: {
+    type: Date,
+    default: Date.now
+  },
+  lastDetected: Date,
+  lastNotifiedAt: Date,
+  // Escalation delays count from here; reset when a snooze ends
+  escalationBaseAt: Date,
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  escalatedAt: Date,
+  acknowledgedBy: String,
+  acknowledgedAt: Date,
+  snoozedBy: String,
+  snoozedUntil: Date,
+  resolvedBy: String,
+  resolvedAt: Date,
+  deliveries: [{
+    channel: String,
+    kind: {
+      type: String,
+      enum: DELIVERY_KINDS
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES
+    },
+    error: String,
+    at: Date
+  }],
+  history: [{
+    action: String,
+    actor: String,
+    note: String,
+    at: Date
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+dataQualityAlertSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+dataQualityAlertSchema.index({ status: 1, fingerprint: 1 });
+dataQualityAlertSchema.index({ lastDetected: -1 });
+dataQualityAlertSchema.index({ type: 1, severity: 1, source: 1 });
+// Resolved alerts expire after the history window
+dataQualityAlertSchema.index({ resolvedAt: 1 }, { expireAfterSeconds: HISTORY_RETENTION_DAYS * 24 * 60 * 60 });
+
+dataQualityAlertSchema.statics.ALERT_STATUSES = ALERT_STATUSES;
+dataQualityAlertSchema.statics.ALERT_SEVERITIES = ALERT_SEVERITIES;
+dataQualityAlertSchema.statics.HISTORY_RETENTION_DAYS = HISTORY_RETENTION_DAYS;
+
+module.exports = mongoose.model('DataQualityAlert', dataQualityAlertSchema);
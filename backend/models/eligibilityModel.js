@@ -8,6 +8,18 @@ const eligibilitySchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Sport and division drive the recruiting calendar and contact rules
+  sport: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'football'
+  },
+  division: {
+    type: String,
+    enum: ['division1', 'division2', 'division3'],
+    default: 'division1'
+  },
   // Five-year eligibility clock
   clockStart: {
     type: Date,
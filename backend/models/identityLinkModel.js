@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const LINK_DECISIONS = ['origin', 'auto', 'admin'];
+
+// Identity Link Model
+// One document per source record folded into a resolved athlete identity. The stored
+// snapshot lets an identity be rebuilt, or a record split back out, at any time.
+const identityLinkSchema = new mongoose.Schema({
+  // Resolved athlete record (athlete_data _id) the source record belongs to
+  entityId: {
+    type: String,
+    required: true
+  },
+  source: String,
+  sport: String,
+  // The normalized record as it arrived, before any merge
+  recordSnapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // How the record joined the identity
+  decision: {
+    type: String,
+    enum: LINK_DECISIONS,
+    required: true
+  },
+  probability: Number,
+  features: mongoose.Schema.Types.Mixed,
+  rulesVersion: String,
+  linkedBy: {
+    type: String,
+    default: 'system'
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Spreadsheet import that brought the record in, so the batch can be rolled back
+  importBatchId: String,
+  // Unmerge, or removal when its import is rolled back
+  status: {
+    type: String,
+    enum: ['active', 'unmerged', 'rolled_back'],
+    default: 'active'
+  },
+  unmergedAt: Date,
+  unmergedBy: String,
+  unmergeReason: String,
+  splitEntityId: String,
+  // Every move of this record between identities
+  history: [{
+    action: {
+      type: String,
+      enum: ['linked', 'moved', 'unmerged', 'rolled_back']
+    },
+    fromEntityId: String,
+    toEntityId: String,
+    actor: String,
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for performance
+identityLinkSchema.index({ entityId: 1, status: 1, linkedAt: 1 });
+identityLinkSchema.index({ splitEntityId: 1 });
+identityLinkSchema.index({ importBatchId: 1 }, { sparse: true });
+
+identityLinkSchema.statics.LINK_DECISIONS = LINK_DECISIONS;
+
+module.exports = mongoose.model('IdentityLink', identityLinkSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const REVIEW_STATUSES = ['pending', 'merged', 'rejected'];
+
+// Identity Review Model
+// A pair of athlete records that scored between the review and auto-merge thresholds
+const identityReviewSchema = new mongoose.Schema({
+  entityId: {
+    type: String,
+    required: true
+  },
+  candidateEntityId: {
+    type: String,
+    required: true
+  },
+  sport: String,
+  names: [String],
+  probability: {
+    type: Number,
+    required: true
+  },
+  features: mongoose.Schema.Types.Mixed,
+  rulesVersion: String,
+  // Why the pair was queued ('ambiguous_match' or 'unmerged')
+  reason: {
+    type: String,
+    default: 'ambiguous_match'
+  },
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  reviewedBy: String,
+  reviewedAt: Date,
+  notes: String,
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+identityReviewSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+identityReviewSchema.index({ status: 1, probability: -1 });
+identityReviewSchema.index({ entityId: 1, candidateEntityId: 1 });
+
+identityReviewSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+
+module.exports = mongoose.model('IdentityReview', identityReviewSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const BATCH_STATUSES = ['uploaded', 'validated', 'committing', 'committed', 'failed', 'rolled_back'];
+const ROW_STATUSES = ['valid', 'invalid', 'imported', 'failed', 'skipped', 'rolled_back'];
+const MAX_IMPORT_ROWS = 5000;
+
+// Import Batch Model
+// One uploaded athlete spreadsheet: its rows, the mapping applied to them, the dry-run
+// report and, once committed, what each row did so the whole batch can be rolled back
+const importBatchSchema = new mongoose.Schema({
+  // import_<time>_<suffix>, shared with the in-memory fallback
+  _id: String,
+  userId: {
+    type: String,
+    required: true
+  },
+  fileName: String,
+  fileType: {
+    type: String,
+    enum: ['csv', 'xlsx']
+  },
+  status: {
+    type: String,
+    enum: BATCH_STATUSES,
+    default: 'uploaded'
+  },
+  headers: [String],
+  // Raw cell values, kept so the mapping can be changed and re-validated
+  rows: [{
+    _id: false,
+    line: Number,
+    values: [mongoose.Schema.Types.Mixed]
+  }],
+  templateId: String,
+  mapping: [{
+    _id: false,
+    column: String,
+    field: String
+  }],
+  defaults: mongoose.Schema.Types.Mixed,
+  // Dry-run totals, then commit and rollback counts
+  summary: {
+    total: Number,
+    valid: Number,
+    invalid: Number,
+    withWarnings: Number,
+    create: Number,
+    merge: Number,
+    review: Number,
+    imported: Number,
+    failed: Number,
+    skipped: Number,
+    rolledBack: Number
+  },
+  rowResults: [{
+    _id: false,
+    line: Number,
+    name: String,
+    status: {
+      type: String,
+      enum: ROW_STATUSES
+    },
+    validationErrors: [String],
+    warnings: [String],
+    // Why the row failed to import or roll back
+    error: String,
+    // Dry run: create or merge; commit: created or merged
+    operation: String,
+    athleteId: String,
+    matchProbability: Number,
+    duplicateOfLine: Number
+  }],
+  validatedAt: Date,
+  committedAt: Date,
+  committedBy: String,
+  rolledBackAt: Date,
+  rolledBackBy: String,
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+importBatchSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+importBatchSchema.index({ userId: 1, createdAt: -1 });
+
+importBatchSchema.statics.BATCH_STATUSES = BATCH_STATUSES;
+importBatchSchema.statics.ROW_STATUSES = ROW_STATUSES;
+importBatchSchema.statics.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
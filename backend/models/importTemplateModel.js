@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Import Template Model
+// A saved column mapping for athlete spreadsheets, reused for files with the same layout
+const importTemplateSchema = new mongoose.Schema({
+  // importtemplate_<time>_<suffix>, shared with the in-memory fallback
+  _id: String,
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Spreadsheet column header -> athlete field path (see importService.getFields)
+  mapping: [{
+    _id: false,
+    column: String,
+    field: String
+  }],
+  // Values for fields the file does not have, e.g. { sport: 'football' }
+  defaults: mongoose.Schema.Types.Mixed,
+  lastUsedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+importTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+importTemplateSchema.index({ userId: 1, name: 1 });
+
+module.exports = mongoose.model('ImportTemplate', importTemplateSchema);
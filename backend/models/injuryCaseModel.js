@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const CASE_STATUSES = ['active', 'rehab', 'cleared'];
+
+// Injury Case Model
+// Athletic trainer case file for one injury: the return-to-play protocol and the stage the
+// athlete is on, daily progress notes, training restrictions and the clearance sign-off
+const injuryCaseSchema = new mongoose.Schema({
+  // case_<time>_<suffix>, shared with the in-memory fallback
+  _id: String,
+  athleteId: {
+    type: String,
+    required: true
+  },
+  // Injury record the case manages, when one was reported
+  injuryId: String,
+  // The injury as it was when the case was opened
+  injury: {
+    type: { type: String, required: true },
+    location: { type: String, required: true },
+    severity: { type: String, required: true },
+    side: String,
+    description: String,
+    dateOccurred: Date
+  },
+  status: {
+    type: String,
+    enum: CASE_STATUSES,
+    default: 'active'
+  },
+  // Protocol snapshot with stage lengths and restrictions resolved for this injury
+  protocol: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  currentStage: {
+    type: Number,
+    default: 1
+  },
+  stageStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  stageHistory: [{
+    stage: Number,
+    action: {
+      type: String,
+      enum: ['started', 'advanced', 'regressed', 'cleared']
+    },
+    actor: String,
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  progressNotes: [{
+    _id: String,
+    date: Date,
+    stage: Number,
+    // 0-10
+    painLevel: Number,
+    symptoms: [String],
+    activities: [String],
+    notes: String,
+    author: String,
+    authorRole: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Restrictions added by staff on top of the current stage's
+  restrictions: [{
+    _id: String,
+    kind: String,
+    value: mongoose.Schema.Types.Mixed,
+    reason: String,
+    addedBy: String,
+    addedAt: Date,
+    liftedBy: String,
+    liftedAt: Date
+  }],
+  clearance: {
+    clearedBy: String,
+    clearedByRole: String,
+    clearedAt: Date,
+    notes: String
+  },
+  openedBy: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+injuryCaseSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+injuryCaseSchema.index({ athleteId: 1, status: 1 });
+injuryCaseSchema.index({ injuryId: 1 }, { sparse: true });
+
+injuryCaseSchema.statics.CASE_STATUSES = CASE_STATUSES;
+
+module.exports = mongoose.model('InjuryCase', injuryCaseSchema);
@@ -36,7 +36,7 @@ const mediaSchema = new mongoose.Schema({
     },
     category: {
         type: String,
-        enum: ['players', 'teams', 'events', 'articles', 'marketing', 'other'],
+        enum: ['players', 'teams', 'events', 'articles', 'marketing', 'compliance', 'other'],
         default: 'other'
     },
     tags: [{
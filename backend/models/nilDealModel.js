@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+
+// Sponsor categories checked against state and institution rule packs
+const NIL_CATEGORIES = [
+  'apparel',
+  'food_beverage',
+  'automotive',
+  'technology',
+  'financial_services',
+  'fitness',
+  'local_business',
+  'media',
+  'camps_lessons',
+  'alcohol',
+  'tobacco',
+  'cannabis',
+  'controlled_substances',
+  'adult_entertainment',
+  'gambling',
+  'firearms',
+  'other'
+];
+
+// NIL Deal Model
+const nilDealSchema = new mongoose.Schema({
+  athleteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Athlete',
+    required: true
+  },
+  // Counterparty
+  counterparty: {
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['brand', 'local_business', 'collective', 'booster', 'agency', 'institution', 'other'],
+      default: 'brand'
+    },
+    contactEmail: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    state: {
+      type: String,
+      trim: true,
+      uppercase: true
+    }
+  },
+  category: {
+    type: String,
+    enum: NIL_CATEGORIES,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Jurisdiction used to select rule packs
+  state: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  institution: {
+    type: String,
+    trim: true
+  },
+  // Value and term
+  totalValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  signedDate: {
+    type: Date,
+    required: true
+  },
+  startDate: Date,
+  endDate: Date,
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'completed', 'terminated'],
+    default: 'active'
+  },
+  // What the athlete owes
+  deliverables: [{
+    description: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['social_post', 'appearance', 'autograph', 'camp', 'endorsement', 'content', 'other'],
+      default: 'other'
+    },
+    dueDate: Date,
+    completed: {
+      type: Boolean,
+      default: false
+    },
+    completedAt: Date
+  }],
+  // What the counterparty owes
+  paymentSchedule: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    dueDate: {
+      type: Date,
+      required: true
+    },
+    paidDate: Date,
+    status: {
+      type: String,
+      enum: ['scheduled', 'paid', 'cancelled'],
+      default: 'scheduled'
+    }
+  }],
+  // Disclosure to the institution
+  disclosure: {
+    required: {
+      type: Boolean,
+      default: true
+    },
+    deadline: Date,
+    disclosedAt: Date,
+    disclosedTo: {
+      type: String,
+      trim: true
+    }
+  },
+  // Rule pack findings from the last evaluation
+  ruleFindings: [{
+    packId: String,
+    rule: {
+      type: String,
+      enum: [
+        'prohibited_category',
+        'prohibited_counterparty',
+        'disclosure_missed',
+        'disclosure_due',
+        'no_deliverables',
+        'payment_overdue',
+        'custom'
+      ]
+    },
+    severity: {
+      type: String,
+      enum: ['info', 'warning', 'critical'],
+      default: 'warning'
+    },
+    message: String,
+    citation: String
+  }],
+  rulePackVersions: {
+    type: Map,
+    of: String
+  },
+  lastEvaluatedAt: Date,
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for performance
+nilDealSchema.index({ athleteId: 1, signedDate: -1 });
+nilDealSchema.index({ 'disclosure.deadline': 1, 'disclosure.disclosedAt': 1 });
+nilDealSchema.index({ 'ruleFindings.severity': 1 });
+
+// Pre-save middleware
+nilDealSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Method to get the amount paid to date
+nilDealSchema.methods.getAmountPaid = function() {
+  return this.paymentSchedule
+    .filter(payment => payment.status === 'paid')
+    .reduce((sum, payment) => sum + payment.amount, 0);
+};
+
+// Method to check if the deal has been disclosed
+nilDealSchema.methods.isDisclosed = function() {
+  return !!this.disclosure.disclosedAt;
+};
+
+nilDealSchema.statics.NIL_CATEGORIES = NIL_CATEGORIES;
+
+module.exports = mongoose.model('NILDeal', nilDealSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Nutrition Log Model
+// A meal or a whole day of intake; entries on the same day are added together
+const nutritionLogSchema = new mongoose.Schema({
+  // nutrition_<time>_<suffix>, shared with the in-memory fallback
+  _id: String,
+  athleteId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  // UTC midnight of the day eaten
+  date: {
+    type: Date,
+    required: true
+  },
+  meal: {
+    type: String,
+    enum: ['breakfast', 'lunch', 'dinner', 'snack', 'day']
+  },
+  calories: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 10000
+  },
+  protein: {
+    type: Number, // grams
+    required: true,
+    min: 0,
+    max: 500
+  },
+  carbohydrates: {
+    type: Number, // grams
+    required: true,
+    min: 0,
+    max: 1500
+  },
+  fats: {
+    type: Number, // grams
+    required: true,
+    min: 0,
+    max: 500
+  },
+  waterIntake: {
+    type: Number, // liters
+    min: 0,
+    max: 15
+  },
+  notes: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+nutritionLogSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+nutritionLogSchema.index({ athleteId: 1, date: 1 });
+
+module.exports = mongoose.model('NutritionLog', nutritionLogSchema);
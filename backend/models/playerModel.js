@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const garScoringService = require('../services/garScoringService');
+const searchIndexService = require('../services/searchIndexService');
 
 const playerSchema = new mongoose.Schema({
     name: {
@@ -6,10 +8,24 @@ const playerSchema = new mongoose.Schema({
         required: true,
         trim: true
     },
+    sport: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: 'football'
+    },
+    // Positions come from the sport's GAR profile (football QB, basketball PG, soccer FWD...)
     position: {
         type: String,
         required: true,
-        enum: ['QB', 'RB', 'WR', 'TE', 'OL', 'DL', 'LB', 'CB', 'S', 'K', 'P']
+        uppercase: true,
+        trim: true,
+        validate: {
+            validator: function(value) {
+                return garScoringService.isValidPosition(this.sport, value);
+            },
+            message: props => `${props.value} is not a recognised position for this sport`
+        }
     },
     team: {
         type: String,
@@ -85,16 +101,21 @@ const playerSchema = new mongoose.Schema({
         rivals: String,
         sports247: String,
     },
-    // Performance metrics
+    // Performance metrics, keyed by the stat names in the sport's GAR profile
     stats: {
-        passingYards: { type: Number, default: 0 },
-        rushingYards: { type: Number, default: 0 },
-        receivingYards: { type: Number, default: 0 },
-        touchdowns: { type: Number, default: 0 },
-        tackles: { type: Number, default: 0 },
-        sacks: { type: Number, default: 0 },
-        interceptions: { type: Number, default: 0 }
-    },
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // GAR profile used for the stored garScore so it can be recomputed
+    garProfileVersion: String,
+    garBreakdown: {
+        technical: Number,
+        physical: Number,
+        tactical: Number,
+        mental: Number,
+        consistency: Number
+    },
+    garComputedAt: Date,
     achievements: [{
         type: String,
         trim: true
@@ -135,24 +156,17 @@ playerSchema.virtual('starRating').get(function() {
     return '★'.repeat(this.stars) + '☆'.repeat(5 - this.stars);
 });
 
-// Method to calculate GAR score based on performance
+// Method to calculate GAR score from the sport and position profile
 playerSchema.methods.calculateGAR = function(stats) {
-    // Simple GAR calculation - can be made more sophisticated
-    const baseScore = 50;
-    const statMultiplier = 0.5;
-
-    let performanceScore = 0;
     if (stats) {
-        performanceScore += (stats.passingYards || 0) * 0.001;
-        performanceScore += (stats.rushingYards || 0) * 0.002;
-        performanceScore += (stats.receivingYards || 0) * 0.002;
-        performanceScore += (stats.touchdowns || 0) * 2;
-        performanceScore += (stats.tackles || 0) * 0.5;
-        performanceScore += (stats.sacks || 0) * 3;
-        performanceScore += (stats.interceptions || 0) * 2;
+        this.stats = stats;
     }
 
-    this.garScore = Math.min(100, Math.max(0, baseScore + performanceScore));
+    const result = garScoringService.score(this.toObject());
+    this.garScore = result.total;
+    this.garBreakdown = result.breakdown;
+    this.garProfileVersion = result.profileVersion;
+    this.garComputedAt = result.computedAt;
     return this.garScore;
 };
 
@@ -186,6 +200,23 @@ playerSchema.methods.calculateHighlightScore = function() {
     return this.highlightScore;
 };
 
+// Keep the athlete search index in sync with profile writes
+playerSchema.post('save', function(doc) {
+    searchIndexService.indexAthlete('players', doc.toObject());
+});
+
+playerSchema.post('findOneAndUpdate', function(doc) {
+    if (doc) searchIndexService.indexAthlete('players', doc.toObject());
+});
+
+playerSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+    searchIndexService.removeAthlete('players', doc._id);
+});
+
+playerSchema.post('findOneAndDelete', function(doc) {
+    if (doc) searchIndexService.removeAthlete('players', doc._id);
+});
+
 const Player = mongoose.model('Player', playerSchema);
 
 module.exports = Player;
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['waiting', 'active', 'completed', 'dead', 'cancelled'];
+
+// Queued Job Model
+// One unit of background work held by the Mongo job queue driver
+const queuedJobSchema = new mongoose.Schema({
+  // Generated by the queue (job_<time>_<suffix>) so ids look the same under every driver
+  _id: String,
+  queue: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  // Higher runs first (see services/queue PRIORITIES)
+  priority: {
+    type: Number,
+    default: 2
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'waiting'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  backoffMs: Number,
+  maxBackoffMs: Number,
+  idempotencyKey: String,
+  // Copy of idempotencyKey while the job is waiting or active; unset once it finishes
+  dedupeKey: String,
+  availableAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Visibility timeout: an active job whose lease expires is handed to another worker
+  leaseToken: String,
+  leaseExpiresAt: Date,
+  reservedBy: String,
+  progress: {
+    type: Number,
+    default: 0
+  },
+  result: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  failures: [{
+    attempt: Number,
+    error: String,
+    at: Date
+  }],
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+queuedJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+queuedJobSchema.index({ queue: 1, status: 1, priority: -1, createdAt: 1 });
+queuedJobSchema.index({ queue: 1, status: 1, leaseExpiresAt: 1 });
+queuedJobSchema.index({ queue: 1, status: 1, finishedAt: 1 });
+queuedJobSchema.index(
+  { queue: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+);
+
+queuedJobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('QueuedJob', queuedJobSchema);
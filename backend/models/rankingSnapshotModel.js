@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const SNAPSHOT_CAUSES = ['initial', 'stat_update', 'scrape', 'admin_adjustment', 'recompute'];
+
+// Ranking Snapshot Model
+// One document per GAR change, so rankings can be rebuilt as of any past date
+const rankingSnapshotSchema = new mongoose.Schema({
+  // Player _id, scraped athlete _id or mock database id
+  athleteId: {
+    type: String,
+    required: true
+  },
+  name: String,
+  // Cohort attributes at the time of the change
+  sport: {
+    type: String,
+    lowercase: true,
+    default: 'football'
+  },
+  position: {
+    type: String,
+    uppercase: true
+  },
+  state: String,
+  recruitingClass: Number,
+  // Score
+  garScore: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  previousGarScore: Number,
+  garBreakdown: {
+    technical: Number,
+    physical: Number,
+    tactical: Number,
+    mental: Number,
+    consistency: Number
+  },
+  profileVersion: String,
+  // Ranks within the sport when the snapshot was taken
+  ranks: {
+    overall: Number,
+    position: Number,
+    state: Number,
+    recruitingClass: Number
+  },
+  previousRanks: {
+    overall: Number,
+    position: Number,
+    state: Number,
+    recruitingClass: Number
+  },
+  // Why the score changed
+  cause: {
+    type: String,
+    enum: SNAPSHOT_CAUSES,
+    required: true
+  },
+  causeDetail: {
+    actor: String,
+    reason: String,
+    source: String,
+    adjustment: Number
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for performance
+rankingSnapshotSchema.index({ athleteId: 1, recordedAt: -1 });
+rankingSnapshotSchema.index({ sport: 1, recordedAt: -1 });
+rankingSnapshotSchema.index({ cause: 1, recordedAt: -1 });
+
+// Get an athlete's latest snapshot on or before a date
+rankingSnapshotSchema.statics.getLatestBefore = function(athleteId, date = new Date()) {
+  return this.findOne({ athleteId, recordedAt: { $lte: date } }).sort({ recordedAt: -1 });
+};
+
+rankingSnapshotSchema.statics.SNAPSHOT_CAUSES = SNAPSHOT_CAUSES;
+
+module.exports = mongoose.model('RankingSnapshot', rankingSnapshotSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// Recruiting Contact Log Model
+const recruitingContactSchema = new mongoose.Schema({
+  athleteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Athlete',
+    required: true
+  },
+  // Contact details
+  contactType: {
+    type: String,
+    enum: [
+      'call',
+      'text',
+      'official_visit',
+      'unofficial_visit',
+      'in_person'
+    ],
+    required: true
+  },
+  coachName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  school: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  loggedBy: {
+    type: String,
+    trim: true
+  },
+  // Recruiting calendar context at the time of contact
+  sport: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  division: {
+    type: String,
+    enum: ['division1', 'division2', 'division3']
+  },
+  recruitingPeriod: {
+    type: String,
+    enum: ['contact', 'evaluation', 'quiet', 'dead']
+  },
+  calendarVersion: String,
+  // Rule violations detected when the contact was logged
+  violations: [{
+    rule: {
+      type: String,
+      enum: ['period_restriction', 'weekly_limit', 'monthly_limit', 'type_limit'],
+      required: true
+    },
+    message: String,
+    citation: String
+  }],
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for performance
+recruitingContactSchema.index({ athleteId: 1, occurredAt: -1 });
+recruitingContactSchema.index({ athleteId: 1, school: 1, contactType: 1 });
+recruitingContactSchema.index({ 'violations.rule': 1 });
+
+// Pre-save middleware
+recruitingContactSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Count contacts for an athlete in a date window, optionally by type or school
+recruitingContactSchema.statics.countContacts = function(athleteId, { since, until, contactType, school } = {}) {
+  const query = { athleteId };
+
+  if (since || until) {
+    query.occurredAt = {};
+    if (since) query.occurredAt.$gte = since;
+    if (until) query.occurredAt.$lte = until;
+  }
+  if (contactType) query.contactType = contactType;
+  if (school) query.school = school;
+
+  return this.countDocuments(query);
+};
+
+// Method to check if the contact was logged with rule violations
+recruitingContactSchema.methods.isViolation = function() {
+  return this.violations.length > 0;
+};
+
+module.exports = mongoose.model('RecruitingContact', recruitingContactSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const VERSION_STATUSES = ['candidate', 'active', 'retired'];
+
+// Risk Model Version Model
+// One trained model artifact per version. Exactly one version per model name is active
+// and served; the rest are candidates that were never promoted or retired ones kept for
+// rollback.
+const riskModelVersionSchema = new mongoose.Schema({
+  // riskmodel_<time>_<suffix>, shared with the in-memory fallback
+  _id: String,
+  modelName: {
+    type: String,
+    required: true
+  },
+  // 1, 2, 3... per model name
+  version: {
+    type: Number,
+    required: true
+  },
+  algorithm: {
+    type: String,
+    required: true
+  },
+  featureNames: [String],
+  // Fitted parameters: weights by feature name, intercept and risk level thresholds
+  artifact: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Hold-out evaluation (AUC, Brier, log loss, calibration) and the hand-weighted baseline on the same split
+  metrics: mongoose.Schema.Types.Mixed,
+  // Sample counts, labelling window and hyperparameters
+  training: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: VERSION_STATUSES,
+    default: 'candidate'
+  },
+  // A pinned active version is not replaced by newly trained ones
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  activatedAt: Date,
+  retiredAt: Date,
+  // Version this one replaced when it was promoted; rollback returns to it
+  previousVersion: Number,
+  trainedBy: String,
+  events: [{
+    action: {
+      type: String,
+      enum: ['trained', 'activated', 'retired', 'pinned', 'unpinned', 'rolled_back']
+    },
+    actor: String,
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+riskModelVersionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+riskModelVersionSchema.index({ modelName: 1, version: 1 }, { unique: true });
+riskModelVersionSchema.index({ modelName: 1, status: 1 });
+
+riskModelVersionSchema.statics.VERSION_STATUSES = VERSION_STATUSES;
+
+module.exports = mongoose.model('RiskModelVersion', riskModelVersionSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Watchlist = require('./watchlistModel');
+
+const SEARCH_RULE_TYPES = ['new_match'];
+const MAX_MATCHED_IDS = 20000;
+
+// Saved Search Model
+// A user's athlete search, re-run on a schedule to spot athletes that newly match it
+const savedSearchSchema = new mongoose.Schema({
+  // search_<time>_<suffix>, shared with the in-memory fallback
+  _id: String,
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Free text matched against name and school
+  query: String,
+  filters: {
+    sport: String,
+    position: String,
+    school: String,
+    minGarScore: Number
+  },
+  rules: [Watchlist.watchRuleSchema],
+  delivery: {
+    type: Watchlist.watchDeliverySchema,
+    default: () => ({})
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Why a scheduled run switched the search off (e.g. it outgrew MAX_MATCHED_IDS); cleared when
+  // the owner edits or re-enables it
+  pausedReason: String,
+  // Every athlete matching on the last run, then earlier matches that have since drifted out;
+  // anything not listed here is a new match
+  matchedIds: [String],
+  lastRunAt: Date,
+  lastMatchCount: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+savedSearchSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+savedSearchSchema.index({ userId: 1, name: 1 });
+savedSearchSchema.index({ active: 1 });
+
+savedSearchSchema.statics.SEARCH_RULE_TYPES = SEARCH_RULE_TYPES;
+savedSearchSchema.statics.MAX_MATCHED_IDS = MAX_MATCHED_IDS;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
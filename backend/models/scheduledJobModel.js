@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Scheduled Job Model
+// One cron schedule. The lock is claimed atomically so only one instance runs each occurrence.
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: String,
+  cron: {
+    type: String,
+    required: true
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  pausedBy: String,
+  pausedAt: Date,
+  pauseReason: String,
+  nextRunAt: Date,
+  // Runs are abandoned if they hold the lock longer than this
+  timeoutMinutes: {
+    type: Number,
+    default: 60
+  },
+  lock: {
+    owner: String,
+    runId: String,
+    acquiredAt: Date,
+    expiresAt: Date
+  },
+  lastRunAt: Date,
+  lastRunStatus: String,
+  lastRunId: String,
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+scheduledJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+scheduledJobSchema.index({ paused: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
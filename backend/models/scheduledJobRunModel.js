@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const RUN_TRIGGERS = ['schedule', 'manual'];
+const RUN_STATUSES = ['running', 'completed', 'partial', 'failed', 'abandoned'];
+
+// Scheduled Job Run Model
+// History of one execution of a scheduled job
+const scheduledJobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: RUN_TRIGGERS,
+    required: true
+  },
+  triggeredBy: String,
+  // Process that held the lock (hostname-pid-suffix)
+  instanceId: String,
+  status: {
+    type: String,
+    enum: RUN_STATUSES,
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  athletesTouched: {
+    type: Number,
+    default: 0
+  },
+  failures: [{
+    target: String,
+    error: String
+  }],
+  error: String,
+  details: mongoose.Schema.Types.Mixed
+});
+
+// Indexes for performance
+scheduledJobRunSchema.index({ jobName: 1, startedAt: -1 });
+scheduledJobRunSchema.index({ status: 1, startedAt: -1 });
+
+scheduledJobRunSchema.statics.RUN_TRIGGERS = RUN_TRIGGERS;
+scheduledJobRunSchema.statics.RUN_STATUSES = RUN_STATUSES;
+
+module.exports = mongoose.model('ScheduledJobRun', scheduledJobRunSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const BUCKET_RETENTION_DAYS = 30;
+
+// Scrape Health Bucket Model
+// One hour of fetches and parses for one source; counters are only ever incremented
+const scrapeHealthBucketSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true
+  },
+  // Start of the hour (UTC)
+  hour: {
+    type: Date,
+    required: true
+  },
+  // HTTP attempts, and their outcome by status code or 'timeout' / 'network'
+  fetches: {
+    type: Number,
+    default: 0
+  },
+  statuses: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Pages handed to the adapter's parser
+  pages: {
+    type: Number,
+    default: 0
+  },
+  emptyPages: {
+    type: Number,
+    default: 0
+  },
+  parseErrors: {
+    type: Number,
+    default: 0
+  },
+  records: {
+    type: Number,
+    default: 0
+  },
+  fieldsExtracted: {
+    type: Number,
+    default: 0
+  },
+  // Records with each field filled, keyed by field path with ':' for '.' (stats:passingYards)
+  fields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+scrapeHealthBucketSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+scrapeHealthBucketSchema.index({ source: 1, hour: 1 }, { unique: true });
+scrapeHealthBucketSchema.index({ hour: 1 }, { expireAfterSeconds: BUCKET_RETENTION_DAYS * 24 * 60 * 60 });
+
+scrapeHealthBucketSchema.statics.BUCKET_RETENTION_DAYS = BUCKET_RETENTION_DAYS;
+
+module.exports = mongoose.model('ScrapeHealthBucket', scrapeHealthBucketSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const SAMPLE_REASONS = ['empty_page', 'parse_error', 'http_error'];
+const SAMPLE_RETENTION_DAYS = 14;
+
+// Scrape Sample Model
+// A page that failed to yield records, kept so parser breakage can be debugged against the real HTML
+const scrapeSampleSchema = new mongoose.Schema({
+  // sample_<time>_<suffix>, shared with the in-memory fallback
+  _id: String,
+  source: {
+    type: String,
+    required: true
+  },
+  url: String,
+  // HTTP status code, or 'timeout' / 'network'
+  status: mongoose.Schema.Types.Mixed,
+  reason: {
+    type: String,
+    enum: SAMPLE_REASONS,
+    required: true
+  },
+  error: String,
+  html: String,
+  // Set when html was cut to the size limit
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+scrapeSampleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+scrapeSampleSchema.index({ source: 1, capturedAt: -1 });
+scrapeSampleSchema.index({ capturedAt: 1 }, { expireAfterSeconds: SAMPLE_RETENTION_DAYS * 24 * 60 * 60 });
+
+scrapeSampleSchema.statics.SAMPLE_REASONS = SAMPLE_REASONS;
+scrapeSampleSchema.statics.SAMPLE_RETENTION_DAYS = SAMPLE_RETENTION_DAYS;
+
+module.exports = mongoose.model('ScrapeSample', scrapeSampleSchema);
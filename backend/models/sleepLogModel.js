@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Sleep Log Model
+// One entry per athlete per night, dated by the day the athlete woke up
+const sleepLogSchema = new mongoose.Schema({
+  // sleep_<time>_<suffix>, shared with the in-memory fallback
+  _id: String,
+  athleteId: {
+    type: String,
+    required: true
+  },
+  // User who logged the night (the athlete, a parent or a trainer)
+  userId: {
+    type: String,
+    required: true
+  },
+  // UTC midnight of the wake-up day
+  date: {
+    type: Date,
+    required: true
+  },
+  hours: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 24
+  },
+  // Self-rated or device sleep quality, 0-100
+  quality: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  bedtime: {
+    type: String, // HH:MM, 24h
+    required: true
+  },
+  waketime: {
+    type: String, // HH:MM, 24h
+    required: true
+  },
+  // Optional device readings
+  disturbances: {
+    type: Number,
+    min: 0
+  },
+  remPercentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  deepSleepPercentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'device'],
+    default: 'manual'
+  },
+  notes: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+sleepLogSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+sleepLogSchema.index({ athleteId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('SleepLog', sleepLogSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Core-course categories recognised by the NCAA Eligibility Center
+const CORE_CATEGORIES = [
+  'english',
+  'math',
+  'naturalScience',
+  'socialScience',
+  'foreignLanguage',
+  'religionPhilosophy',
+  'additional',
+  'none'
+];
+
+const courseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  gradeLevel: {
+    type: Number,
+    enum: [9, 10, 11, 12],
+    required: true
+  },
+  term: {
+    type: String,
+    enum: ['fall', 'spring', 'full_year', 'summer'],
+    default: 'full_year'
+  },
+  coreCategory: {
+    type: String,
+    enum: CORE_CATEGORIES,
+    default: 'none'
+  },
+  // Full-year course = 1 unit, semester course = 0.5 unit
+  units: {
+    type: Number,
+    default: 1,
+    min: 0.25,
+    max: 2
+  },
+  grade: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Optional numeric override when the school reports quality points directly
+  gradePoints: {
+    type: Number,
+    min: 0,
+    max: 5
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'in_progress', 'planned'],
+    default: 'completed'
+  },
+  ncaaApproved: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Academic Transcript Model
+const transcriptSchema = new mongoose.Schema({
+  athleteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Athlete',
+    required: true,
+    unique: true
+  },
+  schoolName: {
+    type: String,
+    trim: true
+  },
+  graduationYear: {
+    type: Number
+  },
+  currentGradeLevel: {
+    type: Number,
+    enum: [9, 10, 11, 12],
+    default: 9
+  },
+  currentTerm: {
+    type: String,
+    enum: ['fall', 'spring'],
+    default: 'fall'
+  },
+  courses: [courseSchema],
+  // Metadata
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Pre-save middleware
+transcriptSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Method to get NCAA-approved core courses, optionally filtered by status
+transcriptSchema.methods.getCoreCourses = function(status) {
+  return this.courses.filter(course =>
+    course.ncaaApproved &&
+    course.coreCategory !== 'none' &&
+    (!status || course.status === status)
+  );
+};
+
+transcriptSchema.statics.CORE_CATEGORIES = CORE_CATEGORIES;
+
+module.exports = mongoose.model('Transcript', transcriptSchema);
@@ -60,8 +60,8 @@ const userSchema = new mongoose.Schema({
     role: {
         type: String,
         enum: {
-            values: ['user', 'admin'],
-            message: 'Role must be either user or admin'
+            values: ['user', 'admin', 'compliance_officer', 'athletic_trainer', 'team_physician'],
+            message: 'Role must be user, admin, compliance_officer, athletic_trainer or team_physician'
         },
         default: 'user'
     },
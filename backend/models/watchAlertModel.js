@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const ALERT_STATUSES = ['pending', 'delivered', 'failed'];
+const SUBSCRIPTION_TYPES = ['watchlist', 'search'];
+const ALERT_RETENTION_DAYS = 60;
+
+// Watch Alert Model
+// One fired watchlist or saved-search rule; digest alerts stay pending until the digest goes out
+const watchAlertSchema = new mongoose.Schema({
+  // watchalert_<time>_<suffix>, shared with the in-memory fallback
+  _id: String,
+  userId: {
+    type: String,
+    required: true
+  },
+  subscriptionType: {
+    type: String,
+    enum: SUBSCRIPTION_TYPES,
+    required: true
+  },
+  subscriptionId: {
+    type: String,
+    required: true
+  },
+  subscriptionName: String,
+  rule: {
+    type: String,
+    required: true
+  },
+  athleteId: String,
+  athleteName: String,
+  message: String,
+  data: mongoose.Schema.Types.Mixed,
+  channels: [String],
+  digest: {
+    type: String,
+    default: 'none'
+  },
+  status: {
+    type: String,
+    enum: ALERT_STATUSES,
+    default: 'pending'
+  },
+  deliveries: [{
+    channel: String,
+    status: String,
+    error: String,
+    at: Date
+  }],
+  deliveredAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+watchAlertSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+watchAlertSchema.index({ userId: 1, createdAt: -1 });
+watchAlertSchema.index({ status: 1, digest: 1 });
+watchAlertSchema.index({ createdAt: 1 }, { expireAfterSeconds: ALERT_RETENTION_DAYS * 24 * 60 * 60 });
+
+watchAlertSchema.statics.ALERT_STATUSES = ALERT_STATUSES;
+watchAlertSchema.statics.SUBSCRIPTION_TYPES = SUBSCRIPTION_TYPES;
+
+module.exports = mongoose.model('WatchAlert', watchAlertSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const WATCH_RULE_TYPES = ['gar_change', 'new_highlight', 'new_offer', 'stat_change'];
+const GAR_DIRECTIONS = ['up', 'down', 'any'];
+const DELIVERY_CHANNELS = ['inApp', 'email'];
+const DIGEST_FREQUENCIES = ['none', 'daily', 'weekly'];
+
+// Rule and delivery settings, shared with saved searches
+const watchRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  // gar_change: minimum points moved since the last check
+  threshold: Number,
+  direction: {
+    type: String,
+    enum: GAR_DIRECTIONS
+  },
+  // stat_change: only this stat (e.g. passingYards); any stat when empty
+  field: String
+}, { _id: false });
+
+const watchDeliverySchema = new mongoose.Schema({
+  channels: {
+    type: [{ type: String, enum: DELIVERY_CHANNELS }],
+    default: ['inApp']
+  },
+  // 'none' sends each alert as it fires; otherwise alerts wait for the digest
+  digest: {
+    type: String,
+    enum: DIGEST_FREQUENCIES,
+    default: 'none'
+  }
+}, { _id: false });
+
+// Watchlist Model
+// A user's list of followed athletes and the changes they want to hear about
+const watchlistSchema = new mongoose.Schema({
+  // watchlist_<time>_<suffix>, shared with the in-memory fallback
+  _id: String,
+  userId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Scraped athlete record ids
+  athleteIds: [String],
+  rules: [watchRuleSchema],
+  delivery: {
+    type: watchDeliverySchema,
+    default: () => ({})
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Changes after this time are checked on the next evaluation
+  lastEvaluatedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+watchlistSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+watchlistSchema.index({ userId: 1, name: 1 });
+watchlistSchema.index({ active: 1 });
+watchlistSchema.index({ athleteIds: 1 });
+
+watchlistSchema.statics.WATCH_RULE_TYPES = WATCH_RULE_TYPES;
+watchlistSchema.statics.GAR_DIRECTIONS = GAR_DIRECTIONS;
+watchlistSchema.statics.DELIVERY_CHANNELS = DELIVERY_CHANNELS;
+watchlistSchema.statics.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+watchlistSchema.statics.watchRuleSchema = watchRuleSchema;
+watchlistSchema.statics.watchDeliverySchema = watchDeliverySchema;
+
+module.exports = mongoose.model('Watchlist', watchlistSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Wellness Log Model
+// Daily self-report questionnaire; one entry per athlete per day
+const wellnessLogSchema = new mongoose.Schema({
+  // wellness_<time>_<suffix>, shared with the in-memory fallback
+  _id: String,
+  athleteId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  // UTC midnight of the day reported on
+  date: {
+    type: Date,
+    required: true
+  },
+  // 1-10 scales: higher soreness and stress are worse, higher mood is better
+  soreness: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 10
+  },
+  mood: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 10
+  },
+  stress: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 10
+  },
+  // Overall session RPE for the day (CR-10); 0 on a rest day
+  rpe: {
+    type: Number,
+    min: 0,
+    max: 10
+  },
+  // Morning heart rate variability (RMSSD, ms) if the athlete has a device
+  hrv: {
+    type: Number,
+    min: 0,
+    max: 300
+  },
+  notes: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+wellnessLogSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for performance
+wellnessLogSchema.index({ athleteId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('WellnessLog', wellnessLogSchema);
@@ -3,11 +3,13 @@
 
 const express = require('express');
 const router = express.Router();
-const advancedInjuryPreventionService = require('../services/advancedInjuryPreventionService');
+const AdvancedInjuryPreventionService = require('../services/advancedInjuryPreventionService');
 const { verifyToken } = require('../middleware/auth');
 const multer = require('multer');
 const { body, param, validationResult } = require('express-validator');
 
+const advancedInjuryPreventionService = new AdvancedInjuryPreventionService();
+
 // Configure multer for image uploads
 const upload = multer({
   limits: {
@@ -606,7 +606,7 @@ router.get('/permissions', async (req, res) => {
 function getEventDescription(event) {
   const descriptions = {
     'athlete.created': 'Triggered when a new athlete profile is created',
-    'athlete.updated': 'Triggered when an athlete profile is updated',
+    'athlete.updated': 'Triggered when an athlete profile is updated, with the changed fields',
     'performance.recorded': 'Triggered when new performance data is recorded',
     'training.completed': 'Triggered when a training session is completed',
     'injury.reported': 'Triggered when an injury is reported',
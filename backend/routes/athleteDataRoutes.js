@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const adminService = require('../services/adminService');
+const provenanceService = require('../services/provenanceService');
+const athleteChangeFeedService = require('../services/athleteChangeFeedService');
+const DataStorageService = require('../services/dataStorageService');
+
+const dataStorageService = new DataStorageService();
+dataStorageService.initialize().catch(err => console.error('Data storage service initialization failed:', err));
+
+// Source priorities, recency decay and per-field rules in effect
+router.get('/provenance/rules', authenticateToken, (req, res) => {
+  try {
+    res.json({ rules: provenanceService.getRules() });
+  } catch (error) {
+    console.error('Error fetching provenance rules:', error);
+    res.status(500).json({ error: 'Failed to fetch provenance rules' });
+  }
+});
+
+// Change feed across all athletes, newest first; poll with ?since=<last recordedAt>
+router.get('/changes', authenticateToken, async (req, res) => {
+  try {
+    const { since, until, category, limit } = req.query;
+    const changes = await athleteChangeFeedService.getChanges({ since, until, category, limit });
+    res.json({ changes });
+  } catch (error) {
+    console.error('Error fetching athlete changes:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch athlete changes' });
+  }
+});
+
+// Field-level change log for one athlete
+router.get('/:athleteId/changes', authenticateToken, async (req, res) => {
+  try {
+    const { since, until, category, limit } = req.query;
+    const changes = await athleteChangeFeedService.getChanges({ athleteId: req.params.athleteId, since, until, category, limit });
+    res.json({ athleteId: req.params.athleteId, changes });
+  } catch (error) {
+    console.error('Error fetching athlete changes:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch athlete changes' });
+  }
+});
+
+// Where every field of an athlete record came from
+router.get('/:athleteId/provenance', authenticateToken, async (req, res) => {
+  try {
+    const athlete = await dataStorageService.getAthleteRecordById(req.params.athleteId);
+
+    if (!athlete) {
+      return res.status(404).json({ error: 'Athlete record not found' });
+    }
+
+    res.json({ athleteId: req.params.athleteId, fields: provenanceService.summarize(athlete) });
+  } catch (error) {
+    console.error('Error fetching athlete provenance:', error);
+    res.status(500).json({ error: 'Failed to fetch athlete provenance' });
+  }
+});
+
+// Why a field shows its value, e.g. /:athleteId/provenance/stats.fortyYardDash
+router.get('/:athleteId/provenance/:field', authenticateToken, async (req, res) => {
+  try {
+    const explanation = await dataStorageService.explainAthleteField(req.params.athleteId, req.params.field);
+    res.json(explanation);
+  } catch (error) {
+    console.error('Error explaining athlete field:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to explain athlete field' });
+  }
+});
+
+// Manually enter a field value (e.g. a coach-timed 40); it competes with scraped values by source priority
+router.put('/:athleteId/fields/:field', authenticateToken, async (req, res) => {
+  try {
+    if (!adminService.verifyAdminAccess(req.user?.id)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const result = await dataStorageService.recordManualValue(req.params.athleteId, req.params.field, req.body.value, {
+      actor: req.user.id,
+      note: req.body.note
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error recording manual athlete value:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to record value' });
+  }
+});
+
+module.exports = router;
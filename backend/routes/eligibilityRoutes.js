@@ -4,6 +4,22 @@ const eligibilityService = require('../services/eligibilityService');
 const eligibilityCoach = require('../services/eligibilityCoach');
 const { authenticateToken } = require('../middleware/auth');
 
+// Amateurism review actions are limited to compliance staff
+const requireComplianceRole = (req, res, next) => {
+  if (req.user.role !== 'admin' && req.user.role !== 'compliance_officer') {
+    return res.status(403).json({ error: 'Compliance officer access required' });
+  }
+  next();
+};
+
+// An athlete's recruiting contacts are open to the athlete and to compliance staff
+const requireAthleteOrCompliance = (req, res, next) => {
+  if (String(req.user.id) !== req.params.athleteId && req.user.role !== 'admin' && req.user.role !== 'compliance_officer') {
+    return res.status(403).json({ error: 'Recruiting contacts are restricted to the athlete and compliance staff' });
+  }
+  next();
+};
+
 // Initialize eligibility for new athlete
 router.post('/initialize/:athleteId', authenticateToken, async (req, res) => {
   try {
@@ -57,6 +73,23 @@ router.post('/:athleteId/competition', authenticateToken, async (req, res) => {
   }
 });
 
+// Compare projected eligibility timelines for what-if scenarios
+router.post('/:athleteId/scenarios', authenticateToken, async (req, res) => {
+  try {
+    const scenarios = Array.isArray(req.body.scenarios) ? req.body.scenarios : [req.body];
+
+    if (scenarios.length === 0 || scenarios.length > 5) {
+      return res.status(400).json({ error: 'Between one and five scenarios are required' });
+    }
+
+    const result = await eligibilityService.simulateEligibilityScenarios(req.params.athleteId, scenarios);
+    res.json(result);
+  } catch (error) {
+    console.error('Error simulating eligibility scenarios:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to simulate eligibility scenarios' });
+  }
+});
+
 // Update academic standing
 router.put('/:athleteId/academic', authenticateToken, async (req, res) => {
   try {
@@ -81,7 +114,7 @@ router.post('/:athleteId/amateurism', authenticateToken, async (req, res) => {
 
     const result = await eligibilityService.recordAmateurismActivity(
       req.params.athleteId,
-      earningsData
+      { ...earningsData, reportedBy: req.user?.id }
     );
 
     res.json(result);
@@ -91,10 +124,128 @@ router.post('/:athleteId/amateurism', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the compliance review queue
+router.get('/amateurism/review-queue', authenticateToken, requireComplianceRole, async (req, res) => {
+  try {
+    const { status, assignedTo, athleteId, limit = 50, page = 1 } = req.query;
+
+    const queue = await eligibilityService.getReviewQueue({
+      statuses: status ? status.split(',') : undefined,
+      assignedTo: assignedTo === 'me' ? req.user.id : assignedTo,
+      athleteId,
+      limit: parseInt(limit),
+      page: parseInt(page)
+    });
+
+    res.json(queue);
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+});
+
+// Assign an amateurism activity for review
+router.post('/amateurism/:activityId/assign', authenticateToken, requireComplianceRole, async (req, res) => {
+  try {
+    const result = await eligibilityService.assignAmateurismReview(
+      req.params.activityId,
+      req.body.reviewer || req.user.id
+    );
+    res.json(result);
+  } catch (error) {
+    console.error('Error assigning review:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to assign review' });
+  }
+});
+
+// Attach evidence uploaded through /api/v1/media/upload; open to compliance staff and the
+// athlete the activity belongs to, with files they uploaded themselves
+router.post('/amateurism/:activityId/documents', authenticateToken, async (req, res) => {
+  try {
+    const { mediaId, type } = req.body;
+
+    if (!mediaId) {
+      return res.status(400).json({ error: 'mediaId of an uploaded file is required' });
+    }
+
+    const result = await eligibilityService.attachAmateurismDocument(
+      req.params.activityId,
+      { mediaId, type },
+      req.user
+    );
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error attaching document:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to attach document' });
+  }
+});
+
+// Approve, deny or return an amateurism activity to review
+router.post('/amateurism/:activityId/review', authenticateToken, requireComplianceRole, async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+
+    if (!['pending', 'under_review', 'approved', 'denied'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be pending, under_review, approved or denied' });
+    }
+
+    const result = await eligibilityService.reviewAmateurismActivity(
+      req.params.activityId,
+      { status, notes },
+      req.user.id
+    );
+    res.json(result);
+  } catch (error) {
+    console.error('Error reviewing amateurism activity:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to review amateurism activity' });
+  }
+});
+
+// Add a reviewer note
+router.post('/amateurism/:activityId/notes', authenticateToken, requireComplianceRole, async (req, res) => {
+  try {
+    if (!req.body.notes) {
+      return res.status(400).json({ error: 'Notes are required' });
+    }
+
+    const result = await eligibilityService.addAmateurismReviewNote(
+      req.params.activityId,
+      req.body.notes,
+      req.user.id
+    );
+    res.json(result);
+  } catch (error) {
+    console.error('Error adding review note:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to add review note' });
+  }
+});
+
+// Get the review audit trail
+router.get('/amateurism/:activityId/audit', authenticateToken, requireComplianceRole, async (req, res) => {
+  try {
+    const trail = await eligibilityService.getAmateurismAuditTrail(req.params.activityId);
+    res.json(trail);
+  } catch (error) {
+    console.error('Error fetching audit trail:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch audit trail' });
+  }
+});
+
 // Get recruiting status
-router.get('/:athleteId/recruiting/status', authenticateToken, async (req, res) => {
+router.get('/:athleteId/recruiting/status', authenticateToken, requireAthleteOrCompliance, async (req, res) => {
   try {
-    const status = await eligibilityService.getRecruitingStatus(req.params.athleteId);
+    const { sport, division, date } = req.query;
+    const statusDate = date ? new Date(date) : undefined;
+
+    if (statusDate && isNaN(statusDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+
+    const status = await eligibilityService.getRecruitingStatus(req.params.athleteId, {
+      sport,
+      division,
+      date: statusDate
+    });
     res.json(status);
   } catch (error) {
     console.error('Error fetching recruiting status:', error);
@@ -102,6 +253,53 @@ router.get('/:athleteId/recruiting/status', authenticateToken, async (req, res)
   }
 });
 
+// Log a recruiting contact
+router.post('/:athleteId/recruiting/contacts', authenticateToken, requireAthleteOrCompliance, async (req, res) => {
+  try {
+    const { contactType, coachName, school, occurredAt } = req.body;
+
+    if (!contactType || !coachName || !school) {
+      return res.status(400).json({ error: 'Contact type, coach name and school are required' });
+    }
+
+    if (occurredAt && isNaN(new Date(occurredAt).getTime())) {
+      return res.status(400).json({ error: 'Invalid contact date' });
+    }
+
+    const result = await eligibilityService.recordRecruitingContact(req.params.athleteId, {
+      ...req.body,
+      loggedBy: req.user?.id
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error recording recruiting contact:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to record recruiting contact' });
+  }
+});
+
+// Get logged recruiting contacts
+router.get('/:athleteId/recruiting/contacts', authenticateToken, requireAthleteOrCompliance, async (req, res) => {
+  try {
+    const { since, contactType, school, limit } = req.query;
+
+    const contacts = await eligibilityService.getRecruitingContacts(req.params.athleteId, {
+      since: since ? new Date(since) : undefined,
+      contactType,
+      school,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({ contacts, count: contacts.length });
+  } catch (error) {
+    console.error('Error fetching recruiting contacts:', error);
+    res.status(500).json({ error: 'Failed to fetch recruiting contacts' });
+  }
+});
+
 // Get comprehensive eligibility report
 router.get('/:athleteId/report', authenticateToken, async (req, res) => {
   try {
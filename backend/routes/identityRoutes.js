@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const adminService = require('../services/adminService');
+const identityResolutionService = require('../services/identityResolutionService');
+const DataStorageService = require('../services/dataStorageService');
+
+const dataStorageService = new DataStorageService();
+dataStorageService.initialize().catch(err => console.error('Data storage service initialization failed:', err));
+
+// Identity decisions change athlete records, so every route is admin-only
+const requireAdmin = (req, res, next) => {
+  if (!adminService.verifyAdminAccess(req.user?.id)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+router.use(authenticateToken, requireAdmin);
+
+// Explain how two records score against each other without storing anything
+router.post('/compare', (req, res) => {
+  try {
+    const { a, b } = req.body;
+
+    if (!a?.name || !b?.name) {
+      return res.status(400).json({ error: 'Two records with names are required' });
+    }
+
+    res.json({ comparison: identityResolutionService.compare(a, b) });
+  } catch (error) {
+    console.error('Error comparing identity records:', error);
+    res.status(500).json({ error: 'Failed to compare records' });
+  }
+});
+
+// List ambiguous pairs waiting for a decision
+router.get('/reviews', async (req, res) => {
+  try {
+    const reviews = await identityResolutionService.getReviewQueue({
+      status: req.query.status,
+      sport: req.query.sport,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+
+    res.json({ reviews });
+  } catch (error) {
+    console.error('Error fetching identity reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch identity reviews' });
+  }
+});
+
+// Merge or reject a queued pair
+router.post('/reviews/:reviewId', async (req, res) => {
+  try {
+    const { action, notes } = req.body;
+    const result = await dataStorageService.resolveIdentityReview(req.params.reviewId, action, {
+      actor: req.user.id,
+      notes
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error resolving identity review:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to resolve identity review' });
+  }
+});
+
+// Source records behind an athlete, with match evidence and history
+router.get('/athletes/:athleteId/links', async (req, res) => {
+  try {
+    const links = await identityResolutionService.getLinks(req.params.athleteId, {
+      includeUnmerged: req.query.includeUnmerged === 'true'
+    });
+
+    res.json({ athleteId: req.params.athleteId, links });
+  } catch (error) {
+    console.error('Error fetching identity links:', error);
+    res.status(500).json({ error: 'Failed to fetch identity links' });
+  }
+});
+
+// Split a source record back out into its own athlete
+router.post('/links/:linkId/unmerge', async (req, res) => {
+  try {
+    const result = await dataStorageService.unmergeAthleteRecord(req.params.linkId, {
+      actor: req.user.id,
+      reason: req.body.reason
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error unmerging identity link:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to unmerge record' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const athleteImportService = require('../services/athleteImportService');
+const adminService = require('../services/adminService');
+
+// Spreadsheets are parsed from memory; nothing is written to disk
+const upload = multer({
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.tsv', '.txt', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error('Only CSV and XLSX files can be imported'), { status: 400 }));
+    }
+  }
+});
+
+router.use(authenticateToken);
+
+// Imports create and overwrite shared athlete records, so they need the same admin access as
+// editing a single field by hand
+router.use((req, res, next) => {
+  if (!adminService.verifyAdminAccess(req.user?.id)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+});
+
+const sendError = (res, error, fallback) => {
+  console.error(`${fallback}:`, error);
+  res.status(error.status || 500).json({ error: error.status ? error.message : fallback });
+};
+
+// Athlete fields a column can be mapped to
+router.get('/fields', (req, res) => {
+  res.json({ fields: athleteImportService.getFields() });
+});
+
+// Saved column mappings
+router.get('/templates', async (req, res) => {
+  try {
+    res.json({ templates: await athleteImportService.listTemplates(req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch import templates');
+  }
+});
+
+router.post('/templates', async (req, res) => {
+  try {
+    res.status(201).json(await athleteImportService.createTemplate(req.user.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Failed to create import template');
+  }
+});
+
+router.put('/templates/:id', async (req, res) => {
+  try {
+    res.json(await athleteImportService.updateTemplate(req.user.id, req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Failed to update import template');
+  }
+});
+
+router.delete('/templates/:id', async (req, res) => {
+  try {
+    await athleteImportService.deleteTemplate(req.user.id, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete import template');
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ imports: await athleteImportService.listBatches(req.user.id) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch imports');
+  }
+});
+
+// Step 1: upload a CSV or XLSX file (multipart field "file", optional templateId);
+// returns the headers, a preview and a suggested mapping
+router.post('/', (req, res) => {
+  upload.single('file')(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        throw Object.assign(uploadError, { status: uploadError.status || 400 });
+      }
+      res.status(201).json(await athleteImportService.upload(req.user.id, req.file, { templateId: req.body.templateId }));
+    } catch (error) {
+      sendError(res, error, 'Failed to read import file');
+    }
+  });
+});
+
+// ?rowStatus=invalid|valid|imported|failed|skipped|rolled_back
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await athleteImportService.getBatch(req.user.id, req.params.id, { rowStatus: req.query.rowStatus }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch import');
+  }
+});
+
+// Step 2: dry run with { mapping: [{ column, field }], defaults, saveAsTemplate }
+router.post('/:id/validate', async (req, res) => {
+  try {
+    res.json(await athleteImportService.validate(req.user.id, req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Failed to validate import');
+  }
+});
+
+// Step 3: store the valid rows
+router.post('/:id/commit', async (req, res) => {
+  try {
+    res.json(await athleteImportService.commit(req.user.id, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to commit import');
+  }
+});
+
+// Undo every row of a committed import
+router.post('/:id/rollback', async (req, res) => {
+  try {
+    res.json(await athleteImportService.rollback(req.user.id, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to roll back import');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const injuryCaseService = require('../services/injuryCaseService');
+
+router.use(authenticateToken);
+
+const sendError = (res, error, fallback) => {
+  console.error(`${fallback}:`, error);
+  res.status(error.status || 500).json({ success: false, message: error.status ? error.message : fallback });
+};
+
+// Return-to-play protocols and their stages
+router.get('/protocols', (req, res) => {
+  res.json({ success: true, data: injuryCaseService.getProtocols() });
+});
+
+// Open a case: { athleteId, injuryId } or { athleteId, type, location, severity, ... }
+router.post('/', async (req, res) => {
+  try {
+    res.status(201).json({ success: true, data: await injuryCaseService.openCase(req.user, req.body) });
+  } catch (error) {
+    sendError(res, error, 'Failed to open injury case');
+  }
+});
+
+// An athlete's cases (?status=active|rehab|cleared)
+router.get('/athlete/:athleteId', async (req, res) => {
+  try {
+    const cases = await injuryCaseService.listCases(req.params.athleteId, req.user, { status: req.query.status });
+    res.json({ success: true, data: cases });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch injury cases');
+  }
+});
+
+// Training restrictions in force for an athlete; coaches plan around these, so they carry no
+// medical notes and are open to any signed-in user
+router.get('/athlete/:athleteId/restrictions', async (req, res) => {
+  try {
+    res.json({ success: true, data: await injuryCaseService.getActiveRestrictions(req.params.athleteId) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch restrictions');
+  }
+});
+
+router.get('/:caseId', async (req, res) => {
+  try {
+    res.json({ success: true, data: await injuryCaseService.getCase(req.params.caseId, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch injury case');
+  }
+});
+
+// Daily progress note: { notes, painLevel, symptoms, activities, date }
+router.post('/:caseId/notes', async (req, res) => {
+  try {
+    res.status(201).json({ success: true, data: await injuryCaseService.addProgressNote(req.params.caseId, req.user, req.body) });
+  } catch (error) {
+    sendError(res, error, 'Failed to add progress note');
+  }
+});
+
+// Move to the next protocol stage: { reason }
+router.post('/:caseId/advance', async (req, res) => {
+  try {
+    res.json({ success: true, data: await injuryCaseService.advanceStage(req.params.caseId, req.user, req.body) });
+  } catch (error) {
+    sendError(res, error, 'Failed to advance injury case');
+  }
+});
+
+// Move back a stage: { reason }
+router.post('/:caseId/regress', async (req, res) => {
+  try {
+    res.json({ success: true, data: await injuryCaseService.regressStage(req.params.caseId, req.user, req.body) });
+  } catch (error) {
+    sendError(res, error, 'Failed to move injury case back');
+  }
+});
+
+// Clearance sign-off by a clinician the protocol allows: { notes }
+router.post('/:caseId/clearance', async (req, res) => {
+  try {
+    res.json({ success: true, data: await injuryCaseService.signOffClearance(req.params.caseId, req.user, req.body) });
+  } catch (error) {
+    sendError(res, error, 'Failed to sign off clearance');
+  }
+});
+
+// Extra restriction: { kind, value, reason }
+router.post('/:caseId/restrictions', async (req, res) => {
+  try {
+    res.status(201).json({ success: true, data: await injuryCaseService.addRestriction(req.params.caseId, req.user, req.body) });
+  } catch (error) {
+    sendError(res, error, 'Failed to add restriction');
+  }
+});
+
+router.delete('/:caseId/restrictions/:restrictionId', async (req, res) => {
+  try {
+    res.json({ success: true, data: await injuryCaseService.liftRestriction(req.params.caseId, req.params.restrictionId, req.user) });
+  } catch (error) {
+    sendError(res, error, 'Failed to lift restriction');
+  }
+});
+
+module.exports = router;
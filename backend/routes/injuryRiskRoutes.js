@@ -6,9 +6,110 @@ const InjuryRiskModel = require('../services/injuryRiskModel');
 const Injury = require('../models/injuryModel');
 const TrainingSession = require('../models/trainingSessionModel');
 const Player = require('../models/playerModel');
+const workloadService = require('../services/workloadService');
+const adminService = require('../services/adminService');
 
 const injuryRiskModel = new InjuryRiskModel();
 
+// Model registry routes come before /:athleteId so "models" is not read as an athlete ID
+
+// List trained model versions with their hold-out metrics
+router.get('/models', authMiddleware.verifyToken, async (req, res) => {
+  try {
+    const versions = await injuryRiskModel.listVersions();
+
+    res.json({
+      success: true,
+      data: {
+        served: versions.find(version => version.status === 'active') || null,
+        versions
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing injury risk model versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing model versions',
+      error: error.message
+    });
+  }
+});
+
+// Queue training of a new version from stored sessions and injury records (admin only).
+// Training runs on the job queue; poll /models/jobs/:jobId for the registered version
+router.post('/models/train', authMiddleware.verifyToken, async (req, res) => {
+  try {
+    if (!adminService.verifyAdminAccess(req.user?.id)) {
+      return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+
+    const { job, created } = await injuryRiskModel.queueTraining({ ...req.body, actor: req.user.id });
+
+    res.status(202).json({
+      success: true,
+      message: created ? 'Training queued' : 'Training is already queued',
+      data: formatTrainingJob(job)
+    });
+
+  } catch (error) {
+    console.error('Error queueing injury risk model training:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error queueing injury risk model training',
+      error: error.message
+    });
+  }
+});
+
+// Status of a training run, with the registered version once it completes (admin only)
+router.get('/models/jobs/:jobId', authMiddleware.verifyToken, async (req, res) => {
+  try {
+    if (!adminService.verifyAdminAccess(req.user?.id)) {
+      return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+
+    const job = await injuryRiskModel.getTrainingJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Training job not found' });
+    }
+
+    res.json({
+      success: true,
+      data: formatTrainingJob(job)
+    });
+
+  } catch (error) {
+    console.error('Error fetching injury risk model training job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching training job',
+      error: error.message
+    });
+  }
+});
+
+// Serve a version and pin it there (admin only)
+router.post('/models/:version/pin', authMiddleware.verifyToken, async (req, res) => {
+  await changeServedModel(req, res, () => {
+    const version = parseInt(req.params.version);
+    if (!(version > 0)) {
+      throw Object.assign(new Error('version must be a positive integer'), { status: 400 });
+    }
+    return injuryRiskModel.pinVersion(version, { actor: req.user.id, reason: req.body.reason });
+  });
+});
+
+// Let newly trained versions replace the served one again (admin only)
+router.delete('/models/pin', authMiddleware.verifyToken, async (req, res) => {
+  await changeServedModel(req, res, () => injuryRiskModel.unpin({ actor: req.user.id, reason: req.body?.reason }));
+});
+
+// Go back to the previously served version (admin only)
+router.post('/models/rollback', authMiddleware.verifyToken, async (req, res) => {
+  await changeServedModel(req, res, () => injuryRiskModel.rollback({ actor: req.user.id, reason: req.body.reason }));
+});
+
 // Get injury risk assessment for an athlete
 router.get('/:athleteId', authMiddleware.verifyToken, async (req, res) => {
   try {
@@ -37,18 +138,7 @@ router.get('/:athleteId', authMiddleware.verifyToken, async (req, res) => {
     });
 
     // Prepare athlete data for risk assessment
-    const athleteData = {
-      age: calculateAge(athlete.year),
-      weight: athlete.weight,
-      height: athlete.height,
-      position: athlete.position,
-      trainingLoad: calculateAverageTrainingLoad(recentSessions),
-      sessionFrequency: calculateSessionFrequency(recentSessions, days),
-      recoveryTime: calculateAverageRecoveryTime(recentSessions),
-      recentPerformance: athlete.garScore,
-      previousInjuries: injuryHistory,
-      chronicConditions: [] // Would need to be stored separately
-    };
+    const athleteData = injuryRiskModel.buildAthleteData(athlete, recentSessions, injuryHistory, days);
 
     // Calculate risk
     const riskAssessment = await injuryRiskModel.calculateRisk(athleteData);
@@ -113,18 +203,7 @@ router.get('/:athleteId/trends', authMiddleware.verifyToken, async (req, res) =>
         dateOccurred: { $gte: monthStart, $lte: monthEnd }
       });
 
-      const athleteData = {
-        age: calculateAge(athlete.year),
-        weight: athlete.weight,
-        height: athlete.height,
-        position: athlete.position,
-        trainingLoad: calculateAverageTrainingLoad(monthSessions),
-        sessionFrequency: calculateSessionFrequency(monthSessions, 30),
-        recoveryTime: calculateAverageRecoveryTime(monthSessions),
-        recentPerformance: athlete.garScore,
-        previousInjuries: monthInjuries,
-        chronicConditions: []
-      };
+      const athleteData = injuryRiskModel.buildAthleteData(athlete, monthSessions, monthInjuries, 30);
 
       const riskAssessment = await injuryRiskModel.calculateRisk(athleteData);
 
@@ -159,6 +238,40 @@ router.get('/:athleteId/trends', authMiddleware.verifyToken, async (req, res) =>
   }
 });
 
+// Get the training workload time series (session-RPE load, acute:chronic ratios,
+// monotony and strain) with sweet-spot and danger-zone weeks flagged
+router.get('/:athleteId/workload', authMiddleware.verifyToken, async (req, res) => {
+  try {
+    const { athleteId } = req.params;
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 12, 1), 26);
+
+    if (req.query.until && isNaN(new Date(req.query.until).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'until must be a valid date'
+      });
+    }
+
+    const workload = await workloadService.getAthleteWorkload(athleteId, {
+      days: weeks * 7,
+      until: req.query.until
+    });
+
+    res.json({
+      success: true,
+      data: workload
+    });
+
+  } catch (error) {
+    console.error('Error getting training workload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error calculating training workload',
+      error: error.message
+    });
+  }
+});
+
 // Get injury prevention recommendations
 router.get('/:athleteId/recommendations', authMiddleware.verifyToken, async (req, res) => {
   try {
@@ -183,18 +296,7 @@ router.get('/:athleteId/recommendations', authMiddleware.verifyToken, async (req
       dateOccurred: { $gte: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000) }
     });
 
-    const athleteData = {
-      age: calculateAge(athlete.year),
-      weight: athlete.weight,
-      height: athlete.height,
-      position: athlete.position,
-      trainingLoad: calculateAverageTrainingLoad(recentSessions),
-      sessionFrequency: calculateSessionFrequency(recentSessions, 30),
-      recoveryTime: calculateAverageRecoveryTime(recentSessions),
-      recentPerformance: athlete.garScore,
-      previousInjuries: injuryHistory,
-      chronicConditions: []
-    };
+    const athleteData = injuryRiskModel.buildAthleteData(athlete, recentSessions, injuryHistory, 30);
 
     const riskAssessment = await injuryRiskModel.calculateRisk(athleteData);
 
@@ -226,43 +328,42 @@ router.get('/:athleteId/recommendations', authMiddleware.verifyToken, async (req
 });
 
 // Helper functions
-function calculateAge(year) {
-  const currentYear = new Date().getFullYear();
-  const yearMap = {
-    'Freshman': 18,
-    'Sophomore': 19,
-    'Junior': 20,
-    'Senior': 21,
-    'Graduate': 22
-  };
-  return yearMap[year] || 20;
-}
-
-function calculateAverageTrainingLoad(sessions) {
-  if (sessions.length === 0) return 0;
-
-  const totalLoad = sessions.reduce((sum, session) => {
-    return sum + (session.calculateTrainingLoad ? session.calculateTrainingLoad() : 0);
-  }, 0);
-
-  return totalLoad / sessions.length;
-}
-
-function calculateSessionFrequency(sessions, days) {
-  if (sessions.length === 0) return 0;
 
-  const expectedSessions = days / 3; // Assuming 3 sessions per week
-  return Math.min(1, sessions.length / expectedSessions);
+// Training job fields returned to clients
+function formatTrainingJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    settings: job.payload.options,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    error: job.lastError || null,
+    version: job.result || null
+  };
 }
 
-function calculateAverageRecoveryTime(sessions) {
-  if (sessions.length === 0) return 168; // Default 1 week
+// Admin-only change to the served model version
+async function changeServedModel(req, res, change) {
+  try {
+    if (!adminService.verifyAdminAccess(req.user?.id)) {
+      return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
 
-  const totalRecovery = sessions.reduce((sum, session) => {
-    return sum + (session.calculateRecoveryTime ? session.calculateRecoveryTime() : 48);
-  }, 0);
+    res.json({
+      success: true,
+      data: await change()
+    });
 
-  return totalRecovery / sessions.length;
+  } catch (error) {
+    console.error('Error changing served injury risk model:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error changing served model version',
+      error: error.message
+    });
+  }
 }
 
 function generatePreventionTips(athleteData, riskAssessment) {
@@ -1,57 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { validateNCAACalculation, sanitizeInput } = require('../middleware/validation');
+const { authenticateToken } = require('../middleware/auth');
+const Transcript = require('../models/transcriptModel');
+const coreCourseEvaluator = require('../services/coreCourseEvaluator');
 
-// NCAA Eligibility Requirements Data
-const ncaaRequirements = {
-  division1: {
-    name: 'Division I',
-    gpaRequirements: {
-      // Sliding scale: higher test scores allow lower GPA
-      'super': { minGPA: 3.55, sat: 1280, act: 27 }, // Super qualifier
-      'qualifier': { minGPA: 3.3, sat: 1100, act: 24 }, // Qualifier
-      'partial': { minGPA: 2.3, sat: 980, act: 21 } // Partial qualifier
-    },
-    coreCourses: {
-      english: 4,
-      math: 3,
-      naturalScience: 2,
-      socialScience: 2,
-      additionalEnglish: 1,
-      additionalMath: 1,
-      additionalScience: 1
-    },
-    totalCoreCourses: 16
-  },
-  division2: {
-    name: 'Division II',
-    gpaRequirements: {
-      'qualifier': { minGPA: 2.2, sat: 820, act: 17 },
-      'partial': { minGPA: 2.0, sat: 720, act: 15 }
-    },
-    coreCourses: {
-      english: 3,
-      math: 2,
-      naturalScience: 2,
-      socialScience: 2,
-      additional: 2
-    },
-    totalCoreCourses: 14
-  },
-  division3: {
-    name: 'Division III',
-    gpaRequirements: {
-      'qualifier': { minGPA: 0, sat: 0, act: 0 } // No minimum requirements
-    },
-    coreCourses: {
-      english: 4,
-      math: 3,
-      naturalScience: 2,
-      socialScience: 2,
-      additional: 3
-    },
-    totalCoreCourses: 16
-  }
+// Grade level names used by the StarPath timeline
+const GRADE_LEVELS = {
+  freshman: 9,
+  sophomore: 10,
+  junior: 11,
+  senior: 12
 };
 
 // International student considerations
@@ -70,8 +29,31 @@ const internationalRequirements = {
   }
 };
 
+// Transcripts are open to the athlete they belong to and to compliance staff
+const TRANSCRIPT_STAFF_ROLES = ['admin', 'compliance_officer'];
+
+const requireTranscriptAccess = (req, res, next) => {
+  const athleteId = String(req.params.athleteId ?? req.body.athleteId);
+  if (String(req.user.id) !== athleteId && !TRANSCRIPT_STAFF_ROLES.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access to this transcript is restricted to the athlete and compliance staff'
+    });
+  }
+  next();
+};
+
+// Scoring an athlete's stored transcript needs the same access as reading it; scoring
+// courses or counts sent in the body stays open
+const requireStoredTranscriptAccess = (req, res, next) => {
+  if (req.body.courses || !req.body.athleteId) {
+    return next();
+  }
+  authenticateToken(req, res, () => requireTranscriptAccess(req, res, next));
+};
+
 // Calculate NCAA eligibility
-router.post('/calculate', sanitizeInput, validateNCAACalculation, (req, res) => {
+router.post('/calculate', sanitizeInput, validateNCAACalculation, requireStoredTranscriptAccess, async (req, res) => {
   try {
     const {
       division,
@@ -80,72 +62,101 @@ router.post('/calculate', sanitizeInput, validateNCAACalculation, (req, res) =>
       testScore,
       isInternational,
       englishProficiency, // for international students
-      coreCourses,
-      gradeLevel // 'freshman', 'sophomore', etc.
+      coreCourses, // legacy per-category counts
+      courses, // course records, preferred over counts
+      athleteId, // load the athlete's stored transcript
+      gradeLevel, // 'freshman', 'sophomore', etc.
+      currentTerm // 'fall' or 'spring'
     } = req.body;
 
-    const requirements = ncaaRequirements[division];
-    if (!requirements) {
+    let requirements;
+    try {
+      requirements = coreCourseEvaluator.getRequirements(division);
+    } catch (error) {
       return res.status(400).json({
         success: false,
         message: 'Invalid division specified'
       });
     }
 
+    // Prefer real course records; fall back to self-reported counts and GPA
+    let transcriptCourses = courses;
+    let currentGradeLevel = GRADE_LEVELS[gradeLevel];
+    let term = currentTerm;
+
+    if (!transcriptCourses && athleteId) {
+      const transcript = await Transcript.findOne({ athleteId });
+      if (transcript) {
+        transcriptCourses = transcript.courses.map(course => course.toObject());
+        currentGradeLevel = transcript.currentGradeLevel;
+        term = transcript.currentTerm;
+      }
+    }
+
+    const courseSource = transcriptCourses ? 'transcript' : 'self_reported';
+    if (!transcriptCourses) {
+      transcriptCourses = coreCourseEvaluator.coursesFromCounts(coreCourses, Number(gpa) || 0);
+    }
+
+    const divisions = coreCourseEvaluator.evaluateAllDivisions(transcriptCourses, {
+      testType,
+      testScore: testScore !== undefined ? Number(testScore) : undefined,
+      currentGradeLevel,
+      currentTerm: term
+    });
+    const evaluation = divisions[division];
+
     let eligibility = {
       division: requirements.name,
       overallEligibility: 'not_eligible',
-      gpaEligibility: 'not_eligible',
-      testEligibility: 'not_eligible',
-      coreCoursesEligibility: 'not_eligible',
+      gpaEligibility: evaluation.coreGPA !== null && evaluation.coreGPA >= requirements.minimumCoreGPA ? 'eligible' : 'not_eligible',
+      testEligibility: evaluation.slidingScale.status,
+      coreCoursesEligibility: evaluation.coreUnitsCompleted >= requirements.totalCoreCourses ? 'eligible' : 'not_eligible',
       internationalEligibility: isInternational ? 'not_eligible' : 'eligible',
+      courseSource,
+      standardsVersion: coreCourseEvaluator.getVersion(),
+      coreGPA: evaluation.coreGPA,
+      coreUnitsCompleted: evaluation.coreUnitsCompleted,
+      slidingScale: evaluation.slidingScale,
+      tenSevenRule: evaluation.tenSevenRule,
+      categories: evaluation.categories,
+      missingCategories: Object.keys(divisions).reduce((acc, key) => {
+        acc[key] = divisions[key].missingCategories;
+        return acc;
+      }, {}),
+      divisionStatus: Object.keys(divisions).reduce((acc, key) => {
+        acc[key] = divisions[key].status;
+        return acc;
+      }, {}),
+      completionPlan: evaluation.completionPlan,
       recommendations: [],
       nextSteps: []
     };
 
-    // Check GPA and Test Score Eligibility (Sliding Scale)
-    let requiredGPA = 0;
-    let requiredTestScore = 0;
-
-    if (testType === 'sat') {
-      if (testScore >= 1280) {
-        requiredGPA = requirements.gpaRequirements.super?.minGPA || requirements.gpaRequirements.qualifier.minGPA;
-        eligibility.gpaEligibility = gpa >= requiredGPA ? 'super_qualifier' : 'partial_qualifier';
-      } else if (testScore >= 1100) {
-        requiredGPA = requirements.gpaRequirements.qualifier.minGPA;
-        eligibility.gpaEligibility = gpa >= requiredGPA ? 'qualifier' : 'partial_qualifier';
-      } else if (testScore >= 980) {
-        requiredGPA = requirements.gpaRequirements.partial.minGPA;
-        eligibility.gpaEligibility = gpa >= requiredGPA ? 'partial_qualifier' : 'not_eligible';
-      } else {
-        eligibility.gpaEligibility = 'not_eligible';
-      }
-    } else if (testType === 'act') {
-      if (testScore >= 27) {
-        requiredGPA = requirements.gpaRequirements.super?.minGPA || requirements.gpaRequirements.qualifier.minGPA;
-        eligibility.gpaEligibility = gpa >= requiredGPA ? 'super_qualifier' : 'partial_qualifier';
-      } else if (testScore >= 24) {
-        requiredGPA = requirements.gpaRequirements.qualifier.minGPA;
-        eligibility.gpaEligibility = gpa >= requiredGPA ? 'qualifier' : 'partial_qualifier';
-      } else if (testScore >= 21) {
-        requiredGPA = requirements.gpaRequirements.partial.minGPA;
-        eligibility.gpaEligibility = gpa >= requiredGPA ? 'partial_qualifier' : 'not_eligible';
-      } else {
-        eligibility.gpaEligibility = 'not_eligible';
-      }
-    } else {
-      // No test score - Division III or special cases
-      if (division === 'division3') {
-        eligibility.gpaEligibility = gpa >= 0 ? 'qualifier' : 'not_eligible';
-      } else {
-        eligibility.gpaEligibility = 'not_eligible';
+    // Sliding-scale recommendations
+    if (!testType || testType === 'none') {
+      if (requirements.testScoreRequired) {
         eligibility.recommendations.push('Consider taking SAT or ACT for better eligibility');
       }
+    } else if (evaluation.slidingScale.status === 'not_eligible' && evaluation.slidingScale.row) {
+      eligibility.recommendations.push(
+        `At a ${evaluation.coreGPA} core GPA you need an SAT of ${evaluation.slidingScale.requiredSAT} or an ACT sum score of ${evaluation.slidingScale.requiredACTSum}`
+      );
     }
-
-    // Check Core Courses
-    const totalCoreCourses = Object.values(coreCourses || {}).reduce((sum, courses) => sum + courses, 0);
-    eligibility.coreCoursesEligibility = totalCoreCourses >= requirements.totalCoreCourses ? 'eligible' : 'not_eligible';
+    if (evaluation.slidingScale.minimumGPAForScore !== null && evaluation.slidingScale.minimumGPAForScore !== undefined &&
+        evaluation.slidingScale.status === 'not_eligible') {
+      eligibility.recommendations.push(
+        `With your current test score you need a core GPA of at least ${evaluation.slidingScale.minimumGPAForScore.toFixed(3)}`
+      );
+    }
+    if (evaluation.tenSevenRule.applies && evaluation.tenSevenRule.evaluated === false) {
+      eligibility.recommendations.push('Add course records with grade levels so the 10/7 rule can be verified');
+    } else if (evaluation.tenSevenRule.applies && !evaluation.tenSevenRule.met) {
+      eligibility.recommendations.push('Complete 10 core courses (7 in English, math or natural/physical science) before your seventh semester');
+    }
+    evaluation.missingCategories.forEach(({ category, missing }) => {
+      eligibility.recommendations.push(`Complete ${missing} more unit(s) of ${category} core courses`);
+    });
 
     // Check International Requirements
     if (isInternational) {
@@ -163,31 +174,18 @@ router.post('/calculate', sanitizeInput, validateNCAACalculation, (req, res) =>
     }
 
     // Determine Overall Eligibility
-    const allEligible = [
-      eligibility.gpaEligibility !== 'not_eligible',
-      eligibility.testEligibility !== 'not_eligible',
-      eligibility.coreCoursesEligibility === 'eligible',
-      eligibility.internationalEligibility === 'eligible'
-    ].every(status => status);
-
-    if (allEligible) {
-      if (eligibility.gpaEligibility === 'super_qualifier') {
-        eligibility.overallEligibility = 'super_qualifier';
-      } else if (eligibility.gpaEligibility === 'qualifier') {
-        eligibility.overallEligibility = 'qualifier';
-      } else {
-        eligibility.overallEligibility = 'partial_qualifier';
-      }
+    if (eligibility.internationalEligibility === 'eligible') {
+      eligibility.overallEligibility = evaluation.status;
     }
 
     // Generate Recommendations and Next Steps
     if (eligibility.overallEligibility === 'not_eligible') {
-      if (eligibility.gpaEligibility === 'not_eligible') {
-        eligibility.nextSteps.push('Focus on improving GPA through academic support');
+      if (eligibility.gpaEligibility === 'not_eligible' || eligibility.testEligibility === 'not_eligible') {
+        eligibility.nextSteps.push('Focus on improving core GPA through academic support');
         eligibility.nextSteps.push('Consider academic tutoring programs');
       }
       if (eligibility.coreCoursesEligibility === 'not_eligible') {
-        const needed = requirements.totalCoreCourses - totalCoreCourses;
+        const needed = requirements.totalCoreCourses - evaluation.coreUnitsCompleted;
         eligibility.nextSteps.push(`Complete ${needed} more core courses`);
       }
       if (eligibility.internationalEligibility === 'not_eligible') {
@@ -202,7 +200,7 @@ router.post('/calculate', sanitizeInput, validateNCAACalculation, (req, res) =>
 
     // Progress tracking for StarPath
     eligibility.starPath = {
-      academicProgress: calculateAcademicProgress(gpa, coreCourses, requirements),
+      academicProgress: calculateAcademicProgress(evaluation.coreGPA || 0, evaluation.coreUnitsCompleted, requirements),
       eligibilityStatus: eligibility.overallEligibility,
       gradeLevel: gradeLevel,
       timeline: generateTimeline(gradeLevel, eligibility.overallEligibility)
@@ -223,11 +221,186 @@ router.post('/calculate', sanitizeInput, validateNCAACalculation, (req, res) =>
   }
 });
 
+// Get an athlete's core-course transcript
+router.get('/transcripts/:athleteId', authenticateToken, requireTranscriptAccess, async (req, res) => {
+  try {
+    const transcript = await Transcript.findOne({ athleteId: req.params.athleteId });
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transcript not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transcript
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transcript',
+      error: error.message
+    });
+  }
+});
+
+// Create or update transcript details (school, graduation year, current term)
+router.put('/transcripts/:athleteId', authenticateToken, requireTranscriptAccess, async (req, res) => {
+  try {
+    const { schoolName, graduationYear, currentGradeLevel, currentTerm } = req.body;
+
+    const transcript = await Transcript.findOneAndUpdate(
+      { athleteId: req.params.athleteId },
+      { $set: { schoolName, graduationYear, currentGradeLevel, currentTerm, updatedAt: new Date() } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      data: transcript
+    });
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Error updating transcript',
+      error: error.message
+    });
+  }
+});
+
+// Add one or more course records to a transcript
+router.post('/transcripts/:athleteId/courses', authenticateToken, requireTranscriptAccess, async (req, res) => {
+  try {
+    const newCourses = Array.isArray(req.body.courses) ? req.body.courses : [req.body];
+
+    let transcript = await Transcript.findOne({ athleteId: req.params.athleteId });
+    if (!transcript) {
+      transcript = new Transcript({ athleteId: req.params.athleteId });
+    }
+
+    transcript.courses.push(...newCourses);
+    await transcript.save();
+
+    res.status(201).json({
+      success: true,
+      data: transcript
+    });
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Error adding courses',
+      error: error.message
+    });
+  }
+});
+
+// Update a course record
+router.put('/transcripts/:athleteId/courses/:courseId', authenticateToken, requireTranscriptAccess, async (req, res) => {
+  try {
+    const transcript = await Transcript.findOne({ athleteId: req.params.athleteId });
+    const course = transcript && transcript.courses.id(req.params.courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    course.set(req.body);
+    await transcript.save();
+
+    res.json({
+      success: true,
+      data: course
+    });
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Error updating course',
+      error: error.message
+    });
+  }
+});
+
+// Remove a course record
+router.delete('/transcripts/:athleteId/courses/:courseId', authenticateToken, requireTranscriptAccess, async (req, res) => {
+  try {
+    const transcript = await Transcript.findOne({ athleteId: req.params.athleteId });
+    const course = transcript && transcript.courses.id(req.params.courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    course.deleteOne();
+    await transcript.save();
+
+    res.json({
+      success: true,
+      message: 'Course removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing course',
+      error: error.message
+    });
+  }
+});
+
+// Evaluate a stored transcript against every division
+router.get('/transcripts/:athleteId/evaluation', authenticateToken, requireTranscriptAccess, async (req, res) => {
+  try {
+    const { testType, testScore } = req.query;
+    const transcript = await Transcript.findOne({ athleteId: req.params.athleteId });
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transcript not found'
+      });
+    }
+
+    const divisions = coreCourseEvaluator.evaluateAllDivisions(
+      transcript.courses.map(course => course.toObject()),
+      {
+        testType,
+        testScore: testScore !== undefined ? Number(testScore) : undefined,
+        currentGradeLevel: transcript.currentGradeLevel,
+        currentTerm: transcript.currentTerm
+      }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        standardsVersion: coreCourseEvaluator.getVersion(),
+        divisions
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error evaluating transcript',
+      error: error.message
+    });
+  }
+});
+
 // Get NCAA requirements for a division
 router.get('/requirements/:division', (req, res) => {
   try {
     const { division } = req.params;
-    const requirements = ncaaRequirements[division];
+    const requirements = coreCourseEvaluator.getAllRequirements()[division];
 
     if (!requirements) {
       return res.status(404).json({
@@ -253,17 +426,16 @@ router.get('/requirements/:division', (req, res) => {
 router.get('/requirements', (req, res) => {
   res.json({
     success: true,
-    data: ncaaRequirements
+    data: coreCourseEvaluator.getAllRequirements()
   });
 });
 
 // Helper function to calculate academic progress
-function calculateAcademicProgress(gpa, coreCourses, requirements) {
-  const gpaProgress = Math.min((gpa / 4.0) * 100, 100);
-  const coursesProgress = Math.min(
-    (Object.values(coreCourses || {}).reduce((sum, courses) => sum + courses, 0) / requirements.totalCoreCourses) * 100,
-    100
-  );
+function calculateAcademicProgress(coreGPA, coreUnitsCompleted, requirements) {
+  const gpaProgress = Math.min((coreGPA / 4.0) * 100, 100);
+  const coursesProgress = requirements.totalCoreCourses > 0
+    ? Math.min((coreUnitsCompleted / requirements.totalCoreCourses) * 100, 100)
+    : 100;
 
   return {
     overall: Math.round((gpaProgress + coursesProgress) / 2),
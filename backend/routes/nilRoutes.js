@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const nilService = require('../services/nilService');
+const { authenticateToken } = require('../middleware/auth');
+
+// An athlete's deals are open to the athlete and to compliance staff; deal routes check the
+// deal's athlete in the service
+const requireAthleteAccess = (req, res, next) => {
+  if (!nilService.canAccessAthlete(req.params.athleteId, req.user)) {
+    return res.status(403).json({ error: 'NIL deals are restricted to the athlete and compliance staff' });
+  }
+  next();
+};
+
+// List registered state and institution rule packs
+router.get('/rule-packs', authenticateToken, (req, res) => {
+  try {
+    res.json({ rulePacks: nilService.getRulePacks() });
+  } catch (error) {
+    console.error('Error fetching NIL rule packs:', error);
+    res.status(500).json({ error: 'Failed to fetch NIL rule packs' });
+  }
+});
+
+// Check a proposed deal against rule packs without saving it
+router.post('/evaluate', authenticateToken, (req, res) => {
+  try {
+    const { category, totalValue, signedDate } = req.body;
+
+    if (!category || totalValue === undefined) {
+      return res.status(400).json({ error: 'Category and total value are required' });
+    }
+
+    const deal = { ...req.body, signedDate: signedDate || new Date() };
+    const result = nilService.evaluateDeal(deal);
+
+    res.json({
+      ...result,
+      disclosureDeadline: nilService.calculateDisclosureDeadline(deal)
+    });
+  } catch (error) {
+    console.error('Error evaluating NIL deal:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to evaluate NIL deal' });
+  }
+});
+
+// Record a NIL deal for an athlete
+router.post('/:athleteId/deals', authenticateToken, requireAthleteAccess, async (req, res) => {
+  try {
+    const { counterparty, category, totalValue, signedDate } = req.body;
+
+    if (!counterparty?.name || !category || totalValue === undefined || !signedDate) {
+      return res.status(400).json({ error: 'Counterparty name, category, total value and signed date are required' });
+    }
+
+    const result = await nilService.createDeal(req.params.athleteId, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error recording NIL deal:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to record NIL deal' });
+  }
+});
+
+// Get an athlete's NIL deals
+router.get('/:athleteId/deals', authenticateToken, requireAthleteAccess, async (req, res) => {
+  try {
+    const deals = await nilService.getAthleteDeals(req.params.athleteId, { status: req.query.status });
+    res.json({ deals, count: deals.length });
+  } catch (error) {
+    console.error('Error fetching NIL deals:', error);
+    res.status(500).json({ error: 'Failed to fetch NIL deals' });
+  }
+});
+
+// Get an athlete's NIL summary and open findings
+router.get('/:athleteId/summary', authenticateToken, requireAthleteAccess, async (req, res) => {
+  try {
+    const summary = await nilService.getNILSummary(req.params.athleteId);
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching NIL summary:', error);
+    res.status(500).json({ error: 'Failed to fetch NIL summary' });
+  }
+});
+
+// Update a deal
+router.put('/deals/:dealId', authenticateToken, async (req, res) => {
+  try {
+    const result = await nilService.updateDeal(req.params.dealId, req.body, req.user);
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating NIL deal:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update NIL deal' });
+  }
+});
+
+// Record disclosure to the institution
+router.post('/deals/:dealId/disclosure', authenticateToken, async (req, res) => {
+  try {
+    const { disclosedAt, disclosedTo } = req.body;
+
+    if (!disclosedTo) {
+      return res.status(400).json({ error: 'disclosedTo is required' });
+    }
+
+    const result = await nilService.recordDisclosure(req.params.dealId, { disclosedAt, disclosedTo }, req.user);
+    res.json(result);
+  } catch (error) {
+    console.error('Error recording NIL disclosure:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to record disclosure' });
+  }
+});
+
+// Mark a scheduled payment as received
+router.post('/deals/:dealId/payments/:paymentId/paid', authenticateToken, async (req, res) => {
+  try {
+    const result = await nilService.recordPayment(req.params.dealId, req.params.paymentId, req.body.paidDate, req.user);
+    res.json(result);
+  } catch (error) {
+    console.error('Error recording NIL payment:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to record payment' });
+  }
+});
+
+// Mark a deliverable as completed
+router.post('/deals/:dealId/deliverables/:deliverableId/complete', authenticateToken, async (req, res) => {
+  try {
+    const result = await nilService.completeDeliverable(req.params.dealId, req.params.deliverableId, req.user);
+    res.json(result);
+  } catch (error) {
+    console.error('Error completing NIL deliverable:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to complete deliverable' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Player = require('../models/playerModel');
+const rankingHistoryService = require('../services/rankingHistoryService');
 const authMiddleware = require('../middleware/auth').authenticateToken;
 
 // Get all players
@@ -30,6 +31,7 @@ router.get('/:id', async (req, res) => {
 router.post('/', authMiddleware, async (req, res) => {
     const player = new Player({
         name: req.body.name,
+        sport: req.body.sport,
         position: req.body.position,
         team: req.body.team,
         school: req.body.school,
@@ -82,7 +84,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
             return res.status(404).json({ message: 'Player not found' });
         }
 
-        await player.remove();
+        await player.deleteOne();
         res.json({ message: 'Player deleted' });
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -92,7 +94,11 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 // Get players by position
 router.get('/position/:position', async (req, res) => {
     try {
-        const players = await Player.find({ position: req.params.position }).sort({ garScore: -1 });
+        const query = { position: req.params.position.toUpperCase() };
+        if (req.query.sport) {
+            query.sport = req.query.sport.toLowerCase();
+        }
+        const players = await Player.find(query).sort({ garScore: -1 });
         res.json(players);
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -123,6 +129,14 @@ router.put('/:id/stats', authMiddleware, async (req, res) => {
         player.calculateGAR(player.stats);
 
         const updatedPlayer = await player.save();
+        await rankingHistoryService.recordChange(updatedPlayer.toObject(), {
+            total: updatedPlayer.garScore,
+            breakdown: updatedPlayer.garBreakdown,
+            profileVersion: updatedPlayer.garProfileVersion
+        }, {
+            cause: 'stat_update',
+            actor: req.user?.id
+        });
         res.json(updatedPlayer);
     } catch (error) {
         res.status(400).json({ message: error.message });
@@ -10,186 +10,25 @@ const DataValidationService = require('../services/dataValidationService');
 const AnalyticsService = require('../services/analyticsService');
 const adminService = require('../services/adminService');
 const DataStorageService = require('../services/dataStorageService');
+const garScoringService = require('../services/garScoringService');
+const rankingHistoryService = require('../services/rankingHistoryService');
+const leaderboardService = require('../services/leaderboardService');
+const sourceHealthService = require('../services/scrapers/sourceHealthService');
 
 // Initialize services
 const dataValidator = new DataValidationService();
 const analyticsService = new AnalyticsService();
 const dataStorageService = new DataStorageService();
 
+// Last full GAR computation per athlete, kept for explanation diffs
+const garComputations = new Map();
+
 // Initialize database connection for ranking routes
 connectDB().catch(err => console.error('Database connection failed in ranking routes:', err));
 
 // Initialize data storage service
 dataStorageService.initialize().catch(err => console.error('Data storage service initialization failed:', err));
 
-// Enhanced GAR Scoring Algorithm
-function calculateEnhancedGAR(athlete) {
-  let totalScore = 0;
-  const breakdown = {
-    technical: 0,
-    physical: 0,
-    tactical: 0,
-    mental: 0,
-    consistency: 0
-  };
-
-  // Technical Scoring (25% weight)
-  breakdown.technical = calculateTechnicalScore(athlete);
-
-  // Physical Scoring (20% weight)
-  breakdown.physical = calculatePhysicalScore(athlete);
-
-  // Tactical Scoring (20% weight)
-  breakdown.tactical = calculateTacticalScore(athlete);
-
-  // Mental Scoring (20% weight)
-  breakdown.mental = calculateMentalScore(athlete);
-
-  // Consistency Scoring (15% weight)
-  breakdown.consistency = calculateConsistencyScore(athlete);
-
-  // Calculate weighted total
-  totalScore = (
-    breakdown.technical * 0.25 +
-    breakdown.physical * 0.20 +
-    breakdown.tactical * 0.20 +
-    breakdown.mental * 0.20 +
-    breakdown.consistency * 0.15
-  );
-
-  return {
-    total: Math.min(100, Math.max(0, Math.round(totalScore))),
-    breakdown: {
-      technical: Math.round(breakdown.technical),
-      physical: Math.round(breakdown.physical),
-      tactical: Math.round(breakdown.tactical),
-      mental: Math.round(breakdown.mental),
-      consistency: Math.round(breakdown.consistency)
-    }
-  };
-}
-
-function calculateTechnicalScore(athlete) {
-  let score = 70; // Base score
-
-  // Position-specific technical skills
-  if (athlete.position) {
-    const position = athlete.position.toLowerCase();
-    if (['qb', 'pg', 'sg'].includes(position)) {
-      score += athlete.stats?.passingYards ? Math.min(athlete.stats.passingYards * 0.001, 15) : 0;
-      score += athlete.stats?.touchdowns ? Math.min(athlete.stats.touchdowns * 2, 10) : 0;
-    }
-    if (['rb', 'wr', 'te'].includes(position)) {
-      score += athlete.stats?.receivingYards ? Math.min(athlete.stats.receivingYards * 0.002, 15) : 0;
-      score += athlete.stats?.rushingYards ? Math.min(athlete.stats.rushingYards * 0.002, 10) : 0;
-    }
-    if (['ol', 'dl', 'lb'].includes(position)) {
-      score += athlete.stats?.tackles ? Math.min(athlete.stats.tackles * 0.5, 15) : 0;
-      score += athlete.stats?.sacks ? Math.min(athlete.stats.sacks * 3, 10) : 0;
-    }
-  }
-
-  // Highlight reel bonus
-  if (athlete.highlights && athlete.highlights.length > 0) {
-    score += Math.min(athlete.highlights.length * 2, 10);
-  }
-
-  return Math.min(100, Math.max(0, score));
-}
-
-function calculatePhysicalScore(athlete) {
-  let score = 75; // Base score
-
-  // Age factor (peak physical age 18-22)
-  if (athlete.year) {
-    const currentYear = new Date().getFullYear();
-    const age = currentYear - (athlete.year - 18); // Approximate age calculation
-    if (age >= 18 && age <= 22) {
-      score += 10;
-    } else if (age >= 16 && age <= 25) {
-      score += 5;
-    }
-  }
-
-  // Statistical performance indicators
-  if (athlete.stats) {
-    score += athlete.stats.touchdowns ? Math.min(athlete.stats.touchdowns * 2, 15) : 0;
-    score += athlete.stats.tackles ? Math.min(athlete.stats.tackles * 0.3, 10) : 0;
-  }
-
-  // Social media engagement as physical presence indicator
-  if (athlete.socialMedia) {
-    const socialCount = Object.values(athlete.socialMedia).filter(url => url).length;
-    score += Math.min(socialCount * 2, 5);
-  }
-
-  return Math.min(100, Math.max(0, score));
-}
-
-function calculateTacticalScore(athlete) {
-  let score = 70; // Base score
-
-  // Star rating indicates tactical awareness
-  score += athlete.stars * 5;
-
-  // Recruiting ranking bonus
-  if (athlete.recruitingData?.rating) {
-    score += Math.min(athlete.recruitingData.rating * 0.5, 15);
-  }
-
-  // Achievements indicate tactical understanding
-  if (athlete.achievements && athlete.achievements.length > 0) {
-    score += Math.min(athlete.achievements.length * 2, 10);
-  }
-
-  return Math.min(100, Math.max(0, score));
-}
-
-function calculateMentalScore(athlete) {
-  let score = 75; // Base score
-
-  // Consistency in performance
-  if (athlete.stats) {
-    const totalGames = athlete.stats.gamesPlayed || 10;
-    const avgPoints = athlete.stats.touchdowns || 0;
-    if (avgPoints > 0) {
-      score += Math.min(avgPoints * 3, 15);
-    }
-  }
-
-  // Star rating indicates mental toughness
-  score += athlete.stars * 4;
-
-  // School reputation (top schools indicate mentally tough players)
-  if (athlete.school) {
-    const topSchools = ['Alabama', 'Ohio State', 'USC', 'Texas', 'LSU'];
-    if (topSchools.some(school => athlete.school.includes(school))) {
-      score += 5;
-    }
-  }
-
-  return Math.min(100, Math.max(0, score));
-}
-
-function calculateConsistencyScore(athlete) {
-  let score = 70; // Base score
-
-  // Base consistency on star rating and achievements
-  score += athlete.stars * 6;
-
-  // Multiple achievements indicate consistency
-  if (athlete.achievements && athlete.achievements.length > 0) {
-    score += Math.min(athlete.achievements.length * 3, 15);
-  }
-
-  // Regular stats updates indicate consistent performance tracking
-  if (athlete.stats && Object.keys(athlete.stats).length > 3) {
-    score += 5;
-  }
-
-  return Math.min(100, Math.max(0, score));
-}
-
 // Get GAR rankings by category
 router.post('/gar-ranking', async (req, res) => {
   try {
@@ -203,17 +42,18 @@ router.post('/gar-ranking', async (req, res) => {
       athletes = athletes.filter(player => player.sport === sport);
     }
 
-    // Calculate enhanced GAR scores for all athletes
+    // Score each athlete against their sport and position profile
     const rankedAthletes = athletes.map(athlete => {
-      const garData = calculateEnhancedGAR(athlete);
+      const garData = garScoringService.score(athlete);
       return {
         id: athlete._id,
         name: athlete.name,
         position: athlete.position,
-        sport: athlete.sport || 'football',
+        sport: garData.profile.sport,
         country: athlete.recruitingData?.location || 'USA',
         garScore: garData.total,
         garBreakdown: garData.breakdown,
+        garProfileVersion: garData.profileVersion,
         stars: athlete.stars,
         school: athlete.school,
         year: athlete.year,
@@ -257,6 +97,7 @@ router.post('/gar-ranking', async (req, res) => {
         totalRanked: topAthletes.length,
         filteredResults: topAthletes.length,
         rankingMethod: 'GAR-based',
+        profileVersions: [...new Set(topAthletes.map(a => a.garProfileVersion))],
         lastUpdated: new Date().toISOString(),
         sources: ['Mock Database', 'Recruiting Data', 'Performance Stats']
       }
@@ -272,22 +113,30 @@ router.post('/gar-ranking', async (req, res) => {
 router.get('/position/:position', async (req, res) => {
   try {
     const { position } = req.params;
+    const sport = (req.query.sport || 'football').toLowerCase();
     const limit = parseInt(req.query.limit) || 50;
+    const profilePosition = garScoringService.resolvePosition(sport, position);
 
-    // Filter athletes by position from mock database
+    // Filter athletes by sport and profile position from mock database
     const athletes = (mockDB.players || [])
-      .filter(player => player.position === position.toUpperCase())
+      .filter(player => (player.sport || 'football') === sport &&
+        garScoringService.resolvePosition(sport, player.position) === profilePosition)
+      .map(athlete => ({ athlete, garData: garScoringService.score(athlete, { sport }) }))
+      .sort((a, b) => b.garData.total - a.garData.total)
       .slice(0, limit);
 
-    const rankedAthletes = athletes.map((athlete, index) => ({
+    const rankedAthletes = athletes.map(({ athlete, garData }, index) => ({
       ...athlete,
+      garScore: garData.total,
       ranking: index + 1,
-      garBreakdown: calculateEnhancedGAR(athlete).breakdown
+      garBreakdown: garData.breakdown,
+      garProfileVersion: garData.profileVersion
     }));
 
     res.json({
       success: true,
-      position,
+      sport,
+      position: profilePosition,
       athletes: rankedAthletes,
       total: rankedAthletes.length
     });
@@ -307,11 +156,15 @@ router.get('/top-athletes', async (req, res) => {
       .sort((a, b) => b.garScore - a.garScore)
       .slice(0, limit);
 
-    const rankedAthletes = athletes.map((athlete, index) => ({
-      ...athlete,
-      ranking: index + 1,
-      garBreakdown: calculateEnhancedGAR(athlete).breakdown
-    }));
+    const rankedAthletes = athletes.map((athlete, index) => {
+      const garData = garScoringService.score(athlete);
+      return {
+        ...athlete,
+        ranking: index + 1,
+        garBreakdown: garData.breakdown,
+        garProfileVersion: garData.profileVersion
+      };
+    });
 
     res.json({
       success: true,
@@ -333,23 +186,281 @@ router.put('/update-gar/:id', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Athlete not found' });
     }
 
-    const garData = calculateEnhancedGAR(athlete);
+    const garData = garScoringService.score(athlete);
     athlete.garScore = garData.total;
+    athlete.garBreakdown = garData.breakdown;
+    athlete.garProfileVersion = garData.profileVersion;
+    garComputations.set(athlete._id, garData);
     athlete.updatedAt = new Date().toISOString();
 
+    const snapshot = await rankingHistoryService.recordChange(athlete, garData, {
+      cause: 'stat_update',
+      actor: req.user?.id,
+      reason: req.body?.reason
+    });
+
     res.json({
       success: true,
-      athlete: {
-        ...athlete,
-        garBreakdown: garData.breakdown
-      }
+      athlete,
+      ranks: snapshot.ranks,
+      previousRanks: snapshot.previousRanks || null
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Score an athlete with optional stat, position or profile version overrides
+function scoreVariant(athlete, variant = {}) {
+  const scored = { ...athlete, stats: { ...athlete.stats, ...variant.stats } };
+
+  if (variant.profileVersion) {
+    const { sport, version } = garScoringService.parseProfileVersion(variant.profileVersion);
+    return garScoringService.score(scored, { sport, version, position: variant.position });
+  }
+  return garScoringService.score(scored, { position: variant.position });
+}
+
+// Explain an athlete's GAR score with its contribution ledger and confidence interval
+router.get('/gar/:id/explain', async (req, res) => {
+  try {
+    const athlete = (mockDB.players || []).find(p => p._id === req.params.id);
+    if (!athlete) {
+      return res.status(404).json({ message: 'Athlete not found' });
+    }
+
+    const garData = scoreVariant(athlete, { profileVersion: req.query.profileVersion });
+
+    res.json({
+      success: true,
+      athleteId: athlete._id,
+      storedScore: athlete.garScore,
+      gar: garData
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Diff two GAR computations for the same athlete. Defaults to the stored computation versus a fresh one.
+router.post('/gar/:id/diff', async (req, res) => {
+  try {
+    const athlete = (mockDB.players || []).find(p => p._id === req.params.id);
+    if (!athlete) {
+      return res.status(404).json({ message: 'Athlete not found' });
+    }
+
+    const { from, to } = req.body;
+    const before = from
+      ? scoreVariant(athlete, from)
+      : garComputations.get(athlete._id) || scoreVariant(athlete, { profileVersion: athlete.garProfileVersion });
+    const after = scoreVariant(athlete, to);
+
+    res.json({
+      success: true,
+      athleteId: athlete._id,
+      diff: garScoringService.diff(before, after)
     });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
 
+// List GAR scoring profiles by sport
+router.get('/gar-profiles', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      profiles: garScoringService.getProfiles()
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Recompute stored GAR scores (admin only), either with the latest profiles or with each athlete's pinned version
+router.post('/recompute-gar', authMiddleware, async (req, res) => {
+  try {
+    if (!adminService.verifyAdminAccess(req.user?.id)) {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    const { sport, pinned = false } = req.body;
+
+    const athletes = (mockDB.players || [])
+      .filter(player => !sport || (player.sport || 'football') === sport);
+
+    const results = [];
+    for (const athlete of athletes) {
+      const previous = { garScore: athlete.garScore, garProfileVersion: athlete.garProfileVersion || null };
+      const garData = pinned && athlete.garProfileVersion
+        ? garScoringService.recompute(athlete, athlete.garProfileVersion)
+        : garScoringService.score(athlete);
+
+      athlete.garScore = garData.total;
+      athlete.garBreakdown = garData.breakdown;
+      athlete.garProfileVersion = garData.profileVersion;
+      garComputations.set(athlete._id, garData);
+      athlete.updatedAt = new Date().toISOString();
+
+      if (previous.garScore !== garData.total || previous.garProfileVersion !== garData.profileVersion) {
+        await rankingHistoryService.recordChange(athlete, garData, {
+          cause: 'recompute',
+          actor: req.user?.id,
+          reason: pinned ? 'Recomputed with pinned profile' : `Recomputed with ${garData.profileVersion}`
+        });
+      }
+
+      results.push({
+        id: athlete._id,
+        name: athlete.name,
+        previous,
+        garScore: garData.total,
+        garProfileVersion: garData.profileVersion
+      });
+    }
+
+    res.json({
+      success: true,
+      recomputed: results.length,
+      changed: results.filter(r => r.previous.garScore !== r.garScore).length,
+      results
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// ===== RANKING HISTORY ROUTES =====
+
+// Parse an optional ?date= query parameter
+function parseDateParam(value) {
+  if (!value) return new Date();
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw Object.assign(new Error('Invalid date'), { status: 400 });
+  }
+  return date;
+}
+
+// Get an athlete's GAR and rank history
+router.get('/history/:athleteId', async (req, res) => {
+  try {
+    const { since, until, limit } = req.query;
+
+    const history = await rankingHistoryService.getAthleteHistory(req.params.athleteId, {
+      since: since ? parseDateParam(since) : undefined,
+      until: until ? parseDateParam(until) : undefined,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      success: true,
+      athleteId: req.params.athleteId,
+      history,
+      total: history.length
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Get an athlete's overall, position, state and class rank on a past date
+router.get('/history/:athleteId/rank', async (req, res) => {
+  try {
+    const rank = await rankingHistoryService.getAthleteRankAt(req.params.athleteId, {
+      sport: req.query.sport,
+      date: parseDateParam(req.query.date)
+    });
+
+    res.json({ success: true, ...rank });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Get rankings for a scope as they stood on a past date
+router.get('/as-of', async (req, res) => {
+  try {
+    const { sport = 'football', scope = 'overall', value, limit } = req.query;
+
+    const rankings = await rankingHistoryService.getRankingsAt({
+      sport,
+      scope,
+      value: scope === 'recruitingClass' && value ? parseInt(value) : value,
+      date: parseDateParam(req.query.date),
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({ success: true, ...rankings });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Get the biggest movers over the past week
+router.get('/movers/weekly', async (req, res) => {
+  try {
+    const { sport = 'football', scope = 'overall', value, limit } = req.query;
+
+    const movers = await rankingHistoryService.getWeeklyMovers({
+      sport,
+      scope,
+      value: scope === 'recruitingClass' && value ? parseInt(value) : value,
+      date: parseDateParam(req.query.date),
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({ success: true, ...movers });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// ===== SCOPED LEADERBOARD ROUTES =====
+
+// Page through a precomputed national, state, region, class or position board
+router.get('/board', async (req, res) => {
+  try {
+    const { sport = 'football', state, region, recruitingClass, position, page, limit, boardVersion } = req.query;
+
+    const board = await leaderboardService.query(sport, {
+      state,
+      region,
+      recruitingClass,
+      position,
+      page,
+      limit,
+      boardVersion
+    });
+
+    res.json({ success: true, ...board });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// List the states, regions, classes and positions a board can be filtered by
+router.get('/board/scopes', async (req, res) => {
+  try {
+    const scopes = await leaderboardService.getScopes(req.query.sport || 'football');
+    res.json({ success: true, ...scopes });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Get an athlete's rank on every scoped board
+router.get('/board/athlete/:athleteId', async (req, res) => {
+  try {
+    const ranks = await leaderboardService.getAthleteRanks(req.params.athleteId, req.query.sport || 'football');
+    res.json({ success: true, ...ranks });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
 // ===== DATA SCRAPING ROUTES =====
 
 // Start data scraping job
@@ -383,7 +494,7 @@ router.post('/scrape-athlete', authMiddleware, async (req, res) => {
 // Get job status
 router.get('/job-status/:jobId', async (req, res) => {
   try {
-    const status = jobProcessor.getJobStatus(req.params.jobId);
+    const status = await jobProcessor.getJobStatus(req.params.jobId);
 
     if (status.error) {
       return res.status(404).json(status);
@@ -568,7 +679,7 @@ router.post('/admin/rankings/:action', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Admin access required' });
     }
 
-    const result = await adminService.manageRankings(req.params.action, req.body);
+    const result = await adminService.manageRankings(req.params.action, { ...req.body, adjustedBy: req.user.id });
 
     res.json({
       success: true,
@@ -749,4 +860,49 @@ router.post('/data-quality', async (req, res) => {
   }
 });
 
+// Per-source scraping health: parse yield, field null rates, HTTP status mix and drift
+router.get('/data-quality/sources', authMiddleware, async (req, res) => {
+  try {
+    if (!adminService.verifyAdminAccess(req.user?.id)) {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    const hours = req.query.hours ? parseInt(req.query.hours) : undefined;
+    if (hours !== undefined && !(hours >= 1 && hours <= 168)) {
+      return res.status(400).json({ message: 'hours must be between 1 and 168' });
+    }
+
+    const sources = await sourceHealthService.getSourceHealth({ hours });
+
+    res.json({
+      success: true,
+      thresholds: sourceHealthService.thresholds,
+      sources
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Saved failing pages for one source; the HTML is returned as JSON, never rendered
+router.get('/data-quality/sources/:source/samples/:sampleId?', authMiddleware, async (req, res) => {
+  try {
+    if (!adminService.verifyAdminAccess(req.user?.id)) {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    if (req.params.sampleId) {
+      const sample = await sourceHealthService.getSample(req.params.source, req.params.sampleId);
+      return res.json({ success: true, sample });
+    }
+
+    const samples = await sourceHealthService.getSamples(req.params.source);
+    res.json({ success: true, samples });
+
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const RecoveryOptimizationService = require('../services/recoveryOptimizationService');
+const recoveryLogService = require('../services/recoveryLogService');
 const { authenticateToken } = require('../middleware/auth');
 
 const recoveryService = new RecoveryOptimizationService();
@@ -187,182 +188,88 @@ router.get('/trends/:athleteId', authenticateToken, async (req, res) => {
     }
 });
 
-// POST /api/recovery/log-sleep
-// Log sleep data for an athlete
-router.post('/log-sleep', authenticateToken, async (req, res) => {
+// Shared handler for the log endpoints: validation problems are 400s with the reason
+const logHandler = (bodyField, logMethod, label) => async (req, res) => {
     try {
-        const { athleteId, sleepData } = req.body;
-
-        if (!athleteId || !sleepData) {
-            return res.status(400).json({
-                success: false,
-                error: 'Athlete ID and sleep data are required'
-            });
-        }
-
-        // In a real implementation, this would save to database
-        // For demo purposes, we'll just validate and return success
-
-        const requiredFields = ['hours', 'quality', 'bedtime', 'waketime'];
-        const missingFields = requiredFields.filter(field => !sleepData[field]);
-
-        if (missingFields.length > 0) {
-            return res.status(400).json({
-                success: false,
-                error: `Missing required fields: ${missingFields.join(', ')}`
-            });
-        }
+        const { athleteId } = req.body;
+        const data = req.body[bodyField];
 
-        // Validate sleep data
-        if (sleepData.hours < 0 || sleepData.hours > 24) {
+        if (!athleteId || !data) {
             return res.status(400).json({
                 success: false,
-                error: 'Sleep hours must be between 0 and 24'
+                error: `Athlete ID and ${label} data are required`
             });
         }
 
-        if (sleepData.quality < 0 || sleepData.quality > 100) {
-            return res.status(400).json({
-                success: false,
-                error: 'Sleep quality must be between 0 and 100'
-            });
-        }
+        const entry = await recoveryLogService[logMethod](req.user.id, athleteId, data);
+        recoveryService.invalidateRecoveryAnalysis(athleteId);
 
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Sleep data logged successfully',
-            data: {
-                athleteId,
-                loggedAt: new Date().toISOString(),
-                sleepData
-            }
+            message: `${label.charAt(0).toUpperCase()}${label.slice(1)} data logged successfully`,
+            data: entry
         });
 
     } catch (error) {
-        console.error('Error logging sleep data:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to log sleep data',
-            details: error.message
-        });
-    }
-});
-
-// POST /api/recovery/log-nutrition
-// Log nutrition data for an athlete
-router.post('/log-nutrition', authenticateToken, async (req, res) => {
-    try {
-        const { athleteId, nutritionData } = req.body;
-
-        if (!athleteId || !nutritionData) {
-            return res.status(400).json({
-                success: false,
-                error: 'Athlete ID and nutrition data are required'
-            });
-        }
-
-        // Validate nutrition data
-        const requiredFields = ['calories', 'protein', 'carbohydrates', 'fats'];
-        const missingFields = requiredFields.filter(field => !nutritionData[field]);
-
-        if (missingFields.length > 0) {
-            return res.status(400).json({
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                error: `Missing required fields: ${missingFields.join(', ')}`
+                error: error.message
             });
         }
-
-        // Validate values
-        if (nutritionData.calories < 0 || nutritionData.calories > 10000) {
-            return res.status(400).json({
-                success: false,
-                error: 'Calories must be between 0 and 10000'
-            });
-        }
-
-        if (nutritionData.protein < 0 || nutritionData.protein > 500) {
-            return res.status(400).json({
-                success: false,
-                error: 'Protein must be between 0 and 500g'
-            });
-        }
-
-        res.json({
-            success: true,
-            message: 'Nutrition data logged successfully',
-            data: {
-                athleteId,
-                loggedAt: new Date().toISOString(),
-                nutritionData
-            }
-        });
-
-    } catch (error) {
-        console.error('Error logging nutrition data:', error);
+        console.error(`Error logging ${label} data:`, error);
         res.status(500).json({
             success: false,
-            error: 'Failed to log nutrition data',
+            error: `Failed to log ${label} data`,
             details: error.message
         });
     }
-});
+};
 
-// POST /api/recovery/log-workout
-// Log workout data for recovery analysis
-router.post('/log-workout', authenticateToken, async (req, res) => {
-    try {
-        const { athleteId, workoutData } = req.body;
+// POST /api/recovery/log-sleep
+// Log a night of sleep: { athleteId, sleepData: { hours, quality, bedtime, waketime, date? } }
+router.post('/log-sleep', authenticateToken, logHandler('sleepData', 'logSleep', 'sleep'));
 
-        if (!athleteId || !workoutData) {
-            return res.status(400).json({
-                success: false,
-                error: 'Athlete ID and workout data are required'
-            });
-        }
+// POST /api/recovery/log-nutrition
+// Log a meal or a day's intake: { athleteId, nutritionData: { calories, protein, carbohydrates, fats, waterIntake?, meal? } }
+router.post('/log-nutrition', authenticateToken, logHandler('nutritionData', 'logNutrition', 'nutrition'));
 
-        // Validate workout data
-        const requiredFields = ['type', 'duration', 'intensity'];
-        const missingFields = requiredFields.filter(field => !workoutData[field]);
+// POST /api/recovery/log-wellness
+// Log the daily wellness questionnaire: { athleteId, wellnessData: { soreness, mood, stress, rpe?, hrv? } }
+router.post('/log-wellness', authenticateToken, logHandler('wellnessData', 'logWellness', 'wellness'));
 
-        if (missingFields.length > 0) {
-            return res.status(400).json({
-                success: false,
-                error: `Missing required fields: ${missingFields.join(', ')}`
-            });
-        }
+// POST /api/recovery/log-workout
+// Log a workout as a training session: { athleteId, workoutData: { type, duration, intensity, rpe? } }
+router.post('/log-workout', authenticateToken, logHandler('workoutData', 'logWorkout', 'workout'));
 
-        // Validate duration
-        if (workoutData.duration < 0 || workoutData.duration > 600) {
-            return res.status(400).json({
-                success: false,
-                error: 'Workout duration must be between 0 and 600 minutes'
-            });
-        }
+// GET /api/recovery/logs/:athleteId
+// Logged history for an athlete (?type=sleep|nutrition|wellness|workout&days=30)
+router.get('/logs/:athleteId', authenticateToken, async (req, res) => {
+    try {
+        const { athleteId } = req.params;
+        const { type, days } = req.query;
+        const options = { days: parseInt(days) || 30 };
 
-        // Validate intensity
-        const validIntensities = ['low', 'moderate', 'high', 'max'];
-        if (!validIntensities.includes(workoutData.intensity)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Intensity must be one of: low, moderate, high, max'
-            });
-        }
+        const data = type
+            ? { [type]: await recoveryLogService.getLogs(type, athleteId, options) }
+            : await recoveryLogService.getHistory(athleteId, options);
 
         res.json({
             success: true,
-            message: 'Workout data logged successfully',
-            data: {
-                athleteId,
-                loggedAt: new Date().toISOString(),
-                workoutData
-            }
+            data
         });
 
     } catch (error) {
-        console.error('Error logging workout data:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error fetching recovery logs:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to log workout data',
+            error: 'Failed to fetch recovery logs',
             details: error.message
         });
     }
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const adminService = require('../services/adminService');
+const searchIndexService = require('../services/searchIndexService');
+
+router.use(authenticateToken);
+
+// Typo-tolerant athlete search with facet counts
+// ?q=&sport=&position=&state=&class=&garBand=&stars=&hasHighlights=&source=&sort=&page=&limit=
+router.get('/athletes', async (req, res) => {
+  try {
+    res.json({ success: true, data: await searchIndexService.search(req.query) });
+  } catch (error) {
+    console.error('Error searching athletes:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to search athletes'
+    });
+  }
+});
+
+// Index size and age on this instance (admin only)
+router.get('/status', (req, res) => {
+  if (!adminService.verifyAdminAccess(req.user?.id)) {
+    return res.status(403).json({ success: false, message: 'Admin access required' });
+  }
+
+  res.json({ success: true, data: searchIndexService.getStatus() });
+});
+
+// Rebuild this instance's index from the database (admin only)
+router.post('/reindex', async (req, res) => {
+  try {
+    if (!adminService.verifyAdminAccess(req.user?.id)) {
+      return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+
+    res.json({ success: true, data: await searchIndexService.rebuild() });
+  } catch (error) {
+    console.error('Error rebuilding search index:', error);
+    res.status(500).json({ success: false, message: 'Failed to rebuild search index' });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,7 @@ const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const { sanitizeInput } = require('../middleware/validation');
-const SocialCommunityService = require('../services/socialCommunityService');
-
-const socialService = new SocialCommunityService();
+const socialService = require('../services/socialCommunityService');
 
 // Initialize service
 socialService.initialize().catch(console.error);
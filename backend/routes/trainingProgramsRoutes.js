@@ -60,6 +60,9 @@ router.get('/athlete/:athleteId', authenticateToken, async (req, res) => {
             });
         }
 
+        // Re-check sessions against the athlete's open injury cases
+        await trainingProgramsService.applyInjuryRestrictions(program);
+
         res.json({
             success: true,
             data: program
@@ -101,7 +104,7 @@ router.put('/progress', authenticateToken, async (req, res) => {
 
     } catch (error) {
         console.error('Error updating program progress:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to update program progress',
             details: error.message
@@ -272,6 +275,8 @@ router.get('/session/:programId/:week/:sessionNumber', authenticateToken, async
             });
         }
 
+        await trainingProgramsService.applyInjuryRestrictions(program);
+
         res.json({
             success: true,
             data: {
@@ -340,7 +345,7 @@ router.post('/log-session', authenticateToken, async (req, res) => {
 
     } catch (error) {
         console.error('Error logging session:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: 'Failed to log session',
             details: error.message
@@ -441,6 +446,8 @@ router.post('/create-custom', authenticateToken, async (req, res) => {
             status: 'active'
         };
 
+        await trainingProgramsService.applyInjuryRestrictions(program);
+
         // Store program
         trainingProgramsService.programs.set(program.id, program);
         trainingProgramsService.athletePrograms.set(athleteId, program.id);
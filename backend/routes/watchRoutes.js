@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const watchlistService = require('../services/watchlistService');
+
+router.use(authenticateToken);
+
+// Same handlers for watchlists (/lists) and saved searches (/searches)
+const sendError = (res, error, fallback) => {
+  console.error(`${fallback}:`, error);
+  res.status(error.status || 500).json({ error: error.status ? error.message : fallback });
+};
+
+[['lists', 'watchlist'], ['searches', 'search']].forEach(([path, kind]) => {
+  router.get(`/${path}`, async (req, res) => {
+    try {
+      res.json({ [path]: await watchlistService.list(kind, req.user.id) });
+    } catch (error) {
+      sendError(res, error, `Failed to fetch ${path}`);
+    }
+  });
+
+  router.post(`/${path}`, async (req, res) => {
+    try {
+      const created = kind === 'search'
+        ? await watchlistService.createSavedSearch(req.user.id, req.body)
+        : await watchlistService.createWatchlist(req.user.id, req.body);
+      res.status(201).json(created);
+    } catch (error) {
+      sendError(res, error, `Failed to create ${kind}`);
+    }
+  });
+
+  router.get(`/${path}/:id`, async (req, res) => {
+    try {
+      res.json(await watchlistService.get(kind, req.user.id, req.params.id));
+    } catch (error) {
+      sendError(res, error, `Failed to fetch ${kind}`);
+    }
+  });
+
+  router.put(`/${path}/:id`, async (req, res) => {
+    try {
+      res.json(await watchlistService.update(kind, req.user.id, req.params.id, req.body));
+    } catch (error) {
+      sendError(res, error, `Failed to update ${kind}`);
+    }
+  });
+
+  router.delete(`/${path}/:id`, async (req, res) => {
+    try {
+      await watchlistService.remove(kind, req.user.id, req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error, `Failed to delete ${kind}`);
+    }
+  });
+});
+
+// Add athletes to a watchlist: { athleteIds: [...] }
+router.post('/lists/:id/athletes', async (req, res) => {
+  try {
+    res.json(await watchlistService.addAthletes(req.user.id, req.params.id, req.body.athleteIds));
+  } catch (error) {
+    sendError(res, error, 'Failed to add athletes');
+  }
+});
+
+router.delete('/lists/:id/athletes/:athleteId', async (req, res) => {
+  try {
+    res.json(await watchlistService.removeAthlete(req.user.id, req.params.id, req.params.athleteId));
+  } catch (error) {
+    sendError(res, error, 'Failed to remove athlete');
+  }
+});
+
+// Run a saved search now; athletes that never matched it before are flagged isNew
+router.post('/searches/:id/run', async (req, res) => {
+  try {
+    res.json(await watchlistService.runSavedSearch(req.user.id, req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to run saved search');
+  }
+});
+
+// Alerts fired for the user's watchlists and saved searches, newest first
+router.get('/alerts', async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    res.json({ alerts: await watchlistService.getAlerts(req.user.id, { status, limit }) });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch alerts');
+  }
+});
+
+module.exports = router;
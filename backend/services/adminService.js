@@ -3,6 +3,8 @@ const jobProcessor = require('./backgroundJobProcessor');
 const achievementSystem = require('./achievementSystem');
 const { RealTimeService } = require('./realTimeService');
 const AnalyticsService = require('./analyticsService');
+const rankingHistoryService = require('./rankingHistoryService');
+const { mockDB } = require('../config/database');
 
 // Admin management interface service
 class AdminService {
@@ -29,7 +31,7 @@ class AdminService {
                 cpu: process.cpuUsage(),
                 nodeVersion: process.version
             },
-            jobs: jobProcessor.getStats(),
+            jobs: await jobProcessor.getStats(),
             achievements: achievementSystem.getGamificationStats(),
             analytics: this.analyticsService.getAnalyticsSummary(),
             maintenance: {
@@ -74,17 +76,17 @@ class AdminService {
     async manageJobs(action, jobId = null, options = {}) {
         switch (action) {
             case 'list':
-                return jobProcessor.getJobs(options.filter);
+                return await jobProcessor.getJobs(options.filter);
 
             case 'cancel':
                 if (!jobId) return { error: 'Job ID required' };
-                return jobProcessor.cancelJob(jobId);
+                return await jobProcessor.cancelJob(jobId);
 
             case 'retry':
                 return await jobProcessor.retryFailedJobs();
 
             case 'stats':
-                return jobProcessor.getStats();
+                return await jobProcessor.getStats();
 
             default:
                 return { error: 'Invalid action' };
@@ -98,7 +100,7 @@ class AdminService {
                 return await this.recalculateRankings(data.sport, data.category);
 
             case 'adjust':
-                return await this.adjustRanking(data.athleteId, data.adjustment, data.reason);
+                return await this.adjustRanking(data.athleteId, data.adjustment, data.reason, data.adjustedBy);
 
             case 'reset':
                 return await this.resetRankings(data.sport);
@@ -130,21 +132,45 @@ class AdminService {
         return result;
     }
 
-    // Adjust individual ranking
-    async adjustRanking(athleteId, adjustment, reason) {
-        logger.info(`Adjusting ranking for athlete ${athleteId}: ${adjustment}`);
+    // Adjust an athlete's GAR score by a number of points and record it in ranking history
+    async adjustRanking(athleteId, adjustment, reason, adjustedBy = 'admin') {
+        const amount = Number(adjustment);
+        if (!Number.isFinite(amount)) return { error: 'Numeric adjustment required' };
+        if (!reason) return { error: 'Reason required' };
+
+        const athlete = (mockDB.players || []).find(p => p._id === athleteId);
+        if (!athlete) return { error: 'Athlete not found' };
+
+        logger.info(`Adjusting ranking for athlete ${athleteId}: ${amount}`);
+
+        const previousGarScore = athlete.garScore;
+        athlete.garScore = Math.min(100, Math.max(0, previousGarScore + amount));
+        athlete.updatedAt = new Date().toISOString();
+
+        const snapshot = await rankingHistoryService.recordChange(athlete, {
+            total: athlete.garScore,
+            breakdown: athlete.garBreakdown,
+            profileVersion: athlete.garProfileVersion
+        }, {
+            cause: 'admin_adjustment',
+            actor: adjustedBy,
+            reason,
+            adjustment: amount
+        });
 
         const result = {
             athleteId,
-            previousRanking: 25,
-            newRanking: 25 + adjustment,
-            adjustment,
+            previousGarScore,
+            newGarScore: athlete.garScore,
+            previousRanking: snapshot.previousRanks?.overall ?? null,
+            newRanking: snapshot.ranks.overall,
+            adjustment: amount,
             reason,
-            adjustedBy: 'admin',
-            timestamp: new Date()
+            adjustedBy,
+            timestamp: snapshot.recordedAt
         };
 
-        this.logAudit('ranking_adjustment', result);
+        this.logAudit('ranking_adjustment', result, adjustedBy);
         return result;
     }
 
@@ -475,7 +501,7 @@ class AdminService {
                 data = this.analyticsService.exportAnalytics(format);
                 break;
             case 'jobs':
-                data = jobProcessor.getJobs();
+                data = await jobProcessor.getJobs();
                 break;
             default:
                 return { error: 'Invalid export type' };
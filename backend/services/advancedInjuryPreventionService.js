@@ -11,6 +11,7 @@ const fs = require('fs').promises;
 const InjuryRisk = require('../models/injuryModel');
 const Athlete = require('../models/playerModel');
 const TrainingSession = require('../models/trainingSessionModel');
+const workloadService = require('./workloadService');
 
 // Initialize Google AI
 const genAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
@@ -739,47 +740,39 @@ Format as a numbered list with clear, specific instructions.`;
   }
 
   /**
-   * Calculate acute and chronic training load
+   * Calculate acute and chronic training load with the workload engine
+   * (session-RPE, rolling and EWMA acute:chronic ratios, monotony and strain)
    */
   calculateTrainingLoad(sessions) {
-    const now = new Date();
-    const acutePeriod = 7; // 7 days
-    const chronicPeriod = 28; // 28 days
-
-    const acuteSessions = sessions.filter(session => {
-      const daysDiff = (now - new Date(session.date)) / (1000 * 60 * 60 * 24);
-      return daysDiff <= acutePeriod;
-    });
-
-    const chronicSessions = sessions.filter(session => {
-      const daysDiff = (now - new Date(session.date)) / (1000 * 60 * 60 * 24);
-      return daysDiff <= chronicPeriod;
-    });
-
-    const acuteLoad = acuteSessions.reduce((sum, session) => sum + (session.trainingLoad || 0), 0);
-    const chronicLoad = chronicSessions.reduce((sum, session) => sum + (session.trainingLoad || 0), 0) / 4; // Average weekly load
+    const { current } = workloadService.computeSeries(sessions);
+    if (!current) {
+      return { acute: 0, chronic: null, ratio: null, ewmaRatio: null, zone: null, monotony: null, strain: null };
+    }
 
     return {
-      acute: acuteLoad,
-      chronic: chronicLoad,
-      ratio: chronicLoad > 0 ? acuteLoad / chronicLoad : 0
+      acute: current.acuteLoad,
+      chronic: current.chronicLoad,
+      ratio: current.acwr,
+      ewmaRatio: current.ewmaAcwr,
+      zone: current.zone,
+      monotony: current.monotony,
+      strain: current.strain
     };
   }
 
   /**
-   * Analyze load trend over time
+   * Analyze load trend over time from the last two weeks of load
    */
   analyzeLoadTrend(sessions) {
-    if (sessions.length < 7) return 'insufficient_data';
+    const { daily, weekly } = workloadService.computeSeries(sessions);
+    if (daily.length < 14) return 'insufficient_data';
 
-    const sortedSessions = sessions.sort((a, b) => new Date(a.date) - new Date(b.date));
-    const recent = sortedSessions.slice(-7);
-    const previous = sortedSessions.slice(-14, -7);
-
-    const recentAvg = recent.reduce((sum, s) => sum + (s.trainingLoad || 0), 0) / recent.length;
-    const previousAvg = previous.reduce((sum, s) => sum + (s.trainingLoad || 0), 0) / previous.length;
+    const [previous, recent] = weekly.slice(-2);
+    if (previous.load === 0) {
+      return recent.load > 0 ? 'sharp_increase' : 'stable';
+    }
 
-    const change = ((recentAvg - previousAvg) / previousAvg) * 100;
+    const change = ((recent.load - previous.load) / previous.load) * 100;
 
     if (change > 20) return 'sharp_increase';
     if (change > 10) return 'moderate_increase';
@@ -789,16 +782,17 @@ Format as a numbered list with clear, specific instructions.`;
   }
 
   /**
-   * Assess recovery needs
+   * Assess recovery needs from the acute:chronic zone
    */
   async assessRecoveryNeeds(athleteId, sessions) {
     const load = this.calculateTrainingLoad(sessions);
+    const zone = load.ewmaRatio !== null && workloadService.zoneFor(load.ewmaRatio) === 'danger' ? 'danger' : load.zone;
 
     let recoveryLevel = 'normal';
 
-    if (load.ratio > 1.5) recoveryLevel = 'high';
-    else if (load.ratio > 1.2) recoveryLevel = 'moderate';
-    else if (load.ratio < 0.8) recoveryLevel = 'low';
+    if (zone === 'danger') recoveryLevel = 'high';
+    else if (zone === 'caution') recoveryLevel = 'moderate';
+    else if (zone === 'under') recoveryLevel = 'low';
 
     return {
       level: recoveryLevel,
@@ -869,10 +863,10 @@ Format as a numbered list with clear, specific instructions.`;
     const { currentLoad, loadTrend, recoveryNeeds } = analysis;
 
     // Load ratio recommendations
-    if (currentLoad.ratio > 1.5) {
+    if (currentLoad.zone === 'danger') {
       recommendations.push('High training load detected - consider reducing volume by 20-30%');
       recommendations.push('Increase recovery time between sessions');
-    } else if (currentLoad.ratio > 1.2) {
+    } else if (currentLoad.zone === 'caution') {
       recommendations.push('Moderate training load - monitor fatigue levels closely');
     }
 
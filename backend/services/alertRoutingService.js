@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+const mailer = require('../utils/mailer');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../data/alertRouting.json');
+const CHANNEL_TYPES = ['email', 'webhook', 'inApp'];
+const MATCH_KEYS = ['severity', 'type', 'source'];
+const MINUTE_MS = 60 * 1000;
+
+// Decides where a data-quality alert goes (data/alertRouting.json) and delivers it over
+// email (SMTP), Slack-compatible webhooks and the in-app admin_alerts topic.
+class AlertRoutingService {
+  constructor(rulesPath = DEFAULT_RULES_PATH) {
+    this.rulesPath = rulesPath;
+    this.rules = null;
+    this.realTimeService = null;
+  }
+
+  /**
+   * Load and check the routing rules
+   * @param {string} rulesPath - Path to the routing rules file
+   */
+  loadRules(rulesPath = this.rulesPath) {
+    const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+
+    Object.entries(rules.channels).forEach(([name, channel]) => {
+      if (!CHANNEL_TYPES.includes(channel.type)) {
+        throw new Error(`Unknown alert channel type for ${name}: ${channel.type}`);
+      }
+    });
+    rules.routes.forEach(route => {
+      const channels = [...route.channels, ...(route.escalation || []).flatMap(level => level.channels)];
+      const unknown = channels.filter(channel => !rules.channels[channel]);
+      if (unknown.length > 0) {
+        throw new Error(`Alert route ${route.name} uses unknown channels: ${unknown.join(', ')}`);
+      }
+    });
+
+    this.rules = rules;
+    this.rulesPath = rulesPath;
+    return rules;
+  }
+
+  /**
+   * Get the loaded rules
+   */
+  getRules() {
+    return this.rules || this.loadRules();
+  }
+
+  /**
+   * First route whose match fits the alert, or null
+   * @param {Object} alert - Alert or issue with severity, type and source
+   */
+  getRoute(alert) {
+    return this.getRules().routes.find(route => this.matches(route, alert)) || null;
+  }
+
+  /**
+   * Route by name
+   * @param {string} name - Route name
+   */
+  getRouteByName(name) {
+    return this.getRules().routes.find(route => route.name === name) || null;
+  }
+
+  /**
+   * Whether each listed match key contains the alert's value
+   * @param {Object} route - Routing rule
+   * @param {Object} alert - Alert or issue
+   */
+  matches(route, alert) {
+    return MATCH_KEYS.every(key => {
+      const allowed = route.match?.[key];
+      return !allowed || allowed.length === 0 || allowed.includes(alert[key]);
+    });
+  }
+
+  /**
+   * Whether an unacknowledged alert may be sent again
+   * @param {Object} route - Routing rule
+   * @param {Date} lastNotifiedAt - Last delivery time
+   * @param {Date} now - Reference time
+   */
+  isOutsideDedupWindow(route, lastNotifiedAt, now = new Date()) {
+    if (!lastNotifiedAt) return true;
+    return now - new Date(lastNotifiedAt) >= (route?.dedupWindowMinutes || 0) * MINUTE_MS;
+  }
+
+  /**
+   * Next escalation level that is due, or null
+   * @param {Object} route - Routing rule
+   * @param {Object} alert - Alert with escalationLevel and escalationBaseAt
+   * @param {Date} now - Reference time
+   */
+  getDueEscalation(route, alert, now = new Date()) {
+    const level = route?.escalation?.[alert.escalationLevel || 0];
+    if (!level || !alert.escalationBaseAt) return null;
+    return now - new Date(alert.escalationBaseAt) >= level.afterMinutes * MINUTE_MS ? level : null;
+  }
+
+  /**
+   * Send an alert to channels; failures are recorded, not thrown
+   * @param {Object} alert - Alert to send
+   * @param {Array} channelNames - Channel keys from the rules
+   * @param {string} kind - 'initial' | 'repeat' | 'escalation'
+   */
+  async deliver(alert, channelNames, kind = 'initial') {
+    const message = this.formatMessage(alert, kind);
+    const deliveries = [];
+
+    for (const name of channelNames) {
+      const channel = this.getRules().channels[name];
+      const delivery = { channel: name, kind, status: 'sent', at: new Date() };
+
+      try {
+        const sender = { email: this._sendEmail, webhook: this._sendWebhook, inApp: this._sendInApp }[channel.type];
+        const skipped = await sender.call(this, channel, alert, message);
+        if (skipped) {
+          delivery.status = 'skipped';
+          delivery.error = skipped;
+        }
+      } catch (error) {
+        logger.error(`Failed to deliver alert ${alert.id} to ${name}:`, error.message);
+        delivery.status = 'failed';
+        delivery.error = error.message;
+      }
+
+      deliveries.push(delivery);
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Subject and text for an alert
+   * @param {Object} alert - Alert
+   * @param {string} kind - 'initial' | 'repeat' | 'escalation'
+   */
+  formatMessage(alert, kind = 'initial') {
+    const prefix = { initial: '', repeat: 'Still open: ', escalation: 'ESCALATED: ' }[kind] || '';
+    const subject = `${prefix}[${String(alert.severity).toUpperCase()}] Data quality: ${alert.type}`;
+    const lines = [
+      alert.message,
+      alert.source && `Source: ${alert.source}`,
+      alert.athleteName && `Athlete: ${alert.athleteName}`,
+      alert.metric && `Metric: ${alert.metric} = ${alert.value} (threshold ${alert.threshold})`,
+      `Seen ${alert.occurrences || 1} time(s) since ${new Date(alert.firstDetected || Date.now()).toISOString()}`,
+      `Alert ID: ${alert.id}`
+    ];
+    return { subject, text: lines.filter(Boolean).join('\n') };
+  }
+
+  // Private helper methods
+  // Senders return a reason string when the channel is not configured
+
+  async _sendEmail(channel, alert, message) {
+    const to = channel.to || process.env[channel.toEnv];
+    if (!mailer.isConfigured()) return 'SMTP is not configured';
+    if (!to) return `No recipients (${channel.toEnv})`;
+
+    return mailer.sendMail({
+      from: channel.from || process.env[channel.fromEnv],
+      to,
+      subject: message.subject,
+      text: message.text
+    });
+  }
+
+  async _sendWebhook(channel, alert, message) {
+    const url = channel.url || process.env[channel.urlEnv];
+    if (!url) return `No webhook URL (${channel.urlEnv})`;
+
+    // Slack incoming-webhook format; Mattermost and Discord /slack endpoints accept it too
+    await axios.post(url, { text: `*${message.subject}*\n${message.text}` }, { timeout: 10000 });
+    return null;
+  }
+
+  async _sendInApp(channel, alert) {
+    const realTimeService = this.realTimeService || global.realTimeService;
+    if (!realTimeService) return 'Real-time service is not running';
+
+    realTimeService.broadcastToTopic(channel.topic, {
+      type: 'data_quality_alert',
+      alert: {
+        id: alert.id,
+        type: alert.type,
+        severity: alert.severity,
+        message: alert.message,
+        status: alert.status,
+        timestamp: new Date(),
+        occurrences: alert.occurrences
+      }
+    });
+    return null;
+  }
+}
+
+module.exports = new AlertRoutingService();
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const AthleteChange = require('../models/athleteChangeModel');
+const apiEcosystemService = require('./apiEcosystemService');
+
+// Bookkeeping fields that change on every write and mean nothing to followers
+const IGNORED_FIELDS = ['_id', 'createdAt', 'updatedAt', 'version', 'identity', 'provenance', 'nameLower', 'metadata', 'source', 'scrapedAt'];
+const PROFILE_FIELDS = ['name', 'sport', 'position', 'school', 'height', 'weight', 'location', 'state', 'graduationYear', 'year'];
+const CHANGE_TOPIC = 'athlete_changes';
+const MAX_LIMIT = 500;
+
+const changeError = (message, status) => Object.assign(new Error(message), { status });
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+class AthleteChangeFeedService {
+  constructor() {
+    // Used when MongoDB is not connected (development mock database)
+    this.mockChanges = [];
+  }
+
+  /**
+   * Diff an athlete record against its previous version, store the change event and publish it
+   * to real-time subscribers and webhooks. Returns null when nothing a follower cares about changed.
+   * @param {Object|null} before - Stored record before the write (null for a new athlete)
+   * @param {Object} after - Record as written
+   * @param {Object} context - operation, source, actor and recordedAt
+   */
+  async recordChange(before, after, context = {}) {
+    const operation = context.operation || (before ? 'merged' : 'created');
+    if (!AthleteChange.CHANGE_OPERATIONS.includes(operation)) {
+      throw changeError(`Unknown athlete change operation: ${operation}`, 400);
+    }
+
+    const source = context.source || after.source || null;
+    const changes = this.diffRecords(before || {}, after).map(change => ({
+      ...change,
+      category: this.getCategory(change.field),
+      source: after.provenance?.[change.field]?.selected?.source || source
+    }));
+
+    if (changes.length === 0) {
+      return null;
+    }
+
+    const event = await this._saveChange({
+      athleteId: String(after._id),
+      athleteName: after.name,
+      sport: after.sport,
+      operation,
+      source,
+      actor: context.actor,
+      version: after.version,
+      categories: [...new Set(changes.map(change => change.category))],
+      changes,
+      recordedAt: context.recordedAt || new Date()
+    });
+
+    this._publish(event);
+    return event;
+  }
+
+  /**
+   * Field-level differences between two records; list items are matched by url, id or name
+   * @param {Object} before - Previous record
+   * @param {Object} after - New record
+   * @param {string} prefix - Path of the objects being compared
+   */
+  diffRecords(before, after, prefix = '') {
+    const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+
+    return keys.flatMap(key => {
+      if (!prefix && IGNORED_FIELDS.includes(key)) return [];
+
+      const field = prefix ? `${prefix}.${key}` : key;
+      const oldValue = before?.[key];
+      const newValue = after?.[key];
+
+      if (isPlainObject(oldValue) || isPlainObject(newValue)) {
+        // An object replaced by a scalar (or the reverse) is one change, not a diff of its keys
+        const comparable = [oldValue, newValue].every(value => isPlainObject(value) || value === undefined || value === null);
+        return comparable ? this.diffRecords(oldValue || {}, newValue || {}, field) : [this._change(field, oldValue, newValue)];
+      }
+
+      if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+        return this._diffList(field, oldValue, newValue);
+      }
+
+      return this._isSame(oldValue, newValue) ? [] : [this._change(field, oldValue, newValue)];
+    });
+  }
+
+  /**
+   * Category a field path belongs to
+   * @param {string} field - Dotted field path
+   */
+  getCategory(field) {
+    const [group] = field.split('.');
+    if (field === 'recruitingData.offers') return 'offers';
+    if (group === 'stats') return 'stats';
+    if (group === 'highlights') return 'highlights';
+    if (group === 'recruitingData') return 'recruiting';
+    if (group === 'rankings' || group === 'garScore') return 'rankings';
+    if (PROFILE_FIELDS.includes(group)) return 'profile';
+    return 'other';
+  }
+
+  /**
+   * Stored change events, newest first
+   * @param {Object} filters - athleteId, category, since, until and limit
+   */
+  async getChanges(filters = {}) {
+    const limit = Math.min(parseInt(filters.limit) || 100, MAX_LIMIT);
+    const since = filters.since ? new Date(filters.since) : new Date(0);
+    const until = filters.until ? new Date(filters.until) : new Date();
+
+    if (Number.isNaN(since.getTime()) || Number.isNaN(until.getTime())) {
+      throw changeError('since and until must be dates', 400);
+    }
+    if (filters.category && !AthleteChange.CHANGE_CATEGORIES.includes(filters.category)) {
+      throw changeError(`Unknown change category: ${filters.category}`, 400);
+    }
+
+    if (this._isMock()) {
+      return this.mockChanges
+        .filter(change => (!filters.athleteId || change.athleteId === String(filters.athleteId)) &&
+          (!filters.category || change.categories.includes(filters.category)) &&
+          change.recordedAt > since && change.recordedAt <= until)
+        .sort((a, b) => b.recordedAt - a.recordedAt)
+        .slice(0, limit);
+    }
+
+    const query = { recordedAt: { $gt: since, $lte: until } };
+    if (filters.athleteId) query.athleteId = String(filters.athleteId);
+    if (filters.category) query.categories = filters.category;
+
+    return AthleteChange.find(query).sort({ recordedAt: -1 }).limit(limit).lean();
+  }
+
+  // Private helper methods
+
+  _isMock() {
+    return mongoose.connection.readyState !== 1;
+  }
+
+  _change(field, oldValue, newValue) {
+    const kind = oldValue === undefined || oldValue === null ? 'added'
+      : newValue === undefined || newValue === null ? 'removed' : 'changed';
+    return { field, kind, old: oldValue ?? null, new: newValue ?? null };
+  }
+
+  // One change per list item added or removed
+  _diffList(field, oldList, newList) {
+    const itemKey = (item) => (isPlainObject(item)
+      ? String(item.url || item.id || item.name || item.school || JSON.stringify(item))
+      : String(item));
+    const oldItems = new Map((Array.isArray(oldList) ? oldList : []).map(item => [itemKey(item), item]));
+    const newItems = new Map((Array.isArray(newList) ? newList : []).map(item => [itemKey(item), item]));
+
+    return [
+      ...[...newItems].filter(([key]) => !oldItems.has(key)).map(([, item]) => ({ field, kind: 'added', old: null, new: item })),
+      ...[...oldItems].filter(([key]) => !newItems.has(key)).map(([, item]) => ({ field, kind: 'removed', old: item, new: null }))
+    ];
+  }
+
+  _isSame(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+      return new Date(a).getTime() === new Date(b).getTime();
+    }
+    return (a ?? null) === (b ?? null);
+  }
+
+  async _saveChange(eventData) {
+    if (this._isMock()) {
+      const event = { _id: String(this.mockChanges.length + 1), ...eventData, createdAt: new Date() };
+      this.mockChanges.push(event);
+      return event;
+    }
+
+    const event = new AthleteChange(eventData);
+    await event.save();
+    return event.toObject();
+  }
+
+  // Followers subscribe to athlete_<id>; the athlete_changes topic carries every athlete
+  _publish(event) {
+    const message = {
+      type: 'athlete_change',
+      athleteId: event.athleteId,
+      athleteName: event.athleteName,
+      operation: event.operation,
+      categories: event.categories,
+      changes: event.changes,
+      timestamp: event.recordedAt
+    };
+
+    try {
+      if (global.realTimeService) {
+        global.realTimeService.broadcastToTopic(`athlete_${event.athleteId}`, message);
+        global.realTimeService.broadcastToTopic(CHANGE_TOPIC, message);
+      }
+
+      // Not awaited: a slow subscriber endpoint must not hold up the record write
+      apiEcosystemService.triggerWebhook(event.operation === 'created' ? 'athlete.created' : 'athlete.updated', {
+        changeId: String(event._id),
+        ...message
+      });
+    } catch (error) {
+      console.error('Error publishing athlete change:', error);
+    }
+  }
+}
+
+module.exports = new AthleteChangeFeedService();
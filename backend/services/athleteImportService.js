@@ -0,0 +1,652 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ImportBatch = require('../models/importBatchModel');
+const ImportTemplate = require('../models/importTemplateModel');
+const DataStorageService = require('./dataStorageService');
+const DataValidationService = require('./dataValidationService');
+const identityResolutionService = require('./identityResolutionService');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+
+const MAX_TEMPLATES_PER_USER = 50;
+const PREVIEW_ROWS = 10;
+// A batch still committing after this long was interrupted (e.g. by a restart) and is treated as failed
+const COMMIT_STALE_MS = 30 * 60 * 1000;
+const IMPORT_SOURCE = 'import';
+const HIGHLIGHT_PLATFORMS = ['hudl', 'youtube', 'twitter', 'instagram'];
+
+// Athlete fields a spreadsheet column can map to. Header aliases drive the suggested mapping;
+// first/last name and city/state are combined into name and location.
+const BASE_FIELDS = [
+  { field: 'name', label: 'Full name', aliases: ['athlete', 'athlete name', 'player', 'player name', 'full name'] },
+  { field: 'firstName', label: 'First name', aliases: ['first', 'given name'] },
+  { field: 'lastName', label: 'Last name', aliases: ['last', 'surname', 'family name'] },
+  { field: 'sport', label: 'Sport' },
+  { field: 'position', label: 'Position', aliases: ['pos'] },
+  { field: 'school', label: 'School', aliases: ['high school', 'hs', 'team'] },
+  { field: 'year', label: 'Class (graduation year)', type: 'year', aliases: ['class', 'class of', 'grad year', 'graduation year'] },
+  { field: 'height', label: 'Height', aliases: ['ht'] },
+  { field: 'weight', label: 'Weight (lbs)', type: 'number', aliases: ['wt'] },
+  { field: 'garScore', label: 'GAR score', type: 'number', aliases: ['gar'] },
+  { field: 'city', label: 'City', aliases: ['hometown city'] },
+  { field: 'state', label: 'State', aliases: ['st'] },
+  { field: 'recruitingData.location', label: 'Location (City, State)', aliases: ['location', 'hometown'] },
+  { field: 'recruitingData.stars', label: 'Star rating', type: 'number', aliases: ['stars'] },
+  { field: 'recruitingData.rating', label: 'Recruiting rating', type: 'number', aliases: ['rating'] },
+  { field: 'recruitingData.ranking', label: 'National ranking', type: 'number', aliases: ['rank', 'ranking'] },
+  { field: 'recruitingData.offers', label: 'Offer count', type: 'number', aliases: ['offers'] },
+  { field: 'socialMedia.twitter', label: 'Twitter / X', aliases: ['twitter', 'x'] },
+  { field: 'socialMedia.instagram', label: 'Instagram', aliases: ['instagram', 'ig'] },
+  { field: 'socialMedia.hudl', label: 'Hudl profile', aliases: ['hudl'] },
+  { field: 'highlights.url', label: 'Highlight video URLs', type: 'urls', aliases: ['highlight', 'highlights', 'video', 'film'] },
+  { field: 'highlights.title', label: 'Highlight title', aliases: ['video title'] }
+];
+// Fields that make up other fields instead of being stored themselves
+const COMPOSITE_FIELDS = ['firstName', 'lastName', 'city', 'state', 'highlights.url', 'highlights.title'];
+const NO_DEFAULT_FIELDS = ['name', 'firstName', 'lastName', 'highlights.url', 'highlights.title'];
+const CUSTOM_STAT_PATTERN = /^stats\.[A-Za-z][A-Za-z0-9_]*$/;
+
+const importError = (message, status) => Object.assign(new Error(message), { status });
+
+// "passingYards" / "Passing Yds." -> "passing yards" / "passing yds"
+const normalizeHeader = (text) => String(text)
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const setPath = (target, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (!object[key]) object[key] = {};
+    return object[key];
+  }, target);
+  parent[last] = value;
+};
+
+// Bulk athlete imports from coaches' spreadsheets. An upload is parsed into a batch with a
+// suggested column mapping; validating the mapping produces a dry-run report of what each
+// row would do; committing stores the valid rows through the normal identity-resolving write
+// path, and a committed batch can be rolled back as a whole.
+class AthleteImportService {
+  constructor() {
+    this.storageService = new DataStorageService();
+    this.storageReady = null;
+    this.validationService = new DataValidationService();
+    this.fields = this._buildFields();
+    // Used when MongoDB is not connected (development mock database)
+    this.mock = { batch: [], template: [] };
+  }
+
+  /**
+   * Fields a column can be mapped to
+   */
+  getFields() {
+    return this.fields.map(({ field, label, type }) => ({ field, label, type }));
+  }
+
+  /**
+   * Parse an uploaded CSV or XLSX file into a new batch with a suggested mapping
+   * @param {string} userId - Uploader
+   * @param {Object} file - { buffer, originalname }
+   * @param {Object} options - templateId to start from a saved mapping
+   */
+  async upload(userId, file, options = {}) {
+    if (!file?.buffer) {
+      throw importError('file is required', 400);
+    }
+
+    const { fileType, headers, rows } = readSpreadsheet(file.buffer, file.originalname);
+    if (rows.length === 0) {
+      throw importError('File has no data rows', 400);
+    }
+    if (rows.length > ImportBatch.MAX_IMPORT_ROWS) {
+      throw importError(`Files are limited to ${ImportBatch.MAX_IMPORT_ROWS} rows; split this one and import each part`, 400);
+    }
+
+    let mapping = this.suggestMapping(headers);
+    let defaults = {};
+    if (options.templateId) {
+      const template = await this._requireOwned('template', userId, options.templateId);
+      mapping = template.mapping.filter(({ column }) => headers.includes(column));
+      defaults = template.defaults || {};
+      await this._save('template', { ...template, lastUsedAt: new Date() });
+    }
+
+    const now = new Date();
+    const batch = {
+      _id: this._newId('import'),
+      userId: String(userId),
+      fileName: file.originalname,
+      fileType,
+      status: 'uploaded',
+      headers,
+      rows,
+      templateId: options.templateId,
+      mapping,
+      defaults,
+      summary: { total: rows.length },
+      rowResults: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    return this._formatBatch(await this._save('batch', batch));
+  }
+
+  /**
+   * Match column headers to fields by name and common aliases
+   * @param {Array} headers - Column headers
+   */
+  suggestMapping(headers) {
+    const used = new Set();
+
+    return headers.reduce((mapping, column) => {
+      const header = normalizeHeader(column);
+      const match = this.fields.find(field => !used.has(field.field) && field.matches.includes(header));
+      if (match) {
+        used.add(match.field);
+        mapping.push({ column, field: match.field });
+      }
+      return mapping;
+    }, []);
+  }
+
+  /**
+   * Apply a mapping and run the dry run: every row is mapped, validated and matched against
+   * stored identities (and earlier rows of the file) without writing anything
+   * @param {string} userId - Owner
+   * @param {string} batchId - Import batch id
+   * @param {Object} options - mapping, defaults and saveAsTemplate (template name)
+   */
+  async validate(userId, batchId, options = {}) {
+    const batch = await this._requireOwned('batch', userId, batchId);
+    if (!['uploaded', 'validated'].includes(batch.status)) {
+      throw importError(`Import is already ${batch.status}`, 409);
+    }
+
+    if (options.mapping !== undefined) batch.mapping = this._validateMapping(options.mapping, batch.headers);
+    if (options.defaults !== undefined) batch.defaults = this._validateDefaults(options.defaults);
+    this._assertNameMapped(batch.mapping);
+
+    await this._ensureStorage();
+    const pendingByKey = new Map();
+    const summary = { total: batch.rows.length, valid: 0, invalid: 0, withWarnings: 0, create: 0, merge: 0, review: 0 };
+
+    batch.rowResults = [];
+    for (const row of batch.rows) {
+      const { record, validationErrors, warnings } = this._prepareRow(batch, row);
+      const result = { line: row.line, name: record.name, validationErrors, warnings };
+
+      if (validationErrors.length > 0) {
+        result.status = 'invalid';
+        summary.invalid++;
+      } else {
+        const pending = this._pendingCandidates(pendingByKey, record);
+        const preview = await this.storageService.previewAthleteData(record, pending);
+        Object.assign(result, {
+          status: 'valid',
+          operation: preview.operation,
+          athleteId: preview.matchId && !preview.matchId.startsWith('line:') ? preview.matchId : undefined,
+          duplicateOfLine: preview.matchId?.startsWith('line:') ? parseInt(preview.matchId.slice(5)) : undefined,
+          matchProbability: preview.probability
+        });
+        summary.valid++;
+        summary[preview.operation]++;
+        if (preview.review) summary.review++;
+
+        preview.record._id = `line:${row.line}`;
+        preview.record.identity.blockingKeys.forEach(key => {
+          if (!pendingByKey.has(key)) pendingByKey.set(key, []);
+          pendingByKey.get(key).push(preview.record);
+        });
+      }
+      if (warnings.length > 0) summary.withWarnings++;
+      batch.rowResults.push(result);
+    }
+
+    batch.summary = summary;
+    batch.status = 'validated';
+    batch.validatedAt = new Date();
+    batch.updatedAt = new Date();
+
+    if (options.saveAsTemplate) {
+      const template = await this.createTemplate(userId, {
+        name: options.saveAsTemplate,
+        mapping: batch.mapping,
+        defaults: batch.defaults
+      });
+      batch.templateId = template.id;
+    }
+
+    return this._formatBatch(await this._save('batch', batch));
+  }
+
+  /**
+   * Store every valid row of a validated batch. Rows that fail are reported and the rest
+   * still import; invalid rows are skipped.
+   * @param {string} userId - Owner
+   * @param {string} batchId - Import batch id
+   */
+  async commit(userId, batchId) {
+    const batch = await this._requireOwned('batch', userId, batchId);
+    if (batch.status !== 'validated') {
+      throw importError(batch.status === 'uploaded'
+        ? 'Run the dry run before committing this import'
+        : `Import is already ${batch.status}`, 409);
+    }
+
+    batch.status = 'committing';
+    batch.updatedAt = new Date();
+    await this._save('batch', batch);
+
+    try {
+      await this._ensureStorage();
+      const resultsByLine = new Map(batch.rowResults.map(result => [result.line, result]));
+      const counts = { imported: 0, failed: 0, skipped: 0 };
+
+      for (const row of batch.rows) {
+        const result = resultsByLine.get(row.line);
+        if (result.status !== 'valid') {
+          result.status = 'skipped';
+          counts.skipped++;
+          continue;
+        }
+
+        try {
+          const { record } = this._prepareRow(batch, row);
+          const stored = await this.storageService.storeAthleteRecord(record, {
+            actor: batch.userId,
+            importBatchId: batch._id
+          });
+          Object.assign(result, { status: 'imported', operation: stored.operation, athleteId: String(stored.athlete._id) });
+          counts.imported++;
+        } catch (error) {
+          Object.assign(result, { status: 'failed', error: error.message });
+          counts.failed++;
+        }
+      }
+
+      batch.summary = { ...batch.summary, ...counts };
+      batch.status = 'committed';
+      batch.committedAt = new Date();
+      batch.committedBy = batch.userId;
+    } catch (error) {
+      // Rows stored before the failure keep their 'imported' status, so rollback can undo them
+      console.error('Error committing athlete import:', error);
+      batch.status = 'failed';
+      batch.error = error.message;
+    }
+
+    batch.updatedAt = new Date();
+    return this._formatBatch(await this._save('batch', batch));
+  }
+
+  /**
+   * Undo a committed batch: records it created are deleted and records it merged into are
+   * rebuilt from their remaining source records
+   * @param {string} userId - Owner
+   * @param {string} batchId - Import batch id
+   */
+  async rollback(userId, batchId) {
+    const batch = await this._requireOwned('batch', userId, batchId);
+    if (!['committed', 'failed'].includes(batch.status)) {
+      throw importError(batch.status === 'rolled_back'
+        ? 'Import is already rolled back'
+        : 'Only committed or failed imports can be rolled back', 409);
+    }
+
+    await this._ensureStorage();
+    const reason = `Import ${batch._id} rolled back`;
+    const links = await identityResolutionService.getImportLinks(batch._id);
+    const entities = new Map();
+
+    for (const link of links) {
+      await identityResolutionService.rollbackLink(link._id, { actor: String(userId), reason });
+      const entity = entities.get(link.entityId) || { createdByImport: false };
+      entity.createdByImport = entity.createdByImport || link.decision === 'origin';
+      entities.set(link.entityId, entity);
+    }
+
+    const outcomes = new Map();
+    for (const [entityId, entity] of entities) {
+      try {
+        const remaining = await identityResolutionService.getLinks(entityId);
+        if (remaining.length > 0) {
+          await this.storageService.rebuildIdentity(entityId);
+          outcomes.set(entityId, {});
+        } else if (entity.createdByImport) {
+          await this.storageService.deleteAthleteRecord(entityId);
+          outcomes.set(entityId, {});
+        } else {
+          outcomes.set(entityId, { error: 'Record has no source history to restore from; review it by hand' });
+        }
+      } catch (error) {
+        outcomes.set(entityId, { error: error.message });
+      }
+    }
+
+    let rolledBack = 0;
+    batch.rowResults.forEach(result => {
+      if (result.status !== 'imported') return;
+      const outcome = outcomes.get(result.athleteId) || {};
+      if (outcome.error) {
+        result.error = outcome.error;
+      } else {
+        result.status = 'rolled_back';
+        rolledBack++;
+      }
+    });
+
+    batch.summary = { ...batch.summary, rolledBack };
+    batch.status = 'rolled_back';
+    batch.rolledBackAt = new Date();
+    batch.rolledBackBy = String(userId);
+    batch.updatedAt = new Date();
+    return this._formatBatch(await this._save('batch', batch));
+  }
+
+  /**
+   * The user's imports, newest first, without their rows
+   * @param {string} userId - Owner
+   */
+  async listBatches(userId) {
+    const batches = await this._find('batch', { userId: String(userId) });
+    return batches
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(({ rows, rowResults, ...batch }) => this._format(batch));
+  }
+
+  /**
+   * One import with its report
+   * @param {string} userId - Owner
+   * @param {string} batchId - Import batch id
+   * @param {Object} options - rowStatus to only return rows in that status
+   */
+  async getBatch(userId, batchId, options = {}) {
+    return this._formatBatch(await this._requireOwned('batch', userId, batchId), options);
+  }
+
+  /**
+   * Save a mapping for reuse
+   * @param {string} userId - Owner
+   * @param {Object} data - name, mapping and defaults
+   */
+  async createTemplate(userId, data = {}) {
+    const existing = await this._find('template', { userId: String(userId) });
+    if (existing.length >= MAX_TEMPLATES_PER_USER) {
+      throw importError(`Limit of ${MAX_TEMPLATES_PER_USER} import templates reached`, 400);
+    }
+
+    const now = new Date();
+    const template = {
+      _id: this._newId('importtemplate'),
+      userId: String(userId),
+      name: this._validateName(data.name),
+      mapping: this._validateMapping(data.mapping),
+      defaults: this._validateDefaults(data.defaults),
+      createdAt: now,
+      updatedAt: now
+    };
+    this._assertNameMapped(template.mapping);
+
+    return this._format(await this._save('template', template));
+  }
+
+  async listTemplates(userId) {
+    const templates = await this._find('template', { userId: String(userId) });
+    return templates.sort((a, b) => a.name.localeCompare(b.name)).map(template => this._format(template));
+  }
+
+  /**
+   * Rename a template or change its mapping or defaults
+   * @param {string} userId - Owner
+   * @param {string} templateId - Template id
+   * @param {Object} changes - name, mapping and defaults
+   */
+  async updateTemplate(userId, templateId, changes = {}) {
+    const template = await this._requireOwned('template', userId, templateId);
+    if (changes.name !== undefined) template.name = this._validateName(changes.name);
+    if (changes.mapping !== undefined) {
+      template.mapping = this._validateMapping(changes.mapping);
+      this._assertNameMapped(template.mapping);
+    }
+    if (changes.defaults !== undefined) template.defaults = this._validateDefaults(changes.defaults);
+    template.updatedAt = new Date();
+
+    return this._format(await this._save('template', template));
+  }
+
+  async deleteTemplate(userId, templateId) {
+    await this._requireOwned('template', userId, templateId);
+
+    if (this._isMock()) {
+      this.mock.template = this.mock.template.filter(template => template._id !== templateId);
+    } else {
+      await ImportTemplate.deleteOne({ _id: templateId });
+    }
+  }
+
+  // Private helper methods
+
+  _isMock() {
+    return mongoose.connection.readyState !== 1;
+  }
+
+  _newId(prefix) {
+    return `${prefix}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  _format(item) {
+    const { _id, __v, ...rest } = item;
+    return { id: _id, ...rest };
+  }
+
+  // Batches are returned without their raw rows, plus a preview of the first few
+  _formatBatch(batch, options = {}) {
+    const { rows, ...rest } = batch;
+    const formatted = this._format(rest);
+    formatted.preview = (rows || []).slice(0, PREVIEW_ROWS);
+    if (options.rowStatus) {
+      formatted.rowResults = formatted.rowResults.filter(result => result.status === options.rowStatus);
+    }
+    return formatted;
+  }
+
+  async _find(kind, query) {
+    if (this._isMock()) {
+      return this.mock[kind].filter(item => Object.entries(query).every(([key, value]) => item[key] === value));
+    }
+    return (kind === 'batch' ? ImportBatch : ImportTemplate).find(query).lean();
+  }
+
+  async _save(kind, item) {
+    if (this._isMock()) {
+      const index = this.mock[kind].findIndex(existing => existing._id === item._id);
+      if (index >= 0) {
+        this.mock[kind][index] = item;
+      } else {
+        this.mock[kind].push(item);
+      }
+      return item;
+    }
+
+    const { _id, ...fields } = item;
+    const Model = kind === 'batch' ? ImportBatch : ImportTemplate;
+    return Model.findByIdAndUpdate(_id, { $set: fields }, { upsert: true, new: true, runValidators: true }).lean();
+  }
+
+  async _requireOwned(kind, userId, id) {
+    const [item] = await this._find(kind, { _id: id });
+    if (!item || item.userId !== String(userId)) {
+      throw importError(`${kind === 'batch' ? 'Import' : 'Import template'} not found`, 404);
+    }
+    if (kind === 'batch' && item.status === 'committing' && Date.now() - new Date(item.updatedAt).getTime() > COMMIT_STALE_MS) {
+      Object.assign(item, { status: 'failed', error: 'Commit was interrupted before it finished', updatedAt: new Date() });
+      return this._save('batch', item);
+    }
+    return item;
+  }
+
+  async _ensureStorage() {
+    if (!this.storageReady) {
+      this.storageReady = this.storageService.initialize();
+    }
+    await this.storageReady;
+  }
+
+  _buildFields() {
+    const statFields = Object.entries(this.validationService.validationRules.stats).map(([key, rule]) => ({
+      field: `stats.${key}`,
+      label: normalizeHeader(key).replace(/^\w/, letter => letter.toUpperCase()),
+      type: rule.type === 'number' ? 'number' : 'string'
+    }));
+
+    return [...BASE_FIELDS, ...statFields].map(field => ({
+      type: 'string',
+      ...field,
+      matches: [field.field.split('.').pop(), field.label, ...(field.aliases || [])].map(normalizeHeader)
+    }));
+  }
+
+  _fieldFor(fieldPath) {
+    const known = this.fields.find(field => field.field === fieldPath);
+    if (known) return known;
+    // Any other stat can be imported; numbers are kept as numbers
+    return CUSTOM_STAT_PATTERN.test(fieldPath) ? { field: fieldPath, type: 'stat' } : null;
+  }
+
+  _validateName(name) {
+    if (!name || !String(name).trim()) {
+      throw importError('name is required', 400);
+    }
+    return String(name).trim().slice(0, 100);
+  }
+
+  _validateMapping(mapping, headers = null) {
+    if (!Array.isArray(mapping)) {
+      throw importError('mapping must be a list of { column, field }', 400);
+    }
+
+    const seen = new Set();
+    return mapping
+      .filter(entry => entry && entry.field)
+      .map(({ column, field }) => {
+        if (headers && !headers.includes(column)) {
+          throw importError(`Column "${column}" is not in this file`, 400);
+        }
+        if (!this._fieldFor(field)) {
+          throw importError(`Unknown field "${field}"`, 400);
+        }
+        if (seen.has(field)) {
+          throw importError(`Field "${field}" is mapped to more than one column`, 400);
+        }
+        seen.add(field);
+        return { column: String(column), field };
+      });
+  }
+
+  _validateDefaults(defaults = {}) {
+    if (typeof defaults !== 'object' || Array.isArray(defaults) || defaults === null) {
+      throw importError('defaults must be an object of field values', 400);
+    }
+
+    return Object.entries(defaults).reduce((valid, [fieldPath, value]) => {
+      const field = this._fieldFor(fieldPath);
+      if (!field || NO_DEFAULT_FIELDS.includes(fieldPath)) {
+        throw importError(`"${fieldPath}" cannot have a default value`, 400);
+      }
+      if (value !== '' && value !== null && value !== undefined) valid[fieldPath] = value;
+      return valid;
+    }, {});
+  }
+
+  _assertNameMapped(mapping) {
+    const fields = mapping.map(entry => entry.field);
+    if (!fields.includes('name') && !(fields.includes('firstName') && fields.includes('lastName'))) {
+      throw importError('Map a column to the athlete name, or to first and last name', 400);
+    }
+  }
+
+  // Turn one spreadsheet row into an athlete record and check it
+  _prepareRow(batch, row) {
+    const values = {};
+    const validationErrors = [];
+
+    Object.entries(batch.defaults || {}).forEach(([field, value]) => {
+      values[field] = value;
+    });
+    batch.mapping.forEach(({ column, field }) => {
+      const value = row.values[batch.headers.indexOf(column)];
+      if (value !== undefined && value !== null && String(value).trim() !== '') values[field] = value;
+    });
+
+    const record = { source: IMPORT_SOURCE };
+    Object.entries(values).forEach(([fieldPath, raw]) => {
+      const { value, error } = this._coerce(this._fieldFor(fieldPath), raw);
+      if (error) {
+        validationErrors.push(error);
+      } else if (!COMPOSITE_FIELDS.includes(fieldPath)) {
+        setPath(record, fieldPath, value);
+      } else {
+        values[fieldPath] = value;
+      }
+    });
+
+    if (!record.name && (values.firstName || values.lastName)) {
+      record.name = [values.firstName, values.lastName].filter(Boolean).join(' ');
+    }
+    if (!record.recruitingData?.location && (values.city || values.state)) {
+      setPath(record, 'recruitingData.location', [values.city, values.state].filter(Boolean).join(', '));
+    }
+    if (Array.isArray(values['highlights.url'])) {
+      record.highlights = values['highlights.url'].map((url, index) => {
+        const platform = HIGHLIGHT_PLATFORMS.find(name => new RegExp(`(^|\\.|//)${name}\\.com`, 'i').test(url));
+        const title = values['highlights.title'] || 'Highlight';
+        return {
+          url,
+          title: values['highlights.url'].length > 1 ? `${title} ${index + 1}` : title,
+          ...(platform ? { platform } : {})
+        };
+      });
+    }
+    if (record.sport) {
+      record.sport = this.storageService.normalizeSport(record.sport);
+    }
+
+    const validation = this.validationService.validateAthleteData(record);
+    return {
+      record: validation.data,
+      validationErrors: [...validationErrors, ...validation.errors],
+      warnings: validation.warnings
+    };
+  }
+
+  // Convert a cell to the field's type, or explain why it cannot be
+  _coerce(field, raw) {
+    const text = String(raw).trim();
+
+    if (field.type === 'number' || (field.type === 'stat' && /^[\d,.\s%$-]+$/.test(text))) {
+      const number = typeof raw === 'number' ? raw : parseFloat(text.replace(/[,\s%$]/g, ''));
+      return Number.isFinite(number) ? { value: number } : { error: `${field.field}: "${text}" is not a number` };
+    }
+    if (field.type === 'year') {
+      const match = text.match(/\b(19|20)\d{2}\b/);
+      return match ? { value: match[0] } : { error: `${field.field}: "${text}" is not a graduation year` };
+    }
+    if (field.type === 'urls') {
+      const urls = text.split(/[\s,;|]+/).filter(Boolean);
+      const invalid = urls.find(url => !/^https?:\/\/.+/i.test(url));
+      return invalid ? { error: `${field.field}: "${invalid}" is not a link` } : { value: urls };
+    }
+    return { value: text };
+  }
+
+  // Earlier rows of the file that share a blocking key with this record
+  _pendingCandidates(pendingByKey, record) {
+    const keys = this.storageService.prepareAthleteData(record).identity.blockingKeys;
+    return [...new Set(keys.flatMap(key => pendingByKey.get(key) || []))];
+  }
+}
+
+module.exports = new AthleteImportService();
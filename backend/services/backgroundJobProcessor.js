@@ -1,15 +1,28 @@
 const { logger } = require('../utils/logger');
 const DataScrapingService = require('./dataScrapingService');
 const DataStorageService = require('./dataStorageService');
+const { jobQueue } = require('./queue');
 
-// Background job processing for data scraping
+const SCRAPING_QUEUE = 'scraping';
+
+// Job queue statuses as reported by this service
+const STATUS_NAMES = {
+    waiting: 'queued',
+    active: 'running',
+    completed: 'completed',
+    dead: 'failed',
+    cancelled: 'cancelled'
+};
+
+// Background job processing for data scraping. Jobs are stored in the durable job queue
+// (services/queue), so queued work survives a restart and failed jobs stay retryable.
 class BackgroundJobProcessor {
-    constructor() {
-        this.jobs = new Map();
-        this.isProcessing = false;
+    constructor(queue = jobQueue) {
+        this.queue = queue;
+        this.queueName = SCRAPING_QUEUE;
         this.maxConcurrentJobs = 3;
-        this.activeJobs = 0;
-        this.jobQueue = [];
+        this.maxAttempts = 3;
+        this.visibilityTimeoutMs = 10 * 60 * 1000; // 10 minutes per athlete
         this.scrapingService = new DataScrapingService();
         this.dataStorageService = new DataStorageService();
     }
@@ -18,6 +31,7 @@ class BackgroundJobProcessor {
     async initialize() {
         try {
             await this.dataStorageService.initialize();
+            this.startProcessing();
             logger.info('Background job processor initialized');
         } catch (error) {
             logger.error('Failed to initialize background job processor:', error);
@@ -25,213 +39,125 @@ class BackgroundJobProcessor {
         }
     }
 
-    // Add a scraping job to the queue
+    // Add a scraping job to the queue; an athlete already queued for the same sport is not queued twice
     async addScrapingJob(athleteName, options = {}, priority = 'normal') {
-        const jobId = `scrape_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-        const job = {
-            id: jobId,
-            type: 'scraping',
-            athleteName,
-            options,
+        const sport = (options.sport || 'football').toLowerCase();
+        const { job, created } = await this.queue.enqueue(this.queueName, 'scraping', { athleteName, options }, {
             priority,
-            status: 'queued',
-            createdAt: new Date(),
-            startedAt: null,
-            completedAt: null,
-            result: null,
-            error: null,
-            progress: 0
-        };
-
-        this.jobs.set(jobId, job);
-        this.jobQueue.push(job);
-
-        // Sort queue by priority
-        this.jobQueue.sort((a, b) => {
-            const priorityOrder = { high: 3, normal: 2, low: 1 };
-            return priorityOrder[b.priority] - priorityOrder[a.priority];
+            maxAttempts: this.maxAttempts,
+            idempotencyKey: `scrape:${sport}:${String(athleteName).trim().toLowerCase()}`
         });
 
-        logger.info(`Added scraping job for ${athleteName} with ID: ${jobId}`);
+        if (created) {
+            logger.info(`Added scraping job for ${athleteName} with ID: ${job.id}`);
+        } else {
+            logger.info(`Scraping job for ${athleteName} is already queued with ID: ${job.id}`);
+        }
 
         // Start processing if not already running
-        if (!this.isProcessing) {
-            this.startProcessing();
-        }
+        this.startProcessing();
 
-        return jobId;
+        return job.id;
     }
 
-    // Start processing jobs
-    async startProcessing() {
-        if (this.isProcessing) return;
-
-        this.isProcessing = true;
-        logger.info('Started background job processing');
-
-        while (this.jobQueue.length > 0 && this.activeJobs < this.maxConcurrentJobs) {
-            const job = this.jobQueue.shift();
-            if (job) {
-                this.processJob(job);
-            }
-        }
-
-        this.isProcessing = false;
+    // Start processing jobs in this process
+    startProcessing() {
+        return this.queue.process(this.queueName, (job, context) => this.processJob(job, context), {
+            concurrency: this.maxConcurrentJobs,
+            visibilityTimeoutMs: this.visibilityTimeoutMs
+        });
     }
 
-    // Process a single job
-    async processJob(job) {
-        this.activeJobs++;
-        job.status = 'running';
-        job.startedAt = new Date();
-
-        logger.info(`Processing job ${job.id} for athlete: ${job.athleteName}`);
-
-        try {
-            // Update progress
-            job.progress = 25;
-
-            // Perform scraping
-            const result = await this.scrapingService.collectAthleteData(job.athleteName, job.options);
+    // Process a single job; throwing fails the attempt and the queue retries with backoff
+    async processJob(job, { progress }) {
+        const { athleteName, options } = job.payload;
 
-            // Store the scraped data
-            if (result && result.name) {
-                job.progress = 75;
-                await this.dataStorageService.storeAthleteData(result);
-                logger.info(`Stored data for athlete: ${result.name}`);
-            }
+        logger.info(`Processing job ${job.id} for athlete: ${athleteName} (attempt ${job.attempts})`);
 
-            job.progress = 100;
-            job.status = 'completed';
-            job.completedAt = new Date();
-            job.result = result;
+        // Update progress
+        await progress(25);
 
-            logger.info(`Completed job ${job.id} successfully`);
+        // Perform scraping
+        const result = await this.scrapingService.collectAthleteData(athleteName, options);
+        const athlete = result && result.combinedData;
 
-        } catch (error) {
-            job.status = 'failed';
-            job.completedAt = new Date();
-            job.error = error.message;
-
-            logger.error(`Job ${job.id} failed:`, error.message);
-        } finally {
-            this.activeJobs--;
-
-            // Process next job if available
-            if (this.jobQueue.length > 0 && this.activeJobs < this.maxConcurrentJobs) {
-                const nextJob = this.jobQueue.shift();
-                if (nextJob) {
-                    setImmediate(() => this.processJob(nextJob));
-                }
-            }
+        // Store the scraped data
+        if (athlete && athlete.name) {
+            await progress(75);
+            await this.dataStorageService.storeAthleteData(athlete);
+            logger.info(`Stored data for athlete: ${athlete.name}`);
         }
+
+        logger.info(`Completed job ${job.id} successfully`);
+        return athlete || null;
     }
 
     // Get job status
-    getJobStatus(jobId) {
-        const job = this.jobs.get(jobId);
-        if (!job) {
+    async getJobStatus(jobId) {
+        const job = await this.queue.get(jobId);
+        if (!job || job.queue !== this.queueName) {
             return { error: 'Job not found' };
         }
 
         return {
-            id: job.id,
-            status: job.status,
-            progress: job.progress,
-            createdAt: job.createdAt,
-            startedAt: job.startedAt,
-            completedAt: job.completedAt,
-            athleteName: job.athleteName,
-            result: job.result,
-            error: job.error
+            ...this.formatJob(job),
+            result: job.result
         };
     }
 
-    // Get all jobs with optional filtering
-    getJobs(filter = {}) {
-        let jobs = Array.from(this.jobs.values());
-
-        if (filter.status) {
-            jobs = jobs.filter(job => job.status === filter.status);
+    // Get all jobs with optional filtering (status: queued | running | completed | failed | cancelled)
+    async getJobs(filter = {}) {
+        const status = filter.status
+            ? Object.keys(STATUS_NAMES).find(key => STATUS_NAMES[key] === filter.status)
+            : undefined;
+        if (filter.status && !status) {
+            return [];
         }
 
-        if (filter.type) {
-            jobs = jobs.filter(job => job.type === filter.type);
-        }
+        const jobs = await this.queue.list(this.queueName, { status, limit: filter.limit || 500 });
 
-        // Sort by creation date (newest first)
-        jobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-        return jobs.map(job => ({
-            id: job.id,
-            type: job.type,
-            athleteName: job.athleteName,
-            status: job.status,
-            progress: job.progress,
-            createdAt: job.createdAt,
-            startedAt: job.startedAt,
-            completedAt: job.completedAt
-        }));
+        return jobs
+            .filter(job => !filter.type || job.name === filter.type)
+            .map(job => this.formatJob(job));
     }
 
     // Cancel a job
-    cancelJob(jobId) {
-        const job = this.jobs.get(jobId);
-        if (!job) {
-            return { error: 'Job not found' };
-        }
-
-        if (job.status === 'running') {
-            job.status = 'cancelled';
-            job.completedAt = new Date();
-            this.activeJobs--;
-            logger.info(`Cancelled running job ${jobId}`);
-        } else if (job.status === 'queued') {
-            job.status = 'cancelled';
-            job.completedAt = new Date();
-            // Remove from queue
-            const index = this.jobQueue.findIndex(j => j.id === jobId);
-            if (index > -1) {
-                this.jobQueue.splice(index, 1);
+    async cancelJob(jobId) {
+        try {
+            await this.queue.cancel(jobId);
+            logger.info(`Cancelled job ${jobId}`);
+            return { success: true, message: `Job ${jobId} cancelled` };
+        } catch (error) {
+            if (error.status) {
+                return { error: error.message };
             }
-            logger.info(`Cancelled queued job ${jobId}`);
-        } else {
-            return { error: `Cannot cancel job with status: ${job.status}` };
+            throw error;
         }
-
-        return { success: true, message: `Job ${jobId} cancelled` };
     }
 
-    // Clean up old completed jobs (older than 24 hours)
-    cleanupOldJobs() {
-        const cutoffTime = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 hours ago
-
-        for (const [jobId, job] of this.jobs.entries()) {
-            if (job.completedAt && job.completedAt < cutoffTime) {
-                this.jobs.delete(jobId);
-            }
-        }
-
-        logger.info('Cleaned up old completed jobs');
+    // Clean up completed jobs older than 24 hours and failed jobs older than 7 days
+    async cleanupOldJobs() {
+        const { removed } = await this.queue.cleanup(this.queueName);
+        logger.info(`Cleaned up ${removed} old jobs`);
+        return { removed };
     }
 
     // Get processing statistics
-    getStats() {
-        const jobs = Array.from(this.jobs.values());
-        const stats = {
-            total: jobs.length,
-            queued: jobs.filter(j => j.status === 'queued').length,
-            running: jobs.filter(j => j.status === 'running').length,
-            completed: jobs.filter(j => j.status === 'completed').length,
-            failed: jobs.filter(j => j.status === 'failed').length,
-            cancelled: jobs.filter(j => j.status === 'cancelled').length,
-            activeJobs: this.activeJobs,
+    async getStats() {
+        const counts = await this.queue.stats(this.queueName);
+
+        return {
+            total: counts.waiting + counts.active + counts.completed + counts.dead + counts.cancelled,
+            queued: counts.waiting,
+            running: counts.active,
+            completed: counts.completed,
+            failed: counts.dead,
+            cancelled: counts.cancelled,
+            activeJobs: counts.processing,
             maxConcurrentJobs: this.maxConcurrentJobs,
-            queueLength: this.jobQueue.length
+            queueLength: counts.waiting,
+            driver: counts.driver
         };
-
-        return stats;
     }
 
     // Batch scraping for multiple athletes
@@ -251,39 +177,48 @@ class BackgroundJobProcessor {
         return jobIds;
     }
 
-    // Retry failed jobs
+    // Retry failed jobs: requeue everything in the dead-letter list with fresh attempts
     async retryFailedJobs() {
-        const failedJobs = Array.from(this.jobs.values()).filter(job => job.status === 'failed');
-
-        for (const job of failedJobs) {
-            // Reset job status
-            job.status = 'queued';
-            job.error = null;
-            job.progress = 0;
-            job.startedAt = null;
-            job.completedAt = null;
-
-            // Re-queue the job
-            this.jobQueue.push(job);
-        }
+        const { retried } = await this.queue.retryDead(this.queueName);
 
-        if (failedJobs.length > 0) {
-            logger.info(`Retrying ${failedJobs.length} failed jobs`);
+        if (retried > 0) {
+            logger.info(`Retrying ${retried} failed jobs`);
             this.startProcessing();
         }
 
-        return { retried: failedJobs.length };
+        return { retried };
+    }
+
+    // Public view of a queued job
+    formatJob(job) {
+        return {
+            id: job.id,
+            type: job.name,
+            athleteName: job.payload && job.payload.athleteName,
+            status: STATUS_NAMES[job.status],
+            priority: job.priority,
+            progress: job.progress,
+            attempts: job.attempts,
+            maxAttempts: job.maxAttempts,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            completedAt: job.finishedAt,
+            nextAttemptAt: job.status === 'waiting' && job.attempts > 0 ? job.availableAt : null,
+            error: job.lastError
+        };
     }
 }
 
 // Singleton instance
 const jobProcessor = new BackgroundJobProcessor();
 
-// Periodic cleanup - only in non-test environments
+// Resume jobs left by a previous run and clean up periodically - only in non-test environments
 if (process.env.NODE_ENV !== 'test') {
+    jobProcessor.startProcessing();
+
     setInterval(() => {
-        jobProcessor.cleanupOldJobs();
-    }, 60 * 60 * 1000); // Every hour
+        jobProcessor.cleanupOldJobs().catch(error => logger.error('Failed to clean up old jobs:', error));
+    }, 60 * 60 * 1000).unref(); // Every hour
 }
 
 module.exports = jobProcessor;
@@ -0,0 +1,357 @@
+const standards = require('../data/ncaaInitialEligibility.json');
+
+const ENGLISH_MATH_SCIENCE = ['english', 'math', 'naturalScience'];
+// Order in which missing categories are scheduled into remaining semesters
+const PLAN_PRIORITY = [
+  'english',
+  'math',
+  'naturalScience',
+  'additionalEnglishMathScience',
+  'socialScience',
+  'additional'
+];
+const SEMESTER_UNITS = 0.5;
+const CORE_SLOTS_PER_SEMESTER = 4;
+
+// Legacy /calculate payloads send counts keyed by these names instead of course records
+const LEGACY_CATEGORY_MAP = {
+  additionalEnglish: 'english',
+  additionalMath: 'math',
+  additionalScience: 'naturalScience'
+};
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+class CoreCourseEvaluator {
+  /**
+   * Get initial-eligibility standards for a division
+   * @param {string} division - Division key (division1, division2, division3)
+   */
+  getRequirements(division) {
+    const requirements = standards.divisions[division];
+    if (!requirements) {
+      throw new Error(`Unknown division: ${division}`);
+    }
+    return requirements;
+  }
+
+  /**
+   * Get the standards data version
+   */
+  getVersion() {
+    return standards.version;
+  }
+
+  /**
+   * Get all division standards
+   */
+  getAllRequirements() {
+    return standards.divisions;
+  }
+
+  /**
+   * Convert legacy per-category course counts into course records
+   * @param {Object} coreCourses - Map of category to completed course count
+   * @param {number} gpa - Self-reported core GPA applied to every course
+   */
+  coursesFromCounts(coreCourses = {}, gpa = 0) {
+    return Object.entries(coreCourses).flatMap(([key, count]) => {
+      const category = LEGACY_CATEGORY_MAP[key] || (standards.divisions.division1.coreRequirements[key] !== undefined ? key : 'additional');
+      return Array.from({ length: Math.max(0, parseInt(count) || 0) }, (_, i) => ({
+        name: `${key} ${i + 1}`,
+        coreCategory: category,
+        units: 1,
+        gradePoints: gpa,
+        status: 'completed',
+        ncaaApproved: true
+      }));
+    });
+  }
+
+  /**
+   * Get quality points for a course from its numeric override or letter grade
+   * @param {Object} course - Course record
+   */
+  toGradePoints(course) {
+    if (typeof course.gradePoints === 'number') {
+      return course.gradePoints;
+    }
+    const letter = (course.grade || '').trim().toUpperCase().charAt(0);
+    return standards.gradePoints[letter] !== undefined ? standards.gradePoints[letter] : null;
+  }
+
+  /**
+   * Assign courses to division requirement categories, best grades first
+   * @param {Array} courses - Course records
+   * @param {Object} coreRequirements - Required units per category
+   * @param {Object} alreadyFilled - Units already credited per category
+   */
+  allocateCourses(courses, coreRequirements, alreadyFilled = {}) {
+    const filled = Object.keys(coreRequirements).reduce((acc, category) => {
+      acc[category] = alreadyFilled[category] || 0;
+      return acc;
+    }, {});
+    const used = [];
+
+    const sorted = [...courses].sort((a, b) => (this.toGradePoints(b) || 0) - (this.toGradePoints(a) || 0));
+
+    for (const course of sorted) {
+      let remaining = course.units || 1;
+      const buckets = [
+        course.coreCategory,
+        ENGLISH_MATH_SCIENCE.includes(course.coreCategory) ? 'additionalEnglishMathScience' : null,
+        'additional'
+      ].filter(bucket => bucket && coreRequirements[bucket] !== undefined);
+
+      for (const bucket of buckets) {
+        const open = coreRequirements[bucket] - filled[bucket];
+        if (open <= 0) continue;
+
+        const credited = Math.min(open, remaining);
+        filled[bucket] += credited;
+        remaining -= credited;
+        used.push({ course, category: bucket, units: credited });
+
+        if (remaining <= 0) break;
+      }
+    }
+
+    return { filled, used };
+  }
+
+  /**
+   * Calculate core GPA over the courses that satisfy the division requirements
+   * @param {Array} courses - Completed core course records
+   * @param {string} division - Division key
+   */
+  calculateCoreGPA(courses, division) {
+    const requirements = this.getRequirements(division);
+    const graded = courses.filter(course => this.toGradePoints(course) !== null);
+
+    // Without category requirements every graded core course counts
+    const weighted = Object.keys(requirements.coreRequirements).length > 0
+      ? this.allocateCourses(graded, requirements.coreRequirements).used
+      : graded.map(course => ({ course, units: course.units || 1 }));
+
+    const totalUnits = weighted.reduce((sum, entry) => sum + entry.units, 0);
+    if (totalUnits === 0) return null;
+
+    const qualityPoints = weighted.reduce((sum, entry) => sum + this.toGradePoints(entry.course) * entry.units, 0);
+    return round(qualityPoints / totalUnits);
+  }
+
+  /**
+   * Check the Division I 10/7 rule (10 core courses, 7 in English/math/science, before the seventh semester)
+   * @param {Array} courses - Completed core course records
+   * @param {string} division - Division key
+   */
+  checkTenSevenRule(courses, division) {
+    const rule = this.getRequirements(division).tenSevenRule;
+    if (!rule) {
+      return { applies: false, met: true };
+    }
+
+    const locked = courses.filter(course => course.gradeLevel && course.gradeLevel < rule.beforeGradeLevel);
+    if (locked.length === 0 && courses.some(course => !course.gradeLevel)) {
+      return { applies: true, evaluated: false, met: false, reason: 'Course grade levels not provided' };
+    }
+
+    const total = locked.reduce((sum, course) => sum + (course.units || 1), 0);
+    const englishMathScience = locked
+      .filter(course => ENGLISH_MATH_SCIENCE.includes(course.coreCategory))
+      .reduce((sum, course) => sum + (course.units || 1), 0);
+
+    return {
+      applies: true,
+      evaluated: true,
+      met: total >= rule.total && englishMathScience >= rule.englishMathScience,
+      completedBeforeSeniorYear: total,
+      englishMathScienceBeforeSeniorYear: englishMathScience,
+      required: { total: rule.total, englishMathScience: rule.englishMathScience },
+      citation: rule.citation
+    };
+  }
+
+  /**
+   * Look up the sliding-scale row for a core GPA
+   * @param {string} division - Division key
+   * @param {number} coreGPA - Core-course GPA
+   */
+  lookupSlidingScale(division, coreGPA) {
+    const scale = this.getRequirements(division).slidingScale;
+    if (scale.length === 0 || coreGPA === null) return null;
+
+    // Rows are ordered from highest GPA down; the first row at or below the GPA applies
+    return scale.find(row => coreGPA >= row.gpa) || null;
+  }
+
+  /**
+   * Evaluate a test score against the sliding scale at a core GPA
+   * @param {string} division - Division key
+   * @param {number} coreGPA - Core-course GPA
+   * @param {string} testType - 'sat', 'act' or 'none'
+   * @param {number} testScore - SAT total, ACT sum score, or ACT composite (converted to a sum)
+   */
+  evaluateTestScore(division, coreGPA, testType, testScore) {
+    const requirements = this.getRequirements(division);
+    const row = this.lookupSlidingScale(division, coreGPA);
+    // The NCAA scale uses the ACT sum score; a composite of 36 or less is treated as four equal sub-scores
+    const score = testType === 'act' && testScore <= 36 ? testScore * 4 : testScore;
+    const hasScore = (testType === 'sat' || testType === 'act') && typeof score === 'number' && !isNaN(score);
+
+    const minimumGPAForScore = hasScore
+      ? [...requirements.slidingScale].reverse().find(entry => score >= entry[testType])?.gpa ?? null
+      : null;
+
+    if (!requirements.testScoreRequired) {
+      return { status: 'qualifier', required: false, row: null, minimumGPAForScore };
+    }
+    if (!row) {
+      return { status: 'not_eligible', required: true, row: null, minimumGPAForScore };
+    }
+
+    const meetsScale = hasScore && score >= row[testType];
+    return {
+      status: meetsScale ? row.status : 'not_eligible',
+      required: true,
+      row,
+      requiredSAT: row.sat,
+      requiredACTSum: row.act,
+      score: hasScore ? score : null,
+      minimumGPAForScore
+    };
+  }
+
+  /**
+   * Evaluate a transcript against one division's initial-eligibility standards
+   * @param {Array} courses - All course records (completed, in progress and planned)
+   * @param {Object} options - division, testType, testScore, currentGradeLevel, currentTerm
+   */
+  evaluateDivision(courses, options) {
+    const { division } = options;
+    const requirements = this.getRequirements(division);
+    const core = courses.filter(course => course.ncaaApproved !== false && course.coreCategory && course.coreCategory !== 'none');
+    const completed = core.filter(course => (course.status || 'completed') === 'completed');
+    const scheduled = core.filter(course => course.status === 'in_progress' || course.status === 'planned');
+
+    const completedAllocation = this.allocateCourses(completed, requirements.coreRequirements);
+    const scheduledAllocation = this.allocateCourses(scheduled, requirements.coreRequirements, completedAllocation.filled);
+
+    const categories = {};
+    const missingCategories = [];
+    for (const [category, required] of Object.entries(requirements.coreRequirements)) {
+      const done = completedAllocation.filled[category];
+      const planned = scheduledAllocation.filled[category] - done;
+      const missing = Math.max(0, required - done - planned);
+      categories[category] = { required, completed: done, scheduled: planned, missing };
+      if (required - done > 0) {
+        missingCategories.push({ category, missing: required - done, scheduled: planned, unscheduled: missing });
+      }
+    }
+
+    const coreUnitsCompleted = Object.values(completedAllocation.filled).reduce((sum, units) => sum + units, 0);
+    const coreGPA = this.calculateCoreGPA(completed, division);
+    const tenSevenRule = this.checkTenSevenRule(completed, division);
+    const testEvaluation = this.evaluateTestScore(division, coreGPA, options.testType, options.testScore);
+    const coursesMet = coreUnitsCompleted >= requirements.totalCoreCourses;
+
+    // Meeting the scale without the 10/7 rule still allows practice and aid, but not competition
+    let status = 'not_eligible';
+    if (coursesMet && testEvaluation.status !== 'not_eligible') {
+      status = testEvaluation.status === 'qualifier' && !tenSevenRule.met
+        ? 'academic_redshirt'
+        : testEvaluation.status;
+    }
+
+    return {
+      division,
+      name: requirements.name,
+      status,
+      coreGPA,
+      minimumCoreGPA: requirements.minimumCoreGPA,
+      coreUnitsCompleted,
+      requiredCoreUnits: requirements.totalCoreCourses,
+      categories,
+      missingCategories,
+      tenSevenRule,
+      slidingScale: testEvaluation,
+      citation: requirements.citation,
+      completionPlan: this.buildCompletionPlan(
+        categories,
+        tenSevenRule,
+        options.currentGradeLevel,
+        options.currentTerm
+      )
+    };
+  }
+
+  /**
+   * Evaluate a transcript against every division
+   * @param {Array} courses - All course records
+   * @param {Object} options - testType, testScore, currentGradeLevel, currentTerm
+   */
+  evaluateAllDivisions(courses, options = {}) {
+    return Object.keys(standards.divisions).reduce((acc, division) => {
+      acc[division] = this.evaluateDivision(courses, { ...options, division });
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Spread unscheduled core units over the remaining semesters before graduation
+   * @param {Object} categories - Per-category requirement status from evaluateDivision
+   * @param {Object} tenSevenRule - 10/7 rule status
+   * @param {number} currentGradeLevel - Current grade level (9-12)
+   * @param {string} currentTerm - 'fall' or 'spring'
+   */
+  buildCompletionPlan(categories, tenSevenRule, currentGradeLevel = 9, currentTerm = 'fall') {
+    const semesters = [];
+    for (let gradeLevel = currentGradeLevel; gradeLevel <= 12; gradeLevel++) {
+      for (const term of ['fall', 'spring']) {
+        if (gradeLevel === currentGradeLevel && currentTerm === 'spring' && term === 'fall') continue;
+        semesters.push({ gradeLevel, term, label: `Grade ${gradeLevel} ${term === 'fall' ? 'Fall' : 'Spring'}`, courses: [] });
+      }
+    }
+
+    // Remaining half-unit slots per category, in scheduling priority
+    const slots = PLAN_PRIORITY
+      .filter(category => categories[category])
+      .map(category => ({ category, remaining: Math.ceil(categories[category].missing / SEMESTER_UNITS) }));
+
+    for (const semester of semesters) {
+      let capacity = CORE_SLOTS_PER_SEMESTER;
+      // Before senior year, English/math/science go first so the 10/7 rule can still be met
+      const ordered = tenSevenRule.applies && !tenSevenRule.met && semester.gradeLevel < 12
+        ? [...slots].sort((a, b) => this._tenSevenRank(a.category) - this._tenSevenRank(b.category))
+        : slots;
+
+      while (capacity > 0 && ordered.some(slot => slot.remaining > 0)) {
+        for (const slot of ordered) {
+          if (capacity === 0) break;
+          if (slot.remaining === 0) continue;
+          semester.courses.push({
+            category: slot.category,
+            units: SEMESTER_UNITS,
+            lockedForTenSeven: semester.gradeLevel < 12
+          });
+          slot.remaining -= 1;
+          capacity -= 1;
+        }
+      }
+    }
+
+    const unplacedUnits = slots.reduce((sum, slot) => sum + slot.remaining * SEMESTER_UNITS, 0);
+    return {
+      feasible: unplacedUnits === 0,
+      unplacedUnits,
+      semesters: semesters.filter(semester => semester.courses.length > 0)
+    };
+  }
+
+  // Private helper methods
+  _tenSevenRank(category) {
+    return ENGLISH_MATH_SCIENCE.includes(category) || category === 'additionalEnglishMathScience' ? 0 : 1;
+  }
+}
+
+module.exports = new CoreCourseEvaluator();
@@ -1,6 +1,14 @@
+const mongoose = require('mongoose');
 const { logger } = require('../utils/logger');
 const DataStorageService = require('./dataStorageService');
 const RealTimeService = require('./realTimeService');
+const alertRoutingService = require('./alertRoutingService');
+const sourceHealthService = require('./scrapers/sourceHealthService');
+const DataQualityAlert = require('../models/dataQualityAlertModel');
+
+const ACTIVE_ALERT_STATUSES = ['open', 'acknowledged', 'snoozed'];
+const MAX_ALERT_DELIVERIES = 50;
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
 
 // Data quality monitoring service
 class DataQualityMonitoringService {
@@ -9,7 +17,9 @@ class DataQualityMonitoringService {
         this.realTimeService = null; // Will be set later when server is available
         this.monitoringInterval = null;
         this.isRunning = false;
-        this.alerts = [];
+        this.alertRouting = alertRoutingService;
+        this.alerts = []; // Active alerts as of the last check
+        this.mockAlerts = [];
         this.qualityThresholds = {
             minConfidence: 50,
             minDataQuality: 60,
@@ -17,7 +27,6 @@ class DataQualityMonitoringService {
             minSources: 1,
             maxErrorRate: 0.1 // 10%
         };
-        this.alertCooldown = 60 * 60 * 1000; // 1 hour cooldown between similar alerts
     }
 
     // Initialize the service
@@ -108,6 +117,10 @@ class DataQualityMonitoringService {
             const sourceIssues = await this.checkSourceReliability();
             issues.push(...sourceIssues);
 
+            // Check per-source parse yield for layout drift
+            const driftIssues = await this.checkSourceDrift();
+            issues.push(...driftIssues);
+
             // Check error rates
             const errorIssues = await this.checkErrorRates();
             issues.push(...errorIssues);
@@ -321,6 +334,57 @@ class DataQualityMonitoringService {
         }
     }
 
+    // Check per-source parse yield and HTTP status mix; one issue per source and kind so
+    // a layout change and a blocked scraper alert separately
+    async checkSourceDrift() {
+        try {
+            const sources = await sourceHealthService.getSourceHealth();
+            const issues = [];
+
+            sources.forEach(source => {
+                const layoutFlags = source.drift.filter(flag => flag.kind !== 'http_errors');
+                const httpFlag = source.drift.find(flag => flag.kind === 'http_errors');
+
+                if (layoutFlags.length > 0) {
+                    const [first] = layoutFlags;
+                    issues.push({
+                        type: 'source_layout_drift',
+                        severity: 'high',
+                        message: `${source.label} parse yield dropped, possible layout change: ${layoutFlags.map(flag => this.formatDriftFlag(flag)).join('; ')}`,
+                        source: source.source,
+                        metric: first.field ? `${first.metric}:${first.field}` : first.metric,
+                        value: first.current,
+                        threshold: first.baseline
+                    });
+                }
+
+                if (httpFlag) {
+                    const statuses = Object.entries(httpFlag.statusMix).map(([status, count]) => `${status} x${count}`).join(', ');
+                    issues.push({
+                        type: 'source_http_errors',
+                        severity: 'high',
+                        message: `${source.label} requests failing (${(httpFlag.current * 100).toFixed(1)}%): ${statuses}`,
+                        source: source.source,
+                        metric: httpFlag.metric,
+                        value: httpFlag.current,
+                        threshold: sourceHealthService.thresholds.maxHttpErrorRate
+                    });
+                }
+            });
+
+            return issues;
+        } catch (error) {
+            logger.error('Error checking source drift:', error);
+            return [];
+        }
+    }
+
+    formatDriftFlag(flag) {
+        const format = (value) => (flag.metric === 'recordsPerPage' ? value.toFixed(2) : `${(value * 100).toFixed(0)}%`);
+        const label = flag.field ? `${flag.field} null rate` : flag.metric;
+        return `${label} ${format(flag.current)} (baseline ${format(flag.baseline)})`;
+    }
+
     // Check error rates
     async checkErrorRates() {
         try {
@@ -359,104 +423,275 @@ class DataQualityMonitoringService {
         }
     }
 
-    // Process alerts and send notifications
-    async processAlerts(newIssues) {
+    // Process alerts: a new issue opens an alert, repeat detections update it and are re-sent only
+    // after the route's dedup window, and alerts no longer detected resolve after autoResolveMinutes
+    async processAlerts(newIssues, now = new Date()) {
         try {
-            const currentTime = new Date();
-
-            // Filter out alerts that are on cooldown
-            const activeAlerts = newIssues.filter(issue => {
-                const existingAlert = this.alerts.find(alert =>
-                    alert.type === issue.type &&
-                    alert.athleteId === issue.athleteId &&
-                    alert.source === issue.source &&
-                    (currentTime - new Date(alert.lastSent)) < this.alertCooldown
-                );
-
-                return !existingAlert;
-            });
-
-            // Add new alerts
-            activeAlerts.forEach(issue => {
-                const alert = {
-                    ...issue,
-                    id: this.generateAlertId(),
-                    firstDetected: currentTime,
-                    lastSent: currentTime,
-                    occurrences: 1
-                };
-
-                this.alerts.push(alert);
-            });
+            const activeAlerts = await this.findAlerts({ status: ACTIVE_ALERT_STATUSES, limit: 0 });
+            const byFingerprint = new Map(activeAlerts.map(alert => [alert.fingerprint, alert]));
+            const detected = new Set();
+            let opened = 0;
+
+            for (const issue of newIssues) {
+                const fingerprint = this.getAlertFingerprint(issue);
+                if (detected.has(fingerprint)) continue;
+                detected.add(fingerprint);
+
+                let alert = byFingerprint.get(fingerprint);
+                let kind = null;
+
+                if (!alert) {
+                    alert = this.createAlert(issue, fingerprint, now);
+                    kind = 'initial';
+                    opened++;
+                } else {
+                    alert.occurrences++;
+                    alert.lastDetected = now;
+                    alert.severity = issue.severity;
+                    alert.message = issue.message;
+                    alert.value = issue.value; // Update with latest value
 
-            // Update existing alerts
-            this.alerts.forEach(alert => {
-                const matchingIssue = newIssues.find(issue =>
-                    issue.type === alert.type &&
-                    issue.athleteId === alert.athleteId &&
-                    issue.source === alert.source
-                );
+                    if (alert.status === 'snoozed' && new Date(alert.snoozedUntil) <= now) {
+                        this.reopenAlert(alert, now);
+                    }
+                    const route = this.alertRouting.getRouteByName(alert.route);
+                    if (alert.status === 'open' && this.alertRouting.isOutsideDedupWindow(route, alert.lastNotifiedAt, now)) {
+                        kind = 'repeat';
+                    }
+                }
 
-                if (matchingIssue) {
-                    alert.occurrences++;
-                    alert.lastSent = currentTime;
-                    alert.value = matchingIssue.value; // Update with latest value
+                if (kind) {
+                    await this.sendAlertNotification(alert, kind, now);
                 }
-            });
+                await this.saveAlert(alert);
+            }
 
-            // Send notifications for new alerts
+            // Resolve alerts whose issue has not been seen for a while
+            const autoResolveMs = this.alertRouting.getRules().autoResolveMinutes * 60 * 1000;
             for (const alert of activeAlerts) {
-                await this.sendAlertNotification(alert);
+                if (!detected.has(alert.fingerprint) && now - new Date(alert.lastDetected) >= autoResolveMs) {
+                    alert.status = 'resolved';
+                    alert.resolvedAt = now;
+                    alert.history.push({ action: 'resolve', actor: 'system', note: 'No longer detected', at: now });
+                    await this.saveAlert(alert);
+                }
             }
 
-            // Clean up old alerts
-            this.alerts = this.alerts.filter(alert =>
-                (currentTime - new Date(alert.firstDetected)) < 7 * 24 * 60 * 60 * 1000 // Keep for 7 days
-            );
+            await this.escalateAlerts(now);
 
-            logger.info(`Processed ${activeAlerts.length} new alerts`);
+            logger.info(`Processed ${newIssues.length} issues: ${opened} new alerts`);
         } catch (error) {
             logger.error('Error processing alerts:', error);
         }
     }
 
-    // Send alert notification
-    async sendAlertNotification(alert) {
-        try {
-            // Send via real-time service (if available)
-            if (this.realTimeService) {
-                await this.realTimeService.broadcastToTopic('admin_alerts', {
-                    type: 'data_quality_alert',
-                    alert: {
-                        id: alert.id,
-                        type: alert.type,
-                        severity: alert.severity,
-                        message: alert.message,
-                        timestamp: new Date(),
-                        occurrences: alert.occurrences
-                    }
-                });
+    // Escalate open alerts nobody has acknowledged, one level at a time
+    async escalateAlerts(now = new Date()) {
+        const alerts = await this.findAlerts({ status: ['open', 'snoozed'], limit: 0 });
+        let escalated = 0;
+
+        for (const alert of alerts) {
+            if (alert.status === 'snoozed') {
+                if (new Date(alert.snoozedUntil) > now) continue;
+                this.reopenAlert(alert, now);
+                await this.saveAlert(alert);
             }
 
-            // Log alert
-            logger.warn(`Data Quality Alert [${alert.severity.toUpperCase()}]: ${alert.message}`);
+            const route = this.alertRouting.getRouteByName(alert.route);
+            const level = this.alertRouting.getDueEscalation(route, alert, now);
+            if (!level) continue;
+
+            alert.escalationLevel++;
+            alert.escalatedAt = now;
+            await this.sendAlertNotification(alert, 'escalation', now, level.channels);
+            await this.saveAlert(alert);
+            escalated++;
+        }
+
+        if (escalated > 0) {
+            logger.warn(`Escalated ${escalated} unacknowledged data quality alerts`);
+        }
+        return escalated;
+    }
+
+    // Send alert notification through its route's channels
+    async sendAlertNotification(alert, kind = 'initial', now = new Date(), channels = null) {
+        try {
+            const route = this.alertRouting.getRouteByName(alert.route);
+            const deliveries = await this.alertRouting.deliver(alert, channels || (route ? route.channels : []), kind);
 
-            // In a production system, you might also:
-            // - Send email notifications
-            // - Send SMS alerts for critical issues
-            // - Create tickets in issue tracking systems
-            // - Send Slack/Discord notifications
+            alert.deliveries = [...alert.deliveries, ...deliveries].slice(-MAX_ALERT_DELIVERIES);
+            alert.lastNotifiedAt = now;
+            if (!alert.escalationBaseAt) {
+                alert.escalationBaseAt = now;
+            }
 
+            // Log alert
+            logger.warn(`Data Quality Alert [${alert.severity.toUpperCase()}] (${kind}): ${alert.message}`);
         } catch (error) {
             logger.error('Error sending alert notification:', error);
         }
     }
 
+    // Acknowledge an alert: stops repeats and escalation until it resolves
+    async acknowledgeAlert(alertId, { actor, note } = {}) {
+        return this.updateAlertStatus(alertId, 'acknowledge', { actor, note }, alert => {
+            alert.status = 'acknowledged';
+            alert.acknowledgedBy = actor;
+            alert.acknowledgedAt = new Date();
+        });
+    }
+
+    // Silence an alert for a number of minutes; it reopens afterwards if still detected
+    async snoozeAlert(alertId, { actor, minutes, note } = {}) {
+        const duration = Number(minutes);
+        if (!Number.isInteger(duration) || duration < 1 || duration > MAX_SNOOZE_MINUTES) {
+            throw Object.assign(new Error(`Snooze must be between 1 and ${MAX_SNOOZE_MINUTES} minutes`), { status: 400 });
+        }
+
+        return this.updateAlertStatus(alertId, 'snooze', { actor, note }, alert => {
+            alert.status = 'snoozed';
+            alert.snoozedBy = actor;
+            alert.snoozedUntil = new Date(Date.now() + duration * 60 * 1000);
+        });
+    }
+
+    // Close an alert by hand
+    async resolveAlert(alertId, { actor, note } = {}) {
+        return this.updateAlertStatus(alertId, 'resolve', { actor, note }, alert => {
+            alert.status = 'resolved';
+            alert.resolvedBy = actor;
+            alert.resolvedAt = new Date();
+        });
+    }
+
+    // Apply a user action to an active alert and record it in the alert's history
+    async updateAlertStatus(alertId, action, { actor, note }, apply) {
+        const alert = await this.getAlert(alertId);
+        if (!alert) {
+            throw Object.assign(new Error('Alert not found'), { status: 404 });
+        }
+        if (alert.status === 'resolved') {
+            throw Object.assign(new Error('Alert is already resolved'), { status: 409 });
+        }
+
+        apply(alert);
+        alert.history.push({ action, actor, note, at: new Date() });
+        await this.saveAlert(alert);
+
+        logger.info(`Data quality alert ${alertId} ${alert.status} by ${actor}`);
+        return this.formatAlert(alert);
+    }
+
+    // Same issue, same alert: type plus the athlete or source it concerns
+    getAlertFingerprint(issue) {
+        return [issue.type, issue.athleteId || '', issue.source || ''].join('|');
+    }
+
+    // Build a new alert for an issue
+    createAlert(issue, fingerprint, now) {
+        const route = this.alertRouting.getRoute(issue);
+
+        return {
+            id: this.generateAlertId(),
+            fingerprint,
+            type: issue.type,
+            severity: issue.severity,
+            message: issue.message,
+            source: issue.source,
+            athleteId: issue.athleteId ? String(issue.athleteId) : undefined,
+            athleteName: issue.athleteName,
+            metric: issue.metric,
+            value: issue.value,
+            threshold: issue.threshold,
+            route: route ? route.name : null,
+            status: 'open',
+            occurrences: 1,
+            firstDetected: now,
+            lastDetected: now,
+            lastNotifiedAt: null,
+            escalationBaseAt: null,
+            escalationLevel: 0,
+            deliveries: [],
+            history: []
+        };
+    }
+
+    // End a snooze; escalation delays start over
+    reopenAlert(alert, now) {
+        alert.status = 'open';
+        alert.snoozedUntil = null;
+        alert.escalationBaseAt = now;
+        alert.history.push({ action: 'reopen', actor: 'system', note: 'Snooze ended', at: now });
+    }
+
+    // Alert storage falls back to memory while the database is not connected
+    isMockStorage() {
+        return mongoose.connection.readyState !== 1;
+    }
+
+    // Find alerts, newest detection first. Filter: status, type, severity, source, since, limit (0 = no limit)
+    async findAlerts({ status, type, severity, source, since, limit = 100 } = {}) {
+        const list = value => (Array.isArray(value) ? value : [value]);
+
+        if (this.isMockStorage()) {
+            const alerts = this.mockAlerts
+                .filter(alert => !status || list(status).includes(alert.status))
+                .filter(alert => !type || list(type).includes(alert.type))
+                .filter(alert => !severity || list(severity).includes(alert.severity))
+                .filter(alert => !source || list(source).includes(alert.source))
+                .filter(alert => !since || new Date(alert.lastDetected) >= since)
+                .sort((a, b) => new Date(b.lastDetected) - new Date(a.lastDetected));
+            return (limit ? alerts.slice(0, limit) : alerts).map(alert => structuredClone(alert));
+        }
+
+        const query = {};
+        if (status) query.status = { $in: list(status) };
+        if (type) query.type = { $in: list(type) };
+        if (severity) query.severity = { $in: list(severity) };
+        if (source) query.source = { $in: list(source) };
+        if (since) query.lastDetected = { $gte: since };
+
+        const docs = await DataQualityAlert.find(query).sort({ lastDetected: -1 }).limit(limit).lean();
+        return docs.map(({ _id, __v, ...alert }) => ({ id: _id, ...alert }));
+    }
+
+    // Get one alert
+    async getAlert(alertId) {
+        if (this.isMockStorage()) {
+            const alert = this.mockAlerts.find(a => a.id === alertId);
+            return alert ? structuredClone(alert) : null;
+        }
+
+        const doc = await DataQualityAlert.findById(alertId).lean();
+        if (!doc) return null;
+        const { _id, __v, ...alert } = doc;
+        return { id: _id, ...alert };
+    }
+
+    // Insert or replace an alert
+    async saveAlert(alert) {
+        if (this.isMockStorage()) {
+            const retentionCutoff = Date.now() - DataQualityAlert.HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+            this.mockAlerts = this.mockAlerts.filter(a =>
+                a.id !== alert.id && !(a.resolvedAt && new Date(a.resolvedAt) < retentionCutoff)
+            );
+            this.mockAlerts.push({ ...structuredClone(alert), updatedAt: new Date() });
+            return alert;
+        }
+
+        const { id, ...fields } = alert;
+        await DataQualityAlert.findByIdAndUpdate(id, { $set: { ...fields, updatedAt: new Date() } }, { upsert: true });
+        return alert;
+    }
+
     // Store quality metrics
     async storeQualityMetrics(stats) {
         try {
             const db = this.storageService.db;
             const collection = db.collection('quality_metrics');
+            const activeAlerts = await this.findAlerts({ status: ACTIVE_ALERT_STATUSES, limit: 0 });
+            this.alerts = activeAlerts;
 
             const metrics = {
                 timestamp: new Date(),
@@ -465,7 +700,7 @@ class DataQualityMonitoringService {
                 averageConfidence: stats.stats.averageConfidence || 0,
                 highQualityCount: stats.stats.highQualityCount || 0,
                 sourceDistribution: stats.stats.sourceDistribution || {},
-                activeAlerts: this.alerts.length,
+                activeAlerts: activeAlerts.length,
                 issuesFound: stats.issues.length
             };
 
@@ -480,39 +715,59 @@ class DataQualityMonitoringService {
         return `alert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
-    // Get current alerts
-    getCurrentAlerts() {
-        return this.alerts.map(alert => ({
+    // Public view of an alert
+    formatAlert(alert) {
+        return {
             id: alert.id,
             type: alert.type,
             severity: alert.severity,
+            status: alert.status,
             message: alert.message,
+            route: alert.route,
             firstDetected: alert.firstDetected,
-            lastSent: alert.lastSent,
+            lastDetected: alert.lastDetected,
+            lastSent: alert.lastNotifiedAt,
             occurrences: alert.occurrences,
             athleteName: alert.athleteName,
             source: alert.source,
             metric: alert.metric,
             value: alert.value,
-            threshold: alert.threshold
-        }));
+            threshold: alert.threshold,
+            escalationLevel: alert.escalationLevel,
+            acknowledgedBy: alert.acknowledgedBy,
+            acknowledgedAt: alert.acknowledgedAt,
+            snoozedUntil: alert.snoozedUntil,
+            resolvedAt: alert.resolvedAt,
+            deliveries: alert.deliveries,
+            history: alert.history
+        };
+    }
+
+    // Get current (unresolved) alerts
+    async getCurrentAlerts(filter = {}) {
+        const alerts = await this.findAlerts({ status: ACTIVE_ALERT_STATUSES, ...filter });
+        return alerts.map(alert => this.formatAlert(alert));
     }
 
-    // Get quality metrics history
-    async getQualityMetricsHistory(hours = 24) {
+    // Get quality metrics history, with the alerts detected in the same window.
+    // Alert filters: status, type, severity, source
+    async getQualityMetricsHistory(hours = 24, alertFilter = {}) {
+        const cutoffDate = new Date(Date.now() - hours * 60 * 60 * 1000);
+        let metrics = [];
+
         try {
             const db = this.storageService.db;
-            const collection = db.collection('quality_metrics');
+            const collection = db && db.collection('quality_metrics');
 
-            const cutoffDate = new Date(Date.now() - hours * 60 * 60 * 1000);
-
-            return await collection.find({
+            metrics = !collection ? [] : await collection.find({
                 timestamp: { $gte: cutoffDate }
             }).sort({ timestamp: -1 }).toArray();
         } catch (error) {
             logger.error('Error getting quality metrics history:', error);
-            return [];
         }
+
+        const alerts = await this.findAlerts({ ...alertFilter, since: cutoffDate, limit: alertFilter.limit || 500 });
+        return { metrics, alerts: alerts.map(alert => this.formatAlert(alert)) };
     }
 
     // Update quality thresholds
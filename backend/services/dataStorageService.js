@@ -1,5 +1,23 @@
 const { logger } = require('../utils/logger');
 const { connectDB, getDBStats } = require('../config/database');
+const mongoose = require('mongoose');
+const rankingHistoryService = require('./rankingHistoryService');
+const identityResolutionService = require('./identityResolutionService');
+const provenanceService = require('./provenanceService');
+const athleteChangeFeedService = require('./athleteChangeFeedService');
+const searchIndexService = require('./searchIndexService');
+
+// Mock collections are shared so every storage instance sees the same identities
+const sharedMockCollections = {
+    athletes: [],
+    athleteData: [],
+    scrapingJobs: [],
+    dataQuality: [],
+    qualityMetrics: []
+};
+let mockIdCounter = 0;
+
+const storageError = (message, status) => Object.assign(new Error(message), { status });
 
 // Data storage and normalization service
 class DataStorageService {
@@ -27,13 +45,7 @@ class DataStorageService {
                 // Mock database
                 this.db = dbConnection;
                 this.isMock = true;
-                this.mockCollections = {
-                    athletes: [],
-                    athleteData: [],
-                    scrapingJobs: [],
-                    dataQuality: [],
-                    qualityMetrics: []
-                };
+                this.mockCollections = sharedMockCollections;
             }
 
             logger.info(`Data storage service initialized (${this.isMock ? 'mock' : 'real'} database)`);
@@ -43,82 +55,394 @@ class DataStorageService {
         }
     }
 
-    // Store athlete data
-    async storeAthleteData(athleteData) {
+    // Store athlete data, resolving it against existing identities first
+    async storeAthleteData(athleteData, context = {}) {
+        const { athlete } = await this.storeAthleteRecord(athleteData, context);
+        return athlete;
+    }
+
+    // Store athlete data and report whether it created a new identity or merged into one.
+    // context: actor and importBatchId (set by spreadsheet imports so they can be rolled back)
+    async storeAthleteRecord(athleteData, context = {}) {
         try {
             // Normalize the data before storing
-            const normalizedData = this.normalizeAthleteData(athleteData);
+            const normalizedData = this.prepareAthleteData(athleteData);
+            const snapshot = { ...normalizedData };
+
+            const { match, comparison } = await this.resolveIdentity(normalizedData);
+            const existingAthlete = comparison?.decision === 'merge' ? match : null;
+            let storedData;
+
+            if (existingAthlete) {
+                // Merge with the matched identity
+                storedData = this.mergeAthleteRecords(existingAthlete, normalizedData);
+                await this.replaceAthleteRecord(storedData);
+                logger.info(`Updated athlete data for: ${storedData.name} (p=${comparison.probability})`);
+            } else {
+                // Insert new athlete
+                storedData = await this.insertAthleteRecord(normalizedData);
+                logger.info(`Stored new athlete data for: ${storedData.name}`);
+            }
 
-            if (this.isMock) {
-                // Mock database storage
-                const collection = this.mockCollections.athleteData;
-                const existingIndex = collection.findIndex(a => a.name === normalizedData.name && a.sport === normalizedData.sport);
+            await identityResolutionService.recordLink(storedData._id, snapshot, {
+                decision: existingAthlete ? 'auto' : 'origin',
+                comparison: existingAthlete ? comparison : null,
+                actor: context.actor,
+                importBatchId: context.importBatchId
+            });
 
-                if (existingIndex >= 0) {
-                    // Update existing athlete
-                    normalizedData._id = collection[existingIndex]._id;
-                    normalizedData.updatedAt = new Date();
-                    normalizedData.version = (collection[existingIndex].version || 0) + 1;
+            // Ambiguous matches stay separate until an admin decides
+            if (!existingAthlete && comparison?.decision === 'review') {
+                await identityResolutionService.enqueueReview(storedData, match, comparison);
+            }
 
-                    // Merge with existing data
-                    normalizedData.stats = this.mergeStats(collection[existingIndex].stats || {}, normalizedData.stats);
-                    normalizedData.highlights = this.mergeHighlights(collection[existingIndex].highlights || [], normalizedData.highlights);
-                    normalizedData.recruitingData = this.mergeRecruitingData(collection[existingIndex].recruitingData || {}, normalizedData.recruitingData);
+            // Store data quality metrics
+            await this.storeDataQualityMetrics(storedData);
 
-                    collection[existingIndex] = normalizedData;
-                } else {
-                    // Insert new athlete
-                    normalizedData._id = Date.now().toString();
-                    normalizedData.createdAt = new Date();
-                    normalizedData.updatedAt = new Date();
-                    normalizedData.version = 1;
-                    collection.push(normalizedData);
-                }
+            await this.recordAthleteChange(existingAthlete, storedData, {
+                operation: existingAthlete ? 'merged' : 'created',
+                source: athleteData.source || athleteData.recruitingData?.source,
+                actor: context.actor
+            });
 
-                logger.info(`Stored athlete data for: ${normalizedData.name} (mock)`);
-            } else {
-                // Real MongoDB storage
-                const collection = this.db.collection(this.collections.athleteData);
-                const existingAthlete = await collection.findOne({
-                    name: normalizedData.name,
-                    sport: normalizedData.sport
-                });
+            if (typeof storedData.garScore === 'number' && storedData.garScore !== existingAthlete?.garScore) {
+                await this.recordScrapedRankingChange(storedData);
+            }
+
+            return {
+                athlete: storedData,
+                operation: existingAthlete ? 'merged' : 'created',
+                probability: comparison?.probability,
+                review: !existingAthlete && comparison?.decision === 'review'
+            };
+        } catch (error) {
+            logger.error('Error storing athlete data:', error);
+            throw error;
+        }
+    }
 
-                if (existingAthlete) {
-                    // Update existing athlete
-                    normalizedData._id = existingAthlete._id;
-                    normalizedData.updatedAt = new Date();
-                    normalizedData.version = (existingAthlete.version || 0) + 1;
+    // Predict what storing a record would do without writing anything. Records not stored
+    // yet (earlier rows of the same import) can be passed as extra candidates.
+    async previewAthleteData(athleteData, pendingRecords = []) {
+        const normalizedData = this.prepareAthleteData(athleteData);
+        const { match, comparison } = await this.resolveIdentity(normalizedData, pendingRecords);
+
+        return {
+            record: normalizedData,
+            operation: comparison?.decision === 'merge' ? 'merge' : 'create',
+            review: comparison?.decision === 'review',
+            matchId: comparison && comparison.decision !== 'distinct' ? String(match._id) : undefined,
+            probability: comparison?.probability
+        };
+    }
 
-                    // Merge with existing data
-                    normalizedData.stats = this.mergeStats(existingAthlete.stats || {}, normalizedData.stats);
-                    normalizedData.highlights = this.mergeHighlights(existingAthlete.highlights || [], normalizedData.highlights);
-                    normalizedData.recruitingData = this.mergeRecruitingData(existingAthlete.recruitingData || {}, normalizedData.recruitingData);
+    // Normalize a record and add the identity blocking keys used to find its matches
+    prepareAthleteData(athleteData) {
+        const normalizedData = this.normalizeAthleteData(athleteData);
+        normalizedData.identity = { blockingKeys: identityResolutionService.getBlockingKeys(normalizedData) };
+        return normalizedData;
+    }
 
-                    await collection.replaceOne({ _id: existingAthlete._id }, normalizedData);
-                    logger.info(`Updated athlete data for: ${normalizedData.name}`);
-                } else {
-                    // Insert new athlete
-                    normalizedData.createdAt = new Date();
-                    normalizedData.updatedAt = new Date();
-                    normalizedData.version = 1;
-
-                    const result = await collection.insertOne(normalizedData);
-                    normalizedData._id = result.insertedId;
-                    logger.info(`Stored new athlete data for: ${normalizedData.name}`);
-                }
+    // Best stored identity (or extra candidate) for a normalized record
+    async resolveIdentity(normalizedData, extraCandidates = []) {
+        const candidates = await this.findIdentityCandidates(normalizedData);
+        return identityResolutionService.findBestMatch(normalizedData, [...candidates, ...extraCandidates]);
+    }
+
+    // Fold an incoming record into an existing identity
+    mergeAthleteRecords(existingAthlete, incoming) {
+        const merged = {
+            ...incoming,
+            _id: existingAthlete._id,
+            createdAt: existingAthlete.createdAt,
+            updatedAt: new Date(),
+            version: (existingAthlete.version || 0) + 1,
+            stats: this.mergeStats(existingAthlete.stats || {}, incoming.stats || {}),
+            highlights: this.mergeHighlights(existingAthlete.highlights || [], incoming.highlights || []),
+            recruitingData: this.mergeRecruitingData(existingAthlete.recruitingData || {}, incoming.recruitingData || {}),
+            identity: {
+                blockingKeys: [...new Set([
+                    ...(existingAthlete.identity?.blockingKeys || []),
+                    ...(incoming.identity?.blockingKeys || [])
+                ])]
             }
+        };
 
-            // Store data quality metrics
-            await this.storeDataQualityMetrics(normalizedData);
+        // Fields with provenance follow source priority instead of the max/overwrite merges above
+        if (existingAthlete.provenance || incoming.provenance) {
+            merged.provenance = provenanceService.mergeProvenance(existingAthlete.provenance, incoming.provenance);
+            this.applyProvenance(merged);
+        }
+        return merged;
+    }
+
+    // Write resolved provenance values onto a record in normalized form
+    applyProvenance(record) {
+        provenanceService.applyToRecord(record);
+        if (record.position) record.position = this.normalizePosition(record.position, record.sport);
+        if (record.school) record.school = this.normalizeSchool(record.school);
+        if (record.stats) record.stats = this.normalizeStats(record.stats);
+        return record;
+    }
+
+    // Explain which source a field's current value came from
+    async explainAthleteField(athleteId, fieldPath) {
+        const athlete = await this.getAthleteRecordById(athleteId);
+        if (!athlete) {
+            throw storageError('Athlete record not found', 404);
+        }
 
-            return normalizedData;
+        return provenanceService.explain(athlete, fieldPath);
+    }
+
+    // Record a manually entered value; it competes with scraped values under the manual source priority
+    async recordManualValue(athleteId, fieldPath, value, { actor, note } = {}) {
+        try {
+            provenanceService.assertEditableField(fieldPath, value);
+
+            const athlete = await this.getAthleteRecordById(athleteId);
+            if (!athlete) {
+                throw storageError('Athlete record not found', 404);
+            }
+
+            const updated = { ...athlete, provenance: { ...(athlete.provenance || {}) } };
+            provenanceService.addObservation(updated.provenance, fieldPath, provenanceService.createObservation(value, {
+                source: 'manual',
+                confidence: 'high',
+                recordedBy: actor,
+                note
+            }));
+            this.applyProvenance(updated);
+            updated.updatedAt = new Date();
+            updated.version = (athlete.version || 0) + 1;
+
+            await this.replaceAthleteRecord(updated);
+            await this.storeDataQualityMetrics(updated);
+            await this.recordAthleteChange(athlete, updated, { operation: 'manual', source: 'manual', actor });
+
+            logger.info(`Recorded manual ${fieldPath} for athlete ${athleteId}`);
+            return { athlete: updated, explanation: provenanceService.explain(updated, fieldPath) };
         } catch (error) {
-            logger.error('Error storing athlete data:', error);
+            logger.error('Error recording manual athlete value:', error);
             throw error;
         }
     }
 
+    // Find stored athletes sharing a blocking key (or, for older records, the exact name)
+    async findIdentityCandidates(record) {
+        const keys = record.identity?.blockingKeys || [];
+
+        if (this.isMock) {
+            return this.mockCollections.athleteData.filter(a =>
+                a.sport === record.sport &&
+                ((a.identity?.blockingKeys || []).some(key => keys.includes(key)) || a.nameLower === record.nameLower)
+            );
+        }
+
+        const collection = this.db.collection(this.collections.athleteData);
+        return collection.find({
+            sport: record.sport,
+            $or: [
+                { 'identity.blockingKeys': { $in: keys } },
+                { nameLower: record.nameLower }
+            ]
+        }).limit(50).toArray();
+    }
+
+    // Get a stored athlete by id
+    async getAthleteRecordById(id) {
+        if (this.isMock) {
+            return this.mockCollections.athleteData.find(a => String(a._id) === String(id)) || null;
+        }
+
+        const collection = this.db.collection(this.collections.athleteData);
+        return collection.findOne({ _id: this.toRecordId(id) });
+    }
+
+    // Get several athlete records in one query; ids with no record are left out
+    async getAthleteRecordsByIds(ids) {
+        if (this.isMock) {
+            const wanted = new Set(ids.map(String));
+            return this.mockCollections.athleteData.filter(a => wanted.has(String(a._id)));
+        }
+
+        const collection = this.db.collection(this.collections.athleteData);
+        return collection.find({ _id: { $in: ids.map(id => this.toRecordId(id)) } }).toArray();
+    }
+
+    // Insert a new athlete record
+    async insertAthleteRecord(record) {
+        const stored = { ...record, createdAt: new Date(), updatedAt: new Date(), version: 1 };
+
+        if (this.isMock) {
+            stored._id = `${Date.now()}-${++mockIdCounter}`;
+            this.mockCollections.athleteData.push(stored);
+        } else {
+            const collection = this.db.collection(this.collections.athleteData);
+            const result = await collection.insertOne(stored);
+            stored._id = result.insertedId;
+        }
+
+        searchIndexService.indexAthlete('athleteData', stored);
+        return stored;
+    }
+
+    // Replace a stored athlete record
+    async replaceAthleteRecord(record) {
+        if (this.isMock) {
+            const collection = this.mockCollections.athleteData;
+            const index = collection.findIndex(a => String(a._id) === String(record._id));
+            collection[index] = record;
+        } else {
+            const collection = this.db.collection(this.collections.athleteData);
+            await collection.replaceOne({ _id: record._id }, record);
+        }
+
+        searchIndexService.indexAthlete('athleteData', record);
+        return record;
+    }
+
+    // Delete a stored athlete record
+    async deleteAthleteRecord(id) {
+        if (this.isMock) {
+            const collection = this.mockCollections.athleteData;
+            const index = collection.findIndex(a => String(a._id) === String(id));
+            if (index >= 0) collection.splice(index, 1);
+        } else {
+            const collection = this.db.collection(this.collections.athleteData);
+            await collection.deleteOne({ _id: this.toRecordId(id) });
+        }
+
+        searchIndexService.removeAthlete('athleteData', id);
+    }
+
+    // Link ids are stored as strings; Mongo records use ObjectIds
+    toRecordId(id) {
+        return mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(String(id)) : id;
+    }
+
+    // Rebuild an identity from its active source records, oldest first
+    async rebuildIdentity(entityId) {
+        const existingAthlete = await this.getAthleteRecordById(entityId);
+        if (!existingAthlete) {
+            throw storageError('Athlete record not found', 404);
+        }
+
+        const links = await identityResolutionService.getLinks(entityId);
+        if (links.length === 0) {
+            return existingAthlete;
+        }
+
+        const [first, ...rest] = links.map(link => link.recordSnapshot);
+        let rebuilt = { ...first, _id: existingAthlete._id, createdAt: existingAthlete.createdAt };
+        rest.forEach(snapshot => {
+            rebuilt = this.mergeAthleteRecords(rebuilt, snapshot);
+        });
+        rebuilt.updatedAt = new Date();
+        rebuilt.version = (existingAthlete.version || 0) + 1;
+
+        await this.replaceAthleteRecord(rebuilt);
+        await this.storeDataQualityMetrics(rebuilt);
+        await this.recordAthleteChange(existingAthlete, rebuilt, { operation: 'rebuilt', source: 'identity' });
+        return rebuilt;
+    }
+
+    // Split one source record back out of the identity it was merged into
+    async unmergeAthleteRecord(linkId, { actor, reason } = {}) {
+        try {
+            const link = await identityResolutionService.getLink(linkId);
+            const entity = await this.getAthleteRecordById(link.entityId);
+            if (!entity) {
+                throw storageError('Athlete record not found', 404);
+            }
+            if (link.status !== 'active') {
+                throw storageError('This record has already been unmerged', 409);
+            }
+
+            const split = await this.insertAthleteRecord({ ...link.recordSnapshot });
+            await identityResolutionService.markUnmerged(linkId, { splitEntityId: split._id, actor, reason });
+            await identityResolutionService.recordLink(split._id, link.recordSnapshot, {
+                decision: 'origin',
+                actor,
+                reason: `Unmerged from ${link.entityId}`
+            });
+            await this.storeDataQualityMetrics(split);
+            await this.recordAthleteChange(null, split, { operation: 'created', source: 'identity', actor });
+
+            const rebuilt = await this.rebuildIdentity(link.entityId);
+
+            // Remember the decision so the pair is not queued for review again
+            await identityResolutionService.enqueueReview(rebuilt, split,
+                identityResolutionService.compare(rebuilt, split), 'unmerged');
+
+            logger.info(`Unmerged ${split.name} from athlete ${link.entityId}`);
+            return { athlete: rebuilt, split };
+        } catch (error) {
+            logger.error('Error unmerging athlete record:', error);
+            throw error;
+        }
+    }
+
+    // Apply an admin decision to a queued identity pair
+    async resolveIdentityReview(reviewId, action, { actor, notes } = {}) {
+        try {
+            if (!['merge', 'reject'].includes(action)) {
+                throw storageError('Review decision must be merge or reject', 400);
+            }
+
+            const review = await identityResolutionService.getReview(reviewId);
+            if (action === 'reject') {
+                return { review: await identityResolutionService.closeReview(reviewId, 'rejected', { actor, notes }) };
+            }
+            if (review.status !== 'pending') {
+                throw storageError(`Review is already ${review.status}`, 409);
+            }
+
+            const [survivor, absorbed] = await Promise.all([
+                this.getAthleteRecordById(review.entityId),
+                this.getAthleteRecordById(review.candidateEntityId)
+            ]);
+            if (!survivor || !absorbed) {
+                throw storageError('One of the athlete records in this review no longer exists', 409);
+            }
+
+            await identityResolutionService.moveLinks(absorbed._id, survivor._id, { actor, reason: notes || `Review ${reviewId}` });
+            const athlete = await this.rebuildIdentity(survivor._id);
+            await this.deleteAthleteRecord(absorbed._id);
+
+            const closed = await identityResolutionService.closeReview(reviewId, 'merged', { actor, notes });
+            logger.info(`Merged athlete ${absorbed._id} into ${survivor._id} by review`);
+            return { review: closed, athlete, removedAthleteId: String(absorbed._id) };
+        } catch (error) {
+            logger.error('Error resolving identity review:', error);
+            throw error;
+        }
+    }
+
+    // Publish the field-level changes of a record write without failing the store
+    async recordAthleteChange(before, after, context) {
+        try {
+            await athleteChangeFeedService.recordChange(before, after, context);
+        } catch (error) {
+            logger.error('Error recording athlete change:', error);
+        }
+    }
+
+    // Record a scraped GAR change in ranking history without failing the store
+    async recordScrapedRankingChange(athleteData) {
+        try {
+            await rankingHistoryService.recordChange(athleteData, {
+                total: Math.min(100, Math.max(0, athleteData.garScore)),
+                profileVersion: athleteData.garProfileVersion
+            }, {
+                cause: 'scrape',
+                source: athleteData.source || athleteData.recruitingData?.source
+            });
+        } catch (error) {
+            logger.error('Error recording scraped ranking change:', error);
+        }
+    }
+
     // Normalize athlete data
     normalizeAthleteData(data) {
         const normalized = { ...data };
@@ -489,7 +813,7 @@ class DataStorageService {
         }
     }
 
-    // Search athletes
+    // Search athletes. limit 0 returns every match; fields limits each result to _id plus those fields
     async searchAthletes(query, options = {}) {
         try {
             if (this.isMock) {
@@ -505,7 +829,7 @@ class DataStorageService {
                 }
 
                 // Filters
-                const { sport, position, school, limit = 50, sortBy = 'metadata.confidence', sortOrder = -1 } = options;
+                const { sport, position, school, limit = 50, fields, sortBy = 'metadata.confidence', sortOrder = -1 } = options;
                 if (sport) results = results.filter(a => a.sport === sport);
                 if (position) results = results.filter(a => a.position === position);
                 if (school) results = results.filter(a => a.school?.toLowerCase().includes(school.toLowerCase()));
@@ -517,7 +841,10 @@ class DataStorageService {
                     return sortOrder === 1 ? aVal - bVal : bVal - aVal;
                 });
 
-                return results.slice(0, limit);
+                if (limit) results = results.slice(0, limit);
+                return fields
+                    ? results.map(a => Object.fromEntries(['_id', ...fields].map(field => [field, a[field]])))
+                    : results;
             } else {
                 const collection = this.db.collection(this.collections.athleteData);
                 const {
@@ -525,6 +852,7 @@ class DataStorageService {
                     position,
                     school,
                     limit = 50,
+                    fields,
                     sortBy = 'metadata.confidence',
                     sortOrder = -1
                 } = options;
@@ -545,7 +873,7 @@ class DataStorageService {
                 if (school) searchQuery.school = { $regex: school, $options: 'i' };
 
                 const results = await collection
-                    .find(searchQuery)
+                    .find(searchQuery, fields ? { projection: Object.fromEntries(fields.map(field => [field, 1])) } : {})
                     .sort({ [sortBy]: sortOrder })
                     .limit(limit)
                     .toArray();
@@ -640,6 +968,9 @@ class DataStorageService {
             });
 
             logger.info(`Cleaned up ${result.deletedCount} old athlete records`);
+            if (result.deletedCount > 0) {
+                await searchIndexService.rebuild();
+            }
             return result.deletedCount;
         } catch (error) {
             logger.error('Error cleaning up old data:', error);
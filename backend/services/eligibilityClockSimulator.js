@@ -0,0 +1,311 @@
+const rules = require('../data/eligibilityClockRules.json');
+const recruitingCalendar = require('./recruitingCalendarService');
+
+// Waivers of these types give back a season of competition; others extend the clock
+const SEASON_RESTORING_WAIVERS = ['medical', 'hardship'];
+const WAIVER_TYPES = ['medical', 'academic', 'hardship', 'other'];
+const ACADEMIC_YEAR_PATTERN = /^\d{4}-\d{2}$/;
+const SEMESTERS_PER_YEAR = 2;
+// Safety bound on projected years (five-year clock plus extensions and breaks)
+const MAX_PROJECTION_YEARS = 12;
+
+const scenarioError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const toStartYear = (academicYear) => parseInt(academicYear.split('-')[0]);
+const toAcademicYear = (startYear) => `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+
+class EligibilityClockSimulator {
+  /**
+   * Get the clock rules data version
+   */
+  getVersion() {
+    return rules.version;
+  }
+
+  /**
+   * Get the clock and season rules for a division
+   * @param {string} division - Division key (division1, division2, division3)
+   */
+  getDivisionRules(division) {
+    const divisionRules = rules.divisions[division];
+    if (!divisionRules) {
+      throw scenarioError(`Unknown division: ${division}`);
+    }
+    return divisionRules;
+  }
+
+  /**
+   * Get the redshirt participation limit for a sport
+   * @param {string} sport - Sport key
+   */
+  getRedshirtRule(sport) {
+    return rules.redshirt[sport] || rules.redshirt.default;
+  }
+
+  /**
+   * Check whether a season qualifies for a medical hardship waiver
+   * @param {number} gamesPlayed - Contests the athlete competed in
+   * @param {number} scheduledGames - Contests on the team's schedule, if known
+   */
+  qualifiesForHardship(gamesPlayed, scheduledGames) {
+    const { maxContests, maxPercentOfSchedule } = rules.medicalHardship;
+    const limit = scheduledGames
+      ? Math.max(maxContests, Math.floor(scheduledGames * maxPercentOfSchedule))
+      : maxContests;
+    return gamesPlayed <= limit;
+  }
+
+  /**
+   * Validate a what-if scenario before simulating it
+   * @param {Object} scenario - Scenario with seasons, transfers and waivers
+   */
+  validateScenario(scenario = {}) {
+    const checkYear = (academicYear, field) => {
+      if (!ACADEMIC_YEAR_PATTERN.test(academicYear || '')) {
+        throw scenarioError(`${field} requires an academicYear like '2026-27'`);
+      }
+    };
+
+    (scenario.seasons || []).forEach(season => {
+      checkYear(season.academicYear, 'Each season');
+      if (season.gamesPlayed !== undefined && season.gamesPlayed !== null &&
+          !(Number.isInteger(season.gamesPlayed) && season.gamesPlayed >= 0)) {
+        throw scenarioError(`gamesPlayed for ${season.academicYear} must be a non-negative integer`);
+      }
+    });
+
+    (scenario.transfers || []).forEach(transfer => {
+      checkYear(transfer.academicYear, 'Each transfer');
+      if (transfer.toDivision) this.getDivisionRules(transfer.toDivision);
+    });
+
+    (scenario.waivers || []).forEach(waiver => {
+      checkYear(waiver.academicYear, 'Each waiver');
+      if (!WAIVER_TYPES.includes(waiver.type)) {
+        throw scenarioError(`Waiver type must be one of ${WAIVER_TYPES.join(', ')}`);
+      }
+    });
+
+    if (scenario.startAcademicYear) checkYear(scenario.startAcademicYear, 'startAcademicYear');
+  }
+
+  /**
+   * Project an athlete's eligibility season by season under a what-if scenario.
+   * Years without a season entry assume the athlete is enrolled and plays a full season.
+   * @param {Object} current - Current eligibility (sport, division, clockStart, seasonsUsed, redshirtUsed, waiverHistory)
+   * @param {Object} scenario - Hypothetical seasons, transfers and waivers
+   * @param {Date} now - Date the projection starts from
+   */
+  simulate(current, scenario = {}, now = new Date()) {
+    this.validateScenario(scenario);
+
+    const sport = current.sport || 'football';
+    const redshirtRule = this.getRedshirtRule(sport);
+    let division = current.division || 'division1';
+    let divisionRules = this.getDivisionRules(division);
+
+    const firstYear = toStartYear(scenario.startAcademicYear || recruitingCalendar.getAcademicYear(now));
+    const clockStartYear = current.clockStart
+      ? toStartYear(recruitingCalendar.getAcademicYear(current.clockStart))
+      : this._firstEnrolledYear(scenario, firstYear);
+    const priorYears = Math.max(0, firstYear - clockStartYear);
+
+    // Waivers already on record
+    const history = current.waiverHistory || [];
+    const restoredSeasons = history
+      .filter(waiver => SEASON_RESTORING_WAIVERS.includes(waiver.type))
+      .reduce((sum, waiver) => sum + (waiver.seasonsExtended || 1), 0);
+
+    const state = {
+      seasonsUsed: Math.max(0, Math.min(current.seasonsUsed || 0, divisionRules.seasonsOfCompetition) - restoredSeasons),
+      yearsElapsed: priorYears,
+      semestersUsed: priorYears * SEMESTERS_PER_YEAR,
+      extensionYears: history
+        .filter(waiver => !SEASON_RESTORING_WAIVERS.includes(waiver.type))
+        .reduce((sum, waiver) => sum + (waiver.seasonsExtended || 1), 0),
+      redshirtUsed: !!current.redshirtUsed
+    };
+
+    const timeline = [];
+    const warnings = [];
+
+    for (let year = firstYear; year < firstYear + MAX_PROJECTION_YEARS; year++) {
+      const academicYear = toAcademicYear(year);
+      const plan = (scenario.seasons || []).find(season => season.academicYear === academicYear) || {};
+      const transfer = (scenario.transfers || []).find(t => t.academicYear === academicYear);
+      const yearWaivers = (scenario.waivers || []).filter(w => w.academicYear === academicYear);
+      const enrolled = plan.enrolled !== false;
+      const clockRunning = year >= clockStartYear;
+      const notes = [];
+
+      if (transfer?.toDivision && transfer.toDivision !== division) {
+        division = transfer.toDivision;
+        divisionRules = this.getDivisionRules(division);
+        notes.push(`Transfers to ${divisionRules.name}`);
+      }
+
+      // Clock extensions granted this year apply before the season is played
+      yearWaivers
+        .filter(waiver => !SEASON_RESTORING_WAIVERS.includes(waiver.type))
+        .forEach(waiver => {
+          state.extensionYears += waiver.seasonsExtended || 1;
+          notes.push(`${waiver.type} waiver extends the clock by ${waiver.seasonsExtended || 1} year(s)`);
+        });
+
+      if (clockRunning && this._clockRemaining(state, divisionRules) <= 0) {
+        timeline.push(this._entry(academicYear, division, 'clock_expired', null, false, state, divisionRules, [
+          ...notes,
+          `Eligibility clock expired (${divisionRules.citation})`
+        ]));
+        break;
+      }
+
+      if (state.seasonsUsed >= divisionRules.seasonsOfCompetition) {
+        timeline.push(this._entry(academicYear, division, 'exhausted', null, false, state, divisionRules, [
+          ...notes,
+          'All seasons of competition used'
+        ]));
+        break;
+      }
+
+      if (clockRunning) {
+        state.yearsElapsed += 1;
+        if (enrolled) state.semestersUsed += SEMESTERS_PER_YEAR;
+      }
+
+      const gamesPlayed = plan.gamesPlayed ?? null;
+      const sitOut = transfer ? (transfer.sitOut ?? rules.transfer.sitOutRequired) : false;
+      let status;
+      let seasonCounted = false;
+
+      if (!enrolled) {
+        status = 'not_enrolled';
+        if (divisionRules.clock.unit === 'semesters') notes.push('Semester clock does not run while not enrolled full-time');
+      } else if (sitOut) {
+        status = 'sat_out';
+        notes.push(`Transfer year in residence (${rules.transfer.citation})`);
+      } else if (gamesPlayed === 0) {
+        status = 'redshirt';
+      } else if (gamesPlayed !== null && gamesPlayed <= redshirtRule.gameLimit) {
+        status = 'redshirt';
+        notes.push(`${gamesPlayed} game(s) played within the ${redshirtRule.gameLimit}-game limit (${redshirtRule.citation})`);
+      } else {
+        status = 'competed';
+        seasonCounted = true;
+        if (gamesPlayed !== null && redshirtRule.gameLimit > 0 && !state.redshirtUsed) {
+          notes.push(`Playing ${gamesPlayed} games exceeds the ${redshirtRule.gameLimit}-game redshirt limit`);
+        }
+      }
+
+      yearWaivers
+        .filter(waiver => SEASON_RESTORING_WAIVERS.includes(waiver.type))
+        .forEach(waiver => {
+          if (!seasonCounted) {
+            warnings.push(`${academicYear}: ${waiver.type} waiver has no effect because no season was used`);
+          } else if (gamesPlayed !== null && !this.qualifiesForHardship(gamesPlayed, plan.scheduledGames)) {
+            warnings.push(`${academicYear}: ${gamesPlayed} games exceeds the hardship waiver limit (${rules.medicalHardship.citation})`);
+          } else {
+            seasonCounted = false;
+            status = 'hardship_restored';
+            notes.push(`${waiver.type} waiver restores the season (${rules.medicalHardship.citation})`);
+            if (gamesPlayed === null) {
+              warnings.push(`${academicYear}: hardship waiver assumes participation within ${rules.medicalHardship.maxContests} contests or ${rules.medicalHardship.maxPercentOfSchedule * 100}% of the schedule`);
+            }
+          }
+        });
+
+      if (seasonCounted) state.seasonsUsed += 1;
+      if (status === 'redshirt') state.redshirtUsed = true;
+
+      timeline.push(this._entry(academicYear, division, status, gamesPlayed, seasonCounted, state, divisionRules, notes));
+    }
+
+    const competedSeasons = timeline.filter(entry => entry.seasonCounted);
+    const finalEntry = timeline[timeline.length - 1];
+
+    return {
+      name: scenario.name || null,
+      rulesVersion: this.getVersion(),
+      sport,
+      startDivision: current.division || 'division1',
+      finalDivision: division,
+      startAcademicYear: toAcademicYear(firstYear),
+      clockStartAcademicYear: toAcademicYear(clockStartYear),
+      timeline,
+      summary: {
+        seasonsPlayed: competedSeasons.length,
+        finalSeasonAcademicYear: competedSeasons.length > 0 ? competedSeasons[competedSeasons.length - 1].academicYear : null,
+        seasonsUsed: state.seasonsUsed,
+        unusedSeasons: Math.max(0, divisionRules.seasonsOfCompetition - state.seasonsUsed),
+        redshirtUsed: state.redshirtUsed,
+        endsBy: finalEntry?.status === 'exhausted' ? 'seasons_exhausted'
+          : finalEntry?.status === 'clock_expired' ? 'clock_expired'
+            : 'projection_limit'
+      },
+      warnings
+    };
+  }
+
+  /**
+   * Simulate several scenarios from the same starting point and summarise them side by side
+   * @param {Object} current - Current eligibility
+   * @param {Array} scenarios - Scenarios to compare
+   * @param {Date} now - Date the projections start from
+   */
+  compare(current, scenarios, now = new Date()) {
+    const plans = scenarios.map((scenario, index) => this.simulate(current, {
+      ...scenario,
+      name: scenario.name || `Scenario ${index + 1}`
+    }, now));
+
+    return {
+      rulesVersion: this.getVersion(),
+      plans,
+      comparison: plans.map(plan => ({
+        name: plan.name,
+        seasonsPlayed: plan.summary.seasonsPlayed,
+        finalSeasonAcademicYear: plan.summary.finalSeasonAcademicYear,
+        unusedSeasons: plan.summary.unusedSeasons,
+        warnings: plan.warnings.length
+      }))
+    };
+  }
+
+  // Private helper methods
+  _firstEnrolledYear(scenario, firstYear) {
+    const skipped = (scenario.seasons || [])
+      .filter(season => season.enrolled === false)
+      .map(season => toStartYear(season.academicYear));
+
+    let year = firstYear;
+    while (skipped.includes(year)) year++;
+    return year;
+  }
+
+  _clockRemaining(state, divisionRules) {
+    const { unit, length } = divisionRules.clock;
+    if (unit === 'semesters') {
+      return length + state.extensionYears * SEMESTERS_PER_YEAR - state.semestersUsed;
+    }
+    return length + state.extensionYears - state.yearsElapsed;
+  }
+
+  _entry(academicYear, division, status, gamesPlayed, seasonCounted, state, divisionRules, notes) {
+    return {
+      academicYear,
+      division,
+      status,
+      gamesPlayed,
+      seasonCounted,
+      seasonsUsed: state.seasonsUsed,
+      seasonsRemaining: Math.max(0, divisionRules.seasonsOfCompetition - state.seasonsUsed),
+      clockRemaining: {
+        unit: divisionRules.clock.unit,
+        value: Math.max(0, this._clockRemaining(state, divisionRules))
+      },
+      notes
+    };
+  }
+}
+
+module.exports = new EligibilityClockSimulator();
@@ -1,5 +1,24 @@
 const Eligibility = require('../models/eligibilityModel');
 const Amateurism = require('../models/amateurismModel');
+const RecruitingContact = require('../models/recruitingContactModel');
+const Media = require('../models/mediaModel');
+const recruitingCalendar = require('./recruitingCalendarService');
+const nilService = require('./nilService');
+const eligibilityClockSimulator = require('./eligibilityClockSimulator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Compliance score deductions per open or denied amateurism item, by impact level
+const IMPACT_PENALTIES = { none: 0, low: 2, medium: 5, high: 10, critical: 20 };
+const STATUS_PENALTY_MULTIPLIERS = { pending: 1, under_review: 1, approved: 0, denied: 2 };
+const CONTACT_VIOLATION_PENALTY = 5;
+const COMPLIANCE_ROLES = ['admin', 'compliance_officer'];
+// Fields an athlete reports; status, review and evidence fields only change through the review actions
+const AMATEURISM_FIELDS = ['earningsType', 'amount', 'currency', 'source', 'description', 'dateReceived'];
+// Fields a logged contact takes from the caller; the calendar period and violations are computed
+const CONTACT_FIELDS = ['contactType', 'coachName', 'school', 'location', 'notes', 'loggedBy'];
+
+const reviewError = (message, status) => Object.assign(new Error(message), { status });
 
 class EligibilityService {
   /**
@@ -114,6 +133,43 @@ class EligibilityService {
     }
   }
 
+  /**
+   * Project the eligibility timeline under one or more what-if scenarios
+   * @param {string} athleteId - Athlete's ID
+   * @param {Array} scenarios - Hypothetical seasons, transfers and waivers to compare
+   * @param {Date} now - Date the projections start from
+   */
+  async simulateEligibilityScenarios(athleteId, scenarios, now = new Date()) {
+    try {
+      const eligibility = await Eligibility.findOne({ athleteId });
+
+      if (!eligibility) {
+        throw new Error('Eligibility not found for athlete');
+      }
+
+      const current = {
+        sport: eligibility.sport,
+        division: eligibility.division,
+        clockStart: eligibility.clockStart,
+        seasonsUsed: eligibility.seasonsUsed,
+        redshirtUsed: eligibility.redshirtUsed,
+        waiverHistory: eligibility.waiverHistory
+      };
+
+      return {
+        athleteId,
+        current: {
+          ...current,
+          clockExpiry: eligibility.clockExpiry
+        },
+        ...eligibilityClockSimulator.compare(current, scenarios, now)
+      };
+    } catch (error) {
+      console.error('Error simulating eligibility scenarios:', error);
+      throw error;
+    }
+  }
+
   /**
    * Check amateur status based on earnings
    * @param {string} athleteId - Athlete's ID
@@ -183,14 +239,24 @@ class EligibilityService {
    */
   async recordAmateurismActivity(athleteId, earningsData) {
     try {
+      const reported = Object.fromEntries(AMATEURISM_FIELDS
+        .filter(field => earningsData[field] !== undefined)
+        .map(field => [field, earningsData[field]]));
+
       const amateurism = new Amateurism({
+        ...reported,
         athleteId,
-        ...earningsData,
+        complianceStatus: 'pending',
         ncaaImpact: {
-          affectsAmateurism: this._assessAmateurismImpact(earningsData),
-          impactLevel: this._calculateImpactLevel(earningsData),
-          eligibilityImplication: this._getEligibilityImplication(earningsData)
-        }
+          affectsAmateurism: this._assessAmateurismImpact(reported),
+          impactLevel: this._calculateImpactLevel(reported),
+          eligibilityImplication: this._getEligibilityImplication(reported)
+        },
+        reviewHistory: [{
+          action: 'submitted',
+          toStatus: 'pending',
+          actor: earningsData.reportedBy
+        }]
       });
 
       await amateurism.save();
@@ -209,27 +275,345 @@ class EligibilityService {
     }
   }
 
+  /**
+   * Get amateurism activities awaiting compliance review, oldest first
+   * @param {Object} filters - Statuses, assignee, athlete and paging
+   */
+  async getReviewQueue(filters = {}) {
+    try {
+      const statuses = filters.statuses || ['pending', 'under_review'];
+      const limit = filters.limit || 50;
+      const page = filters.page || 1;
+
+      const query = { complianceStatus: { $in: statuses } };
+      if (filters.assignedTo) query.assignedTo = filters.assignedTo;
+      if (filters.athleteId) query.athleteId = filters.athleteId;
+
+      const [items, total] = await Promise.all([
+        Amateurism.find(query)
+          .sort({ reportedDate: 1 })
+          .limit(limit)
+          .skip((page - 1) * limit),
+        Amateurism.countDocuments(query)
+      ]);
+
+      return {
+        items: items.map(item => ({
+          ...item.getComplianceSummary(),
+          id: item._id,
+          athleteId: item.athleteId,
+          source: item.source,
+          reportedDate: item.reportedDate,
+          assignedTo: item.assignedTo,
+          impactLevel: item.ncaaImpact.impactLevel
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching review queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign an amateurism activity to a compliance officer and start review
+   * @param {string} activityId - Amateurism record ID
+   * @param {string} reviewer - Reviewer's user ID
+   */
+  async assignAmateurismReview(activityId, reviewer) {
+    try {
+      const activity = await this._findAmateurismActivity(activityId);
+      const fromStatus = activity.complianceStatus;
+
+      activity.assignedTo = reviewer;
+      activity.reviewHistory.push({ action: 'assigned', actor: reviewer, notes: `Assigned to ${reviewer}` });
+
+      if (fromStatus === 'pending') {
+        activity.complianceStatus = 'under_review';
+        activity.reviewHistory.push({ action: 'status_changed', fromStatus, toStatus: 'under_review', actor: reviewer });
+      }
+
+      await activity.save();
+      await this._updateComplianceScore(activity.athleteId);
+
+      return {
+        message: 'Review assigned successfully',
+        activity
+      };
+    } catch (error) {
+      console.error('Error assigning amateurism review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Attach an uploaded media file as supporting evidence
+   * @param {string} activityId - Amateurism record ID
+   * @param {Object} documentData - mediaId of a file from the media upload route and document type
+   * @param {Object} user - Uploading user (id, role); compliance staff or the athlete the activity belongs to
+   */
+  async attachAmateurismDocument(activityId, documentData, user) {
+    try {
+      const activity = await this._findAmateurismActivity(activityId);
+      const actor = String(user.id);
+
+      if (!COMPLIANCE_ROLES.includes(user.role) && String(activity.athleteId) !== actor) {
+        throw reviewError('Only compliance staff or the athlete can add evidence to this activity', 403);
+      }
+
+      const media = await Media.findById(documentData.mediaId);
+
+      if (!media) {
+        throw reviewError('Media not found', 404);
+      }
+      // Attaching moves the file into the private compliance category, so it has to be the caller's own
+      if (String(media.uploadedBy) !== actor) {
+        throw reviewError('Only files you uploaded can be attached as evidence', 403);
+      }
+
+      // Evidence is private to compliance staff once attached
+      if (media.isPublic || media.category !== 'compliance') {
+        media.isPublic = false;
+        media.category = 'compliance';
+        await media.save();
+      }
+
+      activity.documentation.push({
+        type: documentData.type || 'other',
+        filename: media.originalName,
+        url: media.url,
+        mediaId: media._id,
+        uploadedBy: actor
+      });
+      activity.reviewHistory.push({
+        action: 'evidence_added',
+        actor,
+        notes: `${documentData.type || 'other'}: ${media.originalName}`
+      });
+
+      await activity.save();
+
+      return {
+        message: 'Document attached successfully',
+        documentation: activity.documentation
+      };
+    } catch (error) {
+      console.error('Error attaching amateurism document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a compliance decision (or return an item to review) with notes
+   * @param {string} activityId - Amateurism record ID
+   * @param {Object} decision - Target status and reviewer notes
+   * @param {string} reviewer - Reviewer's user ID
+   */
+  async reviewAmateurismActivity(activityId, decision, reviewer) {
+    try {
+      const activity = await this._findAmateurismActivity(activityId);
+      const fromStatus = activity.complianceStatus;
+      const { status, notes } = decision;
+
+      if (!activity.canTransitionTo(status)) {
+        throw reviewError(`Cannot change status from ${fromStatus} to ${status}`, 400);
+      }
+      if ((status === 'approved' || status === 'denied') && !notes) {
+        throw reviewError('Review notes are required to approve or deny', 400);
+      }
+
+      activity.complianceStatus = status;
+      activity.reviewedBy = reviewer;
+      activity.reviewDate = new Date();
+      if (notes) activity.reviewNotes = notes;
+      activity.reviewHistory.push({ action: 'status_changed', fromStatus, toStatus: status, actor: reviewer, notes });
+
+      await activity.save();
+      const complianceScore = await this._updateComplianceScore(activity.athleteId);
+
+      return {
+        message: `Amateurism activity ${status.replace('_', ' ')}`,
+        activity,
+        complianceScore
+      };
+    } catch (error) {
+      console.error('Error reviewing amateurism activity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a reviewer note without changing status
+   * @param {string} activityId - Amateurism record ID
+   * @param {string} notes - Note text
+   * @param {string} actor - Author's user ID
+   */
+  async addAmateurismReviewNote(activityId, notes, actor) {
+    try {
+      const activity = await this._findAmateurismActivity(activityId);
+      activity.reviewHistory.push({ action: 'note_added', actor, notes });
+      await activity.save();
+      return { message: 'Note added successfully', reviewHistory: activity.reviewHistory };
+    } catch (error) {
+      console.error('Error adding review note:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the review audit trail for an amateurism activity
+   * @param {string} activityId - Amateurism record ID
+   */
+  async getAmateurismAuditTrail(activityId) {
+    try {
+      const activity = await this._findAmateurismActivity(activityId);
+      return {
+        activityId: activity._id,
+        athleteId: activity.athleteId,
+        complianceStatus: activity.complianceStatus,
+        documentation: activity.documentation,
+        reviewHistory: activity.reviewHistory
+      };
+    } catch (error) {
+      console.error('Error fetching audit trail:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Log a recruiting contact and check it against the calendar and contact limits
+   * @param {string} athleteId - Athlete's ID
+   * @param {Object} contactData - Contact information (type, coach, school, timestamp)
+   */
+  async recordRecruitingContact(athleteId, contactData) {
+    try {
+      const eligibility = await Eligibility.findOne({ athleteId });
+      const sport = contactData.sport || eligibility?.sport || 'football';
+      const division = contactData.division || eligibility?.division || 'division1';
+      const occurredAt = contactData.occurredAt ? new Date(contactData.occurredAt) : new Date();
+
+      const reported = Object.fromEntries(CONTACT_FIELDS
+        .filter(field => contactData[field] !== undefined)
+        .map(field => [field, contactData[field]]));
+
+      const period = recruitingCalendar.getPeriod(sport, division, occurredAt);
+      const violations = await this._checkContactViolations(
+        athleteId,
+        { ...reported, occurredAt },
+        sport,
+        division,
+        period
+      );
+
+      const contact = new RecruitingContact({
+        ...reported,
+        athleteId,
+        occurredAt,
+        sport,
+        division,
+        recruitingPeriod: period ? period.type : undefined,
+        calendarVersion: recruitingCalendar.getVersion(),
+        violations
+      });
+
+      await contact.save();
+
+      if (violations.length > 0) {
+        await this._updateComplianceScore(athleteId);
+      }
+
+      return {
+        message: 'Recruiting contact recorded successfully',
+        contact,
+        violations,
+        withinLimits: violations.length === 0
+      };
+    } catch (error) {
+      console.error('Error recording recruiting contact:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get logged recruiting contacts for an athlete
+   * @param {string} athleteId - Athlete's ID
+   * @param {Object} filters - Optional since date, contact type, school and limit
+   */
+  async getRecruitingContacts(athleteId, filters = {}) {
+    try {
+      const query = { athleteId };
+      if (filters.since) query.occurredAt = { $gte: filters.since };
+      if (filters.contactType) query.contactType = filters.contactType;
+      if (filters.school) query.school = filters.school;
+
+      return await RecruitingContact.find(query)
+        .sort({ occurredAt: -1 })
+        .limit(filters.limit || 100);
+    } catch (error) {
+      console.error('Error fetching recruiting contacts:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get recruiting status and contact limits
    * @param {string} athleteId - Athlete's ID
+   * @param {Object} options - Optional sport/division overrides and status date
    */
-  async getRecruitingStatus(athleteId) {
+  async getRecruitingStatus(athleteId, options = {}) {
     try {
-      // This would integrate with recruiting calendar logic
-      const currentDate = new Date();
-      const isDeadPeriod = this._checkDeadPeriod(currentDate);
+      const eligibility = await Eligibility.findOne({ athleteId });
+      const sport = options.sport || eligibility?.sport || 'football';
+      const division = options.division || eligibility?.division || 'division1';
+      const currentDate = options.date || new Date();
+
+      const calendarStatus = recruitingCalendar.getStatus(sport, division, currentDate);
+      const isDeadPeriod = this._checkDeadPeriod(currentDate, sport, division);
+      const limits = recruitingCalendar.getContactLimits(sport, division);
+
+      const contactsThisWeek = await RecruitingContact.countContacts(athleteId, {
+        since: new Date(currentDate.getTime() - 7 * DAY_MS),
+        until: currentDate
+      });
+      const contactsThisMonth = await RecruitingContact.countContacts(athleteId, {
+        since: new Date(currentDate.getTime() - 30 * DAY_MS),
+        until: currentDate
+      });
 
-      // Simplified contact tracking - would need actual contact records
-      const contactsThisWeek = 0; // Would query actual contacts
-      const contactsThisMonth = 0;
+      const flaggedContacts = await RecruitingContact.find({
+        athleteId,
+        'violations.0': { $exists: true },
+        occurredAt: { $gte: recruitingCalendar.getAcademicYearStart(currentDate), $lte: currentDate }
+      }).sort({ occurredAt: -1 });
 
       return {
+        sport,
+        division,
+        academicYear: calendarStatus.academicYear,
+        calendarVersion: calendarStatus.calendarVersion,
+        calendarAvailable: calendarStatus.calendarAvailable,
+        currentPeriod: calendarStatus.currentPeriod,
+        nextTransition: calendarStatus.nextTransition,
+        citations: calendarStatus.currentPeriod ? calendarStatus.currentPeriod.citations : [],
         isDeadPeriod: isDeadPeriod,
         contactsThisWeek: contactsThisWeek,
         contactsThisMonth: contactsThisMonth,
-        weeklyLimit: 7,
-        monthlyLimit: 30,
-        nextLivePeriod: this._getNextLivePeriod(currentDate),
+        weeklyLimit: limits.weekly,
+        monthlyLimit: limits.monthly,
+        flaggedContacts: flaggedContacts.map(contact => ({
+          id: contact._id,
+          contactType: contact.contactType,
+          coachName: contact.coachName,
+          school: contact.school,
+          occurredAt: contact.occurredAt,
+          violations: contact.violations
+        })),
+        nextLivePeriod: this._getNextLivePeriod(currentDate, sport, division),
         lastUpdated: new Date()
       };
     } catch (error) {
@@ -247,14 +631,16 @@ class EligibilityService {
       const eligibility = await this.calculateRemainingEligibility(athleteId);
       const amateurStatus = await this.checkAmateurStatus(athleteId);
       const recruitingStatus = await this.getRecruitingStatus(athleteId);
+      const nilStatus = await nilService.getNILSummary(athleteId);
 
       const report = {
         athleteId,
         eligibility,
         amateurStatus,
         recruitingStatus,
+        nilStatus,
         overallStatus: this._calculateOverallStatus(eligibility, amateurStatus),
-        alerts: await this._generateAlerts(athleteId, eligibility, amateurStatus),
+        alerts: await this._generateAlerts(athleteId, eligibility, amateurStatus, recruitingStatus, nilStatus),
         reportGenerated: new Date()
       };
 
@@ -285,28 +671,111 @@ class EligibilityService {
     return 'No eligibility impact expected';
   }
 
+  async _findAmateurismActivity(activityId) {
+    const activity = await Amateurism.findById(activityId);
+    if (!activity) {
+      throw reviewError('Amateurism activity not found', 404);
+    }
+    return activity;
+  }
+
+  // Recompute the score from open/denied amateurism items and flagged recruiting contacts
   async _updateComplianceScore(athleteId) {
     const eligibility = await Eligibility.findOne({ athleteId });
-    if (eligibility) {
-      // Simplified compliance scoring
-      eligibility.complianceScore = Math.max(0, eligibility.complianceScore - 5);
-      eligibility.lastComplianceCheck = new Date();
-      await eligibility.save();
-    }
+    if (!eligibility) return null;
+
+    const activities = await Amateurism.find({ athleteId });
+    const amateurismPenalty = activities.reduce((sum, activity) => {
+      const impact = IMPACT_PENALTIES[activity.ncaaImpact?.impactLevel] || 0;
+      const multiplier = STATUS_PENALTY_MULTIPLIERS[activity.complianceStatus] ?? 1;
+      return sum + impact * multiplier;
+    }, 0);
+
+    const flaggedContacts = await RecruitingContact.countDocuments({
+      athleteId,
+      'violations.0': { $exists: true }
+    });
+
+    eligibility.complianceScore = Math.max(0, 100 - amateurismPenalty - flaggedContacts * CONTACT_VIOLATION_PENALTY);
+    eligibility.lastComplianceCheck = new Date();
+    await eligibility.save();
+
+    return eligibility.complianceScore;
   }
 
-  _checkDeadPeriod(date) {
-    // Simplified dead period logic - would need actual NCAA calendar
-    const month = date.getMonth() + 1;
-    const day = date.getDate();
+  _checkDeadPeriod(date, sport = 'football', division = 'division1') {
+    const period = recruitingCalendar.getPeriod(sport, division, date);
+    return period ? period.type === 'dead' : false;
+  }
 
-    // Example: Dead period during holidays
-    return (month === 12 && day >= 20) || (month === 1 && day <= 5);
+  _getNextLivePeriod(date, sport = 'football', division = 'division1') {
+    const period = recruitingCalendar.getNextLivePeriod(sport, division, date);
+    return period ? new Date(`${period.start}T00:00:00Z`) : null;
   }
 
-  _getNextLivePeriod(date) {
-    // Simplified - would calculate actual next live period
-    return new Date(date.getTime() + (7 * 24 * 60 * 60 * 1000));
+  async _checkContactViolations(athleteId, contact, sport, division, period) {
+    const violations = [];
+    const limits = recruitingCalendar.getContactLimits(sport, division);
+    const occurredAt = contact.occurredAt;
+
+    if (period && period.prohibitedContacts.includes(contact.contactType)) {
+      violations.push({
+        rule: 'period_restriction',
+        message: `${contact.contactType} contact is not permitted during a ${period.type} period`,
+        citation: period.citations[0]
+      });
+    }
+
+    // Counts exclude the contact being checked, so compare count + 1 against the limit
+    const weeklyCount = await RecruitingContact.countContacts(athleteId, {
+      since: new Date(occurredAt.getTime() - 7 * DAY_MS),
+      until: occurredAt
+    });
+    if (weeklyCount + 1 > limits.weekly) {
+      violations.push({
+        rule: 'weekly_limit',
+        message: `Exceeds weekly limit of ${limits.weekly} recruiting contacts`
+      });
+    }
+
+    const monthlyCount = await RecruitingContact.countContacts(athleteId, {
+      since: new Date(occurredAt.getTime() - 30 * DAY_MS),
+      until: occurredAt
+    });
+    if (monthlyCount + 1 > limits.monthly) {
+      violations.push({
+        rule: 'monthly_limit',
+        message: `Exceeds monthly limit of ${limits.monthly} recruiting contacts`
+      });
+    }
+
+    const typeLimit = limits.perType?.[contact.contactType];
+    if (typeLimit) {
+      const windowStart = {
+        week: new Date(occurredAt.getTime() - 7 * DAY_MS),
+        month: new Date(occurredAt.getTime() - 30 * DAY_MS),
+        academicYear: recruitingCalendar.getAcademicYearStart(occurredAt),
+        career: undefined
+      }[typeLimit.window];
+
+      const typeCount = await RecruitingContact.countContacts(athleteId, {
+        since: windowStart,
+        until: occurredAt,
+        contactType: contact.contactType,
+        school: typeLimit.perSchool ? contact.school : undefined
+      });
+      if (typeCount + 1 > typeLimit.max) {
+        violations.push({
+          rule: 'type_limit',
+          message: `Exceeds limit of ${typeLimit.max} ${contact.contactType} contact(s)` +
+            (typeLimit.perSchool ? ` from ${contact.school}` : '') +
+            (typeLimit.window === 'career' ? '' : ` per ${typeLimit.window === 'academicYear' ? 'academic year' : typeLimit.window}`),
+          citation: typeLimit.citation
+        });
+      }
+    }
+
+    return violations;
   }
 
   _calculateOverallStatus(eligibility, amateurStatus) {
@@ -319,7 +788,7 @@ class EligibilityService {
     }
   }
 
-  async _generateAlerts(athleteId, eligibility, amateurStatus) {
+  async _generateAlerts(athleteId, eligibility, amateurStatus, recruitingStatus, nilStatus) {
     const alerts = [];
 
     if (eligibility.seasonsRemaining <= 1) {
@@ -352,6 +821,52 @@ class EligibilityService {
       }
     }
 
+    if (recruitingStatus) {
+      recruitingStatus.flaggedContacts.forEach(contact => {
+        contact.violations.forEach(violation => {
+          alerts.push({
+            type: violation.rule === 'period_restriction' ? 'critical' : 'warning',
+            title: 'Recruiting Contact Violation',
+            message: `${contact.school} (${contact.coachName}): ${violation.message}`,
+            citation: violation.citation,
+            priority: violation.rule === 'period_restriction' ? 'critical' : 'high'
+          });
+        });
+      });
+
+      if (recruitingStatus.contactsThisWeek >= recruitingStatus.weeklyLimit) {
+        alerts.push({
+          type: 'warning',
+          title: 'Weekly Contact Limit Reached',
+          message: `${recruitingStatus.contactsThisWeek} of ${recruitingStatus.weeklyLimit} weekly recruiting contacts used`,
+          priority: 'high'
+        });
+      }
+
+      if (recruitingStatus.contactsThisMonth >= recruitingStatus.monthlyLimit) {
+        alerts.push({
+          type: 'warning',
+          title: 'Monthly Contact Limit Reached',
+          message: `${recruitingStatus.contactsThisMonth} of ${recruitingStatus.monthlyLimit} monthly recruiting contacts used`,
+          priority: 'high'
+        });
+      }
+    }
+
+    if (nilStatus) {
+      nilStatus.findings
+        .filter(finding => finding.severity !== 'info')
+        .forEach(finding => {
+          alerts.push({
+            type: finding.severity,
+            title: finding.rule === 'prohibited_category' ? 'Prohibited NIL Sponsor' : 'NIL Compliance Issue',
+            message: `${finding.counterparty}: ${finding.message}`,
+            citation: finding.citation,
+            priority: finding.severity === 'critical' ? 'critical' : 'high'
+          });
+        });
+    }
+
     return alerts;
   }
 }
@@ -0,0 +1,431 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILE_DIR = path.join(__dirname, '../data/garProfiles');
+const COMMON_PROFILE_ID = 'common';
+const CATEGORIES = ['technical', 'physical', 'tactical', 'mental', 'consistency'];
+// Confidence interval half-width: a floor for model error plus a share for missing inputs
+const CONFIDENCE_BASE_MARGIN = 2;
+const CONFIDENCE_MISSING_MARGIN = 15;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const garError = (message, status) => Object.assign(new Error(message), { status });
+
+const compareVersions = (a, b) => {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+class GARScoringService {
+  constructor(profileDir = DEFAULT_PROFILE_DIR) {
+    this.profileDir = profileDir;
+    this.profiles = new Map();
+    this.loaded = false;
+  }
+
+  /**
+   * Load every profile version from a directory of per-sport folders
+   * @param {string} profileDir - Directory containing <sport>/<version>.json files
+   */
+  loadProfiles(profileDir = this.profileDir) {
+    this.profiles.clear();
+
+    fs.readdirSync(profileDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        fs.readdirSync(path.join(profileDir, entry.name))
+          .filter(file => file.endsWith('.json'))
+          .forEach(file => {
+            this.registerProfile(JSON.parse(fs.readFileSync(path.join(profileDir, entry.name, file), 'utf8')));
+          });
+      });
+
+    this.profileDir = profileDir;
+    this.loaded = true;
+    return this.getProfiles();
+  }
+
+  /**
+   * Register a sport profile or a version of the common factor set
+   * @param {Object} profile - Profile with sport (or id 'common'), version and positions/factors
+   */
+  registerProfile(profile) {
+    const id = profile.sport || profile.id;
+
+    if (!id || !profile.version) {
+      throw new Error('GAR profile requires a sport and version');
+    }
+
+    if (id !== COMMON_PROFILE_ID) {
+      if (!profile.positions || !profile.positions[profile.defaultPosition]) {
+        throw new Error(`GAR profile ${id}@${profile.version} must define its default position`);
+      }
+      const weightTotal = CATEGORIES.reduce((sum, category) => sum + (profile.categories?.[category]?.weight || 0), 0);
+      if (Math.abs(weightTotal - 1) > 0.001) {
+        throw new Error(`GAR profile ${id}@${profile.version} category weights must sum to 1`);
+      }
+    }
+
+    if (!this.profiles.has(id)) {
+      this.profiles.set(id, new Map());
+    }
+    this.profiles.get(id).set(profile.version, profile);
+  }
+
+  /**
+   * List sports with a registered profile
+   */
+  getSports() {
+    this._ensureLoaded();
+    return Array.from(this.profiles.keys()).filter(id => id !== COMMON_PROFILE_ID);
+  }
+
+  /**
+   * Get a sport profile, defaulting to the latest version
+   * @param {string} sport - Sport key
+   * @param {string} version - Profile version (optional)
+   */
+  getProfile(sport, version) {
+    this._ensureLoaded();
+    const versions = this.profiles.get((sport || '').toLowerCase());
+
+    if (!versions || sport === COMMON_PROFILE_ID) {
+      throw garError(`No GAR profile for sport: ${sport}`, 404);
+    }
+
+    if (version) {
+      const profile = versions.get(version);
+      if (!profile) {
+        throw garError(`GAR profile ${sport}@${version} not found`, 404);
+      }
+      return profile;
+    }
+
+    const latest = Array.from(versions.keys()).sort(compareVersions).pop();
+    return versions.get(latest);
+  }
+
+  /**
+   * Summarise registered profiles and their versions
+   */
+  getProfiles() {
+    return this.getSports().map(sport => {
+      const latest = this.getProfile(sport);
+      return {
+        sport,
+        latestVersion: latest.version,
+        versions: Array.from(this.profiles.get(sport).keys()).sort(compareVersions),
+        categories: latest.categories,
+        defaultPosition: latest.defaultPosition,
+        positions: Object.entries(latest.positions).map(([key, position]) => ({
+          key,
+          label: position.label,
+          stats: position.stats.map(stat => stat.key)
+        }))
+      };
+    });
+  }
+
+  /**
+   * Get the canonical positions a sport profile scores
+   * @param {string} sport - Sport key
+   */
+  getPositions(sport) {
+    return Object.keys(this.getProfile(sport).positions);
+  }
+
+  /**
+   * Map a position label or alias onto a profile position
+   * @param {string} sport - Sport key
+   * @param {string} position - Position as entered or scraped
+   * @param {string} version - Profile version (optional)
+   */
+  resolvePosition(sport, position, version) {
+    const profile = this.getProfile(sport, version);
+    const key = (position || '').trim().toUpperCase();
+
+    if (profile.positions[key]) return key;
+    if (profile.positionAliases?.[key]) return profile.positionAliases[key];
+    return profile.defaultPosition;
+  }
+
+  /**
+   * Check whether a position is known to a sport's profile
+   * @param {string} sport - Sport key
+   * @param {string} position - Position or alias
+   */
+  isValidPosition(sport, position) {
+    try {
+      const profile = this.getProfile(sport || 'football');
+      const key = (position || '').trim().toUpperCase();
+      return !!(profile.positions[key] || profile.positionAliases?.[key]);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse a stored profile version such as 'football@2026.1'
+   * @param {string} profileVersion - Versioned profile id
+   */
+  parseProfileVersion(profileVersion) {
+    const [sport, version] = String(profileVersion || '').split('@');
+    if (!sport || !version) {
+      throw garError(`Invalid GAR profile version: ${profileVersion}`, 400);
+    }
+    return { sport, version };
+  }
+
+  /**
+   * Score an athlete against their sport and position profile. The result itemises every
+   * input in a contribution ledger so a score can be explained and diffed.
+   * @param {Object} athlete - Athlete record (plain object or document)
+   * @param {Object} options - sport, position and profile version overrides
+   */
+  score(athlete, options = {}) {
+    const sport = (options.sport || athlete.sport || athlete.recruitingData?.sport || 'football').toLowerCase();
+    const profile = this.getProfile(sport, options.version);
+    const common = this._getCommonFactors(profile);
+    const position = this.resolvePosition(sport, options.position || athlete.position, profile.version);
+    const positionStats = profile.positions[position].stats;
+
+    const derived = this._deriveInputs(athlete, positionStats);
+    const factors = [
+      ...positionStats.map(stat => ({ ...stat, source: 'position' })),
+      ...common.factors.map(factor => ({ ...factor, source: 'common' }))
+    ];
+
+    const ledger = factors.map(factor => this._ledgerEntry(factor, this._getValue(athlete, derived, factor.path), profile));
+
+    // Missing position stats cost points on top of contributing nothing
+    const penalties = ledger
+      .filter(entry => entry.missing && entry.source === 'position' && profile.missingDataPenalty)
+      .map(entry => ({
+        type: 'missing_data',
+        key: entry.key,
+        category: entry.category,
+        points: -profile.missingDataPenalty,
+        totalImpact: round(-profile.missingDataPenalty * profile.categories[entry.category].weight)
+      }));
+
+    const categories = {};
+    const breakdown = {};
+    let total = 0;
+
+    CATEGORIES.forEach(category => {
+      const { base, weight } = profile.categories[category];
+      const contributions = ledger.filter(entry => entry.category === category).reduce((sum, entry) => sum + entry.points, 0);
+      const penaltyPoints = penalties.filter(entry => entry.category === category).reduce((sum, entry) => sum + entry.points, 0);
+      const raw = base + contributions + penaltyPoints;
+      const categoryScore = Math.min(100, Math.max(0, raw));
+
+      categories[category] = {
+        base,
+        contributions: round(contributions),
+        penalties: penaltyPoints,
+        raw: round(raw),
+        score: round(categoryScore),
+        cap: raw > 100 ? { bound: 'max', limit: 100 } : raw < 0 ? { bound: 'min', limit: 0 } : null,
+        weight,
+        weighted: round(categoryScore * weight)
+      };
+      breakdown[category] = Math.round(categoryScore);
+      total += categoryScore * weight;
+    });
+
+    const finalScore = Math.min(100, Math.max(0, Math.round(total)));
+
+    return {
+      total: finalScore,
+      breakdown,
+      categories,
+      ledger,
+      penalties,
+      confidence: this._confidence(ledger, finalScore),
+      profile: {
+        sport,
+        position,
+        version: profile.version,
+        commonVersion: common.version
+      },
+      profileVersion: `${sport}@${profile.version}`,
+      computedAt: new Date()
+    };
+  }
+
+  /**
+   * Compare two GAR computations for the same athlete, line by line
+   * @param {Object} before - Earlier score() result
+   * @param {Object} after - Later score() result
+   */
+  diff(before, after) {
+    const lineKey = entry => `${entry.source}:${entry.category}:${entry.key}`;
+    const beforeLines = new Map(before.ledger.map(entry => [lineKey(entry), entry]));
+    const afterLines = new Map(after.ledger.map(entry => [lineKey(entry), entry]));
+    const keys = [...new Set([...beforeLines.keys(), ...afterLines.keys()])];
+
+    const changes = keys
+      .map(key => {
+        const from = beforeLines.get(key) || null;
+        const to = afterLines.get(key) || null;
+        const base = to || from;
+        return {
+          key: base.key,
+          source: base.source,
+          category: base.category,
+          change: !from ? 'added' : !to ? 'removed' : 'changed',
+          value: { from: from ? from.value : null, to: to ? to.value : null },
+          weight: { from: from ? from.weight : null, to: to ? to.weight : null },
+          points: { from: from ? from.points : 0, to: to ? to.points : 0 },
+          delta: round((to ? to.points : 0) - (from ? from.points : 0))
+        };
+      })
+      .filter(line => line.change !== 'changed' || line.delta !== 0 || line.value.from !== line.value.to || line.weight.from !== line.weight.to)
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+    const penaltyKey = entry => `${entry.category}:${entry.key}`;
+    const beforePenalties = new Set(before.penalties.map(penaltyKey));
+    const afterPenalties = new Set(after.penalties.map(penaltyKey));
+
+    return {
+      total: { from: before.total, to: after.total, delta: after.total - before.total },
+      profileVersion: { from: before.profileVersion, to: after.profileVersion, changed: before.profileVersion !== after.profileVersion },
+      position: { from: before.profile.position, to: after.profile.position },
+      categories: CATEGORIES.reduce((acc, category) => {
+        acc[category] = {
+          from: before.breakdown[category],
+          to: after.breakdown[category],
+          delta: after.breakdown[category] - before.breakdown[category]
+        };
+        return acc;
+      }, {}),
+      lines: changes,
+      penalties: {
+        added: after.penalties.filter(entry => !beforePenalties.has(penaltyKey(entry))),
+        removed: before.penalties.filter(entry => !afterPenalties.has(penaltyKey(entry)))
+      },
+      confidence: { from: before.confidence, to: after.confidence }
+    };
+  }
+
+  /**
+   * Re-score an athlete with the exact profile version a stored ranking used
+   * @param {Object} athlete - Athlete record
+   * @param {string} profileVersion - Stored profile version, e.g. 'football@2026.1'
+   */
+  recompute(athlete, profileVersion) {
+    const { sport, version } = this.parseProfileVersion(profileVersion);
+    return this.score(athlete, { sport, version });
+  }
+
+  // Private helper methods
+  _ensureLoaded() {
+    if (!this.loaded) {
+      this.loadProfiles();
+    }
+  }
+
+  _getCommonFactors(profile) {
+    const common = this.profiles.get(COMMON_PROFILE_ID)?.get(profile.common);
+    if (profile.common && !common) {
+      throw garError(`Common GAR factors ${profile.common} not found for ${profile.sport}@${profile.version}`, 500);
+    }
+    return common || { version: null, factors: [] };
+  }
+
+  _deriveInputs(athlete, positionStats) {
+    const statPaths = positionStats.map(stat => stat.path).filter(statPath => !statPath.startsWith('derived.'));
+    const reported = statPaths.filter(statPath => this._getValue(athlete, {}, statPath) !== null);
+
+    return {
+      heightInches: this._parseHeight(athlete.height),
+      highlightCount: (athlete.highlights || []).length,
+      socialCount: Object.values(athlete.socialMedia || {}).filter(url => url).length,
+      achievementCount: (athlete.achievements || []).length,
+      statCoverage: statPaths.length > 0 ? reported.length / statPaths.length : null
+    };
+  }
+
+  _getValue(athlete, derived, valuePath) {
+    const [root, ...rest] = valuePath.split('.');
+    let value = root === 'derived' ? derived : athlete[root];
+
+    for (const key of rest) {
+      if (value === null || value === undefined) break;
+      value = typeof value.get === 'function' && !(key in value) ? value.get(key) : value[key];
+    }
+
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : null;
+  }
+
+  _ledgerEntry(factor, value, profile) {
+    const [min, max] = factor.range;
+    const entry = {
+      key: factor.key,
+      source: factor.source,
+      category: factor.category,
+      path: factor.path,
+      value,
+      range: factor.range,
+      lowerIsBetter: !!factor.lowerIsBetter,
+      weight: factor.weight,
+      missing: value === null,
+      normalized: null,
+      cap: null,
+      points: 0,
+      totalImpact: 0
+    };
+
+    if (value === null) return entry;
+
+    // Values outside the profile range are clamped, so extra volume stops earning points
+    if (value > max) entry.cap = { bound: 'max', limit: max };
+    if (value < min) entry.cap = { bound: 'min', limit: min };
+
+    entry.normalized = round(this._normalize(value, factor), 4);
+    entry.points = round(entry.normalized * factor.weight);
+    entry.totalImpact = round(entry.points * profile.categories[factor.category].weight);
+    return entry;
+  }
+
+  _confidence(ledger, total) {
+    const totalWeight = ledger.reduce((sum, entry) => sum + entry.weight, 0);
+    const presentWeight = ledger.filter(entry => !entry.missing).reduce((sum, entry) => sum + entry.weight, 0);
+    const coverage = totalWeight > 0 ? presentWeight / totalWeight : 0;
+    const margin = Math.round(CONFIDENCE_BASE_MARGIN + CONFIDENCE_MISSING_MARGIN * (1 - coverage));
+
+    return {
+      level: coverage >= 0.8 ? 'high' : coverage >= 0.5 ? 'medium' : 'low',
+      coverage: round(coverage),
+      interval: {
+        low: Math.max(0, total - margin),
+        high: Math.min(100, total + margin)
+      },
+      missingInputs: [...new Set(ledger.filter(entry => entry.missing).map(entry => entry.key))]
+    };
+  }
+
+  _normalize(value, factor) {
+    const [min, max] = factor.range;
+    const clamped = Math.min(max, Math.max(min, value));
+    const normalized = max === min ? 1 : (clamped - min) / (max - min);
+    return factor.lowerIsBetter ? 1 - normalized : normalized;
+  }
+
+  // Accepts 6'2", 6-2, 6 2 or a number of inches
+  _parseHeight(height) {
+    if (typeof height === 'number') return height;
+    const match = String(height || '').match(/^\s*(\d)\s*(?:'|-|\s|ft)\s*(\d{1,2})?/);
+    if (!match) return null;
+    return parseInt(match[1]) * 12 + (parseInt(match[2]) || 0);
+  }
+}
+
+module.exports = new GARScoringService();
@@ -0,0 +1,741 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const IdentityLink = require('../models/identityLinkModel');
+const IdentityReview = require('../models/identityReviewModel');
+const garScoringService = require('./garScoringService');
+const { extractState } = require('../utils/location');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../data/identityResolution.json');
+const FEATURES = ['name', 'school', 'classYear', 'position', 'height', 'weight', 'state', 'social'];
+const SOCIAL_PLATFORMS = ['twitter', 'instagram', 'tiktok', 'hudl', 'youtube'];
+
+const round = (value, places = 4) => Math.round(value * 10 ** places) / 10 ** places;
+const log2Odds = (p) => Math.log2(p / (1 - p));
+
+const identityError = (message, status) => Object.assign(new Error(message), { status });
+
+// Jaro-Winkler similarity, tolerant of typos and transpositions in short names
+const jaroWinkler = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, k = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+class IdentityResolutionService {
+  constructor(rulesPath = DEFAULT_RULES_PATH) {
+    this.rulesPath = rulesPath;
+    this.rules = null;
+    // Used when MongoDB is not connected (development mock database)
+    this.mockLinks = [];
+    this.mockReviews = [];
+  }
+
+  /**
+   * Load match weights, thresholds and normalization tables
+   * @param {string} rulesPath - Path to the identity resolution rules file
+   */
+  loadRules(rulesPath = this.rulesPath) {
+    const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+
+    FEATURES.forEach(feature => {
+      const { m, u } = rules.features[feature] || {};
+      if (!(m > 0 && m < 1 && u > 0 && u < 1)) {
+        throw new Error(`Identity rule ${feature} needs m and u probabilities between 0 and 1`);
+      }
+    });
+    if (!(rules.thresholds.autoMerge > rules.thresholds.review)) {
+      throw new Error('Identity auto-merge threshold must be above the review threshold');
+    }
+
+    this.rules = rules;
+    this.rulesPath = rulesPath;
+    return rules;
+  }
+
+  /**
+   * Get the loaded rules
+   */
+  getRules() {
+    return this.rules || this.loadRules();
+  }
+
+  /**
+   * Split a name into first, last and suffix, resolving nicknames
+   * @param {string} name - Name as scraped, e.g. 'Mike Smith Jr.'
+   */
+  parseName(name) {
+    const rules = this.getRules();
+    const tokens = String(name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s'-]/g, ' ')
+      .replace(/['-]/g, '')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const suffix = tokens.length > 1 && rules.nameSuffixes.includes(tokens[tokens.length - 1])
+      ? tokens.pop()
+      : undefined;
+    if (tokens.length === 0) return null;
+
+    const first = tokens[0];
+    return {
+      first,
+      last: tokens[tokens.length - 1],
+      suffix,
+      canonicalFirst: rules.nicknames[first] || first
+    };
+  }
+
+  /**
+   * Reduce a school name to its distinguishing words ('Westlake HS' -> 'westlake')
+   * @param {string} school - School as scraped
+   */
+  normalizeSchool(school) {
+    if (!school) return '';
+    const rules = this.getRules();
+
+    let text = String(school)
+      .toLowerCase()
+      .replace(/\(.*?\)/g, ' ')
+      .replace(/\./g, '')
+      .replace(/[^a-z0-9\s]/g, ' ');
+
+    Object.entries(rules.schoolAbbreviations).forEach(([abbreviation, expansion]) => {
+      text = text.replace(new RegExp(`\\b${abbreviation}\\b`, 'g'), expansion);
+    });
+
+    return text
+      .split(/\s+/)
+      .filter(word => word && !rules.schoolStopwords.includes(word))
+      .join(' ');
+  }
+
+  /**
+   * Canonical position for comparison ('Quarterback' -> 'QB', 'Offensive Line' -> 'OL')
+   * @param {string} sport - Sport key
+   * @param {string} position - Position as scraped
+   */
+  canonicalPosition(sport, position) {
+    if (!position) return undefined;
+    const key = String(position).trim().toUpperCase();
+    const initials = key.split(/\s+/).map(word => word[0]).join('');
+
+    for (const candidate of [key, initials]) {
+      if (garScoringService.isValidPosition(sport, candidate)) {
+        return garScoringService.resolvePosition(sport, candidate);
+      }
+    }
+    return key;
+  }
+
+  /**
+   * Keys that put records into the same comparison block
+   * @param {Object} record - Athlete record
+   */
+  getBlockingKeys(record) {
+    const keys = [];
+    const name = this.parseName(record.name);
+    if (name) keys.push(`name:${name.last}:${name.canonicalFirst[0]}`);
+
+    Object.entries(this._getHandles(record)).forEach(([platform, handle]) => {
+      keys.push(`handle:${platform}:${handle}`);
+    });
+    return keys;
+  }
+
+  /**
+   * Score how likely two records describe the same athlete
+   * @param {Object} a - Athlete record
+   * @param {Object} b - Athlete record
+   */
+  compare(a, b) {
+    const rules = this.getRules();
+    const sport = (a.sport || b.sport || 'football').toLowerCase();
+    const features = {};
+    let weight = log2Odds(rules.priorMatchProbability);
+
+    FEATURES.forEach(feature => {
+      const result = this._scoreFeature(feature, a, b, sport);
+      if (!result) return;
+
+      const { m, u } = rules.features[feature];
+      const agree = Math.log2(m / u);
+      const disagree = Math.log2((1 - m) / (1 - u));
+      const featureWeight = disagree + result.score * (agree - disagree);
+
+      weight += featureWeight;
+      features[feature] = { ...result, score: round(result.score), weight: round(featureWeight) };
+    });
+
+    const probability = round(1 / (1 + Math.pow(2, -weight)));
+    return {
+      probability,
+      weight: round(weight),
+      decision: this._decide(probability),
+      features,
+      rulesVersion: rules.version
+    };
+  }
+
+  /**
+   * Find the candidate most likely to be the same athlete
+   * @param {Object} record - Incoming athlete record
+   * @param {Array} candidates - Existing records sharing a blocking key
+   */
+  findBestMatch(record, candidates = []) {
+    return candidates
+      .filter(candidate => !record._id || String(candidate._id) !== String(record._id))
+      .reduce((best, candidate) => {
+        const comparison = this.compare(record, candidate);
+        return !best || comparison.probability > best.comparison.probability
+          ? { match: candidate, comparison }
+          : best;
+      }, null) || { match: null, comparison: null };
+  }
+
+  /**
+   * Group a batch of records into identities. Auto-merge pairs join a group; review pairs are returned separately.
+   * @param {Array} records - Athlete records
+   */
+  cluster(records) {
+    const parent = records.map((record, index) => index);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const blocks = new Map();
+    const compared = new Set();
+    const reviews = [];
+
+    records.forEach((record, index) => {
+      this.getBlockingKeys(record).forEach(key => {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(index);
+      });
+    });
+
+    blocks.forEach(members => {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const pairKey = `${members[i]}:${members[j]}`;
+          if (compared.has(pairKey)) continue;
+          compared.add(pairKey);
+
+          const comparison = this.compare(records[members[i]], records[members[j]]);
+          if (comparison.decision === 'merge') {
+            const [rootA, rootB] = [find(members[i]), find(members[j])];
+            parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+          } else if (comparison.decision === 'review') {
+            reviews.push({ a: members[i], b: members[j], comparison });
+          }
+        }
+      }
+    });
+
+    const groups = new Map();
+    records.forEach((record, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(index);
+    });
+
+    return {
+      groups: Array.from(groups.values()),
+      reviews: reviews.filter(review => find(review.a) !== find(review.b))
+    };
+  }
+
+  /**
+   * Record that a source record is part of an identity
+   * @param {string} entityId - Resolved athlete record id
+   * @param {Object} record - The normalized source record as it arrived
+   * @param {Object} context - decision, comparison, actor, reason and importBatchId
+   */
+  async recordLink(entityId, record, context = {}) {
+    try {
+      const { _id, ...snapshot } = record;
+      const linkData = {
+        entityId: String(entityId),
+        source: record.source || record.recruitingData?.source || record.metadata?.sourcesUsed?.join(','),
+        sport: record.sport,
+        recordSnapshot: JSON.parse(JSON.stringify(snapshot)),
+        decision: context.decision || 'origin',
+        probability: context.comparison?.probability,
+        features: context.comparison?.features,
+        rulesVersion: context.comparison?.rulesVersion || this.getRules().version,
+        linkedBy: context.actor || 'system',
+        linkedAt: context.linkedAt || new Date(),
+        importBatchId: context.importBatchId,
+        status: 'active',
+        history: [{ action: 'linked', toEntityId: String(entityId), actor: context.actor || 'system', reason: context.reason }]
+      };
+
+      if (this._isMock()) {
+        const link = { _id: `link-${this.mockLinks.length + 1}`, ...linkData, createdAt: new Date() };
+        this.mockLinks.push(link);
+        return link;
+      }
+
+      const link = new IdentityLink(linkData);
+      await link.save();
+      return link.toObject();
+    } catch (error) {
+      console.error('Error recording identity link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the source records behind an identity, oldest first
+   * @param {string} entityId - Resolved athlete record id
+   * @param {Object} options - includeUnmerged
+   */
+  async getLinks(entityId, options = {}) {
+    const filter = { entityId: String(entityId) };
+    if (!options.includeUnmerged) filter.status = 'active';
+
+    if (this._isMock()) {
+      return this.mockLinks
+        .filter(link => link.entityId === filter.entityId && (!filter.status || link.status === filter.status))
+        .sort((a, b) => a.linkedAt - b.linkedAt);
+    }
+    return IdentityLink.find(filter).sort({ linkedAt: 1 }).lean();
+  }
+
+  /**
+   * Get one link
+   * @param {string} linkId - Link id
+   */
+  async getLink(linkId) {
+    const link = this._isMock()
+      ? this.mockLinks.find(l => l._id === String(linkId))
+      : await IdentityLink.findById(linkId).lean();
+
+    if (!link) {
+      throw identityError('Identity link not found', 404);
+    }
+    return link;
+  }
+
+  /**
+   * Mark a link as split out of its identity into a new record
+   * @param {string} linkId - Link id
+   * @param {Object} context - splitEntityId, actor and reason
+   */
+  async markUnmerged(linkId, context = {}) {
+    try {
+      const link = await this.getLink(linkId);
+      if (link.status !== 'active') {
+        throw identityError('This record has already been unmerged', 409);
+      }
+      if (link.decision === 'origin') {
+        throw identityError('The first record of an identity cannot be unmerged; unmerge the records joined to it instead', 400);
+      }
+
+      const update = {
+        status: 'unmerged',
+        unmergedAt: new Date(),
+        unmergedBy: context.actor,
+        unmergeReason: context.reason,
+        splitEntityId: String(context.splitEntityId)
+      };
+      const historyEntry = {
+        action: 'unmerged',
+        fromEntityId: link.entityId,
+        toEntityId: String(context.splitEntityId),
+        actor: context.actor,
+        reason: context.reason,
+        at: update.unmergedAt
+      };
+
+      if (this._isMock()) {
+        Object.assign(link, update);
+        link.history.push(historyEntry);
+        return link;
+      }
+      return IdentityLink.findByIdAndUpdate(linkId, { $set: update, $push: { history: historyEntry } }, { new: true }).lean();
+    } catch (error) {
+      console.error('Error unmerging identity link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move every active link from one identity to another
+   * @param {string} fromEntityId - Identity being merged away
+   * @param {string} toEntityId - Identity that survives
+   * @param {Object} context - actor and reason
+   */
+  async moveLinks(fromEntityId, toEntityId, context = {}) {
+    try {
+      const historyEntry = {
+        action: 'moved',
+        fromEntityId: String(fromEntityId),
+        toEntityId: String(toEntityId),
+        actor: context.actor,
+        reason: context.reason,
+        at: new Date()
+      };
+
+      if (this._isMock()) {
+        const moved = this.mockLinks.filter(link => link.entityId === String(fromEntityId) && link.status === 'active');
+        moved.forEach(link => {
+          link.entityId = String(toEntityId);
+          if (link.decision === 'origin') link.decision = 'admin';
+          link.history.push(historyEntry);
+        });
+        return moved.length;
+      }
+
+      const filter = { entityId: String(fromEntityId), status: 'active' };
+      await IdentityLink.updateMany({ ...filter, decision: 'origin' }, { $set: { decision: 'admin' } });
+      const result = await IdentityLink.updateMany(filter, {
+        $set: { entityId: String(toEntityId) },
+        $push: { history: historyEntry }
+      });
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('Error moving identity links:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Active links brought in by one spreadsheet import
+   * @param {string} importBatchId - Import batch id
+   */
+  async getImportLinks(importBatchId) {
+    if (this._isMock()) {
+      return this.mockLinks.filter(link => link.importBatchId === String(importBatchId) && link.status === 'active');
+    }
+    return IdentityLink.find({ importBatchId: String(importBatchId), status: 'active' }).sort({ linkedAt: 1 }).lean();
+  }
+
+  /**
+   * Take a link out of its identity because the import that created it was rolled back.
+   * If it was the identity's first record, the oldest remaining record takes its place.
+   * @param {string} linkId - Link id
+   * @param {Object} context - actor and reason
+   */
+  async rollbackLink(linkId, context = {}) {
+    try {
+      const link = await this.getLink(linkId);
+      if (link.status !== 'active') {
+        throw identityError(`This record is already ${link.status.replace('_', ' ')}`, 409);
+      }
+
+      const historyEntry = {
+        action: 'rolled_back',
+        fromEntityId: link.entityId,
+        actor: context.actor,
+        reason: context.reason,
+        at: new Date()
+      };
+
+      let updated;
+      if (this._isMock()) {
+        link.status = 'rolled_back';
+        link.history.push(historyEntry);
+        updated = link;
+      } else {
+        updated = await IdentityLink.findByIdAndUpdate(linkId, {
+          $set: { status: 'rolled_back' },
+          $push: { history: historyEntry }
+        }, { new: true }).lean();
+      }
+
+      if (link.decision === 'origin') {
+        const [oldest] = await this.getLinks(link.entityId);
+        if (oldest) {
+          if (this._isMock()) {
+            oldest.decision = 'origin';
+          } else {
+            await IdentityLink.updateOne({ _id: oldest._id }, { $set: { decision: 'origin' } });
+          }
+        }
+      }
+      return updated;
+    } catch (error) {
+      console.error('Error rolling back identity link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue an ambiguous pair for admin review, unless the pair is already queued or was rejected
+   * @param {Object} record - Athlete record
+   * @param {Object} candidate - Athlete record it may duplicate
+   * @param {Object} comparison - Result of compare()
+   * @param {string} reason - 'ambiguous_match' or 'unmerged'
+   */
+  async enqueueReview(record, candidate, comparison, reason = 'ambiguous_match') {
+    try {
+      const ids = [String(record._id), String(candidate._id)];
+      const existing = await this._findReviewForPair(ids[0], ids[1]);
+      if (existing && existing.status !== 'merged') return existing;
+
+      const reviewData = {
+        entityId: ids[0],
+        candidateEntityId: ids[1],
+        sport: record.sport || candidate.sport,
+        names: [record.name, candidate.name],
+        probability: comparison.probability,
+        features: comparison.features,
+        rulesVersion: comparison.rulesVersion,
+        reason,
+        status: reason === 'unmerged' ? 'rejected' : 'pending'
+      };
+
+      if (this._isMock()) {
+        const review = { _id: `review-${this.mockReviews.length + 1}`, ...reviewData, createdAt: new Date(), updatedAt: new Date() };
+        this.mockReviews.push(review);
+        return review;
+      }
+
+      const review = new IdentityReview(reviewData);
+      await review.save();
+      return review.toObject();
+    } catch (error) {
+      console.error('Error queueing identity review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get queued pairs, most likely matches first
+   * @param {Object} filters - status, sport and limit
+   */
+  async getReviewQueue(filters = {}) {
+    const status = filters.status || 'pending';
+    const limit = filters.limit || 50;
+
+    if (this._isMock()) {
+      return this.mockReviews
+        .filter(r => r.status === status && (!filters.sport || r.sport === filters.sport))
+        .sort((a, b) => b.probability - a.probability)
+        .slice(0, limit);
+    }
+
+    const query = { status };
+    if (filters.sport) query.sport = filters.sport;
+    return IdentityReview.find(query).sort({ probability: -1 }).limit(limit).lean();
+  }
+
+  /**
+   * Get one review
+   * @param {string} reviewId - Review id
+   */
+  async getReview(reviewId) {
+    const review = this._isMock()
+      ? this.mockReviews.find(r => r._id === String(reviewId))
+      : await IdentityReview.findById(reviewId).lean();
+
+    if (!review) {
+      throw identityError('Identity review not found', 404);
+    }
+    return review;
+  }
+
+  /**
+   * Close a review as merged or rejected
+   * @param {string} reviewId - Review id
+   * @param {string} status - 'merged' or 'rejected'
+   * @param {Object} context - actor and notes
+   */
+  async closeReview(reviewId, status, context = {}) {
+    try {
+      if (!['merged', 'rejected'].includes(status)) {
+        throw identityError('Review decision must be merge or reject', 400);
+      }
+
+      const review = await this.getReview(reviewId);
+      if (review.status !== 'pending') {
+        throw identityError(`Review is already ${review.status}`, 409);
+      }
+
+      const update = { status, reviewedBy: context.actor, reviewedAt: new Date(), notes: context.notes, updatedAt: new Date() };
+      if (this._isMock()) {
+        return Object.assign(review, update);
+      }
+      return IdentityReview.findByIdAndUpdate(reviewId, { $set: update }, { new: true }).lean();
+    } catch (error) {
+      console.error('Error closing identity review:', error);
+      throw error;
+    }
+  }
+
+  // Private helper methods
+  _isMock() {
+    return mongoose.connection.readyState !== 1;
+  }
+
+  _decide(probability) {
+    const { thresholds } = this.getRules();
+    if (probability >= thresholds.autoMerge) return 'merge';
+    if (probability >= thresholds.review) return 'review';
+    return 'distinct';
+  }
+
+  async _findReviewForPair(idA, idB) {
+    const matchesPair = r => (r.entityId === idA && r.candidateEntityId === idB) ||
+      (r.entityId === idB && r.candidateEntityId === idA);
+
+    if (this._isMock()) {
+      return this.mockReviews.filter(matchesPair).pop() || null;
+    }
+    return IdentityReview.findOne({
+      $or: [
+        { entityId: idA, candidateEntityId: idB },
+        { entityId: idB, candidateEntityId: idA }
+      ]
+    }).sort({ createdAt: -1 }).lean();
+  }
+
+  // Each scorer returns { score: 0..1, detail } or null when either side lacks the field
+  _scoreFeature(feature, a, b, sport) {
+    switch (feature) {
+    case 'name': {
+      const [nameA, nameB] = [this.parseName(a.name), this.parseName(b.name)];
+      if (!nameA || !nameB) return null;
+
+      const lastScore = jaroWinkler(nameA.last, nameB.last);
+      let firstScore = 0;
+      if (nameA.canonicalFirst === nameB.canonicalFirst) {
+        firstScore = 1;
+      } else if ((nameA.first.length === 1 || nameB.first.length === 1) && nameA.first[0] === nameB.first[0]) {
+        firstScore = 0.8;
+      } else {
+        const similarity = jaroWinkler(nameA.canonicalFirst, nameB.canonicalFirst);
+        firstScore = similarity >= 0.9 ? similarity : 0;
+      }
+
+      // Father and son share a name; differing suffixes are strong evidence of two people
+      const suffixPenalty = nameA.suffix && nameB.suffix && nameA.suffix !== nameB.suffix ? 0.2 : 1;
+      return {
+        score: lastScore >= 0.85 ? lastScore * firstScore * suffixPenalty : 0,
+        detail: `${nameA.canonicalFirst} ${nameA.last} / ${nameB.canonicalFirst} ${nameB.last}`
+      };
+    }
+    case 'school': {
+      const [schoolA, schoolB] = [this.normalizeSchool(a.school), this.normalizeSchool(b.school)];
+      if (!schoolA || !schoolB) return null;
+      if (schoolA === schoolB) return { score: 1, detail: schoolA };
+
+      const [wordsA, wordsB] = [new Set(schoolA.split(' ')), new Set(schoolB.split(' '))];
+      const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+      const subset = shared === Math.min(wordsA.size, wordsB.size);
+      const jaccard = shared / new Set([...wordsA, ...wordsB]).size;
+      return { score: subset ? 0.8 : (jaccard >= 0.5 ? jaccard * 0.8 : 0), detail: `${schoolA} / ${schoolB}` };
+    }
+    case 'classYear': {
+      const [yearA, yearB] = [this._classYear(a), this._classYear(b)];
+      if (!yearA || !yearB) return null;
+      const gap = Math.abs(yearA - yearB);
+      // Reclassification moves an athlete one class
+      return { score: gap === 0 ? 1 : (gap === 1 ? 0.4 : 0), detail: `${yearA} / ${yearB}` };
+    }
+    case 'position': {
+      const [posA, posB] = [this.canonicalPosition(sport, a.position), this.canonicalPosition(sport, b.position)];
+      if (!posA || !posB) return null;
+      if (posA === posB) return { score: 1, detail: posA };
+
+      const groups = this.getRules().positionGroups[sport] || [];
+      const related = groups.some(group => group.includes(posA) && group.includes(posB));
+      return { score: related ? 0.6 : 0, detail: `${posA} / ${posB}` };
+    }
+    case 'height': {
+      const [heightA, heightB] = [this._heightInches(a.height), this._heightInches(b.height)];
+      if (!heightA || !heightB) return null;
+      const gap = Math.abs(heightA - heightB);
+      return { score: gap <= 1 ? 1 : gap <= 2 ? 0.6 : gap <= 3 ? 0.2 : 0, detail: `${heightA}in / ${heightB}in` };
+    }
+    case 'weight': {
+      const [weightA, weightB] = [parseFloat(a.weight), parseFloat(b.weight)];
+      if (!weightA || !weightB) return null;
+      const gap = Math.abs(weightA - weightB);
+      return { score: gap <= 10 ? 1 : gap <= 20 ? 0.6 : gap <= 35 ? 0.2 : 0, detail: `${weightA}lb / ${weightB}lb` };
+    }
+    case 'state': {
+      const [stateA, stateB] = [this._state(a), this._state(b)];
+      if (!stateA || !stateB) return null;
+      return { score: stateA === stateB ? 1 : 0, detail: `${stateA} / ${stateB}` };
+    }
+    case 'social': {
+      const [handlesA, handlesB] = [this._getHandles(a), this._getHandles(b)];
+      const shared = Object.keys(handlesA).filter(platform => handlesB[platform]);
+      if (shared.length === 0) return null;
+      const matching = shared.filter(platform => handlesA[platform] === handlesB[platform]);
+      return {
+        score: matching.length > 0 ? 1 : 0,
+        detail: shared.map(platform => `${platform}: ${handlesA[platform]} / ${handlesB[platform]}`).join(', ')
+      };
+    }
+    default:
+      return null;
+    }
+  }
+
+  _getHandles(record) {
+    const social = record.socialMedia || record.social || {};
+    return SOCIAL_PLATFORMS.reduce((handles, platform) => {
+      const value = social[platform];
+      if (typeof value === 'string' && value.trim()) {
+        const handle = value.trim().toLowerCase().replace(/\/+$/, '').split('/').pop().replace(/^@/, '');
+        if (handle) handles[platform] = handle;
+      }
+      return handles;
+    }, {});
+  }
+
+  _classYear(record) {
+    const year = record.recruitingClass || record.recruitingData?.recruitingClass ||
+      record.classYear || record.graduationYear || record.year;
+    const parsed = parseInt(year);
+    return parsed >= 1900 && parsed <= 2100 ? parsed : undefined;
+  }
+
+  _state(record) {
+    return record.state && extractState(record.state)
+      ? extractState(record.state)
+      : extractState(record.recruitingData?.location || record.location);
+  }
+
+  _heightInches(height) {
+    if (!height) return undefined;
+    if (typeof height === 'number') return height;
+
+    const feetInches = String(height).match(/(\d)\s*(?:'|ft|-|\s)\s*(\d{1,2})/);
+    if (feetInches) return parseInt(feetInches[1]) * 12 + parseInt(feetInches[2]);
+
+    const inches = parseFloat(height);
+    return inches > 48 && inches < 96 ? inches : undefined;
+  }
+}
+
+module.exports = new IdentityResolutionService();
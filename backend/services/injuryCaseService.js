@@ -0,0 +1,476 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const InjuryCase = require('../models/injuryCaseModel');
+const Injury = require('../models/injuryModel');
+const { PROTOCOLS, protocolFor, validateRestriction } = require('./returnToPlayProtocols');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Roles that run injury cases: open them, write notes, move stages and set restrictions
+const CASE_ROLES = ['admin', 'athletic_trainer', 'team_physician'];
+
+const caseError = (message, status = 400) => Object.assign(new Error(message), { status });
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Injury case management: moves an injured athlete through a staged return-to-play protocol,
+// keeps the daily progress notes, and exposes the training restrictions of every open case
+class InjuryCaseService {
+  constructor() {
+    // Used when MongoDB is not connected (development mock database)
+    this.mock = { cases: [] };
+  }
+
+  /**
+   * Open a case for an injury and start it on the protocol for the injury type
+   * @param {Object} actor - User opening the case (id and role)
+   * @param {Object} data - athleteId, plus injuryId of a reported injury or the injury's type,
+   * location, severity, side, description and dateOccurred
+   */
+  async openCase(actor, data = {}) {
+    this._assertRole(actor, CASE_ROLES, 'Only athletic trainers and team physicians can open injury cases');
+    if (!data.athleteId) {
+      throw caseError('Athlete ID is required');
+    }
+
+    const athleteId = String(data.athleteId);
+    const injury = await this._resolveInjury(athleteId, data);
+    if (data.injuryId && (await this._findCases({ injuryId: String(data.injuryId) })).some(item => item.status !== 'cleared')) {
+      throw caseError('This injury already has an open case', 409);
+    }
+
+    const now = new Date();
+    const injuryCase = {
+      _id: this._newId('case'),
+      athleteId,
+      injuryId: data.injuryId ? String(data.injuryId) : undefined,
+      injury,
+      status: 'active',
+      protocol: protocolFor(injury),
+      currentStage: 1,
+      stageStartedAt: now,
+      stageHistory: [{ stage: 1, action: 'started', actor: String(actor.id), at: now }],
+      progressNotes: [],
+      restrictions: [],
+      openedBy: String(actor.id),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (this._isMock()) {
+      this.mock.cases.push(injuryCase);
+    } else {
+      await InjuryCase.create(injuryCase);
+    }
+    return this._format(injuryCase);
+  }
+
+  /**
+   * One case, for case staff or the athlete it belongs to
+   * @param {string} caseId - Case ID
+   * @param {Object} actor - Requesting user (id and role)
+   */
+  async getCase(caseId, actor) {
+    const injuryCase = await this._load(caseId);
+    this._assertCanView(injuryCase.athleteId, actor);
+    return this._format(injuryCase);
+  }
+
+  /**
+   * An athlete's cases, newest first
+   * @param {string} athleteId - Athlete
+   * @param {Object} actor - Requesting user (id and role)
+   * @param {Object} options - status filter
+   */
+  async listCases(athleteId, actor, options = {}) {
+    this._assertCanView(String(athleteId), actor);
+    const cases = await this._findCases({ athleteId: String(athleteId) });
+    return cases
+      .filter(injuryCase => !options.status || injuryCase.status === options.status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(injuryCase => this._format(injuryCase));
+  }
+
+  /**
+   * Add a daily progress note on the athlete's current stage
+   * @param {string} caseId - Case ID
+   * @param {Object} actor - Note author (id and role)
+   * @param {Object} data - notes, optional painLevel (0-10), symptoms, activities and date
+   */
+  async addProgressNote(caseId, actor, data = {}) {
+    this._assertRole(actor, CASE_ROLES, 'Only athletic trainers and team physicians can write progress notes');
+    const injuryCase = await this._load(caseId);
+
+    if (!data.notes || !String(data.notes).trim()) {
+      throw caseError('notes is required');
+    }
+    let painLevel;
+    if (data.painLevel !== undefined && data.painLevel !== null && data.painLevel !== '') {
+      painLevel = Number(data.painLevel);
+      if (!Number.isFinite(painLevel) || painLevel < 0 || painLevel > 10) {
+        throw caseError('painLevel must be a number between 0 and 10');
+      }
+    }
+    const date = data.date ? new Date(data.date) : new Date();
+    if (isNaN(date.getTime()) || date.getTime() > Date.now() + DAY_MS) {
+      throw caseError('date must be a valid date that is not in the future');
+    }
+
+    const note = {
+      _id: this._newId('note'),
+      date,
+      stage: injuryCase.currentStage,
+      painLevel,
+      symptoms: toList(data.symptoms),
+      activities: toList(data.activities),
+      notes: String(data.notes).trim().slice(0, 2000),
+      author: String(actor.id),
+      authorRole: actor.role,
+      createdAt: new Date()
+    };
+    return this._update(injuryCase, {}, { progressNotes: note });
+  }
+
+  /**
+   * Move the athlete to the next stage once the current one's minimum time has passed and it
+   * has a progress note (symptom-free, for protocols that require it). Stages marked for
+   * sign-off can only be entered by the protocol's clearance roles; the final stage is reached
+   * through clearance instead.
+   * @param {string} caseId - Case ID
+   * @param {Object} actor - User advancing the case (id and role)
+   * @param {Object} options - reason
+   */
+  async advanceStage(caseId, actor, options = {}) {
+    const injuryCase = await this._load(caseId);
+    const { stages } = injuryCase.protocol;
+    const next = stages[injuryCase.currentStage];
+
+    if (injuryCase.status === 'cleared' || !next) {
+      throw caseError('The athlete has already been cleared', 409);
+    }
+    if (next.stage === stages.length) {
+      throw caseError(`${next.name} needs a clearance sign-off`, 409);
+    }
+    if (next.signOff) {
+      this._assertRole(actor, injuryCase.protocol.clearanceRoles, `${next.name} needs sign-off by a ${this._roleNames(injuryCase.protocol.clearanceRoles)}`);
+    } else {
+      this._assertRole(actor, CASE_ROLES, 'Only athletic trainers and team physicians can advance injury cases');
+    }
+    this._assertStageComplete(injuryCase);
+
+    const now = new Date();
+    return this._update(injuryCase, { currentStage: next.stage, stageStartedAt: now, status: 'rehab' }, {
+      stageHistory: { stage: next.stage, action: 'advanced', actor: String(actor.id), reason: options.reason, at: now }
+    });
+  }
+
+  /**
+   * Drop the athlete back a stage, e.g. when symptoms return
+   * @param {string} caseId - Case ID
+   * @param {Object} actor - User regressing the case (id and role)
+   * @param {Object} options - reason (required)
+   */
+  async regressStage(caseId, actor, options = {}) {
+    this._assertRole(actor, CASE_ROLES, 'Only athletic trainers and team physicians can move injury cases back');
+    const injuryCase = await this._load(caseId);
+
+    if (injuryCase.status === 'cleared') {
+      throw caseError('The athlete has already been cleared', 409);
+    }
+    if (injuryCase.currentStage === 1) {
+      throw caseError('The case is already on the first stage', 409);
+    }
+    if (!options.reason) {
+      throw caseError('A reason is required to move a case back');
+    }
+
+    const stage = injuryCase.currentStage - 1;
+    const now = new Date();
+    return this._update(injuryCase, { currentStage: stage, stageStartedAt: now, status: stage === 1 ? 'active' : 'rehab' }, {
+      stageHistory: { stage, action: 'regressed', actor: String(actor.id), reason: options.reason, at: now }
+    });
+  }
+
+  /**
+   * Clearance sign-off: moves the athlete from the last restricted stage to full return, lifts
+   * every restriction and marks the injury record recovered
+   * @param {string} caseId - Case ID
+   * @param {Object} actor - Clinician signing off (id and role)
+   * @param {Object} options - notes
+   */
+  async signOffClearance(caseId, actor, options = {}) {
+    const injuryCase = await this._load(caseId);
+    const { stages, clearanceRoles } = injuryCase.protocol;
+    this._assertRole(actor, clearanceRoles, `Clearance needs sign-off by a ${this._roleNames(clearanceRoles)}`);
+
+    if (injuryCase.status === 'cleared') {
+      throw caseError('The athlete has already been cleared', 409);
+    }
+    if (injuryCase.currentStage !== stages.length - 1) {
+      const from = stages[stages.length - 2];
+      throw caseError(`Clearance is signed off from stage ${from.stage} (${from.name}); the case is on stage ${injuryCase.currentStage}`, 409);
+    }
+    this._assertStageComplete(injuryCase);
+
+    const now = new Date();
+    const clearance = { clearedBy: String(actor.id), clearedByRole: actor.role, clearedAt: now, notes: options.notes };
+    const cleared = await this._update(injuryCase, { currentStage: stages.length, stageStartedAt: now, status: 'cleared', clearance }, {
+      stageHistory: { stage: stages.length, action: 'cleared', actor: String(actor.id), reason: options.notes, at: now }
+    });
+
+    if (injuryCase.injuryId && !this._isMock() && mongoose.isValidObjectId(injuryCase.injuryId)) {
+      await Injury.updateOne({ _id: injuryCase.injuryId }, {
+        $set: {
+          status: 'recovered',
+          returnToPlay: { date: now, protocol: injuryCase.protocol.name, restrictions: [] },
+          updatedAt: now
+        },
+        $push: { followUp: { date: now, notes: options.notes || 'Cleared for return to play', status: 'cleared' } }
+      });
+    }
+    return cleared;
+  }
+
+  /**
+   * Add a restriction on top of the current stage's
+   * @param {string} caseId - Case ID
+   * @param {Object} actor - User adding it (id and role)
+   * @param {Object} data - kind (no_training, max_intensity, no_load, no_contact, no_exercise), value and reason
+   */
+  async addRestriction(caseId, actor, data = {}) {
+    this._assertRole(actor, CASE_ROLES, 'Only athletic trainers and team physicians can set restrictions');
+    const injuryCase = await this._load(caseId);
+    if (injuryCase.status === 'cleared') {
+      throw caseError('Cleared cases cannot take new restrictions', 409);
+    }
+
+    const problem = validateRestriction(data);
+    if (problem) {
+      throw caseError(problem);
+    }
+    const locations = Injury.schema.path('location').enumValues;
+    if (data.kind === 'no_load' && !locations.includes(data.value)) {
+      throw caseError(`no_load value must be one of: ${locations.join(', ')}`);
+    }
+
+    const restriction = {
+      _id: this._newId('restriction'),
+      kind: data.kind,
+      value: data.kind === 'max_intensity' ? Number(data.value) : data.value,
+      reason: data.reason,
+      addedBy: String(actor.id),
+      addedAt: new Date()
+    };
+    return this._update(injuryCase, {}, { restrictions: restriction });
+  }
+
+  /**
+   * Lift a restriction added by staff; stage restrictions end with the stage
+   * @param {string} caseId - Case ID
+   * @param {string} restrictionId - Restriction to lift
+   * @param {Object} actor - User lifting it (id and role)
+   */
+  async liftRestriction(caseId, restrictionId, actor) {
+    this._assertRole(actor, CASE_ROLES, 'Only athletic trainers and team physicians can lift restrictions');
+    const injuryCase = await this._load(caseId);
+
+    const restriction = injuryCase.restrictions.find(item => item._id === restrictionId && !item.liftedAt);
+    if (!restriction) {
+      throw caseError('Restriction not found', 404);
+    }
+    const restrictions = injuryCase.restrictions.map(item => (
+      item === restriction ? { ...item, liftedBy: String(actor.id), liftedAt: new Date() } : item
+    ));
+    return this._update(injuryCase, { restrictions });
+  }
+
+  /**
+   * Every restriction in force for an athlete across their open cases
+   * @param {string} athleteId - Athlete
+   * @returns {Array} Restrictions with kind, value, caseId, source (protocol or manual) and reason
+   */
+  async getActiveRestrictions(athleteId) {
+    const cases = await this._findCases({ athleteId: String(athleteId) });
+    return cases
+      .filter(injuryCase => injuryCase.status !== 'cleared')
+      .flatMap(injuryCase => this._effectiveRestrictions(injuryCase));
+  }
+
+  /**
+   * Available protocols and their stages, before severity scaling
+   */
+  getProtocols() {
+    return Object.values(PROTOCOLS).map(protocol => ({
+      id: protocol.id,
+      name: protocol.name,
+      injuryTypes: protocol.injuryTypes,
+      clearanceRoles: protocol.clearanceRoles,
+      symptomFreeToAdvance: protocol.symptomFreeToAdvance,
+      scalesWithSeverity: protocol.scalesWithSeverity,
+      stages: protocol.stages
+    }));
+  }
+
+  // Private helper methods
+
+  _isMock() {
+    return mongoose.connection.readyState !== 1;
+  }
+
+  _newId(prefix) {
+    return `${prefix}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  _assertRole(actor, roles, message) {
+    if (!actor || !roles.includes(actor.role)) {
+      throw caseError(message, 403);
+    }
+  }
+
+  // Medical case files are limited to case staff and the athlete themselves
+  _assertCanView(athleteId, actor) {
+    if (!actor || (!CASE_ROLES.includes(actor.role) && String(actor.id) !== athleteId)) {
+      throw caseError('Injury cases are only visible to medical staff and the athlete', 403);
+    }
+  }
+
+  _roleNames(roles) {
+    return roles.map(role => role.replace('_', ' ')).join(' or ');
+  }
+
+  async _resolveInjury(athleteId, data) {
+    let source = data;
+    if (data.injuryId && !this._isMock()) {
+      const injury = mongoose.isValidObjectId(data.injuryId) ? await Injury.findById(data.injuryId).lean() : null;
+      if (!injury || String(injury.athleteId) !== athleteId) {
+        throw caseError('Injury not found for this athlete', 404);
+      }
+      source = injury;
+    }
+
+    ['type', 'location', 'severity'].forEach(field => {
+      const values = Injury.schema.path(field).enumValues;
+      if (!values.includes(source[field])) {
+        throw caseError(`Injury ${field} must be one of: ${values.join(', ')}`);
+      }
+    });
+    const dateOccurred = source.dateOccurred ? new Date(source.dateOccurred) : new Date();
+    if (isNaN(dateOccurred.getTime())) {
+      throw caseError('dateOccurred is not a valid date');
+    }
+
+    return {
+      type: source.type,
+      location: source.location,
+      severity: source.severity,
+      side: source.side,
+      description: source.description,
+      dateOccurred
+    };
+  }
+
+  async _findCases(filter) {
+    if (this._isMock()) {
+      return this.mock.cases.filter(injuryCase => Object.entries(filter).every(([key, value]) => injuryCase[key] === value));
+    }
+    return InjuryCase.find(filter).lean();
+  }
+
+  async _load(caseId) {
+    const injuryCase = this._isMock()
+      ? this.mock.cases.find(item => item._id === caseId)
+      : await InjuryCase.findById(caseId).lean();
+    if (!injuryCase) {
+      throw caseError('Injury case not found', 404);
+    }
+    return injuryCase;
+  }
+
+  // Set fields and append to array fields, then return the formatted case
+  async _update(injuryCase, set, push = {}) {
+    const now = new Date();
+    if (this._isMock()) {
+      const stored = this.mock.cases.find(item => item._id === injuryCase._id);
+      Object.assign(stored, set, { updatedAt: now });
+      Object.entries(push).forEach(([field, item]) => stored[field].push(item));
+      return this._format(stored);
+    }
+
+    const update = { $set: { ...set, updatedAt: now } };
+    if (Object.keys(push).length) {
+      update.$push = push;
+    }
+    await InjuryCase.updateOne({ _id: injuryCase._id }, update);
+    return this._format(await this._load(injuryCase._id));
+  }
+
+  // The current stage needs its minimum time, a progress note and, where the protocol asks
+  // for it, no symptoms in the latest note
+  _assertStageComplete(injuryCase) {
+    const stage = injuryCase.protocol.stages[injuryCase.currentStage - 1];
+    const readyAt = new Date(injuryCase.stageStartedAt).getTime() + stage.minDays * DAY_MS;
+    if (Date.now() < readyAt) {
+      throw caseError(`${stage.name} lasts at least ${stage.minDays} day(s); the athlete can move on after ${new Date(readyAt).toISOString()}`, 409);
+    }
+
+    const notes = injuryCase.progressNotes
+      .filter(note => note.stage === injuryCase.currentStage)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+    if (!notes.length) {
+      throw caseError(`Add a progress note for ${stage.name} before moving on`, 409);
+    }
+    if (injuryCase.protocol.symptomFreeToAdvance && notes[notes.length - 1].symptoms.length) {
+      throw caseError('The athlete must be symptom-free before moving on', 409);
+    }
+  }
+
+  _effectiveRestrictions(injuryCase) {
+    if (injuryCase.status === 'cleared') {
+      return [];
+    }
+    const stage = injuryCase.protocol.stages[injuryCase.currentStage - 1];
+    return [
+      ...stage.restrictions.map(restriction => ({
+        ...restriction,
+        caseId: injuryCase._id,
+        source: 'protocol',
+        reason: `Stage ${stage.stage}: ${stage.name}`
+      })),
+      ...injuryCase.restrictions.filter(restriction => !restriction.liftedAt).map(restriction => ({
+        id: restriction._id,
+        kind: restriction.kind,
+        value: restriction.value,
+        caseId: injuryCase._id,
+        source: 'manual',
+        reason: restriction.reason
+      }))
+    ];
+  }
+
+  _format(injuryCase) {
+    const { _id, __v, progressNotes, restrictions, ...rest } = injuryCase;
+    const { stages } = injuryCase.protocol;
+    const stage = stages[injuryCase.currentStage - 1];
+
+    // Earliest return if every remaining stage takes its minimum time
+    let earliestReturnDate = null;
+    if (injuryCase.status !== 'cleared') {
+      const remainingDays = stages.slice(injuryCase.currentStage - 1, stages.length - 1).reduce((total, item) => total + item.minDays, 0);
+      earliestReturnDate = new Date(new Date(injuryCase.stageStartedAt).getTime() + remainingDays * DAY_MS);
+    }
+
+    return {
+      id: _id,
+      ...rest,
+      stage,
+      earliestReturnDate,
+      progressNotes: progressNotes
+        .map(({ _id: noteId, ...note }) => ({ id: noteId, ...note }))
+        .sort((a, b) => new Date(b.date) - new Date(a.date)),
+      restrictions: restrictions.map(({ _id: restrictionId, ...restriction }) => ({ id: restrictionId, ...restriction })),
+      activeRestrictions: this._effectiveRestrictions(injuryCase)
+    };
+  }
+}
+
+module.exports = new InjuryCaseService();
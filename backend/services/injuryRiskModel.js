@@ -1,12 +1,73 @@
 // Injury Risk Assessment Model for AthleteAI
 // Uses statistical analysis and machine learning algorithms
-// to predict injury risk based on athlete data
+// to predict injury risk based on athlete data. Serves the active registry version of a
+// logistic regression trained on injury records, or hand-set weights until one is trained.
 
 const mongoose = require('mongoose');
+const Injury = require('../models/injuryModel');
+const TrainingSession = require('../models/trainingSessionModel');
+const Player = require('../models/playerModel');
+const riskModelRegistry = require('./riskModelRegistry');
+const { jobQueue } = require('./queue');
+const { stratifiedSplit, fitLogisticRegression, predictProbability, evaluate, quantile } = require('../utils/riskModelTraining');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MODEL_NAME = 'injury-risk';
+const ALGORITHM = 'logistic_regression';
+// Fallback thresholds for the hand-weighted score
+const DEFAULT_THRESHOLDS = { moderate: 0.4, high: 0.7 };
+// Trained models flag the riskiest 30% / 10% of training snapshots as moderate / high
+const MODERATE_QUANTILE = 0.7;
+const HIGH_QUANTILE = 0.9;
+const MIN_TRAINING_SAMPLES = 30;
+const MIN_CLASS_SAMPLES = 5;
+// Newly trained versions are only promoted automatically when they beat chance by this much
+const MIN_PROMOTION_AUC = 0.55;
+// Other processes may change the served version; reload it at least this often
+const SERVED_MODEL_TTL_MS = 60 * 1000;
+
+const TRAINING_DEFAULTS = {
+  // An injury within horizonDays after a snapshot labels it positive
+  horizonDays: 30,
+  // Training sessions before the snapshot that its features are built from
+  windowDays: 30,
+  // Snapshot spacing and how far back they go
+  stepDays: 14,
+  historyDays: 365,
+  holdoutFraction: 0.25,
+  seed: 42,
+  learningRate: 0.5,
+  epochs: 2000,
+  l2: 0.01
+};
+
+// [min, max, integer] for each setting; out-of-range values are clamped. stepDays of at least a
+// day keeps the snapshot loop finite, and the upper bounds cap how long a run can take
+const TRAINING_LIMITS = {
+  horizonDays: [1, 365, true],
+  windowDays: [1, 365, true],
+  stepDays: [1, 365, true],
+  historyDays: [1, 1095, true],
+  holdoutFraction: [0.05, 0.5, false],
+  seed: [0, 2 ** 32 - 1, true],
+  learningRate: [0.0001, 10, false],
+  epochs: [1, 10000, true],
+  l2: [0, 10, false]
+};
+
+// Training runs as a job on the durable job queue, one at a time
+const TRAINING_QUEUE = 'model-training';
+const TRAINING_JOB_TIMEOUT_MS = 30 * 60 * 1000;
+
+const modelError = (message, status) => Object.assign(new Error(message), { status });
 
 class InjuryRiskModel {
-  constructor() {
+  constructor(queue = jobQueue) {
+    this.queue = queue;
+    // Served registry version ({ version, algorithm, artifact, ... }), null for the hand-set weights
     this.model = null;
+    this.servedAt = 0;
+    this.servedRevision = -1;
     this.isTrained = false;
     this.trainingData = [];
     this.featureWeights = {
@@ -38,9 +99,11 @@ class InjuryRiskModel {
   async calculateRisk(athleteData) {
     try {
       const features = this.extractFeatures(athleteData);
-      const riskScore = this.computeRiskScore(features);
-      const riskLevel = this.classifyRiskLevel(riskScore);
-      const recommendations = this.generateRecommendations(riskScore, features);
+      const served = await this.getServedModel();
+      const thresholds = served ? served.artifact.thresholds : DEFAULT_THRESHOLDS;
+      const riskScore = served ? this.predictWithArtifact(served.artifact, features) : this.computeRiskScore(features);
+      const riskLevel = this.classifyRiskLevel(riskScore, thresholds);
+      const recommendations = this.generateRecommendations(riskScore, features, thresholds);
 
       return {
         riskScore: Math.round(riskScore * 100) / 100,
@@ -48,6 +111,9 @@ class InjuryRiskModel {
         confidence: this.calculateConfidence(features),
         recommendations,
         factors: features,
+        model: served
+          ? { version: served.version, algorithm: served.algorithm, trainedAt: served.createdAt }
+          : { version: null, algorithm: 'heuristic' },
         timestamp: new Date()
       };
     } catch (error) {
@@ -131,14 +197,29 @@ class InjuryRiskModel {
     return multiplier;
   }
 
+  /**
+   * Injury probability from a trained artifact
+   * @param {Object} artifact - weights by feature name and intercept
+   * @param {Object} features - Normalized features
+   * @returns {number} Probability between 0-1
+   */
+  predictWithArtifact(artifact, features) {
+    const names = Object.keys(artifact.weights);
+    return predictProbability(
+      { weights: names.map(name => artifact.weights[name]), intercept: artifact.intercept },
+      names.map(name => features[name] || 0)
+    );
+  }
+
   /**
    * Classify risk level based on score
    * @param {number} score - Risk score
+   * @param {Object} thresholds - moderate and high cut-offs (defaults to the hand-weighted ones)
    * @returns {string} Risk level
    */
-  classifyRiskLevel(score) {
-    if (score >= 0.7) return 'HIGH';
-    if (score >= 0.4) return 'MODERATE';
+  classifyRiskLevel(score, thresholds = DEFAULT_THRESHOLDS) {
+    if (score >= thresholds.high) return 'HIGH';
+    if (score >= thresholds.moderate) return 'MODERATE';
     return 'LOW';
   }
 
@@ -146,12 +227,13 @@ class InjuryRiskModel {
    * Generate personalized recommendations
    * @param {number} score - Risk score
    * @param {Object} features - Feature values
+   * @param {Object} thresholds - Risk level cut-offs for the score
    * @returns {Array} Recommendations
    */
-  generateRecommendations(score, features) {
+  generateRecommendations(score, features, thresholds = DEFAULT_THRESHOLDS) {
     const recommendations = [];
 
-    if (score >= 0.7) {
+    if (this.classifyRiskLevel(score, thresholds) === 'HIGH') {
       recommendations.push({
         priority: 'HIGH',
         category: 'Immediate Action',
@@ -240,16 +322,305 @@ class InjuryRiskModel {
   }
 
   /**
-   * Train the model with historical data
-   * @param {Array} trainingData - Historical injury and athlete data
+   * Assemble the raw athlete data calculateRisk expects from stored records
+   * @param {Object} athlete - Player record
+   * @param {Array} sessions - Training sessions in the analysis window
+   * @param {Array} injuries - Injuries counted as history
+   * @param {number} days - Length of the analysis window in days
+   * @returns {Object} Athlete data for extractFeatures
+   */
+  buildAthleteData(athlete, sessions, injuries, days) {
+    return {
+      age: calculateAge(athlete.year),
+      weight: athlete.weight,
+      height: athlete.height,
+      position: athlete.position,
+      trainingLoad: calculateAverageTrainingLoad(sessions),
+      sessionFrequency: calculateSessionFrequency(sessions, days),
+      recoveryTime: calculateAverageRecoveryTime(sessions),
+      recentPerformance: athlete.garScore,
+      previousInjuries: injuries,
+      chronicConditions: [] // Would need to be stored separately
+    };
+  }
+
+  /**
+   * Train a logistic regression on labelled snapshots, evaluate it on a held-out split and
+   * store it as a new registry version
+   * @param {Array|null} trainingData - Labelled samples ({ features } or { athleteData }, plus
+   * label or injured); null builds them from stored sessions and injury records
+   * @param {Object} options - Overrides for TRAINING_DEFAULTS, actor, and promote (true, false
+   * or 'auto': serve the new version if nothing is pinned and its AUC is at least the served one's)
+   * @returns {Object} The registered version, with promoted set when it is now served
    */
-  async train(trainingData) {
-    // Store training data for future model improvements
-    this.trainingData = trainingData;
-    this.isTrained = true;
+  async train(trainingData = null, options = {}) {
+    const settings = this.resolveTrainingSettings(options);
+
+    const samples = Array.isArray(trainingData) ? this.prepareSamples(trainingData) : await this.buildTrainingSet(settings);
+    const positives = samples.filter(sample => sample.label === 1).length;
+    if (samples.length < MIN_TRAINING_SAMPLES || positives < MIN_CLASS_SAMPLES || samples.length - positives < MIN_CLASS_SAMPLES) {
+      throw modelError(
+        `Training needs at least ${MIN_TRAINING_SAMPLES} samples with ${MIN_CLASS_SAMPLES} injured and ${MIN_CLASS_SAMPLES} uninjured; ` +
+        `found ${samples.length} with ${positives} injured`,
+        422
+      );
+    }
+
+    const featureNames = Object.keys(this.featureWeights);
+    const toRow = sample => featureNames.map(name => sample.features[name] || 0);
+    const { train, test } = stratifiedSplit(samples, settings);
+
+    const fitted = fitLogisticRegression(train.map(toRow), train.map(sample => sample.label), settings);
+    const trainScores = train.map(sample => predictProbability(fitted, toRow(sample)));
+    const artifact = {
+      weights: Object.fromEntries(featureNames.map((name, index) => [name, Math.round(fitted.weights[index] * 1e6) / 1e6])),
+      intercept: Math.round(fitted.intercept * 1e6) / 1e6,
+      thresholds: {
+        moderate: Math.round(quantile(trainScores, MODERATE_QUANTILE) * 1e4) / 1e4,
+        high: Math.round(quantile(trainScores, HIGH_QUANTILE) * 1e4) / 1e4
+      }
+    };
 
-    // In a real implementation, this would train the ML model
-    console.log(`Trained injury risk model with ${trainingData.length} samples`);
+    const testLabels = test.map(sample => sample.label);
+    const metrics = evaluate(testLabels, test.map(sample => this.predictWithArtifact(artifact, sample.features)));
+    // The hand-set weights scored on the same split, for comparison
+    const baseline = evaluate(testLabels, test.map(sample => this.computeRiskScore(sample.features)));
+    metrics.baseline = { auc: baseline.auc, brier: baseline.brier, logLoss: baseline.logLoss };
+
+    const actor = options.actor || 'system';
+    const registered = await riskModelRegistry.register(MODEL_NAME, {
+      algorithm: ALGORITHM,
+      featureNames,
+      artifact,
+      metrics,
+      training: {
+        source: Array.isArray(trainingData) ? 'provided' : 'injury_records',
+        samples: samples.length,
+        positives,
+        trainSamples: train.length,
+        holdoutSamples: test.length,
+        trainingLoss: Math.round(fitted.trainingLoss * 1e4) / 1e4,
+        settings
+      }
+    }, actor);
+
+    this.trainingData = samples;
+
+    const served = await riskModelRegistry.getActive(MODEL_NAME);
+    const promote = options.promote === undefined ? 'auto' : options.promote;
+    const shouldPromote = promote === 'auto'
+      ? !(served && served.pinned) && metrics.auc !== null && metrics.auc >= MIN_PROMOTION_AUC &&
+        (!served || metrics.auc >= (served.metrics?.auc ?? 0))
+      : promote === true || promote === 'true';
+
+    if (!shouldPromote) {
+      return { ...registered, promoted: false };
+    }
+    const activated = await riskModelRegistry.activate(MODEL_NAME, registered.version, {
+      actor, reason: promote === 'auto' ? 'Promoted after training' : 'Promoted on request'
+    });
+    await this.getServedModel();
+    return { ...activated, promoted: true };
+  }
+
+  /**
+   * TRAINING_DEFAULTS with the caller's overrides, clamped to TRAINING_LIMITS
+   * @param {Object} options - Setting overrides; other keys are ignored
+   * @returns {Object} Settings for train and buildTrainingSet
+   */
+  resolveTrainingSettings(options = {}) {
+    const settings = { ...TRAINING_DEFAULTS };
+    Object.entries(TRAINING_LIMITS).forEach(([key, [min, max, integer]]) => {
+      if (options[key] === undefined || options[key] === null || options[key] === '') return;
+      const value = Number(options[key]);
+      if (!Number.isFinite(value)) {
+        throw modelError(`${key} must be a number`, 400);
+      }
+      settings[key] = Math.min(max, Math.max(min, integer ? Math.round(value) : value));
+    });
+    return settings;
+  }
+
+  /**
+   * Queue a training run on stored records; a run already waiting or in progress is returned
+   * instead of starting another. The server's training worker (startTrainingWorker) picks it up
+   * @param {Object} options - Setting overrides, actor and promote, as for train
+   * @returns {Object} The training job and whether it was newly queued
+   */
+  async queueTraining(options = {}) {
+    const settings = this.resolveTrainingSettings(options);
+    const overrides = Object.fromEntries(Object.keys(TRAINING_LIMITS)
+      .filter(key => options[key] !== undefined && options[key] !== null && options[key] !== '')
+      .map(key => [key, settings[key]]));
+
+    const { job, created } = await this.queue.enqueue(TRAINING_QUEUE, 'train', {
+      options: { ...overrides, actor: options.actor || 'system', promote: options.promote }
+    }, {
+      maxAttempts: 1,
+      idempotencyKey: `train:${MODEL_NAME}`
+    });
+
+    return { job, created };
+  }
+
+  /**
+   * Start the training worker in this process
+   */
+  startTrainingWorker() {
+    return this.queue.process(TRAINING_QUEUE, job => this.train(null, job.payload.options), {
+      concurrency: 1,
+      visibilityTimeoutMs: TRAINING_JOB_TIMEOUT_MS
+    });
+  }
+
+  /**
+   * Stop this process's training worker, waiting up to the queue's stop timeout for a run in progress
+   */
+  async stopTrainingWorker() {
+    return this.queue.stopWorker(TRAINING_QUEUE);
+  }
+
+  /**
+   * A queued training run
+   * @param {string} jobId - Job id from queueTraining
+   * @returns {Object|null} The job, with the registered version as its result once it completes
+   */
+  async getTrainingJob(jobId) {
+    const job = await this.queue.get(jobId);
+    return job && job.queue === TRAINING_QUEUE ? job : null;
+  }
+
+  /**
+   * Normalize caller-supplied training samples
+   * @param {Array} trainingData - { features } or { athleteData }, plus label or injured
+   * @returns {Array} Samples with features and a 0/1 label
+   */
+  prepareSamples(trainingData) {
+    return trainingData.map((item, index) => {
+      const outcome = item.label ?? item.injured;
+      if (outcome === undefined || outcome === null) {
+        throw modelError(`Training sample ${index} has no label`, 400);
+      }
+      if (!item.features && !item.athleteData) {
+        throw modelError(`Training sample ${index} needs features or athleteData`, 400);
+      }
+      return {
+        athleteId: item.athleteId,
+        date: item.date,
+        features: item.features || this.extractFeatures(item.athleteData),
+        label: outcome === true || Number(outcome) === 1 ? 1 : 0
+      };
+    });
+  }
+
+  /**
+   * Labelled snapshots from stored records: every stepDays, each athlete who trained in the
+   * preceding windowDays gets a snapshot whose features come from those sessions and the
+   * year's injuries before it, labelled by whether an injury followed within horizonDays
+   * @param {Object} settings - horizonDays, windowDays, stepDays and historyDays
+   * @returns {Array} Samples with athleteId, date, features and label
+   */
+  async buildTrainingSet(settings) {
+    if (mongoose.connection.readyState !== 1) {
+      throw modelError('Training from injury records needs a database connection; pass labelled samples instead', 503);
+    }
+
+    const now = Date.now();
+    const first = now - settings.historyDays * DAY_MS;
+    // Snapshots stop where their outcome window would run past today
+    const last = now - settings.horizonDays * DAY_MS;
+
+    const sessions = await TrainingSession.find({ date: { $gt: new Date(first - settings.windowDays * DAY_MS), $lte: new Date(last) } });
+    const injuries = await Injury.find({ dateOccurred: { $gt: new Date(first - 365 * DAY_MS), $lte: new Date(now) } }).lean();
+    const athleteIds = [...new Set(sessions.map(session => String(session.athleteId)))];
+    const athletes = await Player.find({ _id: { $in: athleteIds } });
+
+    const samples = [];
+    athletes.forEach(athlete => {
+      const athleteId = String(athlete._id);
+      const athleteSessions = sessions.filter(session => String(session.athleteId) === athleteId);
+      const athleteInjuries = injuries.filter(injury => String(injury.athleteId) === athleteId);
+
+      for (let time = first; time <= last; time += settings.stepDays * DAY_MS) {
+        const windowSessions = athleteSessions.filter(session =>
+          session.date.getTime() > time - settings.windowDays * DAY_MS && session.date.getTime() <= time
+        );
+        if (!windowSessions.length) continue;
+
+        const history = athleteInjuries.filter(injury =>
+          injury.dateOccurred.getTime() > time - 365 * DAY_MS && injury.dateOccurred.getTime() <= time
+        );
+        const injured = athleteInjuries.some(injury =>
+          injury.dateOccurred.getTime() > time && injury.dateOccurred.getTime() <= time + settings.horizonDays * DAY_MS
+        );
+
+        samples.push({
+          athleteId,
+          date: new Date(time),
+          features: this.extractFeatures(this.buildAthleteData(athlete, windowSessions, history, settings.windowDays)),
+          label: injured ? 1 : 0
+        });
+      }
+    });
+
+    return samples;
+  }
+
+  /**
+   * The registry version calculateRisk serves, cached until the registry changes
+   * @returns {Object|null} Active version, or null when the hand-set weights are served
+   */
+  async getServedModel() {
+    if (this.servedRevision === riskModelRegistry.revision && Date.now() - this.servedAt < SERVED_MODEL_TTL_MS) {
+      return this.model;
+    }
+
+    try {
+      this.model = await riskModelRegistry.getActive(MODEL_NAME);
+    } catch (error) {
+      // Keep serving the last loaded version (or the hand-set weights) if the registry is unreachable
+      console.error('Error loading served injury risk model:', error);
+    }
+    this.servedRevision = riskModelRegistry.revision;
+    this.servedAt = Date.now();
+    this.isTrained = Boolean(this.model);
+    return this.model;
+  }
+
+  /**
+   * Registry versions of the injury risk model, newest first
+   */
+  async listVersions() {
+    return riskModelRegistry.list(MODEL_NAME);
+  }
+
+  /**
+   * Serve a specific version and pin it there
+   * @param {number} version - Version to serve
+   * @param {Object} options - actor and reason
+   */
+  async pinVersion(version, options = {}) {
+    const pinned = await riskModelRegistry.activate(MODEL_NAME, version, { ...options, pin: true });
+    await this.getServedModel();
+    return pinned;
+  }
+
+  /**
+   * Let newly trained versions replace the served one again
+   * @param {Object} options - actor and reason
+   */
+  async unpin(options = {}) {
+    return riskModelRegistry.setPinned(MODEL_NAME, false, options);
+  }
+
+  /**
+   * Go back to the version served before the current one (and pin it)
+   * @param {Object} options - actor and reason
+   */
+  async rollback(options = {}) {
+    const restored = await riskModelRegistry.rollback(MODEL_NAME, options);
+    await this.getServedModel();
+    return restored;
   }
 
   /**
@@ -260,10 +631,52 @@ class InjuryRiskModel {
     return {
       isTrained: this.isTrained,
       trainingSamples: this.trainingData.length,
-      featureWeights: this.featureWeights,
-      version: '1.0.0'
+      featureWeights: this.model ? this.model.artifact.weights : this.featureWeights,
+      algorithm: this.model ? this.model.algorithm : 'heuristic',
+      version: this.model ? this.model.version : null,
+      pinned: this.model ? this.model.pinned : false,
+      metrics: this.model ? this.model.metrics : null
     };
   }
 }
 
+// Athlete data helpers
+function calculateAge(year) {
+  const yearMap = {
+    'Freshman': 18,
+    'Sophomore': 19,
+    'Junior': 20,
+    'Senior': 21,
+    'Graduate': 22
+  };
+  return yearMap[year] || 20;
+}
+
+function calculateAverageTrainingLoad(sessions) {
+  if (sessions.length === 0) return 0;
+
+  const totalLoad = sessions.reduce((sum, session) => {
+    return sum + (session.calculateTrainingLoad ? session.calculateTrainingLoad() : 0);
+  }, 0);
+
+  return totalLoad / sessions.length;
+}
+
+function calculateSessionFrequency(sessions, days) {
+  if (sessions.length === 0) return 0;
+
+  const expectedSessions = days / 3; // Assuming 3 sessions per week
+  return Math.min(1, sessions.length / expectedSessions);
+}
+
+function calculateAverageRecoveryTime(sessions) {
+  if (sessions.length === 0) return 168; // Default 1 week
+
+  const totalRecovery = sessions.reduce((sum, session) => {
+    return sum + (session.calculateRecoveryTime ? session.calculateRecoveryTime() : 48);
+  }, 0);
+
+  return totalRecovery / sessions.length;
+}
+
 module.exports = InjuryRiskModel;
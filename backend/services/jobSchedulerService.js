@@ -0,0 +1,408 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ScheduledJob = require('../models/scheduledJobModel');
+const ScheduledJobRun = require('../models/scheduledJobRunModel');
+const { nextRun, parseCron } = require('../utils/cronExpression');
+
+const DEFAULT_TICK_MS = 30 * 1000;
+const MAX_FAILURES_RECORDED = 100;
+
+const schedulerError = (message, status) => Object.assign(new Error(message), { status });
+
+// Cron schedules stored in the database. Each instance polls for due schedules and claims
+// a lock before running one, so replicas never run the same occurrence twice and a restart
+// picks up where the schedule left off instead of resetting its interval.
+class JobSchedulerService {
+  constructor() {
+    this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.handlers = new Map();
+    this.timer = null;
+    this.tickMs = DEFAULT_TICK_MS;
+    this.ticking = false;
+    // Used when MongoDB is not connected (development mock database)
+    this.mockJobs = [];
+    this.mockRuns = [];
+  }
+
+  /**
+   * Register the handler for a named schedule
+   * @param {string} name - Schedule name, e.g. 'fullRefresh'
+   * @param {Function} handler - async (context) => ({ athletesTouched, failures, details })
+   * @param {Object} options - cron, description, timeoutMinutes and runOnCreate (run as soon as the schedule is first stored)
+   */
+  register(name, handler, options = {}) {
+    parseCron(options.cron);
+    this.handlers.set(name, {
+      handler,
+      cron: options.cron,
+      description: options.description,
+      timeoutMinutes: options.timeoutMinutes || 60,
+      runOnCreate: !!options.runOnCreate
+    });
+  }
+
+  /**
+   * Store any registered schedule that is not in the database yet. Stored cron
+   * expressions win over registered defaults so admin changes survive restarts.
+   */
+  async ensureSchedules() {
+    try {
+      const now = new Date();
+
+      for (const [name, definition] of this.handlers) {
+        const existing = await this._findJob(name);
+        if (existing) continue;
+
+        const jobData = {
+          name,
+          description: definition.description,
+          cron: definition.cron,
+          timeoutMinutes: definition.timeoutMinutes,
+          paused: false,
+          nextRunAt: definition.runOnCreate ? now : nextRun(definition.cron, now)
+        };
+
+        if (this._isMock()) {
+          this.mockJobs.push({ ...jobData, createdAt: now, updatedAt: now });
+        } else {
+          await ScheduledJob.updateOne({ name }, { $setOnInsert: jobData }, { upsert: true });
+        }
+      }
+    } catch (error) {
+      console.error('Error storing schedules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start polling for due schedules
+   * @param {Object} options - tickMs
+   */
+  async start(options = {}) {
+    if (this.timer) return;
+
+    this.tickMs = options.tickMs || this.tickMs;
+    await this.ensureSchedules();
+
+    const loop = async () => {
+      await this.tick().catch(error => console.error('Error running scheduler tick:', error));
+      if (this.timer) {
+        this.timer = setTimeout(loop, this.tickMs);
+        this.timer.unref?.();
+      }
+    };
+    this.timer = setTimeout(loop, 0);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop polling; runs already in progress finish on their own
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run every registered schedule that is due and not locked elsewhere
+   * @param {Date} now - Reference time
+   */
+  async tick(now = new Date()) {
+    if (this.ticking) return [];
+    this.ticking = true;
+
+    try {
+      const runs = [];
+      for (const name of this.handlers.keys()) {
+        const job = await this._claim(name, now, { force: false });
+        if (job) {
+          runs.push(await this._execute(job, 'schedule', 'scheduler'));
+        }
+      }
+      return runs;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Run a schedule now, even if paused. Fails if another run holds the lock.
+   * @param {string} name - Schedule name
+   * @param {string} actor - Who asked for the run
+   */
+  async trigger(name, actor) {
+    await this._requireJob(name);
+    if (!this.handlers.has(name)) {
+      throw schedulerError(`No handler is registered for ${name} on this instance`, 409);
+    }
+
+    const job = await this._claim(name, new Date(), { force: true });
+    if (!job) {
+      throw schedulerError(`${name} is already running`, 409);
+    }
+    return this._execute(job, 'manual', actor);
+  }
+
+  /**
+   * Stop a schedule from running until resumed
+   * @param {string} name - Schedule name
+   * @param {Object} context - actor and reason
+   */
+  async pause(name, context = {}) {
+    await this._requireJob(name);
+    return this._updateJob(name, {
+      paused: true,
+      pausedBy: context.actor,
+      pausedAt: new Date(),
+      pauseReason: context.reason
+    });
+  }
+
+  /**
+   * Resume a paused schedule from its next occurrence (missed occurrences are not replayed)
+   * @param {string} name - Schedule name
+   */
+  async resume(name) {
+    const job = await this._requireJob(name);
+    return this._updateJob(name, {
+      paused: false,
+      pausedBy: null,
+      pausedAt: null,
+      pauseReason: null,
+      nextRunAt: nextRun(job.cron)
+    });
+  }
+
+  /**
+   * Change a schedule's cron expression or timeout
+   * @param {string} name - Schedule name
+   * @param {Object} changes - cron and/or timeoutMinutes
+   */
+  async updateSchedule(name, changes = {}) {
+    await this._requireJob(name);
+    const update = {};
+
+    if (changes.cron !== undefined) {
+      update.cron = String(changes.cron).trim();
+      update.nextRunAt = nextRun(update.cron);
+    }
+    if (changes.timeoutMinutes !== undefined) {
+      const timeoutMinutes = Number(changes.timeoutMinutes);
+      if (!(timeoutMinutes > 0)) {
+        throw schedulerError('Timeout must be a positive number of minutes', 400);
+      }
+      update.timeoutMinutes = timeoutMinutes;
+    }
+    return this._updateJob(name, update);
+  }
+
+  /**
+   * All stored schedules, with whether this instance can run them
+   */
+  async listSchedules() {
+    await this.ensureSchedules();
+    const jobs = this._isMock()
+      ? this.mockJobs.map(job => ({ ...job }))
+      : await ScheduledJob.find({}).sort({ name: 1 }).lean();
+
+    return jobs.map(job => ({
+      ...job,
+      running: !!(job.lock?.expiresAt && new Date(job.lock.expiresAt) > new Date()),
+      registered: this.handlers.has(job.name)
+    }));
+  }
+
+  /**
+   * Run history, newest first
+   * @param {Object} filters - jobName, status and limit
+   */
+  async getRuns(filters = {}) {
+    const limit = Math.min(filters.limit || 50, 500);
+
+    if (this._isMock()) {
+      return this.mockRuns
+        .filter(run => (!filters.jobName || run.jobName === filters.jobName) && (!filters.status || run.status === filters.status))
+        .sort((a, b) => b.startedAt - a.startedAt)
+        .slice(0, limit);
+    }
+
+    const query = {};
+    if (filters.jobName) query.jobName = filters.jobName;
+    if (filters.status) query.status = filters.status;
+    return ScheduledJobRun.find(query).sort({ startedAt: -1 }).limit(limit).lean();
+  }
+
+  /**
+   * When a schedule last finished successfully
+   * @param {string} name - Schedule name
+   */
+  async getLastRunTime(name) {
+    const [run] = (await this.getRuns({ jobName: name, limit: 500 }))
+      .filter(r => r.status === 'completed' || r.status === 'partial');
+    return run ? run.finishedAt : null;
+  }
+
+  // Private helper methods
+  _isMock() {
+    return mongoose.connection.readyState !== 1;
+  }
+
+  async _findJob(name) {
+    return this._isMock()
+      ? this.mockJobs.find(job => job.name === name) || null
+      : ScheduledJob.findOne({ name }).lean();
+  }
+
+  async _requireJob(name) {
+    let job = await this._findJob(name);
+    if (!job && this.handlers.has(name)) {
+      // Registered but the scheduler has not started on any instance yet
+      await this.ensureSchedules();
+      job = await this._findJob(name);
+    }
+    if (!job) {
+      throw schedulerError(`Schedule ${name} not found`, 404);
+    }
+    return job;
+  }
+
+  async _updateJob(name, update) {
+    if (this._isMock()) {
+      const job = this.mockJobs.find(j => j.name === name);
+      Object.assign(job, update, { updatedAt: new Date() });
+      return { ...job };
+    }
+    return ScheduledJob.findOneAndUpdate({ name }, { $set: { ...update, updatedAt: new Date() } }, { new: true }).lean();
+  }
+
+  // Atomically take the lock. Scheduled claims also need the job due and unpaused, and advance nextRunAt.
+  async _claim(name, now, { force }) {
+    const runId = new mongoose.Types.ObjectId().toString();
+    const definition = this.handlers.get(name);
+    const unlocked = job => !job.lock?.expiresAt || new Date(job.lock.expiresAt) <= now;
+    const due = job => !job.paused && job.nextRunAt && new Date(job.nextRunAt) <= now;
+
+    if (this._isMock()) {
+      const job = this.mockJobs.find(j => j.name === name);
+      if (!job || !unlocked(job) || (!force && !due(job))) return null;
+
+      await this._abandonStaleRun(job);
+      job.lock = { owner: this.instanceId, runId, acquiredAt: now, expiresAt: this._lockExpiry(job, now) };
+      if (!force) job.nextRunAt = nextRun(job.cron, now);
+      return { ...job };
+    }
+
+    const stored = await ScheduledJob.findOne({ name }).lean();
+    if (!stored) return null;
+
+    const filter = {
+      name,
+      $or: [{ 'lock.expiresAt': { $exists: false } }, { 'lock.expiresAt': null }, { 'lock.expiresAt': { $lte: now } }]
+    };
+    const update = { lock: { owner: this.instanceId, runId, acquiredAt: now, expiresAt: this._lockExpiry(stored, now) } };
+    if (!force) {
+      Object.assign(filter, { paused: false, nextRunAt: { $lte: now } });
+      update.nextRunAt = nextRun(stored.cron || definition.cron, now);
+    }
+
+    const job = await ScheduledJob.findOneAndUpdate(filter, { $set: update }, { new: true }).lean();
+    if (job) {
+      await this._abandonStaleRun(stored);
+    }
+    return job;
+  }
+
+  _lockExpiry(job, now) {
+    return new Date(now.getTime() + (job.timeoutMinutes || 60) * 60 * 1000);
+  }
+
+  // A run whose lock expired belonged to an instance that died or hung
+  async _abandonStaleRun(job) {
+    if (!job.lock?.runId) return;
+    const update = { status: 'abandoned', finishedAt: new Date(), error: 'Lock expired before the run finished' };
+
+    if (this._isMock()) {
+      const run = this.mockRuns.find(r => r._id === job.lock.runId && r.status === 'running');
+      if (run) Object.assign(run, update);
+      return;
+    }
+    await ScheduledJobRun.updateOne({ _id: job.lock.runId, status: 'running' }, { $set: update });
+  }
+
+  async _execute(job, trigger, actor) {
+    const { handler } = this.handlers.get(job.name);
+    const run = await this._createRun({
+      _id: job.lock.runId,
+      jobName: job.name,
+      trigger,
+      triggeredBy: actor,
+      instanceId: this.instanceId,
+      status: 'running',
+      startedAt: new Date()
+    });
+
+    const outcome = {};
+    try {
+      const result = (await handler({ runId: run._id, jobName: job.name, trigger })) || {};
+      const failures = (result.failures || []).map(failure => ({
+        target: String(failure.target ?? ''),
+        error: String(failure.error ?? '')
+      }));
+
+      Object.assign(outcome, {
+        status: failures.length > 0 ? 'partial' : 'completed',
+        athletesTouched: result.athletesTouched || 0,
+        failures: failures.slice(0, MAX_FAILURES_RECORDED),
+        details: result.details
+      });
+    } catch (error) {
+      console.error(`Error running scheduled job ${job.name}:`, error);
+      Object.assign(outcome, { status: 'failed', error: error.message });
+    }
+
+    outcome.finishedAt = new Date();
+    outcome.durationMs = outcome.finishedAt - run.startedAt;
+    const finished = await this._finishRun(run._id, outcome);
+
+    await this._release(job.name, run._id, {
+      lastRunAt: outcome.finishedAt,
+      lastRunStatus: outcome.status,
+      lastRunId: String(run._id)
+    });
+    return finished;
+  }
+
+  async _createRun(runData) {
+    if (this._isMock()) {
+      this.mockRuns.push({ ...runData, athletesTouched: 0, failures: [] });
+      return { ...runData };
+    }
+    const run = new ScheduledJobRun(runData);
+    await run.save();
+    return run.toObject();
+  }
+
+  async _finishRun(runId, outcome) {
+    if (this._isMock()) {
+      const run = this.mockRuns.find(r => r._id === runId);
+      return Object.assign(run, outcome);
+    }
+    return ScheduledJobRun.findByIdAndUpdate(runId, { $set: outcome }, { new: true }).lean();
+  }
+
+  // Only release a lock this run still owns; an expired lock may have been taken over
+  async _release(name, runId, fields) {
+    if (this._isMock()) {
+      const job = this.mockJobs.find(j => j.name === name);
+      if (job.lock?.runId === String(runId)) delete job.lock;
+      Object.assign(job, fields);
+      return;
+    }
+    await ScheduledJob.updateOne({ name, 'lock.runId': String(runId) }, { $unset: { lock: 1 }, $set: fields });
+  }
+}
+
+module.exports = new JobSchedulerService();
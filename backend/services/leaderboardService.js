@@ -0,0 +1,258 @@
+const { mockDB } = require('../config/database');
+const garScoringService = require('./garScoringService');
+const { extractState, getRegion, REGIONS } = require('../utils/location');
+
+const BOARD_SCOPES = ['national', 'state', 'region', 'recruitingClass', 'position'];
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// Filtered views kept per board before the oldest is dropped
+const MAX_CACHED_VIEWS = 100;
+
+const leaderboardError = (message, status) => Object.assign(new Error(message), { status });
+
+// Higher GAR first, then stars, recruiting rating and name; athlete id settles any remaining tie
+const compareEntries = (a, b) =>
+  b.garScore - a.garScore ||
+  b.stars - a.stars ||
+  b.rating - a.rating ||
+  a.name.localeCompare(b.name) ||
+  a.athleteId.localeCompare(b.athleteId);
+
+class LeaderboardService {
+  constructor() {
+    this.boards = new Map();
+    this.ttl = DEFAULT_TTL_MS;
+    this.version = 0;
+  }
+
+  /**
+   * Load the athletes a sport's board is built from
+   * @param {string} sport - Sport key
+   */
+  async loadAthletes(sport) {
+    return (mockDB.players || []).filter(player => (player.sport || 'football').toLowerCase() === sport);
+  }
+
+  /**
+   * Precompute a sport's board with every athlete's national, state, region, class and position rank
+   * @param {string} sport - Sport key
+   */
+  async build(sport = 'football') {
+    try {
+      const key = sport.toLowerCase();
+      const athletes = await this.loadAthletes(key);
+      const entries = athletes.map(athlete => this._toEntry(athlete, key)).sort(compareEntries);
+
+      // Entries are already in board order, so each scope's rank is a running count
+      const counters = BOARD_SCOPES.reduce((all, scope) => ({ ...all, [scope]: new Map() }), {});
+      entries.forEach(entry => {
+        entry.ranks = {};
+        BOARD_SCOPES.forEach(scope => {
+          const value = scope === 'national' ? 'all' : entry[scope];
+          if (value === undefined || value === null) return;
+          const rank = (counters[scope].get(value) || 0) + 1;
+          counters[scope].set(value, rank);
+          entry.ranks[scope] = rank;
+        });
+      });
+
+      const board = {
+        sport: key,
+        version: ++this.version,
+        builtAt: new Date(),
+        entries,
+        byAthlete: new Map(entries.map(entry => [entry.athleteId, entry])),
+        views: new Map()
+      };
+      this.boards.set(key, board);
+      return board;
+    } catch (error) {
+      console.error('Error building leaderboard:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a sport's board, rebuilding it when missing or older than the TTL
+   * @param {string} sport - Sport key
+   */
+  async getBoard(sport = 'football') {
+    const key = sport.toLowerCase();
+    const board = this.boards.get(key);
+
+    if (board && Date.now() - board.builtAt.getTime() < this.ttl) {
+      return board;
+    }
+    return this.build(key);
+  }
+
+  /**
+   * Page through a board filtered by any combination of state, region, class and position
+   * @param {string} sport - Sport key
+   * @param {Object} filters - state, region, recruitingClass, position, page, limit and boardVersion
+   */
+  async query(sport = 'football', filters = {}) {
+    try {
+      const normalized = this._normalizeFilters(sport, filters);
+      const board = await this.getBoard(sport);
+      const viewKey = JSON.stringify(normalized);
+
+      let view = board.views.get(viewKey);
+      if (!view) {
+        view = board.entries.filter(entry =>
+          Object.entries(normalized).every(([scope, value]) => entry[scope] === value)
+        );
+        if (board.views.size >= MAX_CACHED_VIEWS) {
+          board.views.delete(board.views.keys().next().value);
+        }
+        board.views.set(viewKey, view);
+      }
+
+      const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const pages = Math.max(Math.ceil(view.length / limit), 1);
+      const page = Math.min(Math.max(parseInt(filters.page) || 1, 1), pages);
+      const offset = (page - 1) * limit;
+
+      return {
+        sport: board.sport,
+        filters: normalized,
+        boardVersion: board.version,
+        boardChanged: filters.boardVersion !== undefined && Number(filters.boardVersion) !== board.version,
+        builtAt: board.builtAt,
+        page,
+        limit,
+        pages,
+        total: view.length,
+        athletes: view.slice(offset, offset + limit).map((entry, index) => ({
+          rank: offset + index + 1,
+          ...this._publicEntry(entry)
+        }))
+      };
+    } catch (error) {
+      console.error('Error querying leaderboard:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an athlete's rank in every board scope
+   * @param {string} athleteId - Athlete's ID
+   * @param {string} sport - Sport key
+   */
+  async getAthleteRanks(athleteId, sport = 'football') {
+    try {
+      const board = await this.getBoard(sport);
+      const entry = board.byAthlete.get(String(athleteId));
+
+      if (!entry) {
+        throw leaderboardError('Athlete is not on this leaderboard', 404);
+      }
+
+      return {
+        sport: board.sport,
+        boardVersion: board.version,
+        ...this._publicEntry(entry)
+      };
+    } catch (error) {
+      console.error('Error fetching leaderboard ranks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the filter values present on a board, with athlete counts
+   * @param {string} sport - Sport key
+   */
+  async getScopes(sport = 'football') {
+    const board = await this.getBoard(sport);
+    const count = (scope) => board.entries.reduce((counts, entry) => {
+      if (entry[scope] !== undefined) counts[entry[scope]] = (counts[entry[scope]] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      sport: board.sport,
+      boardVersion: board.version,
+      total: board.entries.length,
+      regions: Object.keys(REGIONS),
+      states: count('state'),
+      recruitingClasses: count('recruitingClass'),
+      positions: count('position')
+    };
+  }
+
+  /**
+   * Drop a precomputed board so the next query rebuilds it
+   * @param {string} sport - Sport key; omit to drop every board
+   */
+  invalidate(sport) {
+    if (sport) {
+      this.boards.delete(sport.toLowerCase());
+    } else {
+      this.boards.clear();
+    }
+  }
+
+  // Private helper methods
+  _toEntry(athlete, sport) {
+    const state = extractState(athlete.recruitingData?.location || athlete.location);
+    const recruitingClass = athlete.recruitingData?.recruitingClass || athlete.recruitingClass;
+    const garScore = typeof athlete.garScore === 'number'
+      ? athlete.garScore
+      : garScoringService.score(athlete, { sport }).total;
+
+    return {
+      athleteId: String(athlete._id || athlete.id),
+      name: athlete.name || '',
+      position: garScoringService.resolvePosition(sport, athlete.position),
+      school: athlete.school,
+      location: athlete.recruitingData?.location || athlete.location,
+      state,
+      region: getRegion(state),
+      recruitingClass: recruitingClass ? Number(recruitingClass) : undefined,
+      garScore,
+      garBreakdown: athlete.garBreakdown,
+      garProfileVersion: athlete.garProfileVersion,
+      stars: athlete.stars || 0,
+      rating: athlete.recruitingData?.rating || 0
+    };
+  }
+
+  _publicEntry(entry) {
+    const { rating, ...rest } = entry;
+    return { ...rest, ranks: { ...entry.ranks } };
+  }
+
+  _normalizeFilters(sport, filters) {
+    const normalized = {};
+
+    if (filters.state) {
+      const state = extractState(filters.state);
+      if (!state) throw leaderboardError(`Unknown state: ${filters.state}`, 400);
+      normalized.state = state;
+    }
+    if (filters.region) {
+      const region = String(filters.region).toLowerCase();
+      if (!REGIONS[region]) {
+        throw leaderboardError(`Region must be one of ${Object.keys(REGIONS).join(', ')}`, 400);
+      }
+      normalized.region = region;
+    }
+    if (filters.recruitingClass) {
+      const recruitingClass = parseInt(filters.recruitingClass);
+      if (isNaN(recruitingClass)) throw leaderboardError('Recruiting class must be a year', 400);
+      normalized.recruitingClass = recruitingClass;
+    }
+    if (filters.position) {
+      if (!garScoringService.isValidPosition(sport, filters.position)) {
+        throw leaderboardError(`Unknown ${sport} position: ${filters.position}`, 400);
+      }
+      normalized.position = garScoringService.resolvePosition(sport, filters.position);
+    }
+
+    return normalized;
+  }
+}
+
+module.exports = new LeaderboardService();
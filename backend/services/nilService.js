@@ -0,0 +1,435 @@
+const fs = require('fs');
+const path = require('path');
+const NILDeal = require('../models/nilDealModel');
+
+const DEFAULT_RULE_PACK_DIR = path.join(__dirname, '../data/nilRulePacks');
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Window before a disclosure deadline in which an open deal is flagged as due
+const DISCLOSURE_DUE_SOON_DAYS = 3;
+// Besides the athlete, these roles may read and change an athlete's deals
+const COMPLIANCE_ROLES = ['admin', 'compliance_officer'];
+
+const nilError = (message, status) => Object.assign(new Error(message), { status });
+
+class NILService {
+  constructor(rulePackDir = DEFAULT_RULE_PACK_DIR) {
+    this.rulePackDir = rulePackDir;
+    this.rulePacks = new Map();
+    this.loaded = false;
+  }
+
+  /**
+   * Load every rule pack JSON file from a directory
+   * @param {string} rulePackDir - Directory of rule pack files
+   */
+  loadRulePacks(rulePackDir = this.rulePackDir) {
+    this.rulePacks.clear();
+
+    fs.readdirSync(rulePackDir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => {
+        this.registerRulePack(JSON.parse(fs.readFileSync(path.join(rulePackDir, file), 'utf8')));
+      });
+
+    this.rulePackDir = rulePackDir;
+    this.loaded = true;
+    return this.getRulePacks();
+  }
+
+  /**
+   * Register a rule pack. Packs are declarative, and may add an evaluate(deal, now) hook returning extra findings.
+   * @param {Object} pack - Rule pack with id, scope ('global', 'state' or 'institution') and appliesTo
+   */
+  registerRulePack(pack) {
+    if (!pack.id || !['global', 'state', 'institution'].includes(pack.scope)) {
+      throw new Error(`Invalid NIL rule pack: ${pack.id || 'missing id'}`);
+    }
+    if (pack.evaluate && typeof pack.evaluate !== 'function') {
+      throw new Error(`NIL rule pack ${pack.id} has a non-function evaluate hook`);
+    }
+
+    this.rulePacks.set(pack.id, {
+      appliesTo: [],
+      prohibitedCategories: [],
+      prohibitedCounterpartyTypes: [],
+      disclosureThreshold: 0,
+      ...pack
+    });
+  }
+
+  /**
+   * List registered rule packs
+   */
+  getRulePacks() {
+    this._ensureLoaded();
+    return Array.from(this.rulePacks.values()).map(({ evaluate, ...pack }) => ({
+      ...pack,
+      hasCustomChecks: !!evaluate
+    }));
+  }
+
+  /**
+   * Get the rule packs that govern a deal's state and institution
+   * @param {Object} deal - NIL deal
+   */
+  getApplicablePacks(deal) {
+    this._ensureLoaded();
+    const state = (deal.state || '').toUpperCase();
+    const institution = (deal.institution || '').toLowerCase();
+
+    return Array.from(this.rulePacks.values()).filter(pack => {
+      if (pack.scope === 'global') return true;
+      if (pack.scope === 'state') return pack.appliesTo.map(s => s.toUpperCase()).includes(state);
+      return pack.appliesTo.map(i => i.toLowerCase()).includes(institution);
+    });
+  }
+
+  /**
+   * Get the earliest disclosure deadline any applicable pack imposes
+   * @param {Object} deal - NIL deal
+   */
+  calculateDisclosureDeadline(deal) {
+    const windows = this.getApplicablePacks(deal)
+      .filter(pack => typeof pack.disclosureWindowDays === 'number' && deal.totalValue >= pack.disclosureThreshold)
+      .map(pack => pack.disclosureWindowDays);
+
+    if (windows.length === 0) return null;
+    return new Date(this._parseDate(deal.signedDate, 'signedDate').getTime() + Math.min(...windows) * DAY_MS);
+  }
+
+  /**
+   * Evaluate a deal against every applicable rule pack
+   * @param {Object} deal - NIL deal
+   * @param {Date} now - Evaluation time
+   */
+  evaluateDeal(deal, now = new Date()) {
+    const findings = [];
+    const signedDate = this._parseDate(deal.signedDate, 'signedDate');
+    const disclosedAt = deal.disclosure?.disclosedAt ? this._parseDate(deal.disclosure.disclosedAt, 'disclosure.disclosedAt') : null;
+    const packs = this.getApplicablePacks(deal);
+
+    for (const pack of packs) {
+      if (pack.prohibitedCategories.includes(deal.category)) {
+        findings.push({
+          packId: pack.id,
+          rule: 'prohibited_category',
+          severity: 'critical',
+          message: `${deal.category.replace(/_/g, ' ')} sponsorships are prohibited under ${pack.name}`,
+          citation: pack.citation
+        });
+      }
+
+      if (pack.prohibitedCounterpartyTypes.includes(deal.counterparty?.type)) {
+        findings.push({
+          packId: pack.id,
+          rule: 'prohibited_counterparty',
+          severity: 'critical',
+          message: `Deals with a ${deal.counterparty.type} are prohibited under ${pack.name}`,
+          citation: pack.citation
+        });
+      }
+
+      if (deal.disclosure?.required !== false && typeof pack.disclosureWindowDays === 'number' &&
+          deal.totalValue >= pack.disclosureThreshold) {
+        const deadline = new Date(signedDate.getTime() + pack.disclosureWindowDays * DAY_MS);
+
+        if (disclosedAt ? disclosedAt > deadline : now > deadline) {
+          findings.push({
+            packId: pack.id,
+            rule: 'disclosure_missed',
+            severity: 'critical',
+            message: `Disclosure was due within ${pack.disclosureWindowDays} days of signing (by ${deadline.toISOString().slice(0, 10)})`,
+            citation: pack.citation
+          });
+        } else if (!disclosedAt && deadline - now <= DISCLOSURE_DUE_SOON_DAYS * DAY_MS) {
+          findings.push({
+            packId: pack.id,
+            rule: 'disclosure_due',
+            severity: 'warning',
+            message: `Disclosure due by ${deadline.toISOString().slice(0, 10)}`,
+            citation: pack.citation
+          });
+        }
+      }
+
+      // Compensation without deliverables looks like pay-for-play or a recruiting inducement
+      if (pack.requiresDeliverables && (!deal.deliverables || deal.deliverables.length === 0) && deal.totalValue > 0) {
+        findings.push({
+          packId: pack.id,
+          rule: 'no_deliverables',
+          severity: 'warning',
+          message: 'Compensation must be tied to deliverables the athlete provides',
+          citation: pack.citation
+        });
+      }
+
+      if (pack.evaluate) {
+        (pack.evaluate(deal, now) || []).forEach(finding => findings.push({
+          packId: pack.id,
+          rule: 'custom',
+          severity: 'warning',
+          citation: pack.citation,
+          ...finding
+        }));
+      }
+    }
+
+    (deal.paymentSchedule || [])
+      .filter(payment => payment.status === 'scheduled' && new Date(payment.dueDate) < now)
+      .forEach(payment => findings.push({
+        packId: null,
+        rule: 'payment_overdue',
+        severity: 'info',
+        message: `Payment of ${payment.amount} due ${new Date(payment.dueDate).toISOString().slice(0, 10)} has not been received`
+      }));
+
+    return {
+      findings,
+      rulePackVersions: packs.reduce((acc, pack) => {
+        acc[pack.id] = pack.version;
+        return acc;
+      }, {})
+    };
+  }
+
+  /**
+   * Record a new NIL deal and evaluate it against the applicable rule packs
+   * @param {string} athleteId - Athlete's ID
+   * @param {Object} dealData - Deal details
+   */
+  async createDeal(athleteId, dealData) {
+    try {
+      // Rule findings are computed, and the athlete comes from the path, not the body
+      const { ruleFindings, rulePackVersions, ...fields } = dealData;
+      const deal = new NILDeal({ ...fields, athleteId });
+
+      if (!deal.disclosure.deadline) {
+        deal.disclosure.deadline = this.calculateDisclosureDeadline(deal);
+      }
+      this._applyEvaluation(deal);
+
+      await deal.save();
+
+      return {
+        message: 'NIL deal recorded successfully',
+        deal,
+        findings: deal.ruleFindings
+      };
+    } catch (error) {
+      console.error('Error creating NIL deal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a deal and re-run rule pack evaluation
+   * @param {string} dealId - Deal ID
+   * @param {Object} updates - Fields to update
+   * @param {Object} user - Acting user; must be the athlete or compliance staff
+   */
+  async updateDeal(dealId, updates, user) {
+    try {
+      const deal = await this._findDeal(dealId, user);
+      const { athleteId, ruleFindings, rulePackVersions, ...allowed } = updates;
+
+      deal.set(allowed);
+      if (!updates.disclosure?.deadline && (updates.signedDate || updates.state || updates.institution || updates.totalValue)) {
+        deal.disclosure.deadline = this.calculateDisclosureDeadline(deal);
+      }
+      this._applyEvaluation(deal);
+
+      await deal.save();
+      return { message: 'NIL deal updated successfully', deal, findings: deal.ruleFindings };
+    } catch (error) {
+      console.error('Error updating NIL deal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a deal was disclosed to the institution
+   * @param {string} dealId - Deal ID
+   * @param {Object} disclosure - disclosedAt and disclosedTo
+   * @param {Object} user - Acting user; must be the athlete or compliance staff
+   */
+  async recordDisclosure(dealId, disclosure, user) {
+    try {
+      const deal = await this._findDeal(dealId, user);
+      deal.disclosure.disclosedAt = disclosure.disclosedAt ? this._parseDate(disclosure.disclosedAt, 'disclosedAt') : new Date();
+      deal.disclosure.disclosedTo = disclosure.disclosedTo;
+      this._applyEvaluation(deal);
+
+      await deal.save();
+      return { message: 'Disclosure recorded successfully', deal, findings: deal.ruleFindings };
+    } catch (error) {
+      console.error('Error recording NIL disclosure:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a scheduled payment as received
+   * @param {string} dealId - Deal ID
+   * @param {string} paymentId - Payment schedule entry ID
+   * @param {Date|string} paidDate - Date received (default now)
+   * @param {Object} user - Acting user; must be the athlete or compliance staff
+   */
+  async recordPayment(dealId, paymentId, paidDate, user) {
+    try {
+      const deal = await this._findDeal(dealId, user);
+      const payment = deal.paymentSchedule.id(paymentId);
+      if (!payment) {
+        throw nilError('Payment not found', 404);
+      }
+
+      payment.status = 'paid';
+      payment.paidDate = paidDate ? this._parseDate(paidDate, 'paidDate') : new Date();
+      this._applyEvaluation(deal);
+
+      await deal.save();
+      return { message: 'Payment recorded successfully', deal, amountPaid: deal.getAmountPaid() };
+    } catch (error) {
+      console.error('Error recording NIL payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a deliverable as completed
+   * @param {string} dealId - Deal ID
+   * @param {string} deliverableId - Deliverable entry ID
+   * @param {Object} user - Acting user; must be the athlete or compliance staff
+   */
+  async completeDeliverable(dealId, deliverableId, user) {
+    try {
+      const deal = await this._findDeal(dealId, user);
+      const deliverable = deal.deliverables.id(deliverableId);
+      if (!deliverable) {
+        throw nilError('Deliverable not found', 404);
+      }
+
+      deliverable.completed = true;
+      deliverable.completedAt = new Date();
+
+      await deal.save();
+      return { message: 'Deliverable completed', deal };
+    } catch (error) {
+      console.error('Error completing NIL deliverable:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an athlete's NIL deals, re-evaluated as of now
+   * @param {string} athleteId - Athlete's ID
+   * @param {Object} filters - Optional status filter
+   */
+  async getAthleteDeals(athleteId, filters = {}) {
+    try {
+      const query = { athleteId };
+      if (filters.status) query.status = filters.status;
+
+      const deals = await NILDeal.find(query).sort({ signedDate: -1 });
+      await Promise.all(deals.map(deal => this._refreshEvaluation(deal)));
+      return deals;
+    } catch (error) {
+      console.error('Error fetching NIL deals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Summarize NIL activity and open rule findings for the eligibility report
+   * @param {string} athleteId - Athlete's ID
+   * @param {Date} now - Evaluation time
+   */
+  async getNILSummary(athleteId, now = new Date()) {
+    try {
+      const deals = await NILDeal.find({ athleteId, status: { $ne: 'draft' } });
+      await Promise.all(deals.map(deal => this._refreshEvaluation(deal, now)));
+
+      const findings = deals.flatMap(deal => deal.ruleFindings.map(finding => ({
+        dealId: deal._id,
+        counterparty: deal.counterparty.name,
+        packId: finding.packId,
+        rule: finding.rule,
+        severity: finding.severity,
+        message: finding.message,
+        citation: finding.citation
+      })));
+
+      return {
+        totalDeals: deals.length,
+        activeDeals: deals.filter(deal => deal.status === 'active').length,
+        totalValue: deals.reduce((sum, deal) => sum + deal.totalValue, 0),
+        amountPaid: deals.reduce((sum, deal) => sum + deal.getAmountPaid(), 0),
+        undisclosedDeals: deals.filter(deal => deal.disclosure.required && !deal.isDisclosed()).length,
+        upcomingDisclosures: deals
+          .filter(deal => !deal.isDisclosed() && deal.disclosure.deadline && deal.disclosure.deadline >= now)
+          .map(deal => ({ dealId: deal._id, counterparty: deal.counterparty.name, deadline: deal.disclosure.deadline })),
+        findings,
+        criticalFindings: findings.filter(finding => finding.severity === 'critical').length
+      };
+    } catch (error) {
+      console.error('Error building NIL summary:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a user may read and change an athlete's deals
+   * @param {string} athleteId - Athlete's ID
+   * @param {Object} user - Authenticated user (id and role)
+   */
+  canAccessAthlete(athleteId, user) {
+    return Boolean(user) && (String(user.id) === String(athleteId) || COMPLIANCE_ROLES.includes(user.role));
+  }
+
+  // Private helper methods
+  _ensureLoaded() {
+    if (!this.loaded) {
+      this.loadRulePacks();
+    }
+  }
+
+  // Date fields arrive as request strings; an unparseable one is the caller's mistake, not a 500
+  _parseDate(value, field) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (value === undefined || value === null || Number.isNaN(date.getTime())) {
+      throw nilError(`${field} must be a valid date`, 400);
+    }
+    return date;
+  }
+
+  async _findDeal(dealId, user) {
+    const deal = await NILDeal.findById(dealId);
+    if (!deal) {
+      throw nilError('NIL deal not found', 404);
+    }
+    if (!this.canAccessAthlete(deal.athleteId, user)) {
+      throw nilError('NIL deals are restricted to the athlete and compliance staff', 403);
+    }
+    return deal;
+  }
+
+  _applyEvaluation(deal, now = new Date()) {
+    const { findings, rulePackVersions } = this.evaluateDeal(deal.toObject(), now);
+    deal.ruleFindings = findings;
+    deal.rulePackVersions = rulePackVersions;
+    deal.lastEvaluatedAt = now;
+  }
+
+  // Time-dependent findings (missed disclosure, overdue payments) change without edits
+  async _refreshEvaluation(deal, now = new Date()) {
+    const before = JSON.stringify(deal.ruleFindings.map(f => [f.packId, f.rule, f.message]));
+    this._applyEvaluation(deal, now);
+    const after = JSON.stringify(deal.ruleFindings.map(f => [f.packId, f.rule, f.message]));
+
+    if (before !== after) {
+      await deal.save();
+    }
+  }
+}
+
+module.exports = new NILService();
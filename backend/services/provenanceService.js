@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../data/sourcePriority.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STRATEGIES = ['priority', 'latest', 'max', 'min'];
+const EDITABLE_FIELDS = ['school', 'position', 'height', 'weight'];
+const EDITABLE_GROUPS = ['stats', 'recruitingData', 'rankings'];
+
+const provenanceError = (message, status) => Object.assign(new Error(message), { status });
+
+const getPath = (record, fieldPath) => fieldPath.split('.').reduce((value, key) => value?.[key], record);
+
+const setPath = (record, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, record);
+  target[last] = value;
+};
+
+// Tracks where every athlete field value came from and picks a winner when sources disagree.
+// Provenance lives on the record as { [fieldPath]: { value, rule, selected, candidates } }.
+class ProvenanceService {
+  constructor(rulesPath = DEFAULT_RULES_PATH) {
+    this.rulesPath = rulesPath;
+    this.rules = null;
+  }
+
+  /**
+   * Load source priorities, recency decay and field rules
+   * @param {string} rulesPath - Path to the source priority rules file
+   */
+  loadRules(rulesPath = this.rulesPath) {
+    const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+
+    Object.entries({ default: rules.defaultRule, ...rules.fields }).forEach(([field, rule]) => {
+      if (!STRATEGIES.includes(rule.strategy)) {
+        throw new Error(`Unknown provenance strategy for ${field}: ${rule.strategy}`);
+      }
+    });
+    if (!(rules.recency?.halfLifeDays > 0)) {
+      throw new Error('Provenance recency half-life must be positive');
+    }
+
+    this.rules = rules;
+    this.rulesPath = rulesPath;
+    return rules;
+  }
+
+  /**
+   * Get the loaded rules
+   */
+  getRules() {
+    return this.rules || this.loadRules();
+  }
+
+  /**
+   * Priority and label for a source
+   * @param {string} source - Source key, e.g. 'maxpreps' or 'manual'
+   */
+  getSourcePolicy(source) {
+    const rules = this.getRules();
+    return { source, ...(rules.sources[source] || rules.defaultSource) };
+  }
+
+  /**
+   * Rule for a field path; 'stats.*' style wildcards cover a whole group
+   * @param {string} fieldPath - Dotted field path, e.g. 'stats.fortyYardDash'
+   */
+  getFieldRule(fieldPath) {
+    const rules = this.getRules();
+    const wildcard = `${fieldPath.split('.').slice(0, -1).join('.')}.*`;
+    return rules.fields[fieldPath] || rules.fields[wildcard] || rules.defaultRule;
+  }
+
+  /**
+   * Build an observation of one value from one source
+   * @param {*} value - Observed value
+   * @param {Object} meta - source, url, scrapedAt, confidence ('high' | 'medium' | 'low' | 0-1), recordedBy, note
+   */
+  createObservation(value, meta = {}) {
+    const levels = this.getRules().confidenceLevels;
+    const confidence = typeof meta.confidence === 'number'
+      ? Math.min(Math.max(meta.confidence, 0), 1)
+      : levels[meta.confidence] ?? levels.medium;
+
+    const observation = {
+      value,
+      source: meta.source || 'unknown',
+      url: meta.url,
+      scrapedAt: meta.scrapedAt ? new Date(meta.scrapedAt) : new Date(),
+      confidence
+    };
+    if (meta.recordedBy) observation.recordedBy = meta.recordedBy;
+    if (meta.note) observation.note = meta.note;
+    return observation;
+  }
+
+  /**
+   * Add an observation for a field and re-resolve it
+   * @param {Object} provenance - Provenance map to update
+   * @param {string} fieldPath - Dotted field path
+   * @param {Object} observation - Result of createObservation()
+   */
+  addObservation(provenance, fieldPath, observation) {
+    const existing = provenance[fieldPath]?.candidates || [];
+    provenance[fieldPath] = this.resolve(fieldPath, [...existing, observation]);
+    return provenance[fieldPath];
+  }
+
+  /**
+   * Record a group of values from one source (e.g. a stats object)
+   * @param {Object} provenance - Provenance map to update
+   * @param {string} prefix - Field group, e.g. 'stats'; empty for top-level fields
+   * @param {Object} values - Field values keyed by name
+   * @param {Object} meta - Observation metadata shared by the values
+   */
+  observeFields(provenance, prefix, values, meta) {
+    Object.entries(values || {}).forEach(([field, value]) => {
+      if (!this._isObservable(value)) return;
+      const fieldPath = prefix ? `${prefix}.${field}` : field;
+      this.addObservation(provenance, fieldPath, this.createObservation(value, meta));
+    });
+    return provenance;
+  }
+
+  /**
+   * Choose the value for a field from its candidates
+   * @param {string} fieldPath - Dotted field path
+   * @param {Array} observations - Candidate observations
+   * @param {Date} now - Reference time for recency decay
+   */
+  resolve(fieldPath, observations, now = new Date()) {
+    const rule = this.getFieldRule(fieldPath);
+    const candidates = this._dedupe(observations);
+    const ranked = this.rank(fieldPath, candidates, now);
+    const selected = ranked[0];
+
+    return {
+      value: selected.value,
+      rule: rule.strategy,
+      selected: candidates.find(c => this._sameObservation(c, selected)),
+      candidates
+    };
+  }
+
+  /**
+   * Order candidates best first under the field's rule, with their scores
+   * @param {string} fieldPath - Dotted field path
+   * @param {Array} candidates - Candidate observations
+   * @param {Date} now - Reference time for recency decay
+   */
+  rank(fieldPath, candidates, now = new Date()) {
+    const { recency } = this.getRules();
+    const { strategy } = this.getFieldRule(fieldPath);
+
+    const scored = candidates.map(candidate => {
+      const ageDays = Math.max(0, (now - new Date(candidate.scrapedAt)) / DAY_MS);
+      const policy = this.getSourcePolicy(candidate.source);
+      const recencyWeight = Math.pow(0.5, ageDays / recency.halfLifeDays);
+      return {
+        ...candidate,
+        sourceLabel: policy.label,
+        priority: policy.priority,
+        ageDays: Math.round(ageDays),
+        stale: ageDays > recency.maxAgeDays,
+        score: Math.round(policy.priority * candidate.confidence * recencyWeight * 10000) / 10000
+      };
+    });
+
+    const byStrategy = {
+      priority: () => 0,
+      latest: (a, b) => new Date(b.scrapedAt) - new Date(a.scrapedAt),
+      max: (a, b) => this._numeric(b.value) - this._numeric(a.value),
+      min: (a, b) => this._numeric(a.value) - this._numeric(b.value)
+    }[strategy];
+
+    // Stale values only win when nothing fresher exists; ties fall back to score, then recency
+    return scored.sort((a, b) =>
+      (a.stale - b.stale) ||
+      byStrategy(a, b) ||
+      (b.score - a.score) ||
+      (new Date(b.scrapedAt) - new Date(a.scrapedAt))
+    );
+  }
+
+  /**
+   * Combine two provenance maps, re-resolving fields present in both
+   * @param {Object} existing - Provenance of the stored record
+   * @param {Object} incoming - Provenance of the new record
+   */
+  mergeProvenance(existing, incoming) {
+    const merged = { ...(existing || {}) };
+    Object.entries(incoming || {}).forEach(([fieldPath, entry]) => {
+      merged[fieldPath] = merged[fieldPath]
+        ? this.resolve(fieldPath, [...merged[fieldPath].candidates, ...entry.candidates])
+        : entry;
+    });
+    return merged;
+  }
+
+  /**
+   * Write every resolved value onto the record
+   * @param {Object} record - Athlete record with a provenance map
+   */
+  applyToRecord(record) {
+    Object.entries(record.provenance || {}).forEach(([fieldPath, entry]) => {
+      setPath(record, fieldPath, entry.value);
+    });
+    return record;
+  }
+
+  /**
+   * Explain why a field shows its current value
+   * @param {Object} record - Athlete record
+   * @param {string} fieldPath - Dotted field path
+   */
+  explain(record, fieldPath) {
+    const entry = record.provenance?.[fieldPath];
+    if (!entry) {
+      throw provenanceError(`No provenance recorded for ${fieldPath}`, 404);
+    }
+
+    const ranked = this.rank(fieldPath, entry.candidates);
+    const selected = ranked.find(candidate => this._sameObservation(candidate, entry.selected)) || ranked[0];
+    const alternatives = ranked.filter(candidate => candidate !== selected);
+    return {
+      field: fieldPath,
+      value: getPath(record, fieldPath),
+      rule: entry.rule,
+      reason: this._reason(entry.rule, selected, alternatives),
+      selected,
+      alternatives,
+      rulesVersion: this.getRules().version
+    };
+  }
+
+  /**
+   * Where each field's current value came from
+   * @param {Object} record - Athlete record
+   */
+  summarize(record) {
+    return Object.entries(record.provenance || {}).reduce((summary, [fieldPath, entry]) => {
+      summary[fieldPath] = {
+        value: entry.value,
+        source: entry.selected.source,
+        url: entry.selected.url,
+        scrapedAt: entry.selected.scrapedAt,
+        candidates: entry.candidates.length
+      };
+      return summary;
+    }, {});
+  }
+
+  /**
+   * Reject manual values for fields that are not tracked or not scalar
+   * @param {string} fieldPath - Dotted field path
+   * @param {*} value - Value being entered
+   */
+  assertEditableField(fieldPath, value) {
+    const [group, field, ...rest] = String(fieldPath || '').split('.');
+    const editable = field
+      ? EDITABLE_GROUPS.includes(group) && /^[A-Za-z]\w*$/.test(field) && rest.length === 0
+      : EDITABLE_FIELDS.includes(group);
+
+    if (!editable) {
+      throw provenanceError(`${fieldPath} cannot be entered manually`, 400);
+    }
+    if (!this._isObservable(value)) {
+      throw provenanceError('Value must be a positive number, text or true/false', 400);
+    }
+  }
+
+  // Private helper methods
+  _isObservable(value) {
+    if (value === undefined || value === null || value === '') return false;
+    if (typeof value === 'number') return Number.isFinite(value) && value > 0;
+    return typeof value === 'string' || typeof value === 'boolean';
+  }
+
+  _numeric(value) {
+    const parsed = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+    return Number.isFinite(parsed) ? parsed : 0;
+  }
+
+  _sameObservation(a, b) {
+    return a.source === b.source && (a.url || '') === (b.url || '') &&
+      new Date(a.scrapedAt).getTime() === new Date(b.scrapedAt).getTime();
+  }
+
+  // Keep the newest observation per source and URL, capped to the most recent few
+  _dedupe(observations) {
+    const latest = new Map();
+    observations.forEach(observation => {
+      const key = `${observation.source}|${observation.url || ''}`;
+      const current = latest.get(key);
+      if (!current || new Date(observation.scrapedAt) >= new Date(current.scrapedAt)) {
+        latest.set(key, observation);
+      }
+    });
+
+    return Array.from(latest.values())
+      .sort((a, b) => new Date(b.scrapedAt) - new Date(a.scrapedAt))
+      .slice(0, this.getRules().maxCandidatesPerField);
+  }
+
+  _reason(rule, selected, alternatives) {
+    const from = `${selected.sourceLabel}${selected.recordedBy ? ` (${selected.recordedBy})` : ''}`;
+    if (alternatives.length === 0) {
+      return `${from} is the only source for this field`;
+    }
+    if (selected.stale) {
+      return `${from} is shown because every source is older than the recency limit`;
+    }
+
+    const reasons = {
+      priority: `${from} has the highest score after source priority, confidence and recency weighting`,
+      latest: `${from} has the most recent value and this field uses the latest observation`,
+      max: `${from} reported the highest value and this field keeps the maximum`,
+      min: `${from} reported the lowest value and this field keeps the minimum`
+    };
+    return reasons[rule];
+  }
+}
+
+module.exports = new ProvenanceService();
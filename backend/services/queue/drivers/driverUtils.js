@@ -0,0 +1,19 @@
+// Shared by the queue drivers
+
+const JOB_STATUSES = ['waiting', 'active', 'completed', 'dead', 'cancelled'];
+const TERMINAL_STATUSES = ['completed', 'dead', 'cancelled'];
+
+// Waiting jobs whose delay has passed, and active jobs whose visibility timeout has expired
+const isReady = (job, now) =>
+  (job.status === 'waiting' && job.availableAt <= now) ||
+  (job.status === 'active' && job.leaseExpiresAt <= now);
+
+// Highest priority first, then oldest
+const compareReady = (a, b) => (b.priority - a.priority) || (a.createdAt - b.createdAt);
+
+module.exports = {
+  JOB_STATUSES,
+  TERMINAL_STATUSES,
+  isReady,
+  compareReady
+};
@@ -0,0 +1,139 @@
+const { TERMINAL_STATUSES, isReady, compareReady } = require('./driverUtils');
+
+// In-process queue storage. Jobs do not survive a restart, so this is meant for tests and
+// for development without a database; the Mongo driver also falls back to it while disconnected.
+class MemoryQueueDriver {
+  constructor() {
+    this.name = 'memory';
+    this.jobs = new Map();
+    // queue|idempotencyKey -> job id, held while the job is waiting or active
+    this.keys = new Map();
+  }
+
+  /**
+   * Store a new job unless a live job already holds its idempotency key
+   * @param {Object} job - Job built by JobQueue.enqueue()
+   */
+  async insert(job) {
+    if (job.idempotencyKey) {
+      const existingId = this.keys.get(this._key(job.queue, job.idempotencyKey));
+      if (existingId) {
+        return { job: this._copy(this.jobs.get(existingId)), created: false };
+      }
+      this.keys.set(this._key(job.queue, job.idempotencyKey), job.id);
+    }
+
+    this.jobs.set(job.id, this._copy(job));
+    return { job: this._copy(job), created: true };
+  }
+
+  /**
+   * Lease the next runnable job: highest priority first, then oldest
+   * @param {string} queue - Queue name
+   * @param {Object} lease - now, leaseMs, token, owner
+   */
+  async reserve(queue, { now, leaseMs, token, owner }) {
+    let next = null;
+    for (const job of this.jobs.values()) {
+      if (job.queue === queue && isReady(job, now) && (!next || compareReady(job, next) < 0)) {
+        next = job;
+      }
+    }
+    if (!next) return null;
+
+    Object.assign(next, {
+      status: 'active',
+      attempts: next.attempts + 1,
+      leaseToken: token,
+      leaseExpiresAt: new Date(now.getTime() + leaseMs),
+      reservedBy: owner,
+      startedAt: now,
+      updatedAt: now
+    });
+    return this._copy(next);
+  }
+
+  /**
+   * Apply changes if the job is in one of the expected states and the lease token matches
+   * @param {string} id - Job id
+   * @param {Object} changes - Fields to set
+   * @param {Object} guard - from (allowed current statuses), token (lease token)
+   */
+  async update(id, changes, { from, token } = {}) {
+    const job = this.jobs.get(id);
+    if (!job || (from && !from.includes(job.status)) || (token && job.leaseToken !== token)) {
+      return null;
+    }
+
+    Object.assign(job, changes, { updatedAt: new Date() });
+    if (TERMINAL_STATUSES.includes(job.status) && job.idempotencyKey &&
+      this.keys.get(this._key(job.queue, job.idempotencyKey)) === job.id) {
+      this.keys.delete(this._key(job.queue, job.idempotencyKey));
+    }
+    return this._copy(job);
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   */
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? this._copy(job) : null;
+  }
+
+  /**
+   * Jobs in a queue, newest first
+   * @param {string} queue - Queue name
+   * @param {Object} filter - status, limit
+   */
+  async list(queue, { status, limit = 100 } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.queue === queue && (!status || job.status === status))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map(job => this._copy(job));
+  }
+
+  /**
+   * Number of jobs in each status
+   * @param {string} queue - Queue name
+   */
+  async count(queue) {
+    const counts = { waiting: 0, active: 0, completed: 0, dead: 0, cancelled: 0 };
+    for (const job of this.jobs.values()) {
+      if (job.queue === queue) counts[job.status]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Delete finished jobs older than a cutoff
+   * @param {string} queue - Queue name
+   * @param {Array} statuses - Finished statuses to remove
+   * @param {Date} before - Cutoff for finishedAt
+   */
+  async removeFinished(queue, statuses, before) {
+    let removed = 0;
+    for (const [id, job] of this.jobs.entries()) {
+      if (job.queue === queue && statuses.includes(job.status) && job.finishedAt < before) {
+        this.jobs.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async close() {}
+
+  // Private helper methods
+  _key(queue, idempotencyKey) {
+    return `${queue}|${idempotencyKey}`;
+  }
+
+  _copy(job) {
+    return structuredClone(job);
+  }
+}
+
+module.exports = MemoryQueueDriver;
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const QueuedJob = require('../../../models/queuedJobModel');
+const { JOB_STATUSES, TERMINAL_STATUSES } = require('./driverUtils');
+
+// How long a queue call waits for mongoose to (re)connect before failing
+const CONNECT_TIMEOUT_MS = 10000;
+
+// Queue storage in the QueuedJob collection. Reservation is a single findOneAndUpdate, so
+// several processes can share a queue without handing the same job to two workers.
+class MongoQueueDriver {
+  constructor(model = QueuedJob, { connectTimeoutMs = CONNECT_TIMEOUT_MS } = {}) {
+    this.name = 'mongo';
+    this.model = model;
+    this.connectTimeoutMs = connectTimeoutMs;
+  }
+
+  /**
+   * Store a new job unless a live job already holds its idempotency key
+   * @param {Object} job - Job built by JobQueue.enqueue()
+   */
+  async insert(job) {
+    await this._ready();
+
+    const { id, ...fields } = job;
+    try {
+      const doc = await this.model.create({ _id: id, ...fields, dedupeKey: job.idempotencyKey || undefined });
+      return { job: this._toJob(doc.toObject()), created: true };
+    } catch (error) {
+      if (error.code !== 11000 || !job.idempotencyKey) throw error;
+
+      const existing = await this.model.findOne({ queue: job.queue, dedupeKey: job.idempotencyKey }).lean();
+      if (!existing) {
+        // The holder finished between the insert and the lookup
+        return this.insert(job);
+      }
+      return { job: this._toJob(existing), created: false };
+    }
+  }
+
+  /**
+   * Lease the next runnable job: highest priority first, then oldest
+   * @param {string} queue - Queue name
+   * @param {Object} lease - now, leaseMs, token, owner
+   */
+  async reserve(queue, { now, leaseMs, token, owner }) {
+    await this._ready();
+
+    const doc = await this.model.findOneAndUpdate(
+      {
+        queue,
+        $or: [
+          { status: 'waiting', availableAt: { $lte: now } },
+          { status: 'active', leaseExpiresAt: { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'active',
+          leaseToken: token,
+          leaseExpiresAt: new Date(now.getTime() + leaseMs),
+          reservedBy: owner,
+          startedAt: now,
+          updatedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { priority: -1, createdAt: 1 }, new: true, lean: true }
+    );
+    return this._toJob(doc);
+  }
+
+  /**
+   * Apply changes if the job is in one of the expected states and the lease token matches
+   * @param {string} id - Job id
+   * @param {Object} changes - Fields to set
+   * @param {Object} guard - from (allowed current statuses), token (lease token)
+   */
+  async update(id, changes, { from, token } = {}) {
+    await this._ready();
+
+    const filter = { _id: id };
+    if (from) filter.status = { $in: from };
+    if (token) filter.leaseToken = token;
+
+    const update = { $set: { ...changes, updatedAt: new Date() } };
+    if (TERMINAL_STATUSES.includes(changes.status)) {
+      // Free the idempotency key for new work
+      update.$unset = { dedupeKey: '' };
+    }
+
+    const doc = await this.model.findOneAndUpdate(filter, update, { new: true, lean: true });
+    return this._toJob(doc);
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   */
+  async get(id) {
+    await this._ready();
+    return this._toJob(await this.model.findById(id).lean());
+  }
+
+  /**
+   * Jobs in a queue, newest first
+   * @param {string} queue - Queue name
+   * @param {Object} filter - status, limit
+   */
+  async list(queue, { status, limit = 100 } = {}) {
+    await this._ready();
+
+    const query = status ? { queue, status } : { queue };
+    const docs = await this.model.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+    return docs.map(doc => this._toJob(doc));
+  }
+
+  /**
+   * Number of jobs in each status
+   * @param {string} queue - Queue name
+   */
+  async count(queue) {
+    await this._ready();
+
+    const grouped = await this.model.aggregate([
+      { $match: { queue } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    grouped.forEach(({ _id, count }) => { counts[_id] = count; });
+    return counts;
+  }
+
+  /**
+   * Delete finished jobs older than a cutoff
+   * @param {string} queue - Queue name
+   * @param {Array} statuses - Finished statuses to remove
+   * @param {Date} before - Cutoff for finishedAt
+   */
+  async removeFinished(queue, statuses, before) {
+    await this._ready();
+
+    const result = await this.model.deleteMany({ queue, status: { $in: statuses }, finishedAt: { $lt: before } });
+    return result.deletedCount;
+  }
+
+  async close() {}
+
+  // Private helper methods
+
+  // Jobs must land in the collection workers read from, so a call made while mongoose is down
+  // waits for the connection and then fails rather than storing the job anywhere else
+  async _ready() {
+    const { connection } = mongoose;
+    if (connection.readyState === 1) return;
+
+    await new Promise((resolve, reject) => {
+      const onConnected = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        connection.off('connected', onConnected);
+        reject(Object.assign(new Error(`Job queue database is not connected (waited ${this.connectTimeoutMs}ms)`), { status: 503 }));
+      }, this.connectTimeoutMs);
+      connection.once('connected', onConnected);
+    });
+  }
+
+  _toJob(doc) {
+    if (!doc) return null;
+    const { _id, __v, dedupeKey, ...job } = doc;
+    return { id: _id, ...job };
+  }
+}
+
+module.exports = MongoQueueDriver;
@@ -0,0 +1,284 @@
+const { logger } = require('../../../utils/logger');
+const { JOB_STATUSES, TERMINAL_STATUSES } = require('./driverUtils');
+
+const DATE_FIELDS = ['availableAt', 'leaseExpiresAt', 'startedAt', 'finishedAt', 'createdAt', 'updatedAt'];
+const NUMBER_FIELDS = ['priority', 'attempts', 'maxAttempts', 'backoffMs', 'maxBackoffMs', 'progress', 'rank'];
+const JSON_FIELDS = ['payload', 'result', 'failures'];
+
+// Ready jobs are ordered by rank: priority band first, then enqueue time
+const PRIORITY_BAND = 1e13;
+
+// Keys (prefix defaults to athleteai:queue):
+//   <prefix>:job:<id>                     hash of job fields
+//   <prefix>:<queue>:ready                zset, runnable now, scored by rank
+//   <prefix>:<queue>:delayed              zset, waiting for a retry delay, scored by availableAt
+//   <prefix>:<queue>:active               zset, leased, scored by leaseExpiresAt
+//   <prefix>:<queue>:completed|dead|cancelled  zset, scored by finishedAt
+//   <prefix>:<queue>:keys                 hash, idempotency key -> id of the live job
+// State changes run as Lua scripts so a job is never in two sets or handed to two workers.
+
+const INSERT_SCRIPT = `
+if ARGV[2] ~= '' then
+  local existing = redis.call('HGET', KEYS[2], ARGV[2])
+  if existing then return existing end
+  redis.call('HSET', KEYS[2], ARGV[2], ARGV[1])
+end
+for i = 6, #ARGV, 2 do redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 1]) end
+if tonumber(ARGV[4]) <= tonumber(ARGV[3]) then
+  redis.call('ZADD', KEYS[3], ARGV[5], ARGV[1])
+else
+  redis.call('ZADD', KEYS[4], ARGV[4], ARGV[1])
+end
+return ARGV[1]
+`;
+
+const RESERVE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local function requeue(set)
+  for _, id in ipairs(redis.call('ZRANGEBYSCORE', set, '-inf', now)) do
+    redis.call('ZREM', set, id)
+    redis.call('HSET', ARGV[2] .. id, 'status', 'waiting')
+    redis.call('ZADD', KEYS[1], redis.call('HGET', ARGV[2] .. id, 'rank'), id)
+  end
+end
+requeue(KEYS[2])
+requeue(KEYS[3])
+local popped = redis.call('ZPOPMIN', KEYS[1])
+if #popped == 0 then return false end
+local id = popped[1]
+local key = ARGV[2] .. id
+local lease = now + tonumber(ARGV[3])
+redis.call('HSET', key, 'status', 'active', 'leaseToken', ARGV[4], 'leaseExpiresAt', lease,
+  'reservedBy', ARGV[5], 'startedAt', now, 'updatedAt', now)
+redis.call('HINCRBY', key, 'attempts', 1)
+redis.call('ZADD', KEYS[3], lease, id)
+return id
+`;
+
+const UPDATE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+local current = redis.call('HGET', KEYS[1], 'status')
+if ARGV[2] ~= '' and not string.find(',' .. ARGV[2] .. ',', ',' .. current .. ',', 1, true) then return 0 end
+if ARGV[3] ~= '' and redis.call('HGET', KEYS[1], 'leaseToken') ~= ARGV[3] then return 0 end
+local id = redis.call('HGET', KEYS[1], 'id')
+local base = ARGV[1]
+local now = tonumber(ARGV[4])
+if current == 'waiting' then
+  redis.call('ZREM', base .. 'ready', id)
+  redis.call('ZREM', base .. 'delayed', id)
+else
+  redis.call('ZREM', base .. current, id)
+end
+for i = 5, #ARGV, 2 do redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 1]) end
+local status = redis.call('HGET', KEYS[1], 'status')
+if status == 'waiting' then
+  local at = tonumber(redis.call('HGET', KEYS[1], 'availableAt')) or now
+  if at <= now then
+    redis.call('ZADD', base .. 'ready', redis.call('HGET', KEYS[1], 'rank'), id)
+  else
+    redis.call('ZADD', base .. 'delayed', at, id)
+  end
+elseif status == 'active' then
+  redis.call('ZADD', base .. 'active', redis.call('HGET', KEYS[1], 'leaseExpiresAt'), id)
+else
+  redis.call('ZADD', base .. status, tonumber(redis.call('HGET', KEYS[1], 'finishedAt')) or now, id)
+  local key = redis.call('HGET', KEYS[1], 'idempotencyKey')
+  if key and key ~= '' and redis.call('HGET', KEYS[2], key) == id then
+    redis.call('HDEL', KEYS[2], key)
+  end
+end
+return 1
+`;
+
+// Queue storage in Redis, for deployments that already run Redis for caching.
+// The client is created on first use so requiring this file never opens a connection.
+class RedisQueueDriver {
+  constructor({ url = process.env.REDIS_URL, prefix = process.env.JOB_QUEUE_PREFIX || 'athleteai:queue' } = {}) {
+    this.name = 'redis';
+    this.url = url;
+    this.prefix = prefix;
+    this.client = null;
+    this.connecting = null;
+  }
+
+  /**
+   * Store a new job unless a live job already holds its idempotency key
+   * @param {Object} job - Job built by JobQueue.enqueue()
+   */
+  async insert(job) {
+    const client = await this._getClient();
+    const rank = (10 - job.priority) * PRIORITY_BAND + job.createdAt.getTime();
+    const fields = this._encode({ ...job, rank });
+
+    const id = await client.eval(INSERT_SCRIPT, {
+      keys: [this._jobKey(job.id), this._queueKey(job.queue, 'keys'), this._queueKey(job.queue, 'ready'), this._queueKey(job.queue, 'delayed')],
+      arguments: [job.id, job.idempotencyKey || '', String(Date.now()), String(job.availableAt.getTime()), String(rank), ...fields]
+    });
+
+    if (id !== job.id) {
+      return { job: await this.get(id), created: false };
+    }
+    return { job: await this.get(id), created: true };
+  }
+
+  /**
+   * Lease the next runnable job: highest priority first, then oldest
+   * @param {string} queue - Queue name
+   * @param {Object} lease - now, leaseMs, token, owner
+   */
+  async reserve(queue, { now, leaseMs, token, owner }) {
+    const client = await this._getClient();
+    const id = await client.eval(RESERVE_SCRIPT, {
+      keys: [this._queueKey(queue, 'ready'), this._queueKey(queue, 'delayed'), this._queueKey(queue, 'active')],
+      arguments: [String(now.getTime()), `${this.prefix}:job:`, String(leaseMs), token, owner]
+    });
+    return id ? this.get(id) : null;
+  }
+
+  /**
+   * Apply changes if the job is in one of the expected states and the lease token matches
+   * @param {string} id - Job id
+   * @param {Object} changes - Fields to set
+   * @param {Object} guard - from (allowed current statuses), token (lease token)
+   */
+  async update(id, changes, { from, token } = {}) {
+    const client = await this._getClient();
+    const job = await this.get(id);
+    if (!job) return null;
+
+    const updated = await client.eval(UPDATE_SCRIPT, {
+      keys: [this._jobKey(id), this._queueKey(job.queue, 'keys')],
+      arguments: [
+        this._queueKey(job.queue, ''),
+        (from || []).join(','),
+        token || '',
+        String(Date.now()),
+        ...this._encode({ ...changes, updatedAt: new Date() })
+      ]
+    });
+    return updated ? this.get(id) : null;
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   */
+  async get(id) {
+    const client = await this._getClient();
+    const hash = await client.hGetAll(this._jobKey(id));
+    return hash && hash.id ? this._decode(hash) : null;
+  }
+
+  /**
+   * Jobs in a queue, newest first
+   * @param {string} queue - Queue name
+   * @param {Object} filter - status, limit
+   */
+  async list(queue, { status, limit = 100 } = {}) {
+    const client = await this._getClient();
+    const ids = [];
+    for (const set of this._setsFor(status)) {
+      ids.push(...await client.zRange(this._queueKey(queue, set), 0, limit - 1, { REV: true }));
+    }
+
+    const jobs = await Promise.all(ids.map(id => this.get(id)));
+    return jobs
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Number of jobs in each status
+   * @param {string} queue - Queue name
+   */
+  async count(queue) {
+    const client = await this._getClient();
+    const counts = {};
+    for (const status of JOB_STATUSES) {
+      const sizes = await Promise.all(this._setsFor(status).map(set => client.zCard(this._queueKey(queue, set))));
+      counts[status] = sizes.reduce((sum, size) => sum + size, 0);
+    }
+    return counts;
+  }
+
+  /**
+   * Delete finished jobs older than a cutoff
+   * @param {string} queue - Queue name
+   * @param {Array} statuses - Finished statuses to remove
+   * @param {Date} before - Cutoff for finishedAt
+   */
+  async removeFinished(queue, statuses, before) {
+    const client = await this._getClient();
+    let removed = 0;
+
+    for (const status of statuses.filter(s => TERMINAL_STATUSES.includes(s))) {
+      const set = this._queueKey(queue, status);
+      const ids = await client.zRangeByScore(set, '-inf', `(${before.getTime()}`);
+      for (const id of ids) {
+        await client.del(this._jobKey(id));
+        await client.zRem(set, id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+      this.connecting = null;
+    }
+  }
+
+  // Private helper methods
+  async _getClient() {
+    if (!this.client) {
+      const { createClient } = require('redis');
+      this.client = createClient({ url: this.url });
+      this.client.on('error', error => logger.error('Job queue Redis error:', error));
+      this.connecting = this.client.connect();
+    }
+    await this.connecting;
+    return this.client;
+  }
+
+  _jobKey(id) {
+    return `${this.prefix}:job:${id}`;
+  }
+
+  _queueKey(queue, name) {
+    return `${this.prefix}:${queue}:${name}`;
+  }
+
+  _setsFor(status) {
+    if (!status) return ['ready', 'delayed', 'active', ...TERMINAL_STATUSES];
+    return status === 'waiting' ? ['ready', 'delayed'] : [status];
+  }
+
+  // Flatten to HSET field/value pairs; null is stored as an empty string
+  _encode(job) {
+    return Object.entries(job).flatMap(([field, value]) => {
+      if (value === undefined) return [];
+      if (value === null) return [field, ''];
+      if (JSON_FIELDS.includes(field)) return [field, JSON.stringify(value)];
+      if (value instanceof Date) return [field, String(value.getTime())];
+      return [field, String(value)];
+    });
+  }
+
+  _decode(hash) {
+    return Object.entries(hash).reduce((job, [field, value]) => {
+      if (field === 'rank') return job;
+      if (value === '') job[field] = null;
+      else if (JSON_FIELDS.includes(field)) job[field] = JSON.parse(value);
+      else if (DATE_FIELDS.includes(field)) job[field] = new Date(Number(value));
+      else if (NUMBER_FIELDS.includes(field)) job[field] = Number(value);
+      else job[field] = value;
+      return job;
+    }, {});
+  }
+}
+
+module.exports = RedisQueueDriver;
@@ -0,0 +1,36 @@
+const { JobQueue, PRIORITIES } = require('./jobQueue');
+const MemoryQueueDriver = require('./drivers/memoryDriver');
+const MongoQueueDriver = require('./drivers/mongoDriver');
+const RedisQueueDriver = require('./drivers/redisDriver');
+
+const DRIVERS = {
+  memory: MemoryQueueDriver,
+  mongo: MongoQueueDriver,
+  redis: RedisQueueDriver
+};
+
+/**
+ * Create a queue storage driver
+ * @param {string} name - 'mongo' | 'redis' | 'memory'; defaults to JOB_QUEUE_DRIVER, else mongo in
+ * production and memory elsewhere (development runs on the mock database, see config/database.js)
+ */
+function createDriver(name = process.env.JOB_QUEUE_DRIVER || (process.env.NODE_ENV === 'production' ? 'mongo' : 'memory')) {
+  const Driver = DRIVERS[name];
+  if (!Driver) {
+    throw new Error(`Unknown job queue driver: ${name}`);
+  }
+  return new Driver();
+}
+
+// Shared queue for background services (scraping jobs, message queue work)
+const jobQueue = new JobQueue(createDriver());
+
+module.exports = {
+  jobQueue,
+  JobQueue,
+  PRIORITIES,
+  createDriver,
+  MemoryQueueDriver,
+  MongoQueueDriver,
+  RedisQueueDriver
+};
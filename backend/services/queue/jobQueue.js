@@ -0,0 +1,422 @@
+const os = require('os');
+const crypto = require('crypto');
+const { logger } = require('../../utils/logger');
+
+// Callers use several vocabularies; higher runs first
+const PRIORITIES = {
+  urgent: 4,
+  critical: 4,
+  high: 3,
+  normal: 2,
+  medium: 2,
+  low: 1
+};
+
+const DEFAULTS = {
+  maxAttempts: 3,
+  backoffMs: 1000,
+  maxBackoffMs: 15 * 60 * 1000,
+  visibilityTimeoutMs: 5 * 60 * 1000,
+  pollIntervalMs: 1000,
+  concurrency: 1,
+  completedMaxAgeMs: 24 * 60 * 60 * 1000,
+  deadMaxAgeMs: 7 * 24 * 60 * 60 * 1000
+};
+
+// Attempt errors kept on a job
+const MAX_FAILURES = 10;
+
+const queueError = (message, status) => Object.assign(new Error(message), { status });
+
+// Durable work queue on top of a storage driver (memory, mongo or redis; see ./drivers).
+// A reserved job is leased for a visibility timeout: if its worker dies the lease expires and
+// another worker picks it up. Failed attempts are retried with exponential backoff, and a job
+// that runs out of attempts moves to the queue's dead-letter list until retryDead() requeues it.
+class JobQueue {
+  constructor(driver, options = {}) {
+    this.driver = driver;
+    this.defaults = { ...DEFAULTS, ...options };
+    this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.workers = new Map();
+  }
+
+  /**
+   * Add a job. With an idempotency key, a waiting or active job holding the same key is
+   * returned instead of queueing a duplicate.
+   * @param {string} queue - Queue name
+   * @param {string} name - Job type, used by the handler to route work
+   * @param {Object} payload - Job data
+   * @param {Object} options - priority, idempotencyKey, delayMs, maxAttempts, backoffMs, maxBackoffMs
+   */
+  async enqueue(queue, name, payload = {}, options = {}) {
+    try {
+      const now = new Date();
+      const job = {
+        id: `job_${now.getTime()}_${crypto.randomBytes(6).toString('hex')}`,
+        queue,
+        name,
+        payload,
+        priority: this.resolvePriority(options.priority),
+        status: 'waiting',
+        attempts: 0,
+        maxAttempts: options.maxAttempts || this.defaults.maxAttempts,
+        backoffMs: options.backoffMs || this.defaults.backoffMs,
+        maxBackoffMs: options.maxBackoffMs || this.defaults.maxBackoffMs,
+        idempotencyKey: options.idempotencyKey || null,
+        availableAt: new Date(now.getTime() + (options.delayMs || 0)),
+        leaseToken: null,
+        leaseExpiresAt: null,
+        reservedBy: null,
+        progress: 0,
+        result: null,
+        lastError: null,
+        failures: [],
+        startedAt: null,
+        finishedAt: null,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const { job: stored, created } = await this.driver.insert(job);
+      if (created) {
+        this._wake(queue);
+      }
+      return { job: stored, created };
+    } catch (error) {
+      logger.error('Error enqueueing job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lease the next runnable job, or null when the queue is empty
+   * @param {string} queue - Queue name
+   * @param {Object} options - visibilityTimeoutMs
+   */
+  async reserve(queue, { visibilityTimeoutMs = this.defaults.visibilityTimeoutMs } = {}) {
+    for (;;) {
+      const job = await this.driver.reserve(queue, {
+        now: new Date(),
+        leaseMs: visibilityTimeoutMs,
+        token: crypto.randomBytes(8).toString('hex'),
+        owner: this.instanceId
+      });
+      if (!job || job.attempts <= job.maxAttempts) {
+        return job;
+      }
+
+      // Every allowed attempt ended with the lease expiring (worker crashed or hung)
+      await this.nack(job, { message: 'Visibility timeout expired', retryable: false, attempt: job.attempts - 1 });
+    }
+  }
+
+  /**
+   * Mark a leased job completed. Returns null if the lease was lost (expired or cancelled).
+   * @param {Object} job - Reserved job
+   * @param {*} result - Handler result
+   */
+  async ack(job, result = null) {
+    return this.driver.update(job.id, {
+      status: 'completed',
+      result,
+      progress: 100,
+      finishedAt: new Date(),
+      leaseToken: null,
+      leaseExpiresAt: null
+    }, { from: ['active'], token: job.leaseToken });
+  }
+
+  /**
+   * Record a failed attempt: retry after a backoff delay, or dead-letter the job when it is out
+   * of attempts or the error has retryable: false
+   * @param {Object} job - Reserved job
+   * @param {Error} error - Failure
+   */
+  async nack(job, error) {
+    const now = new Date();
+    const message = error?.message || String(error);
+    const failures = [
+      ...(job.failures || []),
+      { attempt: error?.attempt || job.attempts, error: message, at: now }
+    ].slice(-MAX_FAILURES);
+    const exhausted = job.attempts >= job.maxAttempts || error?.retryable === false;
+
+    const changes = exhausted
+      ? { status: 'dead', finishedAt: now }
+      : { status: 'waiting', availableAt: new Date(now.getTime() + this.getBackoffDelay(job)) };
+
+    const updated = await this.driver.update(job.id, {
+      ...changes,
+      lastError: message,
+      failures,
+      leaseToken: null,
+      leaseExpiresAt: null
+    }, { from: ['active'], token: job.leaseToken });
+
+    if (updated && exhausted) {
+      logger.warn(`Job ${job.id} in ${job.queue} moved to dead-letter after ${job.attempts} attempts: ${message}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Extend a job's lease (heartbeat) and optionally record progress
+   * @param {Object} job - Reserved job
+   * @param {Object} options - visibilityTimeoutMs, progress (0-100)
+   */
+  async extend(job, { visibilityTimeoutMs = this.defaults.visibilityTimeoutMs, progress } = {}) {
+    const changes = { leaseExpiresAt: new Date(Date.now() + visibilityTimeoutMs) };
+    if (progress !== undefined) changes.progress = progress;
+    return this.driver.update(job.id, changes, { from: ['active'], token: job.leaseToken });
+  }
+
+  /**
+   * Cancel a waiting or active job. A running handler is not interrupted, but its result is discarded.
+   * @param {string} id - Job id
+   */
+  async cancel(id) {
+    const job = await this.driver.update(id, {
+      status: 'cancelled',
+      finishedAt: new Date(),
+      leaseToken: null,
+      leaseExpiresAt: null
+    }, { from: ['waiting', 'active'] });
+
+    if (!job) {
+      const existing = await this.driver.get(id);
+      throw existing
+        ? queueError(`Cannot cancel job with status: ${existing.status}`, 409)
+        : queueError('Job not found', 404);
+    }
+    return job;
+  }
+
+  /**
+   * Move dead-lettered jobs back to waiting with a fresh set of attempts.
+   * Requeued jobs no longer hold their idempotency key.
+   * @param {string} queue - Queue name
+   * @param {Object} options - ids (defaults to every dead job), limit
+   */
+  async retryDead(queue, { ids, limit = 1000 } = {}) {
+    const dead = await this.driver.list(queue, { status: 'dead', limit });
+    const selected = ids ? dead.filter(job => ids.includes(job.id)) : dead;
+    let retried = 0;
+
+    for (const job of selected) {
+      const updated = await this.driver.update(job.id, {
+        status: 'waiting',
+        attempts: 0,
+        availableAt: new Date(),
+        finishedAt: null,
+        progress: 0
+      }, { from: ['dead'] });
+      if (updated) retried++;
+    }
+
+    if (retried > 0) {
+      logger.info(`Requeued ${retried} dead-lettered jobs in ${queue}`);
+      this._wake(queue);
+    }
+    return { retried };
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   */
+  async get(id) {
+    return this.driver.get(id);
+  }
+
+  /**
+   * Jobs in a queue, newest first
+   * @param {string} queue - Queue name
+   * @param {Object} filter - status ('waiting' | 'active' | 'completed' | 'dead' | 'cancelled'), limit
+   */
+  async list(queue, filter = {}) {
+    return this.driver.list(queue, filter);
+  }
+
+  /**
+   * Job counts by status, plus local worker state
+   * @param {string} queue - Queue name
+   */
+  async stats(queue) {
+    const counts = await this.driver.count(queue);
+    const worker = this.workers.get(queue);
+    return {
+      queue,
+      driver: this.driver.name,
+      ...counts,
+      processing: worker ? worker.active.size : 0,
+      concurrency: worker ? worker.settings.concurrency : 0
+    };
+  }
+
+  /**
+   * Delete old completed and cancelled jobs, and dead-lettered jobs past their retention
+   * @param {string} queue - Queue name
+   * @param {Object} options - completedMaxAgeMs, deadMaxAgeMs
+   */
+  async cleanup(queue, {
+    completedMaxAgeMs = this.defaults.completedMaxAgeMs,
+    deadMaxAgeMs = this.defaults.deadMaxAgeMs
+  } = {}) {
+    const now = Date.now();
+    const finished = await this.driver.removeFinished(queue, ['completed', 'cancelled'], new Date(now - completedMaxAgeMs));
+    const dead = await this.driver.removeFinished(queue, ['dead'], new Date(now - deadMaxAgeMs));
+    return { removed: finished + dead };
+  }
+
+  /**
+   * Delay before the next attempt: backoffMs doubled per attempt, capped at maxBackoffMs
+   * @param {Object} job - Job that just failed
+   */
+  getBackoffDelay(job) {
+    const base = job.backoffMs || this.defaults.backoffMs;
+    const cap = job.maxBackoffMs || this.defaults.maxBackoffMs;
+    return Math.min(base * Math.pow(2, Math.max(job.attempts - 1, 0)), cap);
+  }
+
+  /**
+   * Numeric priority from a name ('urgent', 'high', 'normal', 'low', ...) or number
+   * @param {string|number} priority - Priority
+   */
+  resolvePriority(priority) {
+    if (priority === undefined || priority === null) return PRIORITIES.normal;
+    if (typeof priority === 'number') return Math.min(Math.max(Math.round(priority), 1), 4);
+
+    const value = PRIORITIES[String(priority).toLowerCase()];
+    if (!value) {
+      throw queueError(`Unknown job priority: ${priority}`, 400);
+    }
+    return value;
+  }
+
+  /**
+   * Start polling a queue in this process
+   * @param {string} queue - Queue name
+   * @param {Function} handler - async (job, { progress }) => result; throw to fail the attempt
+   * @param {Object} options - concurrency, pollIntervalMs, visibilityTimeoutMs
+   */
+  process(queue, handler, options = {}) {
+    if (this.workers.has(queue)) {
+      return this.workers.get(queue);
+    }
+
+    const worker = {
+      queue,
+      settings: {
+        concurrency: options.concurrency || this.defaults.concurrency,
+        pollIntervalMs: options.pollIntervalMs || this.defaults.pollIntervalMs,
+        visibilityTimeoutMs: options.visibilityTimeoutMs || this.defaults.visibilityTimeoutMs
+      },
+      running: true,
+      polling: false,
+      pollAgain: false,
+      timer: null,
+      active: new Set()
+    };
+
+    worker.wake = (delay = 0) => {
+      if (!worker.running) return;
+      clearTimeout(worker.timer);
+      worker.timer = setTimeout(() => this._poll(worker, handler), delay);
+      if (worker.timer.unref) worker.timer.unref();
+    };
+
+    this.workers.set(queue, worker);
+    worker.wake();
+    logger.info(`Started ${worker.settings.concurrency} worker(s) for job queue ${queue} (${this.driver.name})`);
+    return worker;
+  }
+
+  /**
+   * Stop polling a queue and wait for running jobs to finish
+   * @param {string} queue - Queue name
+   * @param {number} timeoutMs - Longest time to wait for running jobs
+   */
+  async stopWorker(queue, timeoutMs = 30000) {
+    const worker = this.workers.get(queue);
+    if (!worker) return;
+
+    worker.running = false;
+    clearTimeout(worker.timer);
+    this.workers.delete(queue);
+
+    let timer;
+    await Promise.race([
+      Promise.allSettled(Array.from(worker.active)),
+      new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+    ]);
+    clearTimeout(timer);
+  }
+
+  /**
+   * Stop every worker in this process and close the driver
+   */
+  async close() {
+    await Promise.all(Array.from(this.workers.keys()).map(queue => this.stopWorker(queue)));
+    await this.driver.close();
+  }
+
+  // Private helper methods
+  _wake(queue) {
+    const worker = this.workers.get(queue);
+    if (worker) worker.wake();
+  }
+
+  async _poll(worker, handler) {
+    if (worker.polling) {
+      worker.pollAgain = true;
+      return;
+    }
+    worker.polling = true;
+    worker.pollAgain = false;
+
+    try {
+      while (worker.running && worker.active.size < worker.settings.concurrency) {
+        const job = await this.reserve(worker.queue, worker.settings);
+        if (!job) break;
+
+        const run = this._run(job, handler, worker.settings).finally(() => {
+          worker.active.delete(run);
+          worker.wake();
+        });
+        worker.active.add(run);
+      }
+    } catch (error) {
+      logger.error(`Job queue ${worker.queue} poll failed:`, error);
+    } finally {
+      worker.polling = false;
+      worker.wake(worker.pollAgain ? 0 : worker.settings.pollIntervalMs);
+    }
+  }
+
+  async _run(job, handler, { visibilityTimeoutMs }) {
+    const heartbeat = setInterval(() => {
+      this.extend(job, { visibilityTimeoutMs }).catch(error => logger.warn(`Lease heartbeat failed for job ${job.id}:`, error.message));
+    }, Math.max(visibilityTimeoutMs / 2, 10));
+    if (heartbeat.unref) heartbeat.unref();
+
+    try {
+      const result = await handler(job, {
+        progress: progress => this.extend(job, { visibilityTimeoutMs, progress })
+      });
+      const acked = await this.ack(job, result === undefined ? null : result);
+      if (!acked) {
+        logger.warn(`Job ${job.id} finished after its lease was lost; result discarded`);
+      }
+    } catch (error) {
+      logger.error(`Job ${job.id} (${job.name}) attempt ${job.attempts} failed:`, error.message);
+      await this.nack(job, error).catch(nackError => logger.error(`Failed to record failure for job ${job.id}:`, nackError));
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+module.exports = {
+  JobQueue,
+  PRIORITIES
+};
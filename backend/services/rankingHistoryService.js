@@ -0,0 +1,437 @@
+const mongoose = require('mongoose');
+const RankingSnapshot = require('../models/rankingSnapshotModel');
+const leaderboardService = require('./leaderboardService');
+const { extractState } = require('../utils/location');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RANK_SCOPES = ['overall', 'position', 'state', 'recruitingClass'];
+
+const historyError = (message, status) => Object.assign(new Error(message), { status });
+
+class RankingHistoryService {
+  constructor() {
+    // Used when MongoDB is not connected (development mock database)
+    this.mockSnapshots = [];
+    // In-flight initial-snapshot backfills by sport
+    this.seeding = new Map();
+  }
+
+  /**
+   * Record a GAR change as a snapshot and broadcast it to ranking subscribers
+   * @param {Object} athlete - Athlete record the score belongs to
+   * @param {Object} garData - Score result ({ total, breakdown, profile, profileVersion })
+   * @param {Object} context - cause, actor, reason, source, adjustment and recordedAt
+   */
+  async recordChange(athlete, garData, context = {}) {
+    try {
+      if (!RankingSnapshot.SNAPSHOT_CAUSES.includes(context.cause)) {
+        throw historyError(`Unknown ranking change cause: ${context.cause}`, 400);
+      }
+
+      const recordedAt = context.recordedAt || new Date();
+      const cohort = this.getCohort(athlete, garData);
+      // The athlete's record already holds the new score, so its own first snapshot is this change
+      await this.seedInitialSnapshots(cohort.sport, { date: recordedAt, exclude: cohort.athleteId });
+      const standings = await this.getStandings({ sport: cohort.sport, date: recordedAt });
+      const previous = standings.find(entry => entry.athleteId === cohort.athleteId) || null;
+
+      const snapshotData = {
+        ...cohort,
+        garScore: garData.total,
+        previousGarScore: previous ? previous.garScore : undefined,
+        garBreakdown: garData.breakdown,
+        profileVersion: garData.profileVersion,
+        previousRanks: previous ? this.getRanks(standings, cohort.athleteId) : undefined,
+        cause: context.cause,
+        causeDetail: {
+          actor: context.actor,
+          reason: context.reason,
+          source: context.source,
+          adjustment: context.adjustment
+        },
+        recordedAt
+      };
+
+      const updatedStandings = [
+        ...standings.filter(entry => entry.athleteId !== cohort.athleteId),
+        snapshotData
+      ];
+      snapshotData.ranks = this.getRanks(updatedStandings, cohort.athleteId);
+
+      const snapshot = await this._saveSnapshot(snapshotData);
+      leaderboardService.invalidate(cohort.sport);
+
+      if (global.realTimeService) {
+        global.realTimeService.publishRankingUpdate(
+          cohort.athleteId,
+          { garScore: snapshot.garScore, ranks: snapshot.ranks, cause: snapshot.cause },
+          previous ? { garScore: previous.garScore, ranks: snapshot.previousRanks } : null
+        );
+      }
+
+      return snapshot;
+    } catch (error) {
+      console.error('Error recording ranking change:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an athlete's ranking history, oldest first
+   * @param {string} athleteId - Athlete's ID
+   * @param {Object} filters - since, until and limit
+   */
+  async getAthleteHistory(athleteId, filters = {}) {
+    try {
+      const until = filters.until || new Date();
+      const since = filters.since || new Date(0);
+      const limit = filters.limit || 200;
+
+      let snapshots;
+      if (this._isMock()) {
+        snapshots = this.mockSnapshots
+          .filter(s => s.athleteId === String(athleteId) && s.recordedAt >= since && s.recordedAt <= until)
+          .sort((a, b) => b.recordedAt - a.recordedAt)
+          .slice(0, limit);
+      } else {
+        snapshots = await RankingSnapshot.find({
+          athleteId: String(athleteId),
+          recordedAt: { $gte: since, $lte: until }
+        })
+          .sort({ recordedAt: -1 })
+          .limit(limit)
+          .lean();
+      }
+
+      return snapshots.reverse().map(snapshot => ({
+        recordedAt: snapshot.recordedAt,
+        garScore: snapshot.garScore,
+        garChange: snapshot.previousGarScore !== undefined && snapshot.previousGarScore !== null
+          ? snapshot.garScore - snapshot.previousGarScore
+          : null,
+        ranks: snapshot.ranks,
+        previousRanks: snapshot.previousRanks || null,
+        profileVersion: snapshot.profileVersion,
+        cause: snapshot.cause,
+        causeDetail: snapshot.causeDetail
+      }));
+    } catch (error) {
+      console.error('Error fetching ranking history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every athlete's latest snapshot as of a date
+   * @param {Object} options - sport and date
+   */
+  async getStandings(options = {}) {
+    const date = options.date || new Date();
+    const sport = (options.sport || 'football').toLowerCase();
+
+    if (this._isMock()) {
+      const latest = new Map();
+      this.mockSnapshots
+        .filter(s => s.sport === sport && s.recordedAt <= date)
+        .forEach(s => {
+          const current = latest.get(s.athleteId);
+          if (!current || s.recordedAt >= current.recordedAt) latest.set(s.athleteId, s);
+        });
+      return Array.from(latest.values());
+    }
+
+    return RankingSnapshot.aggregate([
+      { $match: { sport, recordedAt: { $lte: date } } },
+      { $sort: { recordedAt: -1 } },
+      { $group: { _id: '$athleteId', snapshot: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$snapshot' } }
+    ]);
+  }
+
+  /**
+   * Write an 'initial' snapshot for every live athlete in a sport without ranking history, so ranks
+   * count the whole field and not only athletes whose GAR has changed since history began
+   * @param {string} sport - Sport key
+   * @param {Object} options - date to record at when the athlete has no createdAt, and an athleteId to exclude
+   * @returns {Promise<number>} Snapshots written
+   */
+  async seedInitialSnapshots(sport = 'football', options = {}) {
+    const key = sport.toLowerCase();
+    // Concurrent reads of the same sport share one backfill instead of each writing a copy
+    if (!this.seeding.has(key)) {
+      this.seeding.set(key, this._seed(key, options).finally(() => this.seeding.delete(key)));
+    }
+    return this.seeding.get(key);
+  }
+
+  /**
+   * Rank standings within a scope. Ties break on athlete id so ranks are deterministic.
+   * @param {Array} standings - Latest snapshot per athlete
+   * @param {string} scope - overall, position, state or recruitingClass
+   * @param {*} value - Scope value (e.g. 'QB', 'TX', 2027); ignored for overall
+   */
+  rankStandings(standings, scope = 'overall', value) {
+    if (!RANK_SCOPES.includes(scope)) {
+      throw historyError(`Scope must be one of ${RANK_SCOPES.join(', ')}`, 400);
+    }
+
+    return standings
+      .filter(entry => scope === 'overall' || (value !== undefined && value !== null && String(entry[scope]) === String(value)))
+      .sort((a, b) => b.garScore - a.garScore || String(a.athleteId).localeCompare(String(b.athleteId)))
+      .map((entry, index) => ({
+        rank: index + 1,
+        athleteId: entry.athleteId,
+        name: entry.name,
+        position: entry.position,
+        state: entry.state,
+        recruitingClass: entry.recruitingClass,
+        garScore: entry.garScore,
+        recordedAt: entry.recordedAt
+      }));
+  }
+
+  /**
+   * Get an athlete's rank in every scope from a set of standings
+   * @param {Array} standings - Latest snapshot per athlete
+   * @param {string} athleteId - Athlete's ID
+   */
+  getRanks(standings, athleteId) {
+    const entry = standings.find(s => s.athleteId === String(athleteId));
+    if (!entry) return null;
+
+    return RANK_SCOPES.reduce((ranks, scope) => {
+      const value = scope === 'overall' ? null : entry[scope];
+      if (scope !== 'overall' && (value === undefined || value === null)) return ranks;
+      ranks[scope] = this.rankStandings(standings, scope, value).find(r => r.athleteId === entry.athleteId).rank;
+      return ranks;
+    }, {});
+  }
+
+  /**
+   * Get a ranked list for a scope as it stood on a past date
+   * @param {Object} options - sport, date, scope, value and limit
+   */
+  async getRankingsAt(options = {}) {
+    try {
+      const date = options.date || new Date();
+      await this.seedInitialSnapshots(options.sport || 'football', { date });
+      const standings = await this.getStandings({ sport: options.sport, date });
+      const rankings = this.rankStandings(standings, options.scope || 'overall', options.value);
+
+      return {
+        sport: (options.sport || 'football').toLowerCase(),
+        date,
+        scope: options.scope || 'overall',
+        value: options.value ?? null,
+        total: rankings.length,
+        rankings: rankings.slice(0, options.limit || 100)
+      };
+    } catch (error) {
+      console.error('Error fetching historical rankings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an athlete's overall, position, state and class rank on a past date
+   * @param {string} athleteId - Athlete's ID
+   * @param {Object} options - sport and date
+   */
+  async getAthleteRankAt(athleteId, options = {}) {
+    try {
+      const date = options.date || new Date();
+      await this.seedInitialSnapshots(options.sport || 'football', { date });
+      const latest = await this._getLatestSnapshot(String(athleteId), date);
+
+      if (!latest) {
+        throw historyError('No ranking history for this athlete on that date', 404);
+      }
+
+      const standings = await this.getStandings({ sport: latest.sport, date });
+      return {
+        athleteId: String(athleteId),
+        date,
+        sport: latest.sport,
+        garScore: latest.garScore,
+        position: latest.position,
+        state: latest.state,
+        recruitingClass: latest.recruitingClass,
+        ranks: this.getRanks(standings, athleteId),
+        asOfSnapshot: latest.recordedAt
+      };
+    } catch (error) {
+      console.error('Error fetching athlete rank:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the biggest rank movers over the week ending on a date
+   * @param {Object} options - sport, scope, value, date, days and limit
+   */
+  async getWeeklyMovers(options = {}) {
+    try {
+      const end = options.date || new Date();
+      const days = options.days || 7;
+      const start = new Date(end.getTime() - days * DAY_MS);
+      const scope = options.scope || 'overall';
+      await this.seedInitialSnapshots(options.sport || 'football', { date: end });
+
+      const [current, previous] = await Promise.all([
+        this.getStandings({ sport: options.sport, date: end }),
+        this.getStandings({ sport: options.sport, date: start })
+      ]);
+
+      const movers = this.computeMovers(
+        this.rankStandings(previous, scope, options.value),
+        this.rankStandings(current, scope, options.value)
+      );
+      const limit = options.limit || 10;
+
+      return {
+        sport: (options.sport || 'football').toLowerCase(),
+        scope,
+        value: options.value ?? null,
+        from: start,
+        to: end,
+        risers: movers.filter(m => m.rankChange > 0).slice(0, limit),
+        fallers: movers.filter(m => m.rankChange < 0).sort((a, b) => a.rankChange - b.rankChange).slice(0, limit),
+        newcomers: movers.filter(m => m.previousRank === null).slice(0, limit)
+      };
+    } catch (error) {
+      console.error('Error fetching weekly movers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two ranked lists; positive rankChange means the athlete moved up
+   * @param {Array} before - Earlier rankings
+   * @param {Array} after - Later rankings
+   */
+  computeMovers(before, after) {
+    const previousById = new Map(before.map(entry => [entry.athleteId, entry]));
+
+    return after
+      .map(entry => {
+        const previous = previousById.get(entry.athleteId);
+        return {
+          athleteId: entry.athleteId,
+          name: entry.name,
+          rank: entry.rank,
+          previousRank: previous ? previous.rank : null,
+          rankChange: previous ? previous.rank - entry.rank : null,
+          garScore: entry.garScore,
+          garChange: previous ? entry.garScore - previous.garScore : null
+        };
+      })
+      .sort((a, b) => (b.rankChange || 0) - (a.rankChange || 0) || a.rank - b.rank);
+  }
+
+  /**
+   * Get the cohort attributes ranks are grouped by
+   * @param {Object} athlete - Athlete record
+   * @param {Object} garData - Score result, if available
+   */
+  getCohort(athlete, garData = {}) {
+    const recruitingClass = athlete.recruitingData?.recruitingClass || athlete.recruitingClass;
+    return {
+      athleteId: String(athlete._id || athlete.id),
+      name: athlete.name,
+      sport: (garData.profile?.sport || athlete.sport || athlete.recruitingData?.sport || 'football').toLowerCase(),
+      position: (garData.profile?.position || athlete.position || '').toUpperCase() || undefined,
+      state: extractState(athlete.recruitingData?.location || athlete.location),
+      recruitingClass: recruitingClass ? Number(recruitingClass) : undefined
+    };
+  }
+
+  // Private helper methods
+  _isMock() {
+    return mongoose.connection.readyState !== 1;
+  }
+
+  async _seed(sport, options) {
+    const date = options.date || new Date();
+    const [athletes, tracked] = await Promise.all([
+      leaderboardService.loadAthletes(sport),
+      this._getTrackedAthleteIds(sport)
+    ]);
+
+    const missing = athletes
+      .filter(athlete => typeof athlete.garScore === 'number')
+      .map(athlete => ({ athlete, cohort: this.getCohort(athlete) }))
+      .filter(({ cohort }) => cohort.sport === sport && cohort.athleteId !== options.exclude && !tracked.has(cohort.athleteId));
+
+    if (missing.length === 0) return 0;
+
+    const seeded = missing.map(({ athlete, cohort }) => ({
+      ...cohort,
+      garScore: Math.min(100, Math.max(0, athlete.garScore)),
+      garBreakdown: athlete.garBreakdown,
+      profileVersion: athlete.garProfileVersion,
+      cause: 'initial',
+      causeDetail: { reason: 'Backfilled from the live athlete record' },
+      recordedAt: athlete.createdAt ? new Date(athlete.createdAt) : date
+    }));
+
+    const standings = [...(await this.getStandings({ sport, date })), ...seeded];
+    const ranks = this._rankAll(standings);
+    for (const snapshotData of seeded) {
+      await this._saveSnapshot({ ...snapshotData, ranks: ranks.get(snapshotData.athleteId) });
+    }
+
+    leaderboardService.invalidate(sport);
+    return seeded.length;
+  }
+
+  // Every athlete's rank in every scope, ranking each scope value once
+  _rankAll(standings) {
+    const ranks = new Map(standings.map(entry => [entry.athleteId, {}]));
+
+    RANK_SCOPES.forEach(scope => {
+      const values = scope === 'overall'
+        ? [null]
+        : [...new Set(standings.map(entry => entry[scope]).filter(value => value !== undefined && value !== null))];
+      values.forEach(value => {
+        this.rankStandings(standings, scope, value).forEach(entry => {
+          ranks.get(entry.athleteId)[scope] = entry.rank;
+        });
+      });
+    });
+    return ranks;
+  }
+
+  async _getTrackedAthleteIds(sport) {
+    if (this._isMock()) {
+      return new Set(this.mockSnapshots.filter(s => s.sport === sport).map(s => s.athleteId));
+    }
+    return new Set(await RankingSnapshot.distinct('athleteId', { sport }));
+  }
+
+  async _saveSnapshot(snapshotData) {
+    if (this._isMock()) {
+      const snapshot = {
+        _id: String(this.mockSnapshots.length + 1),
+        ...snapshotData,
+        createdAt: new Date()
+      };
+      this.mockSnapshots.push(snapshot);
+      return snapshot;
+    }
+
+    const snapshot = new RankingSnapshot(snapshotData);
+    await snapshot.save();
+    return snapshot.toObject();
+  }
+
+  async _getLatestSnapshot(athleteId, date) {
+    if (this._isMock()) {
+      return this.mockSnapshots
+        .filter(s => s.athleteId === athleteId && s.recordedAt <= date)
+        .sort((a, b) => b.recordedAt - a.recordedAt)[0] || null;
+    }
+    return RankingSnapshot.getLatestBefore(athleteId, date).lean();
+  }
+}
+
+module.exports = new RankingHistoryService();
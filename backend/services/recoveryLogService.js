@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SleepLog = require('../models/sleepLogModel');
+const NutritionLog = require('../models/nutritionLogModel');
+const WellnessLog = require('../models/wellnessLogModel');
+const TrainingSession = require('../models/trainingSessionModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HISTORY_DAYS = 365;
+const MODELS = { sleep: SleepLog, nutrition: NutritionLog, wellness: WellnessLog, workout: TrainingSession };
+const ID_PREFIXES = { sleep: 'sleep', nutrition: 'nutrition', wellness: 'wellness', workout: 'session' };
+// Sleep and wellness are once a day, so logging the same day again corrects the entry
+const DAILY_KINDS = ['sleep', 'wellness'];
+
+const WORKOUT_TYPES = ['strength', 'conditioning', 'skill', 'recovery', 'competition'];
+const WORKOUT_TYPE_ALIASES = {
+  weights: 'strength', lifting: 'strength',
+  endurance: 'conditioning', cardio: 'conditioning', speed: 'conditioning', running: 'conditioning',
+  technique: 'skill', practice: 'skill', drills: 'skill',
+  mobility: 'recovery', stretching: 'recovery', yoga: 'recovery',
+  game: 'competition', match: 'competition'
+};
+// Training sessions store intensity on a 1-10 scale
+const INTENSITY_LEVELS = { low: 3, moderate: 5, high: 7, max: 9 };
+
+const logError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Persists the sleep, nutrition and daily wellness logs the recovery analyses are built
+// from; workouts go into the shared training session collection
+class RecoveryLogService {
+  constructor() {
+    // Used when MongoDB is not connected (development mock database)
+    this.mock = { sleep: [], nutrition: [], wellness: [], workout: [] };
+  }
+
+  /**
+   * Log a night of sleep; a second entry for the same night replaces the first
+   * @param {string} userId - User logging the entry
+   * @param {string} athleteId - Athlete the entry is for
+   * @param {Object} data - hours, quality (0-100), bedtime, waketime (HH:MM), optional date,
+   * disturbances, remPercentage, deepSleepPercentage, source and notes
+   */
+  async logSleep(userId, athleteId, data = {}) {
+    const entry = {
+      ...this._base(userId, athleteId, data),
+      hours: this._number(data, 'hours', { min: 0, max: 24 }),
+      quality: this._number(data, 'quality', { min: 0, max: 100 }),
+      bedtime: this._time(data, 'bedtime'),
+      waketime: this._time(data, 'waketime'),
+      disturbances: this._number(data, 'disturbances', { min: 0, max: 50, required: false }),
+      remPercentage: this._number(data, 'remPercentage', { min: 0, max: 100, required: false }),
+      deepSleepPercentage: this._number(data, 'deepSleepPercentage', { min: 0, max: 100, required: false }),
+      source: data.source === 'device' ? 'device' : 'manual'
+    };
+    return this._format(await this._save('sleep', entry));
+  }
+
+  /**
+   * Log a meal or a day's intake
+   * @param {string} userId - User logging the entry
+   * @param {string} athleteId - Athlete the entry is for
+   * @param {Object} data - calories, protein, carbohydrates, fats (grams), optional waterIntake
+   * (liters), meal, date and notes
+   */
+  async logNutrition(userId, athleteId, data = {}) {
+    const meals = NutritionLog.schema.path('meal').enumValues;
+    if (data.meal !== undefined && !meals.includes(data.meal)) {
+      throw logError(`Meal must be one of: ${meals.join(', ')}`);
+    }
+
+    const entry = {
+      ...this._base(userId, athleteId, data),
+      meal: data.meal || 'day',
+      calories: this._number(data, 'calories', { min: 0, max: 10000 }),
+      protein: this._number(data, 'protein', { min: 0, max: 500 }),
+      carbohydrates: this._number(data, 'carbohydrates', { min: 0, max: 1500 }),
+      fats: this._number(data, 'fats', { min: 0, max: 500 }),
+      waterIntake: this._number(data, 'waterIntake', { min: 0, max: 15, required: false })
+    };
+    return this._format(await this._save('nutrition', entry));
+  }
+
+  /**
+   * Log the daily wellness questionnaire; a second entry for the same day replaces the first
+   * @param {string} userId - User logging the entry
+   * @param {string} athleteId - Athlete the entry is for
+   * @param {Object} data - soreness, mood, stress (1-10), optional rpe (0-10), hrv (ms), date and notes
+   */
+  async logWellness(userId, athleteId, data = {}) {
+    const entry = {
+      ...this._base(userId, athleteId, data),
+      soreness: this._number(data, 'soreness', { min: 1, max: 10 }),
+      mood: this._number(data, 'mood', { min: 1, max: 10 }),
+      stress: this._number(data, 'stress', { min: 1, max: 10 }),
+      rpe: this._number(data, 'rpe', { min: 0, max: 10, required: false }),
+      hrv: this._number(data, 'hrv', { min: 0, max: 300, required: false })
+    };
+    return this._format(await this._save('wellness', entry));
+  }
+
+  /**
+   * Log a workout as a training session
+   * @param {string} userId - User logging the entry
+   * @param {string} athleteId - Athlete the entry is for
+   * @param {Object} data - type, duration (minutes), intensity (low/moderate/high/max), optional
+   * rpe (1-10), fatigue (1-10), date and notes
+   */
+  async logWorkout(userId, athleteId, data = {}) {
+    if (!this._isMock() && (!mongoose.isValidObjectId(athleteId) || !mongoose.isValidObjectId(userId))) {
+      throw logError('Workouts can only be logged for registered players');
+    }
+
+    const type = WORKOUT_TYPE_ALIASES[String(data.type || '').toLowerCase()] || String(data.type || '').toLowerCase();
+    if (!WORKOUT_TYPES.includes(type)) {
+      throw logError(`Workout type must be one of: ${WORKOUT_TYPES.join(', ')}`);
+    }
+    if (!INTENSITY_LEVELS[data.intensity]) {
+      throw logError(`Intensity must be one of: ${Object.keys(INTENSITY_LEVELS).join(', ')}`);
+    }
+
+    const intensity = INTENSITY_LEVELS[data.intensity];
+    const rpe = this._number(data, 'rpe', { min: 1, max: 10, required: false });
+    const session = {
+      _id: this._newId('workout'),
+      athleteId: String(athleteId),
+      userId: String(userId),
+      // Sessions keep their time of day; several can fall on one day
+      date: this._parseDate(data.date, false),
+      duration: this._number(data, 'duration', { min: 1, max: 600 }),
+      type,
+      intensity,
+      // Without a reported RPE the planned intensity stands in for it
+      perceivedExertion: rpe === undefined ? intensity : rpe,
+      fatigue: this._number(data, 'fatigue', { min: 1, max: 10, required: false }),
+      notes: data.notes ? String(data.notes).slice(0, 1000) : undefined,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    if (this._isMock()) {
+      this.mock.workout.push(session);
+      return this._format(session);
+    }
+    const { _id, ...fields } = session;
+    const created = (await TrainingSession.create(fields)).toObject();
+    return this._format({ ...created, _id: String(created._id), athleteId: String(created.athleteId), userId: String(created.userId) });
+  }
+
+  /**
+   * Logs of one kind for an athlete, oldest first
+   * @param {string} kind - sleep, nutrition, wellness or workout
+   * @param {string} athleteId - Athlete
+   * @param {Object} options - days (window length, default 7) and until (last day, default today)
+   */
+  async getLogs(kind, athleteId, options = {}) {
+    if (!MODELS[kind]) {
+      throw logError(`Log type must be one of: ${Object.keys(MODELS).join(', ')}`);
+    }
+
+    const days = Math.min(Math.max(parseInt(options.days) || 7, 1), MAX_HISTORY_DAYS);
+    const end = new Date(this._dayStart(options.until ? new Date(options.until) : new Date()).getTime() + DAY_MS);
+    const start = new Date(end.getTime() - days * DAY_MS);
+
+    let logs;
+    if (this._isMock()) {
+      logs = this.mock[kind].filter(log =>
+        log.athleteId === String(athleteId) && log.date >= start && log.date < end
+      );
+    } else if (kind === 'workout' && !mongoose.isValidObjectId(athleteId)) {
+      logs = [];
+    } else {
+      logs = await MODELS[kind].find({ athleteId, date: { $gte: start, $lt: end } }).lean();
+    }
+
+    return logs
+      .map(log => this._format({ ...log, _id: String(log._id), athleteId: String(log.athleteId), userId: String(log.userId) }))
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  /**
+   * Every kind of log for an athlete over the window
+   * @param {string} athleteId - Athlete
+   * @param {Object} options - days and until, as for getLogs
+   */
+  async getHistory(athleteId, options = {}) {
+    const history = {};
+    for (const kind of Object.keys(MODELS)) {
+      history[kind] = await this.getLogs(kind, athleteId, options);
+    }
+    return history;
+  }
+
+  /**
+   * UTC day key (YYYY-MM-DD) for a log date
+   * @param {Date|string} date - Log date
+   */
+  dayKey(date) {
+    return new Date(date).toISOString().split('T')[0];
+  }
+
+  // Private helper methods
+
+  _isMock() {
+    return mongoose.connection.readyState !== 1;
+  }
+
+  _newId(prefix) {
+    return `${ID_PREFIXES[prefix]}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  _format(item) {
+    const { _id, __v, ...rest } = item;
+    return { id: _id, ...rest };
+  }
+
+  _base(userId, athleteId, data) {
+    if (!athleteId) {
+      throw logError('Athlete ID is required');
+    }
+    const now = new Date();
+    return {
+      athleteId: String(athleteId),
+      userId: String(userId),
+      date: this._parseDate(data.date, true),
+      notes: data.notes ? String(data.notes).slice(0, 1000) : undefined,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  async _save(kind, entry) {
+    const daily = DAILY_KINDS.includes(kind);
+
+    if (this._isMock()) {
+      const index = daily
+        ? this.mock[kind].findIndex(log => log.athleteId === entry.athleteId && log.date.getTime() === entry.date.getTime())
+        : -1;
+      if (index >= 0) {
+        const existing = this.mock[kind][index];
+        this.mock[kind][index] = { ...entry, _id: existing._id, createdAt: existing.createdAt };
+        return this.mock[kind][index];
+      }
+      const created = { _id: this._newId(kind), ...entry };
+      this.mock[kind].push(created);
+      return created;
+    }
+
+    const Model = MODELS[kind];
+    if (!daily) {
+      return (await Model.create({ _id: this._newId(kind), ...entry })).toObject();
+    }
+    const { createdAt, ...fields } = entry;
+    return Model.findOneAndUpdate(
+      { athleteId: entry.athleteId, date: entry.date },
+      { $set: fields, $setOnInsert: { _id: this._newId(kind), createdAt } },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+  }
+
+  _number(data, field, { min, max, required = true }) {
+    const raw = data[field];
+    if (raw === undefined || raw === null || raw === '') {
+      if (required) {
+        throw logError(`${field} is required`);
+      }
+      return undefined;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw logError(`${field} must be a number between ${min} and ${max}`);
+    }
+    return value;
+  }
+
+  _time(data, field) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(data[field] || '').trim());
+    if (!match) {
+      throw logError(`${field} must be a time in HH:MM format`);
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+  }
+
+  // Daily logs are keyed by UTC day; entries cannot be logged ahead of time
+  _parseDate(value, dayOnly) {
+    const date = value ? new Date(value) : new Date();
+    if (isNaN(date.getTime())) {
+      throw logError('date is not a valid date');
+    }
+    if (date.getTime() > Date.now() + DAY_MS) {
+      throw logError('date cannot be in the future');
+    }
+    if (date.getTime() < Date.now() - MAX_HISTORY_DAYS * DAY_MS) {
+      throw logError(`date cannot be more than ${MAX_HISTORY_DAYS} days ago`);
+    }
+    return dayOnly ? this._dayStart(date) : date;
+  }
+
+  _dayStart(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+}
+
+module.exports = new RecoveryLogService();
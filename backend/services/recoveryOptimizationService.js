@@ -1,12 +1,19 @@
 const { logger } = require('../utils/logger');
+const recoveryLogService = require('./recoveryLogService');
+const workloadService = require('./workloadService');
+
+// Fewest logged days in the window before a component is analyzed at all
+const MIN_LOGGED_DAYS = 3;
+const COMPONENT_LOGS = { sleep: 'sleep', nutrition: 'nutrition', stress: 'wellness', workload: 'workout' };
+const COMPONENT_WEIGHTS = { sleep: 0.3, nutrition: 0.25, stress: 0.25, workload: 0.2 };
+// Daily targets; adjust based on athlete profile
+const NUTRITION_TARGETS = { calories: 2500, proteinShare: 25, carbohydrateShare: 55, fatShare: 20, waterIntake: 3.5 };
+const CALORIES_PER_GRAM = { protein: 4, carbohydrates: 4, fats: 9 };
 
 // Recovery Optimization Service
 class RecoveryOptimizationService {
     constructor() {
         this.recoveryMetrics = new Map();
-        this.sleepPatterns = new Map();
-        this.nutritionData = new Map();
-        this.stressIndicators = new Map();
         this.isInitialized = false;
     }
 
@@ -44,7 +51,7 @@ class RecoveryOptimizationService {
                 metrics: {},
                 recommendations: [],
                 riskFactors: [],
-                optimizationScore: 0
+                optimizationScore: null
             };
 
             // Analyze each recovery component
@@ -55,8 +62,13 @@ class RecoveryOptimizationService {
                 recoveryData.metrics[component] = analysis;
             }
 
-            // Calculate overall recovery score
+            // Calculate overall recovery score from the components with enough data
             recoveryData.optimizationScore = await this.recoveryAlgorithms.overall(recoveryData.metrics);
+            recoveryData.status = recoveryData.optimizationScore === null ? 'insufficient_data' : 'ok';
+            recoveryData.dataCoverage = Object.fromEntries(components.map(component => [
+                component,
+                { status: recoveryData.metrics[component].status, daysLogged: recoveryData.metrics[component].daysLogged }
+            ]));
 
             // Generate personalized recommendations
             recoveryData.recommendations = this.generateRecoveryRecommendations(recoveryData.metrics);
@@ -74,25 +86,19 @@ class RecoveryOptimizationService {
         }
     }
 
-    // Analyze sleep quality and patterns
+    // Analyze sleep quality and patterns from the athlete's sleep log
     async analyzeSleepQuality(athleteId, timeframe) {
-        // In a real implementation, this would integrate with sleep tracking devices
-        // For demo purposes, we'll simulate sleep data analysis
-
-        const sleepData = {
-            averageHours: 7.2 + Math.random() * 2, // 7.2-9.2 hours
-            qualityScore: Math.floor(Math.random() * 40) + 60, // 60-100
-            consistency: Math.floor(Math.random() * 30) + 70, // 70-100
-            remPercentage: Math.floor(Math.random() * 20) + 20, // 20-40%
-            deepSleepPercentage: Math.floor(Math.random() * 15) + 15, // 15-30%
-            disturbances: Math.floor(Math.random() * 5), // 0-4 disturbances
-            patterns: this.generateSleepPatterns(timeframe)
-        };
+        const logs = await recoveryLogService.getLogs('sleep', athleteId, { days: timeframe });
+        if (logs.length < this.requiredDays(timeframe)) {
+            return this.insufficientData('sleep', logs.length, timeframe);
+        }
 
-        // Calculate sleep score based on various factors
+        const sleepData = this.summarizeSleep(logs);
         const sleepScore = this.calculateSleepScore(sleepData);
 
         return {
+            status: 'ok',
+            daysLogged: logs.length,
             ...sleepData,
             score: sleepScore,
             grade: this.getGradeFromScore(sleepScore),
@@ -100,54 +106,55 @@ class RecoveryOptimizationService {
         };
     }
 
-    // Calculate sleep score
-    calculateSleepScore(sleepData) {
-        let score = 0;
-
-        // Hours (30% weight)
-        if (sleepData.averageHours >= 7 && sleepData.averageHours <= 9) {
-            score += 30;
-        } else if (sleepData.averageHours >= 6 && sleepData.averageHours <= 10) {
-            score += 20;
-        } else {
-            score += 10;
-        }
-
-        // Quality (25% weight)
-        score += (sleepData.qualityScore / 100) * 25;
-
-        // Consistency (20% weight)
-        score += (sleepData.consistency / 100) * 20;
-
-        // REM sleep (15% weight)
-        if (sleepData.remPercentage >= 20 && sleepData.remPercentage <= 30) {
-            score += 15;
-        } else if (sleepData.remPercentage >= 15 && sleepData.remPercentage <= 35) {
-            score += 10;
-        } else {
-            score += 5;
-        }
+    // Average the logged nights; device-only readings are null when never logged
+    summarizeSleep(logs) {
+        return {
+            averageHours: this.round(this.average(logs.map(log => log.hours)), 1),
+            qualityScore: Math.round(this.average(logs.map(log => log.quality))),
+            consistency: this.calculateSleepConsistency(logs),
+            remPercentage: this.roundOrNull(this.average(logs.map(log => log.remPercentage))),
+            deepSleepPercentage: this.roundOrNull(this.average(logs.map(log => log.deepSleepPercentage))),
+            disturbances: this.roundOrNull(this.average(logs.map(log => log.disturbances)), 1),
+            patterns: logs.map(log => ({
+                date: recoveryLogService.dayKey(log.date),
+                hours: log.hours,
+                quality: log.quality,
+                bedtime: log.bedtime,
+                wakeTime: log.waketime
+            }))
+        };
+    }
 
-        // Disturbances (10% weight)
-        const disturbancePenalty = Math.min(sleepData.disturbances * 2, 10);
-        score += 10 - disturbancePenalty;
+    // 100 minus the standard deviation of bedtime in minutes; needs at least two nights
+    calculateSleepConsistency(logs) {
+        if (logs.length < 2) return null;
 
-        return Math.round(score);
+        // Early-morning bedtimes count as the same night, so 00:30 follows 23:30
+        const minutes = logs.map(log => {
+            const [hours, mins] = log.bedtime.split(':').map(Number);
+            const value = hours * 60 + mins;
+            return value < 12 * 60 ? value + 24 * 60 : value;
+        });
+        return Math.max(0, Math.round(100 - this.standardDeviation(minutes)));
     }
 
-    // Generate sleep patterns for timeframe
-    generateSleepPatterns(timeframe) {
-        const patterns = [];
-        for (let i = 0; i < timeframe; i++) {
-            patterns.push({
-                date: new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-                hours: 6.5 + Math.random() * 3,
-                quality: Math.floor(Math.random() * 40) + 60,
-                bedtime: `${Math.floor(Math.random() * 3) + 21}:${Math.floor(Math.random() * 60).toString().padStart(2, '0')}`,
-                wakeTime: `${Math.floor(Math.random() * 4) + 6}:${Math.floor(Math.random() * 60).toString().padStart(2, '0')}`
-            });
-        }
-        return patterns;
+    // Calculate sleep score
+    calculateSleepScore(sleepData) {
+        const { averageHours, remPercentage, disturbances } = sleepData;
+
+        return this.weightedScore([
+            // Hours (30% weight)
+            [30, averageHours >= 7 && averageHours <= 9 ? 1 : averageHours >= 6 && averageHours <= 10 ? 2 / 3 : 1 / 3],
+            // Quality (25% weight)
+            [25, sleepData.qualityScore / 100],
+            // Consistency (20% weight)
+            [20, sleepData.consistency === null ? null : sleepData.consistency / 100],
+            // REM sleep (15% weight)
+            [15, remPercentage === null ? null :
+                remPercentage >= 20 && remPercentage <= 30 ? 1 : remPercentage >= 15 && remPercentage <= 35 ? 2 / 3 : 1 / 3],
+            // Disturbances (10% weight)
+            [10, disturbances === null ? null : 1 - Math.min(disturbances * 2, 10) / 10]
+        ]);
     }
 
     // Get sleep recommendations
@@ -163,7 +170,7 @@ class RecoveryOptimizationService {
             });
         }
 
-        if (sleepData.consistency < 80) {
+        if (sleepData.consistency !== null && sleepData.consistency < 80) {
             recommendations.push({
                 type: 'consistency',
                 priority: 'high',
@@ -184,31 +191,20 @@ class RecoveryOptimizationService {
         return recommendations;
     }
 
-    // Analyze nutrition and hydration
+    // Analyze nutrition and hydration from the athlete's nutrition log
     async analyzeNutrition(athleteId, timeframe) {
-        const nutritionData = {
-            caloricIntake: 2200 + Math.random() * 800, // 2200-3000 calories
-            macronutrients: {
-                protein: 120 + Math.random() * 60, // 120-180g
-                carbohydrates: 250 + Math.random() * 100, // 250-350g
-                fats: 70 + Math.random() * 30 // 70-100g
-            },
-            micronutrients: {
-                vitaminD: Math.random() * 50 + 25, // 25-75% RDA
-                iron: Math.random() * 40 + 60, // 60-100% RDA
-                calcium: Math.random() * 30 + 70 // 70-100% RDA
-            },
-            hydration: {
-                waterIntake: 2.5 + Math.random() * 1.5, // 2.5-4L
-                electrolyteBalance: Math.random() * 40 + 60 // 60-100%
-            },
-            mealTiming: this.generateMealPatterns(timeframe),
-            deficiencies: this.identifyNutrientDeficiencies()
-        };
+        const logs = await recoveryLogService.getLogs('nutrition', athleteId, { days: timeframe });
+        const dailyTotals = this.totalNutritionByDay(logs);
+        if (dailyTotals.length < this.requiredDays(timeframe)) {
+            return this.insufficientData('nutrition', dailyTotals.length, timeframe);
+        }
 
+        const nutritionData = this.summarizeNutrition(dailyTotals);
         const nutritionScore = this.calculateNutritionScore(nutritionData);
 
         return {
+            status: 'ok',
+            daysLogged: dailyTotals.length,
             ...nutritionData,
             score: nutritionScore,
             grade: this.getGradeFromScore(nutritionScore),
@@ -216,104 +212,97 @@ class RecoveryOptimizationService {
         };
     }
 
-    // Calculate nutrition score
-    calculateNutritionScore(nutritionData) {
-        let score = 0;
-
-        // Caloric intake (20% weight)
-        const targetCalories = 2500; // Adjust based on athlete profile
-        const calorieAccuracy = Math.max(0, 100 - Math.abs(nutritionData.caloricIntake - targetCalories) / targetCalories * 100);
-        score += (calorieAccuracy / 100) * 20;
-
-        // Macronutrient balance (25% weight)
-        const proteinRatio = nutritionData.macronutrients.protein / (nutritionData.caloricIntake / 4) * 100;
-        const carbRatio = nutritionData.macronutrients.carbohydrates / (nutritionData.caloricIntake / 4) * 100;
-        const fatRatio = nutritionData.macronutrients.fats / (nutritionData.caloricIntake / 9) * 100;
-
-        const macroBalance = 100 - (Math.abs(proteinRatio - 25) + Math.abs(carbRatio - 55) + Math.abs(fatRatio - 20)) / 3;
-        score += (macroBalance / 100) * 25;
-
-        // Micronutrients (20% weight)
-        const microAvg = Object.values(nutritionData.micronutrients).reduce((sum, val) => sum + val, 0) / Object.values(nutritionData.micronutrients).length;
-        score += (microAvg / 100) * 20;
-
-        // Hydration (20% weight)
-        const hydrationScore = (nutritionData.hydration.waterIntake / 3.5) * 50 + (nutritionData.hydration.electrolyteBalance / 100) * 50;
-        score += Math.min(hydrationScore, 20);
-
-        // Meal timing (15% weight)
-        score += 15; // Placeholder - would analyze actual meal timing patterns
-
-        return Math.round(score);
-    }
-
-    // Generate meal patterns
-    generateMealPatterns(timeframe) {
-        const meals = ['breakfast', 'lunch', 'dinner', 'snacks'];
-        const patterns = [];
+    // Meals logged on the same day are added into one daily total
+    totalNutritionByDay(logs) {
+        const days = new Map();
 
-        for (let i = 0; i < timeframe; i++) {
-            const dayMeals = {};
-            meals.forEach(meal => {
-                dayMeals[meal] = {
-                    time: this.getMealTime(meal),
-                    quality: Math.floor(Math.random() * 40) + 60,
-                    nutrients: this.generateMealNutrients(meal)
-                };
-            });
-            patterns.push({
-                date: new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-                meals: dayMeals
-            });
-        }
+        logs.forEach(log => {
+            const date = recoveryLogService.dayKey(log.date);
+            const day = days.get(date) || { date, calories: 0, protein: 0, carbohydrates: 0, fats: 0, waterIntake: null };
+            day.calories += log.calories;
+            day.protein += log.protein;
+            day.carbohydrates += log.carbohydrates;
+            day.fats += log.fats;
+            if (typeof log.waterIntake === 'number') {
+                day.waterIntake = (day.waterIntake || 0) + log.waterIntake;
+            }
+            days.set(date, day);
+        });
 
-        return patterns;
+        return [...days.values()];
     }
 
-    // Get typical meal times
-    getMealTime(meal) {
-        const times = {
-            breakfast: '07:00',
-            lunch: '12:30',
-            dinner: '18:30',
-            snacks: '15:00'
+    // Average daily intake over the logged days
+    summarizeNutrition(dailyTotals) {
+        const nutritionData = {
+            caloricIntake: Math.round(this.average(dailyTotals.map(day => day.calories))),
+            macronutrients: {
+                protein: Math.round(this.average(dailyTotals.map(day => day.protein))),
+                carbohydrates: Math.round(this.average(dailyTotals.map(day => day.carbohydrates))),
+                fats: Math.round(this.average(dailyTotals.map(day => day.fats)))
+            },
+            hydration: {
+                // Days without a water entry are left out rather than counted as zero
+                waterIntake: this.roundOrNull(this.average(dailyTotals.map(day => day.waterIntake)), 1)
+            },
+            dailyTotals
         };
-        return times[meal] || '12:00';
+        nutritionData.deficiencies = this.identifyNutrientDeficiencies(nutritionData);
+        return nutritionData;
     }
 
-    // Generate meal nutrients
-    generateMealNutrients(meal) {
-        const nutrients = {
-            breakfast: { protein: 20, carbs: 60, fats: 15 },
-            lunch: { protein: 35, carbs: 80, fats: 25 },
-            dinner: { protein: 40, carbs: 70, fats: 30 },
-            snacks: { protein: 15, carbs: 30, fats: 10 }
-        };
-
-        const base = nutrients[meal] || nutrients.snacks;
-        return {
-            protein: base.protein + Math.random() * 10 - 5,
-            carbohydrates: base.carbs + Math.random() * 20 - 10,
-            fats: base.fats + Math.random() * 8 - 4
-        };
+    // Share of calories from each macronutrient, in percent
+    getMacroShares(nutritionData) {
+        const calories = nutritionData.caloricIntake;
+        return Object.fromEntries(Object.entries(CALORIES_PER_GRAM).map(([nutrient, perGram]) => [
+            nutrient,
+            calories > 0 ? (nutritionData.macronutrients[nutrient] * perGram / calories) * 100 : 0
+        ]));
     }
 
-    // Identify nutrient deficiencies
-    identifyNutrientDeficiencies() {
-        const deficiencies = [];
-        const nutrients = ['vitaminD', 'iron', 'calcium', 'vitaminC', 'zinc'];
-
-        nutrients.forEach(nutrient => {
-            if (Math.random() < 0.3) { // 30% chance of deficiency
-                deficiencies.push({
-                    nutrient,
-                    severity: Math.random() < 0.5 ? 'mild' : 'moderate',
-                    percentage: Math.floor(Math.random() * 40) + 10
-                });
-            }
-        });
+    // Calculate nutrition score
+    calculateNutritionScore(nutritionData) {
+        // Caloric intake (20% weight)
+        const targetCalories = NUTRITION_TARGETS.calories;
+        const calorieAccuracy = Math.max(0, 100 - Math.abs(nutritionData.caloricIntake - targetCalories) / targetCalories * 100);
 
-        return deficiencies;
+        // Macronutrient balance (25% weight)
+        const shares = this.getMacroShares(nutritionData);
+        const macroBalance = 100 - (
+            Math.abs(shares.protein - NUTRITION_TARGETS.proteinShare) +
+            Math.abs(shares.carbohydrates - NUTRITION_TARGETS.carbohydrateShare) +
+            Math.abs(shares.fats - NUTRITION_TARGETS.fatShare)
+        ) / 3;
+
+        // Hydration (20% weight), only when water intake was logged
+        const { waterIntake } = nutritionData.hydration;
+
+        return this.weightedScore([
+            [20, calorieAccuracy / 100],
+            [25, Math.max(0, macroBalance) / 100],
+            [20, waterIntake === null ? null : Math.min(waterIntake / NUTRITION_TARGETS.waterIntake, 1)]
+        ]);
+    }
+
+    // Macronutrients and water well below target; percentage is the shortfall
+    identifyNutrientDeficiencies(nutritionData) {
+        const shares = this.getMacroShares(nutritionData);
+        const intake = [
+            ['protein', shares.protein, NUTRITION_TARGETS.proteinShare],
+            ['carbohydrates', shares.carbohydrates, NUTRITION_TARGETS.carbohydrateShare],
+            ['fats', shares.fats, NUTRITION_TARGETS.fatShare]
+        ];
+        if (nutritionData.hydration.waterIntake !== null) {
+            intake.push(['water', nutritionData.hydration.waterIntake, NUTRITION_TARGETS.waterIntake]);
+        }
+
+        return intake
+            .filter(([, actual, target]) => actual < target * 0.75)
+            .map(([nutrient, actual, target]) => ({
+                nutrient,
+                severity: actual < target * 0.5 ? 'moderate' : 'mild',
+                percentage: Math.round((1 - actual / target) * 100)
+            }));
     }
 
     // Get nutrition recommendations
@@ -329,7 +318,7 @@ class RecoveryOptimizationService {
             });
         }
 
-        if (nutritionData.hydration.waterIntake < 3) {
+        if (nutritionData.hydration.waterIntake !== null && nutritionData.hydration.waterIntake < 3) {
             recommendations.push({
                 type: 'hydration',
                 priority: 'high',
@@ -338,32 +327,34 @@ class RecoveryOptimizationService {
             });
         }
 
-        nutritionData.deficiencies.forEach(deficiency => {
-            recommendations.push({
-                type: 'supplementation',
-                priority: deficiency.severity === 'moderate' ? 'high' : 'medium',
-                message: `Address ${deficiency.nutrient} deficiency`,
-                actions: [`Supplement with ${deficiency.nutrient}`, 'Include nutrient-rich foods', 'Consult nutritionist']
+        nutritionData.deficiencies
+            .filter(deficiency => deficiency.nutrient !== 'water')
+            .forEach(deficiency => {
+                recommendations.push({
+                    type: 'supplementation',
+                    priority: deficiency.severity === 'moderate' ? 'high' : 'medium',
+                    message: `Address ${deficiency.nutrient} deficiency`,
+                    actions: [`Include more ${deficiency.nutrient}-rich foods`, 'Plan meals around training', 'Consult nutritionist']
+                });
             });
-        });
 
         return recommendations;
     }
 
-    // Analyze stress levels and recovery
+    // Analyze stress levels and recovery from the daily wellness log
     async analyzeStressLevels(athleteId, timeframe) {
-        const stressData = {
-            cortisolLevels: this.generateCortisolLevels(timeframe),
-            hrv: this.generateHRVData(timeframe), // Heart Rate Variability
-            perceivedStress: Math.floor(Math.random() * 40) + 30, // 30-70 scale
-            restDays: Math.floor(Math.random() * 3) + 1, // 1-3 rest days per week
-            mentalFatigue: Math.floor(Math.random() * 50) + 20, // 20-70 scale
-            recoveryActivities: this.generateRecoveryActivities(timeframe)
-        };
+        const logs = await recoveryLogService.getLogs('wellness', athleteId, { days: timeframe });
+        if (logs.length < this.requiredDays(timeframe)) {
+            return this.insufficientData('stress', logs.length, timeframe);
+        }
 
+        const workouts = await recoveryLogService.getLogs('workout', athleteId, { days: timeframe });
+        const stressData = this.summarizeWellness(logs, workouts);
         const stressScore = this.calculateStressScore(stressData);
 
         return {
+            status: 'ok',
+            daysLogged: logs.length,
             ...stressData,
             score: stressScore,
             grade: this.getGradeFromScore(stressScore),
@@ -371,88 +362,55 @@ class RecoveryOptimizationService {
         };
     }
 
-    // Generate cortisol levels
-    generateCortisolLevels(timeframe) {
-        const levels = [];
-        for (let i = 0; i < timeframe; i++) {
-            levels.push({
-                date: new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-                morning: 15 + Math.random() * 10, // 15-25 ug/dL
-                afternoon: 8 + Math.random() * 6, // 8-14 ug/dL
-                evening: 5 + Math.random() * 4 // 5-9 ug/dL
-            });
-        }
-        return levels;
-    }
-
-    // Generate HRV data
-    generateHRVData(timeframe) {
-        const hrvData = [];
-        for (let i = 0; i < timeframe; i++) {
-            hrvData.push({
-                date: new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-                rmssd: 40 + Math.random() * 40, // 40-80 ms
-                sdnn: 50 + Math.random() * 50, // 50-100 ms
-                pnn50: Math.random() * 30 + 10 // 10-40%
-            });
-        }
-        return hrvData;
-    }
-
-    // Generate recovery activities
-    generateRecoveryActivities(timeframe) {
-        const activities = ['meditation', 'yoga', 'massage', 'stretching', 'light cardio'];
-        const recoveryData = [];
+    // Average the questionnaires; restDays is per week, over the days with a questionnaire
+    summarizeWellness(logs, workouts = null) {
+        const hrv = logs.filter(log => typeof log.hrv === 'number')
+            .map(log => ({ date: recoveryLogService.dayKey(log.date), rmssd: log.hrv }));
 
-        for (let i = 0; i < timeframe; i++) {
-            if (Math.random() < 0.6) { // 60% chance of recovery activity
-                recoveryData.push({
-                    date: new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-                    activity: activities[Math.floor(Math.random() * activities.length)],
-                    duration: Math.floor(Math.random() * 60) + 15, // 15-75 minutes
-                    effectiveness: Math.floor(Math.random() * 40) + 60 // 60-100%
-                });
-            }
+        let restDays = null;
+        if (workouts) {
+            const trainingDays = new Set(workouts.map(workout => recoveryLogService.dayKey(workout.date)));
+            // A rest day reports RPE 0, or no RPE and no logged workout
+            const rested = logs.filter(log =>
+                log.rpe === 0 || (log.rpe === undefined && !trainingDays.has(recoveryLogService.dayKey(log.date)))
+            ).length;
+            restDays = this.round(rested / logs.length * 7, 1);
         }
 
-        return recoveryData;
+        return {
+            // 10-100, matching the other 0-100 scores
+            perceivedStress: Math.round(this.average(logs.map(log => log.stress)) * 10),
+            averageMood: this.round(this.average(logs.map(log => log.mood)), 1),
+            averageSoreness: this.round(this.average(logs.map(log => log.soreness)), 1),
+            averageRpe: this.roundOrNull(this.average(logs.map(log => log.rpe)), 1),
+            hrv,
+            averageHrv: this.roundOrNull(this.average(hrv.map(reading => reading.rmssd))),
+            restDays,
+            daily: logs.map(log => ({
+                date: recoveryLogService.dayKey(log.date),
+                soreness: log.soreness,
+                mood: log.mood,
+                stress: log.stress,
+                rpe: log.rpe ?? null,
+                hrv: log.hrv ?? null
+            }))
+        };
     }
 
     // Calculate stress score
     calculateStressScore(stressData) {
-        let score = 0;
-
-        // Cortisol levels (25% weight)
-        const avgCortisol = stressData.cortisolLevels.reduce((sum, level) =>
-            sum + level.morning + level.afternoon + level.evening, 0) /
-            (stressData.cortisolLevels.length * 3);
-
-        if (avgCortisol <= 20) {
-            score += 25;
-        } else if (avgCortisol <= 25) {
-            score += 20;
-        } else {
-            score += 10;
-        }
-
-        // HRV (25% weight)
-        const avgHRV = stressData.hrv.reduce((sum, hrv) => sum + hrv.rmssd, 0) / stressData.hrv.length;
-        const hrvScore = Math.min((avgHRV / 80) * 100, 100);
-        score += (hrvScore / 100) * 25;
-
-        // Perceived stress (20% weight)
-        const stressScore = Math.max(0, 100 - stressData.perceivedStress);
-        score += (stressScore / 100) * 20;
-
-        // Rest days (15% weight)
-        const restScore = (stressData.restDays / 3) * 100;
-        score += (restScore / 100) * 15;
-
-        // Recovery activities (15% weight)
-        const recoveryFrequency = stressData.recoveryActivities.length / stressData.cortisolLevels.length;
-        score += recoveryFrequency * 15;
-
-        return Math.round(score);
+        return this.weightedScore([
+            // Perceived stress (30% weight)
+            [30, 1 - (stressData.perceivedStress / 10 - 1) / 9],
+            // Mood (20% weight)
+            [20, (stressData.averageMood - 1) / 9],
+            // Muscle soreness (20% weight)
+            [20, 1 - (stressData.averageSoreness - 1) / 9],
+            // HRV (15% weight)
+            [15, stressData.averageHrv === null ? null : Math.min(stressData.averageHrv / 80, 1)],
+            // Rest days (15% weight)
+            [15, stressData.restDays === null ? null : Math.min(stressData.restDays / 3, 1)]
+        ]);
     }
 
     // Get stress recommendations
@@ -468,7 +426,7 @@ class RecoveryOptimizationService {
             });
         }
 
-        if (stressData.restDays < 2) {
+        if (stressData.restDays !== null && stressData.restDays < 2) {
             recommendations.push({
                 type: 'recovery',
                 priority: 'high',
@@ -477,8 +435,16 @@ class RecoveryOptimizationService {
             });
         }
 
-        const avgHRV = stressData.hrv.reduce((sum, hrv) => sum + hrv.rmssd, 0) / stressData.hrv.length;
-        if (avgHRV < 50) {
+        if (stressData.averageSoreness >= 7) {
+            recommendations.push({
+                type: 'soreness',
+                priority: 'medium',
+                message: 'Persistent muscle soreness; lighten the next sessions',
+                actions: ['Replace a hard session with active recovery', 'Foam rolling and mobility work', 'Review training load']
+            });
+        }
+
+        if (stressData.averageHrv !== null && stressData.averageHrv < 50) {
             recommendations.push({
                 type: 'autonomic',
                 priority: 'medium',
@@ -490,26 +456,48 @@ class RecoveryOptimizationService {
         return recommendations;
     }
 
-    // Analyze training load and recovery needs
+    // Analyze training load from the athlete's logged workouts
     async analyzeTrainingLoad(athleteId, timeframe) {
+        const sessions = await recoveryLogService.getLogs('workout', athleteId, { days: timeframe });
+        const trainingDays = new Set(sessions.map(session => recoveryLogService.dayKey(session.date))).size;
+        if (trainingDays < this.requiredDays(timeframe)) {
+            return this.insufficientData('workload', trainingDays, timeframe);
+        }
+        const workload = await workloadService.getAthleteWorkload(athleteId, { days: timeframe });
+        const { current } = workload;
+
+        const totalMinutes = sessions.reduce((sum, session) => sum + session.duration, 0);
+        const minutesByIntensity = { low: 0, moderate: 0, high: 0, max: 0 };
+        sessions.forEach(session => {
+            const level = session.intensity <= 3 ? 'low' : session.intensity <= 5 ? 'moderate' : session.intensity <= 7 ? 'high' : 'max';
+            minutesByIntensity[level] += session.duration;
+        });
+
         const trainingData = {
-            weeklyVolume: 8 + Math.random() * 8, // 8-16 hours
-            intensityDistribution: {
-                low: 40 + Math.random() * 20,
-                moderate: 35 + Math.random() * 15,
-                high: 15 + Math.random() * 10,
-                max: 5 + Math.random() * 5
-            },
-            sessionTypes: this.generateSessionTypes(timeframe),
-            loadProgression: this.generateLoadProgression(timeframe),
-            acuteChronicRatio: 0.8 + Math.random() * 0.4, // 0.8-1.2
-            monotonyIndex: 1.0 + Math.random() * 0.5, // 1.0-1.5
-            strainIndex: 100 + Math.random() * 200 // 100-300
+            weeklyVolume: this.round(totalMinutes / 60 / (timeframe / 7), 1), // hours per week
+            intensityDistribution: Object.fromEntries(Object.entries(minutesByIntensity)
+                .map(([level, minutes]) => [level, Math.round(minutes / totalMinutes * 100)])),
+            sessionTypes: sessions.map(session => ({
+                date: new Date(session.date).toISOString(),
+                type: session.type,
+                duration: session.duration,
+                intensity: session.intensity,
+                rpe: session.perceivedExertion
+            })),
+            loadProgression: workload.daily.map(({ date, load }) => ({ date, load })),
+            // Null until the athlete has four weeks of logged sessions
+            acuteChronicRatio: current ? current.acwr : null,
+            ewmaAcuteChronicRatio: current ? current.ewmaAcwr : null,
+            zone: current ? current.zone : null,
+            monotonyIndex: current ? current.monotony : null,
+            strainIndex: current ? current.strain : null
         };
 
         const loadScore = this.calculateLoadScore(trainingData);
 
         return {
+            status: 'ok',
+            daysLogged: trainingDays,
             ...trainingData,
             score: loadScore,
             grade: this.getGradeFromScore(loadScore),
@@ -517,52 +505,11 @@ class RecoveryOptimizationService {
         };
     }
 
-    // Generate session types
-    generateSessionTypes(timeframe) {
-        const types = ['endurance', 'strength', 'speed', 'technique', 'recovery'];
-        const sessions = [];
-
-        for (let i = 0; i < timeframe * 2; i++) { // 2 sessions per day
-            sessions.push({
-                date: new Date(Date.now() - i * 12 * 60 * 60 * 1000).toISOString(),
-                type: types[Math.floor(Math.random() * types.length)],
-                duration: Math.floor(Math.random() * 90) + 30, // 30-120 minutes
-                intensity: ['low', 'moderate', 'high'][Math.floor(Math.random() * 3)],
-                rpe: Math.floor(Math.random() * 7) + 3 // 3-10 RPE scale
-            });
-        }
-
-        return sessions;
-    }
-
-    // Generate load progression
-    generateLoadProgression(timeframe) {
-        const progression = [];
-        let currentLoad = 100;
-
-        for (let i = timeframe - 1; i >= 0; i--) {
-            const change = (Math.random() - 0.5) * 20; // -10 to +10
-            currentLoad += change;
-            currentLoad = Math.max(50, Math.min(200, currentLoad)); // Keep within bounds
-
-            progression.push({
-                date: new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-                load: Math.round(currentLoad),
-                change: Math.round(change)
-            });
-        }
-
-        return progression.reverse();
-    }
-
     // Calculate load score
     calculateLoadScore(trainingData) {
-        let score = 0;
-
         // Volume appropriateness (25% weight)
         const optimalVolume = 12; // hours per week
         const volumeAccuracy = Math.max(0, 100 - Math.abs(trainingData.weeklyVolume - optimalVolume) / optimalVolume * 100);
-        score += (volumeAccuracy / 100) * 25;
 
         // Intensity distribution (25% weight)
         const idealDistribution = { low: 50, moderate: 30, high: 15, max: 5 };
@@ -573,24 +520,22 @@ class RecoveryOptimizationService {
             distributionScore += Math.max(0, 100 - diff * 2);
         });
 
-        score += (distributionScore / 4 / 100) * 25;
-
-        // Acute:Chronic ratio (20% weight)
-        const idealACR = 1.0;
-        const acrAccuracy = Math.max(0, 100 - Math.abs(trainingData.acuteChronicRatio - idealACR) / idealACR * 100);
-        score += (acrAccuracy / 100) * 20;
-
-        // Monotony (15% weight)
-        const idealMonotony = 1.2;
-        const monotonyAccuracy = Math.max(0, 100 - Math.abs(trainingData.monotonyIndex - idealMonotony) / idealMonotony * 100);
-        score += (monotonyAccuracy / 100) * 15;
+        // Acute:Chronic ratio (30% weight): full marks in the sweet spot, falling off either side
+        const { acuteChronicRatio, monotonyIndex } = trainingData;
+        let ratioScore = null;
+        if (acuteChronicRatio !== null) {
+            ratioScore = trainingData.zone === 'sweet_spot' ? 1 : Math.max(0, 1 - Math.abs(acuteChronicRatio - 1.05) / 1.05);
+        }
 
-        // Strain (15% weight)
-        const optimalStrain = 200;
-        const strainAccuracy = Math.max(0, 100 - Math.abs(trainingData.strainIndex - optimalStrain) / optimalStrain * 100);
-        score += (strainAccuracy / 100) * 15;
+        // Monotony (20% weight); strain is reported but has no population norm to score against
+        const monotonyScore = monotonyIndex === null ? null : Math.max(0, 1 - Math.max(0, monotonyIndex - 1.5) / 1.5);
 
-        return Math.round(score);
+        return this.weightedScore([
+            [25, volumeAccuracy / 100],
+            [25, distributionScore / 4 / 100],
+            [30, ratioScore],
+            [20, monotonyScore]
+        ]);
     }
 
     // Get load recommendations
@@ -606,7 +551,7 @@ class RecoveryOptimizationService {
             });
         }
 
-        if (trainingData.acuteChronicRatio > 1.2) {
+        if (['caution', 'danger'].includes(trainingData.zone)) {
             recommendations.push({
                 type: 'progression',
                 priority: 'medium',
@@ -615,7 +560,7 @@ class RecoveryOptimizationService {
             });
         }
 
-        if (trainingData.monotonyIndex > 1.4) {
+        if (trainingData.monotonyIndex > workloadService.thresholds.highMonotony) {
             recommendations.push({
                 type: 'variety',
                 priority: 'medium',
@@ -627,51 +572,59 @@ class RecoveryOptimizationService {
         return recommendations;
     }
 
-    // Calculate overall recovery score
+    // Calculate overall recovery score; null when no component has enough data
     async calculateRecoveryScore(metrics) {
-        const weights = {
-            sleep: 0.3,
-            nutrition: 0.25,
-            stress: 0.25,
-            workload: 0.2
-        };
-
         let totalScore = 0;
         let totalWeight = 0;
 
-        Object.entries(weights).forEach(([component, weight]) => {
-            if (metrics[component] && metrics[component].score) {
+        Object.entries(COMPONENT_WEIGHTS).forEach(([component, weight]) => {
+            if (metrics[component] && typeof metrics[component].score === 'number') {
                 totalScore += metrics[component].score * weight;
                 totalWeight += weight;
             }
         });
 
-        return Math.round(totalScore / totalWeight);
+        return totalWeight > 0 ? Math.round(totalScore / totalWeight) : null;
     }
 
-    // Generate recovery recommendations
-    generateRecoveryRecommendations(metrics) {
-        const recommendations = [];
+    // Explicit result for a component without enough logged days; never a made-up score
+    insufficientData(component, daysLogged, timeframe) {
+        const requiredDays = this.requiredDays(timeframe);
+        const log = COMPONENT_LOGS[component];
 
-        // Sleep recommendations
-        if (metrics.sleep && metrics.sleep.score < 70) {
-            recommendations.push(...metrics.sleep.recommendations);
-        }
+        return {
+            status: 'insufficient_data',
+            daysLogged,
+            requiredDays,
+            score: null,
+            grade: null,
+            message: `${daysLogged} of ${requiredDays} required days of ${log} logs in the last ${timeframe} days`,
+            recommendations: [{
+                type: 'data',
+                component,
+                priority: 'medium',
+                message: `Log ${log} data daily to unlock the ${component} analysis`,
+                actions: [`Log ${log} on at least ${requiredDays} days`, 'Log at the same time each day']
+            }]
+        };
+    }
 
-        // Nutrition recommendations
-        if (metrics.nutrition && metrics.nutrition.score < 70) {
-            recommendations.push(...metrics.nutrition.recommendations);
-        }
+    // Short windows need every day logged
+    requiredDays(timeframe) {
+        return Math.min(MIN_LOGGED_DAYS, Math.max(1, parseInt(timeframe) || 1));
+    }
 
-        // Stress recommendations
-        if (metrics.stress && metrics.stress.score < 70) {
-            recommendations.push(...metrics.stress.recommendations);
-        }
+    // Generate recovery recommendations
+    generateRecoveryRecommendations(metrics) {
+        const recommendations = [];
 
-        // Load recommendations
-        if (metrics.workload && metrics.workload.score < 70) {
-            recommendations.push(...metrics.workload.recommendations);
-        }
+        // Components that are missing data or scoring below 70
+        ['sleep', 'nutrition', 'stress', 'workload'].forEach(component => {
+            const analysis = metrics[component];
+            if (analysis && (analysis.status === 'insufficient_data' || analysis.score < 70)) {
+                recommendations.push(...analysis.recommendations);
+            }
+        });
 
         // Sort by priority
         return recommendations.sort((a, b) => {
@@ -680,11 +633,12 @@ class RecoveryOptimizationService {
         });
     }
 
-    // Identify risk factors
+    // Identify risk factors; components without enough data are not judged
     identifyRiskFactors(metrics) {
         const riskFactors = [];
+        const analyzed = (component) => metrics[component] && metrics[component].status === 'ok';
 
-        if (metrics.sleep && metrics.sleep.score < 60) {
+        if (analyzed('sleep') && metrics.sleep.score < 60) {
             riskFactors.push({
                 type: 'sleep_deprivation',
                 severity: 'high',
@@ -693,7 +647,7 @@ class RecoveryOptimizationService {
             });
         }
 
-        if (metrics.nutrition && metrics.nutrition.deficiencies.length > 2) {
+        if (analyzed('nutrition') && metrics.nutrition.deficiencies.length > 2) {
             riskFactors.push({
                 type: 'nutrient_deficiency',
                 severity: 'medium',
@@ -702,7 +656,7 @@ class RecoveryOptimizationService {
             });
         }
 
-        if (metrics.stress && metrics.stress.score < 60) {
+        if (analyzed('stress') && metrics.stress.score < 60) {
             riskFactors.push({
                 type: 'chronic_stress',
                 severity: 'high',
@@ -711,10 +665,10 @@ class RecoveryOptimizationService {
             });
         }
 
-        if (metrics.workload && metrics.workload.acuteChronicRatio > 1.3) {
+        if (analyzed('workload') && ['caution', 'danger'].includes(metrics.workload.zone)) {
             riskFactors.push({
                 type: 'overtraining',
-                severity: 'high',
+                severity: metrics.workload.zone === 'danger' ? 'high' : 'medium',
                 description: 'Training load exceeding recovery capacity',
                 impact: 'High injury risk, performance decline'
             });
@@ -744,13 +698,18 @@ class RecoveryOptimizationService {
     // Get cached recovery analysis
     getCachedRecoveryAnalysis(athleteId) {
         const cached = this.recoveryMetrics.get(athleteId);
-        if (cached && cached.timestamp > cached.expires) {
+        if (cached && Date.now() > cached.expires) {
             this.recoveryMetrics.delete(athleteId);
             return null;
         }
         return cached ? cached.data : null;
     }
 
+    // Drop the cached analysis once new logs arrive
+    invalidateRecoveryAnalysis(athleteId) {
+        this.recoveryMetrics.delete(athleteId);
+    }
+
     // Clean up expired cache entries
     cleanupCache() {
         const now = Date.now();
@@ -761,95 +720,147 @@ class RecoveryOptimizationService {
         }
     }
 
-    // Get recovery trends
+    // Get recovery trends as daily scores, oldest first; days without logs are null
     async getRecoveryTrends(athleteId, timeframe = 30) {
-        // In a real implementation, this would analyze historical data
-        const trends = {
-            sleep: this.generateTrendData('sleep', timeframe),
-            nutrition: this.generateTrendData('nutrition', timeframe),
-            stress: this.generateTrendData('stress', timeframe),
-            workload: this.generateTrendData('workload', timeframe),
-            overall: this.generateTrendData('overall', timeframe)
-        };
+        timeframe = Math.min(Math.max(parseInt(timeframe) || 30, 1), 365);
+        const history = await recoveryLogService.getHistory(athleteId, { days: timeframe });
+        const byDay = (logs) => logs.reduce((days, log) => {
+            const date = recoveryLogService.dayKey(log.date);
+            days.set(date, [...(days.get(date) || []), log]);
+            return days;
+        }, new Map());
+        const sleep = byDay(history.sleep);
+        const nutrition = byDay(history.nutrition);
+        const wellness = byDay(history.wellness);
+        const workouts = byDay(history.workout);
+
+        const trends = { sleep: [], nutrition: [], stress: [], workload: [], overall: [] };
+        for (let i = timeframe - 1; i >= 0; i--) {
+            const date = recoveryLogService.dayKey(Date.now() - i * 24 * 60 * 60 * 1000);
+            const day = {
+                sleep: sleep.has(date) ? this.calculateSleepScore(this.summarizeSleep(sleep.get(date))) : null,
+                nutrition: nutrition.has(date)
+                    ? this.calculateNutritionScore(this.summarizeNutrition(this.totalNutritionByDay(nutrition.get(date))))
+                    : null,
+                stress: wellness.has(date) ? this.calculateStressScore(this.summarizeWellness(wellness.get(date))) : null,
+                // Session-RPE load in arbitrary units, not a 0-100 score
+                workload: workouts.has(date)
+                    ? workouts.get(date).reduce((sum, session) => sum + workloadService.sessionLoad(session), 0)
+                    : null
+            };
+            // Workload is not a 0-100 score, so the daily overall leaves it out
+            day.overall = await this.calculateRecoveryScore({
+                sleep: { score: day.sleep },
+                nutrition: { score: day.nutrition },
+                stress: { score: day.stress }
+            });
+
+            Object.keys(trends).forEach(metric => {
+                const previous = trends[metric].filter(point => point.value !== null).pop();
+                trends[metric].push({
+                    date,
+                    value: day[metric],
+                    change: day[metric] !== null && previous ? day[metric] - previous.value : null
+                });
+            });
+        }
 
         return {
             athleteId,
             timeframe,
+            daysLogged: Object.fromEntries(Object.keys(trends).map(metric => [
+                metric,
+                trends[metric].filter(point => point.value !== null).length
+            ])),
             trends,
             improvement: this.calculateImprovement(trends),
             predictions: this.generatePredictions(trends)
         };
     }
 
-    // Generate trend data
-    generateTrendData(metric, timeframe) {
-        const data = [];
-        let currentValue = 70 + Math.random() * 20;
-
-        for (let i = timeframe - 1; i >= 0; i--) {
-            const change = (Math.random() - 0.5) * 10;
-            currentValue += change;
-            currentValue = Math.max(0, Math.min(100, currentValue));
-
-            data.push({
-                date: new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-                value: Math.round(currentValue),
-                change: Math.round(change * 10) / 10
-            });
-        }
-
-        return data.reverse();
-    }
-
-    // Calculate improvement
+    // Change in the average of the last 7 days against the 7 before; null without enough data
     calculateImprovement(trends) {
         const improvements = {};
 
         Object.entries(trends).forEach(([metric, data]) => {
-            if (data.length >= 7) {
-                const recent = data.slice(-7).reduce((sum, d) => sum + d.value, 0) / 7;
-                const previous = data.slice(-14, -7).reduce((sum, d) => sum + d.value, 0) / 7;
-                improvements[metric] = Math.round((recent - previous) * 10) / 10;
-            } else {
-                improvements[metric] = 0;
-            }
+            const recent = data.slice(-7).filter(point => point.value !== null);
+            const previous = data.slice(-14, -7).filter(point => point.value !== null);
+
+            improvements[metric] = recent.length >= MIN_LOGGED_DAYS && previous.length >= MIN_LOGGED_DAYS
+                ? this.round(this.average(recent.map(point => point.value)) - this.average(previous.map(point => point.value)), 1)
+                : null;
         });
 
         return improvements;
     }
 
-    // Generate predictions
+    // Project a week ahead from the logged days of the last week
     generatePredictions(trends) {
         const predictions = {};
 
         Object.entries(trends).forEach(([metric, data]) => {
-            if (data.length >= 7) {
-                const recentTrend = data.slice(-7);
+            const recentTrend = data.slice(-7)
+                .map((point, x) => ({ x, value: point.value }))
+                .filter(point => point.value !== null);
+
+            if (recentTrend.length >= MIN_LOGGED_DAYS) {
                 const slope = this.calculateSlope(recentTrend);
                 const currentValue = recentTrend[recentTrend.length - 1].value;
-                const predictedValue = Math.max(0, Math.min(100, currentValue + slope * 7));
+                const projected = currentValue + slope * 7;
+                const predictedValue = metric === 'workload' ? Math.max(0, projected) : Math.max(0, Math.min(100, projected));
 
                 predictions[metric] = {
                     current: currentValue,
                     predicted: Math.round(predictedValue),
                     trend: slope > 0 ? 'improving' : slope < 0 ? 'declining' : 'stable',
-                    confidence: Math.floor(Math.random() * 20) + 80 // 80-100%
+                    dataPoints: recentTrend.length
                 };
+            } else {
+                predictions[metric] = { status: 'insufficient_data', dataPoints: recentTrend.length };
             }
         });
 
         return predictions;
     }
 
-    // Calculate slope for trend analysis
+    // Least-squares slope per day; points carry their day offset as x
     calculateSlope(data) {
         const n = data.length;
-        const sumX = (n * (n - 1)) / 2;
-        const sumY = data.reduce((sum, d, i) => sum + d.value, 0);
-        const sumXY = data.reduce((sum, d, i) => sum + d.value * i, 0);
-        const sumXX = (n * (n - 1) * (2 * n - 1)) / 6;
+        const sumX = data.reduce((sum, d) => sum + d.x, 0);
+        const sumY = data.reduce((sum, d) => sum + d.value, 0);
+        const sumXY = data.reduce((sum, d) => sum + d.value * d.x, 0);
+        const sumXX = data.reduce((sum, d) => sum + d.x * d.x, 0);
+        const denominator = n * sumXX - sumX * sumX;
+
+        return denominator === 0 ? 0 : (n * sumXY - sumX * sumY) / denominator;
+    }
+
+    // Weighted 0-100 score over [weight, fraction] parts, skipping parts without data (null)
+    weightedScore(parts) {
+        const available = parts.filter(([, value]) => value !== null && value !== undefined);
+        const totalWeight = available.reduce((sum, [weight]) => sum + weight, 0);
+        const total = available.reduce((sum, [weight, value]) => sum + weight * Math.max(0, Math.min(1, value)), 0);
+        return totalWeight > 0 ? Math.round(total / totalWeight * 100) : null;
+    }
+
+    // Mean of the numeric values; null when there are none
+    average(values) {
+        const numbers = values.filter(value => typeof value === 'number');
+        return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+    }
+
+    standardDeviation(values) {
+        const mean = this.average(values);
+        return Math.sqrt(this.average(values.map(value => (value - mean) ** 2)));
+    }
+
+    round(value, digits = 0) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
 
-        return (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+    roundOrNull(value, digits = 0) {
+        return value === null ? null : this.round(value, digits);
     }
 }
 
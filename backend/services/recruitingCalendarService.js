@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CALENDAR_PATH = path.join(__dirname, '../data/recruitingCalendars.json');
+const PERIOD_TYPES = ['contact', 'evaluation', 'quiet', 'dead'];
+const LIVE_PERIOD_TYPES = ['contact', 'evaluation'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar dates are stored as inclusive 'YYYY-MM-DD' strings and compared lexically
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+const addDays = (dateKey, days) => toDateKey(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS);
+
+class RecruitingCalendarService {
+  constructor(calendarPath = DEFAULT_CALENDAR_PATH) {
+    this.calendarPath = calendarPath;
+    this.data = null;
+    this.timelines = new Map();
+  }
+
+  /**
+   * Load (or reload) the versioned recruiting calendar data file
+   * @param {string} calendarPath - Path to the calendar JSON file
+   */
+  load(calendarPath = this.calendarPath) {
+    const data = JSON.parse(fs.readFileSync(calendarPath, 'utf8'));
+
+    if (!data.version || !data.calendars) {
+      throw new Error(`Invalid recruiting calendar file: ${calendarPath}`);
+    }
+
+    this.calendarPath = calendarPath;
+    this.data = data;
+    this.timelines.clear();
+
+    // Build every timeline up front so malformed calendars fail at load time
+    for (const [sport, divisions] of Object.entries(data.calendars)) {
+      for (const division of Object.keys(divisions)) {
+        this._getTimeline(sport, division);
+      }
+    }
+
+    return { version: data.version, publishedAt: data.publishedAt };
+  }
+
+  /**
+   * Get the loaded calendar data version
+   */
+  getVersion() {
+    return this._getData().version;
+  }
+
+  /**
+   * Get the academic year label (Aug 1 - Jul 31) for a date, e.g. '2026-27'
+   * @param {Date} date - Date to resolve
+   */
+  getAcademicYear(date) {
+    const [year, month] = toDateKey(date).split('-').map(Number);
+    const startYear = month >= 8 ? year : year - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  /**
+   * Get the first day (Aug 1) of the academic year containing a date
+   * @param {Date} date - Date to resolve
+   */
+  getAcademicYearStart(date) {
+    const startYear = this.getAcademicYear(date).split('-')[0];
+    return new Date(`${startYear}-08-01T00:00:00Z`);
+  }
+
+  /**
+   * Get the raw calendar for a sport, division and academic year
+   * @param {string} sport - Sport key (e.g. 'football')
+   * @param {string} division - Division key (e.g. 'division1')
+   * @param {string} academicYear - Academic year label (e.g. '2026-27')
+   */
+  getCalendar(sport, division, academicYear) {
+    const calendars = this._getData().calendars;
+    return calendars[sport]?.[division]?.[academicYear] || null;
+  }
+
+  /**
+   * Get contact limits for a sport and division, falling back to the defaults
+   * @param {string} sport - Sport key
+   * @param {string} division - Division key
+   */
+  getContactLimits(sport, division) {
+    const limits = this._getData().contactLimits || {};
+    return limits[sport]?.[division] || limits.default || { weekly: 7, monthly: 30, perType: {} };
+  }
+
+  /**
+   * Get the recruiting period in effect on a date
+   * @param {string} sport - Sport key
+   * @param {string} division - Division key
+   * @param {Date} date - Date to check
+   */
+  getPeriod(sport, division, date = new Date()) {
+    const timeline = this._getTimeline(sport, division);
+    const dateKey = toDateKey(date);
+    const segment = timeline.find(s => s.start <= dateKey && s.end >= dateKey);
+    return segment ? this._describeSegment(segment) : null;
+  }
+
+  /**
+   * Get the next change of period type after a date
+   * @param {string} sport - Sport key
+   * @param {string} division - Division key
+   * @param {Date} date - Date to start from
+   */
+  getNextTransition(sport, division, date = new Date()) {
+    const timeline = this._getTimeline(sport, division);
+    const dateKey = toDateKey(date);
+    const index = timeline.findIndex(s => s.start <= dateKey && s.end >= dateKey);
+    if (index === -1) return null;
+
+    const current = timeline[index];
+    for (let i = index + 1; i < timeline.length; i++) {
+      const segment = timeline[i];
+      // A gap between academic years means we cannot say what comes next
+      if (segment.start !== addDays(timeline[i - 1].end, 1)) return null;
+      if (segment.type !== current.type) {
+        return {
+          date: segment.start,
+          from: current.type,
+          to: this._describeSegment(segment)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the next contact or evaluation period starting after a date
+   * @param {string} sport - Sport key
+   * @param {string} division - Division key
+   * @param {Date} date - Date to start from
+   */
+  getNextLivePeriod(sport, division, date = new Date()) {
+    const dateKey = toDateKey(date);
+    const segment = this._getTimeline(sport, division)
+      .find(s => s.start > dateKey && LIVE_PERIOD_TYPES.includes(s.type));
+    return segment ? this._describeSegment(segment) : null;
+  }
+
+  /**
+   * Get the full recruiting calendar status for a sport and division on a date
+   * @param {string} sport - Sport key
+   * @param {string} division - Division key
+   * @param {Date} date - Date to check
+   */
+  getStatus(sport, division, date = new Date()) {
+    const academicYear = this.getAcademicYear(date);
+    const currentPeriod = this.getPeriod(sport, division, date);
+
+    return {
+      sport,
+      division,
+      academicYear,
+      calendarVersion: this.getVersion(),
+      calendarAvailable: !!currentPeriod,
+      currentPeriod,
+      nextTransition: currentPeriod ? this.getNextTransition(sport, division, date) : null,
+      nextLivePeriod: this.getNextLivePeriod(sport, division, date)
+    };
+  }
+
+  // Private helper methods
+  _getData() {
+    if (!this.data) {
+      this.load();
+    }
+    return this.data;
+  }
+
+  _getTimeline(sport, division) {
+    const key = `${sport}:${division}`;
+    if (this.timelines.has(key)) {
+      return this.timelines.get(key);
+    }
+
+    const years = this._getData().calendars[sport]?.[division] || {};
+    const timeline = Object.keys(years)
+      .sort()
+      .flatMap(academicYear => this._buildYearSegments(academicYear, years[academicYear]));
+
+    this.timelines.set(key, timeline);
+    return timeline;
+  }
+
+  _buildYearSegments(academicYear, calendar) {
+    const startYear = parseInt(academicYear.split('-')[0], 10);
+    const yearStart = `${startYear}-08-01`;
+    const yearEnd = `${startYear + 1}-07-31`;
+    const defaultPeriod = calendar.defaultPeriod || 'quiet';
+
+    if (!PERIOD_TYPES.includes(defaultPeriod)) {
+      throw new Error(`Unknown default period '${defaultPeriod}' in ${academicYear} calendar`);
+    }
+
+    const periods = [...(calendar.periods || [])].sort((a, b) => a.start.localeCompare(b.start));
+    const segments = [];
+    let cursor = yearStart;
+
+    for (const period of periods) {
+      if (!PERIOD_TYPES.includes(period.type)) {
+        throw new Error(`Unknown period type '${period.type}' in ${academicYear} calendar`);
+      }
+      if (period.start < cursor || period.end < period.start || period.end > yearEnd) {
+        throw new Error(`Overlapping or out-of-range period ${period.start}..${period.end} in ${academicYear} calendar`);
+      }
+
+      if (period.start > cursor) {
+        segments.push({ type: defaultPeriod, start: cursor, end: addDays(period.start, -1), academicYear, citation: calendar.citation });
+      }
+      segments.push({ ...period, academicYear, citation: calendar.citation });
+      cursor = addDays(period.end, 1);
+    }
+
+    if (cursor <= yearEnd) {
+      segments.push({ type: defaultPeriod, start: cursor, end: yearEnd, academicYear, citation: calendar.citation });
+    }
+
+    return segments;
+  }
+
+  _describeSegment(segment) {
+    const definition = this._getData().definitions?.[segment.type] || {};
+    return {
+      type: segment.type,
+      start: segment.start,
+      end: segment.end,
+      academicYear: segment.academicYear,
+      description: definition.description,
+      prohibitedContacts: definition.prohibitedContacts || [],
+      note: segment.note,
+      citations: [definition.citation, segment.citation].filter(Boolean)
+    };
+  }
+}
+
+module.exports = new RecruitingCalendarService();
@@ -0,0 +1,255 @@
+// Staged return-to-play protocols by injury type, and the restrictions each stage places on
+// training. Restrictions are checked against generated training sessions so a session that
+// conflicts with an open injury case is blocked before the athlete can do it.
+
+const RESTRICTION_KINDS = {
+  // No training at all
+  no_training: { needsValue: false },
+  // Sessions above this intensity (percent of max) are blocked
+  max_intensity: { needsValue: true },
+  // Exercises that load this body region are blocked
+  no_load: { needsValue: true },
+  // Contact drills are blocked
+  no_contact: { needsValue: false },
+  // One named exercise is blocked
+  no_exercise: { needsValue: true }
+};
+
+// Body regions (injury model locations) each generated exercise loads
+const EXERCISE_REGIONS = {
+  squat: ['back', 'hip', 'thigh', 'knee', 'ankle'],
+  deadlift: ['back', 'hip', 'thigh', 'knee', 'wrist', 'hand'],
+  bench_press: ['chest', 'shoulder', 'arm', 'elbow', 'wrist', 'hand'],
+  overhead_press: ['neck', 'shoulder', 'arm', 'elbow', 'wrist', 'back'],
+  pull_ups: ['shoulder', 'arm', 'elbow', 'wrist', 'hand', 'back'],
+  running: ['hip', 'thigh', 'knee', 'shin', 'ankle', 'foot'],
+  cycling: ['hip', 'thigh', 'knee'],
+  swimming: ['neck', 'shoulder', 'back'],
+  rowing: ['back', 'shoulder', 'arm', 'wrist', 'hand', 'hip', 'knee'],
+  agility_drills: ['hip', 'thigh', 'knee', 'shin', 'ankle', 'foot'],
+  plyometrics: ['back', 'hip', 'thigh', 'knee', 'shin', 'ankle', 'foot'],
+  sport_specific_drills: ['head', 'neck', 'shoulder', 'back', 'knee', 'ankle']
+};
+const CONTACT_EXERCISES = ['sport_specific_drills'];
+
+// Minimum stage lengths for soft-tissue and bone/joint protocols stretch with severity
+const SEVERITY_FACTORS = { minor: 1, moderate: 1.5, serious: 2, severe: 3 };
+
+// The injured region stands in for this value when a case is opened
+const INJURED_REGION = 'injured_region';
+
+const PROTOCOLS = {
+  // Graduated return to sport after sport-related concussion (Amsterdam consensus, 2023): at least
+  // 24 hours per step, symptom-free before moving on, medical clearance before full contact
+  concussion: {
+    id: 'concussion',
+    name: 'Graduated return to sport (concussion)',
+    injuryTypes: ['concussion'],
+    clearanceRoles: ['team_physician'],
+    symptomFreeToAdvance: true,
+    scalesWithSeverity: false,
+    stages: [
+      {
+        name: 'Symptom-limited activity',
+        goal: 'Daily activities that do not worsen symptoms; relative rest for the first 24-48 hours',
+        minDays: 1,
+        restrictions: [{ kind: 'no_training' }]
+      },
+      {
+        name: 'Aerobic exercise',
+        goal: 'Walking or stationary cycling at light to moderate intensity; light resistance training',
+        minDays: 1,
+        restrictions: [{ kind: 'max_intensity', value: 70 }, { kind: 'no_contact' }]
+      },
+      {
+        name: 'Individual sport-specific exercise',
+        goal: 'Running and change of direction away from the team environment, no head impact',
+        minDays: 1,
+        restrictions: [{ kind: 'no_contact' }]
+      },
+      {
+        name: 'Non-contact training drills',
+        goal: 'Higher-intensity drills and progressive resistance training with the team',
+        minDays: 1,
+        restrictions: [{ kind: 'no_contact' }]
+      },
+      {
+        name: 'Full contact practice',
+        goal: 'Normal training activities after medical clearance',
+        minDays: 1,
+        signOff: true,
+        restrictions: []
+      },
+      {
+        name: 'Return to sport',
+        goal: 'Normal game play',
+        minDays: 0,
+        restrictions: []
+      }
+    ]
+  },
+  bone_joint: {
+    id: 'bone_joint',
+    name: 'Fracture, dislocation and ligament return to play',
+    injuryTypes: ['fracture', 'stress_fracture', 'dislocation', 'ligament_tear'],
+    clearanceRoles: ['athletic_trainer', 'team_physician'],
+    symptomFreeToAdvance: false,
+    scalesWithSeverity: true,
+    stages: [
+      {
+        name: 'Immobilise and protect',
+        goal: 'Protect the healing tissue; train uninjured regions only',
+        minDays: 14,
+        restrictions: [{ kind: 'no_load', value: INJURED_REGION }, { kind: 'no_contact' }]
+      },
+      {
+        name: 'Restore range of motion',
+        goal: 'Pain-free range of motion and light loading',
+        minDays: 7,
+        restrictions: [{ kind: 'no_load', value: INJURED_REGION }, { kind: 'max_intensity', value: 60 }, { kind: 'no_contact' }]
+      },
+      {
+        name: 'Strength and loading',
+        goal: 'Progressive strengthening back to pre-injury loads',
+        minDays: 14,
+        restrictions: [{ kind: 'max_intensity', value: 75 }, { kind: 'no_contact' }]
+      },
+      {
+        name: 'Sport-specific training',
+        goal: 'Full-speed, non-contact sport drills',
+        minDays: 7,
+        restrictions: [{ kind: 'no_contact' }]
+      },
+      {
+        name: 'Full return',
+        goal: 'Unrestricted practice and competition',
+        minDays: 0,
+        restrictions: []
+      }
+    ]
+  },
+  soft_tissue: {
+    id: 'soft_tissue',
+    name: 'Soft-tissue return to play',
+    // Every other injury type
+    injuryTypes: [],
+    clearanceRoles: ['athletic_trainer', 'team_physician'],
+    symptomFreeToAdvance: false,
+    scalesWithSeverity: true,
+    stages: [
+      {
+        name: 'Protect and settle',
+        goal: 'Settle pain and swelling; train uninjured regions only',
+        minDays: 2,
+        restrictions: [{ kind: 'no_load', value: INJURED_REGION }, { kind: 'no_contact' }]
+      },
+      {
+        name: 'Restore range of motion',
+        goal: 'Pain-free range of motion and light loading',
+        minDays: 3,
+        restrictions: [{ kind: 'no_load', value: INJURED_REGION }, { kind: 'max_intensity', value: 60 }, { kind: 'no_contact' }]
+      },
+      {
+        name: 'Progressive strengthening',
+        goal: 'Rebuild strength and conditioning',
+        minDays: 5,
+        restrictions: [{ kind: 'max_intensity', value: 75 }, { kind: 'no_contact' }]
+      },
+      {
+        name: 'Sport-specific training',
+        goal: 'Full-speed, non-contact sport drills',
+        minDays: 4,
+        restrictions: [{ kind: 'no_contact' }]
+      },
+      {
+        name: 'Full return',
+        goal: 'Unrestricted practice and competition',
+        minDays: 0,
+        restrictions: []
+      }
+    ]
+  }
+};
+
+/**
+ * Protocol for an injury, with stage lengths scaled to its severity and the injured region
+ * filled into its restrictions
+ * @param {Object} injury - type, location and severity
+ * @returns {Object} Protocol snapshot to store on the case
+ */
+function protocolFor(injury) {
+  const protocol = Object.values(PROTOCOLS).find(candidate => candidate.injuryTypes.includes(injury.type)) || PROTOCOLS.soft_tissue;
+  const factor = protocol.scalesWithSeverity ? (SEVERITY_FACTORS[injury.severity] || 1) : 1;
+
+  return {
+    id: protocol.id,
+    name: protocol.name,
+    clearanceRoles: protocol.clearanceRoles,
+    symptomFreeToAdvance: protocol.symptomFreeToAdvance,
+    stages: protocol.stages.map((stage, index) => ({
+      stage: index + 1,
+      name: stage.name,
+      goal: stage.goal,
+      minDays: Math.ceil(stage.minDays * factor),
+      signOff: Boolean(stage.signOff),
+      restrictions: stage.restrictions.map(restriction => (
+        restriction.value === INJURED_REGION ? { ...restriction, value: injury.location } : { ...restriction }
+      ))
+    }))
+  };
+}
+
+/**
+ * Problem with a restriction's kind or value, or null when it is valid
+ * @param {Object} restriction - kind and value
+ * @returns {string|null} Validation message
+ */
+function validateRestriction(restriction) {
+  const definition = RESTRICTION_KINDS[restriction.kind];
+  if (!definition) {
+    return `Restriction kind must be one of: ${Object.keys(RESTRICTION_KINDS).join(', ')}`;
+  }
+  if (!definition.needsValue) {
+    return null;
+  }
+  if (restriction.kind === 'max_intensity') {
+    const value = Number(restriction.value);
+    return Number.isFinite(value) && value >= 0 && value <= 100 ? null : 'max_intensity needs a value between 0 and 100';
+  }
+  return restriction.value ? null : `${restriction.kind} needs a value`;
+}
+
+/**
+ * Restrictions a training session would break
+ * @param {Object} session - Generated session with intensity and exercises
+ * @param {Array} restrictions - Active restrictions (kind, value, plus whatever the caller attached)
+ * @returns {Array} The restrictions the session conflicts with
+ */
+function findConflicts(session, restrictions) {
+  const exercises = (session.exercises || []).map(exercise => exercise.name);
+
+  return restrictions.filter(restriction => {
+    switch (restriction.kind) {
+      case 'no_training':
+        return true;
+      case 'max_intensity':
+        return Number(session.intensity) > Number(restriction.value);
+      case 'no_load':
+        return exercises.some(name => (EXERCISE_REGIONS[name] || []).includes(restriction.value));
+      case 'no_contact':
+        return exercises.some(name => CONTACT_EXERCISES.includes(name));
+      case 'no_exercise':
+        return exercises.includes(restriction.value);
+      default:
+        return false;
+    }
+  });
+}
+
+module.exports = {
+  PROTOCOLS,
+  RESTRICTION_KINDS,
+  protocolFor,
+  validateRestriction,
+  findConflicts
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RiskModelVersion = require('../models/riskModelVersionModel');
+
+const registryError = (message, status) => Object.assign(new Error(message), { status });
+
+// Versioned store of trained risk model artifacts and which version is served. Promoting a
+// version retires the one it replaces; pinning holds the served version in place until it is
+// unpinned or another version is activated by hand.
+class RiskModelRegistry {
+  constructor() {
+    // Used when MongoDB is not connected (development mock database)
+    this.mock = { versions: [] };
+    // Bumped on every change so cached copies of the active version know to reload
+    this.revision = 0;
+  }
+
+  /**
+   * Store a newly trained version as a candidate
+   * @param {string} modelName - Model the version belongs to
+   * @param {Object} entry - algorithm, featureNames, artifact, metrics and training details
+   * @param {string} actor - User or job that trained it
+   * @returns {Object} The stored version
+   */
+  async register(modelName, entry, actor = 'system') {
+    const versions = await this.list(modelName);
+    const now = new Date();
+    const version = {
+      _id: `riskmodel_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      modelName,
+      version: versions.length ? versions[0].version + 1 : 1,
+      algorithm: entry.algorithm,
+      featureNames: entry.featureNames,
+      artifact: entry.artifact,
+      metrics: entry.metrics,
+      training: entry.training,
+      status: 'candidate',
+      pinned: false,
+      trainedBy: actor,
+      events: [{ action: 'trained', actor, at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (this._isMock()) {
+      this.mock.versions.push(version);
+    } else {
+      await RiskModelVersion.create(version);
+    }
+    this.revision++;
+    return this._format(version);
+  }
+
+  /**
+   * Every version of a model, newest first
+   * @param {string} modelName - Model name
+   */
+  async list(modelName) {
+    const versions = this._isMock()
+      ? this.mock.versions.filter(version => version.modelName === modelName)
+      : await RiskModelVersion.find({ modelName }).lean();
+    return versions.map(version => this._format(version)).sort((a, b) => b.version - a.version);
+  }
+
+  /**
+   * One version of a model
+   * @param {string} modelName - Model name
+   * @param {number} version - Version number
+   */
+  async get(modelName, version) {
+    const found = await this._find(modelName, { version: Number(version) });
+    if (!found) {
+      throw registryError(`${modelName} version ${version} not found`, 404);
+    }
+    return this._format(found);
+  }
+
+  /**
+   * The served version, or null while none has been activated
+   * @param {string} modelName - Model name
+   */
+  async getActive(modelName) {
+    const active = await this._find(modelName, { status: 'active' });
+    return active ? this._format(active) : null;
+  }
+
+  /**
+   * Serve a version, retiring the one currently served
+   * @param {string} modelName - Model name
+   * @param {number} version - Version to serve
+   * @param {Object} options - actor, reason and pin (hold it in place against newly trained versions)
+   */
+  async activate(modelName, version, options = {}) {
+    return this._serve(modelName, version, { ...options, action: 'activated' });
+  }
+
+  /**
+   * Pin or unpin the served version
+   * @param {string} modelName - Model name
+   * @param {boolean} pinned - New pin state
+   * @param {Object} options - actor and reason
+   */
+  async setPinned(modelName, pinned, options = {}) {
+    const active = await this._find(modelName, { status: 'active' });
+    if (!active) {
+      throw registryError(`No ${modelName} version is being served`, 409);
+    }
+
+    await this._update(active, { pinned: Boolean(pinned) }, {
+      action: pinned ? 'pinned' : 'unpinned', actor: options.actor || 'system', reason: options.reason
+    });
+    return this.get(modelName, active.version);
+  }
+
+  /**
+   * Return to the version the served one replaced; the restored version is pinned so
+   * the next training run does not promote over it
+   * @param {string} modelName - Model name
+   * @param {Object} options - actor and reason
+   */
+  async rollback(modelName, options = {}) {
+    const active = await this._find(modelName, { status: 'active' });
+    if (!active || !active.previousVersion) {
+      throw registryError(`No earlier ${modelName} version to roll back to`, 409);
+    }
+    return this._serve(modelName, active.previousVersion, { ...options, pin: true, action: 'rolled_back' });
+  }
+
+  // Private helper methods
+
+  _isMock() {
+    return mongoose.connection.readyState !== 1;
+  }
+
+  _format(item) {
+    const { _id, __v, ...rest } = item;
+    return { id: _id, ...rest };
+  }
+
+  async _find(modelName, filter) {
+    if (this._isMock()) {
+      return this.mock.versions.find(version =>
+        version.modelName === modelName && Object.entries(filter).every(([key, value]) => version[key] === value)
+      ) || null;
+    }
+    return RiskModelVersion.findOne({ modelName, ...filter }).lean();
+  }
+
+  async _update(version, fields, event) {
+    const now = new Date();
+    const entry = { ...event, at: now };
+
+    if (this._isMock()) {
+      const stored = this.mock.versions.find(item => item._id === version._id);
+      Object.assign(stored, fields, { updatedAt: now });
+      stored.events.push(entry);
+    } else {
+      await RiskModelVersion.updateOne(
+        { _id: version._id },
+        { $set: { ...fields, updatedAt: now }, $push: { events: entry } }
+      );
+    }
+    this.revision++;
+  }
+
+  async _serve(modelName, versionNumber, options) {
+    const target = await this._find(modelName, { version: Number(versionNumber) });
+    if (!target) {
+      throw registryError(`${modelName} version ${versionNumber} not found`, 404);
+    }
+
+    const actor = options.actor || 'system';
+    const active = await this._find(modelName, { status: 'active' });
+
+    if (active && active.version === target.version) {
+      if (Boolean(options.pin) !== active.pinned) {
+        return this.setPinned(modelName, Boolean(options.pin), { actor, reason: options.reason });
+      }
+      return this._format(active);
+    }
+
+    if (active) {
+      await this._update(active, { status: 'retired', pinned: false, retiredAt: new Date() }, {
+        action: 'retired', actor, reason: options.reason
+      });
+    }
+
+    const fields = { status: 'active', pinned: Boolean(options.pin), activatedAt: new Date(), retiredAt: null };
+    // Rolling back walks the promotion chain backwards, so it keeps the restored version's own predecessor
+    if (options.action !== 'rolled_back') {
+      fields.previousVersion = active ? active.version : null;
+    }
+    await this._update(target, fields, { action: options.action, actor, reason: options.reason });
+
+    return this.get(modelName, target.version);
+  }
+}
+
+module.exports = new RiskModelRegistry();
@@ -2,6 +2,7 @@ const { logger } = require('../utils/logger');
 const DataScrapingService = require('./dataScrapingService');
 const DataStorageService = require('./dataStorageService');
 const jobProcessor = require('./backgroundJobProcessor');
+const jobScheduler = require('./jobSchedulerService');
 
 // Scheduled data refresh service
 class ScheduledDataRefreshService {
@@ -9,15 +10,17 @@ class ScheduledDataRefreshService {
         this.scrapingService = new DataScrapingService();
         this.storageService = new DataStorageService();
         this.jobProcessor = jobProcessor;
+        this.scheduler = jobScheduler;
         this.isRunning = false;
-        this.refreshInterval = null;
+        // Default schedules (cron, UTC). Stored schedules override these once created.
         this.refreshConfig = {
-            // Refresh intervals in minutes
-            fullRefresh: 60 * 24, // Daily full refresh
-            incrementalRefresh: 60 * 4, // Every 4 hours
-            priorityRefresh: 60, // Hourly for priority athletes
-            emergencyRefresh: 15 // Every 15 minutes for critical updates
+            fullRefresh: { cron: '0 3 * * *', description: 'Daily full refresh', runOnCreate: true, timeoutMinutes: 180 },
+            incrementalRefresh: { cron: '0 */4 * * *', description: 'Athletes updated in the last 24 hours', timeoutMinutes: 60 },
+            priorityRefresh: { cron: '30 * * * *', description: 'High-profile athletes', timeoutMinutes: 30 },
+            emergencyRefresh: { cron: '*/15 * * * *', description: 'Stale or low-confidence records', timeoutMinutes: 15 }
         };
+
+        this.scheduleRefreshes();
     }
 
     // Initialize the service
@@ -45,11 +48,8 @@ class ScheduledDataRefreshService {
             this.isRunning = true;
             logger.info('Starting scheduled data refresh service');
 
-            // Start immediate refresh
-            await this.performFullRefresh();
-
-            // Schedule regular refreshes
-            this.scheduleRefreshes();
+            // Stored schedules resume where they left off; a new full refresh schedule runs immediately
+            await this.scheduler.start();
 
             logger.info('Scheduled data refresh service started successfully');
         } catch (error) {
@@ -68,11 +68,7 @@ class ScheduledDataRefreshService {
 
         try {
             this.isRunning = false;
-
-            if (this.refreshInterval) {
-                clearInterval(this.refreshInterval);
-                this.refreshInterval = null;
-            }
+            this.scheduler.stop();
 
             logger.info('Scheduled data refresh service stopped');
         } catch (error) {
@@ -80,135 +76,94 @@ class ScheduledDataRefreshService {
         }
     }
 
-    // Schedule regular refreshes
+    // Register refresh handlers with the persistent scheduler
     scheduleRefreshes() {
-        // Full refresh every 24 hours
-        setInterval(async () => {
-            if (this.isRunning) {
-                await this.performFullRefresh();
-            }
-        }, this.refreshConfig.fullRefresh * 60 * 1000);
+        const handlers = {
+            fullRefresh: () => this.performFullRefresh(),
+            incrementalRefresh: () => this.performIncrementalRefresh(),
+            priorityRefresh: () => this.performPriorityRefresh(),
+            emergencyRefresh: () => this.performEmergencyRefresh()
+        };
 
-        // Incremental refresh every 4 hours
-        setInterval(async () => {
-            if (this.isRunning) {
-                await this.performIncrementalRefresh();
-            }
-        }, this.refreshConfig.incrementalRefresh * 60 * 1000);
+        Object.entries(handlers).forEach(([name, handler]) => {
+            this.scheduler.register(name, handler, this.refreshConfig[name]);
+        });
 
-        // Priority refresh every hour
-        setInterval(async () => {
-            if (this.isRunning) {
-                await this.performPriorityRefresh();
-            }
-        }, this.refreshConfig.priorityRefresh * 60 * 1000);
+        logger.info('Scheduled refreshes configured');
+    }
+
+    // Queue scraping jobs in batches, recording batches that fail to queue
+    async queueRefreshBatches(athletes, priority, batchSize = 10) {
+        const failures = [];
+        let athletesTouched = 0;
+
+        for (let i = 0; i < athletes.length; i += batchSize) {
+            const names = athletes.slice(i, i + batchSize).map(a => a.name);
 
-        // Emergency refresh every 15 minutes
-        setInterval(async () => {
-            if (this.isRunning) {
-                await this.performEmergencyRefresh();
+            try {
+                await this.jobProcessor.addBatchScrapingJobs(names, { sport: 'football' }, priority);
+                athletesTouched += names.length;
+            } catch (error) {
+                logger.error('Error queueing refresh batch:', error);
+                names.forEach(name => failures.push({ target: name, error: error.message }));
             }
-        }, this.refreshConfig.emergencyRefresh * 60 * 1000);
+        }
 
-        logger.info('Scheduled refreshes configured');
+        return { athletesTouched, failures };
     }
 
     // Perform full refresh of all athlete data
     async performFullRefresh() {
-        try {
-            logger.info('Starting full data refresh');
-
-            // Get all athletes from database
-            const athletes = await this.getAllAthletes();
+        logger.info('Starting full data refresh');
 
-            // Process athletes in batches
-            const batchSize = 10;
-            for (let i = 0; i < athletes.length; i += batchSize) {
-                const batch = athletes.slice(i, i + batchSize);
+        // Get all athletes from database
+        const athletes = await this.getAllAthletes();
+        const result = await this.queueRefreshBatches(athletes, 'high');
 
-                await this.jobProcessor.addBatchScrapingJobs(
-                    batch.map(a => a.name),
-                    { sport: 'football' },
-                    'high'
-                );
-            }
-
-            logger.info(`Full refresh queued for ${athletes.length} athletes`);
-        } catch (error) {
-            logger.error('Error performing full refresh:', error);
-        }
+        logger.info(`Full refresh queued for ${result.athletesTouched} of ${athletes.length} athletes`);
+        return result;
     }
 
     // Perform incremental refresh for recently updated athletes
     async performIncrementalRefresh() {
-        try {
-            logger.info('Starting incremental data refresh');
-
-            // Get athletes updated in the last 24 hours
-            const recentAthletes = await this.getRecentlyUpdatedAthletes(24);
+        logger.info('Starting incremental data refresh');
 
-            if (recentAthletes.length > 0) {
-                await this.jobProcessor.addBatchScrapingJobs(
-                    recentAthletes.map(a => a.name),
-                    { sport: 'football' },
-                    'medium'
-                );
+        // Get athletes updated in the last 24 hours
+        const recentAthletes = await this.getRecentlyUpdatedAthletes(24);
+        const result = await this.queueRefreshBatches(recentAthletes, 'medium');
 
-                logger.info(`Incremental refresh queued for ${recentAthletes.length} athletes`);
-            } else {
-                logger.info('No athletes need incremental refresh');
-            }
-        } catch (error) {
-            logger.error('Error performing incremental refresh:', error);
-        }
+        logger.info(recentAthletes.length > 0
+            ? `Incremental refresh queued for ${result.athletesTouched} athletes`
+            : 'No athletes need incremental refresh');
+        return result;
     }
 
     // Perform priority refresh for high-profile athletes
     async performPriorityRefresh() {
-        try {
-            logger.info('Starting priority data refresh');
-
-            // Get priority athletes (high ratings, recent activity, etc.)
-            const priorityAthletes = await this.getPriorityAthletes();
+        logger.info('Starting priority data refresh');
 
-            if (priorityAthletes.length > 0) {
-                await this.jobProcessor.addBatchScrapingJobs(
-                    priorityAthletes.map(a => a.name),
-                    { sport: 'football' },
-                    'high'
-                );
+        // Get priority athletes (high ratings, recent activity, etc.)
+        const priorityAthletes = await this.getPriorityAthletes();
+        const result = await this.queueRefreshBatches(priorityAthletes, 'high');
 
-                logger.info(`Priority refresh queued for ${priorityAthletes.length} athletes`);
-            } else {
-                logger.info('No priority athletes found');
-            }
-        } catch (error) {
-            logger.error('Error performing priority refresh:', error);
-        }
+        logger.info(priorityAthletes.length > 0
+            ? `Priority refresh queued for ${result.athletesTouched} athletes`
+            : 'No priority athletes found');
+        return result;
     }
 
     // Perform emergency refresh for critical updates
     async performEmergencyRefresh() {
-        try {
-            logger.info('Starting emergency data refresh');
-
-            // Get athletes with critical updates needed
-            const emergencyAthletes = await this.getEmergencyAthletes();
+        logger.info('Starting emergency data refresh');
 
-            if (emergencyAthletes.length > 0) {
-                await this.jobProcessor.addBatchScrapingJobs(
-                    emergencyAthletes.map(a => a.name),
-                    { sport: 'football' },
-                    'urgent'
-                );
+        // Get athletes with critical updates needed
+        const emergencyAthletes = await this.getEmergencyAthletes();
+        const result = await this.queueRefreshBatches(emergencyAthletes, 'urgent');
 
-                logger.info(`Emergency refresh queued for ${emergencyAthletes.length} athletes`);
-            } else {
-                logger.info('No emergency athletes found');
-            }
-        } catch (error) {
-            logger.error('Error performing emergency refresh:', error);
-        }
+        logger.info(emergencyAthletes.length > 0
+            ? `Emergency refresh queued for ${result.athletesTouched} athletes`
+            : 'No emergency athletes found');
+        return result;
     }
 
     // Process batch refresh job
@@ -351,15 +306,16 @@ class ScheduledDataRefreshService {
     // Get refresh statistics
     async getRefreshStats() {
         try {
-            const jobStats = this.jobProcessor.getStats();
+            const jobStats = await this.jobProcessor.getStats();
 
             const stats = {
                 isRunning: this.isRunning,
-                pendingJobs: jobStats.queuedJobs || 0,
-                completedJobs: jobStats.completedJobs || 0,
-                failedJobs: jobStats.failedJobs || 0,
-                activeJobs: jobStats.activeJobs || 0,
-                totalJobs: jobStats.totalJobs || 0
+                pendingJobs: jobStats.queued,
+                completedJobs: jobStats.completed,
+                failedJobs: jobStats.failed,
+                activeJobs: jobStats.activeJobs,
+                totalJobs: jobStats.total,
+                schedules: await this.scheduler.listSchedules()
             };
 
             return stats;
@@ -369,32 +325,27 @@ class ScheduledDataRefreshService {
         }
     }
 
-        // Get last job execution time
+    // Get last successful run time of a refresh schedule
     async getLastJobTime(jobType) {
         try {
-            const db = this.storageService.db;
-            const collection = db.collection('scraping_jobs');
-
-            const lastJob = await collection.findOne(
-                { type: jobType, status: 'completed' },
-                { sort: { completedAt: -1 } }
-            );
-
-            return lastJob ? lastJob.completedAt : null;
+            return await this.scheduler.getLastRunTime(jobType);
         } catch (error) {
             logger.error(`Error getting last ${jobType} time:`, error);
             return null;
         }
     }
 
-    // Configure refresh intervals
-    updateRefreshConfig(newConfig) {
-        try {
-            this.refreshConfig = { ...this.refreshConfig, ...newConfig };
-            logger.info('Refresh configuration updated:', this.refreshConfig);
-        } catch (error) {
-            logger.error('Error updating refresh config:', error);
+    // Change refresh schedules, e.g. { priorityRefresh: { cron: '0 * * * *' } }
+    async updateRefreshConfig(newConfig) {
+        for (const [name, changes] of Object.entries(newConfig)) {
+            if (!this.refreshConfig[name]) {
+                throw Object.assign(new Error(`Unknown refresh schedule: ${name}`), { status: 400 });
+            }
+            await this.scheduler.updateSchedule(name, changes);
         }
+
+        logger.info('Refresh configuration updated:', newConfig);
+        return this.scheduler.listSchedules();
     }
 
     // Utility delay function
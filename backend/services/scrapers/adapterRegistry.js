@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const SourceAdapter = require('./sourceAdapter');
+
+const DEFAULT_ADAPTER_DIR = path.join(__dirname, 'adapters');
+
+// Registry of scraping source adapters, loaded from one folder per source:
+//   adapters/<name>/index.js      - exports a SourceAdapter instance
+//   adapters/<name>/fixtures/     - saved pages (<case>.html) with expected output (<case>.json)
+class AdapterRegistry {
+    constructor(adapterDir = DEFAULT_ADAPTER_DIR) {
+        this.adapterDir = adapterDir;
+        this.adapters = new Map();
+        this.loaded = false;
+    }
+
+    // Register every adapter folder in a directory
+    loadAdapters(adapterDir = this.adapterDir) {
+        this.adapters.clear();
+
+        fs.readdirSync(adapterDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && fs.existsSync(path.join(adapterDir, entry.name, 'index.js')))
+            .forEach(entry => {
+                const adapter = require(path.join(adapterDir, entry.name));
+                this.register(adapter, path.join(adapterDir, entry.name));
+            });
+
+        this.adapterDir = adapterDir;
+        this.loaded = true;
+        return this.list();
+    }
+
+    // Check an adapter against the source contract and register it
+    register(adapter, directory) {
+        if (!(adapter instanceof SourceAdapter)) {
+            throw new Error('Scraper adapters must extend SourceAdapter');
+        }
+        if (!adapter.name || !adapter.baseUrl) {
+            throw new Error('Scraper adapter requires a name and baseUrl');
+        }
+        if (adapter.buildSearchUrls === SourceAdapter.prototype.buildSearchUrls ||
+            adapter.parseDocument === SourceAdapter.prototype.parseDocument) {
+            throw new Error(`Scraper adapter ${adapter.name} must implement buildSearchUrls and parseDocument`);
+        }
+        if (!(adapter.rateLimit.minIntervalMs > 0)) {
+            throw new Error(`Scraper adapter ${adapter.name} must set a rate limit interval`);
+        }
+
+        adapter.directory = directory;
+        this.adapters.set(adapter.name, adapter);
+        return adapter;
+    }
+
+    // Get an adapter by name
+    get(name) {
+        this._ensureLoaded();
+        const adapter = this.adapters.get(name);
+        if (!adapter) {
+            throw new Error(`No scraper adapter registered for source: ${name}`);
+        }
+        return adapter;
+    }
+
+    // All adapters in collection order
+    list() {
+        this._ensureLoaded();
+        return Array.from(this.adapters.values()).sort((a, b) => a.order - b.order);
+    }
+
+    // Saved fixture pages for an adapter, paired with their expected parse output
+    getFixtures(name) {
+        const adapter = this.get(name);
+        const fixtureDir = adapter.directory && path.join(adapter.directory, 'fixtures');
+        if (!fixtureDir || !fs.existsSync(fixtureDir)) return [];
+
+        return fs.readdirSync(fixtureDir)
+            .filter(file => file.endsWith('.html'))
+            .map(file => {
+                const caseName = path.basename(file, '.html');
+                const expectedPath = path.join(fixtureDir, `${caseName}.json`);
+                return {
+                    name: caseName,
+                    html: fs.readFileSync(path.join(fixtureDir, file), 'utf8'),
+                    ...(fs.existsSync(expectedPath) ? JSON.parse(fs.readFileSync(expectedPath, 'utf8')) : {})
+                };
+            });
+    }
+
+    // Private helper methods
+    _ensureLoaded() {
+        if (!this.loaded) {
+            this.loadAdapters();
+        }
+    }
+}
+
+module.exports = new AdapterRegistry();
@@ -0,0 +1,111 @@
+const SourceAdapter = require('../../sourceAdapter');
+
+const RESULT_SELECTORS = ['.athlete-result', '.search-result', '.athlete-card', '[data-type="athlete"]', '.result-item'];
+
+// Athletic.net: track and field and cross country results
+class AthleticNetAdapter extends SourceAdapter {
+    constructor() {
+        super({
+            name: 'athleticNet',
+            source: 'athletic.net',
+            label: 'Athletic.net',
+            baseUrl: 'https://www.athletic.net',
+            order: 3,
+            rateLimit: { minIntervalMs: 2500, jitterMs: 1000, retryAttempts: 3 }
+        });
+    }
+
+    buildSearchUrls({ name, state = 'TX' }) {
+        const q = encodeURIComponent(name);
+        return [
+            `${this.baseUrl}/Search.aspx?query=${q}&state=${state}`,
+            `${this.baseUrl}/Search.aspx?q=${q}&state=${state}`,
+            `${this.baseUrl}/athletes/search?q=${q}&state=${state}`,
+            `${this.baseUrl}/Search/?q=${q}&state=${state}`
+        ];
+    }
+
+    parseDocument($, query) {
+        const athletes = [];
+
+        RESULT_SELECTORS.forEach(selector => {
+            $(selector).each((index, element) => {
+                athletes.push(this.parseAthlete($, element));
+            });
+        });
+
+        // If no result cards matched, fall back to athlete links naming the athlete
+        if (athletes.length === 0 && query.name) {
+            $('a[href*="/athletes/"], a[href*="/track/"]').each((index, element) => {
+                const href = $(element).attr('href');
+                const text = $(element).text().trim();
+
+                if (href && text && text.toLowerCase().includes(query.name.toLowerCase())) {
+                    athletes.push(this.createRecord({
+                        name: text,
+                        profileUrl: this.absoluteUrl(href),
+                        confidence: 'medium',
+                        events: [],
+                        prs: {}
+                    }));
+                }
+            });
+        }
+
+        return athletes;
+    }
+
+    // Parse one athlete result with their events and PRs
+    parseAthlete($, element) {
+        const athlete = this.createRecord({ confidence: 'high', events: [], prs: {} });
+
+        const name = this.firstText($, element, ['.name', '.athlete-name', '.player-name', 'h3', 'h4']);
+        if (name) athlete.name = name;
+
+        const school = this.firstText($, element, ['.school', '.team', '.institution']);
+        if (school) athlete.school = school;
+
+        const grade = this.firstText($, element, ['.grade', '.year', '.class']);
+        if (grade) athlete.grade = grade;
+
+        $(element).find('.event, .performance, .result').each((index, eventElement) => {
+            const event = this.parseEvent($, eventElement);
+            athlete.events.push(event);
+
+            if (event.isPR && event.time) {
+                athlete.prs[event.event] = event.time;
+            }
+        });
+
+        const profileUrl = this.absoluteUrl($(element).find('a').first().attr('href'));
+        if (profileUrl) athlete.profileUrl = profileUrl;
+
+        return athlete;
+    }
+
+    // Parse one event row
+    parseEvent($, element) {
+        const event = {};
+
+        const name = this.firstText($, element, ['.event-name', '.event-title', '.discipline']);
+        if (name) event.event = name;
+
+        const time = this.firstText($, element, ['.time', '.result', '.performance', '.mark']);
+        if (time) event.time = time;
+
+        const date = this.firstText($, element, ['.date', '.meet-date', '.when']);
+        if (date) event.date = date;
+
+        const meet = this.firstText($, element, ['.meet', '.competition', '.venue']);
+        if (meet) event.meet = meet;
+
+        const text = $(element).text().toLowerCase();
+        event.isPR = ['.pr', '.personal-best', '.pb'].some(indicator => $(element).find(indicator).length > 0) ||
+                     text.includes('pr') ||
+                     text.includes('personal best');
+
+        return event;
+    }
+}
+
+module.exports = new AthleticNetAdapter();
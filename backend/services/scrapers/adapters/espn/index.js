@@ -0,0 +1,104 @@
+const SourceAdapter = require('../../sourceAdapter');
+
+const RESULT_SELECTORS = ['.search-results .player', '.player-result', '.athlete-card', '[data-type="player"]', '.search-item.player'];
+
+// ESPN: player pages, stats and rankings
+class EspnAdapter extends SourceAdapter {
+    constructor() {
+        super({
+            name: 'espn',
+            label: 'ESPN',
+            baseUrl: 'https://www.espn.com',
+            order: 4,
+            rateLimit: { minIntervalMs: 3000, jitterMs: 1000, retryAttempts: 3 },
+            statFields: [
+                { field: 'passingYards', labels: ['passing', 'pass'] },
+                { field: 'rushingYards', labels: ['rushing', 'rush'] },
+                { field: 'receivingYards', labels: ['receiving', 'recept'] },
+                { field: 'touchdowns', labels: ['touchdown', 'td'] },
+                { field: 'tackles', labels: ['tackle'] },
+                { field: 'sacks', labels: ['sack'] },
+                { field: 'interceptions', labels: ['interception', 'int'] }
+            ],
+            fieldAliases: { team: 'school' }
+        });
+    }
+
+    buildSearchUrls({ name }) {
+        const q = encodeURIComponent(name);
+        return [
+            `${this.baseUrl}/search/_/q/${q}`,
+            `${this.baseUrl}/search/?query=${q}&type=player`,
+            `${this.baseUrl}/players/search?q=${q}`
+        ];
+    }
+
+    parseDocument($, query) {
+        const players = [];
+
+        RESULT_SELECTORS.forEach(selector => {
+            $(selector).each((index, element) => {
+                players.push(this.parsePlayer($, element));
+            });
+        });
+
+        // If no result cards matched, fall back to player links naming the athlete
+        if (players.length === 0 && query.name) {
+            $('a[href*="/player/"], a[href*="/athletes/"]').each((index, element) => {
+                const href = $(element).attr('href');
+                const text = $(element).text().trim();
+
+                if (href && text && text.toLowerCase().includes(query.name.toLowerCase())) {
+                    players.push(this.createRecord({
+                        name: text,
+                        profileUrl: this.absoluteUrl(href),
+                        confidence: 'medium',
+                        stats: {},
+                        rankings: {}
+                    }));
+                }
+            });
+        }
+
+        return players;
+    }
+
+    // Parse one player card
+    parsePlayer($, element) {
+        const player = this.createRecord({ confidence: 'high', stats: {}, rankings: {} });
+
+        const name = this.firstText($, element, ['.player-name', '.name', '.athlete-name', 'h3', 'h4']);
+        if (name) player.name = name;
+
+        const team = this.firstText($, element, ['.team-name', '.team', '.club', '.organization']);
+        if (team) player.team = team;
+
+        const position = this.firstText($, element, ['.position', '.pos', '.role']);
+        if (position) player.position = position;
+
+        $(element).find('.stat, .statistic, .performance').each((index, stat) => {
+            const label = $(stat).find('.label, .name, .stat-label').first().text().trim().toLowerCase();
+            const value = $(stat).find('.value, .number, .stat-value').first().text().trim();
+
+            if (label && value) {
+                player.stats[this.mapStatLabel(label) || label] = this.parseNumericValue(value);
+            }
+        });
+
+        $(element).find('.ranking, .rank, .rating').each((index, ranking) => {
+            const type = $(ranking).find('.type, .category').first().text().trim().toLowerCase();
+            const value = $(ranking).find('.value, .rank, .rating').first().text().trim();
+
+            if (type && value) {
+                player.rankings[type.replace(/\s+/g, '_')] = this.parseNumericValue(value);
+            }
+        });
+
+        const profileUrl = this.absoluteUrl($(element).find('a').first().attr('href'));
+        if (profileUrl) player.profileUrl = profileUrl;
+
+        return this.mapFields(player);
+    }
+}
+
+module.exports = new EspnAdapter();
@@ -0,0 +1,133 @@
+const SourceAdapter = require('../../sourceAdapter');
+
+const HIGHLIGHT_SELECTORS = ['.highlight-card', '.video-card', '.media-card', '[data-type="highlight"]', '.highlight'];
+const ATHLETE_SELECTORS = ['.athlete-profile', '.player-card', '.athlete-card', '[data-type="athlete"]'];
+
+// HUDL: video highlights and athlete profiles
+class HudlAdapter extends SourceAdapter {
+    constructor() {
+        super({
+            name: 'hudl',
+            label: 'HUDL',
+            baseUrl: 'https://www.hudl.com',
+            order: 2,
+            rateLimit: { minIntervalMs: 3000, jitterMs: 1000, retryAttempts: 3 }
+        });
+    }
+
+    buildSearchUrls({ name, sport = 'football' }) {
+        const q = encodeURIComponent(name);
+        return [
+            `${this.baseUrl}/search?q=${q}&type=athletes`,
+            `${this.baseUrl}/search/athletes?q=${q}`,
+            `${this.baseUrl}/athletes?q=${q}`,
+            `${this.baseUrl}/search?query=${q}&filters=sport:${sport}`
+        ];
+    }
+
+    emptyResult() {
+        return { highlights: [], athleteData: [] };
+    }
+
+    parseDocument($, query) {
+        const highlights = [];
+        const athleteData = [];
+
+        HIGHLIGHT_SELECTORS.forEach(selector => {
+            $(selector).each((index, element) => {
+                highlights.push(this.parseHighlight($, element));
+            });
+        });
+
+        ATHLETE_SELECTORS.forEach(selector => {
+            $(selector).each((index, element) => {
+                athleteData.push(this.parseAthlete($, element));
+            });
+        });
+
+        // If no highlight cards matched, fall back to video links
+        if (highlights.length === 0) {
+            $('a[href*="/highlight/"], a[href*="/video/"]').each((index, element) => {
+                const href = $(element).attr('href');
+                const title = $(element).text().trim() || $(element).attr('title') || 'Untitled Highlight';
+
+                if (href) {
+                    highlights.push(this.createRecord({
+                        title,
+                        url: this.absoluteUrl(href),
+                        platform: 'hudl',
+                        uploadedAt: new Date(),
+                        views: 0,
+                        duration: '00:00',
+                        sport: query.sport || 'football',
+                        confidence: 'medium'
+                    }));
+                }
+            });
+        }
+
+        return { highlights, athleteData };
+    }
+
+    // Parse one highlight card
+    parseHighlight($, element) {
+        const highlight = this.createRecord({ platform: 'hudl', confidence: 'high' });
+
+        const title = this.firstText($, element, ['.highlight-title', '.video-title', '.title', 'h3', 'h4']);
+        if (title) highlight.title = title;
+
+        for (const selector of ['a', '.video-link', '.highlight-link']) {
+            const href = $(element).find(selector).first().attr('href');
+            if (href) {
+                highlight.url = this.absoluteUrl(href);
+                break;
+            }
+        }
+
+        for (const selector of ['img', '.thumbnail', '.video-thumbnail']) {
+            const src = $(element).find(selector).first().attr('src') || $(element).find(selector).first().attr('data-src');
+            if (src) {
+                highlight.thumbnail = this.absoluteUrl(src);
+                break;
+            }
+        }
+
+        const views = this.firstText($, element, ['.views', '.view-count', '.plays']);
+        if (views) highlight.views = this.parseNumericValue(views);
+
+        const duration = this.firstText($, element, ['.duration', '.length', '.time']);
+        if (duration) highlight.duration = duration;
+
+        for (const selector of ['.upload-date', '.date', '.uploaded', '[datetime]']) {
+            const dateStr = $(element).find(selector).first().attr('datetime') ||
+                            $(element).find(selector).first().text().trim();
+            if (dateStr) {
+                highlight.uploadedAt = new Date(dateStr);
+                break;
+            }
+        }
+
+        return highlight;
+    }
+
+    // Parse one athlete profile card
+    parseAthlete($, element) {
+        const athlete = this.createRecord({ confidence: 'high' });
+
+        const name = this.firstText($, element, ['.athlete-name', '.player-name', '.name', 'h2', 'h3']);
+        if (name) athlete.name = name;
+
+        const school = this.firstText($, element, ['.school', '.team', '.institution', '.organization']);
+        if (school) athlete.school = school;
+
+        const position = this.firstText($, element, ['.position', '.pos', '.role']);
+        if (position) athlete.position = position;
+
+        const profileUrl = this.absoluteUrl($(element).find('a').first().attr('href'));
+        if (profileUrl) athlete.profileUrl = profileUrl;
+
+        return athlete;
+    }
+}
+
+module.exports = new HudlAdapter();
@@ -0,0 +1,146 @@
+const SourceAdapter = require('../../sourceAdapter');
+
+const RESULT_SELECTORS = [
+    '.athlete-result',
+    '.search-result.athlete',
+    '.player-result',
+    '[data-type="athlete"]',
+    '.athlete-card',
+    '.search-item',
+    '.result-item'
+];
+
+// Fallback patterns for stats printed as free text ("Passing Yards: 2,850")
+const STAT_TEXT_PATTERNS = {
+    passingYards: /passing yards?:?\s*(\d+(?:,\d+)*)/i,
+    rushingYards: /rushing yards?:?\s*(\d+(?:,\d+)*)/i,
+    receivingYards: /receiving yards?:?\s*(\d+(?:,\d+)*)/i,
+    touchdowns: /touchdowns?:?\s*(\d+)/i,
+    tackles: /tackles?:?\s*(\d+)/i,
+    sacks: /sacks?:?\s*(\d+(?:\.\d+)?)/i,
+    interceptions: /interceptions?:?\s*(\d+)/i
+};
+
+// MaxPreps: high school rosters, profiles and season stats
+class MaxPrepsAdapter extends SourceAdapter {
+    constructor() {
+        super({
+            name: 'maxpreps',
+            label: 'MaxPreps',
+            baseUrl: 'https://www.maxpreps.com',
+            order: 1,
+            rateLimit: { minIntervalMs: 2000, jitterMs: 1000, retryAttempts: 3 },
+            userAgents: [
+                'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+                'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+                'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:89.0) Gecko/20100101 Firefox/89.0'
+            ],
+            statFields: [
+                { field: 'passingYards', labels: ['passing', 'pass'] },
+                { field: 'rushingYards', labels: ['rushing', 'rush'] },
+                { field: 'receivingYards', labels: ['receiving', 'recept'] },
+                { field: 'touchdowns', labels: ['touchdown', 'td'] },
+                { field: 'tackles', labels: ['tackle'] },
+                { field: 'sacks', labels: ['sack'] },
+                { field: 'interceptions', labels: ['interception', 'int'] },
+                { field: 'completionPercentage', labels: ['completion', 'comp'] }
+            ]
+        });
+    }
+
+    buildSearchUrls({ name, state = 'TX', sport = 'football' }) {
+        const q = encodeURIComponent(name);
+        return [
+            `${this.baseUrl}/search/default.aspx?q=${q}&sport=${sport}&state=${state}`,
+            `${this.baseUrl}/search/default.aspx?q=${q}&sport=${sport}`,
+            `${this.baseUrl}/search/?q=${q}&state=${state}`,
+            `${this.baseUrl}/search/?q=${q}`
+        ];
+    }
+
+    parseDocument($, query) {
+        const athletes = [];
+
+        for (const selector of RESULT_SELECTORS) {
+            $(selector).each((index, element) => {
+                const athlete = this.parseAthlete($, element);
+                if (athlete && athlete.name) {
+                    athletes.push(athlete);
+                }
+            });
+
+            if (athletes.length > 0) break;
+        }
+
+        // If no result cards matched, fall back to profile links
+        if (athletes.length === 0 && query.name) {
+            const firstName = query.name.toLowerCase().split(' ')[0];
+            $('a[href*="/athlete/"], a[href*="/player/"], a[href*="football"]').each((index, element) => {
+                const href = $(element).attr('href');
+                const text = $(element).text().trim();
+
+                if (text && href && (text.toLowerCase().includes(firstName) || href.toLowerCase().includes('football'))) {
+                    athletes.push(this.createRecord({
+                        name: text,
+                        profileUrl: this.absoluteUrl(href),
+                        confidence: 'low'
+                    }));
+                }
+            });
+        }
+
+        return athletes;
+    }
+
+    // Parse one athlete result card
+    parseAthlete($, element) {
+        const athlete = this.createRecord({ confidence: 'high' });
+
+        const name = this.firstText($, element, ['.athlete-name', '.name', '.player-name', 'h3', 'h4', '.title']);
+        if (name) athlete.name = name;
+
+        const school = this.firstText($, element, ['.school-name', '.school', '.team', '.institution']);
+        if (school) athlete.school = school;
+
+        const position = this.firstText($, element, ['.position', '.pos', '.role']);
+        if (position) athlete.position = position;
+
+        const year = this.firstText($, element, ['.grad-year', '.year', '.class', '.graduation']);
+        if (year && /^\d{4}$/.test(year)) athlete.year = parseInt(year);
+
+        const profileUrl = this.absoluteUrl($(element).find('a').first().attr('href'));
+        if (profileUrl) athlete.profileUrl = profileUrl;
+
+        athlete.stats = this.parseStats($, element);
+        return athlete;
+    }
+
+    // Parse labelled stat blocks, then any stats written out in the card text
+    parseStats($, element) {
+        const stats = {};
+
+        ['.stat-item', '.stats', '.performance', '.metrics'].forEach(selector => {
+            $(element).find(selector).each((index, stat) => {
+                const label = $(stat).find('.stat-label, .label, .name').first().text().trim();
+                const value = $(stat).find('.stat-value, .value, .number').first().text().trim();
+                const field = this.mapStatLabel(label);
+
+                if (field) {
+                    stats[field] = this.parseNumericValue(field === 'completionPercentage' ? value.replace('%', '') : value);
+                }
+            });
+        });
+
+        const textContent = $(element).text();
+        Object.entries(STAT_TEXT_PATTERNS).forEach(([stat, pattern]) => {
+            const match = textContent.match(pattern);
+            if (match && !stats[stat]) {
+                stats[stat] = this.parseNumericValue(match[1]);
+            }
+        });
+
+        return stats;
+    }
+}
+
+module.exports = new MaxPrepsAdapter();
@@ -0,0 +1,102 @@
+const SourceAdapter = require('../../sourceAdapter');
+
+const RESULT_SELECTORS = ['.recruit', '.player-card', '.athlete-card', '[data-type="recruit"]', '.search-result'];
+
+// 247Sports: recruiting ratings, stars, rankings and offers
+class Rivals247Adapter extends SourceAdapter {
+    constructor() {
+        super({
+            name: 'rivals247',
+            source: '247sports',
+            label: '247Sports',
+            baseUrl: 'https://247sports.com',
+            order: 5,
+            rateLimit: { minIntervalMs: 2500, jitterMs: 1000, retryAttempts: 3 }
+        });
+    }
+
+    buildSearchUrls({ name, year = new Date().getFullYear() }) {
+        const q = encodeURIComponent(name);
+        return [
+            `${this.baseUrl}/Search/?q=${q}&year=${year}`,
+            `${this.baseUrl}/players/search?q=${q}&year=${year}`,
+            `${this.baseUrl}/search/?query=${q}&year=${year}`,
+            `${this.baseUrl}/PlayerSearch.aspx?q=${q}&year=${year}`
+        ];
+    }
+
+    parseDocument($, query) {
+        const recruits = [];
+
+        RESULT_SELECTORS.forEach(selector => {
+            $(selector).each((index, element) => {
+                recruits.push(this.parseRecruit($, element));
+            });
+        });
+
+        // If no result cards matched, fall back to recruit links naming the athlete
+        if (recruits.length === 0 && query.name) {
+            $('a[href*="/player/"], a[href*="/recruit/"]').each((index, element) => {
+                const href = $(element).attr('href');
+                const text = $(element).text().trim();
+
+                if (href && text && text.toLowerCase().includes(query.name.toLowerCase())) {
+                    recruits.push(this.createRecord({
+                        name: text,
+                        profileUrl: this.absoluteUrl(href),
+                        confidence: 'medium',
+                        rating: 0,
+                        stars: 0,
+                        ranking: 0,
+                        offers: 0
+                    }));
+                }
+            });
+        }
+
+        return recruits;
+    }
+
+    // Parse one recruit card
+    parseRecruit($, element) {
+        const recruit = this.createRecord({ confidence: 'high' });
+
+        const name = this.firstText($, element, ['.name', '.player-name', '.athlete-name', 'h3', 'h4']);
+        if (name) recruit.name = name;
+
+        const school = this.firstText($, element, ['.school', '.high-school', '.institution']);
+        if (school) recruit.school = school;
+
+        const position = this.firstText($, element, ['.position', '.pos', '.role']);
+        if (position) recruit.position = position;
+
+        const rating = this.firstText($, element, ['.rating', '.score', '.composite-rating']);
+        if (rating) recruit.rating = this.parseNumericValue(rating);
+
+        // Stars are usually icons; some layouts print "4 star" instead
+        recruit.stars = $(element).find('.stars .star, .star-rating .star').length;
+        if (recruit.stars === 0) {
+            const starMatch = ($(element).find('.stars, .star-rating').first().text().trim()).match(/(\d+)\s*star/i);
+            if (starMatch) recruit.stars = parseInt(starMatch[1]);
+        }
+
+        const ranking = this.firstText($, element, ['.ranking', '.rank', '.national-rank']);
+        if (ranking) recruit.ranking = this.parseNumericValue(ranking);
+
+        const offers = this.firstText($, element, ['.offers', '.offer-count', '.scholarships']);
+        if (offers) recruit.offers = this.parseNumericValue(offers);
+
+        const height = this.firstText($, element, ['.height', '.ht']);
+        if (height) recruit.height = height;
+
+        const weight = this.firstText($, element, ['.weight', '.wt']);
+        if (weight) recruit.weight = this.parseNumericValue(weight);
+
+        const profileUrl = this.absoluteUrl($(element).find('a').first().attr('href'));
+        if (profileUrl) recruit.profileUrl = profileUrl;
+
+        return recruit;
+    }
+}
+
+module.exports = new Rivals247Adapter();
@@ -0,0 +1,117 @@
+const cheerio = require('cheerio');
+const { logger } = require('../../utils/logger');
+
+const DEFAULT_USER_AGENTS = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+];
+
+// Base class for scraping source adapters. An adapter owns everything specific to one
+// site: how to search it, how fast it may be requested, how to parse its pages and how
+// its labels map onto our athlete fields. DataScrapingService only fetches and combines.
+class SourceAdapter {
+    constructor(config) {
+        this.name = config.name; // Registry key and key in collected results
+        this.source = config.source || config.name; // Stamped on every parsed record
+        this.label = config.label || config.name;
+        this.baseUrl = config.baseUrl;
+        this.order = config.order || 100; // Collection order; earlier sources merge first
+        this.rateLimit = {
+            minIntervalMs: 2000,
+            jitterMs: 1000,
+            retryAttempts: 3,
+            ...config.rateLimit
+        };
+        this.userAgents = config.userAgents || DEFAULT_USER_AGENTS;
+        this.statFields = config.statFields || [];
+        this.fieldAliases = config.fieldAliases || {};
+    }
+
+    // Search URLs to try in order for a query ({ name, state, sport, year })
+    buildSearchUrls(query) {
+        throw new Error(`${this.name} adapter must implement buildSearchUrls`);
+    }
+
+    // Parse a loaded search page into the adapter's result shape
+    parseDocument($, query) {
+        throw new Error(`${this.name} adapter must implement parseDocument`);
+    }
+
+    // Result used when every search URL fails
+    emptyResult() {
+        return [];
+    }
+
+    // Fetch the first search URL that responds and parse it
+    async search(query, fetchPage) {
+        for (const url of this.buildSearchUrls(query)) {
+            let html;
+            try {
+                html = await fetchPage(url);
+            } catch (error) {
+                logger.debug(`${this.label} search URL failed: ${url}`);
+                continue;
+            }
+            return this.parse(html, query);
+        }
+
+        logger.warn(`All ${this.label} search URLs failed for athlete: ${query.name}`);
+        return this.emptyResult();
+    }
+
+    // Parse raw HTML; fixture tests call this directly
+    parse(html, query = {}) {
+        return this.parseDocument(cheerio.load(html), query);
+    }
+
+    // Rename a parsed record's fields onto the athlete schema
+    mapFields(record) {
+        return Object.entries(record).reduce((mapped, [field, value]) => {
+            mapped[this.fieldAliases[field] || field] = value;
+            return mapped;
+        }, {});
+    }
+
+    // Map a stat label as printed on the page onto a stat key; first matching field wins
+    mapStatLabel(label) {
+        const normalized = (label || '').toLowerCase();
+        const match = this.statFields.find(field => field.labels.some(text => normalized.includes(text)));
+        return match ? match.field : null;
+    }
+
+    // New record stamped with this source
+    createRecord(fields = {}) {
+        return {
+            source: this.source,
+            scrapedAt: new Date(),
+            ...fields
+        };
+    }
+
+    // Text of the first selector that matches inside an element
+    firstText($, element, selectors) {
+        for (const selector of selectors) {
+            const text = $(element).find(selector).first().text().trim();
+            if (text) return text;
+        }
+        return undefined;
+    }
+
+    // Resolve a site-relative link against the adapter's base URL
+    absoluteUrl(href) {
+        if (!href) return undefined;
+        return href.startsWith('http') ? href : `${this.baseUrl}${href}`;
+    }
+
+    // Parse numeric values such as '2,850 yds' or '4.5'
+    parseNumericValue(value) {
+        if (!value) return 0;
+
+        const cleaned = value.toString().replace(/,/g, '');
+        const match = cleaned.match(/(\d+(?:\.\d+)?)/);
+
+        return match ? parseFloat(match[1]) : 0;
+    }
+}
+
+module.exports = SourceAdapter;
@@ -0,0 +1,370 @@
+const mongoose = require('mongoose');
+const { logger } = require('../../utils/logger');
+const adapterRegistry = require('./adapterRegistry');
+const ScrapeHealthBucket = require('../../models/scrapeHealthBucketModel');
+const ScrapeSample = require('../../models/scrapeSampleModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+const META_FIELDS = ['source', 'confidence', 'scrapedAt'];
+const MAX_SAMPLE_HTML = 200 * 1024;
+const LAYOUT_DRIFT_KINDS = ['yield_drop', 'field_drop'];
+
+const floorHour = (time) => new Date(Math.floor(new Date(time).getTime() / HOUR_MS) * HOUR_MS);
+const encodeField = (field) => field.replace(/\./g, ':');
+const decodeField = (key) => key.replace(/:/g, '.');
+const ratio = (part, whole) => (whole > 0 ? part / whole : 0);
+const isFilled = (value) => value !== null && value !== undefined && value !== '' &&
+    !(typeof value === 'number' && Number.isNaN(value)) && !(Array.isArray(value) && value.length === 0);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Per-source scraping health. Fetch outcomes and parse yield (records per page, which fields
+// each record filled) are counted in hourly buckets; the recent window is compared with the
+// baseline before it, and a sudden drop in yield or field fill rate is flagged as drift -
+// usually a site layout change that broke the adapter's selectors. Pages that gave no
+// records are kept as samples so the adapter can be fixed against the real HTML.
+class SourceHealthService {
+    constructor(registry = adapterRegistry) {
+        this.registry = registry;
+        this.thresholds = {
+            recentHours: 6,
+            baselineHours: 7 * 24,
+            minRecentPages: 5,
+            minBaselinePages: 20,
+            yieldDropRatio: 0.5, // records per page below half the baseline
+            emptyPageRise: 0.4, // share of pages with no records up by 40 points
+            minBaselineFillRate: 0.6, // only fields the source usually fills
+            fieldDropRatio: 0.5, // field fill rate below half the baseline
+            maxHttpErrorRate: 0.3
+        };
+        this.samplesPerSource = 20;
+        this.sampleIntervalMs = 10 * 60 * 1000; // at most one sample per source and reason
+        this.lastSampleAt = new Map();
+        this.mockBuckets = new Map(); // In-memory fallback while Mongo is not connected
+        this.mockSamples = [];
+    }
+
+    // Record one HTTP attempt; status is the response code or 'timeout' / 'network'.
+    // Failed responses with a body are kept as samples.
+    async recordFetch(source, { url, status, html, at = new Date() }) {
+        try {
+            await this._increment(source, at, { fetches: 1, [`statuses.${status}`]: 1 });
+
+            if (typeof html === 'string' && (typeof status !== 'number' || status >= 400)) {
+                await this._saveSample(source, { url, status, reason: 'http_error', html }, at);
+            }
+        } catch (error) {
+            logger.warn(`Failed to record fetch health for ${source}:`, error.message);
+        }
+    }
+
+    // Record a parsed page: how many records it gave and which fields each record filled
+    async recordParse(source, { url, status, html }, result, at = new Date()) {
+        try {
+            const records = this.getRecords(result);
+            const changes = { pages: 1, records: records.length, fieldsExtracted: 0 };
+
+            records.forEach(record => {
+                this.getFilledFields(record).forEach(field => {
+                    const key = `fields.${encodeField(field)}`;
+                    changes[key] = (changes[key] || 0) + 1;
+                    changes.fieldsExtracted++;
+                });
+            });
+
+            if (records.length === 0) {
+                changes.emptyPages = 1;
+            }
+
+            await this._increment(source, at, changes);
+
+            if (records.length === 0) {
+                await this._saveSample(source, { url, status, reason: 'empty_page', html }, at);
+            }
+        } catch (error) {
+            logger.warn(`Failed to record parse health for ${source}:`, error.message);
+        }
+    }
+
+    // Record a page whose parser threw
+    async recordParseError(source, { url, status, html }, parseError, at = new Date()) {
+        try {
+            await this._increment(source, at, { pages: 1, emptyPages: 1, parseErrors: 1 });
+            await this._saveSample(source, { url, status, reason: 'parse_error', error: parseError.message, html }, at);
+        } catch (error) {
+            logger.warn(`Failed to record parse error for ${source}:`, error.message);
+        }
+    }
+
+    // Health of every registered source: recent window against baseline, drift flags and samples
+    async getSourceHealth({ hours = this.thresholds.recentHours, now = new Date() } = {}) {
+        const recentStart = new Date(floorHour(now).getTime() - (hours - 1) * HOUR_MS);
+        const baselineStart = new Date(recentStart.getTime() - this.thresholds.baselineHours * HOUR_MS);
+        const buckets = await this._findBuckets(baselineStart);
+
+        const sources = new Map(this.registry.list().map(adapter => [adapter.name, adapter.label]));
+        buckets.forEach(bucket => {
+            if (!sources.has(bucket.source)) sources.set(bucket.source, bucket.source);
+        });
+
+        const health = [];
+        for (const [source, label] of sources) {
+            const sourceBuckets = buckets.filter(bucket => bucket.source === source);
+            const recentBuckets = sourceBuckets.filter(bucket => new Date(bucket.hour) >= recentStart);
+            const baselineBuckets = sourceBuckets.filter(bucket => new Date(bucket.hour) < recentStart);
+
+            const current = this.summarize(recentBuckets);
+            const baseline = this.summarize(baselineBuckets);
+            const drift = this.detectDrift(current, baseline);
+
+            health.push({
+                source,
+                label,
+                status: this.getStatus(current, drift),
+                window: { from: recentStart, to: now, hours },
+                baselineWindow: { from: baselineStart, to: recentStart },
+                current: this._withNullRates(current, baseline),
+                baseline: this._withNullRates(baseline, current),
+                drift,
+                samples: await this.getSamples(source, { limit: 5 })
+            });
+        }
+
+        return health;
+    }
+
+    // Add up hourly buckets into one window
+    summarize(buckets) {
+        const totals = { fetches: 0, pages: 0, emptyPages: 0, parseErrors: 0, records: 0, fieldsExtracted: 0, statusMix: {}, fieldCounts: {} };
+
+        buckets.forEach(bucket => {
+            ['fetches', 'pages', 'emptyPages', 'parseErrors', 'records', 'fieldsExtracted'].forEach(key => {
+                totals[key] += bucket[key] || 0;
+            });
+            Object.entries(bucket.statuses || {}).forEach(([status, count]) => {
+                totals.statusMix[status] = (totals.statusMix[status] || 0) + count;
+            });
+            Object.entries(bucket.fields || {}).forEach(([key, count]) => {
+                const field = decodeField(key);
+                totals.fieldCounts[field] = (totals.fieldCounts[field] || 0) + count;
+            });
+        });
+
+        const failedFetches = Object.entries(totals.statusMix)
+            .filter(([status]) => !/^[23]\d\d$/.test(status))
+            .reduce((sum, [, count]) => sum + count, 0);
+
+        return {
+            ...totals,
+            httpErrorRate: ratio(failedFetches, totals.fetches),
+            emptyPageRate: ratio(totals.emptyPages, totals.pages),
+            recordsPerPage: ratio(totals.records, totals.pages),
+            fieldsPerRecord: ratio(totals.fieldsExtracted, totals.records)
+        };
+    }
+
+    // Compare a recent window with its baseline
+    detectDrift(current, baseline) {
+        const t = this.thresholds;
+        const drift = [];
+
+        if (current.fetches >= t.minRecentPages && current.httpErrorRate > t.maxHttpErrorRate) {
+            drift.push({
+                kind: 'http_errors',
+                metric: 'httpErrorRate',
+                current: current.httpErrorRate,
+                baseline: baseline.httpErrorRate,
+                statusMix: current.statusMix
+            });
+        }
+
+        if (current.pages < t.minRecentPages || baseline.pages < t.minBaselinePages) {
+            return drift;
+        }
+
+        if (baseline.recordsPerPage > 0 && current.recordsPerPage < baseline.recordsPerPage * t.yieldDropRatio) {
+            drift.push({ kind: 'yield_drop', metric: 'recordsPerPage', current: current.recordsPerPage, baseline: baseline.recordsPerPage });
+        }
+        if (current.emptyPageRate - baseline.emptyPageRate >= t.emptyPageRise) {
+            drift.push({ kind: 'yield_drop', metric: 'emptyPageRate', current: current.emptyPageRate, baseline: baseline.emptyPageRate });
+        }
+
+        if (current.records > 0 && baseline.records > 0) {
+            Object.entries(baseline.fieldCounts).forEach(([field, count]) => {
+                const baselineFill = count / baseline.records;
+                const currentFill = (current.fieldCounts[field] || 0) / current.records;
+
+                if (baselineFill >= t.minBaselineFillRate && currentFill < baselineFill * t.fieldDropRatio) {
+                    drift.push({ kind: 'field_drop', metric: 'fieldNullRate', field, current: 1 - currentFill, baseline: 1 - baselineFill });
+                }
+            });
+        }
+
+        return drift;
+    }
+
+    // healthy | degraded (HTTP failures) | drifting (layout change) | no_data
+    getStatus(current, drift) {
+        if (drift.some(flag => LAYOUT_DRIFT_KINDS.includes(flag.kind))) return 'drifting';
+        if (drift.length > 0) return 'degraded';
+        if (current.fetches === 0 && current.pages === 0) return 'no_data';
+        return 'healthy';
+    }
+
+    // Sample pages for a source, newest first, without their HTML
+    async getSamples(source, { limit = 20 } = {}) {
+        if (this._isConnected()) {
+            return ScrapeSample.find({ source })
+                .select('-html')
+                .sort({ capturedAt: -1 })
+                .limit(limit)
+                .lean()
+                .then(samples => samples.map(sample => this.formatSample(sample)));
+        }
+
+        return this.mockSamples
+            .filter(sample => sample.source === source)
+            .sort((a, b) => b.capturedAt - a.capturedAt)
+            .slice(0, limit)
+            .map(({ html, ...sample }) => this.formatSample(sample));
+    }
+
+    // One sample page with its HTML
+    async getSample(source, sampleId) {
+        const sample = this._isConnected()
+            ? await ScrapeSample.findOne({ _id: sampleId, source }).lean()
+            : this.mockSamples.find(s => s._id === sampleId && s.source === source);
+
+        if (!sample) {
+            throw Object.assign(new Error(`Sample ${sampleId} not found for ${source}`), { status: 404 });
+        }
+        return this.formatSample(sample);
+    }
+
+    // Parsed records from an adapter result; multi-list results (HUDL) are flattened
+    getRecords(result) {
+        if (!result) return [];
+        return Array.isArray(result) ? result : [].concat(...Object.values(result).filter(Array.isArray));
+    }
+
+    // Field paths a record filled; nested objects such as stats count per key
+    getFilledFields(record, prefix = '') {
+        return Object.entries(record).reduce((fields, [key, value]) => {
+            if (!prefix && META_FIELDS.includes(key)) return fields;
+
+            const field = prefix ? `${prefix}.${key}` : key;
+            if (isPlainObject(value)) {
+                fields.push(...this.getFilledFields(value, field));
+            } else if (isFilled(value)) {
+                fields.push(field);
+            }
+            return fields;
+        }, []);
+    }
+
+    formatSample(sample) {
+        const { _id, ...rest } = sample;
+        return { id: _id, ...rest };
+    }
+
+    // Private helper methods
+
+    _isConnected() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    // Null rate per field over both windows' fields, so a field that vanished shows as 100%
+    _withNullRates(summary, other) {
+        const { fieldCounts, ...rest } = summary;
+        const fields = [...new Set([...Object.keys(fieldCounts), ...Object.keys(other.fieldCounts)])].sort();
+        const fieldNullRates = {};
+
+        if (summary.records > 0) {
+            fields.forEach(field => {
+                fieldNullRates[field] = 1 - (fieldCounts[field] || 0) / summary.records;
+            });
+        }
+
+        return { ...rest, fieldNullRates };
+    }
+
+    async _increment(source, at, changes) {
+        const hour = floorHour(at);
+
+        if (this._isConnected()) {
+            await ScrapeHealthBucket.updateOne(
+                { source, hour },
+                { $inc: changes, $set: { updatedAt: new Date() } },
+                { upsert: true }
+            );
+            return;
+        }
+
+        const key = `${source}|${hour.toISOString()}`;
+        if (!this.mockBuckets.has(key)) {
+            this.mockBuckets.set(key, { source, hour, statuses: {}, fields: {} });
+        }
+        const bucket = this.mockBuckets.get(key);
+
+        Object.entries(changes).forEach(([path, count]) => {
+            const [head, nested] = path.split(/\.(.+)/);
+            if (nested) {
+                bucket[head][nested] = (bucket[head][nested] || 0) + count;
+            } else {
+                bucket[head] = (bucket[head] || 0) + count;
+            }
+        });
+    }
+
+    async _findBuckets(since) {
+        if (this._isConnected()) {
+            return ScrapeHealthBucket.find({ hour: { $gte: since } }).lean();
+        }
+        return Array.from(this.mockBuckets.values()).filter(bucket => bucket.hour >= since);
+    }
+
+    // Keep a failing page, throttled per source and reason and capped per source
+    async _saveSample(source, { url, status, reason, error, html }, at) {
+        const throttleKey = `${source}|${reason}`;
+        if (at - (this.lastSampleAt.get(throttleKey) || 0) < this.sampleIntervalMs) {
+            return null;
+        }
+        this.lastSampleAt.set(throttleKey, at.getTime());
+
+        const body = typeof html === 'string' ? html : '';
+        const sample = {
+            _id: `sample_${at.getTime()}_${Math.random().toString(36).slice(2, 8)}`,
+            source,
+            url,
+            status,
+            reason,
+            error,
+            html: body.slice(0, MAX_SAMPLE_HTML),
+            truncated: body.length > MAX_SAMPLE_HTML,
+            capturedAt: at
+        };
+
+        if (this._isConnected()) {
+            await ScrapeSample.create(sample);
+            const stale = await ScrapeSample.find({ source })
+                .sort({ capturedAt: -1 })
+                .skip(this.samplesPerSource)
+                .select('_id')
+                .lean();
+            if (stale.length > 0) {
+                await ScrapeSample.deleteMany({ _id: { $in: stale.map(s => s._id) } });
+            }
+        } else {
+            this.mockSamples.push(sample);
+            const kept = this.mockSamples
+                .filter(s => s.source === source)
+                .sort((a, b) => b.capturedAt - a.capturedAt)
+                .slice(0, this.samplesPerSource);
+            this.mockSamples = this.mockSamples.filter(s => s.source !== source || kept.includes(s));
+        }
+
+        logger.info(`Saved ${reason} sample for ${source}: ${url}`);
+        return sample;
+    }
+}
+
+module.exports = new SourceHealthService();
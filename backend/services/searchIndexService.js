@@ -0,0 +1,506 @@
+const mongoose = require('mongoose');
+const { extractState } = require('../utils/location');
+
+const FACETS = ['sport', 'position', 'state', 'class', 'garBand', 'stars', 'hasHighlights'];
+// Facets listed in their natural order instead of by count
+const ORDERED_FACETS = {
+  garBand: ['90-100', '80-89', '70-79', '60-69', '0-59'],
+  stars: ['5', '4', '3', '2', '1', '0'],
+  hasHighlights: ['true', 'false']
+};
+const GAR_BANDS = [[90, '90-100'], [80, '80-89'], [70, '70-79'], [60, '60-69'], [0, '0-59']];
+// Relevance weight of a term by the field it came from
+const FIELD_WEIGHTS = { name: 3, school: 1.5, position: 1, location: 1 };
+const SORTS = ['relevance', 'garScore', 'stars', 'name', 'recent'];
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+const MIN_PREFIX_LENGTH = 2;
+const PREFIX_QUALITY = 0.8;
+const TYPO_PENALTY = 0.3;
+const MAX_AGE_MS = 15 * 60 * 1000;
+
+const searchError = (message, status) => Object.assign(new Error(message), { status });
+
+// Lowercase, accent-free word tokens
+const tokenize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Typos allowed for a query term: none for short terms, two for long ones
+const maxEdits = (term) => (term.length < 4 ? 0 : term.length < 8 ? 1 : 2);
+
+// Optimal string alignment distance (adjacent swaps count once), giving up past max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (value, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      let value = Math.min(
+        previous[j] + 1,
+        row[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, before[j - 2] + 1);
+      }
+      row[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    before = previous;
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+// In-process inverted index over player profiles and scraped athlete records. Both write
+// paths index through this service, and each process rebuilds its copy from the database
+// when it is first searched and again once it is older than maxAgeMs, so writes made by
+// other instances show up within that window.
+class SearchIndexService {
+  constructor() {
+    this.index = this._createIndex();
+    this.builtAt = null;
+    this.building = null;
+    // Writes that land while a rebuild is loading, replayed onto the new index
+    this.pendingWrites = null;
+    this.maxAgeMs = MAX_AGE_MS;
+    this.storageService = null;
+    this.storageReady = null;
+  }
+
+  /**
+   * Add or replace one athlete in the index
+   * @param {string} source - 'players' (Player profiles) or 'athleteData' (scraped records)
+   * @param {Object} record - Stored record
+   */
+  indexAthlete(source, record) {
+    if (!record?._id) return;
+
+    const document = this._toDocument(source, record);
+    this._addDocument(this.index, document);
+    if (this.pendingWrites) {
+      this.pendingWrites.push(index => this._addDocument(index, document));
+    }
+  }
+
+  /**
+   * Drop one athlete from the index
+   * @param {string} source - 'players' or 'athleteData'
+   * @param {string} id - Record id
+   */
+  removeAthlete(source, id) {
+    const key = `${source}:${id}`;
+    this._removeDocument(this.index, key);
+    if (this.pendingWrites) {
+      this.pendingWrites.push(index => this._removeDocument(index, key));
+    }
+  }
+
+  /**
+   * Reload every source into a fresh index and swap it in. A source that fails to load
+   * keeps its current documents.
+   */
+  async rebuild() {
+    if (this.building) return this.building;
+
+    this.building = (async () => {
+      this.pendingWrites = [];
+      const fresh = this._createIndex();
+      const sources = {};
+      const failures = [];
+
+      for (const [source, load] of Object.entries(this._loaders())) {
+        try {
+          const records = await load();
+          records.forEach(record => {
+            if (record?._id) this._addDocument(fresh, this._toDocument(source, record));
+          });
+          sources[source] = records.length;
+        } catch (error) {
+          console.error(`Error loading ${source} into the search index:`, error);
+          failures.push({ target: source, error: error.message });
+          this.index.documents.forEach(document => {
+            if (document.source === source) this._addDocument(fresh, document);
+          });
+        }
+      }
+
+      this.pendingWrites.forEach(write => write(fresh));
+      this.index = fresh;
+      this.builtAt = new Date();
+
+      return {
+        athletesTouched: fresh.documents.size,
+        failures,
+        details: { sources, terms: fresh.postings.size }
+      };
+    })().finally(() => {
+      this.pendingWrites = null;
+      this.building = null;
+    });
+
+    return this.building;
+  }
+
+  /**
+   * Typo-tolerant athlete search with facet counts
+   * @param {Object} params - q, sport, position, state, class, garBand, stars, hasHighlights
+   *   (comma-separated values are OR'ed), source, sort, page and limit
+   * @returns {Object} results, total, page, limit, sort and facets ({ facet: [{ value, count }] })
+   */
+  async search(params = {}) {
+    await this._ensureFresh();
+
+    const started = Date.now();
+    const { q, tokens, filters, source, sort, page, limit } = this._parseParams(params);
+    const scores = tokens.length > 0 ? this._match(tokens) : null;
+
+    let candidates = scores
+      ? [...scores.keys()].map(key => this.index.documents.get(key))
+      : [...this.index.documents.values()];
+    if (source) {
+      candidates = candidates.filter(document => document.source === source);
+    }
+
+    const matches = candidates.filter(document => this._matchesFilters(document, filters));
+    const sorted = this._sort(matches, sort, scores);
+    const results = sorted.slice((page - 1) * limit, page * limit).map(document => ({
+      ...document.summary,
+      score: scores ? Math.round(scores.get(document.key) * 100) / 100 : undefined
+    }));
+
+    return {
+      query: q,
+      total: matches.length,
+      page,
+      limit,
+      sort,
+      results,
+      facets: this._countFacets(candidates, filters),
+      tookMs: Date.now() - started
+    };
+  }
+
+  /**
+   * Size and age of this process's index
+   */
+  getStatus() {
+    const sources = {};
+    this.index.documents.forEach(document => {
+      sources[document.source] = (sources[document.source] || 0) + 1;
+    });
+
+    return {
+      documents: this.index.documents.size,
+      terms: this.index.postings.size,
+      sources,
+      builtAt: this.builtAt,
+      rebuilding: !!this.building
+    };
+  }
+
+  // Private helper methods
+
+  _createIndex() {
+    return { documents: new Map(), postings: new Map() };
+  }
+
+  _loaders() {
+    return {
+      players: async () => {
+        if (mongoose.connection.readyState !== 1) return [];
+        // Required here: the Player model indexes its own writes through this service
+        const Player = require('../models/playerModel');
+        return Player.find().select('-stats -garBreakdown -achievements').lean();
+      },
+      athleteData: async () => {
+        const storage = await this._getStorage();
+        if (storage.isMock) return [...storage.mockCollections.athleteData];
+        return storage.db.collection(storage.collections.athleteData)
+          .find({}, { projection: { stats: 0, provenance: 0, identity: 0 } })
+          .toArray();
+      }
+    };
+  }
+
+  async _getStorage() {
+    const storage = this._normalizer();
+    if (!this.storageReady) {
+      this.storageReady = storage.initialize();
+    }
+    await this.storageReady;
+    return storage;
+  }
+
+  // Build on first use; afterwards refresh in the background and answer from the current copy
+  async _ensureFresh() {
+    if (!this.builtAt) {
+      await this.rebuild();
+    } else if (!this.building && Date.now() - this.builtAt.getTime() > this.maxAgeMs) {
+      this.rebuild().catch(error => console.error('Error rebuilding search index:', error));
+    }
+  }
+
+  // The storage service's sport and position normalizers, so both sources facet alike
+  _normalizer() {
+    if (!this.storageService) {
+      // Required here: the storage service indexes its own writes through this service
+      const DataStorageService = require('./dataStorageService');
+      this.storageService = new DataStorageService();
+    }
+    return this.storageService;
+  }
+
+  _toDocument(source, record) {
+    const normalizer = this._normalizer();
+    const id = String(record._id);
+    const sport = normalizer.normalizeSport(record.sport);
+    const position = record.position ? normalizer.normalizePosition(record.position, sport) : null;
+    const recruiting = record.recruitingData || {};
+    const location = recruiting.location || record.location || record.hometown;
+    const stars = this._toNumber(record.stars ?? recruiting.stars);
+    const garScore = this._toNumber(record.garScore);
+    const highlights = Array.isArray(record.highlights) ? record.highlights : [];
+    const classOf = recruiting.recruitingClass || record.classYear || record.graduationYear || record.year;
+    const state = this._parseState(record.state || recruiting.state, location);
+
+    const fields = {
+      name: record.name,
+      school: record.school,
+      position: [position, record.position].filter(Boolean).join(' '),
+      location
+    };
+    const terms = new Map();
+    Object.entries(fields).forEach(([field, text]) => {
+      tokenize(text).forEach(term => {
+        terms.set(term, Math.max(terms.get(term) || 0, FIELD_WEIGHTS[field]));
+      });
+    });
+
+    return {
+      key: `${source}:${id}`,
+      source,
+      terms,
+      name: record.name || '',
+      garScore,
+      stars,
+      updatedAt: record.updatedAt ? new Date(record.updatedAt).getTime() : 0,
+      facets: {
+        sport,
+        position,
+        state,
+        class: classOf ? String(classOf) : null,
+        garBand: garScore === null ? null : GAR_BANDS.find(([min]) => garScore >= min)[1],
+        stars: stars === null ? null : String(Math.min(5, Math.max(0, Math.round(stars)))),
+        hasHighlights: String(highlights.length > 0)
+      },
+      // What a result card needs, so searches never go back to the database
+      summary: {
+        _id: id,
+        source,
+        name: record.name,
+        sport,
+        position,
+        school: record.school,
+        year: record.year,
+        height: record.height,
+        weight: record.weight,
+        garScore,
+        stars,
+        state,
+        profileImage: record.profileImage,
+        isHighlighted: !!record.isHighlighted,
+        socialMedia: record.socialMedia,
+        recruitingData: {
+          rating: recruiting.rating,
+          stars: recruiting.stars,
+          offers: recruiting.offers,
+          location,
+          recruitingClass: recruiting.recruitingClass
+        },
+        highlights: highlights.slice(0, 3).map(({ title, url, platform }) => ({ title, url, platform })),
+        highlightCount: highlights.length,
+        updatedAt: record.updatedAt
+      }
+    };
+  }
+
+  _toNumber(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  // State code from an explicit state or a "City, State 12345" location
+  _parseState(state, location) {
+    const candidate = state || location;
+    if (!candidate) return null;
+    return extractState(String(candidate).replace(/\d/g, '')) || null;
+  }
+
+  _addDocument(index, document) {
+    this._removeDocument(index, document.key);
+    index.documents.set(document.key, document);
+    document.terms.forEach((weight, term) => {
+      if (!index.postings.has(term)) index.postings.set(term, new Map());
+      index.postings.get(term).set(document.key, weight);
+    });
+  }
+
+  _removeDocument(index, key) {
+    const existing = index.documents.get(key);
+    if (!existing) return;
+
+    existing.terms.forEach((weight, term) => {
+      const postings = index.postings.get(term);
+      postings.delete(key);
+      if (postings.size === 0) index.postings.delete(term);
+    });
+    index.documents.delete(key);
+  }
+
+  _parseParams(params) {
+    const q = String(params.q || '').trim();
+    const sort = params.sort || (q ? 'relevance' : 'garScore');
+    if (!SORTS.includes(sort)) {
+      throw searchError(`sort must be one of: ${SORTS.join(', ')}`, 400);
+    }
+    if (params.source && !['players', 'athleteData'].includes(params.source)) {
+      throw searchError('source must be players or athleteData', 400);
+    }
+
+    const filters = {};
+    FACETS.forEach(facet => {
+      const raw = params[facet];
+      if (raw === undefined || raw === '') return;
+
+      const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(value => String(value).trim())
+        .filter(Boolean);
+      if (values.length > 0) filters[facet] = new Set(values.map(value => this._normalizeFilter(facet, value, params)));
+    });
+
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.limit) || DEFAULT_LIMIT));
+    const page = Math.max(1, parseInt(params.page) || 1);
+
+    return { q, tokens: tokenize(q), filters, source: params.source, sort, page, limit };
+  }
+
+  // Accept the same spellings the records were normalized from (qb, Texas, 4)
+  _normalizeFilter(facet, value, params) {
+    const normalizer = this._normalizer();
+    if (facet === 'sport') return normalizer.normalizeSport(value).toLowerCase();
+    if (facet === 'position') {
+      const sport = params.sport && !String(params.sport).includes(',') ? normalizer.normalizeSport(params.sport) : 'football';
+      return normalizer.normalizePosition(value, sport).toLowerCase();
+    }
+    if (facet === 'state') return (this._parseState(value) || value).toLowerCase();
+    return value.toLowerCase();
+  }
+
+  // Every query term must match a document term exactly, within the typo budget, or
+  // (for the last term, as the user is still typing) as a prefix
+  _match(tokens) {
+    let scores = null;
+
+    tokens.forEach((token, position) => {
+      const tokenScores = new Map();
+      this._expandTerm(token, position === tokens.length - 1).forEach((quality, term) => {
+        const postings = this.index.postings.get(term);
+        const idf = Math.log(1 + this.index.documents.size / postings.size);
+        postings.forEach((weight, key) => {
+          tokenScores.set(key, Math.max(tokenScores.get(key) || 0, quality * weight * idf));
+        });
+      });
+
+      if (scores === null) {
+        scores = tokenScores;
+        return;
+      }
+      const combined = new Map();
+      scores.forEach((score, key) => {
+        if (tokenScores.has(key)) combined.set(key, score + tokenScores.get(key));
+      });
+      scores = combined;
+    });
+
+    return scores;
+  }
+
+  // Index terms a query token can stand for, with how closely each matches (1 = exact)
+  _expandTerm(token, allowPrefix) {
+    const matches = new Map();
+    const edits = maxEdits(token);
+    const prefix = allowPrefix && token.length >= MIN_PREFIX_LENGTH;
+
+    this.index.postings.forEach((postings, term) => {
+      let quality = 0;
+      if (term === token) {
+        quality = 1;
+      } else {
+        if (prefix && term.startsWith(token)) quality = PREFIX_QUALITY;
+        if (edits > 0) {
+          const distance = editDistance(token, term, edits);
+          if (distance <= edits) quality = Math.max(quality, 1 - TYPO_PENALTY * distance);
+        }
+      }
+      if (quality > 0) matches.set(term, quality);
+    });
+
+    return matches;
+  }
+
+  _matchesFilters(document, filters, skipFacet = null) {
+    return Object.entries(filters).every(([facet, values]) => {
+      if (facet === skipFacet) return true;
+      const value = document.facets[facet];
+      return value !== null && values.has(value.toLowerCase());
+    });
+  }
+
+  // Each facet is counted with every filter applied except its own, so picking one
+  // value still shows the counts for the others
+  _countFacets(candidates, filters) {
+    const facets = {};
+
+    FACETS.forEach(facet => {
+      const counts = new Map();
+      candidates.forEach(document => {
+        const value = document.facets[facet];
+        if (value === null || !this._matchesFilters(document, filters, facet)) return;
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+
+      const order = ORDERED_FACETS[facet];
+      facets[facet] = [...counts.entries()]
+        .map(([value, count]) => ({ value, count, selected: !!filters[facet]?.has(value.toLowerCase()) }))
+        .sort(order
+          ? (a, b) => order.indexOf(a.value) - order.indexOf(b.value)
+          : (a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    });
+
+    return facets;
+  }
+
+  _sort(documents, sort, scores) {
+    const byNumber = (field) => (a, b) => (b[field] ?? -1) - (a[field] ?? -1);
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const comparators = {
+      relevance: (a, b) => (scores ? scores.get(b.key) - scores.get(a.key) : 0) || byNumber('garScore')(a, b) || byName(a, b),
+      garScore: (a, b) => byNumber('garScore')(a, b) || byName(a, b),
+      stars: (a, b) => byNumber('stars')(a, b) || byNumber('garScore')(a, b) || byName(a, b),
+      name: byName,
+      recent: (a, b) => b.updatedAt - a.updatedAt || byName(a, b)
+    };
+    return documents.sort(comparators[sort]);
+  }
+}
+
+module.exports = new SearchIndexService();
@@ -799,4 +799,4 @@ class SocialCommunityService {
   }
 }
 
-module.exports = SocialCommunityService;
\ No newline at end of file
+module.exports = new SocialCommunityService();
\ No newline at end of file
@@ -1,5 +1,7 @@
 const { logger } = require('../utils/logger');
 const mongoose = require('mongoose');
+const injuryCaseService = require('./injuryCaseService');
+const { findConflicts } = require('./returnToPlayProtocols');
 
 // Training Programs Service for automated program generation and management
 class TrainingProgramsService {
@@ -213,6 +215,9 @@ class TrainingProgramsService {
                 status: 'active'
             };
 
+            // Block sessions that conflict with open injury cases
+            await this.applyInjuryRestrictions(program);
+
             // Store program
             this.programs.set(program.id, program);
             this.athletePrograms.set(athleteId, program.id);
@@ -231,6 +236,8 @@ class TrainingProgramsService {
         // In a real implementation, this would analyze historical data
         // For demo purposes, return mock analysis
         return {
+            sport: athleteData.sport,
+            goals: athleteData.goals,
             experienceLevel: athleteData.experience || 'intermediate',
             fitnessLevel: 'good',
             strengths: ['cardio', 'flexibility'],
@@ -380,6 +387,32 @@ class TrainingProgramsService {
         return Math.floor(restDays / sessionsPerWeek);
     }
 
+    // Mark sessions that break a restriction from the athlete's open injury cases as blocked,
+    // and unblock ones whose restrictions have been lifted; completed sessions are left alone
+    async applyInjuryRestrictions(program) {
+        const restrictions = await injuryCaseService.getActiveRestrictions(program.athleteId);
+        let blockedSessions = 0;
+
+        for (const week of program.schedule) {
+            for (const session of week.sessions || []) {
+                if (session.completed) continue;
+
+                const conflicts = findConflicts(session, restrictions);
+                session.blocked = conflicts.length > 0;
+                session.blockedBy = conflicts.map(({ caseId, kind, value, reason }) => ({ caseId, kind, value, reason }));
+                if (session.blocked) blockedSessions++;
+            }
+        }
+
+        program.injuryRestrictions = {
+            checkedAt: new Date(),
+            activeCases: [...new Set(restrictions.map(restriction => restriction.caseId))].length,
+            restrictions,
+            blockedSessions
+        };
+        return program;
+    }
+
     // Get athlete's current program
     getAthleteProgram(athleteId) {
         const programId = this.athletePrograms.get(athleteId);
@@ -409,6 +442,13 @@ class TrainingProgramsService {
                 throw new Error('Session not found in program');
             }
 
+            // Restrictions may have changed since the program was generated
+            await this.applyInjuryRestrictions(program);
+            if (targetSession.blocked) {
+                const reasons = targetSession.blockedBy.map(restriction => restriction.reason).join('; ');
+                throw Object.assign(new Error(`Session is blocked by injury restrictions (${reasons})`), { status: 409 });
+            }
+
             // Update session with performance data
             targetSession.completed = true;
             targetSession.completedAt = new Date();
@@ -522,6 +562,7 @@ class TrainingProgramsService {
             if (modifications.duration || modifications.sessionsPerWeek) {
                 program.schedule = this.generateWeeklySchedule(program, modifications.availability);
                 program.progress.totalSessions = program.duration * program.sessionsPerWeek;
+                await this.applyInjuryRestrictions(program);
             }
 
             program.modifiedAt = new Date();
@@ -0,0 +1,702 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Watchlist = require('../models/watchlistModel');
+const SavedSearch = require('../models/savedSearchModel');
+const WatchAlert = require('../models/watchAlertModel');
+const User = require('../models/userModel');
+const DataStorageService = require('./dataStorageService');
+const socialCommunityService = require('./socialCommunityService');
+const rankingHistoryService = require('./rankingHistoryService');
+const athleteChangeFeedService = require('./athleteChangeFeedService');
+const jobScheduler = require('./jobSchedulerService');
+const mailer = require('../utils/mailer');
+
+const MAX_SUBSCRIPTIONS_PER_USER = 50;
+const MAX_WATCHLIST_ATHLETES = 500;
+const SEARCH_LIMIT = 200;
+const DEFAULT_GAR_THRESHOLD = 5;
+const DEFAULT_WATCH_RULES = [{ type: 'gar_change', threshold: DEFAULT_GAR_THRESHOLD, direction: 'up' }, { type: 'new_highlight' }];
+const DEFAULT_SEARCH_RULES = [{ type: 'new_match' }];
+const RULE_CATEGORIES = { new_highlight: 'highlights', new_offer: 'offers', stat_change: 'stats' };
+
+const MODELS = { watchlist: Watchlist, search: SavedSearch, alert: WatchAlert };
+const ID_PREFIXES = { watchlist: 'watchlist', search: 'search', alert: 'watchalert' };
+const UPDATABLE_FIELDS = {
+  watchlist: ['name', 'athleteIds', 'rules', 'delivery', 'active'],
+  search: ['name', 'query', 'filters', 'rules', 'delivery', 'active']
+};
+
+const watchError = (message, status) => Object.assign(new Error(message), { status });
+
+const formatScore = (score) => Number(score).toFixed(1);
+
+// Per-user watchlists of athletes and saved athlete searches. Scheduled runs check each
+// one's alert rules against ranking history and the athlete change feed; alerts go out
+// right away or wait for the user's daily or weekly digest.
+class WatchlistService {
+  constructor({ socialService = socialCommunityService } = {}) {
+    this.storageService = new DataStorageService();
+    this.storageReady = null;
+    // In-app alerts land in the social notification inbox
+    this.socialService = socialService;
+    // Used when MongoDB is not connected (development mock database)
+    this.mock = { watchlist: [], search: [], alert: [] };
+    // Default schedules (cron, UTC); digests go out at 12:00 UTC, early morning in the US
+    this.schedules = {
+      watchAlerts: { cron: '*/15 * * * *', description: 'Watchlist and saved-search alert rules', timeoutMinutes: 15 },
+      watchDigestDaily: { cron: '0 12 * * *', description: 'Daily watch alert digest', timeoutMinutes: 30 },
+      watchDigestWeekly: { cron: '0 12 * * 1', description: 'Weekly watch alert digest', timeoutMinutes: 30 }
+    };
+
+    this.registerSchedules();
+  }
+
+  /**
+   * Register rule checks and digests with the persistent scheduler
+   */
+  registerSchedules() {
+    const handlers = {
+      watchAlerts: () => this.evaluateAll(),
+      watchDigestDaily: () => this.sendDigests('daily'),
+      watchDigestWeekly: () => this.sendDigests('weekly')
+    };
+
+    Object.entries(handlers).forEach(([name, handler]) => {
+      jobScheduler.register(name, handler, this.schedules[name]);
+    });
+  }
+
+  /**
+   * Create a watchlist
+   * @param {string} userId - Owner
+   * @param {Object} data - name, athleteIds, rules and delivery
+   */
+  async createWatchlist(userId, data = {}) {
+    await this._assertBelowLimit('watchlist', userId);
+
+    const now = new Date();
+    const watchlist = {
+      _id: this._newId('watchlist'),
+      userId: String(userId),
+      name: this._validateName(data.name),
+      athleteIds: this._validateAthleteIds(data.athleteIds || []),
+      rules: this._validateRules('watchlist', data.rules || DEFAULT_WATCH_RULES),
+      delivery: this._validateDelivery(data.delivery),
+      active: true,
+      // Only changes from now on are alerted
+      lastEvaluatedAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    return this._format(await this._save('watchlist', watchlist));
+  }
+
+  /**
+   * Create a saved search; athletes matching it now are recorded so only later matches alert
+   * @param {string} userId - Owner
+   * @param {Object} data - name, query, filters, rules and delivery
+   */
+  async createSavedSearch(userId, data = {}) {
+    await this._assertBelowLimit('search', userId);
+
+    const now = new Date();
+    const search = {
+      _id: this._newId('search'),
+      userId: String(userId),
+      name: this._validateName(data.name),
+      query: data.query ? String(data.query).trim() : undefined,
+      filters: this._validateFilters(data.filters),
+      rules: this._validateRules('search', data.rules || DEFAULT_SEARCH_RULES),
+      delivery: this._validateDelivery(data.delivery),
+      active: true,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    search.matchedIds = await this._matchIds(search);
+    search.lastRunAt = now;
+    search.lastMatchCount = search.matchedIds.length;
+
+    return this._format(await this._save('search', search));
+  }
+
+  /**
+   * A user's watchlists or saved searches
+   * @param {string} kind - 'watchlist' | 'search'
+   * @param {string} userId - Owner
+   */
+  async list(kind, userId) {
+    const items = await this._find(kind, { userId: String(userId) });
+    return items.sort((a, b) => a.createdAt - b.createdAt).map(item => this._format(item));
+  }
+
+  /**
+   * One watchlist or saved search owned by the user
+   * @param {string} kind - 'watchlist' | 'search'
+   * @param {string} userId - Owner
+   * @param {string} id - Watchlist or search id
+   */
+  async get(kind, userId, id) {
+    return this._format(await this._requireOwned(kind, userId, id));
+  }
+
+  /**
+   * Update name, rules, delivery, active and (watchlists) athletes or (searches) query and filters
+   * @param {string} kind - 'watchlist' | 'search'
+   * @param {string} userId - Owner
+   * @param {string} id - Watchlist or search id
+   * @param {Object} changes - Fields to change
+   */
+  async update(kind, userId, id, changes = {}) {
+    const item = await this._requireOwned(kind, userId, id);
+    const validators = {
+      name: value => this._validateName(value),
+      athleteIds: value => this._validateAthleteIds(value),
+      rules: value => this._validateRules(kind, value),
+      delivery: value => this._validateDelivery({ ...item.delivery, ...value }),
+      active: value => value !== false,
+      query: value => (value ? String(value).trim() : undefined),
+      filters: value => this._validateFilters(value)
+    };
+
+    UPDATABLE_FIELDS[kind].filter(field => changes[field] !== undefined).forEach(field => {
+      item[field] = validators[field](changes[field]);
+    });
+    // Editing or re-enabling a paused search gives it another try on the next run
+    if (kind === 'search' && item.pausedReason && item.active) {
+      item.pausedReason = null;
+    }
+    item.updatedAt = new Date();
+
+    return this._format(await this._save(kind, item));
+  }
+
+  /**
+   * Delete a watchlist or saved search
+   * @param {string} kind - 'watchlist' | 'search'
+   * @param {string} userId - Owner
+   * @param {string} id - Watchlist or search id
+   */
+  async remove(kind, userId, id) {
+    await this._requireOwned(kind, userId, id);
+
+    if (this._isMock()) {
+      this.mock[kind] = this.mock[kind].filter(item => item._id !== id);
+    } else {
+      await MODELS[kind].deleteOne({ _id: id });
+    }
+  }
+
+  /**
+   * Add athletes to a watchlist
+   * @param {string} userId - Owner
+   * @param {string} id - Watchlist id
+   * @param {Array} athleteIds - Athlete record ids
+   */
+  async addAthletes(userId, id, athleteIds) {
+    const watchlist = await this._requireOwned('watchlist', userId, id);
+    return this.update('watchlist', userId, id, { athleteIds: [...watchlist.athleteIds, ...(athleteIds || [])] });
+  }
+
+  /**
+   * Remove an athlete from a watchlist
+   * @param {string} userId - Owner
+   * @param {string} id - Watchlist id
+   * @param {string} athleteId - Athlete record id
+   */
+  async removeAthlete(userId, id, athleteId) {
+    const watchlist = await this._requireOwned('watchlist', userId, id);
+    return this.update('watchlist', userId, id, { athleteIds: watchlist.athleteIds.filter(a => a !== String(athleteId)) });
+  }
+
+  /**
+   * Run a saved search now, flagging athletes that have not matched it before.
+   * Does not alert or move the search's matched list.
+   * @param {string} userId - Owner
+   * @param {string} id - Search id
+   */
+  async runSavedSearch(userId, id) {
+    const search = await this._requireOwned('search', userId, id);
+    const previous = new Set(search.matchedIds || []);
+    const athletes = await this._runSearch(search);
+
+    return {
+      search: this._format(search),
+      athletes: athletes.map(athlete => ({ ...athlete, isNew: !previous.has(String(athlete._id)) }))
+    };
+  }
+
+  /**
+   * Check every active saved search and watchlist
+   * @param {Date} now - Reference time
+   */
+  async evaluateAll(now = new Date()) {
+    const searches = await this.evaluateSavedSearches(now);
+    const watchlists = await this.evaluateWatchlists(now);
+    const alerts = [...searches.alerts, ...watchlists.alerts];
+
+    return {
+      athletesTouched: new Set(alerts.filter(alert => alert.athleteId).map(alert => alert.athleteId)).size,
+      failures: [...searches.failures, ...watchlists.failures],
+      details: { searches: searches.checked, watchlists: watchlists.checked, alerts: alerts.length }
+    };
+  }
+
+  /**
+   * Alert on athletes that newly match a saved search
+   * @param {Date} now - Reference time
+   */
+  async evaluateSavedSearches(now = new Date()) {
+    const searches = await this._find('search', { active: true });
+    const alerts = [];
+    const failures = [];
+
+    for (const search of searches) {
+      try {
+        // Compare every current match, not just the top results, against what matched before
+        const matchIds = await this._matchIds(search);
+        const previous = new Set(search.matchedIds || []);
+        const newIds = matchIds.filter(athleteId => !previous.has(athleteId));
+
+        if (search.rules.some(rule => rule.type === 'new_match') && newIds.length > 0) {
+          const athletes = new Map((await this.storageService.getAthleteRecordsByIds(newIds))
+            .map(athlete => [String(athlete._id), athlete]));
+          for (const athleteId of newIds) {
+            const athlete = athletes.get(athleteId);
+            if (!athlete) continue;
+            alerts.push(await this._raiseAlert('search', search, {
+              rule: 'new_match',
+              athleteId,
+              athleteName: athlete.name,
+              message: `${athlete.name} now matches "${search.name}"`,
+              data: { school: athlete.school, position: athlete.position, sport: athlete.sport, garScore: athlete.garScore }
+            }, now));
+          }
+        }
+
+        // Keep earlier matches so an athlete drifting in and out of a search alerts once; only
+        // those drifted-out ids are trimmed, so every current match stays in the list
+        const current = new Set(matchIds);
+        const departed = [...previous].filter(athleteId => !current.has(athleteId));
+        search.matchedIds = [...matchIds, ...departed.slice(0, Math.max(0, SavedSearch.MAX_MATCHED_IDS - matchIds.length))];
+        search.lastRunAt = now;
+        search.lastMatchCount = matchIds.length;
+        await this._save('search', search);
+      } catch (error) {
+        if (error.matchCount !== undefined) {
+          alerts.push(await this._pauseSearch(search, error, now));
+          continue;
+        }
+        console.error(`Error evaluating saved search ${search._id}:`, error);
+        failures.push({ target: search._id, error: error.message });
+      }
+    }
+
+    return { checked: searches.length, alerts, failures };
+  }
+
+  /**
+   * Alert on GAR moves, new highlights, new offers and stat changes of watched athletes
+   * since each watchlist was last checked
+   * @param {Date} now - Reference time
+   */
+  async evaluateWatchlists(now = new Date()) {
+    const watchlists = await this._find('watchlist', { active: true });
+    const alerts = [];
+    const failures = [];
+
+    for (const watchlist of watchlists) {
+      try {
+        const since = new Date(watchlist.lastEvaluatedAt || watchlist.createdAt);
+
+        for (const athleteId of watchlist.athleteIds) {
+          for (const rule of watchlist.rules) {
+            const fired = await this.checkRule(rule, athleteId, since, now);
+            if (fired) {
+              alerts.push(await this._raiseAlert('watchlist', watchlist, { rule: rule.type, athleteId, ...fired }, now));
+            }
+          }
+        }
+
+        watchlist.lastEvaluatedAt = now;
+        await this._save('watchlist', watchlist);
+      } catch (error) {
+        console.error(`Error evaluating watchlist ${watchlist._id}:`, error);
+        failures.push({ target: watchlist._id, error: error.message });
+      }
+    }
+
+    return { checked: watchlists.length, alerts, failures };
+  }
+
+  /**
+   * Whether a watchlist rule fired for an athlete in (since, now]; returns the alert fields or null
+   * @param {Object} rule - Watch rule
+   * @param {string} athleteId - Athlete record id
+   * @param {Date} since - Start of the window (exclusive)
+   * @param {Date} now - End of the window
+   */
+  async checkRule(rule, athleteId, since, now) {
+    if (rule.type === 'gar_change') {
+      return this._checkGarChange(rule, athleteId, since, now);
+    }
+
+    const events = await athleteChangeFeedService.getChanges({ athleteId, category: RULE_CATEGORIES[rule.type], since, until: now });
+    const changes = events
+      .flatMap(event => event.changes.map(change => ({ ...change, athleteName: event.athleteName })))
+      .filter(change => change.category === RULE_CATEGORIES[rule.type])
+      .reverse();
+    const athleteName = events[0]?.athleteName;
+
+    if (rule.type === 'new_highlight') {
+      const highlights = changes.filter(change => change.kind === 'added').map(change => change.new);
+      return highlights.length === 0 ? null : {
+        athleteName,
+        message: `${highlights.length} new highlight${highlights.length === 1 ? '' : 's'} posted for ${athleteName}`,
+        data: { highlights }
+      };
+    }
+
+    if (rule.type === 'new_offer') {
+      const offers = changes.filter(change => (Number(change.new) || 0) > (Number(change.old) || 0));
+      if (offers.length === 0) return null;
+      const from = offers[0].old || 0;
+      const to = offers[offers.length - 1].new;
+      return { athleteName, message: `${athleteName} offers: ${from} → ${to}`, data: { from, to } };
+    }
+
+    const stats = changes.filter(change => !rule.field || change.field === `stats.${rule.field}`);
+    if (stats.length === 0) return null;
+    const summary = stats.map(change => `${change.field.replace('stats.', '')} ${change.old ?? '-'} → ${change.new ?? '-'}`);
+    return {
+      athleteName,
+      message: `${athleteName} stats updated: ${summary.join(', ')}`,
+      data: { changes: stats.map(({ field, old, new: value, source }) => ({ field, old, new: value, source })) }
+    };
+  }
+
+  /**
+   * Send pending digest alerts, one message per user
+   * @param {string} frequency - 'daily' | 'weekly'
+   * @param {Date} now - Reference time
+   */
+  async sendDigests(frequency, now = new Date()) {
+    const pending = await this._find('alert', { status: 'pending', digest: frequency });
+    const byUser = pending.reduce((groups, alert) => {
+      (groups[alert.userId] = groups[alert.userId] || []).push(alert);
+      return groups;
+    }, {});
+
+    const failures = [];
+    for (const [userId, alerts] of Object.entries(byUser)) {
+      try {
+        await this._deliver(userId, alerts.sort((a, b) => a.createdAt - b.createdAt), frequency, now);
+      } catch (error) {
+        console.error(`Error sending ${frequency} digest to ${userId}:`, error);
+        failures.push({ target: userId, error: error.message });
+      }
+    }
+
+    return {
+      athletesTouched: new Set(pending.map(alert => alert.athleteId)).size,
+      failures,
+      details: { users: Object.keys(byUser).length, alerts: pending.length }
+    };
+  }
+
+  /**
+   * A user's alerts, newest first
+   * @param {string} userId - Owner
+   * @param {Object} filters - status and limit
+   */
+  async getAlerts(userId, { status, limit = 50 } = {}) {
+    if (status && !WatchAlert.ALERT_STATUSES.includes(status)) {
+      throw watchError(`Unknown alert status: ${status}`, 400);
+    }
+
+    const query = { userId: String(userId) };
+    if (status) query.status = status;
+
+    const alerts = await this._find('alert', query);
+    return alerts
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, Math.min(parseInt(limit) || 50, 200))
+      .map(alert => this._format(alert));
+  }
+
+  // Private helper methods
+
+  _isMock() {
+    return mongoose.connection.readyState !== 1;
+  }
+
+  _newId(kind) {
+    return `${ID_PREFIXES[kind]}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  _format(item) {
+    const { _id, __v, ...rest } = item;
+    return { id: _id, ...rest };
+  }
+
+  async _find(kind, query) {
+    if (this._isMock()) {
+      return this.mock[kind].filter(item => Object.entries(query).every(([key, value]) => item[key] === value));
+    }
+    return MODELS[kind].find(query).lean();
+  }
+
+  async _save(kind, item) {
+    if (this._isMock()) {
+      const index = this.mock[kind].findIndex(existing => existing._id === item._id);
+      if (index >= 0) {
+        this.mock[kind][index] = item;
+      } else {
+        this.mock[kind].push(item);
+      }
+      return item;
+    }
+
+    const { _id, ...fields } = item;
+    return MODELS[kind].findByIdAndUpdate(_id, { $set: fields }, { upsert: true, new: true, runValidators: true }).lean();
+  }
+
+  async _requireOwned(kind, userId, id) {
+    const [item] = await this._find(kind, { _id: id });
+    if (!item || item.userId !== String(userId)) {
+      throw watchError(`${kind === 'search' ? 'Saved search' : 'Watchlist'} not found`, 404);
+    }
+    return item;
+  }
+
+  async _assertBelowLimit(kind, userId) {
+    const existing = await this._find(kind, { userId: String(userId) });
+    if (existing.length >= MAX_SUBSCRIPTIONS_PER_USER) {
+      throw watchError(`Limit of ${MAX_SUBSCRIPTIONS_PER_USER} ${kind === 'search' ? 'saved searches' : 'watchlists'} reached`, 400);
+    }
+  }
+
+  _validateName(name) {
+    if (!name || !String(name).trim()) {
+      throw watchError('name is required', 400);
+    }
+    return String(name).trim().slice(0, 100);
+  }
+
+  _validateAthleteIds(athleteIds) {
+    if (!Array.isArray(athleteIds)) {
+      throw watchError('athleteIds must be a list', 400);
+    }
+    const unique = [...new Set(athleteIds.map(String))];
+    if (unique.length > MAX_WATCHLIST_ATHLETES) {
+      throw watchError(`A watchlist holds at most ${MAX_WATCHLIST_ATHLETES} athletes`, 400);
+    }
+    return unique;
+  }
+
+  _validateRules(kind, rules) {
+    const allowed = kind === 'search' ? SavedSearch.SEARCH_RULE_TYPES : Watchlist.WATCH_RULE_TYPES;
+    if (!Array.isArray(rules) || rules.length === 0) {
+      throw watchError('At least one alert rule is required', 400);
+    }
+
+    return rules.map(rule => {
+      if (!allowed.includes(rule?.type)) {
+        throw watchError(`Unknown rule ${rule?.type}; use one of ${allowed.join(', ')}`, 400);
+      }
+
+      if (rule.type === 'gar_change') {
+        const threshold = rule.threshold === undefined ? DEFAULT_GAR_THRESHOLD : Number(rule.threshold);
+        const direction = rule.direction || 'up';
+        if (!(threshold > 0)) throw watchError('gar_change threshold must be a positive number', 400);
+        if (!Watchlist.GAR_DIRECTIONS.includes(direction)) throw watchError(`direction must be one of ${Watchlist.GAR_DIRECTIONS.join(', ')}`, 400);
+        return { type: rule.type, threshold, direction };
+      }
+      if (rule.type === 'stat_change' && rule.field) {
+        if (!/^[A-Za-z]\w*$/.test(rule.field)) throw watchError(`Invalid stat field: ${rule.field}`, 400);
+        return { type: rule.type, field: rule.field };
+      }
+      return { type: rule.type };
+    });
+  }
+
+  _validateDelivery(delivery = {}) {
+    const channels = delivery.channels || ['inApp'];
+    const digest = delivery.digest || 'none';
+
+    if (!Array.isArray(channels) || channels.length === 0 || channels.some(channel => !Watchlist.DELIVERY_CHANNELS.includes(channel))) {
+      throw watchError(`channels must be a list of ${Watchlist.DELIVERY_CHANNELS.join(', ')}`, 400);
+    }
+    if (!Watchlist.DIGEST_FREQUENCIES.includes(digest)) {
+      throw watchError(`digest must be one of ${Watchlist.DIGEST_FREQUENCIES.join(', ')}`, 400);
+    }
+    return { channels: [...new Set(channels)], digest };
+  }
+
+  _validateFilters(filters = {}) {
+    const { sport, position, school, minGarScore } = filters || {};
+    if (minGarScore !== undefined && !(Number(minGarScore) >= 0 && Number(minGarScore) <= 100)) {
+      throw watchError('minGarScore must be between 0 and 100', 400);
+    }
+
+    // Stored records hold normalized values ('Quarterback', not 'QB')
+    const normalizedSport = sport ? this.storageService.normalizeSport(sport) : undefined;
+    return {
+      sport: normalizedSport,
+      position: position ? this.storageService.normalizePosition(String(position), normalizedSport) : undefined,
+      school: school ? String(school) : undefined,
+      minGarScore: minGarScore !== undefined ? Number(minGarScore) : undefined
+    };
+  }
+
+  async _runSearch(search, options = {}) {
+    if (!this.storageReady) {
+      this.storageReady = this.storageService.initialize();
+    }
+    await this.storageReady;
+
+    const { sport, position, school, minGarScore } = search.filters || {};
+    const athletes = await this.storageService.searchAthletes(search.query, {
+      sport,
+      position,
+      school,
+      limit: options.limit ?? SEARCH_LIMIT,
+      fields: options.fields,
+      sortBy: 'garScore'
+    });
+
+    return minGarScore === undefined || minGarScore === null
+      ? athletes
+      : athletes.filter(athlete => (athlete.garScore || 0) >= minGarScore);
+  }
+
+  // Ids of every athlete the search matches. A search matching more athletes than a saved search
+  // can remember would alert on the overflow each run, so it has to be narrowed instead.
+  async _matchIds(search) {
+    const matches = await this._runSearch(search, { limit: 0, fields: ['garScore'] });
+    if (matches.length > SavedSearch.MAX_MATCHED_IDS) {
+      throw Object.assign(
+        watchError(`Saved search matches ${matches.length} athletes; add filters to bring it under ${SavedSearch.MAX_MATCHED_IDS}`, 400),
+        { matchCount: matches.length }
+      );
+    }
+    return matches.map(athlete => String(athlete._id));
+  }
+
+  async _checkGarChange(rule, athleteId, since, now) {
+    const history = await rankingHistoryService.getAthleteHistory(athleteId, { since: new Date(since.getTime() + 1), until: now });
+    if (history.length === 0) return null;
+
+    // A first-ever score has no change; measure from it
+    const [first] = history;
+    const last = history[history.length - 1];
+    const from = first.garChange === null ? first.garScore : first.garScore - first.garChange;
+    const change = last.garScore - from;
+
+    const fired = {
+      up: change >= rule.threshold,
+      down: change <= -rule.threshold,
+      any: Math.abs(change) >= rule.threshold
+    }[rule.direction || 'up'];
+    if (!fired) return null;
+
+    const athlete = await this.storageService.getAthleteRecordById(athleteId).catch(() => null);
+    const athleteName = athlete?.name || athleteId;
+    return {
+      athleteName,
+      message: `${athleteName} GAR ${change >= 0 ? 'up' : 'down'} ${formatScore(Math.abs(change))} (${formatScore(from)} → ${formatScore(last.garScore)})`,
+      data: { from, to: last.garScore, change }
+    };
+  }
+
+  // A search that outgrew what it can remember would fail every run, so switch it off and tell
+  // the owner through their usual alert channels
+  async _pauseSearch(search, error, now) {
+    Object.assign(search, { active: false, pausedReason: error.message, lastRunAt: now, lastMatchCount: error.matchCount, updatedAt: now });
+    await this._save('search', search);
+
+    return this._raiseAlert('search', { ...search, delivery: { ...search.delivery, digest: 'none' } }, {
+      rule: 'search_paused',
+      message: `"${search.name}" was paused: ${error.message}`,
+      data: { matchCount: error.matchCount, limit: SavedSearch.MAX_MATCHED_IDS }
+    }, now);
+  }
+
+  async _raiseAlert(kind, subscription, fields, now) {
+    const alert = await this._save('alert', {
+      _id: this._newId('alert'),
+      userId: subscription.userId,
+      subscriptionType: kind,
+      subscriptionId: subscription._id,
+      subscriptionName: subscription.name,
+      ...fields,
+      channels: subscription.delivery.channels,
+      digest: subscription.delivery.digest,
+      status: 'pending',
+      deliveries: [],
+      createdAt: now,
+      updatedAt: now
+    });
+
+    if (alert.digest === 'none') {
+      await this._deliver(alert.userId, [alert], null, now);
+    }
+    return alert;
+  }
+
+  // Send one alert, or a digest of several, over every channel the alerts asked for
+  async _deliver(userId, alerts, frequency, now) {
+    const channels = [...new Set(alerts.flatMap(alert => alert.channels))];
+    const subject = frequency
+      ? `Your ${frequency} athlete digest: ${alerts.length} update${alerts.length === 1 ? '' : 's'}`
+      : `Athlete alert: ${alerts[0].message}`;
+    const text = alerts.map(alert => `- [${alert.subscriptionName}] ${alert.message}`).join('\n');
+
+    const deliveries = [];
+    for (const channel of channels) {
+      const delivery = { channel, status: 'sent', at: now };
+      try {
+        const skipped = channel === 'email'
+          ? await this._sendEmail(userId, subject, text)
+          : this._notifyInApp(userId, frequency ? 'watch_digest' : 'watch_alert', { subject, alerts: alerts.map(alert => this._format(alert)) });
+        if (skipped) Object.assign(delivery, { status: 'skipped', error: skipped });
+      } catch (error) {
+        Object.assign(delivery, { status: 'failed', error: error.message });
+      }
+      deliveries.push(delivery);
+    }
+
+    const status = deliveries.some(delivery => delivery.status === 'sent') ? 'delivered' : 'failed';
+    for (const alert of alerts) {
+      Object.assign(alert, { status, deliveries, deliveredAt: status === 'delivered' ? now : undefined, updatedAt: now });
+      await this._save('alert', alert);
+    }
+    return deliveries;
+  }
+
+  _notifyInApp(userId, type, data) {
+    const realTimeService = global.realTimeService;
+    if (!this.socialService && !realTimeService) return 'No notification service is running';
+
+    if (this.socialService) {
+      this.socialService.notifyUser(userId, type, data);
+    }
+    if (realTimeService) {
+      realTimeService.publishNotification(userId, { notificationType: type, ...data });
+    }
+    return null;
+  }
+
+  async _sendEmail(userId, subject, text) {
+    if (!mailer.isConfigured()) return 'SMTP is not configured';
+    if (this._isMock() || !mongoose.Types.ObjectId.isValid(userId)) return 'No email address on file';
+
+    const user = await User.findById(userId).select('email').lean();
+    if (!user?.email) return 'No email address on file';
+
+    return mailer.sendMail({ to: user.email, from: process.env.ALERT_EMAIL_FROM, subject, text });
+  }
+}
+
+module.exports = new WatchlistService();
@@ -0,0 +1,228 @@
+const recoveryLogService = require('./recoveryLogService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACUTE_DAYS = 7;
+const CHRONIC_DAYS = 28;
+// EWMA decay 2 / (N + 1) for 7- and 28-day time constants (Williams et al., 2017)
+const ACUTE_LAMBDA = 2 / (ACUTE_DAYS + 1);
+const CHRONIC_LAMBDA = 2 / (CHRONIC_DAYS + 1);
+// The EWMA needs a run-in before the chronic average means anything
+const WARM_UP_DAYS = 2 * CHRONIC_DAYS;
+const MAX_DAYS = 26 * 7;
+
+// Acute:chronic ratio zones (Gabbett, 2016)
+const ZONES = [
+  { zone: 'under', max: 0.8 },
+  { zone: 'sweet_spot', max: 1.3 },
+  { zone: 'caution', max: 1.5 },
+  { zone: 'danger', max: Infinity }
+];
+// Foster: weekly monotony above 2 goes with illness and overreaching
+const HIGH_MONOTONY = 2;
+// Identical loads every day have no deviation; report them at this cap instead of dividing by zero
+const MAX_MONOTONY = 10;
+// Week-over-week increases above this are flagged as spikes
+const SPIKE_INCREASE = 0.15;
+
+const round = (value, digits = 0) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Workload engine: session-RPE load (minutes x RPE) per day, rolling and EWMA
+// acute:chronic ratios, Foster monotony and strain, and weekly zone flags
+class WorkloadService {
+  constructor() {
+    this.thresholds = {
+      zones: ZONES.map(({ zone, max }) => ({ zone, max: max === Infinity ? null : max })),
+      highMonotony: HIGH_MONOTONY,
+      maxMonotony: MAX_MONOTONY,
+      spikeIncrease: SPIKE_INCREASE
+    };
+  }
+
+  /**
+   * Session-RPE load in arbitrary units; sessions sent with a precomputed trainingLoad keep it
+   * @param {Object} session - duration (minutes) and perceivedExertion or intensity (1-10)
+   */
+  sessionLoad(session) {
+    if (typeof session.trainingLoad === 'number') {
+      return session.trainingLoad;
+    }
+    const rpe = session.perceivedExertion ?? session.rpe ?? session.intensity ?? 0;
+    return (Number(session.duration) || 0) * Number(rpe);
+  }
+
+  /**
+   * Zone for an acute:chronic ratio
+   * @param {number|null} ratio - Acute:chronic ratio
+   * @returns {string|null} under, sweet_spot, caution or danger
+   */
+  zoneFor(ratio) {
+    if (ratio === null || ratio === undefined) return null;
+    return ZONES.find(({ max }) => ratio < max).zone;
+  }
+
+  /**
+   * Daily and weekly workload series for a list of sessions
+   * @param {Array} sessions - Sessions with a date plus duration and RPE, or trainingLoad
+   * @param {Object} options - start and end of the reported window (defaults: first session, today);
+   * sessions before start still count towards the chronic load
+   * @returns {Object} daily, weekly and current (the last day's figures, null without sessions)
+   */
+  computeSeries(sessions, options = {}) {
+    const loads = new Map();
+    const counts = new Map();
+    sessions.forEach(session => {
+      const key = recoveryLogService.dayKey(session.date);
+      loads.set(key, (loads.get(key) || 0) + this.sessionLoad(session));
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    const end = this._dayStart(options.end ? new Date(options.end) : new Date());
+    const firstSession = loads.size ? this._dayStart(new Date([...loads.keys()].sort()[0])) : null;
+    const start = options.start ? this._dayStart(new Date(options.start)) : (firstSession || end);
+
+    const daily = [];
+    const history = [];
+    let ewmaAcute = null;
+    let ewmaChronic = null;
+
+    for (let time = Math.min(start.getTime(), (firstSession || end).getTime()); time <= end.getTime(); time += DAY_MS) {
+      const date = recoveryLogService.dayKey(time);
+
+      // Before the first logged session the athlete's load is unknown, not zero
+      if (!firstSession || time < firstSession.getTime()) {
+        if (time >= start.getTime()) {
+          daily.push({
+            date, load: null, sessions: 0, acuteLoad: null, chronicLoad: null, acwr: null, ewmaAcwr: null,
+            zone: null, ewmaZone: null, monotony: null, strain: null
+          });
+        }
+        continue;
+      }
+
+      const load = loads.get(date) || 0;
+      history.push(load);
+      ewmaAcute = ewmaAcute === null ? load : load * ACUTE_LAMBDA + (1 - ACUTE_LAMBDA) * ewmaAcute;
+      ewmaChronic = ewmaChronic === null ? load : load * CHRONIC_LAMBDA + (1 - CHRONIC_LAMBDA) * ewmaChronic;
+
+      const week = history.slice(-ACUTE_DAYS);
+      const acuteLoad = sum(week);
+      const hasBaseline = history.length >= CHRONIC_DAYS;
+      // Coupled rolling ratio: last 7 days against the average week of the last 28
+      const chronicLoad = hasBaseline ? sum(history.slice(-CHRONIC_DAYS)) / (CHRONIC_DAYS / ACUTE_DAYS) : null;
+      const acwr = chronicLoad ? round(acuteLoad / chronicLoad, 2) : null;
+      const ewmaAcwr = hasBaseline && ewmaChronic > 0 ? round(ewmaAcute / ewmaChronic, 2) : null;
+
+      // Foster: mean daily load over its standard deviation, rest days included
+      let monotony = null;
+      if (week.length === ACUTE_DAYS) {
+        const mean = acuteLoad / ACUTE_DAYS;
+        const deviation = Math.sqrt(sum(week.map(value => (value - mean) ** 2)) / ACUTE_DAYS);
+        if (mean > 0) monotony = deviation > 0 ? Math.min(round(mean / deviation, 2), MAX_MONOTONY) : MAX_MONOTONY;
+      }
+
+      if (time >= start.getTime()) {
+        daily.push({
+          date,
+          load,
+          sessions: counts.get(date) || 0,
+          acuteLoad,
+          chronicLoad: round(chronicLoad),
+          acwr,
+          ewmaAcwr,
+          zone: this.zoneFor(acwr),
+          ewmaZone: this.zoneFor(ewmaAcwr),
+          monotony,
+          strain: monotony === null ? null : Math.round(acuteLoad * monotony)
+        });
+      }
+    }
+
+    return {
+      daily,
+      weekly: this._weekly(daily),
+      current: firstSession && daily.length ? daily[daily.length - 1] : null
+    };
+  }
+
+  /**
+   * Workload time series for an athlete from their logged training sessions
+   * @param {string} athleteId - Athlete
+   * @param {Object} options - days (reported window, default 84, max 182) and until (last day, default today)
+   */
+  async getAthleteWorkload(athleteId, options = {}) {
+    const days = Math.min(Math.max(parseInt(options.days) || 12 * 7, 1), MAX_DAYS);
+    const end = this._dayStart(options.until ? new Date(options.until) : new Date());
+    const start = new Date(end.getTime() - (days - 1) * DAY_MS);
+
+    const sessions = await recoveryLogService.getLogs('workout', athleteId, { days: days + WARM_UP_DAYS, until: end });
+    const { daily, weekly, current } = this.computeSeries(sessions, { start, end });
+
+    let status = 'ok';
+    if (!sessions.length) status = 'insufficient_data';
+    else if (!current || current.acwr === null) status = 'building_baseline';
+
+    return {
+      athleteId,
+      days,
+      status,
+      // Days of logged history the ratios need before they are reported
+      baselineDays: CHRONIC_DAYS,
+      current,
+      weekly,
+      daily,
+      summary: {
+        sweetSpotWeeks: weekly.filter(week => week.flags.includes('sweet_spot')).length,
+        dangerZoneWeeks: weekly.filter(week => week.flags.includes('danger_zone')).length,
+        highMonotonyWeeks: weekly.filter(week => week.flags.includes('high_monotony')).length,
+        loadSpikeWeeks: weekly.filter(week => week.flags.includes('load_spike')).length
+      },
+      thresholds: this.thresholds
+    };
+  }
+
+  // Private helper methods
+
+  // 7-day blocks ending on the last day; each week takes its last day's ratios
+  _weekly(daily) {
+    const weeks = [];
+    for (let endIndex = daily.length; endIndex > 0; endIndex -= ACUTE_DAYS) {
+      weeks.unshift(daily.slice(Math.max(0, endIndex - ACUTE_DAYS), endIndex));
+    }
+
+    return weeks.map((days, index) => {
+      const last = days[days.length - 1];
+      const logged = days.filter(day => day.load !== null);
+      const load = logged.length ? sum(logged.map(day => day.load)) : null;
+      const previous = index > 0 ? weeks[index - 1].filter(day => day.load !== null) : [];
+      const previousLoad = previous.length ? sum(previous.map(day => day.load)) : null;
+
+      const flags = [];
+      if (last.zone === 'sweet_spot') flags.push('sweet_spot');
+      if (last.zone === 'danger' || last.ewmaZone === 'danger') flags.push('danger_zone');
+      if (days.length === ACUTE_DAYS && last.monotony > HIGH_MONOTONY) flags.push('high_monotony');
+      if (previousLoad > 0 && load !== null && (load - previousLoad) / previousLoad > SPIKE_INCREASE) flags.push('load_spike');
+
+      return {
+        weekStart: days[0].date,
+        weekEnd: last.date,
+        load,
+        sessions: sum(days.map(day => day.sessions)),
+        change: previousLoad > 0 && load !== null ? round((load - previousLoad) / previousLoad, 2) : null,
+        acwr: last.acwr,
+        ewmaAcwr: last.ewmaAcwr,
+        zone: last.zone,
+        ewmaZone: last.ewmaZone,
+        monotony: days.length === ACUTE_DAYS ? last.monotony : null,
+        strain: days.length === ACUTE_DAYS ? last.strain : null,
+        flags
+      };
+    });
+  }
+
+  _dayStart(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+}
+
+module.exports = new WorkloadService();
@@ -0,0 +1,114 @@
+const axios = require('axios');
+const alertRoutingService = require('../services/alertRoutingService');
+const DataQualityMonitoringService = require('../services/dataQualityMonitoringService');
+
+const MINUTE = 60 * 1000;
+const at = (minutes) => new Date(Date.UTC(2026, 9, 19, 8, 0) + minutes * MINUTE);
+
+const outage = {
+    type: 'high_error_rate',
+    severity: 'high',
+    message: 'Scraping error rate (40.0%) exceeds threshold (10%)',
+    metric: 'errorRate',
+    value: 0.4,
+    threshold: 0.1
+};
+
+describe('Alert Routing Service', () => {
+    test('should pick the first route matching severity, type and source', () => {
+        expect(alertRoutingService.getRoute(outage).name).toBe('scraping-outage');
+        expect(alertRoutingService.getRoute({ ...outage, severity: 'medium' }).name).toBe('default');
+        expect(alertRoutingService.getRoute({ type: 'stale_data', severity: 'medium' }).name).toBe('athlete-records');
+    });
+
+    test('should skip unconfigured channels and record failed deliveries', async () => {
+        const postSpy = jest.spyOn(axios, 'post').mockRejectedValue(new Error('HTTP 500'));
+        process.env.ALERT_SLACK_WEBHOOK_URL = 'https://hooks.example.com/slack';
+        delete process.env.SMTP_HOST;
+
+        const deliveries = await alertRoutingService.deliver({ id: 'alert_1', ...outage }, ['slack', 'email'], 'initial');
+
+        expect(deliveries.map(d => [d.channel, d.status])).toEqual([['slack', 'failed'], ['email', 'skipped']]);
+        expect(postSpy.mock.calls[0][1].text).toContain('[HIGH] Data quality: high_error_rate');
+
+        postSpy.mockRestore();
+        delete process.env.ALERT_SLACK_WEBHOOK_URL;
+    });
+});
+
+describe('Data quality alert lifecycle', () => {
+    let service;
+    let deliverSpy;
+
+    beforeEach(() => {
+        service = new DataQualityMonitoringService();
+        deliverSpy = jest.spyOn(alertRoutingService, 'deliver').mockImplementation(async (alert, channels, kind) =>
+            channels.map(channel => ({ channel, kind, status: 'sent', at: new Date() }))
+        );
+    });
+
+    afterEach(() => {
+        deliverSpy.mockRestore();
+    });
+
+    test('should notify once per dedup window and escalate while unacknowledged', async () => {
+        await service.processAlerts([outage], at(0));
+        await service.processAlerts([outage], at(30));
+        expect(deliverSpy.mock.calls.map(call => call[2])).toEqual(['initial']);
+
+        // Past the 60 minute window: repeat to the route channels, escalate to on-call
+        await service.processAlerts([outage], at(61));
+        expect(deliverSpy.mock.calls.slice(1).map(call => [call[2], call[1]])).toEqual([
+            ['repeat', ['inApp', 'slack', 'email']],
+            ['escalation', ['oncall']]
+        ]);
+
+        const [alert] = await service.getCurrentAlerts();
+        expect(alert).toMatchObject({ status: 'open', occurrences: 3, escalationLevel: 1 });
+        expect(alert.deliveries).toHaveLength(7);
+    });
+
+    test('should stop repeats and escalation once acknowledged', async () => {
+        await service.processAlerts([outage], at(0));
+        const [alert] = await service.getCurrentAlerts();
+        await service.acknowledgeAlert(alert.id, { actor: 'admin-1', note: 'Looking into MaxPreps' });
+
+        await service.processAlerts([outage], at(300));
+        expect(deliverSpy).toHaveBeenCalledTimes(1);
+
+        const [current] = await service.getCurrentAlerts();
+        expect(current).toMatchObject({ status: 'acknowledged', acknowledgedBy: 'admin-1', occurrences: 2 });
+        expect(current.history[0]).toMatchObject({ action: 'acknowledge', note: 'Looking into MaxPreps' });
+    });
+
+    test('should reopen a snoozed alert when the snooze ends', async () => {
+        await service.processAlerts([outage], at(0));
+        const [alert] = await service.getCurrentAlerts();
+
+        await expect(service.snoozeAlert(alert.id, { actor: 'admin-1', minutes: 0 })).rejects.toMatchObject({ status: 400 });
+        const snoozed = await service.snoozeAlert(alert.id, { actor: 'admin-1', minutes: 30 });
+        expect(snoozed.status).toBe('snoozed');
+
+        const stored = service.mockAlerts.find(a => a.id === alert.id);
+        stored.snoozedUntil = at(45);
+        await service.processAlerts([outage], at(40));
+        expect(deliverSpy).toHaveBeenCalledTimes(1);
+
+        await service.processAlerts([outage], at(70));
+        const [reopened] = await service.getCurrentAlerts();
+        expect(reopened.status).toBe('open');
+        expect(deliverSpy.mock.calls[1][2]).toBe('repeat');
+    });
+
+    test('should resolve alerts no longer detected and keep them in history', async () => {
+        await service.processAlerts([outage, { type: 'stale_data', severity: 'medium', athleteId: 'a1', message: 'Old' }], at(0));
+        await service.processAlerts([outage], at(24 * 60 + 1));
+
+        const current = await service.getCurrentAlerts();
+        expect(current.map(a => a.type)).toEqual(['high_error_rate']);
+
+        const history = await service.getQualityMetricsHistory(100000, { status: ['resolved'] });
+        expect(history.alerts.map(a => a.type)).toEqual(['stale_data']);
+        await expect(service.resolveAlert(history.alerts[0].id, { actor: 'admin-1' })).rejects.toMatchObject({ status: 409 });
+    });
+});
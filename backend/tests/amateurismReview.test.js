@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const eligibilityService = require('../services/eligibilityService');
+const Amateurism = require('../models/amateurismModel');
+const Eligibility = require('../models/eligibilityModel');
+const Media = require('../models/mediaModel');
+
+const athleteId = new mongoose.Types.ObjectId();
+const officer = { id: 'officer-1', role: 'compliance_officer' };
+const athlete = { id: String(athleteId), role: 'user' };
+
+const buildActivity = (overrides = {}) => new Amateurism({
+  athleteId,
+  earningsType: 'prize_money',
+  amount: 500,
+  source: 'Summer 7v7 tournament',
+  description: 'First place prize',
+  dateReceived: new Date('2026-06-01'),
+  ...overrides
+});
+
+const buildMedia = (uploadedBy, overrides = {}) => new Media({
+  filename: 'receipt-1.pdf',
+  originalName: 'receipt.pdf',
+  mimeType: 'application/pdf',
+  size: 2048,
+  url: '/uploads/receipt-1.pdf',
+  uploadedBy,
+  ...overrides
+});
+
+describe('Amateurism compliance review', () => {
+  let activity;
+  let media;
+
+  beforeEach(() => {
+    activity = buildActivity();
+    media = buildMedia(new mongoose.Types.ObjectId(athlete.id));
+    jest.spyOn(Amateurism, 'findById').mockImplementation(async id => (String(id) === String(activity._id) ? activity : null));
+    jest.spyOn(Media, 'findById').mockImplementation(async id => (String(id) === String(media._id) ? media : null));
+    jest.spyOn(Amateurism.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Media.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Eligibility, 'findOne').mockResolvedValue(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should list open activities oldest first with their compliance summary', async () => {
+    const older = buildActivity({ reportedDate: new Date('2026-06-02'), ncaaImpact: { impactLevel: 'high' } });
+    const newer = buildActivity({ earningsType: 'autograph', amount: 40, complianceStatus: 'under_review', assignedTo: officer.id });
+    const chain = {
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockResolvedValue([older, newer])
+    };
+    const findSpy = jest.spyOn(Amateurism, 'find').mockReturnValue(chain);
+    jest.spyOn(Amateurism, 'countDocuments').mockResolvedValue(2);
+
+    const queue = await eligibilityService.getReviewQueue({ athleteId: String(athleteId), limit: 1, page: 2 });
+
+    expect(findSpy).toHaveBeenCalledWith({ complianceStatus: { $in: ['pending', 'under_review'] }, athleteId: String(athleteId) });
+    expect(chain.sort).toHaveBeenCalledWith({ reportedDate: 1 });
+    expect(chain.skip).toHaveBeenCalledWith(1);
+    expect(queue.pagination).toEqual({ page: 2, limit: 1, total: 2, pages: 2 });
+    expect(queue.items[0]).toMatchObject({ id: older._id, type: 'prize_money', status: 'pending', impactLevel: 'high', documents: 0 });
+    expect(queue.items[1]).toMatchObject({ status: 'under_review', assignedTo: officer.id });
+  });
+
+  test('should attach the athlete\'s own upload as private compliance evidence', async () => {
+    const result = await eligibilityService.attachAmateurismDocument(activity._id, { mediaId: media._id, type: 'receipt' }, athlete);
+
+    expect(result.documentation).toHaveLength(1);
+    expect(result.documentation[0]).toMatchObject({ type: 'receipt', filename: 'receipt.pdf', url: '/uploads/receipt-1.pdf', uploadedBy: athlete.id });
+    expect(media).toMatchObject({ isPublic: false, category: 'compliance' });
+    expect(activity.reviewHistory[0]).toMatchObject({ action: 'evidence_added', actor: athlete.id, notes: 'receipt: receipt.pdf' });
+
+    // Compliance staff can add evidence of their own to any activity
+    const officerMedia = buildMedia(new mongoose.Types.ObjectId(), { originalName: 'contract.pdf' });
+    media = officerMedia;
+    const staffUser = { id: String(officerMedia.uploadedBy), role: 'compliance_officer' };
+    await eligibilityService.attachAmateurismDocument(activity._id, { mediaId: officerMedia._id, type: 'contract' }, staffUser);
+    expect(activity.documentation.map(document => document.filename)).toEqual(['receipt.pdf', 'contract.pdf']);
+  });
+
+  test('should reject other users and files the caller did not upload', async () => {
+    const otherUser = { id: String(new mongoose.Types.ObjectId()), role: 'user' };
+    await expect(eligibilityService.attachAmateurismDocument(activity._id, { mediaId: media._id }, otherUser))
+      .rejects.toMatchObject({ status: 403, message: 'Only compliance staff or the athlete can add evidence to this activity' });
+
+    // Another user's public upload must not be pulled into the compliance category
+    media = buildMedia(new mongoose.Types.ObjectId());
+    await expect(eligibilityService.attachAmateurismDocument(activity._id, { mediaId: media._id }, officer))
+      .rejects.toMatchObject({ status: 403, message: 'Only files you uploaded can be attached as evidence' });
+    await expect(eligibilityService.attachAmateurismDocument(activity._id, { mediaId: media._id }, athlete))
+      .rejects.toMatchObject({ status: 403 });
+
+    expect(media).toMatchObject({ isPublic: true, category: 'other' });
+    expect(activity.documentation).toHaveLength(0);
+    expect(Media.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('should record reported earnings as pending whatever review fields the body carries', async () => {
+    const { activity: recorded } = await eligibilityService.recordAmateurismActivity(String(athleteId), {
+      earningsType: 'endorsement',
+      amount: 2500,
+      source: 'Local car dealership',
+      description: 'Social media post',
+      dateReceived: '2026-07-01',
+      athleteId: String(new mongoose.Types.ObjectId()),
+      complianceStatus: 'approved',
+      reviewedBy: athlete.id,
+      assignedTo: athlete.id,
+      documentation: [{ type: 'contract', url: '/uploads/someone-elses.pdf' }],
+      reportedBy: athlete.id
+    });
+
+    expect(recorded).toMatchObject({ earningsType: 'endorsement', amount: 2500, complianceStatus: 'pending', ncaaImpact: { impactLevel: 'medium' } });
+    expect(String(recorded.athleteId)).toBe(String(athleteId));
+    expect(recorded.reviewedBy).toBeUndefined();
+    expect(recorded.assignedTo).toBeUndefined();
+    expect(recorded.documentation).toHaveLength(0);
+    expect(recorded.reviewHistory[0]).toMatchObject({ action: 'submitted', toStatus: 'pending', actor: athlete.id });
+  });
+});
@@ -0,0 +1,74 @@
+const athleteChangeFeedService = require('../services/athleteChangeFeedService');
+const apiEcosystemService = require('../services/apiEcosystemService');
+const identityResolutionService = require('../services/identityResolutionService');
+const DataStorageService = require('../services/dataStorageService');
+
+describe('Athlete Change Feed Service', () => {
+    test('should diff scalar, nested and list fields', () => {
+        const before = {
+            _id: 'a1',
+            updatedAt: new Date(1),
+            school: 'Westlake HS',
+            stats: { passingYards: 2400, rushingYards: 300 },
+            highlights: [{ url: 'https://hudl.com/v/1', title: 'Week 1' }],
+            recruitingData: { offers: 2, stars: 3 }
+        };
+        const after = {
+            _id: 'a1',
+            updatedAt: new Date(2),
+            school: 'Westlake HS',
+            stats: { passingYards: 2600, rushingYards: 300, touchdowns: 24 },
+            highlights: [{ url: 'https://hudl.com/v/1', title: 'Week 1' }, { url: 'https://hudl.com/v/2', title: 'Week 2' }],
+            recruitingData: { offers: 4 }
+        };
+
+        expect(athleteChangeFeedService.diffRecords(before, after)).toEqual([
+            { field: 'stats.passingYards', kind: 'changed', old: 2400, new: 2600 },
+            { field: 'stats.touchdowns', kind: 'added', old: null, new: 24 },
+            { field: 'highlights', kind: 'added', old: null, new: { url: 'https://hudl.com/v/2', title: 'Week 2' } },
+            { field: 'recruitingData.offers', kind: 'changed', old: 2, new: 4 },
+            { field: 'recruitingData.stars', kind: 'removed', old: 3, new: null }
+        ]);
+    });
+});
+
+describe('Change events from data storage', () => {
+    let storage;
+    let webhookSpy;
+
+    beforeEach(async () => {
+        identityResolutionService.mockLinks = [];
+        identityResolutionService.mockReviews = [];
+        athleteChangeFeedService.mockChanges = [];
+        storage = new DataStorageService();
+        await storage.initialize();
+        storage.mockCollections.athleteData.length = 0;
+        storage.recordScrapedRankingChange = jest.fn();
+        webhookSpy = jest.spyOn(apiEcosystemService, 'triggerWebhook').mockResolvedValue();
+        global.realTimeService = { broadcastToTopic: jest.fn() };
+    });
+
+    afterEach(() => {
+        webhookSpy.mockRestore();
+        delete global.realTimeService;
+    });
+
+    test('should log, broadcast and webhook the fields each write changed', async () => {
+        const athlete = { name: 'Jordan Reyes', sport: 'football', school: 'Westlake HS', position: 'QB' };
+        const first = await storage.storeAthleteData({ ...athlete, stats: { passingYards: 2400 }, source: 'maxpreps' });
+        await storage.storeAthleteData({ ...athlete, stats: { passingYards: 2600 }, recruitingData: { offers: 3 }, source: 'rivals247' });
+        await storage.storeAthleteData({ ...athlete, stats: { passingYards: 2600 }, source: 'rivals247' });
+
+        const changes = await athleteChangeFeedService.getChanges({ athleteId: first._id });
+        expect(changes.map(change => change.operation)).toEqual(['merged', 'created']);
+        expect(changes[0]).toMatchObject({ source: 'rivals247', categories: ['stats', 'offers'] });
+        expect(changes[0].changes).toEqual([
+            expect.objectContaining({ field: 'stats.passingYards', old: 2400, new: 2600, source: 'rivals247' }),
+            expect.objectContaining({ field: 'recruitingData.offers', kind: 'added', new: 3, category: 'offers' })
+        ]);
+
+        expect(await athleteChangeFeedService.getChanges({ category: 'offers' })).toHaveLength(1);
+        expect(global.realTimeService.broadcastToTopic).toHaveBeenCalledWith(`athlete_${first._id}`, expect.objectContaining({ type: 'athlete_change' }));
+        expect(webhookSpy.mock.calls.map(call => call[0])).toEqual(['athlete.created', 'athlete.updated']);
+    });
+});
@@ -0,0 +1,222 @@
+const zlib = require('zlib');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const importRoutes = require('../routes/importRoutes');
+const athleteImportService = require('../services/athleteImportService');
+const identityResolutionService = require('../services/identityResolutionService');
+const athleteChangeFeedService = require('../services/athleteChangeFeedService');
+const DataStorageService = require('../services/dataStorageService');
+const { readSpreadsheet, parseXlsx } = require('../utils/spreadsheet');
+
+// Minimal zip writer (deflated entries, CRCs left at zero) for XLSX fixtures
+const buildZip = (files) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, content]) => {
+        const data = zlib.deflateRawSync(Buffer.from(content));
+        const nameBuffer = Buffer.from(name);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, data);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+};
+
+const csv = (lines) => ({ buffer: Buffer.from(lines.join('\r\n')), originalname: 'roster.csv' });
+
+describe('Athlete Import Service', () => {
+    let storage;
+
+    beforeEach(async () => {
+        identityResolutionService.mockLinks = [];
+        identityResolutionService.mockReviews = [];
+        athleteChangeFeedService.mockChanges = [];
+        athleteImportService.mock = { batch: [], template: [] };
+        storage = new DataStorageService();
+        await storage.initialize();
+        storage.mockCollections.athleteData.length = 0;
+        storage.recordScrapedRankingChange = jest.fn();
+    });
+
+    test('should read quoted CSV cells and the first XLSX sheet', () => {
+        const fromCsv = readSpreadsheet(Buffer.from('\uFEFFName;School;Notes\n"Reyes, Jordan";Westlake;"said ""hi""\nlater"\n\n'), 'roster.csv');
+        expect(fromCsv.headers).toEqual(['Name', 'School', 'Notes']);
+        expect(fromCsv.rows).toEqual([{ line: 2, values: ['Reyes, Jordan', 'Westlake', 'said "hi"\nlater'] }]);
+
+        const workbook = buildZip({
+            'xl/workbook.xml': '<workbook xmlns:r="r"><sheets><sheet name="Roster" r:id="rId1"/></sheets></workbook>',
+            'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/roster.xml"/></Relationships>',
+            'xl/sharedStrings.xml': '<sst><si><t>Name</t></si><si><t>Class</t></si><si><r><t>Jordan </t></r><r><t>Reyes</t></r></si></sst>',
+            'xl/worksheets/roster.xml': '<worksheet><sheetData>' +
+                '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+                '<row r="3"><c r="A3" t="s"><v>2</v></c><c r="C3"><v>2026</v></c></row>' +
+                '</sheetData></worksheet>'
+        });
+        const fromXlsx = readSpreadsheet(workbook, 'roster.xlsx');
+        expect(fromXlsx).toEqual({
+            fileType: 'xlsx',
+            headers: ['Name', 'Column 2', 'Class'],
+            rows: [{ line: 3, values: ['Jordan Reyes', '', 2026] }]
+        });
+    });
+
+    test('should reject corrupt and oversized XLSX workbooks with a 400', () => {
+        const workbook = buildZip({ 'xl/worksheets/sheet1.xml': '<worksheet><sheetData/></worksheet>' });
+
+        // Central directory offset pointing past the end of the file
+        const badDirectory = Buffer.from(workbook);
+        badDirectory.writeUInt32LE(0xfffffff0, badDirectory.length - 6);
+        expect(() => readSpreadsheet(badDirectory, 'roster.xlsx')).toThrow(expect.objectContaining({ status: 400, message: 'XLSX workbook is corrupt' }));
+
+        // Local header offset past the end, then entry data that is not deflate
+        const badLocal = Buffer.from(workbook);
+        const centralStart = badLocal.readUInt32LE(badLocal.length - 6);
+        badLocal.writeUInt32LE(badLocal.length, centralStart + 42);
+        expect(() => readSpreadsheet(badLocal, 'roster.xlsx')).toThrow(expect.objectContaining({ status: 400 }));
+        const badData = Buffer.from(workbook);
+        badData.fill(0xff, 30 + 'xl/worksheets/sheet1.xml'.length, centralStart);
+        expect(() => readSpreadsheet(badData, 'roster.xlsx')).toThrow(expect.objectContaining({ status: 400, message: 'XLSX workbook is corrupt' }));
+
+        // A small file that inflates past the limit
+        const bomb = buildZip({ 'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${' '.repeat(2 * 1024 * 1024)}</sheetData></worksheet>` });
+        expect(bomb.length).toBeLessThan(10 * 1024);
+        expect(() => parseXlsx(bomb, { maxInflatedBytes: 1024 * 1024 })).toThrow(expect.objectContaining({ status: 400, message: 'XLSX workbook expands to more than 1MB' }));
+
+        // Row and column positions past Excel's sheet size
+        const sheet = (rowXml) => buildZip({ 'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${rowXml}</sheetData></worksheet>` });
+        expect(() => parseXlsx(sheet('<row r="2000000000"><c r="A2000000000"><v>1</v></c></row>')))
+            .toThrow(expect.objectContaining({ status: 400, message: 'XLSX rows are limited to 1048576' }));
+        expect(() => parseXlsx(sheet('<row r="1"><c r="ZZZZZZ1"><v>1</v></c></row>')))
+            .toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => parseXlsx(sheet('<row r="1"><c r="XFE1"><v>1</v></c></row>')))
+            .toThrow(expect.objectContaining({ status: 400, message: 'XLSX columns are limited to 16384 (A to XFD)' }));
+        expect(parseXlsx(sheet('<row r="1"><c r="C1"><v>1</v></c></row>'))).toEqual([['', '', 1]]);
+    });
+
+    test('should dry-run, commit and roll back a batch with per-row errors', async () => {
+        const existing = await storage.storeAthleteData({ name: 'Jordan Reyes', sport: 'football', position: 'QB', school: 'Westlake HS', source: 'maxpreps' });
+
+        const batch = await athleteImportService.upload('coach-1', csv([
+            'First Name,Last Name,Pos,High School,Grad Year,Wt,Hudl',
+            'Jordan,Reyes,QB,Westlake HS,2026,190,',
+            'Marcus,Hill,WR,Lake Travis HS,Class of 2027,175,https://www.hudl.com/v/1',
+            'Devon,Price,RB,Westlake HS,2026,heavy,',
+            'Marcus,Hill,WR,Lake Travis HS,2027,176,'
+        ]));
+        expect(batch.mapping.map(entry => entry.field)).toEqual(['firstName', 'lastName', 'position', 'school', 'year', 'weight', 'socialMedia.hudl']);
+
+        const report = await athleteImportService.validate('coach-1', batch.id, {
+            mapping: [...batch.mapping.filter(entry => entry.column !== 'Hudl'), { column: 'Hudl', field: 'highlights.url' }],
+            defaults: { sport: 'Football' },
+            saveAsTemplate: 'Roster export'
+        });
+
+        expect(report.summary).toMatchObject({ total: 4, valid: 3, invalid: 1, create: 1, merge: 2 });
+        expect(report.rowResults.map(row => [row.line, row.status, row.operation])).toEqual([
+            [2, 'valid', 'merge'], [3, 'valid', 'create'], [4, 'invalid', undefined], [5, 'valid', 'merge']
+        ]);
+        expect(report.rowResults[0].athleteId).toBe(String(existing._id));
+        expect(report.rowResults[2].validationErrors).toEqual(['weight: "heavy" is not a number']);
+        expect(report.rowResults[3].duplicateOfLine).toBe(3);
+        expect(storage.mockCollections.athleteData).toHaveLength(1);
+
+        const committed = await athleteImportService.commit('coach-1', batch.id);
+        expect(committed.summary).toMatchObject({ imported: 3, failed: 0, skipped: 1 });
+        expect(committed.rowResults.map(row => row.operation)).toEqual(['merged', 'created', undefined, 'merged']);
+        expect(storage.mockCollections.athleteData).toHaveLength(2);
+        const marcus = storage.mockCollections.athleteData.find(athlete => athlete.name === 'Marcus Hill');
+        expect(marcus).toMatchObject({ year: '2027', weight: 176, highlights: [expect.objectContaining({ platform: 'hudl' })] });
+
+        const rolledBack = await athleteImportService.rollback('coach-1', batch.id);
+        expect(rolledBack).toMatchObject({ status: 'rolled_back', summary: { rolledBack: 3 } });
+        expect(storage.mockCollections.athleteData.map(athlete => athlete.name)).toEqual(['Jordan Reyes']);
+        expect(storage.mockCollections.athleteData[0].weight).toBeUndefined();
+
+        await expect(athleteImportService.rollback('coach-1', batch.id)).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should reuse a saved template and keep batches private', async () => {
+        const template = await athleteImportService.createTemplate('coach-1', {
+            name: 'Hudl roster',
+            mapping: [{ column: 'Athlete', field: 'name' }, { column: 'Sport', field: 'sport' }, { column: 'Extra', field: 'stats.fortyYardDash' }]
+        });
+        await expect(athleteImportService.createTemplate('coach-1', { name: 'Bad', mapping: [{ column: 'School', field: 'school' }] }))
+            .rejects.toMatchObject({ status: 400 });
+
+        const batch = await athleteImportService.upload('coach-1', csv(['Athlete,Sport', 'Jordan Reyes,football']), { templateId: template.id });
+        expect(batch.mapping).toEqual([{ column: 'Athlete', field: 'name' }, { column: 'Sport', field: 'sport' }]);
+
+        await expect(athleteImportService.getBatch('coach-2', batch.id)).rejects.toMatchObject({ status: 404 });
+        await expect(athleteImportService.commit('coach-1', batch.id)).rejects.toMatchObject({ status: 409 });
+        await expect(athleteImportService.upload('coach-1', { buffer: Buffer.from('x'), originalname: 'roster.pdf' }))
+            .rejects.toMatchObject({ status: 400 });
+    });
+
+    test('should mark a commit that fails partway as failed and let it be rolled back', async () => {
+        const batch = await athleteImportService.upload('coach-1', csv([
+            'Name,Pos,High School',
+            'Marcus Hill,WR,Lake Travis HS',
+            'Devon Price,RB,Westlake HS'
+        ]));
+        await athleteImportService.validate('coach-1', batch.id, { mapping: batch.mapping, defaults: { sport: 'Football' } });
+
+        // The second row's result goes missing mid-commit
+        const stored = athleteImportService.mock.batch[0];
+        stored.rowResults = stored.rowResults.slice(0, 1);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            const failed = await athleteImportService.commit('coach-1', batch.id);
+            expect(failed.status).toBe('failed');
+            expect(failed.rowResults[0].status).toBe('imported');
+            expect(storage.mockCollections.athleteData.map(athlete => athlete.name)).toEqual(['Marcus Hill']);
+
+            const rolledBack = await athleteImportService.rollback('coach-1', batch.id);
+            expect(rolledBack).toMatchObject({ status: 'rolled_back', summary: { rolledBack: 1 } });
+            expect(storage.mockCollections.athleteData).toHaveLength(0);
+
+            // A commit cut off by a restart stays 'committing' until it goes stale
+            Object.assign(stored, { status: 'committing', updatedAt: new Date(Date.now() - 60 * 1000) });
+            await expect(athleteImportService.rollback('coach-1', batch.id)).rejects.toMatchObject({ status: 409 });
+            stored.updatedAt = new Date(Date.now() - 60 * 60 * 1000);
+            expect(await athleteImportService.getBatch('coach-1', batch.id)).toMatchObject({ status: 'failed', error: 'Commit was interrupted before it finished' });
+        } finally {
+            jest.restoreAllMocks();
+        }
+    });
+
+    test('should only let admins use the import routes', async () => {
+        process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/imports', importRoutes);
+        const tokenFor = id => jwt.sign({ id, email: `${id}@example.com`, role: 'user' }, process.env.JWT_SECRET);
+
+        const coach = await request(app).get('/api/v1/imports').set('Authorization', `Bearer ${tokenFor('coach-1')}`);
+        expect(coach.status).toBe(403);
+        const admin = await request(app).get('/api/v1/imports').set('Authorization', `Bearer ${tokenFor('admin')}`);
+        expect(admin.status).toBe(200);
+    });
+});
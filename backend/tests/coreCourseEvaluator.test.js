@@ -0,0 +1,129 @@
+const coreCourseEvaluator = require('../services/coreCourseEvaluator');
+
+const course = (coreCategory, gradeLevel, grade, extra = {}) => ({
+    name: `${coreCategory} ${gradeLevel}`,
+    coreCategory,
+    gradeLevel,
+    grade,
+    units: 1,
+    ...extra
+});
+
+// Four years of English and three of math/science/social science/language
+const fullTranscript = () => {
+    const courses = [];
+    [9, 10, 11].forEach(gradeLevel => {
+        ['english', 'math', 'naturalScience', 'socialScience', 'foreignLanguage'].forEach(category => {
+            courses.push(course(category, gradeLevel, 'B'));
+        });
+    });
+    courses.push(course('english', 12, 'A'));
+    return courses;
+};
+
+describe('Core Course Evaluator', () => {
+    describe('Core GPA', () => {
+        test('should use the best courses that satisfy each category', () => {
+            const courses = [
+                ...fullTranscript(),
+                course('additional', 12, 'F')
+            ];
+
+            // The F is surplus to requirements and must not drag the core GPA down
+            const gpa = coreCourseEvaluator.calculateCoreGPA(courses, 'division1');
+            expect(gpa).toBeCloseTo(3.063, 3);
+        });
+
+        test('should honour numeric grade point overrides', () => {
+            const gpa = coreCourseEvaluator.calculateCoreGPA([
+                course('english', 9, null, { gradePoints: 3.5 }),
+                course('math', 9, 'C')
+            ], 'division3');
+            expect(gpa).toBe(2.75);
+        });
+    });
+
+    describe('10/7 Rule', () => {
+        test('should pass when ten courses are locked in before senior year', () => {
+            const result = coreCourseEvaluator.checkTenSevenRule(fullTranscript(), 'division1');
+
+            expect(result.met).toBe(true);
+            expect(result.englishMathScienceBeforeSeniorYear).toBe(9);
+        });
+
+        test('should fail when English/math/science are deferred to senior year', () => {
+            const courses = [
+                course('socialScience', 9, 'A'),
+                course('socialScience', 10, 'A'),
+                course('foreignLanguage', 10, 'A'),
+                course('english', 12, 'A')
+            ];
+            expect(coreCourseEvaluator.checkTenSevenRule(courses, 'division1').met).toBe(false);
+        });
+
+        test('should not apply to Division II', () => {
+            expect(coreCourseEvaluator.checkTenSevenRule([], 'division2').applies).toBe(false);
+        });
+    });
+
+    describe('Sliding Scale', () => {
+        test('should require higher test scores at lower core GPAs', () => {
+            const high = coreCourseEvaluator.lookupSlidingScale('division1', 3.55);
+            const low = coreCourseEvaluator.lookupSlidingScale('division1', 2.3);
+
+            expect(high.sat).toBeLessThan(low.sat);
+            expect(low.status).toBe('qualifier');
+        });
+
+        test('should classify the 2.0-2.299 band as academic redshirt', () => {
+            expect(coreCourseEvaluator.lookupSlidingScale('division1', 2.1).status).toBe('academic_redshirt');
+        });
+
+        test('should convert an ACT composite to a sum score', () => {
+            const result = coreCourseEvaluator.evaluateTestScore('division1', 3.0, 'act', 13);
+
+            expect(result.score).toBe(52);
+            expect(result.status).toBe('qualifier');
+        });
+
+        test('should report the minimum core GPA for a test score', () => {
+            const result = coreCourseEvaluator.evaluateTestScore('division1', 2.4, 'sat', 900);
+
+            expect(result.status).toBe('not_eligible');
+            expect(result.minimumGPAForScore).toBe(2.5);
+        });
+    });
+
+    describe('Division Evaluation', () => {
+        test('should list missing categories and plan remaining semesters', () => {
+            const courses = fullTranscript().filter(c => c.coreCategory !== 'foreignLanguage');
+            const result = coreCourseEvaluator.evaluateDivision(courses, {
+                division: 'division1',
+                testType: 'sat',
+                testScore: 1000,
+                currentGradeLevel: 12,
+                currentTerm: 'fall'
+            });
+
+            expect(result.status).toBe('not_eligible');
+            expect(result.missingCategories).toEqual([
+                expect.objectContaining({ category: 'additional', missing: 3 })
+            ]);
+            expect(result.completionPlan.feasible).toBe(true);
+            expect(result.completionPlan.semesters.map(s => s.label)).toEqual(['Grade 12 Fall', 'Grade 12 Spring']);
+        });
+
+        test('should credit in-progress courses as scheduled', () => {
+            const courses = [
+                ...fullTranscript().filter(c => c.gradeLevel !== 12),
+                course('english', 12, null, { status: 'in_progress' })
+            ];
+            const result = coreCourseEvaluator.evaluateDivision(courses, {
+                division: 'division1',
+                currentGradeLevel: 12
+            });
+
+            expect(result.categories.english).toEqual({ required: 4, completed: 3, scheduled: 1, missing: 0 });
+        });
+    });
+});
@@ -0,0 +1,96 @@
+const eligibilityClockSimulator = require('../services/eligibilityClockSimulator');
+
+const now = new Date('2026-09-01T00:00:00Z');
+
+const freshman = (extra = {}) => ({
+    sport: 'football',
+    division: 'division1',
+    clockStart: null,
+    seasonsUsed: 0,
+    redshirtUsed: false,
+    waiverHistory: [],
+    ...extra
+});
+
+describe('Eligibility Clock Simulator', () => {
+    test('should project four seasons of competition for a full-time player', () => {
+        const result = eligibilityClockSimulator.simulate(freshman(), {}, now);
+
+        expect(result.summary.seasonsPlayed).toBe(4);
+        expect(result.summary.finalSeasonAcademicYear).toBe('2029-30');
+        expect(result.summary.endsBy).toBe('seasons_exhausted');
+    });
+
+    test('should preserve a season within the four-game football redshirt limit', () => {
+        const result = eligibilityClockSimulator.simulate(freshman(), {
+            seasons: [{ academicYear: '2026-27', gamesPlayed: 4 }]
+        }, now);
+
+        expect(result.timeline[0]).toEqual(expect.objectContaining({ status: 'redshirt', seasonCounted: false }));
+        expect(result.summary.finalSeasonAcademicYear).toBe('2030-31');
+        expect(result.summary.redshirtUsed).toBe(true);
+    });
+
+    test('should count any game in sports without a participation exception', () => {
+        const result = eligibilityClockSimulator.simulate(freshman({ sport: 'basketball' }), {
+            seasons: [{ academicYear: '2026-27', gamesPlayed: 2 }]
+        }, now);
+
+        expect(result.timeline[0].status).toBe('competed');
+    });
+
+    test('should stop at the five-year clock even with seasons left', () => {
+        const result = eligibilityClockSimulator.simulate(freshman(), {
+            seasons: [
+                { academicYear: '2026-27', gamesPlayed: 0 },
+                { academicYear: '2027-28', gamesPlayed: 0 }
+            ]
+        }, now);
+
+        expect(result.summary.seasonsPlayed).toBe(3);
+        expect(result.summary.unusedSeasons).toBe(1);
+        expect(result.summary.endsBy).toBe('clock_expired');
+    });
+
+    test('should restore a season under a qualifying medical hardship waiver', () => {
+        const result = eligibilityClockSimulator.simulate(freshman({ sport: 'basketball' }), {
+            seasons: [{ academicYear: '2027-28', gamesPlayed: 9, scheduledGames: 30 }],
+            waivers: [{ academicYear: '2027-28', type: 'medical' }]
+        }, now);
+
+        expect(result.timeline[1].status).toBe('hardship_restored');
+        expect(result.summary.seasonsPlayed).toBe(4);
+
+        const tooMany = eligibilityClockSimulator.simulate(freshman({ sport: 'basketball' }), {
+            seasons: [{ academicYear: '2027-28', gamesPlayed: 12, scheduledGames: 30 }],
+            waivers: [{ academicYear: '2027-28', type: 'medical' }]
+        }, now);
+        expect(tooMany.timeline[1].status).toBe('competed');
+        expect(tooMany.warnings).toHaveLength(1);
+    });
+
+    test('should not run a Division II semester clock while not enrolled', () => {
+        const result = eligibilityClockSimulator.simulate(freshman({ clockStart: new Date('2025-08-20T00:00:00Z') }), {
+            seasons: [{ academicYear: '2026-27', enrolled: false }],
+            transfers: [{ academicYear: '2026-27', toDivision: 'division2' }]
+        }, now);
+
+        expect(result.timeline[0]).toEqual(expect.objectContaining({ division: 'division2', status: 'not_enrolled' }));
+        expect(result.timeline[0].clockRemaining).toEqual({ unit: 'semesters', value: 8 });
+    });
+
+    test('should compare plans side by side', () => {
+        const result = eligibilityClockSimulator.compare(freshman(), [
+            { name: 'Play now' },
+            { name: 'Redshirt', seasons: [{ academicYear: '2026-27', gamesPlayed: 0 }] }
+        ], now);
+
+        expect(result.comparison.map(plan => plan.finalSeasonAcademicYear)).toEqual(['2029-30', '2030-31']);
+    });
+
+    test('should reject malformed scenarios', () => {
+        expect(() => eligibilityClockSimulator.simulate(freshman(), {
+            seasons: [{ academicYear: '2026', gamesPlayed: 1 }]
+        }, now)).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
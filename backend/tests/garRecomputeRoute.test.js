@@ -0,0 +1,50 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { mockDB } = require('../config/database');
+const rankingRoutes = require('../routes/rankingRoutes');
+const rankingHistoryService = require('../services/rankingHistoryService');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/rankings', rankingRoutes);
+
+const tokenFor = id => jwt.sign({ id, email: `${id}@example.com`, role: 'user' }, process.env.JWT_SECRET);
+
+describe('POST /api/v1/rankings/recompute-gar', () => {
+    let recordSpy;
+
+    beforeEach(() => {
+        mockDB.players = [{ _id: 'athlete-1', name: 'Test QB', sport: 'football', position: 'QB', garScore: 10, stars: 4 }];
+        recordSpy = jest.spyOn(rankingHistoryService, 'recordChange').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should refuse non-admin users without touching scores', async () => {
+        const response = await request(app)
+            .post('/api/v1/rankings/recompute-gar')
+            .set('Authorization', `Bearer ${tokenFor('coach-1')}`)
+            .send({ sport: 'football' });
+
+        expect(response.status).toBe(403);
+        expect(response.body).toEqual({ message: 'Admin access required' });
+        expect(mockDB.players[0].garScore).toBe(10);
+        expect(recordSpy).not.toHaveBeenCalled();
+    });
+
+    test('should recompute for admins', async () => {
+        const response = await request(app)
+            .post('/api/v1/rankings/recompute-gar')
+            .set('Authorization', `Bearer ${tokenFor('admin')}`)
+            .send({ sport: 'football' });
+
+        expect(response.status).toBe(200);
+        expect(mockDB.players[0].garProfileVersion).toBeDefined();
+        expect(recordSpy).toHaveBeenCalledWith(mockDB.players[0], expect.any(Object), expect.objectContaining({ cause: 'recompute', actor: 'admin' }));
+    });
+});
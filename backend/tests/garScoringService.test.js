@@ -0,0 +1,141 @@
+const garScoringService = require('../services/garScoringService');
+
+const quarterback = (extra = {}) => ({
+    name: 'Test QB',
+    sport: 'football',
+    position: 'QB',
+    height: "6'3\"",
+    stars: 4,
+    recruitingData: { rating: 90 },
+    stats: { passingYards: 3200, touchdowns: 30, rushingYards: 300, interceptions: 6 },
+    achievements: ['All-State'],
+    ...extra
+});
+
+describe('GAR Scoring Service', () => {
+    afterEach(() => {
+        garScoringService.loadProfiles();
+    });
+
+    test('should load a profile for every supported sport', () => {
+        expect(garScoringService.getSports().sort()).toEqual(['baseball', 'basketball', 'football', 'soccer', 'track']);
+    });
+
+    test('should resolve position aliases and fall back to the default position', () => {
+        expect(garScoringService.resolvePosition('football', 'edge')).toBe('DL');
+        expect(garScoringService.resolvePosition('baseball', 'SS')).toBe('IF');
+        expect(garScoringService.resolvePosition('basketball', 'unknown')).toBe('G');
+        expect(garScoringService.isValidPosition('football', 'PG')).toBe(false);
+    });
+
+    test('should tag every score with its profile version', () => {
+        const result = garScoringService.score(quarterback());
+
+        expect(result.profileVersion).toBe('football@2026.2');
+        expect(result.profile).toEqual(expect.objectContaining({ sport: 'football', position: 'QB', commonVersion: '2026.1' }));
+        expect(result.total).toBeGreaterThan(0);
+        expect(result.total).toBeLessThanOrEqual(100);
+    });
+
+    test('should score basketball guards on basketball stats', () => {
+        const guard = {
+            sport: 'basketball',
+            position: 'PG',
+            stars: 3,
+            stats: { assistsPerGame: 8, pointsPerGame: 20, stealsPerGame: 2, turnoversPerGame: 2 }
+        };
+        const quiet = { ...guard, stats: { assistsPerGame: 1, pointsPerGame: 4, stealsPerGame: 0.2, turnoversPerGame: 4 } };
+
+        expect(garScoringService.score(guard).breakdown.technical)
+            .toBeGreaterThan(garScoringService.score(quiet).breakdown.technical);
+    });
+
+    test('should reward faster times for track events', () => {
+        const fast = garScoringService.score({ sport: 'track', position: '100m', stats: { best100m: 10.6 } });
+        const slow = garScoringService.score({ sport: 'track', position: '100m', stats: { best100m: 11.8 } });
+
+        expect(fast.profile.position).toBe('SPRINTS');
+        expect(fast.breakdown.technical).toBeGreaterThan(slow.breakdown.technical);
+    });
+
+    test('should recompute with a pinned profile version after a newer one is registered', () => {
+        const original = garScoringService.score(quarterback());
+        const football = garScoringService.getProfile('football');
+
+        garScoringService.registerProfile({
+            ...football,
+            version: '2027.1',
+            categories: { ...football.categories, technical: { base: 0, weight: 0.25 } }
+        });
+
+        expect(garScoringService.score(quarterback()).profileVersion).toBe('football@2027.1');
+        expect(garScoringService.recompute(quarterback(), original.profileVersion)).toEqual(
+            expect.objectContaining({ total: original.total, profileVersion: 'football@2026.2' })
+        );
+    });
+
+    test('should reject profiles whose category weights do not sum to one', () => {
+        const football = garScoringService.getProfile('football');
+        expect(() => garScoringService.registerProfile({
+            ...football,
+            version: '0.1',
+            categories: { ...football.categories, technical: { base: 60, weight: 0.5 } }
+        })).toThrow('weights must sum to 1');
+    });
+
+    describe('Explanations', () => {
+        test('should itemise each input with its normalized value, weight and points', () => {
+            const result = garScoringService.score(quarterback());
+            const passing = result.ledger.find(entry => entry.key === 'passingYards');
+
+            expect(passing).toEqual(expect.objectContaining({
+                source: 'position',
+                category: 'technical',
+                value: 3200,
+                normalized: 0.8,
+                weight: 20,
+                points: 16,
+                cap: null
+            }));
+            expect(result.categories.technical.contributions).toBeCloseTo(
+                result.ledger.filter(entry => entry.category === 'technical').reduce((sum, entry) => sum + entry.points, 0), 2
+            );
+        });
+
+        test('should record caps when a stat exceeds its profile range', () => {
+            const result = garScoringService.score(quarterback({ stats: { passingYards: 5200 } }));
+            const passing = result.ledger.find(entry => entry.key === 'passingYards');
+
+            expect(passing.cap).toEqual({ bound: 'max', limit: 4000 });
+            expect(passing.points).toBe(20);
+        });
+
+        test('should penalise missing position stats and widen the confidence interval', () => {
+            const complete = garScoringService.score(quarterback());
+            const sparse = garScoringService.score(quarterback({ stats: { passingYards: 3200 } }));
+
+            expect(sparse.penalties.map(p => p.key).sort()).toEqual(['interceptions', 'rushingYards', 'touchdowns']);
+            expect(sparse.confidence.coverage).toBeLessThan(complete.confidence.coverage);
+            expect(sparse.confidence.interval.high - sparse.confidence.interval.low)
+                .toBeGreaterThan(complete.confidence.interval.high - complete.confidence.interval.low);
+        });
+
+        test('should not apply missing-data penalties under profiles that predate them', () => {
+            const result = garScoringService.score(quarterback({ stats: {} }), { version: '2026.1' });
+            expect(result.penalties).toEqual([]);
+        });
+
+        test('should diff two computations line by line', () => {
+            const before = garScoringService.score(quarterback());
+            const after = garScoringService.score(quarterback({
+                stats: { ...quarterback().stats, passingYards: 3600, interceptions: undefined }
+            }));
+            const diff = garScoringService.diff(before, after);
+
+            expect(diff.lines.map(line => line.key)).toEqual(expect.arrayContaining(['passingYards', 'interceptions']));
+            expect(diff.lines.find(line => line.key === 'passingYards').delta).toBe(2);
+            expect(diff.penalties.added).toEqual([expect.objectContaining({ key: 'interceptions' })]);
+            expect(diff.total.delta).toBe(after.total - before.total);
+        });
+    });
+});
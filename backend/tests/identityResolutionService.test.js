@@ -0,0 +1,160 @@
+const identityResolutionService = require('../services/identityResolutionService');
+const DataStorageService = require('../services/dataStorageService');
+
+const mikeSmith = {
+    name: 'Mike Smith Jr.',
+    sport: 'football',
+    school: 'Westlake HS',
+    position: 'QB',
+    height: '6\'2"',
+    weight: 195,
+    recruitingData: { location: 'Austin, TX', recruitingClass: 2027 }
+};
+
+const michaelSmith = {
+    name: 'Michael Smith',
+    sport: 'football',
+    school: 'Westlake High School',
+    position: 'Quarterback',
+    height: '6-2',
+    weight: 200,
+    recruitingData: { location: 'Austin, TX', recruitingClass: 2027 }
+};
+
+describe('Identity Resolution Service', () => {
+    beforeEach(() => {
+        identityResolutionService.mockLinks = [];
+        identityResolutionService.mockReviews = [];
+    });
+
+    test('should normalize name variants and school aliases', () => {
+        expect(identityResolutionService.parseName('Mike Smith Jr.')).toEqual({
+            first: 'mike', last: 'smith', suffix: 'jr', canonicalFirst: 'michael'
+        });
+        expect(identityResolutionService.normalizeSchool('Westlake HS')).toBe('westlake');
+        expect(identityResolutionService.normalizeSchool('Westlake High School (Austin, TX)')).toBe('westlake');
+        expect(identityResolutionService.normalizeSchool('St. Thomas Acad')).toBe('saint thomas academy');
+        expect(identityResolutionService.canonicalPosition('football', 'Quarterback')).toBe('QB');
+    });
+
+    test('should auto-merge a nickname and school alias of the same athlete', () => {
+        const comparison = identityResolutionService.compare(mikeSmith, michaelSmith);
+
+        expect(comparison.decision).toBe('merge');
+        expect(comparison.probability).toBeGreaterThan(0.99);
+        expect(comparison.features.name.score).toBe(1);
+        expect(comparison.features.school.score).toBe(1);
+        expect(comparison.features.position.score).toBe(1);
+        expect(comparison.rulesVersion).toBe('2026.1');
+    });
+
+    test('should keep apart two athletes with the same name in the same state', () => {
+        const other = { ...michaelSmith, name: 'Michael Smith', school: 'Katy High School', recruitingData: { location: 'Katy, TX', recruitingClass: 2025 }, weight: 260, position: 'DT' };
+        const comparison = identityResolutionService.compare(michaelSmith, other);
+
+        expect(comparison.decision).toBe('distinct');
+        expect(comparison.features.school.weight).toBeLessThan(0);
+    });
+
+    test('should treat a father and son with different suffixes as different people', () => {
+        const senior = { name: 'Mike Smith Sr.', sport: 'football', school: 'Westlake HS' };
+        const junior = { name: 'Mike Smith Jr.', sport: 'football', school: 'Westlake HS' };
+
+        expect(identityResolutionService.compare(senior, junior).features.name.score).toBeLessThan(0.3);
+    });
+
+    test('should let a shared social handle override a school change', () => {
+        const transfer = { ...michaelSmith, school: 'Lake Travis High School', socialMedia: { twitter: 'https://twitter.com/MSmithQB' } };
+        const comparison = identityResolutionService.compare(
+            { ...mikeSmith, socialMedia: { twitter: '@msmithqb' } },
+            transfer
+        );
+
+        expect(comparison.features.social.score).toBe(1);
+        expect(comparison.decision).toBe('merge');
+    });
+
+    test('should queue middling matches for review instead of merging', () => {
+        const sparse = { name: 'Michael Smith', sport: 'football', recruitingData: { location: 'Austin, TX', recruitingClass: 2027 } };
+        const comparison = identityResolutionService.compare(mikeSmith, sparse);
+
+        expect(comparison.decision).toBe('review');
+        expect(comparison.features.school).toBeUndefined();
+    });
+
+    test('should cluster records within blocks and report review pairs', () => {
+        const { groups, reviews } = identityResolutionService.cluster([
+            mikeSmith,
+            { name: 'Jane Doe', sport: 'football', school: 'Westlake HS' },
+            michaelSmith,
+            { name: 'Michael Smith', sport: 'football', recruitingData: { location: 'Austin, TX', recruitingClass: 2027 } }
+        ]);
+
+        expect(groups).toEqual([[0, 2], [1], [3]]);
+        expect(reviews.map(r => [r.a, r.b])).toEqual([[0, 3], [2, 3]]);
+    });
+
+    test('should not requeue a pair that was rejected', async () => {
+        const a = { ...mikeSmith, _id: 'a' };
+        const b = { ...michaelSmith, _id: 'b' };
+        const comparison = identityResolutionService.compare(a, b);
+
+        const review = await identityResolutionService.enqueueReview(a, b, comparison);
+        await identityResolutionService.closeReview(review._id, 'rejected', { actor: 'admin' });
+        const again = await identityResolutionService.enqueueReview(b, a, comparison);
+
+        expect(again._id).toBe(review._id);
+        expect(await identityResolutionService.getReviewQueue()).toHaveLength(0);
+    });
+});
+
+describe('Identity resolution in data storage', () => {
+    let storage;
+
+    beforeEach(async () => {
+        identityResolutionService.mockLinks = [];
+        identityResolutionService.mockReviews = [];
+        storage = new DataStorageService();
+        await storage.initialize();
+        storage.mockCollections.athleteData.length = 0;
+        storage.recordScrapedRankingChange = jest.fn();
+    });
+
+    test('should merge matching records and unmerge them with provenance', async () => {
+        const first = await storage.storeAthleteData({ ...mikeSmith, stats: { passingYards: 2400 }, source: 'maxpreps' });
+        const second = await storage.storeAthleteData({ ...michaelSmith, stats: { passingYards: 2600 }, source: '247sports' });
+
+        expect(second._id).toBe(first._id);
+        expect(storage.mockCollections.athleteData).toHaveLength(1);
+        expect(second.stats.passingYards).toBe(2600);
+
+        const links = await identityResolutionService.getLinks(first._id);
+        expect(links.map(link => link.decision)).toEqual(['origin', 'auto']);
+        expect(links[1].features.name.score).toBe(1);
+
+        const { athlete, split } = await storage.unmergeAthleteRecord(links[1]._id, { actor: 'admin', reason: 'Different player' });
+
+        expect(storage.mockCollections.athleteData).toHaveLength(2);
+        expect(athlete.stats.passingYards).toBe(2400);
+        expect(split.stats.passingYards).toBe(2600);
+
+        const history = await identityResolutionService.getLinks(first._id, { includeUnmerged: true });
+        expect(history[1]).toMatchObject({ status: 'unmerged', splitEntityId: String(split._id), unmergeReason: 'Different player' });
+        await expect(storage.unmergeAthleteRecord(links[1]._id, { actor: 'admin' })).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('should merge a reviewed pair into one athlete', async () => {
+        const first = await storage.storeAthleteData(mikeSmith);
+        const second = await storage.storeAthleteData({ name: 'Michael Smith', sport: 'football', recruitingData: { location: 'Austin, TX', recruitingClass: 2027 } });
+
+        expect(second._id).not.toBe(first._id);
+        const [review] = await identityResolutionService.getReviewQueue();
+        expect(review.candidateEntityId).toBe(String(first._id));
+
+        const result = await storage.resolveIdentityReview(review._id, 'merge', { actor: 'admin' });
+
+        expect(result.review.status).toBe('merged');
+        expect(storage.mockCollections.athleteData).toHaveLength(1);
+        expect(await identityResolutionService.getLinks(review.entityId)).toHaveLength(2);
+    });
+});
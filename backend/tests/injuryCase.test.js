@@ -0,0 +1,105 @@
+const injuryCaseService = require('../services/injuryCaseService');
+const TrainingProgramsService = require('../services/trainingProgramsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const trainer = { id: 'trainer-1', role: 'athletic_trainer' };
+const physician = { id: 'physician-1', role: 'team_physician' };
+
+// Let the current stage's minimum time pass and note how the athlete did
+const completeStage = async (caseId, symptoms = []) => {
+  injuryCaseService.mock.cases.find(item => item._id === caseId).stageStartedAt = new Date(Date.now() - 60 * DAY_MS);
+  await injuryCaseService.addProgressNote(caseId, trainer, { notes: 'Completed the stage', symptoms, painLevel: 0 });
+};
+
+describe('Injury Case Service', () => {
+  beforeEach(() => {
+    injuryCaseService.mock = { cases: [] };
+  });
+
+  test('should walk a concussion through the graduated protocol with physician sign-off', async () => {
+    await expect(injuryCaseService.openCase({ id: 'coach-1', role: 'user' }, { athleteId: 'athlete-1', type: 'concussion', location: 'head', severity: 'moderate' }))
+      .rejects.toMatchObject({ status: 403 });
+
+    const opened = await injuryCaseService.openCase(trainer, { athleteId: 'athlete-1', type: 'concussion', location: 'head', severity: 'moderate', description: 'Helmet contact' });
+    expect(opened).toMatchObject({ status: 'active', currentStage: 1, protocol: { id: 'concussion' }, stage: { name: 'Symptom-limited activity' } });
+    expect(opened.protocol.stages).toHaveLength(6);
+    expect(opened.activeRestrictions).toEqual([expect.objectContaining({ kind: 'no_training', source: 'protocol' })]);
+
+    await expect(injuryCaseService.advanceStage(opened.id, trainer)).rejects.toMatchObject({ status: 409, message: expect.stringContaining('at least 1 day') });
+    await completeStage(opened.id, ['headache']);
+    await expect(injuryCaseService.advanceStage(opened.id, trainer)).rejects.toMatchObject({ status: 409, message: 'The athlete must be symptom-free before moving on' });
+    await completeStage(opened.id);
+    expect(await injuryCaseService.advanceStage(opened.id, trainer)).toMatchObject({ status: 'rehab', currentStage: 2 });
+
+    for (let stage = 2; stage < 4; stage++) {
+      await completeStage(opened.id);
+      await injuryCaseService.advanceStage(opened.id, trainer);
+    }
+    // Full contact needs medical clearance
+    await completeStage(opened.id);
+    await expect(injuryCaseService.advanceStage(opened.id, trainer)).rejects.toMatchObject({ status: 403, message: 'Full contact practice needs sign-off by a team physician' });
+    await injuryCaseService.advanceStage(opened.id, physician);
+
+    await completeStage(opened.id);
+    await expect(injuryCaseService.signOffClearance(opened.id, trainer)).rejects.toMatchObject({ status: 403 });
+    const cleared = await injuryCaseService.signOffClearance(opened.id, physician, { notes: 'Symptom-free through full contact' });
+
+    expect(cleared).toMatchObject({ status: 'cleared', currentStage: 6, clearance: { clearedBy: 'physician-1', clearedByRole: 'team_physician' }, activeRestrictions: [] });
+    expect(cleared.stageHistory.map(entry => entry.action)).toEqual(['started', 'advanced', 'advanced', 'advanced', 'advanced', 'cleared']);
+    expect(await injuryCaseService.getActiveRestrictions('athlete-1')).toEqual([]);
+  });
+
+  test('should block generated training sessions that conflict with case restrictions', async () => {
+    const trainingProgramsService = new TrainingProgramsService();
+    await trainingProgramsService.initialize();
+
+    const opened = await injuryCaseService.openCase(trainer, { athleteId: 'athlete-2', type: 'strain', location: 'shoulder', severity: 'moderate' });
+    // Soft-tissue stages stretch with severity
+    expect(opened.protocol.stages.map(stage => stage.minDays)).toEqual([3, 5, 8, 6, 0]);
+
+    // Every strength session benches, which loads the injured shoulder
+    const program = await trainingProgramsService.generateProgram({ athleteId: 'athlete-2', sport: 'football', goals: ['strength'] });
+    const sessions = program.schedule.flatMap(week => week.sessions);
+    expect(program.injuryRestrictions).toMatchObject({ activeCases: 1, blockedSessions: sessions.length });
+    expect(sessions[0].blockedBy).toEqual([expect.objectContaining({ kind: 'no_load', value: 'shoulder', caseId: opened.id })]);
+    await expect(trainingProgramsService.updateProgramProgress('athlete-2', sessions[0].id, { score: 80 }))
+      .rejects.toMatchObject({ status: 409 });
+
+    // Progressive strengthening only caps intensity, so just the 85% peak weeks stay blocked
+    for (let stage = 1; stage < 3; stage++) {
+      await completeStage(opened.id);
+      await injuryCaseService.advanceStage(opened.id, trainer);
+    }
+    await trainingProgramsService.applyInjuryRestrictions(program);
+    expect(sessions.filter(session => session.blocked).map(session => session.week)).toEqual([7, 7, 7, 8, 8, 8]);
+    await trainingProgramsService.updateProgramProgress('athlete-2', sessions[0].id, { score: 80 });
+
+    const restricted = await injuryCaseService.addRestriction(opened.id, trainer, { kind: 'no_training', reason: 'Flare-up after practice' });
+    await trainingProgramsService.applyInjuryRestrictions(program);
+    expect(sessions.filter(session => session.blocked)).toHaveLength(sessions.length - 1);
+    expect(sessions[0]).toMatchObject({ completed: true, blocked: false });
+
+    await injuryCaseService.liftRestriction(opened.id, restricted.restrictions[0].id, trainer);
+    await trainingProgramsService.applyInjuryRestrictions(program);
+    expect(program.injuryRestrictions.blockedSessions).toBe(6);
+  });
+
+  test('should validate cases and keep them private to medical staff and the athlete', async () => {
+    await expect(injuryCaseService.openCase(trainer, { athleteId: 'athlete-3', type: 'bruise', location: 'knee', severity: 'minor' }))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('Injury type must be one of') });
+
+    const opened = await injuryCaseService.openCase(trainer, { athleteId: 'athlete-3', injuryId: 'injury-1', type: 'fracture', location: 'wrist', severity: 'serious' });
+    expect(opened.protocol).toMatchObject({ id: 'bone_joint', clearanceRoles: ['athletic_trainer', 'team_physician'] });
+    expect(opened.earliestReturnDate.getTime() - new Date(opened.stageStartedAt).getTime()).toBe(84 * DAY_MS);
+    await expect(injuryCaseService.openCase(trainer, { athleteId: 'athlete-3', injuryId: 'injury-1', type: 'fracture', location: 'wrist', severity: 'serious' }))
+      .rejects.toMatchObject({ status: 409 });
+
+    await expect(injuryCaseService.getCase(opened.id, { id: 'coach-1', role: 'user' })).rejects.toMatchObject({ status: 403 });
+    expect(await injuryCaseService.listCases('athlete-3', { id: 'athlete-3', role: 'user' })).toHaveLength(1);
+
+    await expect(injuryCaseService.addRestriction(opened.id, trainer, { kind: 'no_load', value: 'elbowish' })).rejects.toMatchObject({ status: 400 });
+    await expect(injuryCaseService.addRestriction(opened.id, trainer, { kind: 'max_intensity', value: 150 })).rejects.toMatchObject({ status: 400 });
+    await expect(injuryCaseService.regressStage(opened.id, trainer, { reason: 'Pain' })).rejects.toMatchObject({ status: 409 });
+    await expect(injuryCaseService.signOffClearance(opened.id, trainer)).rejects.toMatchObject({ status: 409, message: expect.stringContaining('from stage 4') });
+  });
+});
@@ -0,0 +1,139 @@
+const InjuryRiskModel = require('../services/injuryRiskModel');
+const riskModelRegistry = require('../services/riskModelRegistry');
+const { JobQueue, MemoryQueueDriver } = require('../services/queue');
+const { createRandom, stratifiedSplit, rocAuc, evaluate } = require('../utils/riskModelTraining');
+
+// Athletes whose injury odds rise with training load and injury history
+const syntheticSamples = (count, seed) => {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, () => {
+    const athleteData = {
+      trainingLoad: random() * 100,
+      previousInjuries: new Array(Math.floor(random() * 5)).fill({}),
+      position: random() < 0.5 ? 'QB' : 'DL'
+    };
+    const odds = -5 + 6 * athleteData.trainingLoad / 100 + 4 * athleteData.previousInjuries.length / 5;
+    return { athleteData, injured: random() < 1 / (1 + Math.exp(-odds)) };
+  });
+};
+
+describe('Injury Risk Model', () => {
+  let injuryRiskModel;
+
+  beforeEach(() => {
+    riskModelRegistry.mock = { versions: [] };
+    riskModelRegistry.revision++;
+    injuryRiskModel = new InjuryRiskModel();
+  });
+
+  test('should compute hold-out metrics on a reproducible stratified split', () => {
+    expect(rocAuc([0, 0, 1, 1], [0.1, 0.4, 0.35, 0.8])).toBe(0.75);
+    expect(rocAuc([0, 1], [0.5, 0.5])).toBe(0.5);
+    expect(rocAuc([0, 0], [0.2, 0.3])).toBeNull();
+
+    const metrics = evaluate([0, 0, 1, 1], [0.1, 0.4, 0.35, 0.8]);
+    expect(metrics).toMatchObject({ samples: 4, positives: 2, auc: 0.75, brier: 0.1581 });
+    expect(metrics.calibration.bins.map(bin => bin.count)).toEqual([1, 1, 1, 1]);
+
+    const samples = Array.from({ length: 40 }, (_, index) => ({ id: index, label: index < 8 ? 1 : 0 }));
+    const { train, test } = stratifiedSplit(samples, { holdoutFraction: 0.25, seed: 7 });
+    expect(test.filter(sample => sample.label === 1)).toHaveLength(2);
+    expect(test).toHaveLength(10);
+    expect(train).toHaveLength(30);
+    expect(stratifiedSplit(samples, { holdoutFraction: 0.25, seed: 7 }).test.map(sample => sample.id)).toEqual(test.map(sample => sample.id));
+  });
+
+  test('should train, register and serve a logistic regression in place of the hand-set weights', async () => {
+    const athleteData = { trainingLoad: 90, previousInjuries: [{}, {}, {}, {}] };
+    expect((await injuryRiskModel.calculateRisk(athleteData)).model).toEqual({ version: null, algorithm: 'heuristic' });
+
+    await expect(injuryRiskModel.train(syntheticSamples(10, 1))).rejects.toMatchObject({ status: 422 });
+    await expect(injuryRiskModel.train(null)).rejects.toMatchObject({ status: 503 });
+
+    const trained = await injuryRiskModel.train(syntheticSamples(400, 1));
+    expect(trained).toMatchObject({ version: 1, status: 'active', promoted: true, algorithm: 'logistic_regression' });
+    expect(trained.metrics.auc).toBeGreaterThan(0.8);
+    expect(trained.metrics).toHaveProperty('baseline.auc');
+    expect(trained.training).toMatchObject({ samples: 400, trainSamples: 300, holdoutSamples: 100 });
+    expect(trained.artifact.weights.trainingLoad).toBeGreaterThan(0);
+    expect(trained.artifact.weights.previousInjuries).toBeGreaterThan(0);
+
+    const risky = await injuryRiskModel.calculateRisk(athleteData);
+    const safe = await injuryRiskModel.calculateRisk({ trainingLoad: 5, previousInjuries: [] });
+    expect(risky).toMatchObject({ riskLevel: 'HIGH', model: { version: 1, algorithm: 'logistic_regression' } });
+    expect(safe.riskLevel).toBe('LOW');
+    expect(injuryRiskModel.getStats()).toMatchObject({ isTrained: true, version: 1, algorithm: 'logistic_regression' });
+  });
+
+  test('should keep a pinned version served and roll back along the promotion chain', async () => {
+    await injuryRiskModel.train(syntheticSamples(200, 1));
+    await injuryRiskModel.pinVersion(1, { actor: 'admin-1' });
+
+    const candidate = await injuryRiskModel.train(syntheticSamples(200, 2));
+    expect(candidate).toMatchObject({ version: 2, status: 'candidate', promoted: false });
+    expect((await injuryRiskModel.getServedModel()).version).toBe(1);
+
+    await injuryRiskModel.unpin({ actor: 'admin-1' });
+    await injuryRiskModel.train(syntheticSamples(200, 3), { promote: true });
+    expect((await injuryRiskModel.calculateRisk({})).model.version).toBe(3);
+
+    const restored = await injuryRiskModel.rollback({ actor: 'admin-1', reason: 'Over-flagging linemen' });
+    expect(restored).toMatchObject({ version: 1, status: 'active', pinned: true });
+    expect(restored.events.map(event => event.action)).toEqual(['trained', 'activated', 'pinned', 'unpinned', 'retired', 'rolled_back']);
+    expect((await injuryRiskModel.calculateRisk({})).model.version).toBe(1);
+
+    const versions = await injuryRiskModel.listVersions();
+    expect(versions.map(version => [version.version, version.status])).toEqual([[3, 'retired'], [2, 'candidate'], [1, 'active']]);
+    await expect(injuryRiskModel.rollback()).rejects.toMatchObject({ status: 409 });
+    await expect(injuryRiskModel.pinVersion(9)).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('should keep every snapshot of an athlete on the same side of the split', () => {
+    // Fortnightly snapshots of 30 athletes; every third athlete is injured once
+    const samples = [];
+    for (let athlete = 0; athlete < 30; athlete++) {
+      for (let snapshot = 0; snapshot < 6; snapshot++) {
+        samples.push({ athleteId: `athlete-${athlete}`, label: athlete % 3 === 0 && snapshot === 4 ? 1 : 0 });
+      }
+    }
+
+    const { train, test } = stratifiedSplit(samples, { holdoutFraction: 0.25, seed: 7 });
+    const trainAthletes = new Set(train.map(sample => sample.athleteId));
+    const testAthletes = new Set(test.map(sample => sample.athleteId));
+
+    expect([...testAthletes].filter(athleteId => trainAthletes.has(athleteId))).toEqual([]);
+    expect(train.length + test.length).toBe(samples.length);
+    expect(test).toHaveLength(48);
+    expect(test.filter(sample => sample.label === 1)).toHaveLength(3);
+    expect(train.filter(sample => sample.label === 1)).toHaveLength(7);
+  });
+
+  test('should clamp training settings and train on the job queue', async () => {
+    expect(injuryRiskModel.resolveTrainingSettings({ stepDays: 0, windowDays: -5, historyDays: 5000, epochs: 1e9, l2: '0.1' }))
+      .toMatchObject({ stepDays: 1, windowDays: 1, historyDays: 1095, epochs: 10000, l2: 0.1, horizonDays: 30 });
+    expect(() => injuryRiskModel.resolveTrainingSettings({ stepDays: 'fortnightly' })).toThrow('stepDays must be a number');
+
+    const queue = new JobQueue(new MemoryQueueDriver());
+    const queuedModel = new InjuryRiskModel(queue);
+    queuedModel.startTrainingWorker();
+    jest.spyOn(queuedModel, 'train').mockImplementation(async (trainingData, options) => ({ version: 1, settings: options }));
+
+    try {
+      await expect(queuedModel.queueTraining({ epochs: 'many' })).rejects.toMatchObject({ status: 400 });
+
+      const { job, created } = await queuedModel.queueTraining({ stepDays: -3, actor: 'admin-1' });
+      expect(created).toBe(true);
+      expect(job.payload.options).toEqual({ stepDays: 1, actor: 'admin-1', promote: undefined });
+
+      let finished = await queuedModel.getTrainingJob(job.id);
+      for (let poll = 0; finished.status !== 'completed' && poll < 100; poll++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        finished = await queuedModel.getTrainingJob(job.id);
+      }
+      expect(finished).toMatchObject({ status: 'completed', result: { version: 1 } });
+      expect(queuedModel.train).toHaveBeenCalledWith(null, job.payload.options);
+    } finally {
+      await queue.close();
+    }
+  });
+});
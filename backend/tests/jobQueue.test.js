@@ -0,0 +1,137 @@
+const { JobQueue, MemoryQueueDriver, MongoQueueDriver } = require('../services/queue');
+const { logger } = require('../utils/logger');
+
+describe('Job Queue', () => {
+    let queue;
+
+    beforeEach(() => {
+        queue = new JobQueue(new MemoryQueueDriver(), { backoffMs: 1000, maxBackoffMs: 4000 });
+    });
+
+    afterEach(async () => {
+        await queue.close();
+    });
+
+    test('should hand out jobs by priority, then oldest first', async () => {
+        await queue.enqueue('scraping', 'scraping', { athleteName: 'Low' }, { priority: 'low' });
+        await queue.enqueue('scraping', 'scraping', { athleteName: 'Normal' });
+        await queue.enqueue('scraping', 'scraping', { athleteName: 'Urgent' }, { priority: 'urgent' });
+        await queue.enqueue('scraping', 'scraping', { athleteName: 'Medium' }, { priority: 'medium' });
+
+        const order = [];
+        for (let job = await queue.reserve('scraping'); job; job = await queue.reserve('scraping')) {
+            order.push(job.payload.athleteName);
+        }
+
+        expect(order).toEqual(['Urgent', 'Normal', 'Medium', 'Low']);
+        expect(() => queue.resolvePriority('asap')).toThrow('Unknown job priority');
+    });
+
+    test('should return the live job for a repeated idempotency key', async () => {
+        const first = await queue.enqueue('scraping', 'scraping', {}, { idempotencyKey: 'scrape:football:jane doe' });
+        const second = await queue.enqueue('scraping', 'scraping', {}, { idempotencyKey: 'scrape:football:jane doe' });
+
+        expect(second.created).toBe(false);
+        expect(second.job.id).toBe(first.job.id);
+
+        // The key is released once the job finishes
+        const job = await queue.reserve('scraping');
+        await queue.ack(job, { ok: true });
+        const third = await queue.enqueue('scraping', 'scraping', {}, { idempotencyKey: 'scrape:football:jane doe' });
+        expect(third.created).toBe(true);
+    });
+
+    test('should redeliver a job whose visibility timeout expired and ignore the stale worker', async () => {
+        await queue.enqueue('analytics', 'generate_analytics', {});
+        const stale = await queue.reserve('analytics', { visibilityTimeoutMs: 1 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        const redelivered = await queue.reserve('analytics');
+        expect(redelivered.id).toBe(stale.id);
+        expect(redelivered.attempts).toBe(2);
+
+        expect(await queue.ack(stale, 'late')).toBeNull();
+        expect((await queue.ack(redelivered, 'done')).status).toBe('completed');
+    });
+
+    test('should retry with exponential backoff, then dead-letter and requeue', async () => {
+        const { job } = await queue.enqueue('scraping', 'scraping', {}, { maxAttempts: 3 });
+        const delays = [];
+
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            // Make the job runnable without waiting for the backoff delay
+            queue.driver.jobs.get(job.id).availableAt = new Date(0);
+            const reserved = await queue.reserve('scraping');
+            const failed = await queue.nack(reserved, new Error(`timeout ${attempt}`));
+            if (failed.status === 'waiting') {
+                delays.push(failed.availableAt - failed.updatedAt);
+            }
+        }
+
+        const dead = await queue.get(job.id);
+        expect(dead.status).toBe('dead');
+        expect(dead.failures.map(f => f.error)).toEqual(['timeout 1', 'timeout 2', 'timeout 3']);
+        expect(delays.map(ms => Math.round(ms / 1000))).toEqual([1, 2]);
+        expect(queue.getBackoffDelay({ attempts: 5 })).toBe(4000);
+
+        expect(await queue.retryDead('scraping')).toEqual({ retried: 1 });
+        const requeued = await queue.reserve('scraping');
+        expect(requeued.id).toBe(job.id);
+        expect(requeued.attempts).toBe(1);
+    });
+
+    test('should dead-letter immediately for non-retryable errors', async () => {
+        await queue.enqueue('notifications', 'unknown', {}, { maxAttempts: 5 });
+        const job = await queue.reserve('notifications');
+        const failed = await queue.nack(job, Object.assign(new Error('Unknown job type'), { retryable: false }));
+
+        expect(failed.status).toBe('dead');
+        expect((await queue.stats('notifications')).dead).toBe(1);
+    });
+
+    test('should process jobs with a worker and report progress', async () => {
+        const handler = jest.fn(async (job, { progress }) => {
+            await progress(50);
+            if (job.payload.fail) throw new Error('boom');
+            return { name: job.payload.name };
+        });
+
+        const { job: ok } = await queue.enqueue('scraping', 'scraping', { name: 'A' });
+        const { job: bad } = await queue.enqueue('scraping', 'scraping', { fail: true }, { maxAttempts: 1 });
+        queue.process('scraping', handler, { concurrency: 2, pollIntervalMs: 5 });
+
+        for (let i = 0; i < 100 && (await queue.stats('scraping')).completed + (await queue.stats('scraping')).dead < 2; i++) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        expect(await queue.get(ok.id)).toMatchObject({ status: 'completed', progress: 100, result: { name: 'A' } });
+        expect(await queue.get(bad.id)).toMatchObject({ status: 'dead', lastError: 'boom' });
+        expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    test('should cancel waiting jobs and reject cancelling finished ones', async () => {
+        const { job } = await queue.enqueue('scraping', 'scraping', {});
+        expect((await queue.cancel(job.id)).status).toBe('cancelled');
+        expect(await queue.reserve('scraping')).toBeNull();
+
+        await expect(queue.cancel(job.id)).rejects.toMatchObject({ status: 409 });
+        await expect(queue.cancel('missing')).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should fail enqueues on the mongo driver while the database is down instead of keeping jobs in memory', async () => {
+        const model = { create: jest.fn() };
+        const mongoQueue = new JobQueue(new MongoQueueDriver(model, { connectTimeoutMs: 20 }));
+        const logSpy = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+        await expect(mongoQueue.enqueue('scraping', 'scraping', {})).rejects.toMatchObject({
+            status: 503,
+            message: 'Job queue database is not connected (waited 20ms)'
+        });
+        await expect(mongoQueue.reserve('scraping')).rejects.toMatchObject({ status: 503 });
+        expect(model.create).not.toHaveBeenCalled();
+        expect(logSpy).toHaveBeenCalledWith('Error enqueueing job:', expect.objectContaining({ status: 503 }));
+
+        await mongoQueue.close();
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,104 @@
+const jobScheduler = require('../services/jobSchedulerService');
+const { parseCron, nextRun, isValidCron } = require('../utils/cronExpression');
+
+const utc = (text) => new Date(`${text}Z`);
+
+describe('Cron expressions', () => {
+    test('should find the next matching minute in UTC', () => {
+        expect(nextRun('*/15 * * * *', utc('2026-10-19T08:07:30'))).toEqual(utc('2026-10-19T08:15:00'));
+        expect(nextRun('0 3 * * *', utc('2026-10-19T03:00:00'))).toEqual(utc('2026-10-20T03:00:00'));
+        expect(nextRun('0 */4 * * *', utc('2026-10-19T09:59:00'))).toEqual(utc('2026-10-19T12:00:00'));
+        expect(nextRun('@monthly', utc('2026-12-15T00:00:00'))).toEqual(utc('2027-01-01T00:00:00'));
+    });
+
+    test('should handle names, ranges and either-day matching', () => {
+        expect(nextRun('30 6 * * mon-fri', utc('2026-10-17T12:00:00'))).toEqual(utc('2026-10-19T06:30:00'));
+        expect(nextRun('0 0 1 * sun', utc('2026-10-19T12:00:00'))).toEqual(utc('2026-10-25T00:00:00'));
+        expect(parseCron('0 0 * * 7').dayOfWeek.has(0)).toBe(true);
+    });
+
+    test('should reject malformed or impossible expressions', () => {
+        expect(isValidCron('0 3 * *')).toBe(false);
+        expect(isValidCron('61 * * * *')).toBe(false);
+        expect(isValidCron('0 0 31 2 *')).toBe(false);
+        expect(() => parseCron('*/0 * * * *')).toThrow('Invalid minute step');
+    });
+});
+
+describe('Job Scheduler Service', () => {
+    let handler;
+
+    beforeEach(async () => {
+        jobScheduler.handlers.clear();
+        jobScheduler.mockJobs = [];
+        jobScheduler.mockRuns = [];
+        handler = jest.fn().mockResolvedValue({ athletesTouched: 12, failures: [] });
+        jobScheduler.register('nightly', handler, { cron: '0 3 * * *', timeoutMinutes: 30 });
+        await jobScheduler.ensureSchedules();
+    });
+
+    test('should run a due schedule once and advance it to the next occurrence', async () => {
+        jobScheduler.mockJobs[0].nextRunAt = utc('2026-10-19T03:00:00');
+
+        const [run] = await jobScheduler.tick(utc('2026-10-19T03:00:20'));
+        const again = await jobScheduler.tick(utc('2026-10-19T03:01:00'));
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(again).toEqual([]);
+        expect(run).toMatchObject({ jobName: 'nightly', trigger: 'schedule', status: 'completed', athletesTouched: 12 });
+        expect(run.durationMs).toBeGreaterThanOrEqual(0);
+
+        const [schedule] = await jobScheduler.listSchedules();
+        expect(schedule.nextRunAt).toEqual(utc('2026-10-20T03:00:00'));
+        expect(schedule.lastRunStatus).toBe('completed');
+        expect(schedule.lock).toBeUndefined();
+    });
+
+    test('should not run while another instance holds the lock, and abandon expired runs', async () => {
+        const job = jobScheduler.mockJobs[0];
+        job.nextRunAt = utc('2026-10-19T03:00:00');
+        job.lock = { owner: 'other-host', runId: 'stale-run', expiresAt: utc('2026-10-19T03:20:00') };
+        jobScheduler.mockRuns.push({ _id: 'stale-run', jobName: 'nightly', status: 'running', startedAt: utc('2026-10-19T02:50:00') });
+
+        expect(await jobScheduler.tick(utc('2026-10-19T03:05:00'))).toEqual([]);
+        await expect(jobScheduler.trigger('nightly', 'admin-1')).resolves.toMatchObject({ trigger: 'manual', triggeredBy: 'admin-1' });
+        expect(jobScheduler.mockRuns.find(run => run._id === 'stale-run').status).toBe('abandoned');
+    });
+
+    test('should pause, trigger while paused and resume from the next occurrence', async () => {
+        jobScheduler.mockJobs[0].nextRunAt = utc('2026-10-19T03:00:00');
+        await jobScheduler.pause('nightly', { actor: 'admin-1', reason: 'Source outage' });
+
+        expect(await jobScheduler.tick(utc('2026-10-19T03:00:20'))).toEqual([]);
+        await jobScheduler.trigger('nightly', 'admin-1');
+        expect(handler).toHaveBeenCalledTimes(1);
+
+        const resumed = await jobScheduler.resume('nightly');
+        expect(resumed.paused).toBe(false);
+        expect(resumed.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+        await expect(jobScheduler.pause('missing')).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should record failures and errors in run history', async () => {
+        handler.mockResolvedValueOnce({ athletesTouched: 8, failures: [{ target: 'Jordan Reyes', error: 'queue full' }] });
+        handler.mockRejectedValueOnce(new Error('database unavailable'));
+
+        const partial = await jobScheduler.trigger('nightly', 'admin-1');
+        const failed = await jobScheduler.trigger('nightly', 'admin-1');
+
+        expect(partial).toMatchObject({ status: 'partial', athletesTouched: 8, failures: [{ target: 'Jordan Reyes', error: 'queue full' }] });
+        expect(failed).toMatchObject({ status: 'failed', error: 'database unavailable' });
+        expect(await jobScheduler.getRuns({ jobName: 'nightly', status: 'failed' })).toHaveLength(1);
+        expect(await jobScheduler.getLastRunTime('nightly')).toEqual(partial.finishedAt);
+    });
+
+    test('should keep stored cron changes when schedules are re-registered', async () => {
+        await jobScheduler.updateSchedule('nightly', { cron: '0 5 * * *' });
+        jobScheduler.register('nightly', handler, { cron: '0 3 * * *' });
+        await jobScheduler.ensureSchedules();
+
+        expect(jobScheduler.mockJobs).toHaveLength(1);
+        expect(jobScheduler.mockJobs[0].cron).toBe('0 5 * * *');
+        await expect(jobScheduler.updateSchedule('nightly', { cron: 'often' })).rejects.toMatchObject({ status: 400 });
+    });
+});
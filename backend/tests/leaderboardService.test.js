@@ -0,0 +1,73 @@
+const leaderboardService = require('../services/leaderboardService');
+
+const athlete = (id, name, garScore, position, location, recruitingClass, stars = 3) => ({
+    _id: id,
+    name,
+    sport: 'football',
+    position,
+    garScore,
+    stars,
+    recruitingData: { location, recruitingClass, rating: 80 }
+});
+
+const athletes = [
+    athlete('1', 'Alex Ames', 90, 'QB', 'Austin, TX', 2027, 5),
+    athlete('2', 'Blake Burns', 90, 'QB', 'Miami, FL', 2027, 4),
+    athlete('3', 'Casey Cole', 85, 'RB', 'Dallas, TX', 2028),
+    athlete('4', 'Drew Dunn', 85, 'WR', 'Ohio, USA', 2027),
+    athlete('5', 'Drew Dunn', 85, 'WR', 'Fresno, CA', 2027),
+    athlete('6', 'Evan Ellis', 70, 'QB', 'Houston, TX', 2028)
+];
+
+describe('Leaderboard Service', () => {
+    beforeEach(() => {
+        leaderboardService.invalidate();
+        leaderboardService.loadAthletes = jest.fn(async () => athletes);
+    });
+
+    test('should break ties deterministically on stars, name and id', async () => {
+        const board = await leaderboardService.query('football');
+
+        expect(board.athletes.map(a => a.athleteId)).toEqual(['1', '2', '3', '4', '5', '6']);
+        expect(board.athletes.map(a => a.rank)).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    test('should precompute state, region, class and position ranks', async () => {
+        const ranks = await leaderboardService.getAthleteRanks('6');
+
+        expect(ranks.state).toBe('TX');
+        expect(ranks.region).toBe('south');
+        expect(ranks.ranks).toEqual({ national: 6, state: 3, region: 4, recruitingClass: 2, position: 3 });
+    });
+
+    test('should combine filters and rank within the filtered board', async () => {
+        const board = await leaderboardService.query('football', { state: 'Texas', recruitingClass: '2028' });
+
+        expect(board.filters).toEqual({ state: 'TX', recruitingClass: 2028 });
+        expect(board.athletes.map(a => [a.athleteId, a.rank])).toEqual([['3', 1], ['6', 2]]);
+    });
+
+    test('should page through a board', async () => {
+        const page = await leaderboardService.query('football', { page: 2, limit: 4 });
+
+        expect(page).toMatchObject({ page: 2, pages: 2, total: 6 });
+        expect(page.athletes.map(a => a.rank)).toEqual([5, 6]);
+    });
+
+    test('should reuse the board until it is invalidated', async () => {
+        const first = await leaderboardService.query('football');
+        await leaderboardService.query('football', { region: 'south' });
+        expect(leaderboardService.loadAthletes).toHaveBeenCalledTimes(1);
+
+        leaderboardService.invalidate('football');
+        const rebuilt = await leaderboardService.query('football', { boardVersion: first.boardVersion });
+
+        expect(leaderboardService.loadAthletes).toHaveBeenCalledTimes(2);
+        expect(rebuilt.boardChanged).toBe(true);
+    });
+
+    test('should reject unknown filter values', async () => {
+        await expect(leaderboardService.query('football', { region: 'pacific' })).rejects.toMatchObject({ status: 400 });
+        await expect(leaderboardService.query('football', { state: 'Atlantis' })).rejects.toMatchObject({ status: 400 });
+    });
+});
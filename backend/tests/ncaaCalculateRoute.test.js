@@ -0,0 +1,56 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const ncaaRoutes = require('../routes/ncaaRoutes');
+const Transcript = require('../models/transcriptModel');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/ncaa', ncaaRoutes);
+
+const athleteId = '64b7f0c2a1b2c3d4e5f60718';
+const otherAthleteId = '64b7f0c2a1b2c3d4e5f60719';
+
+const tokenFor = (id, role = 'user') => jwt.sign({ id, email: `${id}@example.com`, role }, process.env.JWT_SECRET);
+
+describe('POST /api/v1/ncaa/calculate', () => {
+  let findSpy;
+
+  beforeEach(() => {
+    findSpy = jest.spyOn(Transcript, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should only load a stored transcript for the athlete or compliance staff', async () => {
+    const body = { division: 'division1', athleteId };
+
+    expect((await request(app).post('/api/v1/ncaa/calculate').send(body)).status).toBe(401);
+    const other = await request(app)
+      .post('/api/v1/ncaa/calculate')
+      .set('Authorization', `Bearer ${tokenFor(otherAthleteId)}`)
+      .send(body);
+    expect(other.status).toBe(403);
+    expect(findSpy).not.toHaveBeenCalled();
+
+    for (const token of [tokenFor(athleteId), tokenFor('officer-1', 'compliance_officer')]) {
+      const response = await request(app).post('/api/v1/ncaa/calculate').set('Authorization', `Bearer ${token}`).send(body);
+      expect(response.status).toBe(200);
+    }
+    expect(findSpy).toHaveBeenCalledTimes(2);
+  });
+
+  test('should keep scoring self-reported counts open', async () => {
+    const response = await request(app)
+      .post('/api/v1/ncaa/calculate')
+      .send({ division: 'division2', gpa: 3.1, coreCourses: { english: 3 } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ courseSource: 'self_reported' });
+    expect(findSpy).not.toHaveBeenCalled();
+  });
+});
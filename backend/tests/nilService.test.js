@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const nilService = require('../services/nilService');
+const NILDeal = require('../models/nilDealModel');
+
+const signedDate = new Date('2026-09-01T00:00:00Z');
+
+const deal = (extra = {}) => ({
+    counterparty: { name: 'Local Grill', type: 'local_business' },
+    category: 'food_beverage',
+    state: 'TX',
+    totalValue: 1000,
+    signedDate,
+    deliverables: [{ description: 'Two social posts', type: 'social_post' }],
+    disclosure: { required: true },
+    ...extra
+});
+
+describe('NIL Service', () => {
+    afterEach(() => {
+        nilService.loadRulePacks();
+    });
+
+    test('should apply the baseline and state packs for the deal state', () => {
+        const packs = nilService.getApplicablePacks(deal()).map(pack => pack.id);
+        expect(packs).toEqual(expect.arrayContaining(['ncaa-baseline', 'state-tx']));
+        expect(packs).not.toContain('state-ca');
+    });
+
+    test('should use the shortest disclosure window', () => {
+        const deadline = nilService.calculateDisclosureDeadline(deal());
+        expect(deadline.toISOString().slice(0, 10)).toBe('2026-09-08');
+    });
+
+    test('should flag categories prohibited by state law', () => {
+        const { findings } = nilService.evaluateDeal(deal({ category: 'gambling' }), signedDate);
+
+        expect(findings).toEqual(expect.arrayContaining([
+            expect.objectContaining({ packId: 'state-tx', rule: 'prohibited_category', severity: 'critical' })
+        ]));
+        expect(nilService.evaluateDeal(deal({ category: 'gambling', state: 'CA' }), signedDate).findings
+            .some(f => f.rule === 'prohibited_category')).toBe(false);
+    });
+
+    test('should flag a missed disclosure window', () => {
+        const { findings, rulePackVersions } = nilService.evaluateDeal(deal(), new Date('2026-09-10T00:00:00Z'));
+
+        expect(findings).toEqual(expect.arrayContaining([
+            expect.objectContaining({ packId: 'state-tx', rule: 'disclosure_missed' })
+        ]));
+        expect(rulePackVersions['state-tx']).toBeDefined();
+    });
+
+    test('should accept a timely disclosure', () => {
+        const { findings } = nilService.evaluateDeal(deal({
+            disclosure: { required: true, disclosedAt: new Date('2026-09-05T00:00:00Z') }
+        }), new Date('2026-09-20T00:00:00Z'));
+
+        expect(findings.filter(f => f.rule.startsWith('disclosure'))).toEqual([]);
+    });
+
+    test('should run institution pack hooks only for that institution', () => {
+        nilService.registerRulePack({
+            id: 'inst-test',
+            name: 'Test University NIL policy',
+            scope: 'institution',
+            appliesTo: ['Test University'],
+            version: '1',
+            evaluate: (d) => d.counterparty.type === 'booster'
+                ? [{ message: 'Booster deals need athletic director sign-off' }]
+                : []
+        });
+
+        const booster = deal({ institution: 'test university', counterparty: { name: 'Boosters', type: 'booster' } });
+        expect(nilService.evaluateDeal(booster, signedDate).findings).toEqual(expect.arrayContaining([
+            expect.objectContaining({ packId: 'inst-test', rule: 'custom' })
+        ]));
+        expect(nilService.evaluateDeal({ ...booster, institution: 'Other' }, signedDate).findings
+            .some(f => f.packId === 'inst-test')).toBe(false);
+    });
+
+    test('should reject unparseable dates with a 400 instead of failing mid-evaluation', () => {
+        expect(() => nilService.evaluateDeal(deal({ signedDate: 'next tuesday' })))
+            .toThrow(expect.objectContaining({ status: 400, message: 'signedDate must be a valid date' }));
+        expect(() => nilService.evaluateDeal(deal({ disclosure: { required: true, disclosedAt: '2026-13-45' } })))
+            .toThrow(expect.objectContaining({ status: 400, message: 'disclosure.disclosedAt must be a valid date' }));
+        expect(() => nilService.calculateDisclosureDeadline(deal({ signedDate: 'soon' })))
+            .toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('should keep deals to their athlete and compliance staff', async () => {
+        const athleteId = String(new mongoose.Types.ObjectId());
+        const athlete = { id: athleteId, role: 'user' };
+        jest.spyOn(NILDeal.prototype, 'save').mockImplementation(async function() { return this; });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            // A body athleteId does not move the deal to another athlete
+            const { deal: created } = await nilService.createDeal(athleteId, deal({
+                athleteId: String(new mongoose.Types.ObjectId()),
+                ruleFindings: [],
+                paymentSchedule: [{ amount: 500, dueDate: new Date('2026-10-01T00:00:00Z') }]
+            }));
+            expect(String(created.athleteId)).toBe(athleteId);
+            jest.spyOn(NILDeal, 'findById').mockResolvedValue(created);
+            const paymentId = created.paymentSchedule[0]._id;
+
+            expect(nilService.canAccessAthlete(athleteId, athlete)).toBe(true);
+            expect(nilService.canAccessAthlete(athleteId, { id: 'officer-1', role: 'compliance_officer' })).toBe(true);
+            await expect(nilService.recordPayment(created._id, paymentId, undefined, { id: 'someone-else', role: 'user' }))
+                .rejects.toMatchObject({ status: 403 });
+            await expect(nilService.updateDeal(created._id, { totalValue: 1 }, undefined)).rejects.toMatchObject({ status: 403 });
+
+            await expect(nilService.recordPayment(created._id, paymentId, 'last friday', athlete))
+                .rejects.toMatchObject({ status: 400, message: 'paidDate must be a valid date' });
+            const { amountPaid } = await nilService.recordPayment(created._id, paymentId, '2026-10-02', athlete);
+            expect(amountPaid).toBe(500);
+        } finally {
+            jest.restoreAllMocks();
+        }
+    });
+});
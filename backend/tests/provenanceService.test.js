@@ -0,0 +1,95 @@
+const provenanceService = require('../services/provenanceService');
+const DataStorageService = require('../services/dataStorageService');
+const identityResolutionService = require('../services/identityResolutionService');
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('Provenance Service', () => {
+    test('should prefer higher priority sources for default fields', () => {
+        const provenance = {};
+        provenanceService.observeFields(provenance, 'stats', { passingYards: 2400 }, { source: 'espn', scrapedAt: daysAgo(2), confidence: 'high' });
+        provenanceService.observeFields(provenance, 'stats', { passingYards: 2550 }, { source: 'maxpreps', url: 'https://www.maxpreps.com/a', scrapedAt: daysAgo(5), confidence: 'high' });
+
+        const entry = provenance['stats.passingYards'];
+        expect(entry.value).toBe(2550);
+        expect(entry.rule).toBe('priority');
+        expect(entry.selected).toMatchObject({ source: 'maxpreps', url: 'https://www.maxpreps.com/a' });
+        expect(entry.candidates).toHaveLength(2);
+    });
+
+    test('should apply field rules for minimums and latest values', () => {
+        const provenance = {};
+        provenanceService.observeFields(provenance, 'stats', { fortyYardDash: 4.62 }, { source: 'maxpreps', scrapedAt: daysAgo(30) });
+        provenanceService.observeFields(provenance, 'stats', { fortyYardDash: 4.55 }, { source: 'hudl', scrapedAt: daysAgo(10) });
+        provenanceService.observeFields(provenance, '', { school: 'Westlake' }, { source: 'maxpreps', scrapedAt: daysAgo(400) });
+        provenanceService.observeFields(provenance, '', { school: 'Lake Travis' }, { source: 'hudl', scrapedAt: daysAgo(3) });
+
+        expect(provenance['stats.fortyYardDash'].value).toBe(4.55);
+        expect(provenance.school.value).toBe('Lake Travis');
+    });
+
+    test('should let recency decay and staleness outweigh source priority', () => {
+        const provenance = {};
+        provenanceService.observeFields(provenance, 'recruitingData', { rating: 91 }, { source: 'maxpreps', scrapedAt: daysAgo(1200) });
+        provenanceService.observeFields(provenance, 'recruitingData', { rating: 88 }, { source: 'hudl', scrapedAt: daysAgo(5) });
+
+        expect(provenance['recruitingData.rating'].value).toBe(88);
+    });
+
+    test('should keep the newest observation per source and explain the choice', () => {
+        const provenance = {};
+        provenanceService.observeFields(provenance, 'stats', { tackles: 40 }, { source: 'espn', scrapedAt: daysAgo(20) });
+        provenanceService.observeFields(provenance, 'stats', { tackles: 55 }, { source: 'espn', scrapedAt: daysAgo(1) });
+        provenanceService.observeFields(provenance, 'stats', { tackles: 50 }, { source: 'hudl', scrapedAt: daysAgo(1) });
+        const record = provenanceService.applyToRecord({ provenance });
+
+        const explanation = provenanceService.explain(record, 'stats.tackles');
+        expect(record.stats.tackles).toBe(55);
+        expect(explanation.selected.sourceLabel).toBe('ESPN');
+        expect(explanation.alternatives.map(a => a.value)).toEqual([50]);
+        expect(explanation.reason).toContain('highest score');
+        expect(() => provenanceService.explain(record, 'stats.sacks')).toThrow('No provenance recorded');
+    });
+
+    test('should only accept manual values for tracked scalar fields', () => {
+        expect(() => provenanceService.assertEditableField('stats.fortyYardDash', 4.5)).not.toThrow();
+        expect(() => provenanceService.assertEditableField('height', '6-2')).not.toThrow();
+        expect(() => provenanceService.assertEditableField('_id', 'x')).toThrow('cannot be entered manually');
+        expect(() => provenanceService.assertEditableField('stats.a.b', 1)).toThrow('cannot be entered manually');
+        expect(() => provenanceService.assertEditableField('stats.sacks', { $gt: 1 })).toThrow('Value must be');
+    });
+});
+
+describe('Provenance in data storage', () => {
+    let storage;
+
+    beforeEach(async () => {
+        identityResolutionService.mockLinks = [];
+        identityResolutionService.mockReviews = [];
+        storage = new DataStorageService();
+        await storage.initialize();
+        storage.mockCollections.athleteData.length = 0;
+        storage.recordScrapedRankingChange = jest.fn();
+    });
+
+    test('should resolve merged records by source priority and honour manual entries', async () => {
+        const base = { name: 'Jordan Reyes', sport: 'football', school: 'Westlake HS', position: 'QB' };
+        const fromSource = (source, fortyYardDash, passingYards) => {
+            const provenance = {};
+            provenanceService.observeFields(provenance, 'stats', { fortyYardDash, passingYards }, { source, scrapedAt: daysAgo(3) });
+            return { ...provenanceService.applyToRecord({ ...base, provenance }) };
+        };
+
+        const first = await storage.storeAthleteData(fromSource('espn', 4.7, 2600));
+        const merged = await storage.storeAthleteData(fromSource('maxpreps', 4.8, 2500));
+
+        expect(merged._id).toBe(first._id);
+        expect(merged.stats.passingYards).toBe(2500);
+        expect(merged.stats.fortyYardDash).toBe(4.7);
+
+        const { athlete, explanation } = await storage.recordManualValue(first._id, 'stats.passingYards', 2450, { actor: 'coach-1', note: 'Season total from the team book' });
+        expect(athlete.stats.passingYards).toBe(2450);
+        expect(explanation.selected).toMatchObject({ source: 'manual', recordedBy: 'coach-1' });
+        expect((await storage.explainAthleteField(first._id, 'stats.fortyYardDash')).reason).toContain('lowest value');
+    });
+});
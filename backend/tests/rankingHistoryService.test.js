@@ -0,0 +1,118 @@
+const rankingHistoryService = require('../services/rankingHistoryService');
+const { mockDB } = require('../config/database');
+const { extractState, getRegion } = require('../utils/location');
+
+const athlete = (id, position, location, recruitingClass = 2027) => ({
+    _id: id,
+    name: `Athlete ${id}`,
+    sport: 'football',
+    position,
+    recruitingData: { location, recruitingClass }
+});
+
+const at = (day) => new Date(Date.UTC(2026, 8, day));
+
+describe('Ranking History Service', () => {
+    beforeEach(async () => {
+        rankingHistoryService.mockSnapshots = [];
+
+        await rankingHistoryService.recordChange(athlete('a', 'QB', 'Austin, TX'), { total: 80 }, { cause: 'initial', recordedAt: at(1) });
+        await rankingHistoryService.recordChange(athlete('b', 'QB', 'Florida, USA'), { total: 85 }, { cause: 'initial', recordedAt: at(1) });
+        await rankingHistoryService.recordChange(athlete('c', 'RB', 'Dallas, TX', 2028), { total: 75 }, { cause: 'initial', recordedAt: at(1) });
+    });
+
+    test('should extract state codes and regions from scraped locations', () => {
+        expect(extractState('Austin, TX')).toBe('TX');
+        expect(extractState('Texas, USA')).toBe('TX');
+        expect(extractState('Somewhere')).toBeUndefined();
+        expect(getRegion('TX')).toBe('south');
+        expect(getRegion('oh')).toBe('midwest');
+        expect(getRegion(undefined)).toBeUndefined();
+    });
+
+    test('should record previous and new ranks with the cause', async () => {
+        const snapshot = await rankingHistoryService.recordChange(athlete('a', 'QB', 'Austin, TX'), { total: 90 }, {
+            cause: 'admin_adjustment',
+            actor: 'admin',
+            reason: 'Verified stats',
+            adjustment: 10,
+            recordedAt: at(5)
+        });
+
+        expect(snapshot.previousGarScore).toBe(80);
+        expect(snapshot.previousRanks).toEqual({ overall: 2, position: 2, state: 1, recruitingClass: 2 });
+        expect(snapshot.ranks).toEqual({ overall: 1, position: 1, state: 1, recruitingClass: 1 });
+        expect(snapshot.causeDetail).toEqual(expect.objectContaining({ actor: 'admin', adjustment: 10 }));
+    });
+
+    test('should reject unknown causes', async () => {
+        await expect(rankingHistoryService.recordChange(athlete('a', 'QB'), { total: 1 }, { cause: 'guess' }))
+            .rejects.toMatchObject({ status: 400 });
+    });
+
+    test('should break ties deterministically by athlete id', () => {
+        const ranked = rankingHistoryService.rankStandings([
+            { athleteId: 'z', garScore: 80 },
+            { athleteId: 'm', garScore: 80 },
+            { athleteId: 'q', garScore: 90 }
+        ]);
+        expect(ranked.map(r => r.athleteId)).toEqual(['q', 'm', 'z']);
+    });
+
+    test('should rebuild position and state rankings as of a past date', async () => {
+        await rankingHistoryService.recordChange(athlete('a', 'QB', 'Austin, TX'), { total: 90 }, { cause: 'stat_update', recordedAt: at(10) });
+
+        const before = await rankingHistoryService.getRankingsAt({ sport: 'football', scope: 'position', value: 'QB', date: at(5) });
+        const after = await rankingHistoryService.getRankingsAt({ sport: 'football', scope: 'position', value: 'QB', date: at(11) });
+        const texas = await rankingHistoryService.getRankingsAt({ sport: 'football', scope: 'state', value: 'TX', date: at(11) });
+
+        expect(before.rankings.map(r => r.athleteId)).toEqual(['b', 'a']);
+        expect(after.rankings.map(r => r.athleteId)).toEqual(['a', 'b']);
+        expect(texas.rankings.map(r => r.athleteId)).toEqual(['a', 'c']);
+
+        const rank = await rankingHistoryService.getAthleteRankAt('a', { date: at(5) });
+        expect(rank.ranks.overall).toBe(2);
+    });
+
+    test('should list weekly risers and fallers', async () => {
+        await rankingHistoryService.recordChange(athlete('c', 'RB', 'Dallas, TX', 2028), { total: 95 }, { cause: 'scrape', recordedAt: at(12) });
+
+        const movers = await rankingHistoryService.getWeeklyMovers({ sport: 'football', date: at(14) });
+
+        expect(movers.risers).toEqual([expect.objectContaining({ athleteId: 'c', previousRank: 3, rank: 1, rankChange: 2, garChange: 20 })]);
+        expect(movers.fallers.map(m => m.athleteId)).toEqual(['b', 'a']);
+    });
+
+    test('should backfill initial snapshots so ranks count athletes without history', async () => {
+        mockDB.players = [
+            { ...athlete('a', 'QB', 'Austin, TX'), garScore: 99 },
+            { ...athlete('d', 'QB', 'Houston, TX'), garScore: 88 },
+            { ...athlete('e', 'WR', 'Ohio, USA'), garScore: 60, createdAt: at(2) },
+            { ...athlete('f', 'QB', 'Maine, USA'), sport: 'basketball', garScore: 70 }
+        ];
+
+        try {
+            const snapshot = await rankingHistoryService.recordChange(athlete('a', 'QB', 'Austin, TX'), { total: 90 }, { cause: 'stat_update', recordedAt: at(5) });
+
+            // d outranked a before the change; the basketball player and a's own record are not backfilled
+            expect(snapshot.previousRanks).toEqual({ overall: 3, position: 3, state: 2, recruitingClass: 3 });
+            expect(snapshot.ranks).toEqual({ overall: 1, position: 1, state: 1, recruitingClass: 1 });
+            const seeded = rankingHistoryService.mockSnapshots.filter(s => s.cause === 'initial' && !['a', 'b', 'c'].includes(s.athleteId));
+            expect(seeded.map(s => [s.athleteId, s.garScore, s.recordedAt])).toEqual([['d', 88, at(5)], ['e', 60, at(2)]]);
+            expect(seeded[0].ranks).toEqual({ overall: 1, position: 1, state: 1, recruitingClass: 1 });
+
+            const board = await rankingHistoryService.getRankingsAt({ sport: 'football', date: at(6) });
+            expect(board.rankings.map(r => r.athleteId)).toEqual(['a', 'd', 'b', 'c', 'e']);
+            expect(await rankingHistoryService.seedInitialSnapshots('football', { date: at(6) })).toBe(0);
+        } finally {
+            mockDB.players = [];
+        }
+    });
+
+    test('should return history oldest first with GAR changes', async () => {
+        await rankingHistoryService.recordChange(athlete('a', 'QB', 'Austin, TX'), { total: 78 }, { cause: 'scrape', recordedAt: at(3) });
+
+        const history = await rankingHistoryService.getAthleteHistory('a', { until: at(30) });
+        expect(history.map(h => [h.cause, h.garChange])).toEqual([['initial', null], ['scrape', -2]]);
+    });
+});
@@ -0,0 +1,81 @@
+const RecoveryOptimizationService = require('../services/recoveryOptimizationService');
+const recoveryLogService = require('../services/recoveryLogService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+describe('Recovery Optimization Service', () => {
+    let recoveryService;
+
+    beforeEach(async () => {
+        recoveryLogService.mock = { sleep: [], nutrition: [], wellness: [], workout: [] };
+        recoveryService = new RecoveryOptimizationService();
+        await recoveryService.initialize();
+    });
+
+    test('should report insufficient data instead of inventing scores', async () => {
+        await recoveryLogService.logSleep('coach-1', 'athlete-1', { hours: 8, quality: 90, bedtime: '22:30', waketime: '06:30' });
+
+        const analysis = await recoveryService.analyzeRecovery('athlete-1', 7);
+
+        expect(analysis).toMatchObject({ status: 'insufficient_data', optimizationScore: null, riskFactors: [] });
+        expect(analysis.metrics.sleep).toMatchObject({ status: 'insufficient_data', daysLogged: 1, requiredDays: 3, score: null });
+        expect(analysis.dataCoverage.workload).toEqual({ status: 'insufficient_data', daysLogged: 0 });
+        expect(analysis.recommendations.map(rec => rec.component)).toEqual(['sleep', 'nutrition', 'stress', 'workload']);
+    });
+
+    test('should score sleep, nutrition and wellness from logged history', async () => {
+        const bedtimes = ['22:30', '23:00', '23:30'];
+        for (let day = 0; day < 3; day++) {
+            await recoveryLogService.logSleep('coach-1', 'athlete-1', { date: daysAgo(day), hours: 7.5, quality: 80, bedtime: bedtimes[day], waketime: '06:30' });
+            // Breakfast and dinner add up to one day
+            await recoveryLogService.logNutrition('coach-1', 'athlete-1', { date: daysAgo(day), meal: 'breakfast', calories: 1000, protein: 60, carbohydrates: 140, fats: 20 });
+            await recoveryLogService.logNutrition('coach-1', 'athlete-1', { date: daysAgo(day), meal: 'dinner', calories: 1500, protein: 96, carbohydrates: 204, fats: 36, waterIntake: 3.5 });
+            await recoveryLogService.logWellness('coach-1', 'athlete-1', { date: daysAgo(day), soreness: 7, mood: 4, stress: 8, rpe: day === 1 ? 0 : 6 });
+        }
+
+        const analysis = await recoveryService.analyzeRecovery('athlete-1', 7);
+        const { sleep, nutrition, stress, workload } = analysis.metrics;
+
+        expect(sleep).toMatchObject({ status: 'ok', daysLogged: 3, averageHours: 7.5, qualityScore: 80, consistency: 76, remPercentage: null, score: 87 });
+        expect(nutrition).toMatchObject({
+            status: 'ok',
+            caloricIntake: 2500,
+            macronutrients: { protein: 156, carbohydrates: 344, fats: 56 },
+            hydration: { waterIntake: 3.5 },
+            deficiencies: [],
+            score: 100
+        });
+        expect(stress).toMatchObject({ status: 'ok', perceivedStress: 80, averageSoreness: 7, restDays: 2.3, averageHrv: null });
+        expect(stress.score).toBe(37);
+        expect(workload.status).toBe('insufficient_data');
+
+        // Weighted over the three analyzed components only
+        expect(analysis.optimizationScore).toBe(Math.round((87 * 0.3 + 100 * 0.25 + 37 * 0.25) / 0.8));
+        expect(analysis.riskFactors.map(risk => risk.type)).toEqual(['chronic_stress']);
+    });
+
+    test('should validate logs, correct same-day entries and leave unlogged days empty in trends', async () => {
+        await expect(recoveryLogService.logSleep('coach-1', 'athlete-1', { hours: 30, quality: 80, bedtime: '22:00', waketime: '06:00' }))
+            .rejects.toMatchObject({ status: 400, message: 'hours must be a number between 0 and 24' });
+        await expect(recoveryLogService.logWellness('coach-1', 'athlete-1', { soreness: 3, mood: 7 }))
+            .rejects.toMatchObject({ status: 400, message: 'stress is required' });
+        await expect(recoveryLogService.logWorkout('coach-1', 'athlete-1', { type: 'juggling', duration: 60, intensity: 'high' }))
+            .rejects.toMatchObject({ status: 400 });
+
+        await recoveryLogService.logSleep('coach-1', 'athlete-1', { date: daysAgo(1), hours: 5, quality: 40, bedtime: '01:00', waketime: '06:00' });
+        await recoveryLogService.logSleep('coach-1', 'athlete-1', { date: daysAgo(1), hours: 8, quality: 90, bedtime: '22:00', waketime: '06:00' });
+        const workout = await recoveryLogService.logWorkout('coach-1', 'athlete-1', { type: 'Practice', duration: 90, intensity: 'high', rpe: 8 });
+        expect(workout).toMatchObject({ type: 'skill', intensity: 7, perceivedExertion: 8 });
+        expect(await recoveryLogService.getLogs('sleep', 'athlete-1')).toHaveLength(1);
+
+        const { trends, daysLogged, improvement, predictions } = await recoveryService.getRecoveryTrends('athlete-1', 14);
+
+        expect(trends.sleep).toHaveLength(14);
+        expect(trends.sleep.slice(-3).map(point => point.value)).toEqual([null, 95, null]);
+        expect(trends.workload[13]).toMatchObject({ value: 720, change: null });
+        expect(daysLogged).toMatchObject({ sleep: 1, nutrition: 0, workload: 1, overall: 1 });
+        expect(improvement.sleep).toBeNull();
+        expect(predictions.sleep).toEqual({ status: 'insufficient_data', dataPoints: 1 });
+    });
+});
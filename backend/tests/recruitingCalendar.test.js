@@ -0,0 +1,69 @@
+const recruitingCalendar = require('../services/recruitingCalendarService');
+
+describe('Recruiting Calendar Service', () => {
+    beforeAll(() => {
+        process.env.NODE_ENV = 'test';
+        recruitingCalendar.load();
+    });
+
+    describe('Academic Years', () => {
+        test('should start the academic year on August 1', () => {
+            expect(recruitingCalendar.getAcademicYear(new Date('2026-07-31'))).toBe('2025-26');
+            expect(recruitingCalendar.getAcademicYear(new Date('2026-08-01'))).toBe('2026-27');
+        });
+    });
+
+    describe('Period Lookup', () => {
+        test('should resolve explicit periods with rule citations', () => {
+            const period = recruitingCalendar.getPeriod('football', 'division1', new Date('2026-12-20'));
+
+            expect(period.type).toBe('dead');
+            expect(period.citations).toContain('NCAA Bylaw 13.02.5.4');
+        });
+
+        test('should fill gaps with the calendar default period', () => {
+            const period = recruitingCalendar.getPeriod('football', 'division2', new Date('2026-10-01'));
+            expect(period.type).toBe('contact');
+        });
+
+        test('should return null when no calendar covers the date', () => {
+            expect(recruitingCalendar.getPeriod('football', 'division3', new Date('2026-10-01'))).toBeNull();
+            expect(recruitingCalendar.getPeriod('football', 'division1', new Date('2030-10-01'))).toBeNull();
+        });
+    });
+
+    describe('Transitions', () => {
+        test('should find the next change of period type', () => {
+            const transition = recruitingCalendar.getNextTransition('football', 'division1', new Date('2026-10-19'));
+
+            expect(transition.date).toBe('2026-11-29');
+            expect(transition.from).toBe('evaluation');
+            expect(transition.to.type).toBe('contact');
+        });
+
+        test('should skip adjacent segments of the same type across academic years', () => {
+            const transition = recruitingCalendar.getNextTransition('football', 'division1', new Date('2026-07-30'));
+
+            expect(transition.from).toBe('quiet');
+            expect(transition.date).toBe('2026-09-01');
+        });
+
+        test('should find the next live period', () => {
+            const live = recruitingCalendar.getNextLivePeriod('football', 'division1', new Date('2026-12-20'));
+
+            expect(live.type).toBe('contact');
+            expect(live.start).toBe('2027-01-08');
+        });
+    });
+
+    describe('Status', () => {
+        test('should report calendar version and availability', () => {
+            const status = recruitingCalendar.getStatus('basketball', 'division1', new Date('2026-09-15'));
+
+            expect(status.calendarVersion).toBe(recruitingCalendar.getVersion());
+            expect(status.calendarAvailable).toBe(true);
+            expect(status.currentPeriod.type).toBe('contact');
+            expect(status.nextTransition.to.type).toBe('quiet');
+        });
+    });
+});
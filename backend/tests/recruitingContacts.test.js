@@ -0,0 +1,109 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const eligibilityService = require('../services/eligibilityService');
+const eligibilityRoutes = require('../routes/eligibilityRoutes');
+const Eligibility = require('../models/eligibilityModel');
+const RecruitingContact = require('../models/recruitingContactModel');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/eligibility', eligibilityRoutes);
+
+const athleteId = String(new mongoose.Types.ObjectId());
+const tokenFor = (id, role = 'user') => jwt.sign({ id, email: `${id}@example.com`, role }, process.env.JWT_SECRET);
+
+const contact = (extra = {}) => ({
+  contactType: 'call',
+  coachName: 'Coach Miller',
+  school: 'State University',
+  sport: 'football',
+  division: 'division1',
+  occurredAt: '2026-10-20T15:00:00Z',
+  ...extra
+});
+
+describe('Recruiting contacts', () => {
+  let counts;
+
+  beforeEach(() => {
+    // Contacts already logged, by contact type ('all' for the weekly and monthly windows)
+    counts = { all: 0 };
+    jest.spyOn(Eligibility, 'findOne').mockResolvedValue(null);
+    jest.spyOn(RecruitingContact, 'countContacts').mockImplementation(async (id, { contactType } = {}) =>
+      (contactType ? counts[contactType] || 0 : counts.all));
+    jest.spyOn(RecruitingContact.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should flag in-person contact during a dead period', async () => {
+    const result = await eligibilityService.recordRecruitingContact(athleteId, contact({ contactType: 'in_person', occurredAt: '2026-12-20T15:00:00Z' }));
+
+    expect(result.withinLimits).toBe(false);
+    expect(result.contact.recruitingPeriod).toBe('dead');
+    expect(result.violations).toEqual([
+      expect.objectContaining({ rule: 'period_restriction', citation: 'NCAA Bylaw 13.02.5.4' })
+    ]);
+
+    // Calls stay allowed in a dead period
+    expect((await eligibilityService.recordRecruitingContact(athleteId, contact({ occurredAt: '2026-12-20T15:00:00Z' }))).withinLimits).toBe(true);
+  });
+
+  test('should flag contacts past the weekly, monthly and per-type limits', async () => {
+    counts = { all: 7, in_person: 6 };
+    const weekly = await eligibilityService.recordRecruitingContact(athleteId, contact());
+    expect(weekly.violations.map(violation => violation.rule)).toEqual(['weekly_limit']);
+
+    counts = { all: 30, in_person: 6 };
+    // In-person contact is allowed in a contact period, but not past the per-school limit
+    const result = await eligibilityService.recordRecruitingContact(athleteId, contact({ contactType: 'in_person', occurredAt: '2026-12-08T15:00:00Z' }));
+    expect(result.violations.map(violation => violation.rule)).toEqual(['weekly_limit', 'monthly_limit', 'type_limit']);
+    expect(result.violations[2]).toMatchObject({
+      message: 'Exceeds limit of 6 in_person contact(s) from State University per academic year',
+      citation: 'NCAA Bylaw 13.1.6.2'
+    });
+  });
+
+  test('should take the athlete from the path and compute period and violations itself', async () => {
+    counts = { all: 7 };
+    const { contact: logged } = await eligibilityService.recordRecruitingContact(athleteId, contact({
+      athleteId: String(new mongoose.Types.ObjectId()),
+      recruitingPeriod: 'contact',
+      calendarVersion: 'forged',
+      violations: []
+    }));
+
+    expect(String(logged.athleteId)).toBe(athleteId);
+    expect(logged.recruitingPeriod).toBe('evaluation');
+    expect(logged.calendarVersion).not.toBe('forged');
+    expect(logged.violations.map(violation => violation.rule)).toEqual(['weekly_limit']);
+  });
+
+  test('should restrict the contact routes to the athlete and compliance staff', async () => {
+    const other = await request(app)
+      .post(`/api/v1/eligibility/${athleteId}/recruiting/contacts`)
+      .set('Authorization', `Bearer ${tokenFor(String(new mongoose.Types.ObjectId()))}`)
+      .send(contact());
+    expect(other.status).toBe(403);
+    expect(RecruitingContact.prototype.save).not.toHaveBeenCalled();
+
+    const own = await request(app)
+      .post(`/api/v1/eligibility/${athleteId}/recruiting/contacts`)
+      .set('Authorization', `Bearer ${tokenFor(athleteId)}`)
+      .send(contact());
+    expect(own.status).toBe(201);
+    expect(own.body.contact.loggedBy).toBe(athleteId);
+
+    const listed = await request(app)
+      .get(`/api/v1/eligibility/${athleteId}/recruiting/contacts`)
+      .set('Authorization', `Bearer ${tokenFor('someone-else')}`);
+    expect(listed.status).toBe(403);
+  });
+});
@@ -0,0 +1,88 @@
+const adapterRegistry = require('../services/scrapers/adapterRegistry');
+const SourceAdapter = require('../services/scrapers/sourceAdapter');
+const DataScrapingService = require('../services/dataScrapingService');
+
+// Parsed records carry the scrape time; fixtures store everything else
+const withoutScrapeTime = (value) => JSON.parse(JSON.stringify(value, (key, field) => (key === 'scrapedAt' ? undefined : field)));
+
+const recordsOf = (result) => (Array.isArray(result) ? result : [].concat(...Object.values(result)));
+
+describe('Scraper Adapters', () => {
+    const adapters = adapterRegistry.list();
+
+    test('should register every adapter folder in collection order', () => {
+        expect(adapters.map(adapter => adapter.name)).toEqual(['maxpreps', 'hudl', 'athleticNet', 'espn', 'rivals247']);
+    });
+
+    describe.each(adapters.map(adapter => [adapter.name, adapter]))('%s', (name, adapter) => {
+        test('should satisfy the source contract', () => {
+            expect(adapter).toBeInstanceOf(SourceAdapter);
+            expect(adapter.rateLimit.minIntervalMs).toBeGreaterThan(0);
+            expect(adapter.userAgents.length).toBeGreaterThan(0);
+
+            const urls = adapter.buildSearchUrls({ name: 'Jordan Reyes', state: 'TX', sport: 'football', year: 2027 });
+            expect(urls.length).toBeGreaterThan(0);
+            urls.forEach(url => {
+                expect(url.startsWith(adapter.baseUrl)).toBe(true);
+                expect(url).toContain('Jordan%20Reyes');
+            });
+
+            expect(recordsOf(adapter.emptyResult())).toEqual([]);
+        });
+
+        const fixtures = adapterRegistry.getFixtures(name);
+
+        test('should ship saved fixtures', () => {
+            expect(fixtures.length).toBeGreaterThan(0);
+        });
+
+        test.each(fixtures.map(fixture => [fixture.name, fixture]))('should parse the %s fixture', (caseName, fixture) => {
+            const result = adapter.parse(fixture.html, fixture.query);
+
+            expect(withoutScrapeTime(result)).toEqual(fixture.expected);
+            recordsOf(result).forEach(record => {
+                expect(record.source).toBe(adapter.source);
+                expect(record.scrapedAt).toBeInstanceOf(Date);
+            });
+        });
+    });
+
+    test('should try the next search URL when one fails', async () => {
+        const adapter = adapterRegistry.get('maxpreps');
+        const [fixture] = adapterRegistry.getFixtures('maxpreps');
+        const fetchPage = jest.fn()
+            .mockRejectedValueOnce(new Error('404'))
+            .mockResolvedValueOnce(fixture.html);
+
+        const result = await adapter.search({ name: 'Jordan Reyes' }, fetchPage);
+
+        expect(fetchPage).toHaveBeenCalledTimes(2);
+        expect(result.length).toBeGreaterThan(0);
+        await expect(adapter.search({ name: 'Jordan Reyes' }, jest.fn().mockRejectedValue(new Error('down')))).resolves.toEqual([]);
+    });
+
+    test('should reject adapters that do not implement the contract', () => {
+        const incomplete = new SourceAdapter({ name: 'incomplete', baseUrl: 'https://example.com' });
+        expect(() => adapterRegistry.register(incomplete)).toThrow('must implement buildSearchUrls and parseDocument');
+        expect(() => adapterRegistry.register({ name: 'plain' })).toThrow('must extend SourceAdapter');
+    });
+
+    test('should collect and combine athlete data from fixtures offline', async () => {
+        const service = new DataScrapingService();
+        jest.spyOn(service, 'makeRequest').mockImplementation(async (url, source) => ({
+            data: adapterRegistry.getFixtures(source).find(fixture => fixture.name === 'search-results').html
+        }));
+
+        const results = await service.collectAthleteData('Jordan Reyes', { state: 'TX', year: 2027 });
+
+        expect(Object.keys(results.sources)).toEqual(['maxpreps', 'hudl', 'athleticNet', 'espn', 'rivals247']);
+        expect(results.combinedData.metadata.sourcesUsed).toHaveLength(5);
+        expect(results.combinedData.highlights[0].title).toBe('Jordan Reyes Junior Season Highlights');
+        expect(results.combinedData.stats.passingYards).toBeGreaterThan(0);
+        expect(results.combinedData.trackData).toHaveLength(2);
+
+        const passing = results.combinedData.provenance['stats.passingYards'];
+        expect(passing.value).toBe(results.combinedData.stats.passingYards);
+        expect(passing.candidates.map(c => c.source)).toContain(passing.selected.source);
+    });
+});
@@ -0,0 +1,76 @@
+const searchIndexService = require('../services/searchIndexService');
+const identityResolutionService = require('../services/identityResolutionService');
+const athleteChangeFeedService = require('../services/athleteChangeFeedService');
+const DataStorageService = require('../services/dataStorageService');
+
+const athlete = (name, overrides = {}) => ({
+    name,
+    sport: 'football',
+    position: 'QB',
+    school: 'Westlake HS',
+    year: 2026,
+    garScore: 82,
+    recruitingData: { stars: 4, location: 'Austin, TX' },
+    source: 'rivals247',
+    ...overrides
+});
+
+describe('Search Index Service', () => {
+    let storage;
+
+    beforeEach(async () => {
+        identityResolutionService.mockLinks = [];
+        identityResolutionService.mockReviews = [];
+        athleteChangeFeedService.mockChanges = [];
+        storage = new DataStorageService();
+        await storage.initialize();
+        storage.mockCollections.athleteData.length = 0;
+        storage.recordScrapedRankingChange = jest.fn();
+        await searchIndexService.rebuild();
+    });
+
+    test('should find athletes despite typos and unfinished words', async () => {
+        await storage.storeAthleteData(athlete('Jordan Reyes'));
+        await storage.storeAthleteData(athlete('Marcus Hill', { school: 'Lake Travis HS', position: 'WR' }));
+
+        const typo = await searchIndexService.search({ q: 'jordna' });
+        expect(typo.results.map(result => result.name)).toEqual(['Jordan Reyes']);
+
+        const prefix = await searchIndexService.search({ q: 'hill lake tra' });
+        expect(prefix.results.map(result => result.name)).toEqual(['Marcus Hill']);
+
+        expect((await searchIndexService.search({ q: 'zzzz' })).total).toBe(0);
+    });
+
+    test('should count each facet without its own filter applied', async () => {
+        await storage.storeAthleteData(athlete('Jordan Reyes'));
+        await storage.storeAthleteData(athlete('Marcus Hill', { position: 'WR', garScore: 91, highlights: [{ url: 'https://hudl.com/v/1', title: 'Week 1' }] }));
+        await storage.storeAthleteData(athlete('Devon Price', { garScore: 64, recruitingData: { stars: 3, location: 'Tulsa, Oklahoma' } }));
+
+        const { total, results, facets } = await searchIndexService.search({ position: 'qb', state: 'texas' });
+
+        expect(total).toBe(1);
+        expect(results[0]).toMatchObject({ name: 'Jordan Reyes', state: 'TX', position: 'Quarterback' });
+        expect(facets.position).toEqual([
+            { value: 'Quarterback', count: 1, selected: true },
+            { value: 'Wide Receiver', count: 1, selected: false }
+        ]);
+        expect(facets.state.map(({ value, count }) => [value, count])).toEqual([['OK', 1], ['TX', 1]]);
+        expect(facets.garBand.map(({ value }) => value)).toEqual(['80-89']);
+        expect(facets.hasHighlights).toEqual([{ value: 'false', count: 1, selected: false }]);
+    });
+
+    test('should stay in sync with storage writes and reject unknown sorts', async () => {
+        const stored = await storage.storeAthleteData(athlete('Jordan Reyes'));
+        await storage.storeAthleteData(athlete('Jordan Reyes', { garScore: 88 }));
+
+        let search = await searchIndexService.search({ q: 'reyes' });
+        expect(search.results.map(result => [result._id, result.garScore])).toEqual([[String(stored._id), 88]]);
+
+        await storage.deleteAthleteRecord(stored._id);
+        search = await searchIndexService.search({ q: 'reyes' });
+        expect(search.total).toBe(0);
+
+        await expect(searchIndexService.search({ sort: 'height' })).rejects.toMatchObject({ status: 400 });
+    });
+});
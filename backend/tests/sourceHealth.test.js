@@ -0,0 +1,75 @@
+const adapterRegistry = require('../services/scrapers/adapterRegistry');
+const sourceHealthService = require('../services/scrapers/sourceHealthService');
+const DataQualityMonitoringService = require('../services/dataQualityMonitoringService');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date(Date.UTC(2026, 9, 19, 12, 0));
+const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR);
+
+const fixture = adapterRegistry.getFixtures('maxpreps').find(f => f.name === 'search-results');
+const records = adapterRegistry.get('maxpreps').parse(fixture.html, fixture.query);
+const page = { url: 'https://www.maxpreps.com/search/?q=Jordan%20Reyes', status: 200, html: fixture.html };
+const redesigned = { ...page, html: '<html><body><div class="search-v2"></div></body></html>' };
+
+const recordBaseline = async () => {
+    for (let i = 0; i < 20; i++) {
+        await sourceHealthService.recordParse('maxpreps', page, records, hoursAgo(24 + i));
+    }
+};
+
+const maxpreps = async () => (await sourceHealthService.getSourceHealth({ now })).find(s => s.source === 'maxpreps');
+
+describe('Source Health Service', () => {
+    beforeEach(() => {
+        sourceHealthService.mockBuckets.clear();
+        sourceHealthService.mockSamples = [];
+        sourceHealthService.lastSampleAt.clear();
+    });
+
+    test('should flag a yield drop and keep the empty pages as samples', async () => {
+        await recordBaseline();
+        for (let i = 4; i >= 0; i--) {
+            await sourceHealthService.recordParse('maxpreps', redesigned, [], hoursAgo(i));
+        }
+
+        const health = await maxpreps();
+        expect(health.status).toBe('drifting');
+        expect(health.baseline.recordsPerPage).toBe(records.length);
+        expect(health.drift.map(flag => flag.metric)).toEqual(['recordsPerPage', 'emptyPageRate']);
+        expect(health.samples).toHaveLength(5);
+        expect(health.samples[0]).not.toHaveProperty('html');
+
+        const sample = await sourceHealthService.getSample('maxpreps', health.samples[0].id);
+        expect(sample).toMatchObject({ reason: 'empty_page', html: redesigned.html });
+        await expect(sourceHealthService.getSample('hudl', sample.id)).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should flag fields that stop being filled', async () => {
+        await recordBaseline();
+        const withoutSchool = records.map(({ school, ...record }) => record);
+        for (let i = 0; i < 5; i++) {
+            await sourceHealthService.recordParse('maxpreps', page, withoutSchool, hoursAgo(i));
+        }
+
+        const health = await maxpreps();
+        expect(health.drift).toEqual([expect.objectContaining({ kind: 'field_drop', field: 'school', current: 1, baseline: 0 })]);
+        expect(health.current.fieldNullRates).toMatchObject({ school: 1, name: 0, 'stats.passingYards': 0.5 });
+        expect(health.current.fieldsPerRecord).toBeLessThan(health.baseline.fieldsPerRecord);
+    });
+
+    test('should report the HTTP status mix and raise drift issues', async () => {
+        for (const status of [200, 403, 403, 403, 'timeout']) {
+            await sourceHealthService.recordFetch('espn', { url: 'https://www.espn.com/search', status, html: 'Blocked', at: hoursAgo(1) });
+        }
+
+        const [health] = (await sourceHealthService.getSourceHealth({ now })).filter(s => s.source === 'espn');
+        expect(health.status).toBe('degraded');
+        expect(health.current.statusMix).toEqual({ 200: 1, 403: 3, timeout: 1 });
+        expect(health.samples.map(s => s.reason)).toEqual(['http_error']);
+
+        const spy = jest.spyOn(sourceHealthService, 'getSourceHealth').mockResolvedValue([health]);
+        const issues = await new DataQualityMonitoringService().checkSourceDrift();
+        expect(issues).toEqual([expect.objectContaining({ type: 'source_http_errors', source: 'espn', value: 0.8 })]);
+        spy.mockRestore();
+    });
+});
@@ -0,0 +1,139 @@
+const watchlistService = require('../services/watchlistService');
+const rankingHistoryService = require('../services/rankingHistoryService');
+const athleteChangeFeedService = require('../services/athleteChangeFeedService');
+const identityResolutionService = require('../services/identityResolutionService');
+const DataStorageService = require('../services/dataStorageService');
+const SavedSearch = require('../models/savedSearchModel');
+
+const MINUTE = 60 * 1000;
+const quarterback = (name, school) => ({ name, sport: 'football', position: 'QB', school, stats: { passingYards: 2400 }, source: 'maxpreps' });
+
+describe('Watchlist Service', () => {
+    let storage;
+
+    beforeEach(async () => {
+        identityResolutionService.mockLinks = [];
+        identityResolutionService.mockReviews = [];
+        athleteChangeFeedService.mockChanges = [];
+        watchlistService.mock = { watchlist: [], search: [], alert: [] };
+        watchlistService.socialService = { notifyUser: jest.fn() };
+        storage = new DataStorageService();
+        await storage.initialize();
+        storage.mockCollections.athleteData.length = 0;
+        storage.recordScrapedRankingChange = jest.fn();
+    });
+
+    test('should alert once when a new athlete matches a saved search', async () => {
+        await storage.storeAthleteData(quarterback('Jordan Reyes', 'Westlake HS'));
+        const search = await watchlistService.createSavedSearch('coach-1', { name: 'Texas QBs', filters: { sport: 'football', position: 'qb' } });
+        expect(search).toMatchObject({ lastMatchCount: 1, rules: [{ type: 'new_match' }], delivery: { channels: ['inApp'], digest: 'none' } });
+
+        const newcomer = await storage.storeAthleteData(quarterback('Marcus Hill', 'Lake Travis HS'));
+        const first = await watchlistService.evaluateSavedSearches();
+        const second = await watchlistService.evaluateSavedSearches();
+
+        expect(first.alerts.map(alert => [alert.athleteId, alert.status])).toEqual([[String(newcomer._id), 'delivered']]);
+        expect(second.alerts).toEqual([]);
+        expect(watchlistService.socialService.notifyUser).toHaveBeenCalledWith('coach-1', 'watch_alert', expect.objectContaining({
+            subject: 'Athlete alert: Marcus Hill now matches "Texas QBs"'
+        }));
+
+        const run = await watchlistService.runSavedSearch('coach-1', search.id);
+        expect(run.athletes.map(athlete => athlete.isNew)).toEqual([false, false]);
+    });
+
+    test('should compare saved searches on every match, not just the top results', async () => {
+        // More matches than a search returns at once
+        for (let i = 0; i < 205; i++) {
+            storage.mockCollections.athleteData.push({ _id: `qb-${i}`, name: `QB ${i}`, sport: 'football', position: 'Quarterback', garScore: 50 + i / 10 });
+        }
+        const search = await watchlistService.createSavedSearch('coach-1', { name: 'All QBs', filters: { sport: 'football', position: 'qb' } });
+        expect(search.lastMatchCount).toBe(205);
+
+        // The lowest-ranked match climbs into the top results; it matched all along
+        storage.mockCollections.athleteData.find(athlete => athlete._id === 'qb-0').garScore = 99;
+        storage.mockCollections.athleteData.push({ _id: 'qb-new', name: 'Late Bloomer', sport: 'football', position: 'Quarterback', garScore: 10 });
+
+        const { alerts } = await watchlistService.evaluateSavedSearches();
+        expect(alerts.map(alert => [alert.athleteId, alert.message])).toEqual([['qb-new', 'Late Bloomer now matches "All QBs"']]);
+        expect(watchlistService.mock.search[0].lastMatchCount).toBe(206);
+    });
+
+    test('should pause a saved search that outgrows its match list and tell the owner', async () => {
+        for (let i = 0; i < 3; i++) {
+            storage.mockCollections.athleteData.push({ _id: `qb-${i}`, name: `QB ${i}`, sport: 'football', position: 'Quarterback', garScore: 50 });
+        }
+        const search = await watchlistService.createSavedSearch('coach-1', { name: 'All QBs', filters: { sport: 'football', position: 'qb' }, delivery: { digest: 'daily' } });
+        storage.mockCollections.athleteData.push({ _id: 'qb-new', name: 'Late Bloomer', sport: 'football', position: 'Quarterback', garScore: 10 });
+        const lookup = jest.spyOn(watchlistService.storageService, 'getAthleteRecordById');
+        const batchLookup = jest.spyOn(watchlistService.storageService, 'getAthleteRecordsByIds');
+
+        const limit = SavedSearch.MAX_MATCHED_IDS;
+        SavedSearch.MAX_MATCHED_IDS = 3;
+        try {
+            const { alerts, failures } = await watchlistService.evaluateSavedSearches();
+            expect(failures).toEqual([]);
+            expect(alerts).toEqual([expect.objectContaining({
+                rule: 'search_paused',
+                status: 'delivered',
+                message: '"All QBs" was paused: Saved search matches 4 athletes; add filters to bring it under 3'
+            })]);
+            expect(watchlistService.mock.search[0]).toMatchObject({ active: false, lastMatchCount: 4, pausedReason: expect.stringContaining('matches 4 athletes') });
+            expect((await watchlistService.evaluateSavedSearches()).checked).toBe(0);
+
+            // Re-enabling clears the reason; with room again the newcomer is alerted on in one lookup
+            SavedSearch.MAX_MATCHED_IDS = limit;
+            expect(await watchlistService.update('search', 'coach-1', search.id, { active: true })).toMatchObject({ active: true, pausedReason: null });
+            const resumed = await watchlistService.evaluateSavedSearches();
+            expect(resumed.alerts.map(alert => alert.athleteId)).toEqual(['qb-new']);
+            expect(batchLookup).toHaveBeenCalledTimes(1);
+            expect(lookup).not.toHaveBeenCalled();
+        } finally {
+            SavedSearch.MAX_MATCHED_IDS = limit;
+            jest.restoreAllMocks();
+        }
+    });
+
+    test('should collect GAR and highlight alerts into a daily digest', async () => {
+        const athlete = await storage.storeAthleteData(quarterback('Jordan Reyes', 'Westlake HS'));
+        const watchlist = await watchlistService.createWatchlist('coach-1', {
+            name: 'Board',
+            athleteIds: [athlete._id],
+            delivery: { digest: 'daily' }
+        });
+        watchlistService.mock.watchlist[0].lastEvaluatedAt = new Date(Date.now() - MINUTE);
+
+        await storage.storeAthleteData({ ...quarterback('Jordan Reyes', 'Westlake HS'), highlights: [{ url: 'https://hudl.com/v/9', title: 'Week 9' }] });
+        const historySpy = jest.spyOn(rankingHistoryService, 'getAthleteHistory').mockResolvedValue([
+            { garScore: 80, garChange: 2 },
+            { garScore: 84, garChange: 4 }
+        ]);
+
+        const { alerts } = await watchlistService.evaluateWatchlists();
+        historySpy.mockRestore();
+
+        expect(alerts.map(alert => [alert.rule, alert.status])).toEqual([['gar_change', 'pending'], ['new_highlight', 'pending']]);
+        expect(alerts[0]).toMatchObject({ message: 'Jordan Reyes GAR up 6.0 (78.0 → 84.0)', subscriptionId: watchlist.id });
+        expect(watchlistService.socialService.notifyUser).not.toHaveBeenCalled();
+
+        const digest = await watchlistService.sendDigests('daily');
+        expect(digest.details).toEqual({ users: 1, alerts: 2 });
+        expect(watchlistService.socialService.notifyUser).toHaveBeenCalledTimes(1);
+        expect(watchlistService.socialService.notifyUser.mock.calls[0][2].subject).toBe('Your daily athlete digest: 2 updates');
+        expect((await watchlistService.getAlerts('coach-1', { status: 'delivered' }))).toHaveLength(2);
+    });
+
+    test('should validate rules and keep lists private to their owner', async () => {
+        await expect(watchlistService.createWatchlist('coach-1', { name: 'Board', rules: [{ type: 'new_match' }] }))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(watchlistService.createWatchlist('coach-1', { name: 'Board', rules: [{ type: 'gar_change', threshold: -1 }] }))
+            .rejects.toMatchObject({ status: 400 });
+
+        const watchlist = await watchlistService.createWatchlist('coach-1', { name: 'Board', athleteIds: ['a1', 'a1'] });
+        expect(watchlist.athleteIds).toEqual(['a1']);
+        await expect(watchlistService.get('watchlist', 'coach-2', watchlist.id)).rejects.toMatchObject({ status: 404 });
+
+        const updated = await watchlistService.removeAthlete('coach-1', watchlist.id, 'a1');
+        expect(updated.athleteIds).toEqual([]);
+    });
+});
@@ -0,0 +1,70 @@
+const workloadService = require('../services/workloadService');
+const recoveryLogService = require('../services/recoveryLogService');
+const RecoveryOptimizationService = require('../services/recoveryOptimizationService');
+const AdvancedInjuryPreventionService = require('../services/advancedInjuryPreventionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2026, 0, 1);
+// One session a day from START, with the given session-RPE load for each day
+const sessionsFrom = (loads) => loads.map((load, day) => ({ date: new Date(START + day * DAY_MS), duration: load / 5, perceivedExertion: 5 }));
+
+describe('Workload Service', () => {
+    beforeEach(() => {
+        recoveryLogService.mock = { sleep: [], nutrition: [], wellness: [], workout: [] };
+    });
+
+    test('should compute rolling and EWMA ratios and flag danger-zone weeks', () => {
+        const loads = [...Array(28).fill(300), ...Array(7).fill(600)];
+        const { daily, weekly, current } = workloadService.computeSeries(sessionsFrom(loads), { end: new Date(START + 34 * DAY_MS) });
+
+        expect(daily).toHaveLength(35);
+        expect(daily[26]).toMatchObject({ acwr: null, zone: null });
+        // The same load every day has no deviation, which is as monotonous as training gets
+        expect(daily[27]).toMatchObject({ acuteLoad: 2100, chronicLoad: 2100, acwr: 1, ewmaAcwr: 1, zone: 'sweet_spot', monotony: 10, strain: 21000 });
+        // 4200 this week against (21 x 300 + 7 x 600) / 4 = 2625
+        expect(current).toMatchObject({ acuteLoad: 4200, chronicLoad: 2625, acwr: 1.6, zone: 'danger', ewmaAcwr: 1.34, ewmaZone: 'caution' });
+
+        expect(weekly).toHaveLength(5);
+        expect(weekly[3].flags).toEqual(['sweet_spot', 'high_monotony']);
+        expect(weekly[4]).toMatchObject({ load: 4200, change: 1, flags: ['danger_zone', 'high_monotony', 'load_spike'] });
+    });
+
+    test('should compute monotony and strain and wait for a baseline before ratios', async () => {
+        const { current } = workloadService.computeSeries(sessionsFrom([300, 0, 300, 0, 300, 0, 300]), { end: new Date(START + 6 * DAY_MS) });
+        expect(current).toMatchObject({ acuteLoad: 1200, monotony: 1.15, strain: 1380, acwr: null });
+        const rest = workloadService.computeSeries(sessionsFrom(Array(7).fill(0)), { end: new Date(START + 6 * DAY_MS) });
+        expect(rest.current).toMatchObject({ acuteLoad: 0, monotony: null, strain: null });
+        expect(workloadService.thresholds).toMatchObject({ highMonotony: 2, maxMonotony: 10 });
+
+        expect(await workloadService.getAthleteWorkload('athlete-1')).toMatchObject({ status: 'insufficient_data', current: null });
+
+        for (let day = 0; day < 3; day++) {
+            await recoveryLogService.logWorkout('coach-1', 'athlete-1', {
+                date: new Date(Date.now() - day * DAY_MS).toISOString(), type: 'strength', duration: 60, intensity: 'high', rpe: 6
+            });
+        }
+        const workload = await workloadService.getAthleteWorkload('athlete-1', { days: 14 });
+        expect(workload).toMatchObject({ status: 'building_baseline', days: 14, summary: { sweetSpotWeeks: 0, dangerZoneWeeks: 0 } });
+        expect(workload.daily.slice(-3).map(day => day.load)).toEqual([360, 360, 360]);
+        expect(workload.daily[0].load).toBeNull();
+
+        const recoveryService = new RecoveryOptimizationService();
+        await recoveryService.initialize();
+        const analysis = await recoveryService.analyzeTrainingLoad('athlete-1', 7);
+        expect(analysis).toMatchObject({ status: 'ok', acuteChronicRatio: null, zone: null, weeklyVolume: 3 });
+    });
+
+    test('should drive the injury prevention load analysis from the engine', () => {
+        const advancedInjuryPreventionService = new AdvancedInjuryPreventionService();
+        const now = Date.now();
+        const sessions = Array.from({ length: 35 }, (_, index) => ({
+            date: new Date(now - (34 - index) * DAY_MS).toISOString(),
+            trainingLoad: index < 28 ? 300 : 700
+        }));
+
+        const load = advancedInjuryPreventionService.calculateTrainingLoad(sessions);
+        expect(load).toMatchObject({ acute: 4900, zone: 'danger' });
+        expect(advancedInjuryPreventionService.analyzeLoadTrend(sessions)).toBe('sharp_increase');
+        expect(advancedInjuryPreventionService.calculateTrainingLoad([])).toMatchObject({ ratio: null, zone: null });
+    });
+});
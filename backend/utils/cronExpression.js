@@ -0,0 +1,147 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Search at most four years ahead so impossible dates such as 31 February fail instead of spinning
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60;
+
+const cronError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const parseValue = (token, field) => {
+  const named = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+  const value = named >= 0 ? named + (field.name === 'month' ? 1 : 0) : Number(token);
+
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw cronError(`Invalid ${field.name} value "${token}"`);
+  }
+  return value;
+};
+
+const parseField = (text, field) => {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw cronError(`Invalid ${field.name} step "${stepText}"`);
+    }
+
+    let [start, end] = [field.min, field.max];
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = to !== undefined ? parseValue(to, field) : (stepText === undefined ? start : field.max);
+      if (end < start) {
+        throw cronError(`Invalid ${field.name} range "${range}"`);
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Sunday may be written as 0 or 7
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a cron expression into the allowed values of each field
+ * @param {string} expression - e.g. '0 3 * * *' or '@daily'
+ */
+function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const parts = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw cronError(`Cron expression "${source}" must have five fields`);
+  }
+
+  const parsed = { expression: source };
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // Standard cron: when both day fields are restricted, either may match
+  parsed.dayOfMonthRestricted = !parts[2].startsWith('*');
+  parsed.dayOfWeekRestricted = !parts[4].startsWith('*');
+  return parsed;
+}
+
+const matchesDay = (cron, date) => {
+  const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+  if (cron.dayOfMonthRestricted) return dayOfMonth;
+  if (cron.dayOfWeekRestricted) return dayOfWeek;
+  return true;
+};
+
+/**
+ * First time strictly after `after` that matches the expression
+ * @param {string|Object} expression - Cron expression or parseCron() result
+ * @param {Date} after - Reference time (defaults to now)
+ */
+function nextRun(expression, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  for (let checked = 0; checked < MAX_SEARCH_MINUTES;) {
+    if (!cron.month.has(date.getUTCMonth() + 1) || !matchesDay(cron, date)) {
+      // Skip to the start of the next day
+      const minutesLeft = (24 - date.getUTCHours()) * 60 - date.getUTCMinutes();
+      date.setUTCHours(24, 0, 0, 0);
+      checked += minutesLeft;
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      const minutesLeft = 60 - date.getUTCMinutes();
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      checked += minutesLeft;
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      checked += 1;
+    } else {
+      return date;
+    }
+  }
+
+  throw cronError(`Cron expression "${cron.expression}" never runs`);
+}
+
+/**
+ * Check whether an expression is valid
+ * @param {string} expression - Cron expression
+ */
+function isValidCron(expression) {
+  try {
+    nextRun(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  parseCron,
+  nextRun,
+  isValidCron
+};
@@ -0,0 +1,51 @@
+// Location helpers for grouping athletes by state and region
+
+// Two-letter codes for locations scraped as "City, State" or "State, USA"
+const STATE_CODES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+  connecticut: 'CT', delaware: 'DE', florida: 'FL', georgia: 'GA', hawaii: 'HI', idaho: 'ID',
+  illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY', louisiana: 'LA',
+  maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+  mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV',
+  'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+  'north carolina': 'NC', 'north dakota': 'ND', ohio: 'OH', oklahoma: 'OK', oregon: 'OR',
+  pennsylvania: 'PA', 'rhode island': 'RI', 'south carolina': 'SC', 'south dakota': 'SD',
+  tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT', virginia: 'VA', washington: 'WA',
+  'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY', 'district of columbia': 'DC'
+};
+
+// US Census Bureau regions
+const REGIONS = {
+  northeast: ['CT', 'ME', 'MA', 'NH', 'RI', 'VT', 'NJ', 'NY', 'PA'],
+  midwest: ['IL', 'IN', 'MI', 'OH', 'WI', 'IA', 'KS', 'MN', 'MO', 'NE', 'ND', 'SD'],
+  south: ['DE', 'DC', 'FL', 'GA', 'MD', 'NC', 'SC', 'VA', 'WV', 'AL', 'KY', 'MS', 'TN', 'AR', 'LA', 'OK', 'TX'],
+  west: ['AZ', 'CO', 'ID', 'MT', 'NV', 'NM', 'UT', 'WY', 'AK', 'CA', 'HI', 'OR', 'WA']
+};
+
+const STATE_CODE_SET = new Set(Object.values(STATE_CODES));
+
+// Extract a two-letter state code from 'Austin, TX' or 'Texas, USA'
+const extractState = (location) => {
+  if (!location) return undefined;
+
+  const parts = String(location).split(',').map(part => part.trim()).filter(Boolean);
+  for (let i = parts.length - 1; i >= 0; i--) {
+    const part = parts[i];
+    if (STATE_CODE_SET.has(part.toUpperCase()) && part.length === 2) return part.toUpperCase();
+    if (STATE_CODES[part.toLowerCase()]) return STATE_CODES[part.toLowerCase()];
+  }
+  return undefined;
+};
+
+// Get the census region for a state code
+const getRegion = (state) => {
+  if (!state) return undefined;
+  return Object.keys(REGIONS).find(region => REGIONS[region].includes(state.toUpperCase()));
+};
+
+module.exports = {
+  STATE_CODES,
+  REGIONS,
+  extractState,
+  getRegion
+};
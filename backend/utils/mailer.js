@@ -0,0 +1,37 @@
+// Outgoing email over SMTP (SMTP_* in .env). nodemailer is loaded on first send.
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const nodemailer = require('nodemailer');
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+};
+
+const isConfigured = () => !!process.env.SMTP_HOST;
+
+// Send a plain-text email. Returns a reason string instead of sending when SMTP is not configured.
+const sendMail = async ({ to, from, subject, text }) => {
+  if (!isConfigured()) return 'SMTP is not configured';
+  if (!to) return 'No recipients';
+
+  await getTransport().sendMail({
+    from: from || process.env.SMTP_USER,
+    to,
+    subject,
+    text
+  });
+  return null;
+};
+
+module.exports = {
+  sendMail,
+  isConfigured
+};
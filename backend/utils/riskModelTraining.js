@@ -0,0 +1,249 @@
+// Pure-JS training and evaluation for binary risk models: L2-regularised logistic
+// regression fitted by batch gradient descent, a seeded stratified hold-out split and
+// the usual probability metrics (ROC AUC, Brier score, log loss, calibration bins)
+
+// Probabilities are clipped this far from 0 and 1 before taking logs
+const EPSILON = 1e-12;
+
+const round = (value, digits = 4) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+const clip = (probability) => Math.min(1 - EPSILON, Math.max(EPSILON, probability));
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so splits are reproducible
+ * @param {number} seed - Integer seed
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Split samples into training and hold-out sets with about the same share of positives in each.
+ * Samples are split by athlete: all of an athlete's snapshots land on the same side, so
+ * overlapping windows of one athlete cannot leak from training into the hold-out set
+ * @param {Array} samples - Samples with a 0/1 label and optional athleteId (samples without
+ * one are split individually)
+ * @param {Object} options - holdoutFraction (default 0.25) and seed (default 42)
+ * @returns {Object} train and test arrays
+ */
+function stratifiedSplit(samples, options = {}) {
+  const holdoutFraction = options.holdoutFraction ?? 0.25;
+  const random = createRandom(options.seed ?? 42);
+  const train = [];
+  const test = [];
+
+  const athletes = new Map();
+  const groups = [];
+  samples.forEach(sample => {
+    if (sample.athleteId === undefined || sample.athleteId === null) {
+      groups.push([sample]);
+      return;
+    }
+    const key = String(sample.athleteId);
+    if (!athletes.has(key)) {
+      athletes.set(key, []);
+      groups.push(athletes.get(key));
+    }
+    athletes.get(key).push(sample);
+  });
+
+  // Athletes with an injured snapshot are stratified apart from those without
+  [1, 0].forEach(label => {
+    const stratum = groups.filter(group => (group.some(sample => sample.label === 1) ? 1 : 0) === label);
+    // Fisher-Yates shuffle
+    for (let index = stratum.length - 1; index > 0; index--) {
+      const swap = Math.floor(random() * (index + 1));
+      [stratum[index], stratum[swap]] = [stratum[swap], stratum[index]];
+    }
+    // At least one athlete of each stratum on both sides whenever the stratum has two
+    const size = stratum.reduce((total, group) => total + group.length, 0);
+    const target = Math.max(1, Math.round(size * holdoutFraction));
+    let held = 0;
+    stratum.forEach((group, index) => {
+      if (held < target && index < stratum.length - 1) {
+        held += group.length;
+        test.push(...group);
+      } else {
+        train.push(...group);
+      }
+    });
+  });
+
+  return { train, test };
+}
+
+/**
+ * Fit a logistic regression by batch gradient descent on the mean log loss
+ * @param {Array<Array<number>>} rows - Feature vectors
+ * @param {Array<number>} labels - 0/1 outcomes
+ * @param {Object} options - learningRate (default 0.5), epochs (default 2000) and l2 penalty (default 0.01)
+ * @returns {Object} weights (one per feature), intercept and the final training loss
+ */
+function fitLogisticRegression(rows, labels, options = {}) {
+  const learningRate = options.learningRate ?? 0.5;
+  const epochs = options.epochs ?? 2000;
+  const l2 = options.l2 ?? 0.01;
+  const count = rows.length;
+  const width = rows[0].length;
+
+  // Start from the base rate so early steps go into the features, not the intercept
+  const baseRate = clip(labels.reduce((total, label) => total + label, 0) / count);
+  const weights = new Array(width).fill(0);
+  let intercept = Math.log(baseRate / (1 - baseRate));
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradient = new Array(width).fill(0);
+    let interceptGradient = 0;
+
+    rows.forEach((row, index) => {
+      const error = predictProbability({ weights, intercept }, row) - labels[index];
+      interceptGradient += error;
+      row.forEach((value, feature) => {
+        gradient[feature] += error * value;
+      });
+    });
+
+    intercept -= learningRate * interceptGradient / count;
+    weights.forEach((weight, feature) => {
+      weights[feature] -= learningRate * (gradient[feature] / count + l2 * weight);
+    });
+  }
+
+  const predictions = rows.map(row => predictProbability({ weights, intercept }, row));
+  return { weights, intercept, trainingLoss: logLoss(labels, predictions) };
+}
+
+/**
+ * Predicted probability for one feature vector
+ * @param {Object} model - weights and intercept
+ * @param {Array<number>} row - Feature vector in the model's feature order
+ */
+function predictProbability(model, row) {
+  return sigmoid(row.reduce((total, value, feature) => total + value * model.weights[feature], model.intercept));
+}
+
+/**
+ * Area under the ROC curve (Mann-Whitney U); tied scores count half
+ * @returns {number|null} null when either class is missing
+ */
+function rocAuc(labels, scores) {
+  const ranked = scores.map((score, index) => ({ score, label: labels[index] })).sort((a, b) => a.score - b.score);
+  const positives = labels.filter(label => label === 1).length;
+  const negatives = labels.length - positives;
+  if (!positives || !negatives) return null;
+
+  // Average rank across each run of tied scores
+  let positiveRankSum = 0;
+  for (let start = 0; start < ranked.length;) {
+    let end = start;
+    while (end + 1 < ranked.length && ranked[end + 1].score === ranked[start].score) end++;
+    const averageRank = (start + end) / 2 + 1;
+    for (let index = start; index <= end; index++) {
+      if (ranked[index].label === 1) positiveRankSum += averageRank;
+    }
+    start = end + 1;
+  }
+
+  return (positiveRankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+/**
+ * Mean squared error of the predicted probabilities
+ */
+function brierScore(labels, scores) {
+  return labels.reduce((total, label, index) => total + (scores[index] - label) ** 2, 0) / labels.length;
+}
+
+/**
+ * Mean negative log-likelihood of the outcomes
+ */
+function logLoss(labels, scores) {
+  return -labels.reduce((total, label, index) => {
+    const probability = clip(scores[index]);
+    return total + (label === 1 ? Math.log(probability) : Math.log(1 - probability));
+  }, 0) / labels.length;
+}
+
+/**
+ * Reliability table over equal-width probability bins; empty bins are left out
+ * @param {number} binCount - Number of bins (default 10)
+ * @returns {Object} bins and the expected calibration error (count-weighted gap between
+ * mean predicted probability and observed rate)
+ */
+function calibration(labels, scores, binCount = 10) {
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    lower: index / binCount, upper: (index + 1) / binCount, count: 0, predicted: 0, observed: 0
+  }));
+
+  scores.forEach((score, index) => {
+    const bin = bins[Math.min(binCount - 1, Math.floor(score * binCount))];
+    bin.count++;
+    bin.predicted += score;
+    bin.observed += labels[index];
+  });
+
+  const filled = bins.filter(bin => bin.count > 0).map(bin => ({
+    lower: round(bin.lower, 2),
+    upper: round(bin.upper, 2),
+    count: bin.count,
+    meanPredicted: round(bin.predicted / bin.count),
+    observedRate: round(bin.observed / bin.count)
+  }));
+
+  return {
+    bins: filled,
+    expectedCalibrationError: round(filled.reduce((total, bin) =>
+      total + bin.count * Math.abs(bin.meanPredicted - bin.observedRate), 0) / labels.length)
+  };
+}
+
+/**
+ * Hold-out metrics for a set of predicted probabilities
+ * @param {Array<number>} labels - 0/1 outcomes
+ * @param {Array<number>} scores - Predicted probabilities
+ * @param {Object} options - calibrationBins (default 10)
+ */
+function evaluate(labels, scores, options = {}) {
+  const positives = labels.filter(label => label === 1).length;
+  return {
+    samples: labels.length,
+    positives,
+    baseRate: round(positives / labels.length),
+    auc: round(rocAuc(labels, scores)),
+    brier: round(brierScore(labels, scores)),
+    logLoss: round(logLoss(labels, scores)),
+    calibration: calibration(labels, scores, options.calibrationBins ?? 10)
+  };
+}
+
+/**
+ * Value below which the given fraction of values fall (linear interpolation)
+ */
+function quantile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+module.exports = {
+  createRandom,
+  stratifiedSplit,
+  fitLogisticRegression,
+  predictProbability,
+  rocAuc,
+  brierScore,
+  logLoss,
+  calibration,
+  evaluate,
+  quantile
+};
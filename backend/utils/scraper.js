@@ -2,6 +2,7 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const { logger, logPerformance } = require('./logger');
 const { captureException } = require('./sentry');
+const identityResolutionService = require('../services/identityResolutionService');
 
 // Rate limiting configuration
 const RATE_LIMITS = {
@@ -504,22 +505,16 @@ function normalizeAthleteData(athlete) {
 }
 
 /**
- * Remove duplicate athletes based on name and school
+ * Remove duplicate athletes, keeping the first record of each resolved identity.
+ * Pairs that only reach the review threshold are kept apart.
  */
 function deduplicateAthletes(athletes) {
-    const seen = new Set();
-    const unique = [];
+    const { groups } = identityResolutionService.cluster(athletes);
 
-    for (const athlete of athletes) {
-        const key = `${athlete.name?.toLowerCase().trim()}-${athlete.school?.toLowerCase().trim()}`;
-
-        if (!seen.has(key)) {
-            seen.add(key);
-            unique.push(athlete);
-        }
-    }
-
-    return unique;
+    return groups
+        .map(group => group[0])
+        .sort((a, b) => a - b)
+        .map(index => athletes[index]);
 }
 
 /**
@@ -0,0 +1,272 @@
+// CSV and XLSX readers that run in-process: XLSX files are unzipped with zlib and their
+// XML read with cheerio, so imports need no conversion service or extra packages
+
+const zlib = require('zlib');
+const path = require('path');
+const cheerio = require('cheerio');
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+const ZIP_END_SIGNATURE = 0x06054b50;
+const ZIP_ENTRY_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+// Uploads are capped at 10MB; this bounds what a crafted archive can inflate to across all entries
+const MAX_INFLATED_BYTES = 100 * 1024 * 1024;
+// Excel's sheet size (rows 1-1048576, columns A-XFD); positions past it only come from crafted
+// files and would allocate that many empty rows or cells
+const MAX_SHEET_ROWS = 1048576;
+const MAX_SHEET_COLUMNS = 16384;
+
+const spreadsheetError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Pick the delimiter that appears most often in the header line, outside quotes
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  return CSV_DELIMITERS
+    .map(delimiter => [delimiter, firstLine.split(delimiter).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// RFC 4180: quoted fields may hold delimiters, line breaks and doubled quotes
+const parseCsv = (input) => {
+  const text = String(input).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw spreadsheetError('CSV file has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Reader for the entries of a zip archive, by file name. Offsets come from the file, so each is
+// checked against the buffer before it is read.
+const readZip = (buffer, maxInflatedBytes = MAX_INFLATED_BYTES) => {
+  const corrupt = () => spreadsheetError('XLSX workbook is corrupt');
+  const ensure = (offset, length) => {
+    if (offset < 0 || offset + length > buffer.length) throw corrupt();
+  };
+
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_SIGNATURE) {
+      end = offset;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw spreadsheetError('File is not a valid XLSX workbook');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    ensure(offset, 46);
+    if (buffer.readUInt32LE(offset) !== ZIP_ENTRY_SIGNATURE) {
+      throw corrupt();
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    ensure(offset + 46, nameLength);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    ensure(localOffset, 30);
+    if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_SIGNATURE) {
+      throw corrupt();
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    ensure(dataStart, compressedSize);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries.set(name, { method, data });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  let inflatedBytes = 0;
+  const inflate = (data) => {
+    let output;
+    try {
+      output = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, maxInflatedBytes - inflatedBytes) });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw spreadsheetError(`XLSX workbook expands to more than ${Math.round(maxInflatedBytes / (1024 * 1024))}MB`);
+      }
+      throw corrupt();
+    }
+    inflatedBytes += output.length;
+    return output;
+  };
+
+  return {
+    read: (name) => {
+      const entry = entries.get(name);
+      if (!entry) return null;
+      if (entry.method === 0) return entry.data.toString('utf8');
+      if (entry.method === 8) return inflate(entry.data).toString('utf8');
+      throw spreadsheetError(`Unsupported XLSX compression method ${entry.method}`);
+    }
+  };
+};
+
+// "AB12" -> 27 (zero-based column index)
+const columnIndex = (reference) => {
+  const letters = reference.replace(/\d+$/, '').toUpperCase();
+  if (!/^[A-Z]{1,3}$/.test(letters)) {
+    throw spreadsheetError(`XLSX cell reference "${reference.slice(0, 20)}" is not valid`);
+  }
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Path of the workbook's first sheet, following the workbook relationships
+const firstSheetPath = (zip) => {
+  const workbook = zip.read('xl/workbook.xml');
+  const relationships = zip.read('xl/_rels/workbook.xml.rels');
+  if (workbook && relationships) {
+    const $workbook = cheerio.load(workbook, { xml: true });
+    const relationshipId = $workbook('sheet').first().attr('r:id');
+    const $relationships = cheerio.load(relationships, { xml: true });
+    const target = $relationships(`Relationship[Id="${relationshipId}"]`).attr('Target');
+    if (target) {
+      return target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target);
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+};
+
+// Rows of the first sheet as arrays of cell values; numbers stay numbers, dates stay serials
+const parseXlsx = (buffer, options = {}) => {
+  const zip = readZip(buffer, options.maxInflatedBytes);
+  const sheet = zip.read(firstSheetPath(zip));
+  if (!sheet) {
+    throw spreadsheetError('XLSX workbook has no worksheet');
+  }
+
+  const sharedStrings = [];
+  const strings = zip.read('xl/sharedStrings.xml');
+  if (strings) {
+    const $strings = cheerio.load(strings, { xml: true });
+    $strings('si').each((index, item) => {
+      sharedStrings.push($strings(item).find('t').map((i, t) => $strings(t).text()).get().join(''));
+    });
+  }
+
+  const $ = cheerio.load(sheet, { xml: true });
+  const rows = [];
+  $('sheetData > row').each((index, rowElement) => {
+    const rowNumber = parseInt($(rowElement).attr('r')) || rows.length + 1;
+    if (rowNumber > MAX_SHEET_ROWS) {
+      throw spreadsheetError(`XLSX rows are limited to ${MAX_SHEET_ROWS}`);
+    }
+    const row = [];
+
+    $(rowElement).children('c').each((cellIndex, cell) => {
+      const $cell = $(cell);
+      const type = $cell.attr('t');
+      const raw = $cell.children('v').text();
+      let value;
+
+      if (type === 's') value = sharedStrings[parseInt(raw)] ?? '';
+      else if (type === 'inlineStr') value = $cell.find('is t').map((i, t) => $(t).text()).get().join('');
+      else if (type === 'b') value = raw === '1';
+      else if (type === 'str' || type === 'e') value = raw;
+      else value = raw === '' ? '' : Number(raw);
+
+      const reference = $cell.attr('r');
+      const column = reference ? columnIndex(reference) : cellIndex;
+      if (column >= MAX_SHEET_COLUMNS) {
+        throw spreadsheetError(`XLSX columns are limited to ${MAX_SHEET_COLUMNS} (A to XFD)`);
+      }
+      row[column] = value;
+    });
+
+    // Sheets skip empty rows; keep positions so reported row numbers match the file
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows.push(Array.from(row, value => (value === undefined ? '' : value)));
+  });
+
+  return rows;
+};
+
+/**
+ * Read the first sheet of a CSV or XLSX upload into a header row and data rows
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Original file name; its extension picks the reader
+ * @returns {Object} fileType, headers and rows ({ line, values } with values aligned to headers)
+ */
+const readSpreadsheet = (buffer, fileName = '') => {
+  const extension = path.extname(fileName).toLowerCase();
+  const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_SIGNATURE;
+  let fileType;
+  if (extension === '.xlsx' || (!extension && isZip)) fileType = 'xlsx';
+  else if (['.csv', '.tsv', '.txt', ''].includes(extension)) fileType = 'csv';
+  else throw spreadsheetError('Only CSV and XLSX files can be imported');
+
+  const table = fileType === 'xlsx' ? parseXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+  const headerIndex = table.findIndex(row => row.some(value => String(value).trim() !== ''));
+  if (headerIndex < 0) {
+    throw spreadsheetError('File has no header row');
+  }
+
+  // Blank headers get a column name and repeated ones a suffix, so every column can be mapped
+  const seen = new Map();
+  const headers = table[headerIndex].map((value, index) => {
+    const header = String(value).trim() || `Column ${index + 1}`;
+    const count = (seen.get(header) || 0) + 1;
+    seen.set(header, count);
+    return count > 1 ? `${header} (${count})` : header;
+  });
+
+  const rows = table.slice(headerIndex + 1).map((row, index) => ({
+    // 1-based line in the file, as the user sees it in their spreadsheet
+    line: headerIndex + index + 2,
+    values: headers.map((header, column) => (row[column] === undefined ? '' : row[column]))
+  })).filter(row => row.values.some(value => String(value).trim() !== ''));
+
+  return { fileType, headers, rows };
+};
+
+module.exports = {
+  parseCsv,
+  parseXlsx,
+  readSpreadsheet
+};
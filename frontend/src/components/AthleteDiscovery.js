@@ -1,6 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import './AthleteDiscovery.css';
 
+const FACET_LABELS = {
+  sport: 'Sport',
+  position: 'Position',
+  state: 'State',
+  class: 'Class',
+  garBand: 'GAR Score',
+  stars: 'Star Rating',
+  hasHighlights: 'Highlights'
+};
+
+const formatFacetValue = (facet, value) => {
+  if (facet === 'stars') return `${value} ★`;
+  if (facet === 'hasHighlights') return value === 'true' ? 'Has highlights' : 'No highlights';
+  return value;
+};
+
 const AthleteDiscovery = () => {
   const [athletes, setAthletes] = useState([]);
   const [highlightedAthletes, setHighlightedAthletes] = useState([]);
@@ -15,6 +31,11 @@ const AthleteDiscovery = () => {
     minScore: 0
   });
   const [activeTab, setActiveTab] = useState('discover');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState({});
+  const [searchPage, setSearchPage] = useState(1);
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
 
   // Fetch highlighted athletes on component mount
   useEffect(() => {
@@ -22,6 +43,46 @@ const AthleteDiscovery = () => {
     fetchStats();
   }, []);
 
+  // Re-run the search as the query, facet selections or page change
+  useEffect(() => {
+    if (activeTab !== 'search') return undefined;
+    const timer = setTimeout(() => searchAthletes(), 250);
+    return () => clearTimeout(timer);
+  }, [activeTab, searchQuery, searchFilters, searchPage]);
+
+  const searchAthletes = async () => {
+    setSearching(true);
+    try {
+      const queryParams = new URLSearchParams({ q: searchQuery, page: searchPage, limit: 24 });
+      Object.entries(searchFilters).forEach(([facet, values]) => {
+        if (values.length > 0) queryParams.set(facet, values.join(','));
+      });
+
+      const response = await fetch(`/api/v1/search/athletes?${queryParams}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      const data = await response.json();
+      if (data.success) {
+        setSearchResults(data.data);
+      }
+    } catch (error) {
+      console.error('Athlete search failed:', error);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const toggleFacet = (facet, value) => {
+    const selected = searchFilters[facet] || [];
+    setSearchFilters({
+      ...searchFilters,
+      [facet]: selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]
+    });
+    setSearchPage(1);
+  };
+
   const fetchHighlightedAthletes = async () => {
     try {
       const response = await fetch('/api/v1/discovery/highlighted', {
@@ -188,7 +249,7 @@ const AthleteDiscovery = () => {
 
       {athlete.highlights && athlete.highlights.length > 0 && (
         <div className="athlete-highlights">
-          <h4>Highlights ({athlete.highlights.length})</h4>
+          <h4>Highlights ({athlete.highlightCount ?? athlete.highlights.length})</h4>
           <div className="highlights-list">
             {athlete.highlights.slice(0, 3).map((highlight, index) => (
               <a
@@ -226,7 +287,7 @@ const AthleteDiscovery = () => {
         </div>
       )}
 
-      {showActions && (
+      {showActions && athlete.source !== 'athleteData' && (
         <div className="athlete-actions">
           <button
             onClick={() => handleHighlight(athlete._id, !athlete.isHighlighted)}
@@ -259,6 +320,12 @@ const AthleteDiscovery = () => {
         >
           Discover Athletes
         </button>
+        <button
+          className={`tab ${activeTab === 'search' ? 'active' : ''}`}
+          onClick={() => setActiveTab('search')}
+        >
+          Search
+        </button>
         <button
           className={`tab ${activeTab === 'highlighted' ? 'active' : ''}`}
           onClick={() => setActiveTab('highlighted')}
@@ -355,6 +422,82 @@ const AthleteDiscovery = () => {
           </div>
         )}
 
+        {activeTab === 'search' && (
+          <div className="search-section">
+            <div className="search-bar">
+              <input
+                type="text"
+                value={searchQuery}
+                onChange={(e) => { setSearchQuery(e.target.value); setSearchPage(1); }}
+                placeholder="Search by name, school or position"
+              />
+            </div>
+
+            <div className="search-layout">
+              <aside className="search-facets">
+                {searchResults && Object.entries(FACET_LABELS).map(([facet, label]) => (
+                  searchResults.facets[facet]?.length > 0 && (
+                    <div key={facet} className="facet-group">
+                      <h4>{label}</h4>
+                      {searchResults.facets[facet].map(({ value, count, selected }) => (
+                        <label key={value} className="facet-option">
+                          <input
+                            type="checkbox"
+                            checked={selected}
+                            onChange={() => toggleFacet(facet, value)}
+                          />
+                          <span>{formatFacetValue(facet, value)}</span>
+                          <span className="facet-count">{count}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )
+                ))}
+              </aside>
+
+              <div className="search-results">
+                {searchResults && (
+                  <p className="search-summary">
+                    {searching ? 'Searching...' : `${searchResults.total} athletes`}
+                  </p>
+                )}
+                {searchResults?.results.length > 0 ? (
+                  <div className="athletes-grid">
+                    {searchResults.results.map((athlete) => (
+                      <AthleteCard key={`${athlete.source}-${athlete._id}`} athlete={athlete} />
+                    ))}
+                  </div>
+                ) : (
+                  !searching && (
+                    <div className="empty-state">
+                      <p>No athletes match this search.</p>
+                    </div>
+                  )
+                )}
+                {searchResults && searchResults.total > searchResults.limit && (
+                  <div className="search-pagination">
+                    <button
+                      className="btn btn-outline"
+                      disabled={searchPage === 1}
+                      onClick={() => setSearchPage(searchPage - 1)}
+                    >
+                      Previous
+                    </button>
+                    <span>Page {searchPage} of {Math.ceil(searchResults.total / searchResults.limit)}</span>
+                    <button
+                      className="btn btn-outline"
+                      disabled={searchPage * searchResults.limit >= searchResults.total}
+                      onClick={() => setSearchPage(searchPage + 1)}
+                    >
+                      Next
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
         {activeTab === 'highlighted' && (
           <div className="highlighted-section">
             <div className="section-header">
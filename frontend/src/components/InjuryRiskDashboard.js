@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { getInjuryRisk, getInjuryRiskTrends, getInjuryPreventionRecommendations } from '../utils/api';
+import { getInjuryRisk, getInjuryRiskTrends, getInjuryPreventionRecommendations, getTrainingWorkload } from '../utils/api';
 import './InjuryRiskDashboard.css';
 
 const InjuryRiskDashboard = ({ athleteId }) => {
   const [riskData, setRiskData] = useState(null);
   const [trendsData, setTrendsData] = useState(null);
   const [recommendations, setRecommendations] = useState(null);
+  const [workloadData, setWorkloadData] = useState(null);
+  const [workloadError, setWorkloadError] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
 
@@ -14,6 +16,9 @@ const InjuryRiskDashboard = ({ athleteId }) => {
   }, [athleteId]);
 
   const loadInjuryRiskData = async () => {
+    // The workload loads on its own so a failure there does not blank the risk panels
+    loadWorkload();
+
     try {
       setLoading(true);
       const [riskResponse, trendsResponse, recResponse] = await Promise.all([
@@ -32,6 +37,23 @@ const InjuryRiskDashboard = ({ athleteId }) => {
     }
   };
 
+  const loadWorkload = async () => {
+    try {
+      setWorkloadError(null);
+      const workloadResponse = await getTrainingWorkload(athleteId);
+      if (workloadResponse.success) {
+        setWorkloadData(workloadResponse.data);
+      } else {
+        setWorkloadData(null);
+        setWorkloadError(workloadResponse.message || 'Training workload is unavailable');
+      }
+    } catch (error) {
+      console.error('Error loading training workload:', error);
+      setWorkloadData(null);
+      setWorkloadError(error?.message || 'Training workload is unavailable');
+    }
+  };
+
   const getRiskColor = (level) => {
     switch (level) {
       case 'HIGH': return '#e74c3c';
@@ -50,6 +72,28 @@ const InjuryRiskDashboard = ({ athleteId }) => {
     }
   };
 
+  // Acute:chronic zones from the workload engine
+  const getZoneColor = (zone) => {
+    switch (zone) {
+      case 'danger': return '#e74c3c';
+      case 'caution': return '#f39c12';
+      case 'sweet_spot': return '#27ae60';
+      case 'under': return '#3498db';
+      default: return '#95a5a6';
+    }
+  };
+
+  const formatZone = (zone) => (zone ? zone.replace('_', ' ') : 'no baseline');
+
+  const formatFlag = (flag) => ({
+    sweet_spot: 'Sweet spot',
+    danger_zone: 'Danger zone',
+    high_monotony: 'High monotony',
+    load_spike: 'Load spike'
+  }[flag] || flag);
+
+  const maxWeeklyLoad = workloadData ? Math.max(1, ...workloadData.weekly.map(week => week.load || 0)) : 1;
+
   if (loading) {
     return (
       <div className="injury-risk-dashboard loading">
@@ -90,6 +134,12 @@ const InjuryRiskDashboard = ({ athleteId }) => {
         >
           Trends
         </button>
+        <button
+          className={activeTab === 'workload' ? 'active' : ''}
+          onClick={() => setActiveTab('workload')}
+        >
+          Workload
+        </button>
         <button
           className={activeTab === 'recommendations' ? 'active' : ''}
           onClick={() => setActiveTab('recommendations')}
@@ -193,6 +243,102 @@ const InjuryRiskDashboard = ({ athleteId }) => {
           </div>
         )}
 
+        {activeTab === 'workload' && !workloadData && (
+          <div className="workload-tab">
+            <h3>Training Workload</h3>
+            <p className="workload-status">
+              {workloadError ? `Could not load training workload: ${workloadError}` : 'Loading training workload...'}
+            </p>
+            {workloadError && (
+              <button className="refresh-btn" onClick={loadWorkload}>Try again</button>
+            )}
+          </div>
+        )}
+
+        {activeTab === 'workload' && workloadData && (
+          <div className="workload-tab">
+            <h3>Training Workload</h3>
+            {workloadData.status === 'insufficient_data' && (
+              <p className="workload-status">No training sessions logged yet. Log workouts to see workload trends.</p>
+            )}
+            {workloadData.status === 'building_baseline' && (
+              <p className="workload-status">
+                Acute:chronic ratios need {workloadData.baselineDays} days of logged training; weekly load is shown until then.
+              </p>
+            )}
+
+            {workloadData.current && (
+              <div className="risk-metrics">
+                <div className="metric-card">
+                  <h3>Acute:Chronic</h3>
+                  <div className="metric-value" style={{ color: getZoneColor(workloadData.current.zone) }}>
+                    {workloadData.current.acwr ?? '—'}
+                  </div>
+                  <div className="metric-label">Rolling 7/28 days, {formatZone(workloadData.current.zone)}</div>
+                </div>
+                <div className="metric-card">
+                  <h3>EWMA Ratio</h3>
+                  <div className="metric-value" style={{ color: getZoneColor(workloadData.current.ewmaZone) }}>
+                    {workloadData.current.ewmaAcwr ?? '—'}
+                  </div>
+                  <div className="metric-label">Exponentially weighted, {formatZone(workloadData.current.ewmaZone)}</div>
+                </div>
+                <div className="metric-card">
+                  <h3>Monotony</h3>
+                  <div className="metric-value">{workloadData.current.monotony ?? '—'}</div>
+                  <div className="metric-label">Last 7 days (above {workloadData.thresholds.highMonotony} is high)</div>
+                </div>
+                <div className="metric-card">
+                  <h3>Strain</h3>
+                  <div className="metric-value">{workloadData.current.strain ?? '—'}</div>
+                  <div className="metric-label">Weekly load × monotony</div>
+                </div>
+              </div>
+            )}
+
+            <div className="trends-chart">
+              {workloadData.weekly.map((week) => (
+                <div key={week.weekEnd} className="trend-point">
+                  <div className="trend-month">{week.weekEnd}</div>
+                  <div className="trend-bar">
+                    <div
+                      className="trend-fill"
+                      style={{
+                        width: `${((week.load || 0) / maxWeeklyLoad) * 100}%`,
+                        backgroundColor: getZoneColor(week.zone)
+                      }}
+                    ></div>
+                  </div>
+                  <div className="trend-value">{week.load ?? '—'} AU</div>
+                  <div className="trend-level" style={{ backgroundColor: getZoneColor(week.zone) }}>
+                    {week.acwr ?? '—'}
+                  </div>
+                  <div className="workload-flags">
+                    {week.flags.map(flag => (
+                      <span key={flag} className={`workload-flag flag-${flag}`}>{formatFlag(flag)}</span>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="trends-stats">
+              <div className="stat-item">
+                <span className="stat-label">Sweet Spot Weeks</span>
+                <span className="stat-value">{workloadData.summary.sweetSpotWeeks}</span>
+              </div>
+              <div className="stat-item">
+                <span className="stat-label">Danger Zone Weeks</span>
+                <span className="stat-value">{workloadData.summary.dangerZoneWeeks}</span>
+              </div>
+              <div className="stat-item">
+                <span className="stat-label">Load Spikes</span>
+                <span className="stat-value">{workloadData.summary.loadSpikeWeeks}</span>
+              </div>
+            </div>
+          </div>
+        )}
+
         {activeTab === 'recommendations' && recommendations && (
           <div className="recommendations-tab">
             <div className="recommendations-list">
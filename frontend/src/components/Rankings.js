@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { getGARRanks } from '../utils/api';
+import { getGARRanks, getLeaderboard, getLeaderboardScopes } from '../utils/api';
 import './Rankings.css';
 
 const Rankings = () => {
@@ -10,6 +10,23 @@ const Rankings = () => {
   const [selectedSport, setSelectedSport] = useState('football');
   const [selectedRegion, setSelectedRegion] = useState('USA');
   const [selectedGender, setSelectedGender] = useState('men');
+  const [boardScope, setBoardScope] = useState('national');
+  const [scopeValue, setScopeValue] = useState('');
+  const [positionFilter, setPositionFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [board, setBoard] = useState({ total: 0, pages: 1, boardVersion: undefined });
+  const [scopes, setScopes] = useState(null);
+
+  const PAGE_SIZE = 50;
+  const boardScopes = [
+    { id: 'national', name: 'National' },
+    { id: 'state', name: 'State' },
+    { id: 'region', name: 'Region' },
+    { id: 'recruitingClass', name: 'Recruiting Class' }
+  ];
+
+  // USA categories page through the precomputed scoped boards
+  const useScopedBoard = selectedRegion === 'USA';
 
   const rankingCategories = [
     // American Football
@@ -36,11 +53,44 @@ const Rankings = () => {
 
   useEffect(() => {
     fetchRankings();
-  }, [selectedSport, selectedRegion, selectedGender]);
+  }, [selectedSport, selectedRegion, selectedGender, boardScope, scopeValue, positionFilter, page]);
+
+  useEffect(() => {
+    if (!useScopedBoard) return;
+    getLeaderboardScopes(selectedSport)
+      .then(setScopes)
+      .catch(() => setScopes(null));
+  }, [selectedSport, useScopedBoard]);
 
   const fetchRankings = async () => {
     try {
       setLoading(true);
+
+      if (useScopedBoard) {
+        const params = { sport: selectedSport, page, limit: PAGE_SIZE };
+        if (boardScope !== 'national' && scopeValue) params[boardScope] = scopeValue;
+        if (positionFilter) params.position = positionFilter;
+        if (board.boardVersion !== undefined && page > 1) params.boardVersion = board.boardVersion;
+
+        const data = await getLeaderboard(params);
+
+        // The board was rebuilt mid-paging; start again from the top so no athlete is skipped
+        if (data.boardChanged && page !== 1) {
+          setBoard({ total: data.total, pages: data.pages, boardVersion: data.boardVersion });
+          setPage(1);
+          return;
+        }
+
+        setBoard({ total: data.total, pages: data.pages, boardVersion: data.boardVersion });
+        setRankings((data.athletes || []).map(athlete => ({
+          ...athlete,
+          id: athlete.athleteId,
+          country: athlete.location || 'USA',
+          ranking: { overall: athlete.rank }
+        })));
+        return;
+      }
+
       const data = await getGARRanks({
         sport: selectedSport,
         region: selectedRegion,
@@ -62,9 +112,25 @@ const Rankings = () => {
       setSelectedSport(category.sport);
       setSelectedRegion(category.region);
       setSelectedGender(category.gender);
+      setPositionFilter('');
+      setPage(1);
     }
   };
 
+  const handleBoardScopeChange = (scope) => {
+    setBoardScope(scope);
+    setScopeValue('');
+    setPage(1);
+  };
+
+  const getScopeOptions = () => {
+    if (!scopes) return [];
+    if (boardScope === 'state') return Object.keys(scopes.states).sort();
+    if (boardScope === 'region') return scopes.regions;
+    if (boardScope === 'recruitingClass') return Object.keys(scopes.recruitingClasses).sort();
+    return [];
+  };
+
   const getGARColor = (gar) => {
     if (gar >= 90) return '#00BFFF'; // Electric blue for elite
     if (gar >= 80) return '#0DFEFF'; // Cyber aqua for excellent
@@ -128,9 +194,59 @@ const Rankings = () => {
           </select>
         </div>
 
+        {useScopedBoard && (
+          <div className="category-selector">
+            <label htmlFor="board-scope-select">Board:</label>
+            <select
+              id="board-scope-select"
+              value={boardScope}
+              onChange={(e) => handleBoardScopeChange(e.target.value)}
+              className="category-select"
+            >
+              {boardScopes.map(scope => (
+                <option key={scope.id} value={scope.id}>
+                  {scope.name}
+                </option>
+              ))}
+            </select>
+
+            {boardScope !== 'national' && (
+              <select
+                id="board-value-select"
+                aria-label="Board value"
+                value={scopeValue}
+                onChange={(e) => { setScopeValue(e.target.value); setPage(1); }}
+                className="category-select"
+              >
+                <option value="">All</option>
+                {getScopeOptions().map(value => (
+                  <option key={value} value={value}>
+                    {value}
+                  </option>
+                ))}
+              </select>
+            )}
+
+            <select
+              id="board-position-select"
+              aria-label="Position"
+              value={positionFilter}
+              onChange={(e) => { setPositionFilter(e.target.value); setPage(1); }}
+              className="category-select"
+            >
+              <option value="">All Positions</option>
+              {Object.keys(scopes?.positions || {}).sort().map(position => (
+                <option key={position} value={position}>
+                  {position}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         <div className="rankings-stats">
           <div className="stat-item">
-            <span className="stat-number">{rankings.length}</span>
+            <span className="stat-number">{useScopedBoard ? board.total : rankings.length}</span>
             <span className="stat-label">Ranked Athletes</span>
           </div>
           <div className="stat-item">
@@ -226,6 +342,18 @@ const Rankings = () => {
         </table>
       </div>
 
+      {useScopedBoard && board.pages > 1 && (
+        <div className="rankings-pagination">
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="retry-btn">
+            Previous
+          </button>
+          <span className="page-indicator">Page {page} of {board.pages}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= board.pages} className="retry-btn">
+            Next
+          </button>
+        </div>
+      )}
+
       {rankings.length === 0 && (
         <div className="no-rankings">
           <h3>No rankings available</h3>
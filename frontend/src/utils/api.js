@@ -708,6 +708,24 @@ export const getTopAthletes = async (limit = 100) => {
     }
 };
 
+export const getLeaderboard = async (params = {}) => {
+    try {
+        const response = await axios.get(`${API_URL}/rankings/board`, { params });
+        return response.data;
+    } catch (error) {
+        throw error.response.data;
+    }
+};
+
+export const getLeaderboardScopes = async (sport = 'football') => {
+    try {
+        const response = await axios.get(`${API_URL}/rankings/board/scopes`, { params: { sport } });
+        return response.data;
+    } catch (error) {
+        throw error.response.data;
+    }
+};
+
 export const updateAthleteGAR = async (id, token) => {
     try {
         const response = await axios.put(`${API_URL}/rankings/update-gar/${id}`, {}, {
@@ -761,6 +779,19 @@ export const getInjuryPreventionRecommendations = async (athleteId, token) => {
     }
 };
 
+export const getTrainingWorkload = async (athleteId, token, weeks = 12) => {
+    try {
+        const response = await axios.get(`${API_URL}/v1/injury-risk/${athleteId}/workload?weeks=${weeks}`, {
+            headers: {
+                Authorization: `Bearer ${token}`,
+            },
+        });
+        return response.data;
+    } catch (error) {
+        throw error.response.data;
+    }
+};
+
 // Performance Prediction API functions
 export const getPerformancePrediction = async (athleteId, token, days = 30) => {
     try {